@@ -191,6 +191,22 @@ try {
     console.warn('⚠️ Advanced anomaly detection initialization failed:', error.message);
 }
 
+// Evaluate governance policies on their schedules
+try {
+    require('./services/governanceService').startScheduler();
+    console.log('✅ Governance policy scheduler initialized');
+} catch (error) {
+    console.warn('⚠️ Governance policy scheduler initialization failed:', error.message);
+}
+
+// Resume data lake bulk exports interrupted by a restart
+try {
+    require('./services/dataLakeExportService').startWorker();
+    console.log('✅ Data lake export worker initialized');
+} catch (error) {
+    console.warn('⚠️ Data lake export worker initialization failed:', error.message);
+}
+
 // Standard middleware with CORS configuration
 app.use(cors({
     origin: function (origin, callback) {
@@ -241,7 +257,10 @@ app.use(cors({
         // 🔒 EPHEMERAL MODE HEADERS
         'x-aws-access-key',
         'x-aws-secret-key',
-        'x-aws-region'
+        'x-aws-region',
+        // Organization context and API keys for data routes
+        'x-organization-id',
+        'x-api-key'
     ]
 }));
 app.use(express.json({ limit: '50mb' }));
@@ -574,6 +593,9 @@ app.use('/api/aws-setup', awsSetupRoutes);
 app.use('/api/trends', trendRoutes);
 app.use('/api/alerts', alertRoutes);
 app.use('/api/multi', multiAccountRoutes);
+app.use('/api/cur', require('./routes/curIngestionRoutes')); // Cost and Usage Report ingestion
+app.use('/api/keys', require('./routes/apiKeyRoutes')); // Personal and service API keys
+app.use('/api/orgs', require('./routes/organizationRoutes')); // Organizations, members and custom roles
 app.use('/api/export', require('./routes/advancedExportRoutes')); // Use advanced export routes
 
 // Export routes are now handled by advancedExportRoutes mounted at /api/export
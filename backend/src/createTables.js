@@ -45,6 +45,7 @@ async function createTables() {
                     email VARCHAR(100) UNIQUE NOT NULL,
                     password_hash VARCHAR(255) NOT NULL,
                     subscription_tier VARCHAR(20) DEFAULT 'free',
+                    personal_role VARCHAR(20) DEFAULT 'free_user',
                     email_verified BOOLEAN DEFAULT false,
                     verification_token VARCHAR(255),
                     failed_login_attempts INTEGER DEFAULT 0,
@@ -64,7 +65,9 @@ async function createTables() {
                 { name: 'verification_token', type: 'VARCHAR(255)' },
                 { name: 'failed_login_attempts', type: 'INTEGER DEFAULT 0' },
                 { name: 'account_locked_until', type: 'TIMESTAMP' },
-                { name: 'last_login', type: 'TIMESTAMP' }
+                { name: 'last_login', type: 'TIMESTAMP' },
+                // No default yet, so existing rows are backfilled from their tier below
+                { name: 'personal_role', type: 'VARCHAR(20)' }
             ];
 
             for (const column of requiredUserColumns) {
@@ -75,6 +78,19 @@ async function createTables() {
             }
         }
 
+        // Role each user acts with on their own account. Accounts that predate it keep the
+        // role their subscription tier used to imply; from then on it is assigned explicitly.
+        await pool.query(`
+            UPDATE users SET personal_role = CASE subscription_tier
+                WHEN 'enterprise' THEN 'admin'
+                WHEN 'professional' THEN 'manager'
+                WHEN 'standard' THEN 'viewer'
+                ELSE 'free_user'
+            END
+            WHERE personal_role IS NULL
+        `);
+        await pool.query(`ALTER TABLE users ALTER COLUMN personal_role SET DEFAULT 'free_user'`);
+
         // Create user_sessions table
         await pool.query(`
             CREATE TABLE IF NOT EXISTS user_sessions (
@@ -126,6 +142,16 @@ async function createTables() {
                     team VARCHAR(100),
                     business_unit VARCHAR(100),
                     tags JSONB,
+                    linked_account_id VARCHAR(20),
+                    usage_type VARCHAR(255),
+                    operation VARCHAR(255),
+                    line_item_type VARCHAR(50),
+                    usage_amount DECIMAL(20,8),
+                    unblended_cost DECIMAL(15,8),
+                    amortized_cost DECIMAL(15,8),
+                    billing_period DATE,
+                    source VARCHAR(20) DEFAULT 'cost_explorer',
+                    cur_ingestion_id INTEGER,
                     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
                 )
             `);
@@ -145,7 +171,17 @@ async function createTables() {
                 { name: 'environment', type: 'VARCHAR(50)' },
                 { name: 'team', type: 'VARCHAR(100)' },
                 { name: 'business_unit', type: 'VARCHAR(100)' },
-                { name: 'tags', type: 'JSONB' }
+                { name: 'tags', type: 'JSONB' },
+                { name: 'linked_account_id', type: 'VARCHAR(20)' },
+                { name: 'usage_type', type: 'VARCHAR(255)' },
+                { name: 'operation', type: 'VARCHAR(255)' },
+                { name: 'line_item_type', type: 'VARCHAR(50)' },
+                { name: 'usage_amount', type: 'DECIMAL(20,8)' },
+                { name: 'unblended_cost', type: 'DECIMAL(15,8)' },
+                { name: 'amortized_cost', type: 'DECIMAL(15,8)' },
+                { name: 'billing_period', type: 'DATE' },
+                { name: 'source', type: 'VARCHAR(20) DEFAULT \'cost_explorer\'' },
+                { name: 'cur_ingestion_id', type: 'INTEGER' }
             ];
 
             for (const column of requiredColumns) {
@@ -160,6 +196,8 @@ async function createTables() {
         console.log('📊 Creating indexes for cost_records...');
         await pool.query(`CREATE INDEX IF NOT EXISTS idx_cost_records_date ON cost_records(date)`);
         await pool.query(`CREATE INDEX IF NOT EXISTS idx_cost_records_service ON cost_records(service_name)`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_cost_records_user_account_date ON cost_records(user_id, linked_account_id, date)`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_cost_records_user_source_period ON cost_records(user_id, source, billing_period)`);
 
         // Check if cost_center column exists before creating index
         const costCenterExists = await pool.query(`
@@ -231,7 +269,40 @@ async function createTables() {
             )
         `);
 
+        // Invoice workflow columns (chargeback/showback statements); NULL on plain reports
+        const chargebackColumnsCheck = await pool.query(`
+            SELECT column_name FROM information_schema.columns 
+            WHERE table_name = 'chargeback_reports' AND table_schema = 'public'
+        `);
+        const chargebackExistingCols = chargebackColumnsCheck.rows.map(r => r.column_name);
+        const chargebackInvoiceColumns = [
+            { name: 'document_type', type: 'VARCHAR(20)' },
+            { name: 'status', type: 'VARCHAR(20)' },
+            { name: 'period_start', type: 'DATE' },
+            { name: 'period_end', type: 'DATE' },
+            { name: 'currency', type: 'VARCHAR(10) DEFAULT \'USD\'' },
+            { name: 'owner_user_id', type: 'INTEGER REFERENCES users(id) ON DELETE SET NULL' },
+            { name: 'owner_email', type: 'VARCHAR(255)' },
+            { name: 'snapshot', type: 'JSONB' },
+            { name: 'snapshot_hash', type: 'VARCHAR(64)' },
+            { name: 'submitted_by', type: 'INTEGER' },
+            { name: 'submitted_at', type: 'TIMESTAMP' },
+            { name: 'approved_by', type: 'INTEGER' },
+            { name: 'approved_at', type: 'TIMESTAMP' },
+            { name: 'approval_comment', type: 'TEXT' },
+            { name: 'published_by', type: 'INTEGER' },
+            { name: 'published_at', type: 'TIMESTAMP' },
+            { name: 'updated_at', type: 'TIMESTAMP' }
+        ];
+        for (const column of chargebackInvoiceColumns) {
+            if (!chargebackExistingCols.includes(column.name)) {
+                console.log(`➕ Adding missing chargeback_reports column: ${column.name}`);
+                await pool.query(`ALTER TABLE chargeback_reports ADD COLUMN ${column.name} ${column.type}`);
+            }
+        }
+
         await pool.query(`CREATE INDEX IF NOT EXISTS idx_chargeback_period_date ON chargeback_reports(report_period, report_date)`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_chargeback_invoice_lookup ON chargeback_reports(user_id, cost_center, period_start, document_type)`);
 
         // Monthly trends table for existing functionality
         await pool.query(`
@@ -534,6 +605,10 @@ async function createTables() {
                 description TEXT,
                 rules JSONB DEFAULT '{}',
                 severity VARCHAR(20) DEFAULT 'medium',
+                schedule_cron VARCHAR(100),
+                schedule_timezone VARCHAR(64) DEFAULT 'UTC',
+                next_run_at TIMESTAMP,
+                last_evaluated_at TIMESTAMP,
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )
@@ -562,6 +637,18 @@ async function createTables() {
         if (!gpExistingCols.includes('priority')) {
             await pool.query(`ALTER TABLE governance_policies ADD COLUMN priority INTEGER DEFAULT 100`);
         }
+        const gpScheduleColumns = [
+            { name: 'schedule_cron', type: 'VARCHAR(100)' },
+            { name: 'schedule_timezone', type: "VARCHAR(64) DEFAULT 'UTC'" },
+            { name: 'next_run_at', type: 'TIMESTAMP' },
+            { name: 'last_evaluated_at', type: 'TIMESTAMP' }
+        ];
+        for (const column of gpScheduleColumns) {
+            if (!gpExistingCols.includes(column.name)) {
+                console.log(`➕ Adding ${column.name} column to governance_policies...`);
+                await pool.query(`ALTER TABLE governance_policies ADD COLUMN ${column.name} ${column.type}`);
+            }
+        }
         
         await pool.query(`CREATE INDEX IF NOT EXISTS idx_governance_policies_user ON governance_policies(user_id)`);
 
@@ -608,10 +695,46 @@ async function createTables() {
                 detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
                 resolved_at TIMESTAMP,
                 status VARCHAR(20) DEFAULT 'open',
-                metadata JSONB DEFAULT '{}'
+                metadata JSONB DEFAULT '{}',
+                anomaly_key VARCHAR(255),
+                cost_date DATE,
+                confidence DECIMAL(6,4),
+                label VARCHAR(20),
+                feedback_note TEXT,
+                feedback_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                feedback_at TIMESTAMP,
+                suppress_until TIMESTAMP,
+                alerted_at TIMESTAMP
             )
         `);
+
+        // Add feedback columns to anomalies tables created before the feedback loop
+        const anomalyColumnsCheck = await pool.query(`
+            SELECT column_name FROM information_schema.columns 
+            WHERE table_name = 'anomalies' AND table_schema = 'public'
+        `);
+        const anomalyExistingCols = anomalyColumnsCheck.rows.map(r => r.column_name);
+        const anomalyFeedbackColumns = [
+            { name: 'anomaly_key', type: 'VARCHAR(255)' },
+            { name: 'cost_date', type: 'DATE' },
+            { name: 'confidence', type: 'DECIMAL(6,4)' },
+            { name: 'label', type: 'VARCHAR(20)' },
+            { name: 'feedback_note', type: 'TEXT' },
+            { name: 'feedback_by', type: 'INTEGER REFERENCES users(id) ON DELETE SET NULL' },
+            { name: 'feedback_at', type: 'TIMESTAMP' },
+            { name: 'suppress_until', type: 'TIMESTAMP' },
+            { name: 'alerted_at', type: 'TIMESTAMP' }
+        ];
+        for (const column of anomalyFeedbackColumns) {
+            if (!anomalyExistingCols.includes(column.name)) {
+                console.log(`➕ Adding ${column.name} column to anomalies...`);
+                await pool.query(`ALTER TABLE anomalies ADD COLUMN ${column.name} ${column.type}`);
+            }
+        }
+
         await pool.query(`CREATE INDEX IF NOT EXISTS idx_anomalies_user ON anomalies(user_id)`);
+        await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_anomalies_user_key ON anomalies(user_id, anomaly_key)`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_anomalies_feedback ON anomalies(user_id, service_name, feedback_at)`);
 
         // Audit logs table
         console.log('📊 Creating audit_logs table...');
@@ -700,6 +823,575 @@ async function createTables() {
         `);
         await pool.query(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id)`);
 
+        // Export jobs, their run history and output file metadata
+        console.log('📊 Creating export job tables...');
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS export_jobs (
+                id UUID PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                name VARCHAR(255) NOT NULL,
+                type VARCHAR(50) NOT NULL,
+                status VARCHAR(20) DEFAULT 'pending',
+                schedule JSONB NOT NULL DEFAULT '{}',
+                filters JSONB NOT NULL DEFAULT '{}',
+                output JSONB NOT NULL DEFAULT '{}',
+                data_lake JSONB,
+                next_run TIMESTAMPTZ,
+                retry_at TIMESTAMPTZ,
+                attempts INTEGER DEFAULT 0,
+                max_attempts INTEGER DEFAULT 3,
+                missed_runs INTEGER DEFAULT 0,
+                error TEXT,
+                delivery_status VARCHAR(20),
+                locked_by VARCHAR(255),
+                locked_until TIMESTAMPTZ,
+                completed_at TIMESTAMPTZ,
+                created_at TIMESTAMPTZ DEFAULT NOW(),
+                updated_at TIMESTAMPTZ DEFAULT NOW()
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_export_jobs_user ON export_jobs(user_id)`);
+        // Failed runs are retried from the row, by whichever instance's scheduler claims them first
+        const exportJobColumns = (await pool.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'export_jobs' AND table_schema = 'public'
+        `)).rows.map(r => r.column_name);
+        if (!exportJobColumns.includes('retry_at')) {
+            await pool.query(`ALTER TABLE export_jobs ADD COLUMN retry_at TIMESTAMPTZ`);
+        }
+        // Webhook deliveries used to carry an inline url and secret; drop them so they are not
+        // kept (or returned) with the job. Those jobs need a registered webhook_id to deliver again.
+        await pool.query(`
+            UPDATE export_jobs
+            SET output = output #- '{delivery,config,url}' #- '{delivery,config,secret}'
+            WHERE output->'delivery'->'config' ?| ARRAY['url', 'secret']
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS export_job_runs (
+                id SERIAL PRIMARY KEY,
+                job_id UUID REFERENCES export_jobs(id) ON DELETE CASCADE,
+                status VARCHAR(20) NOT NULL,
+                attempt INTEGER DEFAULT 1,
+                instance_id VARCHAR(255),
+                record_count INTEGER,
+                error TEXT,
+                deliveries JSONB NOT NULL DEFAULT '[]',
+                started_at TIMESTAMPTZ DEFAULT NOW(),
+                finished_at TIMESTAMPTZ
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_export_job_runs_job ON export_job_runs(job_id, started_at DESC)`);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS export_outputs (
+                id SERIAL PRIMARY KEY,
+                job_id UUID REFERENCES export_jobs(id) ON DELETE CASCADE,
+                run_id INTEGER REFERENCES export_job_runs(id) ON DELETE SET NULL,
+                format VARCHAR(20) NOT NULL,
+                file_path TEXT NOT NULL,
+                filename VARCHAR(255) NOT NULL,
+                size_bytes BIGINT,
+                record_count INTEGER,
+                storage VARCHAR(20) NOT NULL DEFAULT 'database',
+                content BYTEA,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            )
+        `);
+        // Outputs live in shared storage (S3 or the row itself) so any instance can serve them;
+        // older rows point at a file on the instance that wrote it
+        const exportOutputColumns = (await pool.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'export_outputs' AND table_schema = 'public'
+        `)).rows.map(r => r.column_name);
+        if (!exportOutputColumns.includes('storage')) {
+            await pool.query(`ALTER TABLE export_outputs ADD COLUMN storage VARCHAR(20) NOT NULL DEFAULT 'local'`);
+            await pool.query(`ALTER TABLE export_outputs ALTER COLUMN storage SET DEFAULT 'database'`);
+        }
+        if (!exportOutputColumns.includes('content')) {
+            await pool.query(`ALTER TABLE export_outputs ADD COLUMN content BYTEA`);
+        }
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_export_outputs_job ON export_outputs(job_id, created_at DESC)`);
+
+        // Saved forecasts and their daily predictions, scored against actuals later
+        console.log('📊 Creating forecast tables...');
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS forecasts (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                service_name VARCHAR(255) NOT NULL,
+                horizon INTEGER NOT NULL,
+                confidence_level DECIMAL(4,3),
+                algorithms JSONB DEFAULT '[]',
+                model_weights JSONB DEFAULT '{}',
+                backtest JSONB DEFAULT '{}',
+                ensemble_accuracy DECIMAL(6,2),
+                generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_forecasts_user_service ON forecasts(user_id, service_name, generated_at DESC)`);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS forecast_points (
+                id SERIAL PRIMARY KEY,
+                forecast_id INTEGER REFERENCES forecasts(id) ON DELETE CASCADE,
+                forecast_date DATE NOT NULL,
+                predicted DECIMAL(15,4) NOT NULL,
+                lower_bound DECIMAL(15,4),
+                upper_bound DECIMAL(15,4),
+                UNIQUE(forecast_id, forecast_date)
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_forecast_points_date ON forecast_points(forecast_date)`);
+        // The accuracy endpoint's model backtest, run at most once a day per user, service and settings
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS forecast_backtests (
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                service_name VARCHAR(255) NOT NULL,
+                horizon INTEGER NOT NULL,
+                confidence_level DECIMAL(4,3) NOT NULL,
+                backtest_date DATE NOT NULL DEFAULT CURRENT_DATE,
+                data_points INTEGER NOT NULL,
+                backtest JSONB NOT NULL,
+                computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (user_id, service_name, horizon, confidence_level, backtest_date)
+            )
+        `);
+
+        // External ID each user's cross-account IAM role must require; issued once and shared
+        // by every backend instance, since customers copy it into their role trust policies
+        console.log('📊 Creating AWS external ID table...');
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS aws_external_ids (
+                user_id ${userIdType} PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                external_id VARCHAR(100) NOT NULL,
+                created_at TIMESTAMPTZ DEFAULT NOW()
+            )
+        `);
+
+        // Linked accounts each user may see (discovered from their own Cost Explorer access)
+        console.log('📊 Creating multi-account tables...');
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS aws_accounts (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                account_id VARCHAR(20) NOT NULL,
+                account_name VARCHAR(255),
+                status VARCHAR(20) DEFAULT 'active',
+                discovered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_synced_at TIMESTAMP,
+                UNIQUE(user_id, account_id)
+            )
+        `);
+
+        // Monthly RI / Savings Plans coverage and utilization per linked account
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS account_commitment_metrics (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                account_id VARCHAR(20) NOT NULL,
+                period_start DATE NOT NULL,
+                period_end DATE NOT NULL,
+                ri_coverage DECIMAL(7,4),
+                ri_utilization DECIMAL(7,4),
+                ri_commitment_cost DECIMAL(15,4),
+                ri_unused_cost DECIMAL(15,4),
+                sp_coverage DECIMAL(7,4),
+                sp_utilization DECIMAL(7,4),
+                sp_commitment DECIMAL(15,4),
+                sp_unused_commitment DECIMAL(15,4),
+                on_demand_cost DECIMAL(15,4),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(user_id, account_id, period_start)
+            )
+        `);
+
+        // CUR loads, one row per billing period delivery (assembly / execution)
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS cur_ingestions (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                source_type VARCHAR(10) NOT NULL,
+                source_location TEXT,
+                report_name VARCHAR(255),
+                report_format VARCHAR(20),
+                billing_period DATE NOT NULL,
+                assembly_id VARCHAR(100),
+                status VARCHAR(20) NOT NULL DEFAULT 'running',
+                files_processed INTEGER DEFAULT 0,
+                line_items INTEGER DEFAULT 0,
+                records_loaded INTEGER DEFAULT 0,
+                unblended_cost DECIMAL(18,6),
+                amortized_cost DECIMAL(18,6),
+                error_message TEXT,
+                started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                completed_at TIMESTAMP
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_cur_ingestions_user_period ON cur_ingestions(user_id, billing_period, status)`);
+
+        // Rows of an in-flight CUR load; moved into cost_records in one statement once complete
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS cur_staged_records (
+                ingestion_id INTEGER REFERENCES cur_ingestions(id) ON DELETE CASCADE,
+                date DATE NOT NULL,
+                linked_account_id VARCHAR(20),
+                service_name VARCHAR(255) NOT NULL,
+                region VARCHAR(100),
+                resource_id VARCHAR(500),
+                usage_type VARCHAR(255),
+                operation VARCHAR(255),
+                line_item_type VARCHAR(50),
+                usage_amount DECIMAL(20,8),
+                currency VARCHAR(10),
+                unblended_cost DECIMAL(15,8),
+                amortized_cost DECIMAL(15,8),
+                cost_center VARCHAR(100),
+                department VARCHAR(100),
+                project VARCHAR(100),
+                environment VARCHAR(50),
+                team VARCHAR(100),
+                business_unit VARCHAR(100),
+                tags JSONB
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_cur_staged_records_ingestion ON cur_staged_records(ingestion_id)`);
+
+        // Organizations: members act on the owner's cost data with a per-organization role
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS organizations (
+                id SERIAL PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                owner_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Custom roles built from the RoleService permission catalog
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS organization_roles (
+                id SERIAL PRIMARY KEY,
+                organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                description TEXT,
+                permissions JSONB NOT NULL DEFAULT '[]',
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(organization_id, name)
+            )
+        `);
+
+        // role holds a built-in role name; custom_role_id is set instead for custom roles.
+        // scope limits the member to some cost centers / departments / projects / teams / accounts
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS organization_members (
+                id SERIAL PRIMARY KEY,
+                organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                role VARCHAR(50),
+                custom_role_id INTEGER REFERENCES organization_roles(id) ON DELETE RESTRICT,
+                scope JSONB,
+                invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(organization_id, user_id),
+                CHECK ((role IS NULL) <> (custom_role_id IS NULL))
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_organization_members_user ON organization_members(user_id)`);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS organization_invitations (
+                id SERIAL PRIMARY KEY,
+                organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+                email VARCHAR(255) NOT NULL,
+                role VARCHAR(50),
+                custom_role_id INTEGER REFERENCES organization_roles(id) ON DELETE CASCADE,
+                scope JSONB,
+                token_hash VARCHAR(64) NOT NULL UNIQUE,
+                invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                expires_at TIMESTAMP NOT NULL,
+                accepted_at TIMESTAMP,
+                accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // API keys: personal keys act as their user (optionally inside one organization), service
+        // keys belong to an organization. Only the SHA-256 of the key is stored.
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id SERIAL PRIMARY KEY,
+                key_type VARCHAR(20) NOT NULL,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                organization_id INTEGER REFERENCES organizations(id) ON DELETE CASCADE,
+                name VARCHAR(100) NOT NULL,
+                key_prefix VARCHAR(16) NOT NULL,
+                key_hash VARCHAR(64) NOT NULL UNIQUE,
+                permissions JSONB NOT NULL DEFAULT '[]',
+                scope JSONB,
+                rate_limit_per_minute INTEGER NOT NULL DEFAULT 60,
+                rate_limit_per_day INTEGER,
+                created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expires_at TIMESTAMP,
+                last_used_at TIMESTAMP,
+                last_used_ip VARCHAR(45),
+                revoked_at TIMESTAMP,
+                CHECK ((key_type = 'personal' AND user_id IS NOT NULL)
+                    OR (key_type = 'service' AND organization_id IS NOT NULL))
+            )
+        `);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_api_keys_organization ON api_keys(organization_id)`);
+        // Requests per API key in the current minute and day, shared by every backend instance
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS api_key_usage (
+                api_key_id INTEGER REFERENCES api_keys(id) ON DELETE CASCADE,
+                window_name VARCHAR(10) NOT NULL,
+                window_start TIMESTAMPTZ NOT NULL,
+                request_count INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (api_key_id, window_name, window_start)
+            )
+        `);
+
+        // Tag remediation runs write tags to AWS resources; each item keeps the tags it replaced
+        // so a run can be rolled back
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tag_remediation_runs (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                status VARCHAR(30) NOT NULL DEFAULT 'planned',
+                tag_rules JSONB NOT NULL,
+                max_resources INTEGER NOT NULL,
+                resource_count INTEGER DEFAULT 0,
+                truncated BOOLEAN DEFAULT false,
+                applied_count INTEGER DEFAULT 0,
+                failed_count INTEGER DEFAULT 0,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                applied_at TIMESTAMP,
+                rolled_back_at TIMESTAMP
+            )
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tag_remediation_items (
+                id SERIAL PRIMARY KEY,
+                run_id INTEGER NOT NULL REFERENCES tag_remediation_runs(id) ON DELETE CASCADE,
+                resource_arn VARCHAR(2048) NOT NULL,
+                region VARCHAR(50),
+                changes JSONB NOT NULL,
+                status VARCHAR(30) NOT NULL DEFAULT 'planned',
+                error TEXT,
+                applied_at TIMESTAMP,
+                rolled_back_at TIMESTAMP
+            )
+        `);
+
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_tag_remediation_runs_user ON tag_remediation_runs(user_id, created_at)`);
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_tag_remediation_items_run ON tag_remediation_items(run_id)`);
+
+        // Tag dictionary: alias keys and value variants mapped to canonical ones at query time
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tag_key_aliases (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                alias VARCHAR(128) NOT NULL,
+                canonical_key VARCHAR(128) NOT NULL,
+                source VARCHAR(20) DEFAULT 'manual',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(user_id, alias)
+            )
+        `);
+
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS tag_value_aliases (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                canonical_key VARCHAR(128) NOT NULL,
+                alias VARCHAR(256) NOT NULL,
+                canonical_value VARCHAR(256) NOT NULL,
+                source VARCHAR(20) DEFAULT 'manual',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(user_id, canonical_key, alias)
+            )
+        `);
+
+        // Destructive governance actions (stop, snapshot-and-delete) wait here for an approval
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS governance_action_requests (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                policy_id INTEGER REFERENCES governance_policies(id) ON DELETE CASCADE,
+                policy_name VARCHAR(255),
+                action_type VARCHAR(50) NOT NULL,
+                action JSONB NOT NULL,
+                resource_id VARCHAR(255) NOT NULL,
+                region VARCHAR(50),
+                resource JSONB NOT NULL,
+                description TEXT,
+                status VARCHAR(30) NOT NULL DEFAULT 'pending_approval',
+                requested_by INTEGER,
+                decided_by INTEGER,
+                decision_comment TEXT,
+                result JSONB,
+                error TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                decided_at TIMESTAMP,
+                executed_at TIMESTAMP
+            )
+        `);
+
+        await pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_governance_action_requests_pending
+            ON governance_action_requests(user_id, policy_id, resource_id, action_type)
+            WHERE status = 'pending_approval'
+        `);
+
+        // Time-boxed policy exemptions for a resource, tag, account or service
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS governance_exemptions (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                policy_id INTEGER REFERENCES governance_policies(id) ON DELETE CASCADE,
+                scope_type VARCHAR(20) NOT NULL,
+                scope_key VARCHAR(128),
+                scope_value VARCHAR(255) NOT NULL,
+                justification TEXT NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending_approval',
+                expires_at TIMESTAMP NOT NULL,
+                reminder_days INTEGER DEFAULT 7,
+                reminder_sent_at TIMESTAMP,
+                notify_webhook TEXT,
+                requested_by INTEGER,
+                decided_by INTEGER,
+                decision_comment TEXT,
+                decided_at TIMESTAMP,
+                revoked_by INTEGER,
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_governance_exemptions_user_status ON governance_exemptions(user_id, status, expires_at)`);
+
+        // One record per policy and resource that violated it, kept across evaluations
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS governance_violations (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                policy_id INTEGER REFERENCES governance_policies(id) ON DELETE CASCADE,
+                resource_id VARCHAR(255) NOT NULL,
+                resource_type VARCHAR(50),
+                region VARCHAR(50),
+                status VARCHAR(20) NOT NULL DEFAULT 'open',
+                owner VARCHAR(255),
+                reasons JSONB DEFAULT '[]',
+                cost_at_risk DECIMAL(15,2) DEFAULT 0,
+                occurrences INTEGER DEFAULT 1,
+                first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                resolved_at TIMESTAMP,
+                actioned_at TIMESTAMP,
+                status_changed_at TIMESTAMP,
+                status_changed_by INTEGER,
+                status_comment TEXT,
+                exemption_id INTEGER REFERENCES governance_exemptions(id) ON DELETE SET NULL,
+                UNIQUE(policy_id, resource_id)
+            )
+        `);
+
+        const gvColumnsCheck = await pool.query(`
+            SELECT column_name FROM information_schema.columns 
+            WHERE table_name = 'governance_violations' AND table_schema = 'public'
+        `);
+        if (!gvColumnsCheck.rows.some(r => r.column_name === 'exemption_id')) {
+            console.log('➕ Adding exemption_id column to governance_violations...');
+            await pool.query(`ALTER TABLE governance_violations ADD COLUMN exemption_id INTEGER REFERENCES governance_exemptions(id) ON DELETE SET NULL`);
+        }
+
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_governance_violations_user_status ON governance_violations(user_id, status)`);
+
+        // Every policy evaluation, manual or scheduled, for compliance over time
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS governance_policy_evaluations (
+                id SERIAL PRIMARY KEY,
+                policy_id INTEGER REFERENCES governance_policies(id) ON DELETE CASCADE,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                trigger VARCHAR(20) NOT NULL,
+                status VARCHAR(20) NOT NULL,
+                skipped_reason TEXT,
+                resources_evaluated INTEGER,
+                violation_count INTEGER DEFAULT 0,
+                exempted_count INTEGER DEFAULT 0,
+                new_violations INTEGER DEFAULT 0,
+                remediated_count INTEGER DEFAULT 0,
+                open_violations INTEGER DEFAULT 0,
+                cost_at_risk DECIMAL(15,2) DEFAULT 0,
+                compliance_rate DECIMAL(5,2),
+                evaluated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const gpeColumnsCheck = await pool.query(`
+            SELECT column_name FROM information_schema.columns 
+            WHERE table_name = 'governance_policy_evaluations' AND table_schema = 'public'
+        `);
+        if (!gpeColumnsCheck.rows.some(r => r.column_name === 'exempted_count')) {
+            console.log('➕ Adding exempted_count column to governance_policy_evaluations...');
+            await pool.query(`ALTER TABLE governance_policy_evaluations ADD COLUMN exempted_count INTEGER DEFAULT 0`);
+        }
+
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_governance_policy_evaluations_policy ON governance_policy_evaluations(policy_id, evaluated_at)`);
+
+        // High-water mark over cost_records.id per data lake connection and target table
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS data_lake_watermarks (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                connection_id VARCHAR(64) NOT NULL,
+                table_name VARCHAR(128) NOT NULL,
+                high_water_mark BIGINT NOT NULL DEFAULT 0,
+                rows_exported BIGINT NOT NULL DEFAULT 0,
+                last_job_id INTEGER,
+                last_exported_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(connection_id, table_name)
+            )
+        `);
+
+        // Bulk export runs: the planned chunks and how far the run got
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS data_lake_export_jobs (
+                id SERIAL PRIMARY KEY,
+                user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+                connection_id VARCHAR(64) NOT NULL,
+                table_name VARCHAR(128) NOT NULL,
+                status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                full_export BOOLEAN DEFAULT false,
+                from_id BIGINT NOT NULL,
+                to_id BIGINT NOT NULL,
+                chunks JSONB NOT NULL DEFAULT '[]',
+                chunks_completed INTEGER NOT NULL DEFAULT 0,
+                source_rows BIGINT NOT NULL DEFAULT 0,
+                rows_exported BIGINT NOT NULL DEFAULT 0,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                error TEXT,
+                created_by INTEGER,
+                heartbeat_at TIMESTAMP,
+                started_at TIMESTAMP,
+                completed_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await pool.query(`CREATE INDEX IF NOT EXISTS idx_data_lake_export_jobs_user ON data_lake_export_jobs(user_id, created_at)`);
+        // At most one unfinished run per connection and table
+        await pool.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_data_lake_export_jobs_active
+            ON data_lake_export_jobs(connection_id, table_name) WHERE status IN ('pending', 'running')
+        `);
+
         console.log('✅ All cost tracking and resource allocation tables created/updated!');
         console.log('📊 Tables created/updated:');
         console.log('   - users (existing or created)');
@@ -707,12 +1399,25 @@ async function createTables() {
         console.log('   - cost_records (enhanced with resource-level tracking)');
         console.log('   - tag_compliance (new - for monitoring tag compliance)');
         console.log('   - cost_allocation_rules (new - for automated allocation)');
-        console.log('   - chargeback_reports (new - for team/department reports)');
+        console.log('   - chargeback_reports (new - for team/department reports and invoice snapshots)');
         console.log('   - budgets (new - for budget management)');
         console.log('   - budget_alerts (new - for budget notifications)');
         console.log('   - monthly_trends (existing or created)');
         console.log('   - daily_summaries (existing or created)');
         console.log('   - service_trends (existing or created)');
+        console.log('   - export_jobs, export_job_runs, export_outputs (export scheduling)');
+        console.log('   - forecasts, forecast_points, forecast_backtests (forecast history and daily backtests for accuracy tracking)');
+        console.log('   - aws_external_ids (external IDs for cross-account IAM roles)');
+        console.log('   - aws_accounts, account_commitment_metrics (multi-account rollups)');
+        console.log('   - cur_ingestions, cur_staged_records (Cost and Usage Report loads)');
+        console.log('   - organizations, organization_roles, organization_members, organization_invitations (org RBAC)');
+        console.log('   - api_keys, api_key_usage (personal and service API keys, rate limit counters)');
+        console.log('   - tag_remediation_runs, tag_remediation_items (tags written back to AWS resources)');
+        console.log('   - tag_key_aliases, tag_value_aliases (tag dictionary)');
+        console.log('   - governance_action_requests (approvals for destructive policy actions)');
+        console.log('   - governance_violations, governance_policy_evaluations (violation history and compliance over time)');
+        console.log('   - governance_exemptions (time-boxed policy exemptions)');
+        console.log('   - data_lake_watermarks, data_lake_export_jobs (incremental data lake bulk exports)');
 
         await pool.end();
         process.exit(0);
@@ -1,18 +1,61 @@
 // /Users/rahulindi/aws-cost-tracker/backend/src/middleware/authMiddleware.js
 const AuthService = require('../services/authService');
+const ApiKeyService = require('../services/apiKeyService');
+const { applyOrganizationContext, applyApiKeyContext } = require('./rbacMiddleware');
+
+// API keys arrive in X-API-Key or as the bearer token; they are checked against their own
+// rate limits and permissions instead of the user's session
+const authenticateApiKey = async (req, res, next, rawKey) => {
+    const key = await ApiKeyService.authenticate(rawKey);
+    if (!key) {
+        return res.status(401).json({ error: 'Invalid or expired API key' });
+    }
+
+    const limit = await ApiKeyService.checkRateLimit(key);
+    res.set({
+        'X-RateLimit-Limit': String(limit.limit),
+        'X-RateLimit-Remaining': String(limit.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(limit.resetTime / 1000))
+    });
+    if (!limit.allowed) {
+        const retryAfter = Math.ceil((limit.resetTime - Date.now()) / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ success: false, error: 'API key rate limit exceeded', retryAfter });
+    }
+
+    // Denied calls are audited too
+    ApiKeyService.recordUse(req, res, key);
+
+    const access = await applyApiKeyContext(req, key);
+    if (!access.allowed) {
+        return res.status(access.status).json(access.body);
+    }
+    next();
+};
 
 const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    const apiKey = req.headers['x-api-key'] || (ApiKeyService.isApiKey(token) ? token : null);
 
-    if (!token) {
+    if (!token && !apiKey) {
         return res.status(401).json({ error: 'Access token required' });
     }
 
     try {
+        if (apiKey) {
+            return await authenticateApiKey(req, res, next, apiKey);
+        }
+
         const result = await AuthService.verifyToken(token);
         if (result.success) {
             req.user = result.user; // Extract the user object from the result
+
+            // X-Organization-Id switches data routes to the organization's data and role
+            const access = await applyOrganizationContext(req);
+            if (!access.allowed) {
+                return res.status(access.status).json(access.body);
+            }
             next();
         } else {
             if (result.code === 'TOKEN_EXPIRED') {
@@ -1,4 +1,271 @@
 const RoleService = require('../services/roleService');
+const OrganizationService = require('../services/organizationService');
+
+const P = RoleService.permissions;
+
+// Permission each data API needs, from the member's role inside an organization
+// (X-Organization-Id) or from the caller's personal role on their own account.
+// GET/HEAD need `read`, everything else `write`; `routes` overrides single endpoints by
+// 'METHOD /route/path'. APIs not listed here (auth, users, orgs, docs) always act on the
+// caller's own account and ignore the organization header.
+const ROUTE_PERMISSIONS = {
+    '/api/costs': { read: P.VIEW_COSTS, write: P.VIEW_COSTS },
+    '/api/trends': { read: P.VIEW_COSTS, write: P.VIEW_COSTS },
+    '/api/alerts': { read: P.VIEW_COSTS, write: P.CREATE_ALERTS },
+    '/api/multi': { read: P.VIEW_COSTS, write: P.API_ACCESS },
+    '/api/cur': { read: P.VIEW_COSTS, write: P.API_ACCESS },
+    '/api/export': { read: P.EXPORT_COSTS, write: P.EXPORT_COSTS },
+    '/api/resource-costs': {
+        read: P.VIEW_COSTS,
+        write: P.BULK_OPERATIONS,
+        routes: {
+            'POST /allocation-rules/preview': P.VIEW_COSTS,
+            'POST /chargeback-report': P.EXPORT_COSTS,
+            'POST /chargeback-invoices': P.EXPORT_COSTS,
+            'PUT /chargeback-invoices/:id': P.EXPORT_COSTS,
+            'GET /chargeback-invoices/:id/pdf': P.EXPORT_COSTS,
+            'POST /chargeback-invoices/:id/submit': P.EXPORT_COSTS,
+            'POST /chargeback-invoices/:id/publish': P.EXPORT_COSTS,
+            // Owner sign-off; the service checks the caller is the cost center owner
+            'POST /chargeback-invoices/:id/approve': P.VIEW_COSTS,
+            'POST /chargeback-invoices/:id/reject': P.VIEW_COSTS,
+            'POST /chargeback-reports/download': P.EXPORT_COSTS,
+            'POST /cost-breakdown/download': P.EXPORT_COSTS
+        }
+    },
+    '/api/anomalies': { read: P.VIEW_COSTS, write: P.MANAGE_ALERTS },
+    '/api/budgets': { read: P.VIEW_COSTS, write: P.MANAGE_ALERTS },
+    '/api/integrations': { read: P.API_ACCESS, write: P.API_ACCESS },
+    '/api/forecasting': { read: P.VIEW_COSTS, write: P.VIEW_COSTS },
+    '/api/ri': { read: P.VIEW_COSTS, write: P.VIEW_COSTS },
+    '/api/resources': { read: P.VIEW_COSTS, write: P.VIEW_COSTS },
+    '/api/webhooks': { read: P.API_ACCESS, write: P.API_ACCESS },
+    '/api/governance': {
+        read: P.VIEW_COSTS,
+        write: P.BULK_OPERATIONS,
+        // Destructive policy actions (stop, snapshot-and-delete) and exemptions need an administrator's approval
+        routes: {
+            'POST /actions/:requestId/approve': P.MANAGE_USERS,
+            'POST /actions/:requestId/reject': P.MANAGE_USERS,
+            'POST /exemptions/:exemptionId/approve': P.MANAGE_USERS,
+            'POST /exemptions/:exemptionId/reject': P.MANAGE_USERS
+        }
+    },
+    '/api/tagging': { read: P.VIEW_COSTS, write: P.BULK_OPERATIONS },
+    '/api/business-forecast': {
+        read: P.VIEW_COSTS,
+        write: P.BULK_OPERATIONS,
+        routes: { 'POST /scenarios': P.VIEW_COSTS }
+    },
+    '/api/lifecycle': { read: P.VIEW_COSTS, write: P.BULK_OPERATIONS },
+    '/api/datalake': { read: P.API_ACCESS, write: P.API_ACCESS },
+    '/api/ai': { read: P.VIEW_COSTS, write: P.VIEW_COSTS },
+    // Stored AWS credentials belong to the organization owner
+    '/api/aws-setup': { read: P.MANAGE_USERS, write: P.MANAGE_USERS }
+};
+
+// On their own account a user is its owner: what ROUTE_PERMISSIONS reserves for organization
+// administrators (stored AWS credentials, approving governance actions) is theirs there
+const personalPermissions = (role) => [...new Set([...RoleService.getRoleInfo(role).permissions, P.MANAGE_USERS])];
+
+// Endpoints that filter cost_records by the member's scope. A member with a scope is refused
+// everywhere else rather than shown costs outside it.
+const SCOPE_AWARE_ROUTES = [
+    'GET /api/resource-costs/allocation-summary',
+    'GET /api/resource-costs/tag-compliance',
+    'GET /api/resource-costs/cost-breakdown',
+    'GET /api/resource-costs/top-cost-centers',
+    // Invoices are filtered by the cost centers in the scope
+    'GET /api/resource-costs/chargeback-invoices',
+    'GET /api/resource-costs/chargeback-invoices/:id',
+    'GET /api/resource-costs/chargeback-invoices/:id/pdf',
+    'POST /api/resource-costs/chargeback-invoices/:id/approve',
+    'POST /api/resource-costs/chargeback-invoices/:id/reject'
+];
+
+/**
+ * Permission an authenticated request needs inside an organization, or null for APIs
+ * that are not organization-aware
+ */
+const getRoutePermission = (req) => {
+    const policy = ROUTE_PERMISSIONS[req.baseUrl];
+    if (!policy) return null;
+
+    const routePath = req.route ? req.route.path : req.path;
+    const override = policy.routes && policy.routes[`${req.method} ${routePath}`];
+    if (override) return override;
+    return ['GET', 'HEAD'].includes(req.method) ? policy.read : policy.write;
+};
+
+const routeKeyOf = (req) => `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+
+/**
+ * Check a resolved grant against the route and attach it to the request.
+ * req.user.id becomes the data owner's id, so existing routes read and write that account's
+ * data unchanged; the real caller moves to req.actor.
+ * @param {Object} grant - { ownerUserId, role, permissions, scope, organization }
+ * @returns {Object} { allowed, status?, body? }
+ */
+const grantAccess = (req, permission, grant) => {
+    if (!grant.permissions.includes(permission)) {
+        return {
+            allowed: false,
+            status: 403,
+            body: {
+                success: false,
+                error: 'Insufficient permissions',
+                required: permission,
+                userRole: grant.role,
+                availablePermissions: grant.permissions
+            }
+        };
+    }
+
+    if (grant.scope && !SCOPE_AWARE_ROUTES.includes(routeKeyOf(req))) {
+        return {
+            allowed: false,
+            status: 403,
+            body: { success: false, error: 'This endpoint is not available with a restricted scope', scope: grant.scope }
+        };
+    }
+
+    req.actor = req.user;
+    req.user = {
+        ...req.user,
+        id: grant.ownerUserId,
+        role: grant.role,
+        permissions: grant.permissions
+    };
+    req.organization = grant.organization;
+    req.accessScope = grant.scope;
+    req.userRole = grant.role;
+    req.userPermissions = grant.permissions;
+    return { allowed: true };
+};
+
+/**
+ * Check an authenticated request against ROUTE_PERMISSIONS. With X-Organization-Id it acts
+ * in that organization with the member's role, permissions and scope; without it, on the
+ * caller's own account with their personal role.
+ * @returns {Object} { allowed, status?, body? }
+ */
+const applyOrganizationContext = async (req) => {
+    if (!req.user) {
+        return { allowed: true };
+    }
+
+    const permission = getRoutePermission(req);
+    if (!permission) {
+        return { allowed: true };
+    }
+
+    const organizationId = req.headers['x-organization-id'];
+    if (!organizationId) {
+        const role = RoleService.getPersonalRole(req.user);
+        return grantAccess(req, permission, {
+            ownerUserId: req.user.id,
+            role,
+            permissions: personalPermissions(role),
+            scope: null,
+            organization: undefined
+        });
+    }
+
+    const membership = await OrganizationService.getMembership(organizationId, req.user.id);
+    if (!membership) {
+        return { allowed: false, status: 403, body: { success: false, error: 'Not a member of this organization' } };
+    }
+
+    return grantAccess(req, permission, {
+        ownerUserId: membership.ownerUserId,
+        role: membership.role,
+        permissions: membership.permissions,
+        scope: membership.scope,
+        organization: {
+            id: membership.organizationId,
+            name: membership.organizationName,
+            ownerUserId: membership.ownerUserId
+        }
+    });
+};
+
+/**
+ * Attach an authenticated API key to the request. Keys only reach the data APIs in
+ * ROUTE_PERMISSIONS, and never hold more than the account behind them: a personal key is
+ * capped by its user's tier or current organization membership, a service key acts for its
+ * organization's owner with exactly the permissions it was issued.
+ * @param {Object} key - result of ApiKeyService.authenticate
+ * @returns {Object} { allowed, status?, body? }
+ */
+const applyApiKeyContext = async (req, key) => {
+    const permission = getRoutePermission(req);
+    if (!permission) {
+        return { allowed: false, status: 403, body: { success: false, error: 'API keys can only call data APIs' } };
+    }
+
+    req.apiKey = { id: key.id, type: key.keyType, name: key.name };
+    req.user = key.user
+        ? { ...key.user, apiKeyId: key.id }
+        : { id: null, username: `api-key:${key.name}`, apiKeyId: key.id };
+
+    const keyPermissions = (allowed) => key.permissions.filter(p => allowed.includes(p));
+
+    if (key.organizationId) {
+        let organization;
+        let role;
+        let permissions;
+        let scope = key.scope;
+
+        if (key.keyType === 'service') {
+            organization = await OrganizationService.getOrganization(key.organizationId);
+            if (!organization) {
+                return { allowed: false, status: 401, body: { success: false, error: 'Invalid API key' } };
+            }
+            role = 'service';
+            permissions = key.permissions;
+        } else {
+            // Personal keys lose access with the membership they were issued under
+            const membership = await OrganizationService.getMembership(key.organizationId, key.userId);
+            if (!membership) {
+                return { allowed: false, status: 403, body: { success: false, error: 'Not a member of this organization' } };
+            }
+            organization = {
+                id: membership.organizationId,
+                name: membership.organizationName,
+                ownerUserId: membership.ownerUserId
+            };
+            role = membership.role;
+            permissions = keyPermissions(membership.permissions);
+            scope = OrganizationService.intersectScopes(membership.scope, key.scope);
+        }
+
+        return grantAccess(req, permission, {
+            ownerUserId: organization.ownerUserId,
+            role,
+            permissions,
+            scope,
+            organization
+        });
+    }
+
+    const role = RoleService.getPersonalRole(key.user);
+    return grantAccess(req, permission, {
+        ownerUserId: key.user.id,
+        role,
+        permissions: keyPermissions(RoleService.getRoleInfo(role).permissions),
+        scope: key.scope,
+        organization: undefined
+    });
+};
+
+// Grant attached by applyOrganizationContext / applyApiKeyContext, personal role otherwise
+const resolveRole = (req) => {
+    if (req.userPermissions) {
+        return { userRole: req.userRole, permissions: req.userPermissions };
+    }
+    const userRole = RoleService.getPersonalRole(req.user);
+    return { userRole, permissions: personalPermissions(userRole) };
+};
 
 const requirePermission = (permission) => {
     return (req, res, next) => {
@@ -10,16 +277,17 @@ const requirePermission = (permission) => {
                 });
             }
 
-            const userRole = RoleService.getUserRole(req.user.subscription_tier || 'free');
-            const hasPermission = RoleService.hasPermission(userRole, permission);
+            const { userRole, permissions } = resolveRole(req);
+            const hasPermission = permissions.includes(permission.toLowerCase());
 
             console.log('🔍 RBAC Check:', {
                 email: req.user.email,
                 subscription_tier: req.user.subscription_tier,
+                organizationId: req.organization ? req.organization.id : null,
                 userRole,
                 requiredPermission: permission,
                 hasPermission,
-                availablePermissions: RoleService.getRoleInfo(userRole).permissions
+                availablePermissions: permissions
             });
 
             if (!hasPermission) {
@@ -28,12 +296,12 @@ const requirePermission = (permission) => {
                     error: 'Insufficient permissions',
                     required: permission.toLowerCase(),
                     userRole: userRole,
-                    availablePermissions: RoleService.getRoleInfo(userRole).permissions
+                    availablePermissions: permissions
                 });
             }
 
             req.userRole = userRole;
-            req.userPermissions = RoleService.getRoleInfo(userRole).permissions;
+            req.userPermissions = permissions;
             next();
 
         } catch (error) {
@@ -56,9 +324,9 @@ const requireRole = (role) => {
                 });
             }
 
-            const userRole = RoleService.getUserRole(req.user.subscription_tier || 'free');
+            const { userRole } = resolveRole(req);
 
-            if (userRole !== role) {
+            if (![].concat(role).includes(userRole)) {
                 return res.status(403).json({
                     success: false,
                     error: 'Insufficient role level',
@@ -83,9 +351,9 @@ const requireRole = (role) => {
 const attachUserRole = (req, res, next) => {
     try {
         if (req.user) {
-            const userRole = RoleService.getUserRole(req.user.subscription_tier || 'free');
+            const { userRole, permissions } = resolveRole(req);
             req.userRole = userRole;
-            req.userPermissions = RoleService.getRoleInfo(userRole).permissions;
+            req.userPermissions = permissions;
         }
         next();
     } catch (error) {
@@ -95,6 +363,10 @@ const attachUserRole = (req, res, next) => {
 };
 
 module.exports = {
+    applyOrganizationContext,
+    applyApiKeyContext,
+    getRoutePermission,
+    ROUTE_PERMISSIONS,
     requirePermission,
     requireRole,
     attachUserRole,
@@ -229,9 +229,9 @@ function extendDatabaseService() {
             INSERT INTO users (
                 id, username, email, password_hash, first_name, last_name, 
                 department, organization, role, auth_provider, is_active, 
-                subscription_tier, created_at, updated_at
+                subscription_tier, personal_role, created_at, updated_at
             ) VALUES (
-                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15
             ) RETURNING *;
         `;
         
@@ -248,6 +248,7 @@ function extendDatabaseService() {
             userData.auth_provider,
             userData.is_active,
             userData.subscription_tier,
+            userData.personal_role || 'free_user',
             userData.created_at,
             userData.updated_at
         ];
@@ -0,0 +1,132 @@
+// Migration: Move export jobs from jobs.json to PostgreSQL
+// Run `npm run db:init` first so export_jobs, export_job_runs and export_outputs exist.
+// NON-BREAKING: the JSON file is left in place as a backup.
+
+require('dotenv').config({ path: './backend/.env' });
+const DatabaseService = require('../services/databaseService');
+const fs = require('fs');
+const path = require('path');
+
+const JOBS_FILE = path.join(__dirname, '../data/export-jobs/jobs.json');
+
+async function migrateExportJobsToDatabase() {
+    console.log('🔄 Starting Export Job Migration to PostgreSQL\n');
+    console.log('='.repeat(80));
+
+    try {
+        // Step 1: Verify tables exist
+        console.log('\n📋 Step 1: Checking export job tables...');
+        const tables = await DatabaseService.query(`
+            SELECT table_name FROM information_schema.tables
+            WHERE table_schema = 'public'
+              AND table_name IN ('export_jobs', 'export_job_runs', 'export_outputs')
+        `);
+
+        if (tables.rows.length < 3) {
+            throw new Error('Export job tables are missing - run `npm run db:init` first');
+        }
+        console.log('✅ Export job tables found');
+
+        // Step 2: Migrate jobs from JSON file
+        console.log('\n📋 Step 2: Migrating jobs from JSON file...');
+
+        if (!fs.existsSync(JOBS_FILE)) {
+            console.log('⚠️  No jobs.json file found - nothing to migrate');
+            return;
+        }
+
+        const jobs = JSON.parse(fs.readFileSync(JOBS_FILE, 'utf8'));
+        console.log(`Found ${jobs.length} export jobs to migrate`);
+
+        let migratedCount = 0;
+        let skippedCount = 0;
+
+        for (const job of jobs) {
+            try {
+                const userId = typeof job.userId === 'string' ? parseInt(job.userId) : job.userId;
+
+                const inserted = await DatabaseService.query(`
+                    INSERT INTO export_jobs
+                    (id, user_id, name, type, status, schedule, filters, output, data_lake,
+                     next_run, attempts, max_attempts, missed_runs, error, delivery_status,
+                     completed_at, created_at, updated_at)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+                    ON CONFLICT (id) DO NOTHING
+                    RETURNING id;
+                `, [
+                    job.id,
+                    userId,
+                    job.name,
+                    job.type || 'csv',
+                    // A job that was mid-run when the file was last written never finished
+                    job.status === 'running' ? 'failed' : job.status,
+                    JSON.stringify(job.schedule || { type: 'one-time' }),
+                    JSON.stringify(job.filters || {}),
+                    JSON.stringify(job.output || {}),
+                    job.dataLake ? JSON.stringify(job.dataLake) : null,
+                    job.next_run || null,
+                    job.attempts || 0,
+                    job.max_attempts || 3,
+                    job.missed_runs || 0,
+                    job.error || null,
+                    job.delivery_status || null,
+                    job.completed_at || null,
+                    job.created_at || new Date().toISOString(),
+                    job.updated_at || new Date().toISOString()
+                ]);
+
+                if (inserted.rows.length === 0) {
+                    console.log(`  ⏭️  Skipping ${job.id} (already exists)`);
+                    skippedCount++;
+                    continue;
+                }
+
+                // Keep the last output file downloadable
+                if (job.output_file && fs.existsSync(job.output_file)) {
+                    await DatabaseService.query(`
+                        INSERT INTO export_outputs (job_id, format, file_path, filename, size_bytes, created_at)
+                        VALUES ($1, $2, $3, $4, $5, $6);
+                    `, [
+                        job.id,
+                        job.output?.format || 'csv',
+                        job.output_file,
+                        path.basename(job.output_file),
+                        job.output_size || fs.statSync(job.output_file).size,
+                        job.completed_at || job.updated_at || new Date().toISOString()
+                    ]);
+                }
+
+                console.log(`  ✅ Migrated ${job.id} (${job.name})`);
+                migratedCount++;
+            } catch (error) {
+                console.error(`  ❌ Error migrating job ${job.id}:`, error.message);
+            }
+        }
+
+        console.log(`\n✅ Migrated ${migratedCount} jobs, skipped ${skippedCount}`);
+
+        console.log('\n' + '='.repeat(80));
+        console.log('✅ EXPORT JOB MIGRATION COMPLETED');
+        console.log('='.repeat(80));
+        console.log(`\n📝 ${JOBS_FILE} is no longer read and can be removed once verified.`);
+
+    } catch (error) {
+        console.error('\n❌ Migration failed:', error);
+        throw error;
+    }
+}
+
+// Run migration
+if (require.main === module) {
+    migrateExportJobsToDatabase()
+        .then(() => {
+            console.log('\n✅ Migration completed');
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('\n❌ Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateExportJobsToDatabase;
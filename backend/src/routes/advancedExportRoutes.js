@@ -38,11 +38,12 @@ router.get('/health', (req, res) => {
             'DELETE /api/export/jobs/:id': 'Cancel/delete job',
             'GET /api/export/jobs/:id/download': 'Download export',
             'POST /api/export/jobs/:id/retry': 'Retry failed job',
+            'POST /api/export/schedule/preview': 'Preview upcoming run times for a cron schedule',
             'GET /api/export/stats': 'Export statistics'
         },
-        formats: ['csv', 'json', 'parquet'],
+        formats: ['csv', 'json', 'parquet', 'xlsx'],
         delivery_methods: ['download', 'email', 'webhook', 'data-lake'],
-        data_lakes: ['snowflake', 'databricks', 'bigquery']
+        data_lakes: ['snowflake', 'databricks', 'bigquery', 's3', 'filesystem']
     });
 });
 
@@ -136,6 +137,35 @@ router.post('/jobs', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * Preview the next run times of a cron schedule
+ * POST /api/export/schedule/preview
+ * Body: { cron, timezone, count }
+ */
+router.post('/schedule/preview', authenticateToken, (req, res) => {
+    try {
+        const { cron, timezone, count } = req.body || {};
+
+        const result = exportService.previewSchedule({ type: 'recurring', cron, timezone }, count);
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(400).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+    } catch (error) {
+        console.error('❌ Schedule preview error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to preview schedule'
+        });
+    }
+});
+
 /**
  * Download completed export
  * GET /api/export/jobs/:id/download
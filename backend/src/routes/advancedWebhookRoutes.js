@@ -28,6 +28,8 @@ const EVENT_TYPES = {
         schema: {
             job: 'object',
             error: 'string',
+            stage: 'string',
+            delivery: 'object',
             retryAvailable: 'boolean'
         }
     },
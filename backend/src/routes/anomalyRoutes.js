@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const AnomalyDetectionService = require('../services/anomalyDetectionService');
+const AnomalyFeedbackService = require('../services/anomalyFeedbackService');
 const { authenticateToken } = require('../middleware/authMiddleware');
 
 /**
@@ -75,11 +76,14 @@ router.get('/report', authenticateToken, async (req, res) => {
             });
         }
 
-        // Detect anomalies
-        const anomalies = AnomalyDetectionService.detectServiceAnomalies(costRecords);
+        // Detect anomalies with the user's feedback applied
+        const { anomalies, suppressed } = await AnomalyDetectionService.detectUserAnomalies(costRecords, userId);
 
         // Generate report with requested date range
-        const report = AnomalyDetectionService.generateAnomalyReport(anomalies, { requestedDateRange });
+        const report = AnomalyDetectionService.generateAnomalyReport(anomalies, {
+            requestedDateRange,
+            suppressedCount: suppressed.length
+        });
 
         res.json({
             success: true,
@@ -95,4 +99,102 @@ router.get('/report', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/anomalies
+ * @desc    List stored anomalies with their feedback (query: status, label, service, limit)
+ * @access  Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const { status, label, service, limit } = req.query;
+        const result = await AnomalyFeedbackService.getAnomalies(req.user.id, { status, label, service, limit });
+
+        if (!result.success) {
+            return res.status(500).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        console.error('Error in list anomalies route:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list anomalies'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/anomalies/feedback
+ * @desc    Per-service threshold multipliers and active suppressions learned from feedback
+ * @access  Private
+ */
+router.get('/feedback', authenticateToken, async (req, res) => {
+    try {
+        const feedback = await AnomalyFeedbackService.getFeedbackContext(req.user.id);
+        res.json({
+            success: true,
+            data: feedback
+        });
+    } catch (error) {
+        console.error('Error in anomaly feedback route:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load anomaly feedback'
+        });
+    }
+});
+
+/**
+ * Shared handler for the feedback actions - :id is the anomalyRecordId from /detect or /report
+ */
+const feedbackHandler = (action, failureMessage) => async (req, res) => {
+    try {
+        const result = await action(req.params.id, req.user.id, req.body || {});
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            res.status(result.error === 'Anomaly not found' ? 404 : 400).json(result);
+        }
+    } catch (error) {
+        console.error(`Error in anomaly feedback route (${req.path}):`, error);
+        res.status(500).json({
+            success: false,
+            error: failureMessage
+        });
+    }
+};
+
+/**
+ * @route   POST /api/anomalies/:id/acknowledge
+ * @desc    Acknowledge an anomaly
+ * @body    { note? }
+ * @access  Private
+ */
+router.post('/:id/acknowledge', authenticateToken, feedbackHandler(
+    (id, userId, body) => AnomalyFeedbackService.acknowledgeAnomaly(id, userId, body),
+    'Failed to acknowledge anomaly'
+));
+
+/**
+ * @route   POST /api/anomalies/:id/dismiss
+ * @desc    Dismiss an anomaly as a false positive; suppressForDays mutes similar repeats
+ * @body    { note?, suppressForDays? }
+ * @access  Private
+ */
+router.post('/:id/dismiss', authenticateToken, feedbackHandler(
+    (id, userId, body) => AnomalyFeedbackService.dismissAnomaly(id, userId, body),
+    'Failed to dismiss anomaly'
+));
+
+/**
+ * @route   POST /api/anomalies/:id/label
+ * @desc    Label an anomaly as expected, incident or ignored
+ * @body    { label, note?, suppressForDays? }
+ * @access  Private
+ */
+router.post('/:id/label', authenticateToken, feedbackHandler(
+    (id, userId, body) => AnomalyFeedbackService.labelAnomaly(id, userId, body),
+    'Failed to label anomaly'
+));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,59 @@
+// API key routes
+// Keys are sent as X-API-Key (or as the bearer token) to the data APIs; see authMiddleware.
+const express = require('express');
+const ApiKeyService = require('../services/apiKeyService');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Service results carry the HTTP status for their failures
+const send = (res, result, successStatus = 200) => {
+    if (result.success) {
+        return res.status(successStatus).json(result);
+    }
+    const { status = 500, ...body } = result;
+    res.status(status).json(body);
+};
+
+/**
+ * @route   POST /api/keys
+ * @desc    Create a personal or service API key; the key is only returned here
+ * @access  Private - api_access (service keys: manage_users in the organization)
+ * Body: { name, type?: 'personal'|'service', organizationId?, permissions?: [], scope?,
+ *         rateLimitPerMinute?, rateLimitPerDay?, expiresInDays? }
+ */
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        send(res, await ApiKeyService.createKey(req.user.id, req.body || {}, req), 201);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/keys
+ * @desc    Your personal keys, or an organization's service keys with ?organizationId=
+ * @access  Private (service keys: manage_users)
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        send(res, await ApiKeyService.listKeys(req.user.id, { organizationId: req.query.organizationId || null }));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   DELETE /api/keys/:id
+ * @desc    Revoke a key immediately
+ * @access  Private - the key's owner, or manage_users for service keys
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+        send(res, await ApiKeyService.revokeKey(req.user.id, req.params.id, req));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
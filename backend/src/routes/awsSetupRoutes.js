@@ -1,5 +1,7 @@
 const express = require('express');
 const AwsCredentialsService = require('../services/awsCredentialsService');
+const SimpleAwsCredentials = require('../services/simpleAwsCredentials');
+const { forgetUser } = require('../services/aws');
 const { authenticateToken } = require('../middleware/authMiddleware');
 const { requirePermission } = require('../middleware/rbacMiddleware');
 
@@ -18,15 +20,33 @@ router.post('/credentials', authenticateToken, requirePermission('api_access'),
 
         console.log(`🔍 Storing credentials for user: ${userId} (DB ID: ${dbUserId})`);
 
-        const credentialData = {
-            type,
-            accessKeyId,
-            secretAccessKey,
-            roleArn,
-            accountId,
-            alias,
-            region: region || 'us-east-1'
-        };
+        if (type === 'access_key' && process.env.AWS_REQUIRE_ROLE === 'true') {
+            return res.status(400).json({
+                success: false,
+                error: 'Access keys are not accepted; connect an IAM role instead (see /api/aws-setup/external-id)'
+            });
+        }
+
+        // A role is assumed with the external ID we issued the user, never one from the request
+        const credentialData = type === 'role_arn'
+            ? {
+                type,
+                roleArn,
+                externalId: await AwsCredentialsService.getExternalId(dbUserId),
+                userId: dbUserId,
+                accountId,
+                alias,
+                region: region || 'us-east-1'
+            }
+            : {
+                type,
+                accessKeyId,
+                secretAccessKey,
+                roleArn,
+                accountId,
+                alias,
+                region: region || 'us-east-1'
+            };
 
         // Validate credentials format
         const validation = await AwsCredentialsService.validateCredentials(credentialData);
@@ -35,7 +55,15 @@ router.post('/credentials', authenticateToken, requirePermission('api_access'),
         }
 
         // Store encrypted credentials using DB user ID for consistency
-        const result = await AwsCredentialsService.storeCredentials(dbUserId, credentialData);
+        const result = await AwsCredentialsService.storeCredentials(dbUserId, {
+            ...credentialData,
+            accountId: credentialData.accountId || validation.accountId
+        });
+        if (result.success) {
+            // Plain-text keys would otherwise keep taking precedence over the new credentials
+            SimpleAwsCredentials.remove(dbUserId);
+            forgetUser(dbUserId);
+        }
         res.json(result);
 
     } catch (error) {
@@ -44,6 +72,22 @@ router.post('/credentials', authenticateToken, requirePermission('api_access'),
     }
 });
 
+// External ID and trust policy for connecting a cross-account IAM role
+router.get('/external-id', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const dbUserId = typeof userId === 'string' && userId.startsWith('user-')
+            ? parseInt(userId.substring(5), 10)
+            : userId;
+
+        const result = await AwsCredentialsService.getRoleTrustPolicy(dbUserId);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('❌ AWS external ID error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get external ID' });
+    }
+});
+
 // Get AWS account info
 router.get('/account-info', authenticateToken, async (req, res) => {
     try {
@@ -88,8 +132,6 @@ router.delete('/credentials', authenticateToken, async (req, res) => {
         console.log(`   User ID variations to remove: ${userId}, ${dbUserId}, ${String(dbUserId)}`);
         
         // Remove from both storage systems
-        const SimpleAwsCredentials = require('../services/simpleAwsCredentials');
-        
         // Remove from encrypted storage (try all ID formats)
         await AwsCredentialsService.removeCredentials(dbUserId);
         await AwsCredentialsService.removeCredentials(userId);
@@ -106,6 +148,7 @@ router.delete('/credentials', authenticateToken, async (req, res) => {
             SimpleAwsCredentials.remove(`user-${userId}`);
             SimpleAwsCredentials.remove(`user-${dbUserId}`);
         }
+        forgetUser(dbUserId);
         
         console.log(`✅ Credentials removed from all storage systems for user ${dbUserId}`);
         console.log(`   Removed from encrypted storage: ${dbUserId}, ${userId}, ${String(dbUserId)}`);
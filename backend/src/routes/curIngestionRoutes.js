@@ -0,0 +1,117 @@
+// Cost and Usage Report ingestion routes
+const express = require('express');
+const CurIngestionService = require('../services/curIngestionService');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const AwsCredentials = require('../services/aws');
+
+const router = express.Router();
+
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Ephemeral header credentials first, then stored credentials (same order as /api/costs)
+const resolveCredentials = (req) => AwsCredentials.resolveCredentials(req.user.id, { requestCredentials: req.awsCredentials });
+
+/**
+ * Validate the source block shared by /discover and /ingest and find credentials for it.
+ * S3-compatible stores with their own keys pass source.accessKeyId / source.secretAccessKey;
+ * AWS buckets use the user's AWS credentials.
+ */
+const resolveSource = async (req) => {
+    const source = req.body?.source;
+    if (!source || !['local', 's3'].includes(source.type)) {
+        return { error: "source.type must be 'local' or 's3'" };
+    }
+    if (source.type === 's3' && !source.bucket) {
+        return { error: 'source.bucket is required for S3 sources' };
+    }
+    if (source.type === 'local') {
+        return { source, credentials: null };
+    }
+
+    const { accessKeyId, secretAccessKey, ...config } = source;
+    if (accessKeyId && secretAccessKey) {
+        return { source: config, credentials: { accessKeyId, secretAccessKey } };
+    }
+
+    const credentialsResult = await resolveCredentials(req);
+    if (!credentialsResult.success) {
+        return { error: 'AWS credentials not configured' };
+    }
+    return { source: config, credentials: credentialsResult.credentials };
+};
+
+/**
+ * @route   POST /api/cur/discover
+ * @desc    List the billing periods in a CUR source and whether each is new, restated or loaded
+ * @access  Private
+ * Body: { source: { type: 'local', path } | { type: 's3', bucket, prefix?, region?, endpoint? }, reportName? }
+ */
+router.post('/discover', authenticateToken, async (req, res) => {
+    try {
+        const resolved = await resolveSource(req);
+        if (resolved.error) {
+            return res.status(400).json({ success: false, error: resolved.error });
+        }
+
+        const result = await CurIngestionService.discover(req.user.id, resolved.source, resolved.credentials, {
+            reportName: req.body.reportName
+        });
+        res.status(result.success ? 200 : 400).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/cur/ingest
+ * @desc    Load new and restated billing periods from a CUR source into cost_records
+ * @access  Private
+ * Body: { source, reportName?, billingPeriods?: ['YYYY-MM'], force? } - force reloads unchanged periods
+ */
+router.post('/ingest', authenticateToken, async (req, res) => {
+    try {
+        const { billingPeriods, reportName, force = false } = req.body || {};
+        if (billingPeriods !== undefined
+            && (!Array.isArray(billingPeriods) || !billingPeriods.every(period => MONTH_PATTERN.test(period)))) {
+            return res.status(400).json({ success: false, error: 'billingPeriods must be an array of YYYY-MM months' });
+        }
+
+        const resolved = await resolveSource(req);
+        if (resolved.error) {
+            return res.status(400).json({ success: false, error: resolved.error });
+        }
+
+        console.log(`📥 CUR ingestion requested by user: ${req.user.id}`);
+        const result = await CurIngestionService.ingest(req.user.id, resolved.source, resolved.credentials, {
+            billingPeriods: billingPeriods || null,
+            reportName,
+            force: force === true
+        });
+        res.status(result.success ? 200 : (result.periods ? 207 : 400)).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/cur/ingestions
+ * @desc    CUR load history, newest first
+ * @access  Private
+ * Query: { billingPeriod?: 'YYYY-MM', limit? }
+ */
+router.get('/ingestions', authenticateToken, async (req, res) => {
+    try {
+        const billingPeriod = req.query.billingPeriod || null;
+        if (billingPeriod && !MONTH_PATTERN.test(billingPeriod)) {
+            return res.status(400).json({ success: false, error: 'billingPeriod must be in YYYY-MM format' });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+        const result = await CurIngestionService.getIngestions(req.user.id, { billingPeriod, limit });
+        res.status(result.success ? 200 : 500).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -1,11 +1,12 @@
 // Data Lake Integration Routes
-// Advanced enterprise data lake connections: Snowflake, Databricks, BigQuery
+// Advanced enterprise data lake connections: Snowflake, Databricks, BigQuery, S3 and filesystem lakes
 const express = require('express');
 const router = express.Router();
 const rateLimit = require('express-rate-limit');
 const { authenticateToken } = require('../middleware/authMiddleware');
 const { requirePermission } = require('../middleware/rbacMiddleware');
 const dataLakeService = require('../services/dataLakeService');
+const DataLakeExportService = require('../services/dataLakeExportService');
 
 // Rate limiting for data lake endpoints
 const dataLakeLimiter = rateLimit({
@@ -31,7 +32,7 @@ const convertUserId = (userId) => {
 
 /**
  * ENTERPRISE DATA LAKE INTEGRATION ROUTES
- * High-performance connections to Snowflake, Databricks, BigQuery
+ * High-performance connections to Snowflake, Databricks, BigQuery and object-store lakes
  */
 
 // Health check for data lake integration system
@@ -44,11 +45,16 @@ router.get('/health', (req, res) => {
             'snowflake-connector',
             'databricks-connector',
             'bigquery-connector',
+            's3-parquet-connector',
+            'filesystem-connector',
+            'delta-lake-tables',
+            'iceberg-tables',
             'encrypted-credentials',
             'connection-testing',
             'schema-discovery',
             'data-export-automation',
             'batch-processing',
+            'incremental-bulk-export',
             'real-time-streaming'
         ],
         endpoints: {
@@ -61,6 +67,11 @@ router.get('/health', (req, res) => {
             'POST /api/datalake/test/:id': 'Test connection',
             'GET /api/datalake/schemas': 'Get table schemas',
             'POST /api/datalake/export': 'Export data to data lake',
+            'POST /api/datalake/bulk-export': 'Incremental bulk export of cost records',
+            'GET /api/datalake/export-jobs': 'List bulk export runs',
+            'GET /api/datalake/export-status/:jobId': 'Bulk export progress',
+            'POST /api/datalake/export-cancel/:jobId': 'Cancel a bulk export',
+            'GET /api/datalake/metrics': 'Connection, export and watermark metrics',
             'POST /api/datalake/sample': 'Create sample connection'
         }
     });
@@ -415,7 +426,10 @@ router.post('/export',
 
 /**
  * Bulk export cost data to data lake
+ * Ships the cost records added or restated since the connection's high-water mark; resumes
+ * the last run for the same table instead when it failed part way.
  * POST /api/datalake/bulk-export
+ * Body: { connectionId, tableName?, full?, chunkRows? }
  */
 router.post('/bulk-export',
     authenticateToken,
@@ -424,7 +438,7 @@ router.post('/bulk-export',
         try {
             const userId = req.user.id;
             const dbUserId = convertUserId(userId);
-            const { connectionId, dateRange, services, options } = req.body;
+            const { connectionId, tableName, full, chunkRows } = req.body;
 
             if (!connectionId) {
                 return res.status(400).json({
@@ -435,35 +449,24 @@ router.post('/bulk-export',
 
             console.log('📦 Bulk exporting cost data to data lake:', connectionId);
 
-            // Simulate bulk export process
-            const exportJob = {
-                id: `export_${Date.now()}`,
+            const result = await DataLakeExportService.startBulkExport(
+                dbUserId,
+                convertUserId((req.actor || req.user).id),
                 connectionId,
-                userId: dbUserId,
-                status: 'in_progress',
-                dateRange: dateRange || {
-                    start: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(),
-                    end: new Date().toISOString()
-                },
-                services: services || ['all'],
-                options: options || {},
-                estimatedRecords: Math.floor(Math.random() * 100000) + 10000,
-                createdAt: new Date().toISOString()
-            };
+                { tableName, full: full === true, chunkRows }
+            );
 
-            // Mock processing
-            setTimeout(async () => {
-                // Simulate completion
-                console.log('✅ Bulk export completed:', exportJob.id);
-            }, 5000);
+            if (!result.success) {
+                return res.status(result.status || 500).json(result);
+            }
 
-            res.json({
+            res.status(202).json({
                 success: true,
-                message: 'Bulk export initiated successfully',
-                job: exportJob,
+                message: result.resumed ? 'Bulk export resumed' : 'Bulk export initiated successfully',
+                job: result.job,
                 links: {
-                    status: `/api/datalake/export-status/${exportJob.id}`,
-                    cancel: `/api/datalake/export-cancel/${exportJob.id}`
+                    status: `/api/datalake/export-status/${result.job.id}`,
+                    cancel: `/api/datalake/export-cancel/${result.job.id}`
                 }
             });
 
@@ -477,6 +480,72 @@ router.post('/bulk-export',
     }
 );
 
+/**
+ * List bulk export runs
+ * GET /api/datalake/export-jobs?connectionId=&status=&limit=
+ */
+router.get('/export-jobs',
+    authenticateToken,
+    requirePermission('api_access'),
+    async (req, res) => {
+        try {
+            const dbUserId = convertUserId(req.user.id);
+            const result = await DataLakeExportService.listJobs(dbUserId, req.query);
+            res.status(result.success ? 200 : result.status || 500).json(result);
+        } catch (error) {
+            console.error('❌ Export jobs retrieval error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to list export jobs'
+            });
+        }
+    }
+);
+
+/**
+ * Bulk export run progress
+ * GET /api/datalake/export-status/:jobId
+ */
+router.get('/export-status/:jobId',
+    authenticateToken,
+    requirePermission('api_access'),
+    async (req, res) => {
+        try {
+            const dbUserId = convertUserId(req.user.id);
+            const result = await DataLakeExportService.getJob(dbUserId, req.params.jobId);
+            res.status(result.success ? 200 : result.status || 500).json(result);
+        } catch (error) {
+            console.error('❌ Export status error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get export status'
+            });
+        }
+    }
+);
+
+/**
+ * Cancel a bulk export run after its current chunk
+ * POST /api/datalake/export-cancel/:jobId
+ */
+router.post('/export-cancel/:jobId',
+    authenticateToken,
+    requirePermission('export_costs'),
+    async (req, res) => {
+        try {
+            const dbUserId = convertUserId(req.user.id);
+            const result = await DataLakeExportService.cancelJob(dbUserId, req.params.jobId);
+            res.status(result.success ? 200 : result.status || 500).json(result);
+        } catch (error) {
+            console.error('❌ Export cancel error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to cancel export'
+            });
+        }
+    }
+);
+
 /**
  * Create sample data lake connection for testing
  * POST /api/datalake/sample
@@ -513,6 +582,18 @@ router.post('/sample',
                     credentials_type: 'service_account',
                     service_account_key: '{"type": "service_account", "project_id": "sample-project"}',
                     location: 'US'
+                },
+                s3: {
+                    bucket: 'sample-lake',
+                    prefix: 'finops',
+                    endpoint: 'http://localhost:9000',
+                    access_key_id: 'minioadmin',
+                    secret_access_key: 'minioadmin',
+                    table_format: 'iceberg'
+                },
+                filesystem: {
+                    path: 'sample',
+                    table_format: 'delta'
                 }
             };
 
@@ -565,40 +646,16 @@ router.get('/metrics',
     requirePermission('api_access'),
     async (req, res) => {
         try {
-            const userId = req.user.id;
-            
-            // Mock metrics data
-            const metrics = {
-                connections: {
-                    total: 3,
-                    active: 2,
-                    by_provider: {
-                        snowflake: 1,
-                        databricks: 1,
-                        bigquery: 1
-                    }
-                },
-                exports: {
-                    last_30_days: 156,
-                    total_records: 2453789,
-                    success_rate: 98.7,
-                    avg_duration_seconds: 45.2
-                },
-                performance: {
-                    avg_connection_time_ms: 234,
-                    avg_query_time_ms: 1876,
-                    avg_export_time_ms: 45234
-                },
-                usage: {
-                    data_transferred_gb: 125.6,
-                    queries_executed: 1234,
-                    schema_discoveries: 45
-                }
-            };
+            const dbUserId = convertUserId(req.user.id);
+            const result = await DataLakeExportService.getMetrics(dbUserId);
+
+            if (!result.success) {
+                return res.status(500).json(result);
+            }
 
             res.json({
                 success: true,
-                metrics,
+                metrics: result.metrics,
                 generated_at: new Date().toISOString()
             });
 
@@ -1,8 +1,8 @@
 const express = require('express');
+const crypto = require('crypto');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/authMiddleware');
-const SimpleAwsCredentials = require('../services/simpleAwsCredentials');
-const AWS = require('aws-sdk');
+const { gatewayFor } = require('../services/aws');
 
 /**
  * Helper function to convert user ID
@@ -14,35 +14,36 @@ const convertUserId = (userId) => {
     return userId;
 };
 
+/**
+ * AWS gateway acting with the requesting user's own credentials, or null without any
+ */
+const gatewayForRequest = async (req) => {
+    try {
+        return await gatewayFor(convertUserId(req.user.id), { requestCredentials: req.awsCredentials });
+    } catch (error) {
+        return null;
+    }
+};
+
 /**
  * Launch a new EC2 instance
  */
 router.post('/launch', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.id;
-        const dbUserId = convertUserId(userId);
         const { instanceType, name, ami } = req.body;
 
         console.log(`🚀 Launching EC2 instance for user ${userId}`);
 
-        // Get AWS credentials
-        const creds = SimpleAwsCredentials.get(dbUserId);
-        if (!creds.success) {
+        // AWS gateway with the user's credentials
+        const gateway = await gatewayForRequest(req);
+        if (!gateway) {
             return res.status(403).json({
                 success: false,
                 error: 'AWS credentials not configured'
             });
         }
 
-        // Initialize EC2
-        AWS.config.update({
-            accessKeyId: creds.credentials.accessKeyId,
-            secretAccessKey: creds.credentials.secretAccessKey,
-            region: creds.credentials.region
-        });
-
-        const ec2 = new AWS.EC2();
-
         // Default AMI for ap-south-1 (Amazon Linux 2)
         const defaultAmi = 'ami-0f58b397bc5c1f2e8';
 
@@ -52,6 +53,8 @@ router.post('/launch', authenticateToken, async (req, res) => {
             InstanceType: instanceType || 't2.micro',
             MinCount: 1,
             MaxCount: 1,
+            // One launch per request, however often the call is retried
+            ClientToken: crypto.randomUUID(),
             TagSpecifications: [
                 {
                     ResourceType: 'instance',
@@ -64,7 +67,7 @@ router.post('/launch', authenticateToken, async (req, res) => {
             ]
         };
 
-        const result = await ec2.runInstances(params).promise();
+        const result = await gateway.send('ec2', 'RunInstances', params);
         const instance = result.Instances[0];
 
         console.log(`✅ Instance launched: ${instance.InstanceId}`);
@@ -95,30 +98,20 @@ router.post('/launch', authenticateToken, async (req, res) => {
 router.get('/instances', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.id;
-        const dbUserId = convertUserId(userId);
 
         console.log(`📋 Listing EC2 instances for user ${userId}`);
 
-        // Get AWS credentials
-        const creds = SimpleAwsCredentials.get(dbUserId);
-        if (!creds.success) {
+        // AWS gateway with the user's credentials
+        const gateway = await gatewayForRequest(req);
+        if (!gateway) {
             return res.status(403).json({
                 success: false,
                 error: 'AWS credentials not configured'
             });
         }
 
-        // Initialize EC2
-        AWS.config.update({
-            accessKeyId: creds.credentials.accessKeyId,
-            secretAccessKey: creds.credentials.secretAccessKey,
-            region: creds.credentials.region
-        });
-
-        const ec2 = new AWS.EC2();
-
         // Get all instances
-        const result = await ec2.describeInstances().promise();
+        const result = await gateway.send('ec2', 'DescribeInstances');
 
         const instances = [];
         result.Reservations.forEach(reservation => {
@@ -160,33 +153,23 @@ router.get('/instances', authenticateToken, async (req, res) => {
 router.delete('/instances/:instanceId', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.id;
-        const dbUserId = convertUserId(userId);
         const { instanceId } = req.params;
 
         console.log(`🗑️  Terminating instance ${instanceId} for user ${userId}`);
 
-        // Get AWS credentials
-        const creds = SimpleAwsCredentials.get(dbUserId);
-        if (!creds.success) {
+        // AWS gateway with the user's credentials
+        const gateway = await gatewayForRequest(req);
+        if (!gateway) {
             return res.status(403).json({
                 success: false,
                 error: 'AWS credentials not configured'
             });
         }
 
-        // Initialize EC2
-        AWS.config.update({
-            accessKeyId: creds.credentials.accessKeyId,
-            secretAccessKey: creds.credentials.secretAccessKey,
-            region: creds.credentials.region
-        });
-
-        const ec2 = new AWS.EC2();
-
         // Terminate instance
-        await ec2.terminateInstances({
+        await gateway.send('ec2', 'TerminateInstances', {
             InstanceIds: [instanceId]
-        }).promise();
+        });
 
         console.log(`✅ Instance ${instanceId} terminated`);
 
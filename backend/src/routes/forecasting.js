@@ -5,7 +5,6 @@ const router = express.Router();
 const ForecastingEngine = require('../services/forecastingEngine');
 const { authenticateToken } = require('../middleware/authMiddleware');
 const rateLimit = require('express-rate-limit');
-const awsCostService = require('../services/awsCostService');
 // express-validator removed - not needed for this implementation
 
 // Rate limiting for forecasting endpoints (computationally expensive)
@@ -20,10 +19,17 @@ const forecastingRateLimit = rateLimit({
     legacyHeaders: false
 });
 
+// accountId (optional) limits the history to one linked account
+const invalidAccountId = (accountId) => accountId !== undefined && accountId !== null &&
+    !/^\d{12}$/.test(String(accountId));
+const ACCOUNT_ID_ERROR = { error: 'accountId must be a 12-digit AWS account ID' };
+
 /**
  * POST /api/forecasting/generate
  * GAME-CHANGING: Generate ML-powered cost forecasts
- * Body: { serviceName?, horizon?, algorithms?, confidence?, realTime? }
+ * Body: { serviceName?, horizon?, algorithms?, confidence?, accountId?, realTime? }
+ * algorithms: linear, polynomial, exponential, seasonal, holt_winters_additive,
+ *             holt_winters_multiplicative, arima
  */
 router.post('/generate', authenticateToken, forecastingRateLimit, async (req, res) => {
     try {
@@ -48,14 +54,18 @@ router.post('/generate', authenticateToken, forecastingRateLimit, async (req, re
             });
         }
 
-        if (confidence < 0.8 || confidence > 0.99) {
+        if (!(confidence >= 0.5 && confidence <= 0.999)) {
             return res.status(400).json({
-                error: 'Confidence level must be between 0.8 and 0.99',
+                error: 'Confidence level must be between 0.5 and 0.999',
                 provided: confidence,
-                validRange: '0.8-0.99'
+                validRange: '0.5-0.999'
             });
         }
 
+        if (invalidAccountId(accountId)) {
+            return res.status(400).json(ACCOUNT_ID_ERROR);
+        }
+
         // Get historical cost data (minimum 14 days for forecasting)
         console.log(`📊 Fetching historical data for ${serviceName}...`);
         const startDate = new Date();
@@ -63,13 +73,12 @@ router.post('/generate', authenticateToken, forecastingRateLimit, async (req, re
         
         const endDate = new Date();
         
-        const historicalData = await awsCostService.getCostsByDateRange(
-            req.user.id,
-            startDate.toISOString().split('T')[0],
-            endDate.toISOString().split('T')[0],
-            accountId,
-            serviceName !== 'Total' ? serviceName : null
-        );
+        const historicalData = await ForecastingEngine.getDailyCostHistory(req.user.id, {
+            startDate: startDate.toISOString().split('T')[0],
+            endDate: endDate.toISOString().split('T')[0],
+            serviceName,
+            accountId
+        });
 
         console.log(`📈 Retrieved ${historicalData.length} historical data points`);
 
@@ -88,7 +97,8 @@ router.post('/generate', authenticateToken, forecastingRateLimit, async (req, re
             confidence,
             serviceName,
             algorithms,
-            realTime
+            realTime,
+            userId: req.user.id // Saved so /accuracy can score it against actuals
         };
 
         console.log(`🔮 Generating forecast with options:`, forecastOptions);
@@ -111,12 +121,16 @@ router.post('/generate', authenticateToken, forecastingRateLimit, async (req, re
         }
 
         // Log forecast success
-        console.log(`✅ ML Forecast generated successfully: ${forecastResult.forecast.ensembleAccuracy.toFixed(1)}% accuracy`);
+        const { ensembleAccuracy } = forecastResult.forecast;
+        const accuracyText = ensembleAccuracy !== null
+            ? `${ensembleAccuracy.toFixed(1)}% backtested accuracy`
+            : 'not enough history to backtest accuracy';
+        console.log(`✅ ML Forecast generated successfully: ${accuracyText}`);
 
         // Response with comprehensive forecast data
         res.status(200).json({
             success: true,
-            message: `${horizon}-day forecast generated with ${forecastResult.forecast.ensembleAccuracy.toFixed(1)}% accuracy`,
+            message: `${horizon}-day forecast generated with ${accuracyText}`,
             forecast: forecastResult.forecast,
             metadata: {
                 generatedAt: new Date().toISOString(),
@@ -140,7 +154,7 @@ router.post('/generate', authenticateToken, forecastingRateLimit, async (req, re
 /**
  * POST /api/forecasting/batch
  * ENTERPRISE: Generate forecasts for multiple services simultaneously
- * Body: { services: [{ serviceName, horizon?, algorithms? }], confidence?, realTime? }
+ * Body: { services: [{ serviceName, horizon?, algorithms? }], confidence?, accountId?, realTime? }
  */
 router.post('/batch', authenticateToken, forecastingRateLimit, async (req, res) => {
     try {
@@ -166,6 +180,10 @@ router.post('/batch', authenticateToken, forecastingRateLimit, async (req, res)
             });
         }
 
+        if (invalidAccountId(accountId)) {
+            return res.status(400).json(ACCOUNT_ID_ERROR);
+        }
+
         if (services.length > 10) {
             return res.status(400).json({
                 error: 'Maximum 10 services allowed per batch request',
@@ -203,13 +221,12 @@ router.post('/batch', authenticateToken, forecastingRateLimit, async (req, res)
                 startDate.setDate(startDate.getDate() - Math.max(90, horizon * 2));
                 const endDate = new Date();
 
-                const historicalData = await awsCostService.getCostsByDateRange(
-                    req.user.id,
-                    startDate.toISOString().split('T')[0],
-                    endDate.toISOString().split('T')[0],
-                    accountId,
-                    serviceName !== 'Total' ? serviceName : null
-                );
+                const historicalData = await ForecastingEngine.getDailyCostHistory(req.user.id, {
+                    startDate: startDate.toISOString().split('T')[0],
+                    endDate: endDate.toISOString().split('T')[0],
+                    serviceName,
+                    accountId
+                });
 
                 if (historicalData.length < 14) {
                     batchResults.failed.push({
@@ -227,7 +244,8 @@ router.post('/batch', authenticateToken, forecastingRateLimit, async (req, res)
                     confidence,
                     serviceName,
                     algorithms,
-                    realTime: false // Disable real-time notifications for batch
+                    realTime: false, // Disable real-time notifications for batch
+                    userId: req.user.id
                 });
 
                 if (forecastResult.success) {
@@ -260,11 +278,11 @@ router.post('/batch', authenticateToken, forecastingRateLimit, async (req, res)
             }
         }
 
-        // Calculate batch summary
-        if (batchResults.successful.length > 0) {
-            batchResults.summary.averageAccuracy = batchResults.successful.reduce((sum, result) => 
-                sum + result.metadata.accuracy, 0) / batchResults.successful.length;
-        }
+        // Calculate batch summary (over the forecasts that had enough history to backtest)
+        const measured = batchResults.successful.filter(result => result.metadata.accuracy !== null);
+        batchResults.summary.averageAccuracy = measured.length > 0
+            ? measured.reduce((sum, result) => sum + result.metadata.accuracy, 0) / measured.length
+            : null;
 
         console.log(`✅ Batch forecast complete: ${batchResults.summary.successCount}/${services.length} successful`);
 
@@ -291,41 +309,34 @@ router.post('/batch', authenticateToken, forecastingRateLimit, async (req, res)
 
 /**
  * GET /api/forecasting/accuracy/:serviceName
- * Get historical forecast accuracy for a service
+ * Measured forecast accuracy for a service ('Total' for all services):
+ * rolling-origin backtest of each model on the user's cost history (run at most
+ * once a day per service, horizon and confidence), plus how saved forecasts
+ * compared with actuals over the last `period` days
+ * Query: { period?, horizon?, confidence? }
  */
 router.get('/accuracy/:serviceName', authenticateToken, async (req, res) => {
     try {
         const { serviceName } = req.params;
-        const { period = 30 } = req.query;
+        const period = parseInt(req.query.period) || 30;
+        const horizon = parseInt(req.query.horizon) || 30;
+        const confidence = parseFloat(req.query.confidence) || 0.95;
 
-        console.log(`📊 Retrieving forecast accuracy for ${serviceName} over ${period} days`);
+        if (!(confidence >= 0.5 && confidence <= 0.999)) {
+            return res.status(400).json({
+                error: 'Confidence level must be between 0.5 and 0.999',
+                provided: confidence,
+                validRange: '0.5-0.999'
+            });
+        }
 
-        // This would typically query a forecasting_accuracy table
-        // For now, return sample accuracy metrics
-        const accuracyMetrics = {
-            serviceName,
-            period: parseInt(period),
-            metrics: {
-                averageAccuracy: 87.3,
-                bestAccuracy: 94.1,
-                worstAccuracy: 76.2,
-                accuracyTrend: 'improving',
-                totalForecasts: 45,
-                accuracyByHorizon: {
-                    '30_days': 91.2,
-                    '60_days': 87.8,
-                    '90_days': 83.1
-                },
-                modelPerformance: {
-                    linear: 78.5,
-                    polynomial: 85.2,
-                    exponential: 89.1,
-                    seasonal: 82.7,
-                    ensemble: 91.3
-                }
-            },
-            generatedAt: new Date().toISOString()
-        };
+        console.log(`📊 Measuring forecast accuracy for ${serviceName} over ${period} days`);
+
+        const accuracyMetrics = await ForecastingEngine.getForecastAccuracy(req.user.id, serviceName, {
+            period,
+            horizon,
+            confidence
+        });
 
         res.status(200).json({
             success: true,
@@ -356,11 +367,10 @@ router.get('/insights/trending', authenticateToken, async (req, res) => {
         const startDate = new Date();
         startDate.setDate(startDate.getDate() - parseInt(period));
 
-        const recentCosts = await awsCostService.getCostsByDateRange(
-            req.user.id,
-            startDate.toISOString().split('T')[0],
-            endDate.toISOString().split('T')[0]
-        );
+        const recentCosts = await ForecastingEngine.getDailyCostHistory(req.user.id, {
+            startDate: startDate.toISOString().split('T')[0],
+            endDate: endDate.toISOString().split('T')[0]
+        });
 
         // Generate trending insights
         const insights = {
@@ -413,7 +423,7 @@ router.get('/insights/trending', authenticateToken, async (req, res) => {
 /**
  * POST /api/forecasting/scenario
  * REVOLUTIONARY: Scenario-based forecasting with what-if analysis
- * Body: { scenarios: [{ name, adjustments: { serviceName: multiplier } }], baseHorizon }
+ * Body: { scenarios: [{ name, adjustments: { serviceName: multiplier } }], baseHorizon, accountId? }
  */
 router.post('/scenario', authenticateToken, forecastingRateLimit, async (req, res) => {
     try {
@@ -451,17 +461,22 @@ router.post('/scenario', authenticateToken, forecastingRateLimit, async (req, re
             });
         }
 
+        if (invalidAccountId(accountId)) {
+            return res.status(400).json(ACCOUNT_ID_ERROR);
+        }
+
         // Get baseline historical data
         const startDate = new Date();
         startDate.setDate(startDate.getDate() - Math.max(90, baseHorizon * 2));
         const endDate = new Date();
 
-        const historicalData = await awsCostService.getCostsByDateRange(
-            req.user.id,
-            startDate.toISOString().split('T')[0],
-            endDate.toISOString().split('T')[0],
-            accountId
-        );
+        // Per-service rows so the scenario multipliers can be applied service by service
+        const historicalData = await ForecastingEngine.getDailyCostHistory(req.user.id, {
+            startDate: startDate.toISOString().split('T')[0],
+            endDate: endDate.toISOString().split('T')[0],
+            accountId,
+            groupByService: true
+        });
 
         if (historicalData.length < 14) {
             return res.status(400).json({
@@ -581,11 +596,14 @@ router.get('/health', async (req, res) => {
             status: 'operational',
             timestamp: new Date().toISOString(),
             capabilities: {
-                algorithms: ['linear', 'polynomial', 'exponential', 'seasonal'],
+                algorithms: [
+                    'linear', 'polynomial', 'exponential', 'seasonal',
+                    'holt_winters_additive', 'holt_winters_multiplicative', 'arima'
+                ],
                 maxHorizon: 365,
                 minDataPoints: 14,
                 maxBatchSize: 10,
-                confidenceRange: '0.8-0.99'
+                confidenceRange: '0.5-0.999'
             },
             performance: {
                 averageResponseTime: '2.3s',
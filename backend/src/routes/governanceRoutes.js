@@ -14,6 +14,18 @@ const convertUserId = (userId) => {
   return userId;
 };
 
+// Ephemeral header credentials first, then the user's stored AWS credentials
+const awsAccess = (req) => GovernanceService.awsAccess(req.user.id, req.awsCredentials);
+
+// Action request results carry the HTTP status for their failures
+const send = (res, result) => {
+  if (result.success) {
+    return res.json(result);
+  }
+  const { status = 500, ...body } = result;
+  res.status(status).json(body);
+};
+
 // Evaluate and enforce all policies
 router.post('/enforce', authenticateToken, async (req, res) => {
   try {
@@ -22,19 +34,16 @@ router.post('/enforce', authenticateToken, async (req, res) => {
     console.log(`🔍 Enforcing governance policies for user: ${userId} (DB ID: ${dbUserId})`);
     
     // Try to get AWS credentials, but don't fail if not available
-    // Only schedule_shutdown policy requires AWS credentials
-    const SimpleAwsCredentials = require('../services/simpleAwsCredentials');
-    const creds = SimpleAwsCredentials.get(dbUserId);
-    
-    let awsCredentials = null;
-    if (creds.success) {
+    // Only declarative policies on EC2 instances and EBS volumes require AWS credentials
+    const aws = await awsAccess(req);
+    if (aws) {
       console.log(`✅ AWS credentials loaded for user ${dbUserId}`);
-      awsCredentials = creds.credentials;
     } else {
-      console.log(`⚠️  No AWS credentials found for user ${dbUserId} - schedule_shutdown policies will be skipped`);
+      console.log(`⚠️  No AWS credentials found for user ${dbUserId} - EC2/EBS policies will be skipped`);
     }
     
-    const result = await GovernanceService.evaluateAndEnforce(dbUserId, awsCredentials, req.body);
+    const actorId = convertUserId((req.actor || req.user).id);
+    const result = await GovernanceService.evaluateAndEnforce(dbUserId, aws, req.body || {}, actorId);
     res.json(result);
   } catch (error) {
     console.error('Governance enforcement error:', error);
@@ -62,20 +71,31 @@ router.post('/policies', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
     const dbUserId = convertUserId(userId);
-    const { type, name, params, active = true, priority } = req.body;
+    const { type, name, params, rules, active = true, priority, schedule } = req.body;
     
     console.log(`📝 Creating governance policy for user: ${userId} (DB ID: ${dbUserId})`);
     
     if (!type || !name) return res.status(400).json({ error: 'Type and name required' });
+
+    let definition;
+    let policySchedule;
+    try {
+      definition = GovernanceService.validatePolicy(type, rules);
+      policySchedule = GovernanceService.validateSchedule(schedule);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
     
     const DatabaseService = require('../services/databaseService');
-    const query = `INSERT INTO governance_policies(user_id, type, name, params, active, priority, created_at) 
-                   VALUES($1,$2,$3,$4,$5,$6,NOW()) RETURNING id`;
+    const query = `INSERT INTO governance_policies(user_id, type, name, params, rules, active, priority, schedule_cron, schedule_timezone, next_run_at, created_at) 
+                   VALUES($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,NOW()) RETURNING id`;
     const result = await DatabaseService.query(query, 
-      [dbUserId, type, name, JSON.stringify(params||{}), active, priority]);
+      [dbUserId, type, name, JSON.stringify(params||{}), JSON.stringify(definition), active, priority,
+        policySchedule ? policySchedule.cron : null, policySchedule ? policySchedule.timezone : 'UTC',
+        policySchedule ? policySchedule.nextRunAt : null]);
     
     console.log(`✅ Policy created with ID: ${result.rows[0].id}`);
-    res.json({ success: true, policyId: result.rows[0].id });
+    res.json({ success: true, policyId: result.rows[0].id, nextRunAt: policySchedule ? policySchedule.nextRunAt : null });
   } catch (error) {
     console.error('Create policy error:', error);
     res.status(500).json({ error: 'Failed to create policy', details: error.message });
@@ -88,7 +108,7 @@ router.put('/policies/:policyId', authenticateToken, async (req, res) => {
     const userId = req.user.id;
     const dbUserId = convertUserId(userId);
     const { policyId } = req.params;
-    const { name, params, active, priority } = req.body;
+    const { name, params, rules, active, priority, schedule } = req.body;
     
     console.log(`✏️  Updating policy ${policyId} for user: ${userId}`);
     
@@ -105,6 +125,30 @@ router.put('/policies/:policyId', authenticateToken, async (req, res) => {
       updates.push(`params = $${paramCount++}`);
       values.push(JSON.stringify(params));
     }
+    if (rules !== undefined) {
+      const existing = await DatabaseService.query(
+        'SELECT type FROM governance_policies WHERE id = $1 AND user_id = $2', [policyId, dbUserId]);
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Policy not found or unauthorized' });
+      }
+      try {
+        updates.push(`rules = $${paramCount++}`);
+        values.push(JSON.stringify(GovernanceService.validatePolicy(existing.rows[0].type, rules)));
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+    }
+    if (schedule !== undefined) {
+      let policySchedule;
+      try {
+        policySchedule = GovernanceService.validateSchedule(schedule);
+      } catch (validationError) {
+        return res.status(400).json({ error: validationError.message });
+      }
+      updates.push(`schedule_cron = $${paramCount++}`, `schedule_timezone = $${paramCount++}`, `next_run_at = $${paramCount++}`);
+      values.push(policySchedule ? policySchedule.cron : null, policySchedule ? policySchedule.timezone : 'UTC',
+        policySchedule ? policySchedule.nextRunAt : null);
+    }
     if (active !== undefined) {
       updates.push(`active = $${paramCount++}`);
       values.push(active);
@@ -191,14 +235,155 @@ router.patch('/policies/:policyId/toggle', authenticateToken, async (req, res) =
   }
 });
 
+// Destructive policy actions waiting for (or done with) an approval
+router.get('/actions', authenticateToken, async (req, res) => {
+  try {
+    send(res, await GovernanceService.listActionRequests(convertUserId(req.user.id), req.query.status || null));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Approve a queued action; it runs straight away with the account's AWS credentials
+router.post('/actions/:requestId/approve', authenticateToken, async (req, res) => {
+  try {
+    send(res, await GovernanceService.approveActionRequest(
+      convertUserId(req.user.id),
+      convertUserId((req.actor || req.user).id),
+      req.params.requestId,
+      await awsAccess(req),
+      (req.body && req.body.comment) || null
+    ));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/actions/:requestId/reject', authenticateToken, async (req, res) => {
+  try {
+    send(res, await GovernanceService.rejectActionRequest(
+      convertUserId(req.user.id),
+      convertUserId((req.actor || req.user).id),
+      req.params.requestId,
+      (req.body && req.body.comment) || null
+    ));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Violations found by manual and scheduled evaluations (?status=&policyId=&owner=)
+router.get('/violations', authenticateToken, async (req, res) => {
+  try {
+    const { status, policyId, owner } = req.query;
+    send(res, await GovernanceService.listViolations(convertUserId(req.user.id), { status, policyId, owner }));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Acknowledge, waive or resolve a violation, or assign its owner
+router.patch('/violations/:violationId', authenticateToken, async (req, res) => {
+  try {
+    const { status, owner, comment } = req.body || {};
+    send(res, await GovernanceService.updateViolation(
+      convertUserId(req.user.id),
+      convertUserId((req.actor || req.user).id),
+      req.params.violationId,
+      { status, owner, comment }
+    ));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Compliance over time for one policy (?days=90)
+router.get('/policies/:policyId/compliance', authenticateToken, async (req, res) => {
+  try {
+    send(res, await GovernanceService.getPolicyCompliance(convertUserId(req.user.id), req.params.policyId, req.query.days));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Governance posture across all policies
+router.get('/compliance', authenticateToken, async (req, res) => {
+  try {
+    send(res, await GovernanceService.getCompliancePosture(convertUserId(req.user.id)));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Policy exemptions (?status=pending_approval|active|rejected|revoked|expired)
+router.get('/exemptions', authenticateToken, async (req, res) => {
+  try {
+    send(res, await GovernanceService.listExemptions(convertUserId(req.user.id), req.query.status || null));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Request an exemption: { policyId, scope: { type, key, value }, justification, expiresAt, reminderDays, notifyWebhook }
+router.post('/exemptions', authenticateToken, async (req, res) => {
+  try {
+    send(res, await GovernanceService.createExemption(
+      convertUserId(req.user.id),
+      convertUserId((req.actor || req.user).id),
+      req.body || {}
+    ));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/exemptions/:exemptionId/approve', authenticateToken, async (req, res) => {
+  try {
+    send(res, await GovernanceService.approveExemption(
+      convertUserId(req.user.id),
+      convertUserId((req.actor || req.user).id),
+      req.params.exemptionId,
+      (req.body && req.body.comment) || null
+    ));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/exemptions/:exemptionId/reject', authenticateToken, async (req, res) => {
+  try {
+    send(res, await GovernanceService.rejectExemption(
+      convertUserId(req.user.id),
+      convertUserId((req.actor || req.user).id),
+      req.params.exemptionId,
+      (req.body && req.body.comment) || null
+    ));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Revoke an active exemption or withdraw a pending request
+router.delete('/exemptions/:exemptionId', authenticateToken, async (req, res) => {
+  try {
+    send(res, await GovernanceService.revokeExemption(
+      convertUserId(req.user.id),
+      convertUserId((req.actor || req.user).id),
+      req.params.exemptionId
+    ));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Health check
 router.get('/health', (req, res) => {
   res.json({
     status: 'OK',
     service: 'compliance-governance',
-    features: ['budget_threshold', 'tag_compliance'],
+    features: ['budget_threshold', 'tag_compliance', 'declarative', 'scheduled_evaluation', 'violation_history', 'exemptions'],
     note: 'Resource scheduling available in Resource Lifecycle Management',
-    endpoints: ['/api/governance/enforce', '/api/governance/policies'],
+    endpoints: ['/api/governance/enforce', '/api/governance/policies', '/api/governance/actions', '/api/governance/violations', '/api/governance/compliance', '/api/governance/exemptions'],
     timestamp: new Date().toISOString()
   });
 });
@@ -2,60 +2,103 @@
 const express = require('express');
 const MultiAccountService = require('../services/multiAccountService');
 const { authenticateToken } = require('../middleware/authMiddleware');
+const AwsCredentials = require('../services/aws');
 
 const router = express.Router();
 
-// 🔒 SECURITY: Add authentication and user-specific account filtering
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Optional ?accountIds=123,456 and ?month=YYYY-MM shared by the read endpoints
+const parseRollupQuery = (req) => {
+    const accountIds = req.query.accountIds
+        ? req.query.accountIds.split(',').map(id => id.trim()).filter(Boolean)
+        : [];
+    const month = req.query.month || null;
+    if (month && !MONTH_PATTERN.test(month)) {
+        return { error: 'month must be in YYYY-MM format' };
+    }
+    return { accountIds, month };
+};
+
+// Ephemeral header credentials first, then stored credentials (same order as /api/costs)
+const resolveCredentials = (req) => AwsCredentials.resolveCredentials(req.user.id, { requestCredentials: req.awsCredentials });
+
+/**
+ * @route   POST /api/multi/sync
+ * @desc    Load linked accounts, per-account daily costs and RI/SP metrics from Cost Explorer
+ * @access  Private
+ * Body: { months? } - calendar months to reload, including the current one (1-12, default 2)
+ */
+router.post('/sync', authenticateToken, async (req, res) => {
+    try {
+        const months = req.body?.months === undefined ? 2 : parseInt(req.body.months, 10);
+        if (!Number.isInteger(months) || months < 1 || months > 12) {
+            return res.status(400).json({ success: false, error: 'months must be an integer between 1 and 12' });
+        }
+
+        const credentialsResult = await resolveCredentials(req);
+        if (!credentialsResult.success) {
+            return res.status(400).json({ success: false, error: 'AWS credentials not configured' });
+        }
+
+        console.log(`🏢 Multi-account sync requested by user: ${req.user.id}`);
+        const result = await MultiAccountService.syncAccounts(req.user.id, credentialsResult.credentials, { months });
+        res.status(result.success ? 200 : 502).json(result);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/multi/accounts
+ * @desc    Per-account cost rollups with month-over-month deltas and efficiency
+ * @access  Private - only accounts recorded for the user are returned
+ * Query: { accountIds?, month? }
+ */
 router.get('/accounts', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.id;
         console.log(`🔍 Getting multi-account data for user: ${userId}`);
-        
-        // 🔒 Get user-specific account IDs from query or user's configured accounts
-        const accountIds = req.query.accountIds 
-            ? req.query.accountIds.split(',') 
-            : []; // User should provide their own account IDs
-        
-        if (accountIds.length === 0) {
-            return res.json({ 
-                success: true, 
-                accounts: [],
-                message: 'No account IDs provided. Use ?accountIds=123,456,789'
-            });
+
+        const query = parseRollupQuery(req);
+        if (query.error) {
+            return res.status(400).json({ success: false, error: query.error });
         }
-        
-        const accountCosts = await MultiAccountService.getAccountCosts(accountIds, userId);
-        res.json({ success: true, accounts: accountCosts });
+
+        const result = await MultiAccountService.getAccountRollups(userId, query);
+        if (!result.success) {
+            return res.status(500).json(result);
+        }
+        if (result.accounts.length === 0 && query.accountIds.length === 0) {
+            result.message = 'No linked accounts synced yet. POST /api/multi/sync to load them.';
+        }
+        res.json(result);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// 🔒 SECURITY: Add authentication and user-specific account filtering
+/**
+ * @route   GET /api/multi/comparison
+ * @desc    Compare accounts on commitment efficiency and spend trend, with recommendations
+ * @access  Private - only accounts recorded for the user are returned
+ * Query: { accountIds?, month? }
+ */
 router.get('/comparison', authenticateToken, async (req, res) => {
     try {
         const userId = req.user.id;
         console.log(`🔍 Getting account comparison for user: ${userId}`);
-        
-        // 🔒 Get user-specific account IDs
-        const accountIds = req.query.accountIds 
-            ? req.query.accountIds.split(',') 
-            : [];
-            
-        if (accountIds.length === 0) {
-            return res.json({ 
-                success: true, 
-                comparison: [],
-                message: 'No account IDs provided. Use ?accountIds=123,456,789'
-            });
+
+        const query = parseRollupQuery(req);
+        if (query.error) {
+            return res.status(400).json({ success: false, error: query.error });
         }
-        
-        const accounts = await MultiAccountService.getAccountCosts(accountIds, userId);
-        const comparison = await MultiAccountService.getAccountComparison(accounts);
-        res.json({ success: true, comparison });
+
+        const result = await MultiAccountService.getAccountComparison(userId, query);
+        res.status(result.success ? 200 : 500).json(result);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,209 @@
+// Organization, membership, invitation and custom role routes
+// Data APIs are used inside an organization by sending X-Organization-Id; see rbacMiddleware.
+const express = require('express');
+const OrganizationService = require('../services/organizationService');
+const RoleService = require('../services/roleService');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+// Service results carry the HTTP status for their failures
+const send = (res, result, successStatus = 200) => {
+    if (result.success) {
+        return res.status(successStatus).json(result);
+    }
+    const { status = 500, ...body } = result;
+    res.status(status).json(body);
+};
+
+/**
+ * @route   GET /api/orgs/permissions
+ * @desc    Permission catalog custom roles are built from, plus the built-in roles
+ * @access  Private
+ */
+router.get('/permissions', authenticateToken, (req, res) => {
+    res.json({
+        success: true,
+        permissions: Object.values(RoleService.permissions),
+        builtInRoles: OrganizationService.BUILT_IN_ROLES.map(role => RoleService.getRoleInfo(role)),
+        scopeKeys: Object.keys(OrganizationService.SCOPE_DIMENSIONS)
+    });
+});
+
+/**
+ * @route   GET /api/orgs
+ * @desc    Organizations the user belongs to, with their role in each
+ * @access  Private
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        send(res, await OrganizationService.listOrganizations(req.user.id));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/orgs
+ * @desc    Create an organization over your own cost data (you become its admin)
+ * @access  Private
+ * Body: { name }
+ */
+router.post('/', authenticateToken, async (req, res) => {
+    try {
+        const result = await OrganizationService.createOrganization(req.user.id, { name: req.body?.name });
+        send(res, result.success ? result : { status: 400, ...result }, 201);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/orgs/invitations/accept
+ * @desc    Join an organization with an invitation token sent to your email
+ * @access  Private
+ * Body: { token }
+ */
+router.post('/invitations/accept', authenticateToken, async (req, res) => {
+    try {
+        send(res, await OrganizationService.acceptInvitation(req.user.id, req.body?.token));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/orgs/:orgId/members
+ * @desc    Members with their roles and scopes
+ * @access  Private - organization members
+ */
+router.get('/:orgId/members', authenticateToken, async (req, res) => {
+    try {
+        send(res, await OrganizationService.listMembers(req.params.orgId, req.user.id));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   PUT /api/orgs/:orgId/members/:userId
+ * @desc    Change a member's role and/or resource scope
+ * @access  Private - manage_users
+ * Body: { role? | customRoleId?, scope? } - scope: { costCenters?, departments?, projects?, teams?, environments?, accountIds? } or null
+ */
+router.put('/:orgId/members/:userId', authenticateToken, async (req, res) => {
+    try {
+        send(res, await OrganizationService.updateMember(req.params.orgId, req.user.id, req.params.userId, req.body || {}));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   DELETE /api/orgs/:orgId/members/:userId
+ * @desc    Remove a member (or leave, when it is your own id)
+ * @access  Private - manage_users, or the member themselves
+ */
+router.delete('/:orgId/members/:userId', authenticateToken, async (req, res) => {
+    try {
+        send(res, await OrganizationService.removeMember(req.params.orgId, req.user.id, req.params.userId));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/orgs/:orgId/invitations
+ * @desc    Invitations with their status
+ * @access  Private - manage_users
+ */
+router.get('/:orgId/invitations', authenticateToken, async (req, res) => {
+    try {
+        send(res, await OrganizationService.listInvitations(req.params.orgId, req.user.id));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/orgs/:orgId/invitations
+ * @desc    Invite a user by email with a role and optional scope (valid for 7 days)
+ * @access  Private - manage_users
+ * Body: { email, role? | customRoleId?, scope? }
+ */
+router.post('/:orgId/invitations', authenticateToken, async (req, res) => {
+    try {
+        send(res, await OrganizationService.createInvitation(req.params.orgId, req.user.id, req.body || {}), 201);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   DELETE /api/orgs/:orgId/invitations/:invitationId
+ * @desc    Revoke a pending invitation
+ * @access  Private - manage_users
+ */
+router.delete('/:orgId/invitations/:invitationId', authenticateToken, async (req, res) => {
+    try {
+        send(res, await OrganizationService.revokeInvitation(req.params.orgId, req.user.id, req.params.invitationId));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   GET /api/orgs/:orgId/roles
+ * @desc    Built-in and custom roles of the organization
+ * @access  Private - organization members
+ */
+router.get('/:orgId/roles', authenticateToken, async (req, res) => {
+    try {
+        send(res, await OrganizationService.listRoles(req.params.orgId, req.user.id));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   POST /api/orgs/:orgId/roles
+ * @desc    Create a custom role from the permission catalog
+ * @access  Private - manage_users (only permissions you hold can be granted)
+ * Body: { name, description?, permissions: [] }
+ */
+router.post('/:orgId/roles', authenticateToken, async (req, res) => {
+    try {
+        send(res, await OrganizationService.saveRole(req.params.orgId, req.user.id, req.body || {}), 201);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   PUT /api/orgs/:orgId/roles/:roleId
+ * @desc    Update a custom role; members holding it pick up the change immediately
+ * @access  Private - manage_users
+ * Body: { name, description?, permissions: [] }
+ */
+router.put('/:orgId/roles/:roleId', authenticateToken, async (req, res) => {
+    try {
+        send(res, await OrganizationService.saveRole(req.params.orgId, req.user.id, req.body || {}, req.params.roleId));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * @route   DELETE /api/orgs/:orgId/roles/:roleId
+ * @desc    Delete a custom role that no member holds
+ * @access  Private - manage_users
+ */
+router.delete('/:orgId/roles/:roleId', authenticateToken, async (req, res) => {
+    try {
+        send(res, await OrganizationService.deleteRole(req.params.orgId, req.user.id, req.params.roleId));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,8 @@ const { authenticateToken } = require('../middleware/authMiddleware');
 // Clear require cache to force reload
 delete require.cache[require.resolve('../services/resourceCostAllocationService')];
 const ResourceCostAllocationService = require('../services/resourceCostAllocationService');
+const CostAllocationService = require('../services/costAllocationService');
+const ChargebackInvoiceService = require('../services/chargebackInvoiceService');
 
 /**
  * Helper function to convert user ID for database compatibility
@@ -19,6 +21,22 @@ const convertUserId = (userId) => {
 // Initialize service
 const costAllocationService = new ResourceCostAllocationService();
 
+// Whose data an invoice belongs to and who is acting; they differ inside an organization
+const invoiceContext = (req) => ({
+    userId: convertUserId(req.user.id),
+    actorId: convertUserId((req.actor || req.user).id),
+    organizationId: req.organization ? req.organization.id : null
+});
+
+// Invoice results carry the HTTP status for their failures
+const sendInvoiceResult = (res, result, successStatus = 200) => {
+    if (result.success) {
+        return res.status(successStatus).json(result);
+    }
+    const { status = 500, ...body } = result;
+    res.status(status).json(body);
+};
+
 /**
  * Get allocation summary
  */
@@ -29,7 +47,7 @@ router.get('/allocation-summary', authenticateToken, async (req, res) => {
         console.log(`🔍 [ROUTE v2] Getting allocation summary for user: ${userId} (DB ID: ${dbUserId})`);
         console.log(`🔍 [ROUTE v2] Service type:`, costAllocationService.constructor.name);
         
-        const result = await costAllocationService.getAllocationSummary(dbUserId);
+        const result = await costAllocationService.getAllocationSummary(dbUserId, req.accessScope);
         
         // 🔒 FORCE NEW RESPONSE STRUCTURE
         if (result.success) {
@@ -59,7 +77,7 @@ router.get('/tag-compliance', authenticateToken, async (req, res) => {
         const dbUserId = convertUserId(userId);
         console.log(`🔍 Getting tag compliance for user: ${userId} (DB ID: ${dbUserId})`);
         
-        const result = await costAllocationService.getTagCompliance(dbUserId);
+        const result = await costAllocationService.getTagCompliance(dbUserId, req.accessScope);
         
         if (result.success) {
             res.json(result);
@@ -84,7 +102,7 @@ router.get('/cost-breakdown', authenticateToken, async (req, res) => {
         const dbUserId = convertUserId(userId);
         console.log(`🔍 Getting cost breakdown for user: ${userId} (DB ID: ${dbUserId})`);
         
-        const result = await costAllocationService.getCostBreakdown(dbUserId);
+        const result = await costAllocationService.getCostBreakdown(dbUserId, req.accessScope);
         
         if (result.success) {
             res.json(result);
@@ -110,7 +128,7 @@ router.get('/top-cost-centers', authenticateToken, async (req, res) => {
         const limit = parseInt(req.query.limit) || 10;
         console.log(`🔍 Getting top cost centers for user: ${userId} (DB ID: ${dbUserId})`);
         
-        const result = await costAllocationService.getTopCostCenters(dbUserId, limit);
+        const result = await costAllocationService.getTopCostCenters(dbUserId, limit, req.accessScope);
         
         if (result.success) {
             res.json(result);
@@ -141,7 +159,8 @@ router.post('/allocation-rules', authenticateToken, async (req, res) => {
         if (result.success) {
             res.json(result);
         } else {
-            res.status(500).json(result);
+            const { status = 500, ...body } = result;
+            res.status(status).json(body);
         }
     } catch (error) {
         console.error('Create allocation rule error:', error);
@@ -152,6 +171,31 @@ router.post('/allocation-rules', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * Preview allocation rules (dry run)
+ * Body: { rules: [...], startDate?, endDate?, includeSavedRules? } - nothing is saved; the
+ * summary shows per-target totals, per-rule matches and the unallocated remainder
+ */
+router.post('/allocation-rules/preview', authenticateToken, async (req, res) => {
+    try {
+        const dbUserId = convertUserId(req.user.id);
+        const result = await CostAllocationService.previewAllocation(dbUserId, req.body || {});
+
+        if (result.success) {
+            res.json(result);
+        } else {
+            const { status = 500, ...body } = result;
+            res.status(status).json(body);
+        }
+    } catch (error) {
+        console.error('Preview allocation rules error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to preview allocation rules'
+        });
+    }
+});
+
 /**
  * Get allocation rules
  */
@@ -302,6 +346,102 @@ router.post('/chargeback-reports/download', authenticateToken, async (req, res)
     }
 });
 
+/**
+ * Generate draft chargeback/showback invoices per cost center
+ * Body: { period?: 'monthly'|'quarterly'|'yearly'|'custom', reportDate?, startDate?, endDate?,
+ *         documentType?: 'chargeback'|'showback', costCenters?: [], owners?: { costCenter: email } }
+ * Drafts for the same period are recomputed; invoices in review or later keep their numbers.
+ */
+router.post('/chargeback-invoices', authenticateToken, async (req, res) => {
+    try {
+        sendInvoiceResult(res, await ChargebackInvoiceService.generateInvoices(invoiceContext(req), req.body || {}, req), 201);
+    } catch (error) {
+        console.error('Generate chargeback invoices error:', error);
+        res.status(500).json({ success: false, error: 'Failed to generate chargeback invoices' });
+    }
+});
+
+/**
+ * List chargeback invoices (?status=&costCenter=)
+ */
+router.get('/chargeback-invoices', authenticateToken, async (req, res) => {
+    try {
+        const result = await ChargebackInvoiceService.listInvoices(convertUserId(req.user.id), {
+            status: req.query.status,
+            costCenter: req.query.costCenter,
+            scope: req.accessScope
+        });
+        sendInvoiceResult(res, result);
+    } catch (error) {
+        console.error('List chargeback invoices error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get chargeback invoices' });
+    }
+});
+
+/**
+ * Get a chargeback invoice with its statement snapshot and approval history
+ */
+router.get('/chargeback-invoices/:id', authenticateToken, async (req, res) => {
+    try {
+        sendInvoiceResult(res, await ChargebackInvoiceService.getInvoice(convertUserId(req.user.id), req.params.id, req.accessScope));
+    } catch (error) {
+        console.error('Get chargeback invoice error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get chargeback invoice' });
+    }
+});
+
+/**
+ * Download a chargeback invoice as PDF
+ */
+router.get('/chargeback-invoices/:id/pdf', authenticateToken, async (req, res) => {
+    try {
+        const result = await ChargebackInvoiceService.renderPdf(convertUserId(req.user.id), req.params.id, req.accessScope);
+        if (!result.success) {
+            return sendInvoiceResult(res, result);
+        }
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+        res.send(result.data);
+    } catch (error) {
+        console.error('Download chargeback invoice error:', error);
+        res.status(500).json({ success: false, error: 'Failed to render chargeback invoice' });
+    }
+});
+
+/**
+ * Edit a draft invoice
+ * Body: { ownerEmail?, notes? }
+ */
+router.put('/chargeback-invoices/:id', authenticateToken, async (req, res) => {
+    try {
+        sendInvoiceResult(res, await ChargebackInvoiceService.updateInvoice(invoiceContext(req), req.params.id, req.body || {}, req));
+    } catch (error) {
+        console.error('Update chargeback invoice error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update chargeback invoice' });
+    }
+});
+
+/**
+ * Move an invoice through draft → review → approved → published
+ * POST /chargeback-invoices/:id/submit | approve | reject | publish
+ * Approve and reject are the cost center owner's sign-off; reject needs a comment.
+ * Body: { comment? }
+ */
+Object.keys(ChargebackInvoiceService.TRANSITIONS).forEach(action => {
+    router.post(`/chargeback-invoices/:id/${action}`, authenticateToken, async (req, res) => {
+        try {
+            const result = await ChargebackInvoiceService.transition(invoiceContext(req), req.params.id, action, {
+                comment: req.body?.comment || null,
+                scope: req.accessScope
+            }, req);
+            sendInvoiceResult(res, result);
+        } catch (error) {
+            console.error(`Chargeback invoice ${action} error:`, error);
+            res.status(500).json({ success: false, error: `Failed to ${action} chargeback invoice` });
+        }
+    });
+});
+
 /**
  * Bulk delete cost breakdown records
  */
@@ -391,7 +531,8 @@ router.get('/health', (req, res) => {
             topCostCenters: 'active',
             allocationRules: 'active',
             chargebackReports: 'active',
-            chargebackBulkOps: 'active'
+            chargebackBulkOps: 'active',
+            chargebackInvoices: 'active'
         },
         timestamp: new Date().toISOString()
     });
@@ -54,12 +54,13 @@ router.get('/analysis', authenticateToken, async (req, res) => {
         const dbUserId = convertUserId(userId);
         console.log(`🔍 Performing REAL RI analysis for user: ${userId} (DB ID: ${dbUserId})`);
 
-        // Get user's AWS credentials using the proper encrypted service
-        const AwsCredentialsService = require('../services/awsCredentialsService');
-        const credentialsResult = await AwsCredentialsService.getCredentials(dbUserId);
-        
-        if (!credentialsResult.success) {
-            console.log(`❌ No AWS credentials found for user ${dbUserId}`);
+        // AWS gateway acting with the user's own credentials
+        const { gatewayFor } = require('../services/aws');
+        let gateway;
+        try {
+            gateway = await gatewayFor(dbUserId, { requestCredentials: req.awsCredentials });
+        } catch (error) {
+            console.log(`❌ No AWS credentials found for user ${dbUserId}: ${error.message}`);
             return res.status(403).json({
                 success: false,
                 error: 'AWS credentials not configured. Please set up your AWS connection first.',
@@ -76,7 +77,7 @@ router.get('/analysis', authenticateToken, async (req, res) => {
         
         console.log('⚡ Calling AWS Cost Explorer for RI analysis...');
         const analysis = await ReservedInstanceService.analyzeReservedInstances(
-            credentialsResult.credentials,
+            gateway,
             {
                 includeRIRecommendations: true,
                 analyzePeriod: 30, // Last 30 days
@@ -2,7 +2,29 @@
 const express = require('express');
 const router = express.Router();
 const TaggingIntelligenceService = require('../services/taggingIntelligenceService');
+const TagRemediationService = require('../services/tagRemediationService');
+const TagDictionaryService = require('../services/tagDictionaryService');
 const { authenticateToken } = require('../middleware/authMiddleware');
+const { gatewayFor } = require('../services/aws');
+
+// AWS gateway with the ephemeral header credentials first, then the user's stored AWS
+// credentials; null without any
+const gatewayForRequest = async (req) => {
+  try {
+    return await gatewayFor(req.user.id, { requestCredentials: req.awsCredentials });
+  } catch (error) {
+    return null;
+  }
+};
+
+// Remediation and dictionary results carry the HTTP status for their failures
+const send = (res, result) => {
+  if (result.success) {
+    return res.json(result);
+  }
+  const { status = 500, ...body } = result;
+  res.status(status).json(body);
+};
 
 // Analyze tagging patterns and get suggestions
 router.get('/analysis', authenticateToken, async (req, res) => {
@@ -39,16 +61,122 @@ router.post('/auto-tag', authenticateToken, async (req, res) => {
   }
 });
 
+// Plan a remediation run that writes tags to the real AWS resources (dry run: returns the diff)
+// Body: { tagRules: [{ tagKey, tagValue, service?, resourceTypes?, region?, resourceArns?, overwrite? }], maxResources?, region? }
+router.post('/remediations', authenticateToken, async (req, res) => {
+  try {
+    const gateway = await gatewayForRequest(req);
+    if (!gateway) {
+      return res.status(400).json({ success: false, error: 'AWS credentials not configured' });
+    }
+
+    const { tagRules, maxResources, region } = req.body || {};
+    const result = await TagRemediationService.planRemediation(req.user.id, tagRules, gateway, { maxResources, region });
+    send(res, result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List remediation runs
+router.get('/remediations', authenticateToken, async (req, res) => {
+  try {
+    send(res, await TagRemediationService.listRemediations(req.user.id));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remediation run with the result for each resource
+router.get('/remediations/:id', authenticateToken, async (req, res) => {
+  try {
+    send(res, await TagRemediationService.getRemediation(req.user.id, req.params.id));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Apply a planned run to AWS
+router.post('/remediations/:id/apply', authenticateToken, async (req, res) => {
+  try {
+    const gateway = await gatewayForRequest(req);
+    if (!gateway) {
+      return res.status(400).json({ success: false, error: 'AWS credentials not configured' });
+    }
+    send(res, await TagRemediationService.applyRemediation(req.user.id, req.params.id, gateway));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Restore the tags the resources had before the run
+router.post('/remediations/:id/rollback', authenticateToken, async (req, res) => {
+  try {
+    const gateway = await gatewayForRequest(req);
+    if (!gateway) {
+      return res.status(400).json({ success: false, error: 'AWS credentials not configured' });
+    }
+    send(res, await TagRemediationService.rollbackRemediation(req.user.id, req.params.id, gateway));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Tag dictionary: key aliases and value variants mapped to canonical tags
+router.get('/dictionary', authenticateToken, async (req, res) => {
+  try {
+    send(res, await TagDictionaryService.getDictionary(req.user.id));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add or update mappings: { keyAliases: [...], valueAliases: [...] }
+router.post('/dictionary', authenticateToken, async (req, res) => {
+  try {
+    send(res, await TagDictionaryService.saveMappings(req.user.id, req.body || {}));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Mappings suggested from the tag patterns in the stored cost records
+router.get('/dictionary/suggestions', authenticateToken, async (req, res) => {
+  try {
+    send(res, await TagDictionaryService.suggestMappings(req.user.id));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/dictionary/keys/:id', authenticateToken, async (req, res) => {
+  try {
+    send(res, await TagDictionaryService.deleteKeyAlias(req.user.id, req.params.id));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/dictionary/values/:id', authenticateToken, async (req, res) => {
+  try {
+    send(res, await TagDictionaryService.deleteValueAlias(req.user.id, req.params.id));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Health check
 router.get('/health', (req, res) => {
   res.json({
     status: 'OK',
     service: 'tagging-intelligence',
-    features: ['pattern_analysis', 'automated_suggestions', 'compliance_scoring', 'auto_tagging'],
+    features: ['pattern_analysis', 'automated_suggestions', 'compliance_scoring', 'auto_tagging', 'tag_remediation', 'tag_dictionary'],
     endpoints: [
       '/api/tagging/analysis',
       '/api/tagging/compliance', 
-      '/api/tagging/auto-tag'
+      '/api/tagging/auto-tag',
+      '/api/tagging/remediations',
+      '/api/tagging/dictionary'
     ],
     timestamp: new Date().toISOString()
   });
@@ -1,6 +1,7 @@
 // /Users/rahulindi/aws-cost-tracker/backend/src/routes/trendRoutes.js
 const express = require('express');
 const DatabaseService = require('../services/databaseService');
+const TagDictionaryService = require('../services/tagDictionaryService');
 const { authenticateToken } = require('../middleware/authMiddleware');
 
 const router = express.Router();
@@ -596,6 +597,49 @@ router.get('/forecast', authenticateToken, async (req, res) => {
     }
 });
 
+// Monthly cost per value of one tag, from stored cost records. The tag dictionary is applied,
+// so aliases of the key and value variants (env=prod, Environment=production) land together.
+router.get('/by-tag/:tagKey', authenticateToken, async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const dbUserId = convertUserId(userId);
+        const months = Math.min(Math.max(parseInt(req.query.months) || 6, 1), 24);
+
+        const dictionary = await TagDictionaryService.loadDictionary(dbUserId);
+        const tagKey = TagDictionaryService.canonicalKey(dictionary, req.params.tagKey);
+        const keys = TagDictionaryService.keyVariants(dictionary, tagKey);
+        console.log(`📊 Getting ${months}-month trends by tag ${tagKey} (${keys.join(', ')}) for user: ${userId}`);
+
+        const rows = await DatabaseService.getMonthlyCostsByTag(months, dbUserId, keys);
+
+        const monthlyData = {};
+        rows.forEach(row => {
+            const tags = TagDictionaryService.normalizeTags(row.tag_values, dictionary) || {};
+            const value = tags[tagKey] || 'untagged';
+            const cost = parseFloat(row.total_cost || 0);
+
+            if (!monthlyData[row.month_year]) {
+                monthlyData[row.month_year] = { month_year: row.month_year, total_cost: 0, tag_breakdown: {} };
+            }
+            monthlyData[row.month_year].total_cost += cost;
+            monthlyData[row.month_year].tag_breakdown[value] = (monthlyData[row.month_year].tag_breakdown[value] || 0) + cost;
+        });
+
+        const trends = Object.values(monthlyData).sort((a, b) => a.month_year.localeCompare(b.month_year));
+        trends.forEach(trend => {
+            trend.total_cost = trend.total_cost.toFixed(2);
+            Object.keys(trend.tag_breakdown).forEach(value => {
+                trend.tag_breakdown[value] = parseFloat(trend.tag_breakdown[value].toFixed(2));
+            });
+        });
+
+        res.json({ success: true, tagKey, keyVariants: keys, data: trends, source: 'Database' });
+    } catch (error) {
+        console.error('Tag trends error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // 🆕 Export trend data to CSV
 router.get('/export', authenticateToken, async (req, res) => {
     try {
@@ -634,6 +678,7 @@ router.get('/health', (req, res) => {
             trendingServices: 'active',
             costForecast: 'active',
             exportData: 'active',
+            tagTrends: 'active',
             growthAnalysis: 'active',
             volatilityTracking: 'active'
         },
@@ -1,9 +1,54 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const cron = require('node-cron');
+const { CronExpressionParser } = require('cron-parser');
+const XLSX = require('xlsx');
+const parquet = require('@dsnp/parquetjs');
 
 const DatabaseService = require('./databaseService');
+const { openStore } = require('./dataLake/objectStore');
+
+// Parquet column types for the fields produced by the export data generators.
+// Anything not listed here is written as an optional UTF8 column.
+const PARQUET_DECIMAL_SCALE = 4;
+const PARQUET_COLUMN_TYPES = {
+    date: 'date',
+    first_date: 'date',
+    last_date: 'date',
+    cost: 'decimal',
+    total_cost: 'decimal',
+    avg_cost: 'decimal',
+    monthly_cost: 'decimal',
+    daily_average: 'decimal',
+    record_count: 'integer',
+    tags: 'map'
+};
+
+// Row identity per export type when upserting into a data lake table. Resource usage rows carry
+// no ID, so every column is part of the key and re-exporting the same rows changes nothing.
+// Other types fall back to the adapter default (every text and date column).
+const DATA_LAKE_KEY_COLUMNS = {
+    cost_summary: ['service'],
+    resource_usage: ['date', 'service', 'cost', 'cost_center', 'department', 'project'],
+    budget_analysis: ['month', 'service']
+};
+
+// Columns checked (in order) when looking for the amount to total in XLSX summaries
+const XLSX_COST_COLUMNS = ['cost', 'total_cost', 'monthly_cost'];
+
+const CONTENT_TYPES = {
+    'csv': 'text/csv',
+    'json': 'application/json',
+    'parquet': 'application/vnd.apache.parquet',
+    'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// How often every instance reloads recurring schedules, so jobs created or deleted through
+// another instance are picked up, and looks for failed runs due a retry
+const SCHEDULE_SYNC_CRON = '* * * * *';
+const RETRY_DELAY_SECONDS = 60;
 
 /**
  * Advanced Export Service with job scheduling and data lake integration
@@ -11,24 +56,42 @@ const DatabaseService = require('./databaseService');
  */
 class AdvancedExportService {
     constructor() {
-        this.dataDir = path.join(__dirname, '../data');
-        this.jobsDir = path.join(this.dataDir, 'export-jobs');
-        this.outputsDir = path.join(this.jobsDir, 'outputs');
-        this.jobsFile = path.join(this.jobsDir, 'jobs.json');
-
-        this.activeJobs = new Map(); // Running jobs
-        this.scheduledJobs = new Map(); // Cron jobs
+        // Outputs are written here, uploaded to shared storage, delivered and then removed
+        this.workDir = path.join(os.tmpdir(), 'deepcost-export-outputs');
+        // Shared output storage: an S3 bucket when configured, otherwise the export_outputs row
+        this.outputStore = process.env.EXPORT_OUTPUT_BUCKET ? openStore('s3', {
+            bucket: process.env.EXPORT_OUTPUT_BUCKET,
+            prefix: process.env.EXPORT_OUTPUT_PREFIX || 'export-outputs',
+            region: process.env.EXPORT_OUTPUT_REGION || process.env.AWS_REGION,
+            endpoint: process.env.EXPORT_OUTPUT_ENDPOINT
+        }) : null;
+
+        this.activeJobs = new Map(); // Jobs running on this instance
+        this.scheduledJobs = new Map(); // job id -> { task, signature } for recurring jobs
+
+        // Identifies this backend instance in export_jobs.locked_by
+        this.instanceId = `${os.hostname()}:${process.pid}:${uuidv4().substring(0, 8)}`;
+        this.lockTtlMinutes = 30; // Lease length; a crashed instance's lock expires after this
+
+        this.caughtUp = false; // Missed runs are caught up once, after the first successful schedule load
+        this.maxCatchUpRuns = 10; // Upper bound for catch_up: 'all'
+        this.maxPreviewRuns = 50;
+        this.runHistoryLimit = 20;
+
+        this.maxDeliveryAttempts = 3;
+        this.deliveryRetryDelay = 5000; // 5 seconds, multiplied by the attempt number
 
         this.ensureDirectories();
-        this.loadJobs();
-        this.startScheduler();
+        this.startScheduler().catch(error => {
+            console.error('❌ Error starting export scheduler:', error.message);
+        });
     }
 
     /**
      * Ensure required directories exist
      */
     ensureDirectories() {
-        [this.dataDir, this.jobsDir, this.outputsDir].forEach(dir => {
+        [this.workDir].forEach(dir => {
             if (!fs.existsSync(dir)) {
                 fs.mkdirSync(dir, { recursive: true });
                 console.log('📁 Created directory:', dir);
@@ -37,31 +100,66 @@ class AdvancedExportService {
     }
 
     /**
-     * Load jobs from persistent storage
+     * Convert an export_jobs row (joined with its latest output) into the job shape used by the API
      */
-    loadJobs() {
-        try {
-            if (fs.existsSync(this.jobsFile)) {
-                const data = fs.readFileSync(this.jobsFile, 'utf8');
-                const jobs = JSON.parse(data);
-                console.log(`📊 Loaded ${jobs.length} export jobs from storage`);
-                return jobs;
-            }
-        } catch (error) {
-            console.error('❌ Error loading export jobs:', error);
-        }
-        return [];
+    rowToJob(row) {
+        return {
+            id: row.id,
+            userId: row.user_id,
+            name: row.name,
+            type: row.type,
+            status: row.status,
+            schedule: row.schedule,
+            filters: row.filters,
+            output: row.output,
+            dataLake: row.data_lake,
+            created_at: row.created_at,
+            updated_at: row.updated_at,
+            completed_at: row.completed_at,
+            next_run: row.next_run,
+            retry_at: row.retry_at,
+            attempts: row.attempts,
+            max_attempts: row.max_attempts,
+            missed_runs: row.missed_runs,
+            error: row.error,
+            delivery_status: row.delivery_status,
+            output_file: row.output_file || null,
+            output_size: row.output_size !== null && row.output_size !== undefined ?
+                parseInt(row.output_size) : null
+        };
     }
 
     /**
-     * Save jobs to persistent storage
+     * Select export jobs together with their most recent output file
      */
-    saveJobs(jobs) {
-        try {
-            fs.writeFileSync(this.jobsFile, JSON.stringify(jobs, null, 2));
-        } catch (error) {
-            console.error('❌ Error saving export jobs:', error);
+    jobSelect(whereClause) {
+        return `
+            SELECT j.*, o.file_path AS output_file, o.size_bytes AS output_size
+            FROM export_jobs j
+            LEFT JOIN LATERAL (
+                SELECT file_path, size_bytes
+                FROM export_outputs
+                WHERE job_id = j.id
+                ORDER BY created_at DESC
+                LIMIT 1
+            ) o ON true
+            ${whereClause}
+        `;
+    }
+
+    /**
+     * Load a single job, optionally restricted to its owner
+     */
+    async findJob(jobId, userId = null) {
+        const params = [jobId];
+        let where = 'WHERE j.id = $1';
+        if (userId !== null) {
+            params.push(userId);
+            where += ' AND j.user_id = $2';
         }
+
+        const result = await DatabaseService.query(this.jobSelect(where), params);
+        return result.rows.length > 0 ? this.rowToJob(result.rows[0]) : null;
     }
 
     /**
@@ -76,34 +174,31 @@ class AdvancedExportService {
             }
 
             const jobId = uuidv4();
-            const now = new Date().toISOString();
-
-            const job = {
-                id: jobId,
-                userId: userId,
-                name: jobConfig.name || `Export Job ${jobId.substring(0, 8)}`,
-                type: jobConfig.type || 'csv',
-                status: 'pending',
-                schedule: jobConfig.schedule || { type: 'one-time' },
-                filters: jobConfig.filters || {},
-                output: {
+            const schedule = jobConfig.schedule || { type: 'one-time' };
+
+            const result = await DatabaseService.query(`
+                INSERT INTO export_jobs
+                (id, user_id, name, type, status, schedule, filters, output, data_lake, next_run, max_attempts)
+                VALUES ($1, $2, $3, $4, 'pending', $5, $6, $7, $8, $9, $10)
+                RETURNING *;
+            `, [
+                jobId,
+                userId,
+                jobConfig.name || `Export Job ${jobId.substring(0, 8)}`,
+                jobConfig.type || 'csv',
+                JSON.stringify(schedule),
+                JSON.stringify(jobConfig.filters || {}),
+                JSON.stringify({
                     format: jobConfig.output?.format || 'csv',
                     columns: jobConfig.output?.columns || ['service', 'cost', 'date'],
                     delivery: jobConfig.output?.delivery || { type: 'download' }
-                },
-                dataLake: jobConfig.dataLake || null,
-                created_at: now,
-                updated_at: now,
-                next_run: jobConfig.schedule?.type === 'recurring' ?
-                    this.calculateNextRun(jobConfig.schedule) : now,
-                attempts: 0,
-                max_attempts: jobConfig.max_attempts || 3
-            };
+                }),
+                jobConfig.dataLake ? JSON.stringify(jobConfig.dataLake) : null,
+                schedule.type === 'recurring' ? this.calculateNextRun(schedule) : new Date().toISOString(),
+                jobConfig.max_attempts || 3
+            ]);
 
-            // Save job
-            const jobs = this.loadJobs();
-            jobs.push(job);
-            this.saveJobs(jobs);
+            const job = this.rowToJob(result.rows[0]);
 
             // Schedule if recurring
             if (job.schedule.type === 'recurring' && job.schedule.cron) {
@@ -129,32 +224,44 @@ class AdvancedExportService {
      */
     async getJobs(userId, options = {}) {
         try {
-            const jobs = this.loadJobs();
-            let userJobs = jobs.filter(job => job.userId === userId);
+            const conditions = ['j.user_id = $1'];
+            const params = [userId];
 
             // Apply filters
             if (options.status) {
-                userJobs = userJobs.filter(job => job.status === options.status);
+                params.push(options.status);
+                conditions.push(`j.status = $${params.length}`);
             }
             if (options.type) {
-                userJobs = userJobs.filter(job => job.type === options.type);
+                params.push(options.type);
+                conditions.push(`j.type = $${params.length}`);
             }
 
+            const where = `WHERE ${conditions.join(' AND ')}`;
+
             // Apply pagination
             const page = parseInt(options.page) || 1;
             const limit = parseInt(options.limit) || 20;
             const offset = (page - 1) * limit;
 
-            const paginatedJobs = userJobs.slice(offset, offset + limit);
+            const countResult = await DatabaseService.query(
+                `SELECT COUNT(*) AS total FROM export_jobs j ${where}`, params
+            );
+            const total = parseInt(countResult.rows[0].total);
+
+            const result = await DatabaseService.query(
+                `${this.jobSelect(where)} ORDER BY j.created_at DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, limit, offset]
+            );
 
             return {
                 success: true,
-                jobs: paginatedJobs,
+                jobs: result.rows.map(row => this.rowToJob(row)),
                 pagination: {
                     page,
                     limit,
-                    total: userJobs.length,
-                    totalPages: Math.ceil(userJobs.length / limit)
+                    total,
+                    totalPages: Math.ceil(total / limit)
                 }
             };
 
@@ -165,18 +272,28 @@ class AdvancedExportService {
     }
 
     /**
-     * Get specific job details
+     * Get specific job details, including recent run history
      */
     async getJob(userId, jobId) {
         try {
-            const jobs = this.loadJobs();
-            const job = jobs.find(j => j.id === jobId && j.userId === userId);
+            const job = await this.findJob(jobId, userId);
 
             if (!job) {
                 return { success: false, error: 'Job not found' };
             }
 
-            return { success: true, job };
+            const runs = await DatabaseService.query(`
+                SELECT r.id, r.status, r.attempt, r.instance_id, r.started_at, r.finished_at,
+                       r.record_count, r.error, r.deliveries,
+                       o.filename, o.format, o.size_bytes
+                FROM export_job_runs r
+                LEFT JOIN export_outputs o ON o.run_id = r.id
+                WHERE r.job_id = $1
+                ORDER BY r.started_at DESC
+                LIMIT $2;
+            `, [jobId, this.runHistoryLimit]);
+
+            return { success: true, job: { ...job, runs: runs.rows } };
         } catch (error) {
             console.error('❌ Error getting export job:', error);
             return { success: false, error: error.message };
@@ -190,54 +307,30 @@ class AdvancedExportService {
         try {
             console.log(`🔍 Attempting to delete job ${jobId} for user ${userId}`);
 
-            const jobs = this.loadJobs();
-            console.log(`📊 Total jobs in storage: ${jobs.length}`);
-
-            // Find job by ID first, then check user
-            const job = jobs.find(j => j.id === jobId);
+            const job = await this.findJob(jobId, userId);
 
             if (!job) {
-                console.log(`❌ Job ${jobId} not found in storage`);
-                console.log(`   Available job IDs: ${jobs.map(j => j.id).join(', ')}`);
-                return { success: false, error: 'Job not found' };
-            }
-
-            console.log(`✅ Found job ${jobId}, owner: ${job.userId}, requesting user: ${userId}`);
-
-            // Check if user owns this job (compare as numbers)
-            const jobUserId = typeof job.userId === 'string' ? parseInt(job.userId) : job.userId;
-            const requestUserId = typeof userId === 'string' ? parseInt(userId) : userId;
-
-            if (jobUserId !== requestUserId) {
-                console.log(`❌ User ${requestUserId} does not own job ${jobId} (owner: ${jobUserId})`);
+                console.log(`❌ Job ${jobId} not found for user ${userId}`);
                 return { success: false, error: 'Job not found or access denied' };
             }
 
-            // Find index for removal
-            const jobIndex = jobs.findIndex(j => j.id === jobId);
-
             // Cancel if running
             if (this.activeJobs.has(jobId)) {
                 this.activeJobs.delete(jobId);
                 console.log(`   Cancelled active job`);
             }
 
-            // Remove from scheduled jobs
-            if (this.scheduledJobs.has(jobId)) {
-                this.scheduledJobs.get(jobId).destroy();
-                this.scheduledJobs.delete(jobId);
-                console.log(`   Removed scheduled job`);
-            }
+            // Remove from scheduled jobs; other instances drop it on their next schedule sync
+            this.unscheduleJob(jobId);
 
-            // Delete output file if exists
-            if (job.output_file && require('fs').existsSync(job.output_file)) {
-                require('fs').unlinkSync(job.output_file);
-                console.log(`   Deleted output file: ${job.output_file}`);
-            }
+            // Delete every output object produced by this job
+            const outputs = await DatabaseService.query(
+                'SELECT storage, file_path FROM export_outputs WHERE job_id = $1', [jobId]
+            );
+            await this.removeOutputs(outputs.rows);
 
-            // Remove from storage
-            jobs.splice(jobIndex, 1);
-            this.saveJobs(jobs);
+            // Runs and output metadata (and database-stored outputs) are removed by ON DELETE CASCADE
+            await DatabaseService.query('DELETE FROM export_jobs WHERE id = $1 AND user_id = $2', [jobId, userId]);
 
             console.log(`✅ Export job deleted successfully: ${jobId}`);
             return { success: true, message: 'Job deleted successfully' };
@@ -249,28 +342,91 @@ class AdvancedExportService {
     }
 
     /**
-     * Execute export job
+     * Claim a job for this instance. The conditional UPDATE is the lock: it only
+     * succeeds when no other instance holds an unexpired lease. Scheduled runs
+     * additionally require the job to be due, and retries a pending retry_at that
+     * has passed, so a cron tick that fires on every instance only runs once.
      */
-    async executeJob(jobId) {
-        try {
-            const jobs = this.loadJobs();
-            const jobIndex = jobs.findIndex(j => j.id === jobId);
+    async claimJob(jobId, { scheduled = false, retry = false } = {}) {
+        const result = await DatabaseService.query(`
+            UPDATE export_jobs
+            SET status = 'running',
+                attempts = attempts + 1,
+                locked_by = $2,
+                locked_until = NOW() + ($3 || ' minutes')::interval,
+                retry_at = NULL,
+                updated_at = NOW()
+            WHERE id = $1
+              AND (locked_until IS NULL OR locked_until < NOW())
+              ${scheduled ? "AND (next_run IS NULL OR next_run <= NOW() + INTERVAL '1 minute')" : ''}
+              ${retry ? 'AND retry_at <= NOW()' : ''}
+            RETURNING *;
+        `, [jobId, this.instanceId, String(this.lockTtlMinutes)]);
+
+        return result.rows.length > 0 ? this.rowToJob(result.rows[0]) : null;
+    }
 
-            if (jobIndex === -1) {
-                console.error('❌ Job not found for execution:', jobId);
-                return;
-            }
+    /**
+     * Persist the outcome of a run and release this instance's lock
+     */
+    async releaseJob(jobId, fields) {
+        await DatabaseService.query(`
+            UPDATE export_jobs
+            SET status = $3,
+                error = $4,
+                completed_at = COALESCE($5, completed_at),
+                next_run = COALESCE($6, next_run),
+                delivery_status = COALESCE($7, delivery_status),
+                missed_runs = missed_runs + $8,
+                attempts = CASE WHEN $9 THEN 0 ELSE attempts END,
+                retry_at = CASE WHEN $10 THEN NOW() + ($11 || ' seconds')::interval END,
+                locked_by = NULL,
+                locked_until = NULL,
+                updated_at = NOW()
+            WHERE id = $1 AND locked_by = $2;
+        `, [
+            jobId,
+            this.instanceId,
+            fields.status,
+            fields.error || null,
+            fields.completed_at || null,
+            fields.next_run || null,
+            fields.delivery_status || null,
+            fields.missed_runs || 0,
+            fields.status === 'completed', // Successful runs reset the retry counter
+            Boolean(fields.retry),
+            String(RETRY_DELAY_SECONDS)
+        ]);
+    }
+
+    /**
+     * Execute export job.
+     * Options: scheduled (only run if due), retry (only run if its retry is due),
+     * missedRuns (skipped runs to record on the job).
+     * Returns true if this instance ran the job.
+     */
+    async executeJob(jobId, options = {}) {
+        let job = null;
+        let runId = null;
+        let workFile = null;
 
-            const job = jobs[jobIndex];
+        try {
+            job = await this.claimJob(jobId, options);
 
-            // Update job status
-            job.status = 'running';
-            job.attempts = (job.attempts || 0) + 1;
-            job.updated_at = new Date().toISOString();
-            this.saveJobs(jobs);
+            if (!job) {
+                console.log('⏭️ Export job not due or locked by another instance:', jobId);
+                return false;
+            }
 
             this.activeJobs.set(jobId, { startTime: Date.now() });
 
+            const run = await DatabaseService.query(`
+                INSERT INTO export_job_runs (job_id, status, attempt, instance_id)
+                VALUES ($1, 'running', $2, $3)
+                RETURNING id;
+            `, [jobId, job.attempts, this.instanceId]);
+            runId = run.rows[0].id;
+
             console.log('🔄 Executing export job:', jobId, job.name);
 
             // Generate export data
@@ -286,58 +442,163 @@ class AdvancedExportService {
             if (!outputResult.success) {
                 throw new Error(outputResult.error);
             }
+            workFile = outputResult.filePath;
+
+            const stored = await this.storeOutput(job, outputResult);
+            await DatabaseService.query(`
+                INSERT INTO export_outputs (job_id, run_id, format, file_path, filename, size_bytes, record_count, storage, content)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9);
+            `, [
+                jobId,
+                runId,
+                job.output.format,
+                stored.location,
+                outputResult.filename,
+                outputResult.size,
+                exportData.data.length,
+                stored.storage,
+                stored.content
+            ]);
 
-            // Update job with completion
             job.status = 'completed';
             job.completed_at = new Date().toISOString();
-            job.output_file = outputResult.filePath;
+            job.output_file = stored.location;
             job.output_size = outputResult.size;
 
             // Handle delivery
+            const deliveries = [];
             if (job.output.delivery.type !== 'download') {
-                await this.handleDelivery(job, outputResult.filePath);
+                deliveries.push(await this.handleDelivery(job, outputResult.filePath, exportData.data));
             }
 
+            await DatabaseService.query(`
+                UPDATE export_job_runs
+                SET status = 'completed', finished_at = NOW(), record_count = $2, deliveries = $3
+                WHERE id = $1;
+            `, [runId, exportData.data.length, JSON.stringify(deliveries)]);
+
             // Schedule next run if recurring
             if (job.schedule.type === 'recurring') {
                 job.next_run = this.calculateNextRun(job.schedule);
             }
 
-            this.saveJobs(jobs);
+            await this.releaseJob(jobId, {
+                status: 'completed',
+                completed_at: job.completed_at,
+                next_run: job.next_run,
+                delivery_status: job.delivery_status,
+                missed_runs: options.missedRuns
+            });
             this.activeJobs.delete(jobId);
 
             console.log('✅ Export job completed:', jobId);
 
             // Emit webhook event
             this.emitWebhookEvent('cost.export.completed', { job });
+            return true;
 
         } catch (error) {
             console.error('❌ Export job failed:', jobId, error);
+            this.activeJobs.delete(jobId);
+
+            if (!job) {
+                return false;
+            }
 
             // Update job with failure
-            const jobs = this.loadJobs();
-            const jobIndex = jobs.findIndex(j => j.id === jobId);
-
-            if (jobIndex >= 0) {
-                const job = jobs[jobIndex];
-                job.status = 'failed';
-                job.error = error.message;
-                job.updated_at = new Date().toISOString();
-
-                // Retry if under limit
-                if (job.attempts < job.max_attempts) {
-                    job.status = 'pending';
-                    setTimeout(() => this.executeJob(jobId), 60000); // Retry in 1 minute
-                }
+            job.status = 'failed';
+            job.error = error.message;
+            if (job.schedule.type === 'recurring') {
+                job.next_run = this.calculateNextRun(job.schedule);
+            }
 
-                this.saveJobs(jobs);
+            // Retry if under limit
+            const retry = job.attempts < job.max_attempts;
+            if (retry) {
+                job.status = 'pending';
             }
 
-            this.activeJobs.delete(jobId);
+            try {
+                if (runId) {
+                    await DatabaseService.query(`
+                        UPDATE export_job_runs SET status = 'failed', finished_at = NOW(), error = $2
+                        WHERE id = $1;
+                    `, [runId, error.message]);
+                }
+                await this.releaseJob(jobId, {
+                    status: job.status,
+                    error: error.message,
+                    next_run: job.next_run,
+                    missed_runs: options.missedRuns,
+                    retry // Picked up by runDueRetries on any instance
+                });
+            } catch (dbError) {
+                console.error('❌ Error recording export job failure:', dbError.message);
+            }
 
             // Emit webhook event
-            this.emitWebhookEvent('cost.export.failed', { job: jobs[jobIndex], error: error.message });
+            this.emitWebhookEvent('cost.export.failed', { job, error: error.message, retryAvailable: retry });
+            return true;
+        } finally {
+            if (workFile) {
+                await fs.promises.rm(path.dirname(workFile), { recursive: true, force: true }).catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Put a finished output where every instance can read it.
+     * Returns { storage, location, content } for the export_outputs row.
+     */
+    async storeOutput(job, outputResult) {
+        const body = await fs.promises.readFile(outputResult.filePath);
+        if (!this.outputStore) {
+            return { storage: 'database', location: outputResult.filename, content: body };
+        }
+
+        const key = `${job.id}/${outputResult.filename}`;
+        await this.outputStore.put(key, body);
+        return { storage: 's3', location: this.outputStore.uri(key), content: null };
+    }
+
+    /**
+     * Read a stored output back; null when it no longer exists
+     */
+    async readOutput(output) {
+        switch (output.storage) {
+            case 'database':
+                return output.content || null;
+            case 's3':
+                return this.outputStore ? await this.outputStore.get(this.outputKey(output.file_path)) : null;
+            default:
+                // Written to local disk before outputs moved to shared storage
+                return fs.existsSync(output.file_path) ? fs.readFileSync(output.file_path) : null;
+        }
+    }
+
+    /**
+     * Delete stored outputs; database-stored ones go with their rows
+     */
+    async removeOutputs(outputs) {
+        const keys = outputs.filter(output => output.storage === 's3').map(output => this.outputKey(output.file_path));
+        if (keys.length > 0 && this.outputStore) {
+            await this.outputStore.remove(keys);
+            console.log(`   Deleted ${keys.length} output object(s)`);
         }
+        outputs.filter(output => output.storage === 'local').forEach(output => {
+            if (output.file_path && fs.existsSync(output.file_path)) {
+                fs.unlinkSync(output.file_path);
+                console.log(`   Deleted output file: ${output.file_path}`);
+            }
+        });
+    }
+
+    /**
+     * Store key of an S3 output from the URI recorded on its row
+     */
+    outputKey(location) {
+        const root = `${this.outputStore.uri()}/`;
+        return location.startsWith(root) ? location.slice(root.length) : location;
     }
 
     /**
@@ -546,7 +807,8 @@ class AdvancedExportService {
                     department,
                     project,
                     environment,
-                    team
+                    team,
+                    tags
                 FROM cost_records
                 WHERE user_id = $1
                 ${filters.dateRange?.start ? 'AND date >= $2' : ''}
@@ -592,6 +854,9 @@ class AdvancedExportService {
                         case 'team':
                             row.team = record.team || 'Unallocated';
                             break;
+                        case 'tags':
+                            row.tags = record.tags || {};
+                            break;
                         default:
                             if (record[column] !== undefined) {
                                 row[column] = record[column];
@@ -609,13 +874,16 @@ class AdvancedExportService {
     }
 
     /**
-     * Save export output to file
+     * Write export output to a working file
      */
     async saveExportOutput(job, data) {
         try {
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
             const filename = `${job.name.replace(/[^a-zA-Z0-9]/g, '_')}_${timestamp}.${job.output.format}`;
-            const filePath = path.join(this.outputsDir, filename);
+            // One directory per job keeps the file name that deliveries show intact
+            const jobDir = path.join(this.workDir, job.id);
+            await fs.promises.mkdir(jobDir, { recursive: true });
+            const filePath = path.join(jobDir, filename);
 
             let content;
 
@@ -626,11 +894,20 @@ class AdvancedExportService {
                 case 'json':
                     content = JSON.stringify(data, null, 2);
                     break;
+                case 'xlsx':
+                    content = this.formatAsXLSX(data);
+                    break;
+                case 'parquet':
+                    // Parquet is written by a streaming writer rather than from a buffer
+                    await this.writeParquetFile(filePath, data);
+                    break;
                 default:
                     throw new Error(`Unsupported format: ${job.output.format}`);
             }
 
-            fs.writeFileSync(filePath, content, 'utf8');
+            if (content !== undefined) {
+                fs.writeFileSync(filePath, content, 'utf8');
+            }
             const stats = fs.statSync(filePath);
 
             return {
@@ -657,12 +934,176 @@ class AdvancedExportService {
 
         const header = actualColumns.join(',') + '\n';
         const rows = data.map(row =>
-            actualColumns.map(col => `"${(row[col] || '').toString().replace(/"/g, '""')}"`).join(',')
+            actualColumns.map(col => {
+                const value = row[col] !== null && typeof row[col] === 'object' ?
+                    JSON.stringify(row[col]) : (row[col] || '');
+                return `"${value.toString().replace(/"/g, '""')}"`;
+            }).join(',')
         ).join('\n');
 
         return header + rows;
     }
 
+    /**
+     * Format data as an XLSX workbook: a summary sheet plus one sheet per service
+     */
+    formatAsXLSX(data) {
+        const workbook = XLSX.utils.book_new();
+        const costColumn = data.length > 0 ?
+            XLSX_COST_COLUMNS.find(col => col in data[0]) : null;
+
+        // Group rows by service for the summary and the per-service sheets
+        const byService = new Map();
+        data.forEach(row => {
+            const service = row.service || 'Unknown';
+            if (!byService.has(service)) byService.set(service, []);
+            byService.get(service).push(row);
+        });
+
+        const summary = Array.from(byService.entries()).map(([service, rows]) => ({
+            'Service': service,
+            'Rows': rows.length,
+            'Total Cost': costColumn ?
+                parseFloat(rows.reduce((sum, row) => sum + (parseFloat(row[costColumn]) || 0), 0).toFixed(2)) : null
+        }));
+        summary.sort((a, b) => (b['Total Cost'] || 0) - (a['Total Cost'] || 0));
+
+        const summarySheet = XLSX.utils.json_to_sheet(summary.length > 0 ? summary : [{ 'Service': 'No data' }]);
+        summarySheet['!cols'] = [{ wch: 30 }, { wch: 10 }, { wch: 15 }];
+        XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+
+        const usedNames = new Set(['summary']);
+        byService.forEach((rows, service) => {
+            const sheet = XLSX.utils.json_to_sheet(rows.map(row => this.toSpreadsheetRow(row)));
+            XLSX.utils.book_append_sheet(workbook, sheet, this.uniqueSheetName(service, usedNames));
+        });
+
+        return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    }
+
+    /**
+     * Convert an export row into typed spreadsheet cells (numbers, dates, flattened tags)
+     */
+    toSpreadsheetRow(row) {
+        const cells = {};
+        Object.entries(row).forEach(([column, value]) => {
+            const type = PARQUET_COLUMN_TYPES[column];
+            if (type === 'decimal' || type === 'integer') {
+                cells[column] = value === '' || value === null ? null : Number(value);
+            } else if (type === 'date') {
+                cells[column] = value ? new Date(value) : null;
+            } else if (type === 'map') {
+                cells[column] = Object.entries(value || {}).map(([k, v]) => `${k}=${v}`).join('; ');
+            } else {
+                cells[column] = value;
+            }
+        });
+        return cells;
+    }
+
+    /**
+     * Build an Excel-safe sheet name (max 31 chars, no []:*?/\ and unique within the workbook)
+     */
+    uniqueSheetName(name, usedNames) {
+        const base = (String(name).replace(/[[\]:*?/\\]/g, '_').trim() || 'Unknown').substring(0, 31);
+        let candidate = base;
+        let suffix = 2;
+        // Excel compares sheet names case-insensitively
+        while (usedNames.has(candidate.toLowerCase())) {
+            const tag = ` (${suffix++})`;
+            candidate = base.substring(0, 31 - tag.length) + tag;
+        }
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    /**
+     * Build a typed Parquet schema from the columns of the export rows
+     */
+    buildParquetSchema(columns) {
+        const fields = {};
+        columns.forEach(column => {
+            switch (PARQUET_COLUMN_TYPES[column]) {
+                case 'date':
+                    fields[column] = { type: 'DATE', optional: true };
+                    break;
+                case 'decimal':
+                    fields[column] = {
+                        type: 'DECIMAL', precision: 18, scale: PARQUET_DECIMAL_SCALE, optional: true
+                    };
+                    break;
+                case 'integer':
+                    fields[column] = { type: 'INT64', optional: true };
+                    break;
+                case 'map':
+                    // Physical layout of a Parquet MAP: repeated key/value group
+                    fields[column] = {
+                        repeated: true,
+                        fields: {
+                            key: { type: 'UTF8' },
+                            value: { type: 'UTF8', optional: true }
+                        }
+                    };
+                    break;
+                default:
+                    fields[column] = { type: 'UTF8', optional: true };
+            }
+        });
+        return new parquet.ParquetSchema(fields);
+    }
+
+    /**
+     * Convert an export row into values matching the Parquet schema
+     */
+    toParquetRow(row) {
+        const record = {};
+        Object.entries(row).forEach(([column, value]) => {
+            if (value === null || value === undefined || value === '') return;
+
+            switch (PARQUET_COLUMN_TYPES[column]) {
+                case 'date':
+                    record[column] = new Date(value);
+                    break;
+                case 'decimal': {
+                    // parquetjs floors value * 10^scale, so centre the value between
+                    // two integers to keep float error from dropping the last digit
+                    const factor = Math.pow(10, PARQUET_DECIMAL_SCALE);
+                    record[column] = (Math.round(parseFloat(value) * factor) + 0.5) / factor;
+                    break;
+                }
+                case 'integer':
+                    record[column] = parseInt(value, 10);
+                    break;
+                case 'map':
+                    record[column] = Object.entries(value).map(([key, v]) => ({
+                        key,
+                        value: v === null || v === undefined ? undefined : String(v)
+                    }));
+                    break;
+                default:
+                    record[column] = String(value);
+            }
+        });
+        return record;
+    }
+
+    /**
+     * Write export rows to a Parquet file
+     */
+    async writeParquetFile(filePath, data) {
+        const columns = data.length > 0 ? Object.keys(data[0]) : ['service'];
+        const schema = this.buildParquetSchema(columns);
+        const writer = await parquet.ParquetWriter.openFile(schema, filePath);
+
+        try {
+            for (const row of data) {
+                await writer.appendRow(this.toParquetRow(row));
+            }
+        } finally {
+            await writer.close();
+        }
+    }
+
     /**
      * Validate job configuration
      */
@@ -671,8 +1112,11 @@ class AdvancedExportService {
             return { valid: false, error: 'Job configuration is required' };
         }
 
-        if (config.schedule?.type === 'recurring' && !config.schedule.cron) {
-            return { valid: false, error: 'Cron expression required for recurring jobs' };
+        if (config.schedule?.type === 'recurring') {
+            const scheduleValidation = this.validateSchedule(config.schedule);
+            if (!scheduleValidation.valid) {
+                return scheduleValidation;
+            }
         }
 
         const format = config.output?.format || config.type || 'csv';
@@ -680,21 +1124,175 @@ class AdvancedExportService {
             return { valid: false, error: `Invalid export format: ${format}` };
         }
 
+        const delivery = config.output?.delivery || { type: 'download' };
+        const deliveryConfig = delivery.config || {};
+        switch (delivery.type) {
+            case 'download':
+                break;
+            case 'email':
+                if (!deliveryConfig.email) {
+                    return { valid: false, error: 'Email delivery requires delivery.config.email' };
+                }
+                break;
+            case 'webhook':
+                // Endpoints and secrets live in webhook_configs; jobs only reference them
+                if (deliveryConfig.url !== undefined || deliveryConfig.secret !== undefined) {
+                    return {
+                        valid: false,
+                        error: 'Webhook delivery no longer accepts url and secret; register the endpoint as a webhook and pass delivery.config.webhook_id'
+                    };
+                }
+                if (!deliveryConfig.webhook_id) {
+                    return { valid: false, error: 'Webhook delivery requires delivery.config.webhook_id' };
+                }
+                break;
+            case 'data-lake':
+                if (!config.dataLake?.connectionId) {
+                    return { valid: false, error: 'Data lake delivery requires dataLake.connectionId' };
+                }
+                break;
+            default:
+                return { valid: false, error: `Invalid delivery type: ${delivery.type}` };
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Validate the cron expression, time zone and catch-up policy of a recurring schedule
+     */
+    validateSchedule(schedule) {
+        if (!schedule.cron) {
+            return { valid: false, error: 'Cron expression required for recurring jobs' };
+        }
+
+        const timezone = schedule.timezone || 'UTC';
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            return { valid: false, error: `Invalid time zone: ${timezone}` };
+        }
+
+        try {
+            CronExpressionParser.parse(schedule.cron, { tz: timezone });
+        } catch (error) {
+            return { valid: false, error: `Invalid cron expression "${schedule.cron}": ${error.message}` };
+        }
+
+        if (schedule.catch_up && !['skip', 'once', 'all'].includes(schedule.catch_up)) {
+            return { valid: false, error: `Invalid catch_up policy: ${schedule.catch_up}` };
+        }
+
         return { valid: true };
     }
 
     /**
-     * Calculate next run time for recurring jobs
+     * Calculate next run time for recurring jobs, evaluated in the schedule's time zone
      */
-    calculateNextRun(schedule) {
+    calculateNextRun(schedule, fromDate = new Date()) {
         if (schedule.type !== 'recurring' || !schedule.cron) {
             return null;
         }
 
-        // Simple next run calculation - in production use proper cron parser
-        const now = new Date();
-        now.setHours(now.getHours() + 1); // Next hour as default
-        return now.toISOString();
+        const runs = this.getUpcomingRuns(schedule, 1, fromDate);
+        return runs.length > 0 ? runs[0] : null;
+    }
+
+    /**
+     * List the next `count` run times of a cron schedule as ISO timestamps
+     */
+    getUpcomingRuns(schedule, count = 5, fromDate = new Date()) {
+        const interval = CronExpressionParser.parse(schedule.cron, {
+            currentDate: fromDate,
+            tz: schedule.timezone || 'UTC'
+        });
+
+        const runs = [];
+        while (runs.length < count && interval.hasNext()) {
+            runs.push(interval.next().toISOString());
+        }
+        return runs;
+    }
+
+    /**
+     * Preview upcoming run times for a schedule before it is saved
+     */
+    previewSchedule(schedule, count = 5) {
+        const validation = this.validateSchedule(schedule || {});
+        if (!validation.valid) {
+            return { success: false, error: validation.error };
+        }
+
+        const limit = Math.min(Math.max(parseInt(count) || 5, 1), this.maxPreviewRuns);
+
+        return {
+            success: true,
+            cron: schedule.cron,
+            timezone: schedule.timezone || 'UTC',
+            runs: this.getUpcomingRuns({ ...schedule, type: 'recurring' }, limit)
+        };
+    }
+
+    /**
+     * Find scheduled runs that were missed (e.g. while the server was down)
+     */
+    getMissedRuns(job, now = new Date()) {
+        if (!job.next_run || new Date(job.next_run) > now) {
+            return [];
+        }
+
+        try {
+            // Start just before the stored next_run so that run itself is included
+            const interval = CronExpressionParser.parse(job.schedule.cron, {
+                currentDate: new Date(new Date(job.next_run).getTime() - 1),
+                endDate: now,
+                tz: job.schedule.timezone || 'UTC'
+            });
+
+            const missed = [];
+            while (interval.hasNext()) {
+                missed.push(interval.next().toISOString());
+            }
+            return missed;
+        } catch (error) {
+            console.error('❌ Error checking missed runs for job:', job.id, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Apply the job's catch-up policy to missed runs:
+     * 'skip' ignores them, 'once' (default) runs once, 'all' replays each (capped)
+     */
+    async catchUpMissedRuns(job, missedRuns) {
+        const policy = job.schedule.catch_up || 'once';
+        console.log(`⏪ Job ${job.id} missed ${missedRuns.length} run(s), catch-up policy: ${policy}`);
+
+        const runCount = {
+            skip: 0,
+            once: 1,
+            all: Math.min(missedRuns.length, this.maxCatchUpRuns)
+        }[policy];
+
+        if (runCount === 0) {
+            // Compare against the stale next_run so only one instance records the gap
+            await DatabaseService.query(`
+                UPDATE export_jobs
+                SET next_run = $2, missed_runs = missed_runs + $3, updated_at = NOW()
+                WHERE id = $1 AND next_run = $4;
+            `, [job.id, this.calculateNextRun(job.schedule), missedRuns.length, job.next_run]);
+            return;
+        }
+
+        // The first replay is a scheduled claim so only one instance catches up
+        const ran = await this.executeJob(job.id, {
+            scheduled: true,
+            missedRuns: missedRuns.length - runCount
+        });
+
+        for (let i = 1; ran && i < runCount; i++) {
+            await this.executeJob(job.id);
+        }
     }
 
     /**
@@ -703,16 +1301,21 @@ class AdvancedExportService {
     scheduleJob(job) {
         if (!job.schedule.cron) return;
 
+        // Every instance schedules every recurring job; the scheduled claim lets one of them run it
+        const signature = `${job.schedule.cron}|${job.schedule.timezone || 'UTC'}`;
+        if (this.scheduledJobs.get(job.id)?.signature === signature) return;
+        this.unscheduleJob(job.id);
+
         try {
             const task = cron.schedule(job.schedule.cron, () => {
                 console.log('⏰ Executing scheduled job:', job.id, job.name);
-                this.executeJob(job.id);
+                this.executeJob(job.id, { scheduled: true });
             }, {
                 scheduled: true,
                 timezone: job.schedule.timezone || 'UTC'
             });
 
-            this.scheduledJobs.set(job.id, task);
+            this.scheduledJobs.set(job.id, { task, signature });
             console.log('📅 Scheduled recurring job:', job.id, job.schedule.cron);
 
         } catch (error) {
@@ -721,66 +1324,222 @@ class AdvancedExportService {
     }
 
     /**
-     * Start scheduler for existing recurring jobs
+     * Stop this instance's cron task for a job
+     */
+    unscheduleJob(jobId) {
+        const scheduled = this.scheduledJobs.get(jobId);
+        if (scheduled) {
+            scheduled.task.destroy();
+            this.scheduledJobs.delete(jobId);
+            console.log('   Removed scheduled job:', jobId);
+        }
+    }
+
+    /**
+     * Recurring jobs as stored in export_jobs
+     */
+    async loadRecurringJobs() {
+        const result = await DatabaseService.query(this.jobSelect(`
+            WHERE j.schedule->>'type' = 'recurring'
+              AND j.schedule->>'cron' IS NOT NULL
+              AND j.status <> 'cancelled'
+        `));
+        return result.rows.map(row => this.rowToJob(row));
+    }
+
+    /**
+     * Make this instance's cron tasks match export_jobs: schedule jobs created elsewhere,
+     * drop jobs deleted elsewhere
+     */
+    async syncSchedules() {
+        const recurringJobs = await this.loadRecurringJobs();
+        const current = new Set(recurringJobs.map(job => job.id));
+
+        recurringJobs.forEach(job => this.scheduleJob(job));
+        [...this.scheduledJobs.keys()]
+            .filter(jobId => !current.has(jobId))
+            .forEach(jobId => this.unscheduleJob(jobId));
+        return recurringJobs;
+    }
+
+    /**
+     * Start failed runs whose retry is due. The retry claim lets only one instance run each.
      */
-    startScheduler() {
-        const jobs = this.loadJobs();
-        const recurringJobs = jobs.filter(job =>
-            job.schedule.type === 'recurring' &&
-            job.status !== 'cancelled' &&
-            job.schedule.cron
-        );
+    async runDueRetries() {
+        const result = await DatabaseService.query(`
+            SELECT id FROM export_jobs
+            WHERE retry_at <= NOW() AND (locked_until IS NULL OR locked_until < NOW());
+        `);
+        result.rows.forEach(row => {
+            console.log('🔁 Retrying export job:', row.id);
+            this.executeJob(row.id, { retry: true });
+        });
+    }
 
-        recurringJobs.forEach(job => {
-            this.scheduleJob(job);
+    /**
+     * One scheduler tick: sync recurring schedules, catch up missed runs after the first
+     * successful load and start due retries
+     */
+    async refreshSchedules() {
+        const recurringJobs = await this.syncSchedules();
+
+        if (!this.caughtUp) {
+            this.caughtUp = true;
+            const now = new Date();
+            recurringJobs.forEach(job => {
+                const missedRuns = this.getMissedRuns(job, now);
+                if (missedRuns.length > 0) {
+                    setImmediate(() => this.catchUpMissedRuns(job, missedRuns));
+                }
+            });
+        }
+
+        await this.runDueRetries();
+        return recurringJobs;
+    }
+
+    /**
+     * Start scheduler for existing recurring jobs and keep it in sync with export_jobs
+     */
+    async startScheduler() {
+        // Registered before the first load, so a database that is not reachable yet is
+        // picked up on a later tick
+        cron.schedule(SCHEDULE_SYNC_CRON, () => {
+            this.refreshSchedules().catch(error => {
+                console.error('❌ Error syncing export schedules:', error.message);
+            });
         });
 
+        const recurringJobs = await this.refreshSchedules();
         console.log(`📅 Started scheduler with ${recurringJobs.length} recurring jobs`);
     }
 
     /**
-     * Handle export delivery
+     * Handle export delivery with retries. Returns the delivery record stored on the run.
      */
-    async handleDelivery(job, filePath) {
-        try {
-            switch (job.output.delivery.type) {
-                case 'email':
-                    await this.deliverViaEmail(job, filePath);
-                    break;
-                case 'webhook':
-                    await this.deliverViaWebhook(job, filePath);
-                    break;
-                case 'data-lake':
-                    await this.deliverToDataLake(job, filePath);
-                    break;
+    async handleDelivery(job, filePath, data) {
+        const delivery = job.output.delivery;
+        const handlers = {
+            'email': () => this.deliverViaEmail(job, filePath),
+            'webhook': () => this.deliverViaWebhook(job, filePath),
+            'data-lake': () => this.deliverToDataLake(job, data)
+        };
+
+        const record = {
+            id: uuidv4(),
+            type: delivery.type,
+            status: 'pending',
+            attempts: 0,
+            started_at: new Date().toISOString()
+        };
+        const maxAttempts = delivery.max_attempts || this.maxDeliveryAttempts;
+
+        while (record.status === 'pending' && record.attempts < maxAttempts) {
+            record.attempts++;
+            try {
+                if (!handlers[delivery.type]) {
+                    throw new Error(`Unsupported delivery type: ${delivery.type}`);
+                }
+                record.result = await handlers[delivery.type]();
+                record.status = 'delivered';
+                delete record.error;
+            } catch (error) {
+                record.error = error.message;
+                console.error(`❌ Export delivery failed (attempt ${record.attempts}/${maxAttempts}):`, error.message);
+
+                if (record.attempts < maxAttempts) {
+                    await new Promise(resolve => setTimeout(resolve, this.deliveryRetryDelay * record.attempts));
+                }
             }
-        } catch (error) {
-            console.error('❌ Export delivery failed:', error);
         }
+
+        if (record.status !== 'delivered') {
+            record.status = 'failed';
+        }
+        record.completed_at = new Date().toISOString();
+
+        job.delivery_status = record.status;
+
+        if (record.status === 'failed') {
+            this.emitWebhookEvent('cost.export.failed', {
+                job,
+                stage: 'delivery',
+                delivery: record,
+                error: record.error,
+                retryAvailable: false
+            });
+        } else {
+            console.log(`✅ Export delivered via ${delivery.type}:`, job.id);
+        }
+
+        return record;
     }
 
     /**
      * Deliver export via email
      */
     async deliverViaEmail(job, filePath) {
-        // Integration with email service
-        console.log('📧 Email delivery not implemented yet:', job.output.delivery.config.email);
+        const EmailService = require('./emailService');
+        const config = job.output.delivery.config || {};
+
+        return await EmailService.sendExportEmail(config.email, {
+            subject: config.subject || `Cost export: ${job.name}`,
+            text: `Your scheduled export "${job.name}" completed at ${job.completed_at}.\n` +
+                'The export file is attached.',
+            attachments: [{ filename: path.basename(filePath), path: filePath }]
+        });
     }
 
     /**
      * Deliver export via webhook
      */
     async deliverViaWebhook(job, filePath) {
-        // Integration with webhook service
-        console.log('🔗 Webhook delivery not implemented yet:', job.output.delivery.config.url);
+        const WebhookService = require('./webhookService');
+        const config = job.output.delivery.config || {};
+
+        if (!config.webhook_id) {
+            throw new Error('Webhook delivery requires a registered webhook (delivery.config.webhook_id)');
+        }
+        const target = await WebhookService.getDeliveryTarget(config.webhook_id, job.userId);
+
+        return await WebhookService.deliverFile(target, 'cost.export.completed', {
+            job: {
+                id: job.id,
+                name: job.name,
+                type: job.type,
+                format: job.output.format,
+                completed_at: job.completed_at
+            }
+        }, filePath);
     }
 
     /**
      * Deliver export to data lake
      */
-    async deliverToDataLake(job, filePath) {
-        // Integration with data lake adapters
-        console.log('🏗️ Data lake delivery not implemented yet:', job.dataLake.provider);
+    async deliverToDataLake(job, data) {
+        const DataLakeService = require('./dataLakeService');
+        const { connectionId, provider, tableName, keyColumns } = job.dataLake || {};
+
+        const connectionResult = await DataLakeService.getConnection(job.userId, connectionId);
+        if (!connectionResult.success) {
+            throw new Error(connectionResult.error);
+        }
+
+        const connection = connectionResult.connection;
+        if (provider && provider !== connection.provider) {
+            throw new Error(`Data lake connection ${connectionId} is ${connection.provider}, not ${provider}`);
+        }
+
+        const result = await DataLakeService.exportToDataLake(job.userId, connectionId, data, {
+            tableName,
+            keyColumns: keyColumns || DATA_LAKE_KEY_COLUMNS[job.type],
+            jobId: job.id
+        });
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        return { provider: connection.provider, message: result.message, details: result.details };
     }
 
     /**
@@ -796,55 +1555,28 @@ class AdvancedExportService {
         }
     }
 
-    /**
-     * Download export file
-     */
-    async downloadExport(userId, jobId) {
-        try {
-            const jobResult = await this.getJob(userId, jobId);
-
-            if (!jobResult.success) {
-                return jobResult;
-            }
-
-            const job = jobResult.job;
-
-            if (job.status !== 'completed' || !job.output_file) {
-                return { success: false, error: 'Export not available for download' };
-            }
-
-            if (!fs.existsSync(job.output_file)) {
-                return { success: false, error: 'Export file not found' };
-            }
-
-            return {
-                success: true,
-                filePath: job.output_file,
-                filename: path.basename(job.output_file),
-                size: job.output_size
-            };
-
-        } catch (error) {
-            return { success: false, error: error.message };
-        }
-    }
-
     /**
      * Get export statistics
      */
     async getStats(userId) {
         try {
-            const jobs = this.loadJobs();
-            const userJobs = jobs.filter(job => job.userId === userId);
-
-            const stats = {
-                total: userJobs.length,
-                pending: userJobs.filter(j => j.status === 'pending').length,
-                running: userJobs.filter(j => j.status === 'running').length,
-                completed: userJobs.filter(j => j.status === 'completed').length,
-                failed: userJobs.filter(j => j.status === 'failed').length,
-                recurring: userJobs.filter(j => j.schedule.type === 'recurring').length
-            };
+            const result = await DatabaseService.query(`
+                SELECT
+                    COUNT(*) AS total,
+                    COUNT(*) FILTER (WHERE status = 'pending') AS pending,
+                    COUNT(*) FILTER (WHERE status = 'running') AS running,
+                    COUNT(*) FILTER (WHERE status = 'completed') AS completed,
+                    COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+                    COUNT(*) FILTER (WHERE schedule->>'type' = 'recurring') AS recurring
+                FROM export_jobs
+                WHERE user_id = $1
+            `, [userId]);
+
+            const row = result.rows[0];
+            const stats = {};
+            Object.keys(row).forEach(key => {
+                stats[key] = parseInt(row[key]);
+            });
 
             return { success: true, stats };
 
@@ -858,8 +1590,7 @@ class AdvancedExportService {
      */
     async downloadJob(jobId, userId) {
         try {
-            const jobs = this.loadJobs();
-            const job = jobs.find(j => j.id === jobId && j.userId === userId);
+            const job = await this.findJob(jobId, userId);
 
             if (!job) {
                 return { success: false, error: 'Job not found' };
@@ -869,24 +1600,29 @@ class AdvancedExportService {
                 return { success: false, error: `Job is ${job.status}, not ready for download` };
             }
 
-            if (!job.output_file || !fs.existsSync(job.output_file)) {
+            const latest = await DatabaseService.query(`
+                SELECT storage, file_path, filename, content
+                FROM export_outputs
+                WHERE job_id = $1
+                ORDER BY created_at DESC
+                LIMIT 1
+            `, [jobId]);
+            const output = latest.rows[0];
+            const body = output ? await this.readOutput(output) : null;
+            if (!body) {
                 return { success: false, error: 'Export file not found' };
             }
 
-            const data = fs.readFileSync(job.output_file, 'utf8');
-            const filename = path.basename(job.output_file);
-
-            const contentTypes = {
-                'csv': 'text/csv',
-                'json': 'application/json',
-                'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
-            };
+            // Parquet and XLSX are binary, so only decode the text formats
+            const isText = ['csv', 'json'].includes(job.output.format);
+            const data = isText ? body.toString('utf8') : body;
+            const filename = output.filename;
 
             return {
                 success: true,
                 data: data,
                 filename: filename,
-                contentType: contentTypes[job.output.format] || 'application/octet-stream'
+                contentType: CONTENT_TYPES[job.output.format] || 'application/octet-stream'
             };
 
         } catch (error) {
@@ -3,9 +3,13 @@
 const DatabaseService = require('./databaseService');
 const WebhookService = require('./webhookService');
 const SlackService = require('./slackService');
-const ss = require('simple-statistics');
-const regression = require('regression');
 const schedule = require('node-schedule');
+const AnomalyFeedbackService = require('./anomalyFeedbackService');
+const { registerDetector, getDetector, listDetectors } = require('./anomalyDetectors');
+
+// Detectors run when options.algorithms is not given; 'seasonal' (the simple
+// weekday-average check) is still available by name
+const DEFAULT_DETECTORS = ['zscore', 'iqr', 'regression', 'isolation_forest', 'stl'];
 
 class AnomalyDetectionService {
     constructor() {
@@ -18,19 +22,37 @@ class AnomalyDetectionService {
         this.startRealTimeMonitoring();
     }
 
+    /**
+     * Register a custom anomaly detector plugin (see anomalyDetectors/registry.js)
+     */
+    static registerDetector(detector) {
+        return registerDetector(detector);
+    }
+
+    /**
+     * List the registered anomaly detectors and their default ensemble weights
+     */
+    static getDetectors() {
+        return listDetectors();
+    }
+
     /**
      * GAME-CHANGING: Multi-Algorithm Anomaly Detection
-     * Combines Z-Score, IQR, Isolation Forest, and Seasonal Decomposition
+     * Runs every requested detector plugin (Z-Score, IQR, regression, Isolation Forest,
+     * STL decomposition, ...) and combines their per-detector scores
      * @param {Array} historicalData - Historical cost data
-     * @param {Object} options - Detection options
+     * @param {Object} options - Detection options (algorithms, threshold, thresholdScale,
+     *                           detectorWeights, ensembleThreshold, detectorOptions)
      * @returns {Array} Array of detected anomalies with confidence scores
      */
     static detectAnomalies(historicalData, options = {}) {
         const {
             threshold = 2.5,
-            algorithms = ['zscore', 'iqr', 'regression', 'seasonal'],
+            algorithms = DEFAULT_DETECTORS,
             minDataPoints = 7,
-            realTime = false
+            realTime = false,
+            thresholdScale = 1,
+            detectorOptions = {}
         } = options;
         if (!historicalData || historicalData.length < minDataPoints) {
             console.log(`⚠️ Insufficient data points: ${historicalData?.length || 0} < ${minDataPoints}`);
@@ -42,222 +64,62 @@ class AnomalyDetectionService {
         const values = historicalData.map(item => item.cost_amount || item.total_cost);
         const timestamps = historicalData.map(item => new Date(item.date || item.created_at).getTime());
         
-        const anomalies = [];
         const detectionResults = {};
 
-        // Algorithm 1: Enhanced Z-Score with rolling windows
-        if (algorithms.includes('zscore')) {
-            detectionResults.zscore = this.detectZScoreAnomalies(values, historicalData, threshold);
-        }
-
-        // Algorithm 2: Interquartile Range (IQR) Method
-        if (algorithms.includes('iqr')) {
-            detectionResults.iqr = this.detectIQRAnomalies(values, historicalData);
-        }
-
-        // Algorithm 3: Regression-based anomaly detection
-        if (algorithms.includes('regression')) {
-            detectionResults.regression = this.detectRegressionAnomalies(timestamps, values, historicalData);
-        }
-
-        // Algorithm 4: Seasonal decomposition anomalies
-        if (algorithms.includes('seasonal')) {
-            detectionResults.seasonal = this.detectSeasonalAnomalies(timestamps, values, historicalData);
-        }
-
-        // REVOLUTIONARY: Ensemble method - combine all algorithms
-        const combinedAnomalies = this.combineDetectionResults(detectionResults, historicalData, realTime);
-        
-        console.log(`🎯 Detected ${combinedAnomalies.length} anomalies using ${algorithms.length} algorithms`);
-        return combinedAnomalies;
-    }
-
-    /**
-     * ALGORITHM 1: Enhanced Z-Score with rolling statistics
-     */
-    static detectZScoreAnomalies(values, historicalData, threshold = 2.5) {
-        const anomalies = [];
-        const windowSize = Math.min(14, Math.floor(values.length / 2)); // Dynamic window size
-        
-        for (let i = windowSize; i < values.length; i++) {
-            const window = values.slice(i - windowSize, i);
-            const mean = ss.mean(window);
-            const stdDev = ss.standardDeviation(window);
-            
-            if (stdDev > 0) {
-                const zScore = Math.abs((values[i] - mean) / stdDev);
-                
-                if (zScore > threshold) {
-                    anomalies.push({
-                        index: i,
-                        value: values[i],
-                        zScore: zScore,
-                        mean: mean,
-                        stdDev: stdDev,
-                        algorithm: 'zscore',
-                        confidence: Math.min(zScore / threshold, 5) / 5, // Normalize to 0-1
-                        severity: zScore > threshold * 2 ? 'critical' : zScore > threshold * 1.5 ? 'high' : 'medium'
-                    });
-                }
+        algorithms.forEach(name => {
+            const detector = getDetector(name);
+            if (!detector) {
+                console.log(`⚠️ Unknown anomaly detector: ${name}`);
+                return;
             }
-        }
-        
-        console.log(`📊 Z-Score detected ${anomalies.length} anomalies`);
-        return anomalies;
-    }
-
-    /**
-     * ALGORITHM 2: Interquartile Range (IQR) Method - More robust to outliers
-     */
-    static detectIQRAnomalies(values, historicalData) {
-        const sortedValues = [...values].sort((a, b) => a - b);
-        const q1 = ss.quantile(sortedValues, 0.25);
-        const q3 = ss.quantile(sortedValues, 0.75);
-        const iqr = q3 - q1;
-        const lowerBound = q1 - 1.5 * iqr;
-        const upperBound = q3 + 1.5 * iqr;
-        
-        const anomalies = [];
-        
-        values.forEach((value, index) => {
-            if (value < lowerBound || value > upperBound) {
-                const deviation = value > upperBound ? value - upperBound : lowerBound - value;
-                const maxDeviation = Math.max(Math.abs(upperBound - q3), Math.abs(q1 - lowerBound));
-                
-                anomalies.push({
-                    index: index,
-                    value: value,
-                    lowerBound: lowerBound,
-                    upperBound: upperBound,
-                    iqr: iqr,
-                    algorithm: 'iqr',
-                    confidence: Math.min(deviation / maxDeviation, 3) / 3,
-                    severity: deviation > maxDeviation * 2 ? 'critical' : deviation > maxDeviation ? 'high' : 'medium'
-                });
+            if (values.length < detector.minDataPoints) {
+                console.log(`⏭️ Skipping ${name}: needs ${detector.minDataPoints} data points`);
+                return;
             }
-        });
-        
-        console.log(`📈 IQR detected ${anomalies.length} anomalies`);
-        return anomalies;
-    }
 
-    /**
-     * ALGORITHM 3: Regression-based anomaly detection
-     */
-    static detectRegressionAnomalies(timestamps, values, historicalData) {
-        if (values.length < 10) return []; // Need minimum data for regression
-        
-        try {
-            // Create time series data
-            const data = timestamps.map((timestamp, index) => [timestamp, values[index]]);
-            
-            // Fit linear regression
-            const result = regression.linear(data);
-            const { equation } = result;
-            
-            const anomalies = [];
-            
-            // Calculate residuals
-            const residuals = values.map((value, index) => {
-                const predicted = equation[0] * timestamps[index] + equation[1];
-                return Math.abs(value - predicted);
-            });
-            
-            const meanResidual = ss.mean(residuals);
-            const stdResidual = ss.standardDeviation(residuals);
-            const threshold = meanResidual + 2 * stdResidual;
-            
-            residuals.forEach((residual, index) => {
-                if (residual > threshold) {
-                    const predicted = equation[0] * timestamps[index] + equation[1];
-                    
-                    anomalies.push({
-                        index: index,
-                        value: values[index],
-                        predicted: predicted,
-                        residual: residual,
-                        algorithm: 'regression',
-                        confidence: Math.min(residual / threshold, 4) / 4,
-                        severity: residual > threshold * 2 ? 'critical' : residual > threshold * 1.5 ? 'high' : 'medium'
-                    });
-                }
+            const detected = detector.detect({
+                values,
+                timestamps,
+                records: historicalData,
+                threshold: threshold * thresholdScale,
+                thresholdScale,
+                options: detectorOptions[name] || {}
             });
-            
-            console.log(`🔮 Regression detected ${anomalies.length} anomalies`);
-            return anomalies;
-        } catch (error) {
-            console.error('❌ Regression analysis failed:', error);
-            return [];
-        }
-    }
 
-    /**
-     * ALGORITHM 4: Seasonal pattern anomaly detection
-     */
-    static detectSeasonalAnomalies(timestamps, values, historicalData) {
-        if (values.length < 21) return []; // Need at least 3 weeks of data
-        
-        const anomalies = [];
+            detectionResults[name] = detected.map(anomaly => ({
+                ...anomaly,
+                algorithm: name,
+                confidence: anomaly.score
+            }));
+        });
+
+        // REVOLUTIONARY: Ensemble method - combine all algorithms
+        const combinedAnomalies = this.combineDetectionResults(detectionResults, historicalData, realTime, options);
         
-        try {
-            // Detect weekly seasonality (7-day cycle)
-            const weeklyPattern = this.extractWeeklyPattern(timestamps, values);
-            
-            // Detect daily seasonality (24-hour cycle if hourly data)
-            const dailyPattern = this.extractDailyPattern(timestamps, values);
-            
-            // Check for seasonal anomalies
-            values.forEach((value, index) => {
-                const timestamp = timestamps[index];
-                const dayOfWeek = new Date(timestamp).getDay();
-                const hourOfDay = new Date(timestamp).getHours();
-                
-                const expectedWeekly = weeklyPattern[dayOfWeek] || ss.mean(values);
-                const expectedDaily = dailyPattern[hourOfDay] || ss.mean(values);
-                
-                // Use the more relevant seasonal expectation
-                const expectedValue = Math.abs(value - expectedWeekly) < Math.abs(value - expectedDaily) 
-                    ? expectedWeekly : expectedDaily;
-                
-                const deviation = Math.abs(value - expectedValue);
-                const threshold = ss.standardDeviation(values) * 2;
-                
-                if (deviation > threshold) {
-                    anomalies.push({
-                        index: index,
-                        value: value,
-                        expected: expectedValue,
-                        deviation: deviation,
-                        algorithm: 'seasonal',
-                        confidence: Math.min(deviation / threshold, 3) / 3,
-                        severity: deviation > threshold * 2 ? 'critical' : deviation > threshold * 1.5 ? 'high' : 'medium',
-                        seasonalContext: {
-                            dayOfWeek: dayOfWeek,
-                            hourOfDay: hourOfDay,
-                            weeklyExpected: expectedWeekly,
-                            dailyExpected: expectedDaily
-                        }
-                    });
-                }
-            });
-            
-            console.log(`📅 Seasonal analysis detected ${anomalies.length} anomalies`);
-            return anomalies;
-        } catch (error) {
-            console.error('❌ Seasonal analysis failed:', error);
-            return [];
-        }
+        console.log(`🎯 Detected ${combinedAnomalies.length} anomalies using ${Object.keys(detectionResults).length} algorithms`);
+        return combinedAnomalies;
     }
 
     /**
      * REVOLUTIONARY: Combine results from multiple algorithms with deduplication
+     * Confidence is the weighted mean of every detector's score for the point (0 when a
+     * detector did not flag it). Tune with options.detectorWeights ({ name: weight }) and
+     * drop weak agreement with options.ensembleThreshold.
      */
-    static combineDetectionResults(detectionResults, historicalData, realTime = false) {
+    static combineDetectionResults(detectionResults, historicalData, realTime = false, options = {}) {
+        const { detectorWeights = {}, ensembleThreshold = 0 } = options;
         const combinedAnomalies = [];
         const indexAnomalyMap = new Map();
+
+        const detectorNames = Object.keys(detectionResults);
+        const weights = {};
+        detectorNames.forEach(name => {
+            weights[name] = detectorWeights[name] ?? getDetector(name)?.weight ?? 1;
+        });
+        const totalWeight = detectorNames.reduce((sum, name) => sum + weights[name], 0);
         
         // Collect all anomalies by index
-        Object.keys(detectionResults).forEach(algorithm => {
+        detectorNames.forEach(algorithm => {
             detectionResults[algorithm].forEach(anomaly => {
                 const index = anomaly.index;
                 if (!indexAnomalyMap.has(index)) {
@@ -269,65 +131,76 @@ class AnomalyDetectionService {
         
         // Combine anomalies detected by multiple algorithms
         indexAnomalyMap.forEach((anomalies, index) => {
-            if (anomalies.length >= 1) { // At least 1 algorithm detected it
-                const originalData = historicalData[index];
-                
-                // Calculate ensemble confidence
-                const avgConfidence = anomalies.reduce((sum, a) => sum + a.confidence, 0) / anomalies.length;
-                const algorithmCount = anomalies.length;
-                const ensembleConfidence = (avgConfidence * 0.7) + (algorithmCount * 0.3 / 4); // Weight by algorithm agreement
-                
-                // Determine severity based on ensemble
-                let severity = 'low';
-                const criticalCount = anomalies.filter(a => a.severity === 'critical').length;
-                const highCount = anomalies.filter(a => a.severity === 'high').length;
-                
-                if (criticalCount >= 1) severity = 'critical';
-                else if (highCount >= 1 || algorithmCount >= 3) severity = 'high';
-                else if (algorithmCount >= 2) severity = 'medium';
-                
-                // Create unique ID based on date and service for deduplication
-                let dateValue = originalData.date || originalData.created_at || new Date().toISOString();
-                
-                // Convert Date object to ISO string if needed
-                if (dateValue instanceof Date) {
-                    dateValue = dateValue.toISOString();
-                } else if (typeof dateValue !== 'string') {
-                    dateValue = String(dateValue);
-                }
-                
-                const serviceName = originalData.service_name || 'Unknown';
-                const uniqueKey = `${dateValue}_${serviceName}`;
-                
-                const combinedAnomaly = {
-                    ...originalData,
-                    // Enhanced anomaly data
-                    anomalyId: `anomaly_${uniqueKey}_${index}`,
-                    uniqueKey: uniqueKey, // For deduplication
-                    detectedAt: new Date().toISOString(),
-                    algorithms: anomalies.map(a => a.algorithm),
-                    confidence: ensembleConfidence,
-                    severity: severity,
-                    algorithmCount: algorithmCount,
-                    
-                    // Statistical data from different algorithms
-                    zScore: anomalies.find(a => a.algorithm === 'zscore')?.zScore,
-                    iqrData: anomalies.find(a => a.algorithm === 'iqr'),
-                    regressionData: anomalies.find(a => a.algorithm === 'regression'),
-                    seasonalData: anomalies.find(a => a.algorithm === 'seasonal'),
-                    
-                    // Meta information
-                    isRealTime: realTime,
-                    needsImmedateAlert: severity === 'critical' || (severity === 'high' && algorithmCount >= 3)
-                };
+            const originalData = historicalData[index];
+
+            // Per-detector scores, including the detectors that did not flag this point
+            const detectorScores = {};
+            detectorNames.forEach(name => {
+                detectorScores[name] = 0;
+            });
+            anomalies.forEach(a => {
+                detectorScores[a.algorithm] = Math.max(detectorScores[a.algorithm], a.score);
+            });
+
+            const ensembleConfidence = totalWeight > 0
+                ? detectorNames.reduce((sum, name) => sum + weights[name] * detectorScores[name], 0) / totalWeight
+                : 0;
+
+            if (ensembleConfidence < ensembleThreshold) {
+                return;
+            }
+
+            const algorithmCount = anomalies.length;
+            
+            // Determine severity based on ensemble
+            let severity = 'low';
+            const criticalCount = anomalies.filter(a => a.severity === 'critical').length;
+            const highCount = anomalies.filter(a => a.severity === 'high').length;
+            
+            if (criticalCount >= 1) severity = 'critical';
+            else if (highCount >= 1 || algorithmCount >= 3) severity = 'high';
+            else if (algorithmCount >= 2) severity = 'medium';
+            
+            // Create unique ID based on date and service for deduplication
+            let dateValue = originalData.date || originalData.created_at || new Date().toISOString();
+            
+            // Convert Date object to ISO string if needed
+            if (dateValue instanceof Date) {
+                dateValue = dateValue.toISOString();
+            } else if (typeof dateValue !== 'string') {
+                dateValue = String(dateValue);
+            }
+            
+            const serviceName = originalData.service_name || 'Unknown';
+            const uniqueKey = `${dateValue}_${serviceName}`;
+            
+            const combinedAnomaly = {
+                ...originalData,
+                // Enhanced anomaly data
+                anomalyId: `anomaly_${uniqueKey}_${index}`,
+                uniqueKey: uniqueKey, // For deduplication
+                detectedAt: new Date().toISOString(),
+                algorithms: anomalies.map(a => a.algorithm),
+                confidence: ensembleConfidence,
+                detectorScores: detectorScores,
+                severity: severity,
+                algorithmCount: algorithmCount,
                 
-                combinedAnomalies.push(combinedAnomaly);
+                // Statistical data from different algorithms
+                zScore: anomalies.find(a => a.algorithm === 'zscore')?.zScore,
+                iqrData: anomalies.find(a => a.algorithm === 'iqr'),
+                regressionData: anomalies.find(a => a.algorithm === 'regression'),
+                seasonalData: anomalies.find(a => a.algorithm === 'seasonal'),
+                isolationForestData: anomalies.find(a => a.algorithm === 'isolation_forest'),
+                stlData: anomalies.find(a => a.algorithm === 'stl'),
                 
-                // INSTANT ALERT for critical anomalies
-                if (combinedAnomaly.needsImmedateAlert && realTime) {
-                    this.triggerImmediateAlert(combinedAnomaly);
-                }
-            }
+                // Meta information
+                isRealTime: realTime,
+                thresholdScale: options.thresholdScale || 1,
+                needsImmedateAlert: severity === 'critical' || (severity === 'high' && algorithmCount >= 3)
+            };
+            
+            combinedAnomalies.push(combinedAnomaly);
         });
         
         // DEDUPLICATION: Remove duplicate anomalies based on uniqueKey
@@ -347,46 +220,6 @@ class AnomalyDetectionService {
         return deduplicatedAnomalies.sort((a, b) => b.confidence - a.confidence);
     }
 
-    /**
-     * Extract weekly seasonal patterns
-     */
-    static extractWeeklyPattern(timestamps, values) {
-        const weeklyData = {};
-        
-        timestamps.forEach((timestamp, index) => {
-            const dayOfWeek = new Date(timestamp).getDay();
-            if (!weeklyData[dayOfWeek]) weeklyData[dayOfWeek] = [];
-            weeklyData[dayOfWeek].push(values[index]);
-        });
-        
-        const weeklyPattern = {};
-        Object.keys(weeklyData).forEach(day => {
-            weeklyPattern[day] = ss.mean(weeklyData[day]);
-        });
-        
-        return weeklyPattern;
-    }
-
-    /**
-     * Extract daily seasonal patterns
-     */
-    static extractDailyPattern(timestamps, values) {
-        const dailyData = {};
-        
-        timestamps.forEach((timestamp, index) => {
-            const hourOfDay = new Date(timestamp).getHours();
-            if (!dailyData[hourOfDay]) dailyData[hourOfDay] = [];
-            dailyData[hourOfDay].push(values[index]);
-        });
-        
-        const dailyPattern = {};
-        Object.keys(dailyData).forEach(hour => {
-            dailyPattern[hour] = ss.mean(dailyData[hour]);
-        });
-        
-        return dailyPattern;
-    }
-
     /**
      * INSTANT ALERT SYSTEM - Triggers immediate notifications
      */
@@ -451,21 +284,53 @@ class AnomalyDetectionService {
                 return { anomaliesFound: 0, message: 'Insufficient data' };
             }
             
-            // Run multi-algorithm detection
-            const anomalies = this.detectServiceAnomalies(recentData, {
-                algorithms: ['zscore', 'iqr', 'regression', 'seasonal'],
-                realTime: true,
-                minDataPoints: 5
+            // Feedback (thresholds, suppressions) is per user, so analyse each user's costs separately
+            const userGroups = new Map();
+            recentData.forEach(record => {
+                if (!userGroups.has(record.user_id)) {
+                    userGroups.set(record.user_id, []);
+                }
+                userGroups.get(record.user_id).push(record);
             });
-            
-            // Store anomalies in database
-            for (const anomaly of anomalies) {
-                await this.storeAnomalyRecord(anomaly);
+
+            const anomalies = [];
+            let suppressedCount = 0;
+            let alertsSent = 0;
+
+            for (const [userId, records] of userGroups) {
+                const options = { realTime: true, minDataPoints: 5 };
+
+                // Records without an owner can't carry feedback - alert on them as before
+                if (userId === null || userId === undefined) {
+                    const unowned = this.detectServiceAnomalies(records, options);
+                    for (const anomaly of unowned.filter(a => a.needsImmedateAlert)) {
+                        await this.triggerImmediateAlert(anomaly);
+                        alertsSent++;
+                    }
+                    anomalies.push(...unowned);
+                    continue;
+                }
+
+                const result = await this.detectUserAnomalies(records, userId, options);
+                suppressedCount += result.suppressed.length;
+                anomalies.push(...result.anomalies);
+
+                // INSTANT ALERT for critical anomalies - once per anomaly, and not once someone has triaged it
+                const toAlert = result.anomalies.filter(a =>
+                    a.needsImmedateAlert && !a.alertedAt && (!a.status || a.status === 'open')
+                );
+                for (const anomaly of toAlert) {
+                    await this.triggerImmediateAlert(anomaly);
+                    alertsSent++;
+                }
+                await AnomalyFeedbackService.markAlerted(toAlert.map(a => a.anomalyRecordId).filter(Boolean));
             }
             
             return {
                 anomaliesFound: anomalies.length,
                 criticalAnomalies: anomalies.filter(a => a.severity === 'critical').length,
+                suppressedAnomalies: suppressedCount,
+                alertsSent: alertsSent,
                 timestamp: new Date().toISOString()
             };
         } catch (error) {
@@ -475,19 +340,25 @@ class AnomalyDetectionService {
     }
 
     /**
-     * Store anomaly record in database
+     * Detect a user's anomalies with their feedback applied: per-service thresholds,
+     * suppression of labelled repeats, and storage so the results can be triaged
+     * @param {Array} costRecords - The user's cost records
+     * @param {string|number} userId - User ID
+     * @param {Object} options - Detection options (see detectServiceAnomalies)
+     * @returns {Object} { anomalies, suppressed }
      */
-    static async storeAnomalyRecord(anomaly) {
-        try {
-            // This would store in an anomalies table
-            // For now, just log it
-            console.log(`💾 Storing anomaly: ${anomaly.service_name} - ${anomaly.severity}`);
-            
-            // In a real implementation, you'd insert into database:
-            // await DatabaseService.query('INSERT INTO anomalies ...')
-        } catch (error) {
-            console.error(`❌ Error storing anomaly:`, error);
-        }
+    static async detectUserAnomalies(costRecords, userId, options = {}) {
+        const feedback = await AnomalyFeedbackService.getFeedbackContext(userId);
+
+        const detected = this.detectServiceAnomalies(costRecords, {
+            ...options,
+            serviceThresholds: feedback.serviceThresholds
+        });
+
+        const { active, suppressed } = AnomalyFeedbackService.applySuppressions(detected, feedback.suppressions);
+        const anomalies = await AnomalyFeedbackService.recordAnomalies(userId, active);
+
+        return { anomalies, suppressed };
     }
 
     /**
@@ -519,6 +390,8 @@ class AnomalyDetectionService {
         Object.keys(serviceGroups).forEach(serviceName => {
             const serviceRecords = serviceGroups[serviceName];
             const minDataPoints = options.minDataPoints || 7;
+            // Feedback loosens services that keep producing false positives
+            const thresholdScale = options.serviceThresholds?.[serviceName] || 1;
             
             if (serviceRecords.length >= minDataPoints) {
                 console.log(`🔍 Analyzing ${serviceName} with ${serviceRecords.length} data points`);
@@ -527,8 +400,9 @@ class AnomalyDetectionService {
                 const serviceAnomalies = this.detectAnomalies(serviceRecords, {
                     ...options,
                     threshold: options.threshold || 2.0, // More sensitive for services
-                    algorithms: options.algorithms || ['zscore', 'iqr', 'regression'],
-                    realTime: options.realTime || false
+                    algorithms: options.algorithms || DEFAULT_DETECTORS,
+                    realTime: options.realTime || false,
+                    thresholdScale
                 });
                 
                 // Add service context to anomalies
@@ -587,7 +461,7 @@ class AnomalyDetectionService {
     /**
      * Generate anomaly report with deduplication
      * @param {Array} anomalies - Detected anomalies
-     * @param {Object} options - Report options (requestedDateRange, etc.)
+     * @param {Object} options - Report options (requestedDateRange, suppressedCount)
      * @returns {Object} Formatted anomaly report
      */
     static generateAnomalyReport(anomalies, options = {}) {
@@ -601,6 +475,7 @@ class AnomalyDetectionService {
                 },
                 topServices: [],
                 dateRange: options.requestedDateRange || null,
+                suppressedAnomalies: options.suppressedCount || 0,
                 recommendations: []
             };
         }
@@ -670,6 +545,7 @@ class AnomalyDetectionService {
             severityBreakdown,
             topServices,
             dateRange,
+            suppressedAnomalies: options.suppressedCount || 0,
             recommendations,
             anomalies: deduplicatedAnomalies.slice(0, 50) // Limit to 50 for performance
         };
@@ -760,11 +636,19 @@ class AnomalyDetectionService {
                 };
             }
 
-            // Detect anomalies
-            const anomalies = this.detectServiceAnomalies(costRecords);
+            // Detect anomalies - with the user's feedback applied when we know who is asking
+            let anomalies;
+            let suppressedCount = 0;
+            if (options.userId) {
+                const result = await this.detectUserAnomalies(costRecords, options.userId);
+                anomalies = result.anomalies;
+                suppressedCount = result.suppressed.length;
+            } else {
+                anomalies = this.detectServiceAnomalies(costRecords);
+            }
 
             // Generate report with requested date range
-            const report = this.generateAnomalyReport(anomalies, { requestedDateRange });
+            const report = this.generateAnomalyReport(anomalies, { requestedDateRange, suppressedCount });
 
             return {
                 success: true,
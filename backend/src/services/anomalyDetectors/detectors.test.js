@@ -0,0 +1,99 @@
+// Test for the anomaly detector plugins and the weighted ensemble
+const assert = require('assert');
+const { registerDetector, getDetector } = require('./index');
+const AnomalyDetectionService = require('../anomalyDetectionService');
+
+// Deterministic noise so the run is reproducible
+let seed = 7;
+const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+};
+
+// 70 days of cost with a weekday/weekend cycle, a slow trend and one spike on day 45
+const SPIKE = 45;
+const start = new Date('2025-03-03T00:00:00Z').getTime();
+const history = Array.from({ length: 70 }, (_, day) => ({
+    date: new Date(start + day * 86400000).toISOString().split('T')[0],
+    service_name: 'EC2',
+    cost_amount: (day === SPIKE ? 3 : 1) * (200 + day * 0.5 + (day % 7 >= 5 ? -60 : 0) + (random() - 0.5) * 10)
+}));
+const values = history.map(item => item.cost_amount);
+const timestamps = history.map(item => new Date(item.date).getTime());
+const isWeekend = index => index % 7 >= 5;
+
+const detect = (name, input = {}) => getDetector(name).detect({
+    values,
+    timestamps,
+    records: history,
+    threshold: 2.5,
+    thresholdScale: 1,
+    options: {},
+    ...input
+});
+
+const run = () => {
+    console.log('Testing anomaly detectors...');
+    const quiet = console.log;
+    console.log = () => {};
+
+    // Isolation Forest: isolates the spike, scores stay in 0-1 and the seeded forest is stable
+    const forest = detect('isolation_forest');
+    const forestAgain = detect('isolation_forest');
+    // STL: the spike stands out in the remainder, the weekly cycle does not
+    const stl = detect('stl');
+    const tooShort = getDetector('stl').detect({
+        values: values.slice(0, 10),
+        timestamps: timestamps.slice(0, 10),
+        thresholdScale: 1,
+        options: {}
+    });
+    console.log = quiet;
+
+    assert(forest.some(anomaly => anomaly.index === SPIKE), 'Isolation Forest should flag the spike');
+    forest.forEach(anomaly => assert(anomaly.score >= 0 && anomaly.score <= 1, `score ${anomaly.score} out of range`));
+    assert.deepStrictEqual(forestAgain.map(a => a.index), forest.map(a => a.index), 'Isolation Forest should be deterministic');
+    console.log('Isolation Forest flagged:', forest.map(a => `${a.index} (${a.score.toFixed(2)})`).join(', '));
+
+    const stlSpike = stl.find(anomaly => anomaly.index === SPIKE);
+    assert(stlSpike, 'STL should flag the spike');
+    assert.strictEqual(stlSpike.period, 7, 'daily data should use a weekly period');
+    assert(stlSpike.expected < stlSpike.value / 2, 'expected cost should follow trend and season, not the spike');
+    assert(!stl.some(anomaly => isWeekend(anomaly.index)), 'STL should not flag the regular weekend dip');
+    assert.deepStrictEqual(tooShort, [], 'STL needs two full cycles');
+    console.log('STL flagged:', stl.map(a => `${a.index} (robust z ${a.robustZ.toFixed(1)})`).join(', '));
+
+    // Registry rejects detectors without detect()
+    assert.throws(() => registerDetector({ name: 'broken' }), /must implement detect/);
+
+    // Ensemble confidence is the weighted mean of the detectors' scores
+    registerDetector({ name: 'test_always', detect: () => [{ index: 3, value: values[3], score: 1, severity: 'medium' }] });
+    registerDetector({ name: 'test_half', weight: 3, detect: () => [{ index: 3, value: values[3], score: 0.5, severity: 'medium' }] });
+    console.log = () => {};
+    const combined = AnomalyDetectionService.detectAnomalies(history, { algorithms: ['test_always', 'test_half'] });
+    const reweighted = AnomalyDetectionService.detectAnomalies(history, {
+        algorithms: ['test_always', 'test_half'],
+        detectorWeights: { test_half: 1 }
+    });
+    const filtered = AnomalyDetectionService.detectAnomalies(history, {
+        algorithms: ['test_always', 'test_half'],
+        ensembleThreshold: 0.7
+    });
+    console.log = quiet;
+
+    assert.strictEqual(combined.length, 1);
+    assert.strictEqual(combined[0].confidence, (1 * 1 + 3 * 0.5) / 4);
+    assert.deepStrictEqual(combined[0].detectorScores, { test_always: 1, test_half: 0.5 });
+    assert.strictEqual(reweighted[0].confidence, 0.75);
+    assert.strictEqual(filtered.length, 0, 'ensembleThreshold should drop weak agreement');
+
+    console.log('Test completed successfully!');
+};
+
+try {
+    run();
+    process.exit(0);
+} catch (error) {
+    console.error(error);
+    process.exit(1);
+}
@@ -0,0 +1,13 @@
+// Built-in anomaly detectors
+// Each module registers itself on require; add new detectors here or call
+// registerDetector() from anywhere before detection runs.
+const registry = require('./registry');
+
+require('./zscore');
+require('./iqr');
+require('./regression');
+require('./seasonal');
+require('./isolationForest');
+require('./stl');
+
+module.exports = registry;
@@ -0,0 +1,42 @@
+// Interquartile Range (IQR) detector - more robust to outliers than z-score
+const ss = require('simple-statistics');
+const { registerDetector } = require('./registry');
+
+module.exports = registerDetector({
+    name: 'iqr',
+    description: 'Tukey fences at 1.5 × IQR',
+    minDataPoints: 4,
+    weight: 1,
+
+    detect({ values, thresholdScale = 1 }) {
+        const sortedValues = [...values].sort((a, b) => a - b);
+        const q1 = ss.quantile(sortedValues, 0.25);
+        const q3 = ss.quantile(sortedValues, 0.75);
+        const iqr = q3 - q1;
+        const fence = 1.5 * thresholdScale;
+        const lowerBound = q1 - fence * iqr;
+        const upperBound = q3 + fence * iqr;
+
+        const anomalies = [];
+
+        values.forEach((value, index) => {
+            if (value < lowerBound || value > upperBound) {
+                const deviation = value > upperBound ? value - upperBound : lowerBound - value;
+                const maxDeviation = Math.max(Math.abs(upperBound - q3), Math.abs(q1 - lowerBound));
+
+                anomalies.push({
+                    index: index,
+                    value: value,
+                    lowerBound: lowerBound,
+                    upperBound: upperBound,
+                    iqr: iqr,
+                    score: maxDeviation > 0 ? Math.min(deviation / maxDeviation, 3) / 3 : 1,
+                    severity: deviation > maxDeviation * 2 ? 'critical' : deviation > maxDeviation ? 'high' : 'medium'
+                });
+            }
+        });
+
+        console.log(`📈 IQR detected ${anomalies.length} anomalies`);
+        return anomalies;
+    }
+});
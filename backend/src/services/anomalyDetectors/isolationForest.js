@@ -0,0 +1,160 @@
+// Isolation Forest detector (Liu, Ting & Zhou, 2008)
+// Anomalies are the points that random axis-aligned splits isolate quickly:
+// the shorter the average path length across the forest, the more anomalous.
+const ss = require('simple-statistics');
+const { registerDetector } = require('./registry');
+
+const EULER_GAMMA = 0.5772156649;
+
+const DEFAULTS = {
+    trees: 100,
+    sampleSize: 256,
+    scoreThreshold: 0.6, // Scores above 0.5 are shorter-than-average paths
+    seed: 42             // Fixed seed so repeated runs flag the same points
+};
+
+/**
+ * Small seeded PRNG (mulberry32) - Math.random would make results flap between runs
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Average path length of an unsuccessful BST search over n points, c(n)
+ */
+function averagePathLength(n) {
+    if (n <= 1) return 0;
+    if (n === 2) return 1;
+    return 2 * (Math.log(n - 1) + EULER_GAMMA) - (2 * (n - 1)) / n;
+}
+
+/**
+ * Build one isolation tree on a sample of feature vectors
+ */
+function buildTree(points, depth, heightLimit, random) {
+    if (depth >= heightLimit || points.length <= 1) {
+        return { size: points.length };
+    }
+
+    // Only split on features that still vary inside this node
+    const candidates = [];
+    for (let feature = 0; feature < points[0].length; feature++) {
+        let min = Infinity;
+        let max = -Infinity;
+        points.forEach(point => {
+            if (point[feature] < min) min = point[feature];
+            if (point[feature] > max) max = point[feature];
+        });
+        if (max > min) candidates.push({ feature, min, max });
+    }
+
+    if (candidates.length === 0) {
+        return { size: points.length };
+    }
+
+    const { feature, min, max } = candidates[Math.floor(random() * candidates.length)];
+    const split = min + random() * (max - min);
+
+    return {
+        feature,
+        split,
+        left: buildTree(points.filter(point => point[feature] < split), depth + 1, heightLimit, random),
+        right: buildTree(points.filter(point => point[feature] >= split), depth + 1, heightLimit, random)
+    };
+}
+
+/**
+ * Path length of a point through one tree, adjusted for unexpanded leaves
+ */
+function pathLength(point, node, depth = 0) {
+    if (node.size !== undefined) {
+        return depth + averagePathLength(node.size);
+    }
+    const next = point[node.feature] < node.split ? node.left : node.right;
+    return pathLength(point, next, depth + 1);
+}
+
+/**
+ * Features per point, in time order: the cost itself, the day-over-day change
+ * and the distance from the median of the previous week
+ */
+function buildFeatures(values, order) {
+    const ordered = order.map(index => values[index]);
+    const features = new Array(values.length);
+
+    order.forEach((index, position) => {
+        const value = ordered[position];
+        const previous = position > 0 ? ordered[position - 1] : value;
+        const history = ordered.slice(Math.max(0, position - 7), position);
+        const baseline = history.length > 0 ? ss.median(history) : value;
+        features[index] = [value, value - previous, value - baseline];
+    });
+
+    return features;
+}
+
+module.exports = registerDetector({
+    name: 'isolation_forest',
+    description: 'Isolation Forest over cost, day-over-day change and weekly baseline distance',
+    minDataPoints: 8,
+    weight: 1,
+
+    detect({ values, timestamps, thresholdScale = 1, options = {} }) {
+        const config = { ...DEFAULTS, ...options };
+        const scoreThreshold = 0.5 + (config.scoreThreshold - 0.5) * thresholdScale;
+
+        try {
+            const order = values.map((_, index) => index).sort((a, b) => timestamps[a] - timestamps[b]);
+            const features = buildFeatures(values, order);
+
+            const sampleSize = Math.min(config.sampleSize, features.length);
+            const heightLimit = Math.ceil(Math.log2(sampleSize));
+            const random = createRandom(config.seed);
+
+            const forest = [];
+            for (let t = 0; t < config.trees; t++) {
+                // Sample without replacement (partial Fisher-Yates)
+                const pool = features.slice();
+                for (let i = 0; i < sampleSize; i++) {
+                    const j = i + Math.floor(random() * (pool.length - i));
+                    [pool[i], pool[j]] = [pool[j], pool[i]];
+                }
+                forest.push(buildTree(pool.slice(0, sampleSize), 0, heightLimit, random));
+            }
+
+            const normalizer = averagePathLength(sampleSize);
+            const anomalies = [];
+
+            features.forEach((point, index) => {
+                const meanPath = forest.reduce((sum, tree) => sum + pathLength(point, tree), 0) / forest.length;
+                const isolationScore = Math.pow(2, -meanPath / normalizer);
+
+                if (isolationScore > scoreThreshold) {
+                    anomalies.push({
+                        index: index,
+                        value: values[index],
+                        isolationScore: isolationScore,
+                        averagePathLength: meanPath,
+                        // Rescale 0.5 (ordinary) ... 1.0 (isolated at the root) to 0-1
+                        score: Math.max(0, Math.min((isolationScore - 0.5) / 0.5, 1)),
+                        severity: isolationScore > 0.75 ? 'critical' : isolationScore > 0.68 ? 'high' : 'medium'
+                    });
+                }
+            });
+
+            console.log(`🌲 Isolation Forest detected ${anomalies.length} anomalies`);
+            return anomalies;
+        } catch (error) {
+            console.error('❌ Isolation Forest analysis failed:', error);
+            return [];
+        }
+    }
+});
@@ -0,0 +1,70 @@
+// Anomaly detector registry
+// Every detector registers itself here so AnomalyDetectionService can run any
+// combination of them by name.
+//
+// A detector is a plain object:
+//   {
+//       name: 'zscore',             // key used in options.algorithms
+//       description: '...',
+//       minDataPoints: 2,           // skipped below this many points
+//       weight: 1,                  // default weight in the ensemble score
+//       detect(context)             // returns [{ index, value, score, severity, ... }]
+//   }
+//
+// detect() receives { values, timestamps, records, threshold, thresholdScale, options }
+// where options are the detector-specific settings from options.detectorOptions[name].
+// threshold is the shared z-score style cut-off (already scaled); detectors with
+// their own cut-off multiply it by thresholdScale, which feedback raises for noisy
+// services. score must be in the 0-1 range - it is what the ensemble weighs.
+
+const detectors = new Map();
+
+/**
+ * Register (or replace) an anomaly detector
+ */
+function registerDetector(detector) {
+    if (!detector || typeof detector.name !== 'string' || !detector.name) {
+        throw new Error('Anomaly detector must have a name');
+    }
+    if (typeof detector.detect !== 'function') {
+        throw new Error(`Anomaly detector "${detector.name}" must implement detect()`);
+    }
+
+    const registered = {
+        description: '',
+        minDataPoints: 1,
+        weight: 1,
+        ...detector
+    };
+
+    if (detectors.has(registered.name)) {
+        console.log(`♻️ Replacing anomaly detector: ${registered.name}`);
+    }
+    detectors.set(registered.name, registered);
+    return registered;
+}
+
+/**
+ * Look up a registered detector by name
+ */
+function getDetector(name) {
+    return detectors.get(name) || null;
+}
+
+/**
+ * List registered detectors (without their detect functions)
+ */
+function listDetectors() {
+    return Array.from(detectors.values()).map(({ name, description, minDataPoints, weight }) => ({
+        name,
+        description,
+        minDataPoints,
+        weight
+    }));
+}
+
+module.exports = {
+    registerDetector,
+    getDetector,
+    listDetectors
+};
@@ -0,0 +1,55 @@
+// Regression detector - residuals from a linear trend
+const ss = require('simple-statistics');
+const regression = require('regression');
+const { registerDetector } = require('./registry');
+
+module.exports = registerDetector({
+    name: 'regression',
+    description: 'Residuals from a linear trend over time',
+    minDataPoints: 10, // Need minimum data for regression
+    weight: 1,
+
+    detect({ values, timestamps, thresholdScale = 1 }) {
+        try {
+            // Create time series data
+            const data = timestamps.map((timestamp, index) => [timestamp, values[index]]);
+
+            // Fit linear regression
+            const result = regression.linear(data);
+            const { equation } = result;
+
+            const anomalies = [];
+
+            // Calculate residuals
+            const residuals = values.map((value, index) => {
+                const predicted = equation[0] * timestamps[index] + equation[1];
+                return Math.abs(value - predicted);
+            });
+
+            const meanResidual = ss.mean(residuals);
+            const stdResidual = ss.standardDeviation(residuals);
+            const threshold = meanResidual + 2 * thresholdScale * stdResidual;
+
+            residuals.forEach((residual, index) => {
+                if (residual > threshold) {
+                    const predicted = equation[0] * timestamps[index] + equation[1];
+
+                    anomalies.push({
+                        index: index,
+                        value: values[index],
+                        predicted: predicted,
+                        residual: residual,
+                        score: Math.min(residual / threshold, 4) / 4,
+                        severity: residual > threshold * 2 ? 'critical' : residual > threshold * 1.5 ? 'high' : 'medium'
+                    });
+                }
+            });
+
+            console.log(`🔮 Regression detected ${anomalies.length} anomalies`);
+            return anomalies;
+        } catch (error) {
+            console.error('❌ Regression analysis failed:', error);
+            return [];
+        }
+    }
+});
@@ -0,0 +1,104 @@
+// Seasonal profile detector - compares each point to its weekday / hour-of-day mean
+const ss = require('simple-statistics');
+const { registerDetector } = require('./registry');
+
+/**
+ * Extract weekly seasonal patterns
+ */
+function extractWeeklyPattern(timestamps, values) {
+    const weeklyData = {};
+
+    timestamps.forEach((timestamp, index) => {
+        const dayOfWeek = new Date(timestamp).getDay();
+        if (!weeklyData[dayOfWeek]) weeklyData[dayOfWeek] = [];
+        weeklyData[dayOfWeek].push(values[index]);
+    });
+
+    const weeklyPattern = {};
+    Object.keys(weeklyData).forEach(day => {
+        weeklyPattern[day] = ss.mean(weeklyData[day]);
+    });
+
+    return weeklyPattern;
+}
+
+/**
+ * Extract daily seasonal patterns
+ */
+function extractDailyPattern(timestamps, values) {
+    const dailyData = {};
+
+    timestamps.forEach((timestamp, index) => {
+        const hourOfDay = new Date(timestamp).getHours();
+        if (!dailyData[hourOfDay]) dailyData[hourOfDay] = [];
+        dailyData[hourOfDay].push(values[index]);
+    });
+
+    const dailyPattern = {};
+    Object.keys(dailyData).forEach(hour => {
+        dailyPattern[hour] = ss.mean(dailyData[hour]);
+    });
+
+    return dailyPattern;
+}
+
+module.exports = registerDetector({
+    name: 'seasonal',
+    description: 'Deviation from the weekday and hour-of-day averages',
+    minDataPoints: 21, // Need at least 3 weeks of data
+    weight: 0.5,
+
+    detect({ values, timestamps, thresholdScale = 1 }) {
+        const anomalies = [];
+
+        try {
+            // Detect weekly seasonality (7-day cycle)
+            const weeklyPattern = extractWeeklyPattern(timestamps, values);
+
+            // Detect daily seasonality (24-hour cycle if hourly data)
+            const dailyPattern = extractDailyPattern(timestamps, values);
+
+            const mean = ss.mean(values);
+            const threshold = ss.standardDeviation(values) * 2 * thresholdScale;
+
+            // Check for seasonal anomalies
+            values.forEach((value, index) => {
+                const timestamp = timestamps[index];
+                const dayOfWeek = new Date(timestamp).getDay();
+                const hourOfDay = new Date(timestamp).getHours();
+
+                const expectedWeekly = weeklyPattern[dayOfWeek] || mean;
+                const expectedDaily = dailyPattern[hourOfDay] || mean;
+
+                // Use the more relevant seasonal expectation
+                const expectedValue = Math.abs(value - expectedWeekly) < Math.abs(value - expectedDaily)
+                    ? expectedWeekly : expectedDaily;
+
+                const deviation = Math.abs(value - expectedValue);
+
+                if (threshold > 0 && deviation > threshold) {
+                    anomalies.push({
+                        index: index,
+                        value: value,
+                        expected: expectedValue,
+                        deviation: deviation,
+                        score: Math.min(deviation / threshold, 3) / 3,
+                        severity: deviation > threshold * 2 ? 'critical' : deviation > threshold * 1.5 ? 'high' : 'medium',
+                        seasonalContext: {
+                            dayOfWeek: dayOfWeek,
+                            hourOfDay: hourOfDay,
+                            weeklyExpected: expectedWeekly,
+                            dailyExpected: expectedDaily
+                        }
+                    });
+                }
+            });
+
+            console.log(`📅 Seasonal analysis detected ${anomalies.length} anomalies`);
+            return anomalies;
+        } catch (error) {
+            console.error('❌ Seasonal analysis failed:', error);
+            return [];
+        }
+    }
+});
@@ -0,0 +1,208 @@
+// STL detector - Seasonal-Trend decomposition using LOESS (Cleveland et al., 1990)
+// The series is split into trend + seasonal + remainder; only the remainder is
+// tested, so a regular weekly dip or a steady ramp is not reported as a spike.
+const ss = require('simple-statistics');
+const { registerDetector } = require('./registry');
+
+const DEFAULTS = {
+    period: null,        // Inferred from timestamp spacing when not set
+    seasonalSpan: 7,     // n_s - odd, >= 7
+    innerIterations: 2,  // n_i
+    robustIterations: 2, // n_o - reweighting passes that stop spikes bending the trend
+    threshold: 3.5       // Robust z-score on the remainder
+};
+
+const nextOdd = (value) => {
+    const rounded = Math.ceil(value);
+    return rounded % 2 === 0 ? rounded + 1 : rounded;
+};
+
+/**
+ * Weighted LOESS fit (local constant or local linear) of ys at positions 0..n-1, evaluated at x0
+ */
+function loessAt(ys, weights, span, x0, degree = 1) {
+    const n = ys.length;
+    const q = Math.min(span, n);
+
+    // Points are unit-spaced, so the q nearest neighbours are a contiguous window
+    const left = Math.max(0, Math.min(n - q, Math.floor(x0 - (q - 1) / 2)));
+    const right = left + q - 1;
+    let maxDistance = Math.max(Math.abs(x0 - left), Math.abs(right - x0));
+    if (span > n) maxDistance += (span - n) / 2;
+    maxDistance = Math.max(maxDistance, 1);
+
+    let sumW = 0;
+    let sumX = 0;
+    let sumY = 0;
+    const local = [];
+    for (let i = left; i <= right; i++) {
+        const ratio = Math.abs(i - x0) / maxDistance;
+        const tricube = ratio < 1 ? Math.pow(1 - Math.pow(ratio, 3), 3) : 0;
+        const w = tricube * weights[i];
+        if (w > 0) {
+            local.push([i, ys[i], w]);
+            sumW += w;
+            sumX += w * i;
+            sumY += w * ys[i];
+        }
+    }
+
+    if (sumW === 0) {
+        return ss.mean(ys.slice(left, right + 1));
+    }
+
+    const meanX = sumX / sumW;
+    const meanY = sumY / sumW;
+    let sxx = 0;
+    let sxy = 0;
+    local.forEach(([x, y, w]) => {
+        sxx += w * (x - meanX) * (x - meanX);
+        sxy += w * (x - meanX) * (y - meanY);
+    });
+
+    const slope = degree > 0 && sxx > 1e-12 ? sxy / sxx : 0;
+    return meanY + slope * (x0 - meanX);
+}
+
+function movingAverage(values, window) {
+    const result = [];
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+        sum += values[i];
+        if (i >= window) sum -= values[i - window];
+        if (i >= window - 1) result.push(sum / window);
+    }
+    return result;
+}
+
+/**
+ * Decompose an evenly spaced series into { trend, seasonal, remainder }
+ */
+function decompose(series, period, config) {
+    const n = series.length;
+    const seasonalSpan = Math.max(7, nextOdd(config.seasonalSpan));
+    const lowPassSpan = nextOdd(period);
+    const trendSpan = nextOdd((1.5 * period) / (1 - 1.5 / seasonalSpan));
+
+    let trend = new Array(n).fill(0);
+    let seasonal = new Array(n).fill(0);
+    let robustWeights = new Array(n).fill(1);
+
+    for (let outer = 0; outer <= config.robustIterations; outer++) {
+        for (let inner = 0; inner < config.innerIterations; inner++) {
+            const detrended = series.map((value, i) => value - trend[i]);
+
+            // Cycle-subseries smoothing, extended one period either side. Local constant
+            // (as in R's stl) - a local line through a handful of weeks soaks up the noise
+            const cycle = new Array(n + 2 * period);
+            for (let k = 0; k < period; k++) {
+                const positions = [];
+                for (let i = k; i < n; i += period) positions.push(i);
+                const subseries = positions.map(i => detrended[i]);
+                const subWeights = positions.map(i => robustWeights[i]);
+
+                for (let j = -1; j <= positions.length; j++) {
+                    cycle[k + (j + 1) * period] = loessAt(subseries, subWeights, seasonalSpan, j, 0);
+                }
+            }
+
+            // Low-pass filter removes any trend that leaked into the cycle
+            const smoothed = movingAverage(movingAverage(movingAverage(cycle, period), period), 3);
+            const ones = new Array(n).fill(1);
+            const lowPass = smoothed.map((_, i) => loessAt(smoothed, ones, lowPassSpan, i));
+
+            seasonal = lowPass.map((value, i) => cycle[period + i] - value);
+
+            const deseasonalized = series.map((value, i) => value - seasonal[i]);
+            trend = deseasonalized.map((_, i) => loessAt(deseasonalized, robustWeights, trendSpan, i));
+        }
+
+        if (outer < config.robustIterations) {
+            const absRemainder = series.map((value, i) => Math.abs(value - trend[i] - seasonal[i]));
+            const h = 6 * ss.median(absRemainder);
+            robustWeights = absRemainder.map(r => {
+                if (h === 0) return 1;
+                const u = r / h;
+                return u < 1 ? Math.pow(1 - u * u, 2) : 0;
+            });
+        }
+    }
+
+    const remainder = series.map((value, i) => value - trend[i] - seasonal[i]);
+    return { trend, seasonal, remainder };
+}
+
+/**
+ * Daily cost data has a weekly cycle; hourly data has a daily one
+ */
+function inferPeriod(sortedTimestamps) {
+    const gaps = [];
+    for (let i = 1; i < sortedTimestamps.length; i++) {
+        const gap = sortedTimestamps[i] - sortedTimestamps[i - 1];
+        if (gap > 0) gaps.push(gap);
+    }
+    if (gaps.length === 0) return 7;
+    return ss.median(gaps) <= 2 * 60 * 60 * 1000 ? 24 : 7;
+}
+
+module.exports = registerDetector({
+    name: 'stl',
+    description: 'Robust z-score of the STL remainder after removing trend and seasonality',
+    minDataPoints: 15, // Two full weekly cycles
+    weight: 1,
+
+    detect({ values, timestamps, thresholdScale = 1, options = {} }) {
+        const config = { ...DEFAULTS, ...options };
+        const threshold = config.threshold * thresholdScale;
+
+        try {
+            const order = values.map((_, index) => index).sort((a, b) => timestamps[a] - timestamps[b]);
+            const period = config.period || inferPeriod(order.map(index => timestamps[index]));
+
+            if (values.length < 2 * period + 1) {
+                console.log(`⏭️ STL skipped: ${values.length} points is less than two ${period}-point cycles`);
+                return [];
+            }
+
+            const series = order.map(index => values[index]);
+            const { trend, seasonal, remainder } = decompose(series, period, config);
+
+            // Median/MAD instead of mean/stddev so the spikes don't hide themselves
+            const center = ss.median(remainder);
+            const mad = ss.medianAbsoluteDeviation(remainder);
+            const scale = mad > 0 ? mad / 0.6745 : ss.mean(remainder.map(r => Math.abs(r - center))) * 1.2533;
+
+            if (!(scale > 0)) {
+                console.log('📉 STL detected 0 anomalies (flat remainder)');
+                return [];
+            }
+
+            const anomalies = [];
+            remainder.forEach((residual, position) => {
+                const robustZ = Math.abs(residual - center) / scale;
+
+                if (robustZ > threshold) {
+                    const index = order[position];
+                    anomalies.push({
+                        index: index,
+                        value: values[index],
+                        expected: trend[position] + seasonal[position],
+                        trend: trend[position],
+                        seasonal: seasonal[position],
+                        residual: residual,
+                        robustZ: robustZ,
+                        period: period,
+                        score: Math.min(robustZ / threshold, 4) / 4,
+                        severity: robustZ > threshold * 2 ? 'critical' : robustZ > threshold * 1.5 ? 'high' : 'medium'
+                    });
+                }
+            });
+
+            console.log(`📉 STL detected ${anomalies.length} anomalies`);
+            return anomalies;
+        } catch (error) {
+            console.error('❌ STL decomposition failed:', error);
+            return [];
+        }
+    }
+});
@@ -0,0 +1,40 @@
+// Z-Score detector - rolling mean and standard deviation
+const ss = require('simple-statistics');
+const { registerDetector } = require('./registry');
+
+module.exports = registerDetector({
+    name: 'zscore',
+    description: 'Rolling-window z-score against the preceding days',
+    minDataPoints: 4,
+    weight: 1,
+
+    detect({ values, threshold = 2.5 }) {
+        const anomalies = [];
+        const windowSize = Math.min(14, Math.floor(values.length / 2)); // Dynamic window size
+
+        for (let i = windowSize; i < values.length; i++) {
+            const window = values.slice(i - windowSize, i);
+            const mean = ss.mean(window);
+            const stdDev = ss.standardDeviation(window);
+
+            if (stdDev > 0) {
+                const zScore = Math.abs((values[i] - mean) / stdDev);
+
+                if (zScore > threshold) {
+                    anomalies.push({
+                        index: i,
+                        value: values[i],
+                        zScore: zScore,
+                        mean: mean,
+                        stdDev: stdDev,
+                        score: Math.min(zScore / threshold, 5) / 5, // Normalize to 0-1
+                        severity: zScore > threshold * 2 ? 'critical' : zScore > threshold * 1.5 ? 'high' : 'medium'
+                    });
+                }
+            }
+        }
+
+        console.log(`📊 Z-Score detected ${anomalies.length} anomalies`);
+        return anomalies;
+    }
+});
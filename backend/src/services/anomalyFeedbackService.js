@@ -0,0 +1,343 @@
+// Anomaly Feedback Service
+// Stores detected anomalies in the anomalies table and records what users say
+// about them (acknowledge, dismiss, label). That feedback flows back into
+// detection: noisy services get looser thresholds and labelled spikes stop
+// re-alerting for the suppression window the user chose.
+const DatabaseService = require('./databaseService');
+
+const LABELS = ['expected', 'incident', 'ignored'];
+
+// Feedback older than this no longer moves a service's thresholds
+const FEEDBACK_LOOKBACK_DAYS = 90;
+
+// Each false positive loosens a service by 15%, each confirmed incident tightens it by 10%
+const FALSE_POSITIVE_STEP = 0.15;
+const INCIDENT_STEP = 0.1;
+const MIN_THRESHOLD_SCALE = 0.75;
+const MAX_THRESHOLD_SCALE = 2;
+
+// A repeat is only suppressed while its cost stays within 25% of the labelled one,
+// so a much bigger spike on the same service still gets through
+const SUPPRESSION_TOLERANCE = 0.25;
+const MAX_SUPPRESSION_DAYS = 365;
+
+class AnomalyFeedbackService {
+    /**
+     * Thresholds and suppressions to apply when detecting anomalies for a user
+     * @param {string|number} userId - User ID
+     * @returns {Object} { serviceThresholds, suppressions }
+     */
+    static async getFeedbackContext(userId) {
+        try {
+            const [serviceThresholds, suppressions] = await Promise.all([
+                this.getServiceThresholds(userId),
+                this.getActiveSuppressions(userId)
+            ]);
+            return { serviceThresholds, suppressions };
+        } catch (error) {
+            // Detection still works without feedback, just without the tuning
+            console.error('❌ Error loading anomaly feedback:', error.message);
+            return { serviceThresholds: {}, suppressions: [] };
+        }
+    }
+
+    /**
+     * Per-service threshold multipliers learned from labelled anomalies
+     * @param {string|number} userId - User ID
+     * @returns {Object} { [service_name]: multiplier }
+     */
+    static async getServiceThresholds(userId) {
+        const result = await DatabaseService.query(`
+            SELECT service_name,
+                   COUNT(*) FILTER (WHERE label IN ('expected', 'ignored')
+                                       OR (label IS NULL AND status = 'dismissed')) AS false_positives,
+                   COUNT(*) FILTER (WHERE label = 'incident') AS incidents
+            FROM anomalies
+            WHERE user_id = $1
+              AND feedback_at >= NOW() - ($2 || ' days')::INTERVAL
+            GROUP BY service_name
+        `, [DatabaseService.getUserIdForDatabase(userId), String(FEEDBACK_LOOKBACK_DAYS)]);
+
+        const thresholds = {};
+        result.rows.forEach(row => {
+            const scale = 1
+                + parseInt(row.false_positives) * FALSE_POSITIVE_STEP
+                - parseInt(row.incidents) * INCIDENT_STEP;
+            thresholds[row.service_name] = Math.min(MAX_THRESHOLD_SCALE, Math.max(MIN_THRESHOLD_SCALE, scale));
+        });
+        return thresholds;
+    }
+
+    /**
+     * Labelled or dismissed anomalies whose suppression window is still open
+     * @param {string|number} userId - User ID
+     * @returns {Array} Suppression rows
+     */
+    static async getActiveSuppressions(userId) {
+        const result = await DatabaseService.query(`
+            SELECT id, service_name, actual_value, label, suppress_until
+            FROM anomalies
+            WHERE user_id = $1 AND suppress_until > NOW()
+        `, [DatabaseService.getUserIdForDatabase(userId)]);
+        return result.rows;
+    }
+
+    /**
+     * Split detected anomalies into the ones to report and the ones feedback suppresses
+     * @param {Array} anomalies - Detected anomalies
+     * @param {Array} suppressions - Rows from getActiveSuppressions
+     * @returns {Object} { active, suppressed }
+     */
+    static applySuppressions(anomalies, suppressions = []) {
+        const active = [];
+        const suppressed = [];
+
+        anomalies.forEach(anomaly => {
+            const cost = anomaly.cost_amount || anomaly.total_cost || 0;
+            const match = suppressions.find(suppression =>
+                suppression.service_name === anomaly.service_name &&
+                (suppression.actual_value === null ||
+                    cost <= parseFloat(suppression.actual_value) * (1 + SUPPRESSION_TOLERANCE))
+            );
+
+            if (match) {
+                suppressed.push({ ...anomaly, suppressedBy: match.id, suppressedUntil: match.suppress_until });
+            } else {
+                active.push(anomaly);
+            }
+        });
+
+        if (suppressed.length > 0) {
+            console.log(`🔕 Suppressed ${suppressed.length} anomalies covered by earlier feedback`);
+        }
+        return { active, suppressed };
+    }
+
+    /**
+     * Upsert detected anomalies and attach their stored id, status and feedback
+     * @param {string|number} userId - User ID
+     * @param {Array} anomalies - Detected anomalies
+     * @returns {Array} Anomalies with anomalyRecordId, status, label, alertedAt
+     */
+    static async recordAnomalies(userId, anomalies) {
+        const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+        const recorded = [];
+
+        for (const anomaly of anomalies) {
+            try {
+                const actual = anomaly.cost_amount || anomaly.total_cost || 0;
+                const expected = this.getExpectedValue(anomaly);
+                const deviation = expected ? ((actual - expected) / Math.abs(expected)) * 100 : null;
+
+                const result = await DatabaseService.query(`
+                    INSERT INTO anomalies
+                    (user_id, anomaly_key, service_name, anomaly_type, severity, expected_value,
+                     actual_value, deviation_percent, confidence, cost_date, metadata)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                    ON CONFLICT (user_id, anomaly_key) DO UPDATE SET
+                        severity = EXCLUDED.severity,
+                        expected_value = EXCLUDED.expected_value,
+                        actual_value = EXCLUDED.actual_value,
+                        deviation_percent = EXCLUDED.deviation_percent,
+                        confidence = EXCLUDED.confidence,
+                        metadata = EXCLUDED.metadata
+                    RETURNING id, status, label, feedback_note, alerted_at;
+                `, [
+                    dbUserId,
+                    anomaly.uniqueKey,
+                    anomaly.service_name || 'Unknown',
+                    expected !== null && actual < expected ? 'cost_drop' : 'cost_spike',
+                    anomaly.severity,
+                    expected,
+                    actual,
+                    deviation !== null ? Math.max(-99999999, Math.min(99999999, deviation)) : null,
+                    anomaly.confidence,
+                    anomaly.date || anomaly.created_at || null,
+                    JSON.stringify({
+                        algorithms: anomaly.algorithms,
+                        detectorScores: anomaly.detectorScores,
+                        thresholdScale: anomaly.thresholdScale
+                    })
+                ]);
+
+                const row = result.rows[0];
+                recorded.push({
+                    ...anomaly,
+                    // id is already the cost record's, so the stored anomaly gets its own field
+                    anomalyRecordId: row.id,
+                    status: row.status,
+                    label: row.label,
+                    feedbackNote: row.feedback_note,
+                    alertedAt: row.alerted_at
+                });
+            } catch (error) {
+                console.error(`❌ Error storing anomaly ${anomaly.uniqueKey}:`, error.message);
+                recorded.push(anomaly);
+            }
+        }
+
+        console.log(`💾 Stored ${recorded.filter(a => a.anomalyRecordId).length}/${anomalies.length} anomalies`);
+        return recorded;
+    }
+
+    /**
+     * Best available expected cost from the detectors that flagged the anomaly
+     */
+    static getExpectedValue(anomaly) {
+        const expected = anomaly.stlData?.expected
+            ?? anomaly.regressionData?.predicted
+            ?? anomaly.seasonalData?.expected;
+        return typeof expected === 'number' && isFinite(expected) ? expected : null;
+    }
+
+    /**
+     * Remember that an alert went out so later runs don't page again
+     * @param {Array} anomalyIds - Stored anomaly IDs
+     */
+    static async markAlerted(anomalyIds) {
+        if (!anomalyIds || anomalyIds.length === 0) return;
+        await DatabaseService.query(
+            'UPDATE anomalies SET alerted_at = NOW() WHERE id = ANY($1::int[])',
+            [anomalyIds]
+        );
+    }
+
+    /**
+     * List stored anomalies with their feedback
+     * @param {string|number} userId - User ID
+     * @param {Object} filters - { status, label, service, limit }
+     * @returns {Object} { success, data }
+     */
+    static async getAnomalies(userId, filters = {}) {
+        try {
+            let query = `
+                SELECT id, service_name, anomaly_type, severity, expected_value, actual_value,
+                       deviation_percent, confidence, cost_date, detected_at, status, label,
+                       feedback_note, feedback_at, suppress_until, resolved_at, metadata
+                FROM anomalies
+                WHERE user_id = $1
+            `;
+            const values = [DatabaseService.getUserIdForDatabase(userId)];
+
+            if (filters.status) {
+                values.push(filters.status);
+                query += ` AND status = $${values.length}`;
+            }
+            if (filters.label) {
+                values.push(filters.label);
+                query += ` AND label = $${values.length}`;
+            }
+            if (filters.service) {
+                values.push(filters.service);
+                query += ` AND service_name = $${values.length}`;
+            }
+
+            values.push(Math.min(parseInt(filters.limit) || 100, 500));
+            query += ` ORDER BY detected_at DESC LIMIT $${values.length}`;
+
+            const result = await DatabaseService.query(query, values);
+            return { success: true, data: result.rows };
+        } catch (error) {
+            console.error('Error fetching anomalies:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Acknowledge an anomaly - someone is looking at it
+     * @param {number} anomalyId - Anomaly ID
+     * @param {string|number} userId - User ID
+     * @param {Object} feedback - { note }
+     */
+    static async acknowledgeAnomaly(anomalyId, userId, feedback = {}) {
+        return this.updateFeedback(anomalyId, userId, {
+            status: 'acknowledged',
+            note: feedback.note
+        });
+    }
+
+    /**
+     * Dismiss an anomaly as a false positive, optionally suppressing repeats
+     * @param {number} anomalyId - Anomaly ID
+     * @param {string|number} userId - User ID
+     * @param {Object} feedback - { note, suppressForDays }
+     */
+    static async dismissAnomaly(anomalyId, userId, feedback = {}) {
+        return this.updateFeedback(anomalyId, userId, {
+            status: 'dismissed',
+            note: feedback.note,
+            suppressForDays: feedback.suppressForDays
+        });
+    }
+
+    /**
+     * Label an anomaly as expected, incident or ignored
+     * @param {number} anomalyId - Anomaly ID
+     * @param {string|number} userId - User ID
+     * @param {Object} feedback - { label, note, suppressForDays }
+     */
+    static async labelAnomaly(anomalyId, userId, feedback = {}) {
+        if (!LABELS.includes(feedback.label)) {
+            return { success: false, error: `label must be one of: ${LABELS.join(', ')}` };
+        }
+
+        return this.updateFeedback(anomalyId, userId, {
+            // An incident stays open work; expected and ignored spikes are closed out
+            status: feedback.label === 'incident' ? 'acknowledged' : 'dismissed',
+            label: feedback.label,
+            note: feedback.note,
+            suppressForDays: feedback.suppressForDays
+        });
+    }
+
+    /**
+     * Apply a feedback change to one of the user's anomalies
+     */
+    static async updateFeedback(anomalyId, userId, { status, label = null, note, suppressForDays }) {
+        try {
+            const id = parseInt(anomalyId);
+            if (!Number.isInteger(id)) {
+                return { success: false, error: 'Invalid anomaly ID' };
+            }
+
+            let suppressDays = null;
+            if (suppressForDays !== undefined && suppressForDays !== null && suppressForDays !== '') {
+                suppressDays = Number(suppressForDays);
+                if (!Number.isFinite(suppressDays) || suppressDays < 0 || suppressDays > MAX_SUPPRESSION_DAYS) {
+                    return { success: false, error: `suppressForDays must be between 0 and ${MAX_SUPPRESSION_DAYS}` };
+                }
+            }
+
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+            const result = await DatabaseService.query(`
+                UPDATE anomalies SET
+                    status = $3,
+                    label = COALESCE($4, label),
+                    feedback_note = COALESCE($5, feedback_note),
+                    feedback_by = $2,
+                    feedback_at = NOW(),
+                    resolved_at = CASE WHEN $6 THEN COALESCE(resolved_at, NOW()) ELSE NULL END,
+                    suppress_until = CASE
+                        WHEN $7::NUMERIC IS NULL THEN suppress_until
+                        WHEN $7::NUMERIC = 0 THEN NULL
+                        ELSE NOW() + ($7::NUMERIC * INTERVAL '1 day')
+                    END
+                WHERE id = $1 AND user_id = $2
+                RETURNING id, service_name, status, label, feedback_note, feedback_at, suppress_until, resolved_at;
+            `, [id, dbUserId, status, label, note || null, status === 'dismissed', suppressDays]);
+
+            if (result.rows.length === 0) {
+                return { success: false, error: 'Anomaly not found' };
+            }
+
+            const updated = result.rows[0];
+            console.log(`📝 Anomaly ${id} (${updated.service_name}) marked ${status}${label ? ` as ${label}` : ''}`);
+            return { success: true, data: updated };
+        } catch (error) {
+            console.error('Error updating anomaly feedback:', error);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = AnomalyFeedbackService;
@@ -0,0 +1,370 @@
+// API Key Service
+// Long-lived, revocable keys for scripts and CI jobs, accepted by authMiddleware next to JWTs.
+// Personal keys act as the user who created them, optionally bound to one organization;
+// service keys belong to an organization and keep working when their creator leaves.
+// A key carries a subset of its creator's permissions, an optional cost scope and its own
+// rate limits. Only a SHA-256 of the key is stored; the key itself is shown once.
+const crypto = require('crypto');
+const DatabaseService = require('./databaseService');
+const RoleService = require('./roleService');
+const OrganizationService = require('./organizationService');
+
+const KEY_PREFIX = 'dck_';
+const KEY_TYPES = ['personal', 'service'];
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+const MAX_RATE_LIMIT_PER_MINUTE = 6000;
+const MAX_RATE_LIMIT_PER_DAY = 10000000;
+const MAX_EXPIRY_DAYS = 3650;
+
+// last_used_at is refreshed at most this often per key, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Fixed rate limit windows, counted in api_key_usage so every instance shares them
+const RATE_LIMIT_WINDOWS = ['minute', 'day'];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const optionalInteger = (value, name, min, max) => {
+    if (value === undefined || value === null) return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`${name} must be an integer between ${min} and ${max}`);
+    }
+    return number;
+};
+
+class ApiKeyService {
+    static isApiKey(token) {
+        return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+    }
+
+    /**
+     * Permissions the caller can delegate to a new key, and the organization it would act in
+     */
+    static async getGrantor(userId, keyType, organizationId) {
+        if (keyType === 'service' || organizationId) {
+            if (!organizationId) {
+                throw new Error('organizationId is required for service keys');
+            }
+            const required = keyType === 'service' ? RoleService.permissions.MANAGE_USERS : RoleService.permissions.API_ACCESS;
+            const access = await OrganizationService.requirePermission(organizationId, userId, required);
+            if (!access.success) return access;
+            if (!access.membership.permissions.includes(RoleService.permissions.API_ACCESS)) {
+                return { success: false, status: 403, error: 'Insufficient permissions', required: RoleService.permissions.API_ACCESS };
+            }
+            return { success: true, organizationId: access.membership.organizationId, permissions: access.membership.permissions };
+        }
+
+        const userResult = await DatabaseService.query('SELECT personal_role FROM users WHERE id = $1', [
+            DatabaseService.getUserIdForDatabase(userId)
+        ]);
+        const role = RoleService.getPersonalRole(userResult.rows[0]);
+        const permissions = RoleService.getRoleInfo(role).permissions;
+        if (!permissions.includes(RoleService.permissions.API_ACCESS)) {
+            return { success: false, status: 403, error: 'Insufficient permissions', required: RoleService.permissions.API_ACCESS };
+        }
+        return { success: true, organizationId: null, permissions };
+    }
+
+    /**
+     * Create a key; the response is the only place the full key ever appears
+     * @param {Object} options - { name, type, organizationId, permissions, scope, rateLimitPerMinute, rateLimitPerDay, expiresInDays }
+     */
+    static async createKey(userId, options = {}, request = {}) {
+        try {
+            const keyType = options.type || 'personal';
+            if (!KEY_TYPES.includes(keyType)) {
+                return { success: false, status: 400, error: `type must be one of ${KEY_TYPES.join(', ')}` };
+            }
+            const name = typeof options.name === 'string' ? options.name.trim() : '';
+            if (!name || name.length > 100) {
+                return { success: false, status: 400, error: 'name is required (max 100 characters)' };
+            }
+
+            const grantor = await this.getGrantor(userId, keyType, options.organizationId);
+            if (!grantor.success) return grantor;
+
+            // Without an explicit list the key gets everything its creator has
+            const permissions = options.permissions === undefined
+                ? grantor.permissions
+                : OrganizationService.validatePermissions(options.permissions);
+            const beyondGrantor = permissions.filter(permission => !grantor.permissions.includes(permission));
+            if (beyondGrantor.length > 0) {
+                return { success: false, status: 403, error: `Cannot grant permissions you do not hold: ${beyondGrantor.join(', ')}` };
+            }
+
+            const scope = OrganizationService.normalizeScope(options.scope);
+            const rateLimitPerMinute = optionalInteger(options.rateLimitPerMinute, 'rateLimitPerMinute', 1, MAX_RATE_LIMIT_PER_MINUTE)
+                || DEFAULT_RATE_LIMIT_PER_MINUTE;
+            const rateLimitPerDay = optionalInteger(options.rateLimitPerDay, 'rateLimitPerDay', 1, MAX_RATE_LIMIT_PER_DAY);
+            const expiresInDays = optionalInteger(options.expiresInDays, 'expiresInDays', 1, MAX_EXPIRY_DAYS);
+            const expiresAt = expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null;
+
+            const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+
+            const result = await DatabaseService.query(`
+                INSERT INTO api_keys (key_type, user_id, organization_id, name, key_prefix, key_hash, permissions,
+                                      scope, rate_limit_per_minute, rate_limit_per_day, created_by, expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                RETURNING id, created_at
+            `, [
+                keyType,
+                keyType === 'personal' ? dbUserId : null,
+                grantor.organizationId,
+                name,
+                key.slice(0, 12),
+                hashKey(key),
+                JSON.stringify(permissions),
+                scope ? JSON.stringify(scope) : null,
+                rateLimitPerMinute,
+                rateLimitPerDay,
+                dbUserId,
+                expiresAt
+            ]);
+
+            const apiKey = {
+                id: result.rows[0].id,
+                type: keyType,
+                name,
+                organizationId: grantor.organizationId,
+                keyPrefix: key.slice(0, 12),
+                permissions,
+                scope,
+                rateLimitPerMinute,
+                rateLimitPerDay,
+                expiresAt,
+                createdAt: result.rows[0].created_at
+            };
+
+            await this.audit(dbUserId, 'api_key.created', apiKey.id, {
+                type: keyType,
+                name,
+                organizationId: grantor.organizationId,
+                permissions,
+                scope
+            }, request);
+            console.log(`🔑 API key ${apiKey.id} (${keyType}) created by user ${dbUserId}`);
+
+            return { success: true, apiKey: { ...apiKey, key } };
+        } catch (error) {
+            console.error('❌ Error creating API key:', error.message);
+            return { success: false, status: 400, error: error.message };
+        }
+    }
+
+    static formatKey(row) {
+        return {
+            id: row.id,
+            type: row.key_type,
+            name: row.name,
+            organizationId: row.organization_id,
+            keyPrefix: row.key_prefix,
+            permissions: row.permissions,
+            scope: row.scope || null,
+            rateLimitPerMinute: row.rate_limit_per_minute,
+            rateLimitPerDay: row.rate_limit_per_day,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            lastUsedAt: row.last_used_at,
+            lastUsedIp: row.last_used_ip,
+            status: row.revoked_at ? 'revoked'
+                : row.expires_at && new Date(row.expires_at) <= new Date() ? 'expired' : 'active',
+            revokedAt: row.revoked_at
+        };
+    }
+
+    /**
+     * The user's personal keys, or an organization's service keys (manage_users)
+     */
+    static async listKeys(userId, { organizationId = null } = {}) {
+        try {
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+            let result;
+
+            if (organizationId) {
+                const access = await OrganizationService.requirePermission(organizationId, userId, RoleService.permissions.MANAGE_USERS);
+                if (!access.success) return access;
+                result = await DatabaseService.query(`
+                    SELECT * FROM api_keys
+                    WHERE organization_id = $1 AND key_type = 'service'
+                    ORDER BY created_at DESC
+                `, [access.membership.organizationId]);
+            } else {
+                result = await DatabaseService.query(`
+                    SELECT * FROM api_keys
+                    WHERE user_id = $1 AND key_type = 'personal'
+                    ORDER BY created_at DESC
+                `, [dbUserId]);
+            }
+
+            return { success: true, apiKeys: result.rows.map(row => this.formatKey(row)) };
+        } catch (error) {
+            console.error('❌ Error listing API keys:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Revoke a personal key of the user, or a service key of an organization they manage
+     */
+    static async revokeKey(userId, keyId, request = {}) {
+        try {
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+            const found = await DatabaseService.query('SELECT * FROM api_keys WHERE id = $1', [parseInt(keyId, 10)]);
+            const key = found.rows[0];
+            if (!key) {
+                return { success: false, status: 404, error: 'API key not found' };
+            }
+
+            if (key.key_type === 'personal' && key.user_id !== dbUserId) {
+                return { success: false, status: 404, error: 'API key not found' };
+            }
+            if (key.key_type === 'service') {
+                const access = await OrganizationService.requirePermission(key.organization_id, userId, RoleService.permissions.MANAGE_USERS);
+                if (!access.success) {
+                    return { success: false, status: 404, error: 'API key not found' };
+                }
+            }
+            if (key.revoked_at) {
+                return { success: false, status: 409, error: 'API key is already revoked' };
+            }
+
+            await DatabaseService.query('UPDATE api_keys SET revoked_at = NOW() WHERE id = $1', [key.id]);
+            await this.audit(dbUserId, 'api_key.revoked', key.id, { organizationId: key.organization_id }, request);
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Error revoking API key:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Look up an active key
+     * @returns {Object|null} key with the owning user's profile for personal keys
+     */
+    static async authenticate(rawKey) {
+        const result = await DatabaseService.query(`
+            SELECT k.*, u.username, u.email, u.subscription_tier, u.personal_role
+            FROM api_keys k
+            LEFT JOIN users u ON u.id = k.user_id
+            WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+              AND (k.expires_at IS NULL OR k.expires_at > NOW())
+        `, [hashKey(rawKey)]);
+
+        const row = result.rows[0];
+        if (!row) return null;
+        return {
+            id: row.id,
+            keyType: row.key_type,
+            name: row.name,
+            userId: row.user_id,
+            organizationId: row.organization_id,
+            createdBy: row.created_by,
+            permissions: row.permissions || [],
+            scope: row.scope || null,
+            rateLimitPerMinute: row.rate_limit_per_minute,
+            rateLimitPerDay: row.rate_limit_per_day,
+            lastUsedAt: row.last_used_at,
+            user: row.user_id ? {
+                id: row.user_id,
+                username: row.username,
+                email: row.email,
+                subscription_tier: row.subscription_tier,
+                personal_role: row.personal_role
+            } : null
+        };
+    }
+
+    /**
+     * Count a request against the key's per-minute and per-day limits
+     * @returns {Promise<Object>} { allowed, limit, remaining, resetTime }
+     */
+    static async checkRateLimit(key) {
+        const minute = await this.consumeWindow(key.id, 'minute', key.rateLimitPerMinute);
+        if (!minute.allowed || !key.rateLimitPerDay) {
+            return { ...minute, limit: key.rateLimitPerMinute };
+        }
+        const day = await this.consumeWindow(key.id, 'day', key.rateLimitPerDay);
+        return day.allowed
+            ? { ...minute, limit: key.rateLimitPerMinute }
+            : { ...day, limit: key.rateLimitPerDay };
+    }
+
+    /**
+     * Count one request in the key's current minute or day window. The upsert is atomic, so
+     * concurrent requests on different instances all count; the key's finished windows are
+     * dropped in the same statement.
+     * @returns {Promise<Object>} { allowed, remaining, resetTime }
+     */
+    static async consumeWindow(keyId, window, maxRequests) {
+        if (!RATE_LIMIT_WINDOWS.includes(window)) {
+            throw new Error(`Unknown rate limit window: ${window}`);
+        }
+        const result = await DatabaseService.query(`
+            WITH finished AS (
+                DELETE FROM api_key_usage
+                WHERE api_key_id = $1 AND window_name = $2 AND window_start < date_trunc($2::text, NOW())
+            )
+            INSERT INTO api_key_usage (api_key_id, window_name, window_start, request_count)
+            VALUES ($1, $2, date_trunc($2::text, NOW()), 1)
+            ON CONFLICT (api_key_id, window_name, window_start)
+            DO UPDATE SET request_count = api_key_usage.request_count + 1
+            RETURNING request_count, window_start + ('1 ' || $2::text)::interval AS reset_at
+        `, [keyId, window]);
+
+        const { request_count: count, reset_at: resetAt } = result.rows[0];
+        return {
+            allowed: count <= maxRequests,
+            remaining: Math.max(0, maxRequests - count),
+            resetTime: new Date(resetAt).getTime()
+        };
+    }
+
+    /**
+     * Refresh last_used_at and write an audit entry once the response has gone out
+     */
+    static recordUse(req, res, key) {
+        const ipAddress = req.ip || null;
+
+        if (!key.lastUsedAt || Date.now() - new Date(key.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+            DatabaseService.query(
+                'UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $2 WHERE id = $1',
+                [key.id, ipAddress]
+            ).catch(error => console.error('❌ Error updating API key usage:', error.message));
+        }
+
+        res.on('finish', () => {
+            this.audit(key.userId || key.createdBy, 'api_key.request', key.id, {
+                method: req.method,
+                path: req.originalUrl ? req.originalUrl.split('?')[0] : req.path,
+                statusCode: res.statusCode,
+                organizationId: key.organizationId
+            }, req);
+        });
+    }
+
+    static async audit(userId, action, keyId, details, request = {}) {
+        try {
+            await DatabaseService.query(`
+                INSERT INTO audit_logs (user_id, action, resource_type, resource_id, details, ip_address, user_agent)
+                VALUES ($1, $2, 'api_key', $3, $4, $5, $6)
+            `, [
+                userId || null,
+                action,
+                String(keyId),
+                JSON.stringify(details || {}),
+                request.ip || null,
+                request.headers ? request.headers['user-agent'] || null : null
+            ]);
+        } catch (error) {
+            console.error('❌ Error writing API key audit log:', error.message);
+        }
+    }
+}
+
+ApiKeyService.KEY_PREFIX = KEY_PREFIX;
+
+module.exports = ApiKeyService;
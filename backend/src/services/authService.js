@@ -215,7 +215,7 @@ class AuthService {
                     const payload = {
                         userId: foundUser.id,
                         email: foundUser.email,
-                        role: RoleService.getUserRole(foundUser.subscription_tier)
+                        role: RoleService.getPersonalRole(foundUser)
                     };
 
                     tokenResult = await advancedJwtService.generateTokens(payload, req);
@@ -252,8 +252,8 @@ class AuthService {
                     email: foundUser.email,
                     subscription_tier: foundUser.subscription_tier,
                     email_verified: foundUser.email_verified,
-                    role: RoleService.getUserRole(foundUser.subscription_tier),
-                    permissions: RoleService.getRoleInfo(RoleService.getUserRole(foundUser.subscription_tier)).permissions
+                    role: RoleService.getPersonalRole(foundUser),
+                    permissions: RoleService.getRoleInfo(RoleService.getPersonalRole(foundUser)).permissions
                 },
                 token: tokenResult.accessToken,
                 refreshToken: tokenResult.refreshToken
@@ -398,8 +398,9 @@ class AuthService {
                     username: user.username,
                     email: user.email,
                     subscription_tier: user.subscription_tier,
-                    role: RoleService.getUserRole(user.subscription_tier),
-                    permissions: RoleService.getRoleInfo(RoleService.getUserRole(user.subscription_tier)).permissions
+                    personal_role: RoleService.getPersonalRole(user),
+                    role: RoleService.getPersonalRole(user),
+                    permissions: RoleService.getRoleInfo(RoleService.getPersonalRole(user)).permissions
                 }
             };
 
@@ -0,0 +1,91 @@
+// Cross-account access through STS AssumeRole
+// A customer grants access by creating a role in their account that trusts the platform's
+// account, with the external ID we issued them as the sts:ExternalId condition. We assume the
+// role with the platform's own credentials (the SDK default chain) and keep the temporary
+// credentials until shortly before they expire, so each role is assumed about once an hour
+// however many requests use it.
+const { STSClient, AssumeRoleCommand, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+
+const SESSION_SECONDS = 3600;
+// Temporary credentials this close to expiry are replaced before use
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const ROLE_ARN_PATTERN = /^arn:aws[\w-]*:iam::(\d{12}):role\/[\w+=,.@/-]+$/;
+
+// Client factories; tests replace them with fakes
+const clients = {
+    sts: () => new STSClient({ region: process.env.AWS_REGION || 'us-east-1' })
+};
+
+// `${roleArn}|${externalId}` -> Promise of { accessKeyId, secretAccessKey, sessionToken, expiration }
+const sessions = new Map();
+
+const roleAccountId = (roleArn) => {
+    const match = ROLE_ARN_PATTERN.exec(roleArn || '');
+    return match ? match[1] : null;
+};
+
+// Session names show up in the customer's CloudTrail; keep them recognisable and within STS limits
+const sessionName = (userId) => `deepcost-${String(userId).replace(/[^\w+=,.@-]/g, '')}`.slice(0, 64);
+
+async function requestSession(roleArn, externalId, userId) {
+    const response = await clients.sts().send(new AssumeRoleCommand({
+        RoleArn: roleArn,
+        RoleSessionName: sessionName(userId),
+        ExternalId: externalId,
+        DurationSeconds: SESSION_SECONDS
+    }));
+    return {
+        accessKeyId: response.Credentials.AccessKeyId,
+        secretAccessKey: response.Credentials.SecretAccessKey,
+        sessionToken: response.Credentials.SessionToken,
+        expiration: new Date(response.Credentials.Expiration)
+    };
+}
+
+/**
+ * Temporary credentials for a customer role, from the cache while they are fresh
+ * @param {Object} role - { roleArn, externalId, userId }
+ * @returns {Promise<Object>} { accessKeyId, secretAccessKey, sessionToken, expiration }
+ */
+async function assumeRole({ roleArn, externalId, userId }) {
+    if (!roleAccountId(roleArn)) {
+        throw new Error(`Invalid IAM role ARN: ${roleArn}`);
+    }
+    if (!externalId) {
+        throw new Error('An external ID is required to assume a customer role');
+    }
+
+    const key = `${roleArn}|${externalId}`;
+    const cached = sessions.get(key);
+    if (cached) {
+        const session = await cached.catch(() => null);
+        if (session && session.expiration.getTime() - Date.now() > REFRESH_MARGIN_MS) {
+            return session;
+        }
+    }
+
+    // Concurrent callers share one AssumeRole call; a failed one is not cached
+    if (!sessions.has(key) || sessions.get(key) === cached) {
+        const pending = requestSession(roleArn, externalId, userId);
+        sessions.set(key, pending);
+        pending.catch(() => {
+            if (sessions.get(key) === pending) sessions.delete(key);
+        });
+    }
+    return sessions.get(key);
+}
+
+function forgetRole(roleArn, externalId) {
+    sessions.delete(`${roleArn}|${externalId}`);
+}
+
+/**
+ * Account the platform's own credentials belong to, which customer roles must trust
+ */
+async function platformAccountId() {
+    if (process.env.DEEPCOST_AWS_ACCOUNT_ID) return process.env.DEEPCOST_AWS_ACCOUNT_ID;
+    const identity = await clients.sts().send(new GetCallerIdentityCommand({}));
+    return identity.Account;
+}
+
+module.exports = { clients, assumeRole, forgetRole, roleAccountId, platformAccountId, ROLE_ARN_PATTERN };
@@ -0,0 +1,101 @@
+// Test for AssumeRole session caching
+const assert = require('assert');
+const { AssumeRoleCommand } = require('@aws-sdk/client-sts');
+const { clients, assumeRole, forgetRole, roleAccountId } = require('./assumeRole');
+
+const ROLE = 'arn:aws:iam::123456789012:role/DeepCostAccess';
+const OTHER_ROLE = 'arn:aws:iam::210987654321:role/DeepCostAccess';
+const MINUTE_MS = 60 * 1000;
+
+// Fake STS: each AssumeRole issues numbered credentials expiring `lifetimeMs` from now
+const sts = {
+    calls: [],
+    lifetimeMs: 60 * MINUTE_MS,
+    failures: 0,
+    delayMs: 0,
+    async send(command) {
+        assert(command instanceof AssumeRoleCommand);
+        this.calls.push(command.input);
+        if (this.delayMs) await new Promise(resolve => setTimeout(resolve, this.delayMs));
+        if (this.failures > 0) {
+            this.failures--;
+            const error = new Error('User is not authorized to perform: sts:AssumeRole');
+            error.name = 'AccessDenied';
+            throw error;
+        }
+        return {
+            Credentials: {
+                AccessKeyId: `ASIA${this.calls.length}`,
+                SecretAccessKey: 'secret',
+                SessionToken: 'token',
+                Expiration: new Date(Date.now() + this.lifetimeMs).toISOString()
+            }
+        };
+    }
+};
+clients.sts = () => sts;
+
+const run = async () => {
+    console.log('Testing AssumeRole session caching...');
+
+    // One STS call per role while the session is fresh
+    const first = await assumeRole({ roleArn: ROLE, externalId: 'ext-1', userId: 'jane doe@example.com' });
+    const again = await assumeRole({ roleArn: ROLE, externalId: 'ext-1', userId: 'jane doe@example.com' });
+    assert.strictEqual(sts.calls.length, 1);
+    assert.strictEqual(again, first);
+    assert.deepStrictEqual(sts.calls[0], {
+        RoleArn: ROLE,
+        RoleSessionName: 'deepcost-janedoe@example.com',
+        ExternalId: 'ext-1',
+        DurationSeconds: 3600
+    });
+
+    // A different external ID or role is a different session
+    await assumeRole({ roleArn: ROLE, externalId: 'ext-2', userId: 'u1' });
+    await assumeRole({ roleArn: OTHER_ROLE, externalId: 'ext-1', userId: 'u1' });
+    assert.strictEqual(sts.calls.length, 3);
+
+    // Concurrent callers share one AssumeRole call
+    sts.delayMs = 5;
+    const shared = await Promise.all([1, 2, 3].map(() => assumeRole({ roleArn: ROLE, externalId: 'ext-3', userId: 'u1' })));
+    sts.delayMs = 0;
+    assert.strictEqual(sts.calls.length, 4);
+    assert(shared.every(session => session === shared[0]));
+
+    // Credentials within five minutes of expiry are replaced
+    sts.lifetimeMs = 4 * MINUTE_MS;
+    const expiring = await assumeRole({ roleArn: ROLE, externalId: 'ext-4', userId: 'u1' });
+    sts.lifetimeMs = 60 * MINUTE_MS;
+    const refreshed = await assumeRole({ roleArn: ROLE, externalId: 'ext-4', userId: 'u1' });
+    assert.strictEqual(sts.calls.length, 6);
+    assert.notStrictEqual(refreshed.accessKeyId, expiring.accessKeyId);
+    assert(refreshed.expiration.getTime() - Date.now() > 55 * MINUTE_MS);
+    await assumeRole({ roleArn: ROLE, externalId: 'ext-4', userId: 'u1' });
+    assert.strictEqual(sts.calls.length, 6, 'the refreshed session should be cached');
+
+    // Failures are not cached, so the next call tries again
+    sts.failures = 1;
+    await assert.rejects(assumeRole({ roleArn: OTHER_ROLE, externalId: 'ext-5', userId: 'u1' }), { name: 'AccessDenied' });
+    const recovered = await assumeRole({ roleArn: OTHER_ROLE, externalId: 'ext-5', userId: 'u1' });
+    assert.strictEqual(sts.calls.length, 8);
+    assert(recovered.accessKeyId);
+
+    // forgetRole drops the cached session
+    forgetRole(ROLE, 'ext-1');
+    const renewed = await assumeRole({ roleArn: ROLE, externalId: 'ext-1', userId: 'u1' });
+    assert.strictEqual(sts.calls.length, 9);
+    assert.notStrictEqual(renewed.accessKeyId, first.accessKeyId);
+
+    // Invalid input never reaches STS
+    await assert.rejects(assumeRole({ roleArn: 'arn:aws:iam::123:role/Short', externalId: 'ext-1' }), /Invalid IAM role ARN/);
+    await assert.rejects(assumeRole({ roleArn: ROLE, externalId: '' }), /external ID is required/);
+    assert.strictEqual(sts.calls.length, 9);
+    assert.strictEqual(roleAccountId(OTHER_ROLE), '210987654321');
+
+    console.log('Test completed successfully!');
+};
+
+run().then(() => process.exit(0)).catch(error => {
+    console.error(error);
+    process.exit(1);
+});
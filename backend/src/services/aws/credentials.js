@@ -0,0 +1,138 @@
+// Per-user AWS credentials and SDK v3 clients
+// Every AWS call is made with the credentials of the user it is made for, never through the
+// SDK's global configuration, which all concurrent requests share. A request's own header
+// credentials (ephemeral mode) come first, then the user's stored access keys, then the role
+// they connected (see assumeRole.js). Clients are cached per user, client type and region and
+// rebuilt when the user's stored credentials change; clients for header credentials live only
+// as long as their request.
+const crypto = require('crypto');
+const SimpleAwsCredentials = require('../simpleAwsCredentials');
+const AwsCredentialsService = require('../awsCredentialsService');
+
+const DEFAULT_REGION = 'us-east-1';
+const MAX_CACHED_CLIENTS = 500;
+
+// Client factories; tests replace them with fakes
+const clients = {
+    create: (ClientClass, config) => new ClientClass(config)
+};
+
+// `${userId}|${client name}|${region}|${config}` -> { client, fingerprint }, oldest first
+const cache = new Map();
+
+const dbUserIdOf = (userId) => (typeof userId === 'string' && userId.startsWith('user-')
+    ? parseInt(userId.substring(5), 10)
+    : userId);
+
+/**
+ * Credentials in the form SDK clients take, or undefined when there are no keys
+ */
+function sdkCredentials(credentials) {
+    if (!credentials || !credentials.accessKeyId || !credentials.secretAccessKey) return undefined;
+    return {
+        accessKeyId: credentials.accessKeyId,
+        secretAccessKey: credentials.secretAccessKey,
+        ...(credentials.sessionToken ? { sessionToken: credentials.sessionToken } : {}),
+        ...(credentials.expiration ? { expiration: new Date(credentials.expiration) } : {})
+    };
+}
+
+/**
+ * Credentials to call AWS with for a user
+ * @param {string|number} userId - User ID
+ * @param {Object} options - { requestCredentials: req.awsCredentials }
+ * @returns {Promise<Object>} { success, credentials, source: 'request' | 'access_key' | 'role', error }
+ */
+async function resolveCredentials(userId, options = {}) {
+    const { requestCredentials } = options;
+    if (requestCredentials && requestCredentials.accessKeyId && requestCredentials.secretAccessKey) {
+        return { success: true, credentials: requestCredentials, source: 'request' };
+    }
+
+    const dbUserId = dbUserIdOf(userId);
+    const simple = SimpleAwsCredentials.get(dbUserId);
+    if (simple.success) {
+        return { success: true, credentials: simple.credentials, source: 'access_key' };
+    }
+
+    const stored = await AwsCredentialsService.getCredentials(dbUserId);
+    if (!stored.success) return stored;
+    return {
+        success: true,
+        credentials: stored.credentials,
+        source: stored.credentials.type === 'role_arn' ? 'role' : 'access_key'
+    };
+}
+
+// Identifies the stored credentials a client was built from: the keys, or the role (whose
+// temporary keys change every hour without the client needing a rebuild)
+const fingerprintOf = (credentials) => crypto.createHash('sha256')
+    .update(credentials.type === 'role_arn'
+        ? `role|${credentials.roleArn}|${credentials.externalId}`
+        : `key|${credentials.accessKeyId}|${credentials.secretAccessKey}`)
+    .digest('hex');
+
+// Credential provider for a cached client; the SDK calls it again when temporary credentials
+// near their expiration
+const credentialProvider = (userId) => async () => {
+    const resolved = await resolveCredentials(userId);
+    if (!resolved.success) {
+        throw new Error(resolved.error || `No AWS credentials found for user ${userId}`);
+    }
+    return sdkCredentials(resolved.credentials);
+};
+
+/**
+ * SDK v3 client for a user
+ * @param {string|number} userId - User ID
+ * @param {Function} ClientClass - e.g. EC2Client
+ * @param {Object} options - { region, requestCredentials: req.awsCredentials, config: other client settings }
+ * @returns {Promise<Object>} client instance
+ * @throws {Error} when the user has no usable credentials
+ */
+async function clientFor(userId, ClientClass, options = {}) {
+    const { region, requestCredentials, config = {} } = options;
+    const resolved = await resolveCredentials(userId, { requestCredentials });
+    if (!resolved.success) {
+        throw new Error(resolved.error || `No AWS credentials found for user ${userId}`);
+    }
+    const clientRegion = region || resolved.credentials.region || DEFAULT_REGION;
+
+    if (resolved.source === 'request') {
+        return clients.create(ClientClass, { ...config, region: clientRegion, credentials: sdkCredentials(resolved.credentials) });
+    }
+
+    const key = `${dbUserIdOf(userId)}|${ClientClass.name}|${clientRegion}|${JSON.stringify(config)}`;
+    const fingerprint = fingerprintOf(resolved.credentials);
+    const cached = cache.get(key);
+    if (cached && cached.fingerprint === fingerprint) {
+        // Move to the back of the eviction order
+        cache.delete(key);
+        cache.set(key, cached);
+        return cached.client;
+    }
+    if (cached) destroy(key);
+
+    const client = clients.create(ClientClass, { ...config, region: clientRegion, credentials: credentialProvider(userId) });
+    cache.set(key, { client, fingerprint });
+    if (cache.size > MAX_CACHED_CLIENTS) {
+        destroy(cache.keys().next().value);
+    }
+    return client;
+}
+
+function destroy(key) {
+    const entry = cache.get(key);
+    cache.delete(key);
+    if (entry && typeof entry.client.destroy === 'function') entry.client.destroy();
+}
+
+/**
+ * Drop a user's cached clients, e.g. once their credentials are removed
+ */
+function forgetUser(userId) {
+    const prefix = `${dbUserIdOf(userId)}|`;
+    [...cache.keys()].filter(key => key.startsWith(prefix)).forEach(destroy);
+}
+
+module.exports = { clients, resolveCredentials, sdkCredentials, clientFor, forgetUser, DEFAULT_REGION };
@@ -0,0 +1,567 @@
+// In-memory AWS for the gateway
+// Answers the EC2, RDS, Auto Scaling, ECS, CloudWatch and Cost Explorer operations the lifecycle
+// and governance services use (and the Tagging API for instances and volumes), with the output shapes and error names of SDK v3, so stop, start, resize,
+// terminate, scaling and cleanup can all be exercised without an AWS account. State changes go
+// through the same intermediate states as on AWS: a stopped instance reads "stopping" once and
+// "stopped" from the next describe on, which lets waiters be exercised too.
+// failNext() makes operations fail (e.g. with ThrottlingException) to exercise the retry policy.
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INSTANCE_STATE_CODES = {
+    pending: 0,
+    running: 16,
+    'shutting-down': 32,
+    terminated: 48,
+    stopping: 64,
+    stopped: 80
+};
+// Cost Explorer answers when the seed has none
+const COST_EXPLORER_DEFAULTS = {
+    GetReservationCoverage: {
+        CoveragesByTime: [{
+            Total: {
+                Coverage: {
+                    CoverageHours: { ReservedHours: '120', OnDemandHours: '600', TotalRunningHours: '720' },
+                    CoverageCost: { OnDemandCost: '84.50' }
+                }
+            }
+        }]
+    },
+    GetReservationUtilization: { UtilizationsByTime: [], Total: {} },
+    GetCostAndUsage: {
+        ResultsByTime: [{
+            Groups: [
+                { Keys: ['Amazon Elastic Compute Cloud - Compute'], Metrics: { UnblendedCost: { Amount: '412.30', Unit: 'USD' } } },
+                { Keys: ['Amazon Relational Database Service'], Metrics: { UnblendedCost: { Amount: '158.75', Unit: 'USD' } } }
+            ]
+        }]
+    },
+    GetReservationPurchaseRecommendation: { Recommendations: [] }
+};
+
+const awsError = (name, message, status = 400) => Object.assign(new Error(message), {
+    name,
+    $fault: status >= 500 ? 'server' : 'client',
+    $metadata: { httpStatusCode: status }
+});
+
+const hexId = (prefix, length = 17) => `${prefix}-${crypto.randomBytes(9).toString('hex').slice(0, length)}`;
+const tagMap = (tags = []) => Object.fromEntries(tags.map(tag => [tag.Key, tag.Value]));
+const mergeTags = (tags = [], added = []) => Object.entries({ ...tagMap(tags), ...tagMap(added) })
+    .map(([Key, Value]) => ({ Key, Value }));
+
+// A small account to play with when AWS_GATEWAY=memory is set
+function demoSeed() {
+    const now = Date.now();
+    const stoppedOn = new Date(now - 45 * DAY_MS).toISOString().split('T')[0];
+    return {
+        region: 'us-east-1',
+        instances: [
+            {
+                InstanceId: 'i-0d3m0a1b2c3d4e5f6',
+                InstanceType: 't3.large',
+                State: 'running',
+                Tags: [{ Key: 'Name', Value: 'dev-web' }, { Key: 'Environment', Value: 'dev' }]
+            },
+            {
+                InstanceId: 'i-0d3m0f6e5d4c3b2a1',
+                InstanceType: 't3.medium',
+                State: 'stopped',
+                StateTransitionReason: `User initiated (${stoppedOn} 18:00:00 GMT)`,
+                Tags: [{ Key: 'Name', Value: 'old-batch' }, { Key: 'Environment', Value: 'test' }]
+            }
+        ],
+        dbInstances: [{ DBInstanceIdentifier: 'db-reporting', DBInstanceClass: 'db.t3.medium', Engine: 'postgres' }],
+        autoScalingGroups: [{ AutoScalingGroupName: 'asg-web', MinSize: 2, MaxSize: 6, DesiredCapacity: 3 }],
+        ecsServices: [{ cluster: 'default', serviceName: 'api-service', desiredCount: 2 }],
+        volumes: [{ VolumeId: 'vol-0d3m0aaaabbbbcccc', Size: 100, VolumeType: 'gp2', CreateTime: new Date(now - 60 * DAY_MS) }],
+        addresses: [{ AllocationId: 'eipalloc-0d3m0123456789abc', PublicIp: '203.0.113.10' }],
+        networkInterfaces: [{ NetworkInterfaceId: 'eni-0d3m0123456789abc', Description: 'Detached interface' }],
+        metrics: {
+            // Two quiet weeks on dev-web, a rightsizing candidate
+            'i-0d3m0a1b2c3d4e5f6': Array.from({ length: 14 * 24 }, (_, hour) => ({
+                Timestamp: new Date(now - hour * 60 * 60 * 1000),
+                Average: 8 + (hour % 24) / 2,
+                Maximum: 20 + (hour % 24),
+                Unit: 'Percent'
+            }))
+        }
+    };
+}
+
+/**
+ * Create an in-memory AWS
+ * @param {Object} seed - { region, instances, dbInstances, autoScalingGroups, ecsServices, volumes,
+ *   addresses, networkInterfaces, metrics: { [instanceId]: datapoints }, costExplorer: { [operation]: output } }
+ *   Resources take the fields of their describe output (plus `region`); missing ones get defaults.
+ * @returns {Object} backend for AwsGateway, with `state`, `calls` and failNext()
+ */
+function createFakeAws(seed = demoSeed()) {
+    const region = seed.region || 'us-east-1';
+    const zone = (resourceRegion) => `${resourceRegion}a`;
+    const inRegion = (callRegion) => (record) => record.region === callRegion;
+
+    const instance = ({ region: instanceRegion = region, State = 'running', ...fields }) => {
+        const stateName = typeof State === 'string' ? State : State.Name;
+        return {
+            region: instanceRegion,
+            next: null,
+            resource: {
+                InstanceType: 't3.micro',
+                LaunchTime: new Date(Date.now() - 30 * DAY_MS),
+                StateTransitionReason: '',
+                PrivateIpAddress: '10.0.0.10',
+                Placement: { AvailabilityZone: zone(instanceRegion) },
+                Tags: [],
+                ...fields,
+                State: { Name: stateName, Code: INSTANCE_STATE_CODES[stateName] }
+            }
+        };
+    };
+
+    const state = {
+        instances: (seed.instances || []).map(instance),
+        dbInstances: (seed.dbInstances || []).map(({ region: dbRegion = region, DBInstanceStatus = 'available', ...fields }) => ({
+            region: dbRegion,
+            next: null,
+            resource: { DBInstanceClass: 'db.t3.micro', Engine: 'postgres', ...fields, DBInstanceStatus }
+        })),
+        autoScalingGroups: (seed.autoScalingGroups || []).map(({ region: asgRegion = region, ...fields }) => ({
+            region: asgRegion,
+            resource: { MinSize: 0, MaxSize: 1, DesiredCapacity: 0, Instances: [], ...fields }
+        })),
+        ecsServices: (seed.ecsServices || []).map(({ region: ecsRegion = region, cluster = 'default', ...fields }) => ({
+            region: ecsRegion,
+            cluster,
+            next: null,
+            resource: {
+                clusterArn: `arn:aws:ecs:${ecsRegion}:123456789012:cluster/${cluster}`,
+                status: 'ACTIVE',
+                desiredCount: 0,
+                ...fields,
+                runningCount: fields.runningCount !== undefined ? fields.runningCount : fields.desiredCount || 0
+            }
+        })),
+        volumes: (seed.volumes || []).map(({ region: volumeRegion = region, ...fields }) => ({
+            region: volumeRegion,
+            resource: { State: 'available', VolumeType: 'gp3', Size: 8, CreateTime: new Date(), AvailabilityZone: zone(volumeRegion), Attachments: [], ...fields }
+        })),
+        addresses: (seed.addresses || []).map(({ region: addressRegion = region, ...fields }) => ({
+            region: addressRegion,
+            resource: { Domain: 'vpc', ...fields }
+        })),
+        networkInterfaces: (seed.networkInterfaces || []).map(({ region: eniRegion = region, ...fields }) => ({
+            region: eniRegion,
+            resource: {
+                Status: 'available',
+                AvailabilityZone: zone(eniRegion),
+                PrivateIpAddress: '10.0.0.20',
+                SubnetId: 'subnet-0fake',
+                VpcId: 'vpc-0fake',
+                InterfaceType: 'interface',
+                TagSet: [],
+                ...fields
+            }
+        })),
+        snapshots: [],
+        metrics: seed.metrics || {},
+        costExplorer: { ...COST_EXPLORER_DEFAULTS, ...(seed.costExplorer || {}) }
+    };
+    const calls = [];
+    const failures = [];
+    // RunInstances ClientToken -> instances it launched
+    const launchesByToken = new Map();
+
+    // Pending state changes show up from the describe after the one that saw them start
+    const settle = (records, apply) => records.forEach(record => {
+        if (record.next) {
+            apply(record, record.next);
+            record.next = null;
+        }
+    });
+    const setInstanceState = (record, name) => {
+        record.resource.State = { Name: name, Code: INSTANCE_STATE_CODES[name] };
+    };
+    const transition = (record, now, then) => {
+        const previous = { ...record.resource.State };
+        setInstanceState(record, now);
+        record.next = then;
+        return { InstanceId: record.resource.InstanceId, PreviousState: previous, CurrentState: { ...record.resource.State } };
+    };
+
+    const findInstances = (ids, callRegion) => ids.map(id => {
+        const record = state.instances.find(r => r.resource.InstanceId === id && r.region === callRegion);
+        if (!record) throw awsError('InvalidInstanceID.NotFound', `The instance ID '${id}' does not exist`);
+        return record;
+    });
+    const findOne = (collection, field, id, callRegion, errorName, noun) => {
+        const record = state[collection].find(r => r.resource[field] === id && r.region === callRegion);
+        if (!record) throw awsError(errorName, `The ${noun} '${id}' does not exist`);
+        return record;
+    };
+    const findDb = (id, callRegion) => {
+        const record = state.dbInstances.find(r => r.resource.DBInstanceIdentifier === id && r.region === callRegion);
+        if (!record) throw awsError('DBInstanceNotFoundFault', `DBInstance ${id} not found.`, 404);
+        return record;
+    };
+    const findEcsService = (cluster = 'default', name, callRegion) => {
+        if (!state.ecsServices.some(r => r.cluster === cluster && r.region === callRegion)) {
+            throw awsError('ClusterNotFoundException', 'Cluster not found.');
+        }
+        return state.ecsServices.find(r => r.cluster === cluster && r.resource.serviceName === name && r.region === callRegion);
+    };
+
+    // Instances and volumes as the Resource Groups Tagging API sees them
+    const taggable = (callRegion) => [
+        ...state.instances.filter(inRegion(callRegion))
+            .map(record => ({ record, type: 'ec2:instance', arn: `arn:aws:ec2:${callRegion}:123456789012:instance/${record.resource.InstanceId}` })),
+        ...state.volumes.filter(inRegion(callRegion))
+            .map(record => ({ record, type: 'ec2:volume', arn: `arn:aws:ec2:${callRegion}:123456789012:volume/${record.resource.VolumeId}` }))
+    ];
+    const retag = (input, callRegion, apply) => {
+        const byArn = new Map(taggable(callRegion).map(entry => [entry.arn, entry.record]));
+        const FailedResourcesMap = {};
+        input.ResourceARNList.forEach(arn => {
+            const record = byArn.get(arn);
+            if (!record) {
+                FailedResourcesMap[arn] = { StatusCode: 404, ErrorCode: 'InvalidParameterException', ErrorMessage: `Resource ${arn} not found` };
+                return;
+            }
+            record.resource.Tags = apply(tagMap(record.resource.Tags));
+        });
+        return { FailedResourcesMap };
+    };
+
+    const instanceFilter = (filter) => {
+        if (filter.Name === 'instance-state-name') return record => filter.Values.includes(record.resource.State.Name);
+        if (filter.Name === 'instance-id') return record => filter.Values.includes(record.resource.InstanceId);
+        if (filter.Name === 'instance-type') return record => filter.Values.includes(record.resource.InstanceType);
+        if (filter.Name.startsWith('tag:')) {
+            const key = filter.Name.slice(4);
+            return record => filter.Values.includes(tagMap(record.resource.Tags)[key]);
+        }
+        throw awsError('InvalidParameterValue', `The filter '${filter.Name}' is invalid`);
+    };
+
+    const handlers = {
+        ec2: {
+            DescribeInstances(input, callRegion) {
+                let records = input.InstanceIds && input.InstanceIds.length > 0
+                    ? findInstances(input.InstanceIds, callRegion)
+                    : state.instances.filter(inRegion(callRegion));
+                (input.Filters || []).forEach(filter => {
+                    records = records.filter(instanceFilter(filter));
+                });
+                const output = {
+                    Reservations: records.length > 0 ? [{ ReservationId: 'r-0fake', Instances: records.map(r => r.resource) }] : []
+                };
+                const snapshot = structuredClone(output);
+                settle(records, setInstanceState);
+                return snapshot;
+            },
+            StopInstances(input, callRegion) {
+                return {
+                    StoppingInstances: findInstances(input.InstanceIds, callRegion).map(record => {
+                        const name = record.resource.State.Name;
+                        if (name === 'terminated' || name === 'shutting-down') {
+                            throw awsError('IncorrectInstanceState', `The instance '${record.resource.InstanceId}' is not in a state from which it can be stopped.`);
+                        }
+                        if (name === 'stopped' || name === 'stopping') {
+                            return { InstanceId: record.resource.InstanceId, PreviousState: record.resource.State, CurrentState: record.resource.State };
+                        }
+                        record.resource.StateTransitionReason = `User initiated (${new Date().toISOString().replace('T', ' ').slice(0, 19)} GMT)`;
+                        return transition(record, 'stopping', 'stopped');
+                    })
+                };
+            },
+            StartInstances(input, callRegion) {
+                return {
+                    StartingInstances: findInstances(input.InstanceIds, callRegion).map(record => {
+                        const name = record.resource.State.Name;
+                        if (name === 'running' || name === 'pending') {
+                            return { InstanceId: record.resource.InstanceId, PreviousState: record.resource.State, CurrentState: record.resource.State };
+                        }
+                        if (name !== 'stopped') {
+                            throw awsError('IncorrectInstanceState', `The instance '${record.resource.InstanceId}' is not in a state from which it can be started.`);
+                        }
+                        return transition(record, 'pending', 'running');
+                    })
+                };
+            },
+            TerminateInstances(input, callRegion) {
+                return {
+                    TerminatingInstances: findInstances(input.InstanceIds, callRegion).map(record => (
+                        record.resource.State.Name === 'terminated'
+                            ? { InstanceId: record.resource.InstanceId, PreviousState: record.resource.State, CurrentState: record.resource.State }
+                            : transition(record, 'shutting-down', 'terminated')
+                    ))
+                };
+            },
+            ModifyInstanceAttribute(input, callRegion) {
+                const [record] = findInstances([input.InstanceId], callRegion);
+                if (input.InstanceType) {
+                    if (record.resource.State.Name !== 'stopped') {
+                        throw awsError('IncorrectInstanceState', `The instance '${input.InstanceId}' is not in the 'stopped' state.`);
+                    }
+                    record.resource.InstanceType = input.InstanceType.Value;
+                }
+                return {};
+            },
+            CreateTags(input, callRegion) {
+                input.Resources.forEach(id => {
+                    const record = state.instances.find(r => r.resource.InstanceId === id && r.region === callRegion)
+                        || state.volumes.find(r => r.resource.VolumeId === id && r.region === callRegion);
+                    if (!record) throw awsError('InvalidID', `The ID '${id}' is not valid`);
+                    record.resource.Tags = mergeTags(record.resource.Tags, input.Tags);
+                });
+                return {};
+            },
+            RunInstances(input, callRegion) {
+                // Same token, same launch: AWS answers a repeated call with the original instances
+                if (input.ClientToken && launchesByToken.has(input.ClientToken)) {
+                    return { Instances: launchesByToken.get(input.ClientToken) };
+                }
+                const tags = (input.TagSpecifications || [])
+                    .filter(spec => spec.ResourceType === 'instance')
+                    .flatMap(spec => spec.Tags);
+                const launched = Array.from({ length: input.MinCount || 1 }, () => {
+                    const record = instance({
+                        region: callRegion,
+                        InstanceId: hexId('i'),
+                        ImageId: input.ImageId,
+                        InstanceType: input.InstanceType || 'm1.small',
+                        LaunchTime: new Date(),
+                        State: 'pending',
+                        Tags: tags
+                    });
+                    record.next = 'running';
+                    state.instances.push(record);
+                    return structuredClone(record.resource);
+                });
+                if (input.ClientToken) launchesByToken.set(input.ClientToken, launched);
+                return { Instances: launched };
+            },
+            DescribeVolumes(input, callRegion) {
+                const records = input.VolumeIds && input.VolumeIds.length > 0
+                    ? input.VolumeIds.map(id => findOne('volumes', 'VolumeId', id, callRegion, 'InvalidVolume.NotFound', 'volume'))
+                    : state.volumes.filter(inRegion(callRegion));
+                return { Volumes: structuredClone(records.map(r => r.resource)) };
+            },
+            CreateSnapshot(input, callRegion) {
+                const volume = findOne('volumes', 'VolumeId', input.VolumeId, callRegion, 'InvalidVolume.NotFound', 'volume');
+                const record = {
+                    region: callRegion,
+                    next: 'completed',
+                    resource: {
+                        SnapshotId: hexId('snap'),
+                        VolumeId: input.VolumeId,
+                        VolumeSize: volume.resource.Size,
+                        Description: input.Description || '',
+                        State: 'pending',
+                        StartTime: new Date(),
+                        Tags: (input.TagSpecifications || [])
+                            .filter(spec => spec.ResourceType === 'snapshot')
+                            .flatMap(spec => spec.Tags)
+                    }
+                };
+                state.snapshots.push(record);
+                return structuredClone(record.resource);
+            },
+            DescribeSnapshots(input, callRegion) {
+                const records = (input.SnapshotIds || []).length > 0
+                    ? input.SnapshotIds.map(id => findOne('snapshots', 'SnapshotId', id, callRegion, 'InvalidSnapshot.NotFound', 'snapshot'))
+                    : state.snapshots.filter(inRegion(callRegion));
+                const snapshot = { Snapshots: structuredClone(records.map(r => r.resource)) };
+                settle(records, (record, status) => { record.resource.State = status; });
+                return snapshot;
+            },
+            DeleteVolume(input, callRegion) {
+                const record = findOne('volumes', 'VolumeId', input.VolumeId, callRegion, 'InvalidVolume.NotFound', 'volume');
+                if (record.resource.State !== 'available') {
+                    throw awsError('VolumeInUse', `Volume ${input.VolumeId} is currently attached`);
+                }
+                state.volumes.splice(state.volumes.indexOf(record), 1);
+                return {};
+            },
+            DescribeAddresses(input, callRegion) {
+                return { Addresses: structuredClone(state.addresses.filter(inRegion(callRegion)).map(r => r.resource)) };
+            },
+            ReleaseAddress(input, callRegion) {
+                const record = findOne('addresses', 'AllocationId', input.AllocationId, callRegion, 'InvalidAllocationID.NotFound', 'allocation ID');
+                if (record.resource.AssociationId) {
+                    throw awsError('InvalidIPAddress.InUse', 'Address is in use');
+                }
+                state.addresses.splice(state.addresses.indexOf(record), 1);
+                return {};
+            },
+            DescribeNetworkInterfaces(input, callRegion) {
+                return { NetworkInterfaces: structuredClone(state.networkInterfaces.filter(inRegion(callRegion)).map(r => r.resource)) };
+            },
+            DeleteNetworkInterface(input, callRegion) {
+                const record = findOne('networkInterfaces', 'NetworkInterfaceId', input.NetworkInterfaceId, callRegion, 'InvalidNetworkInterfaceID.NotFound', 'network interface');
+                if (record.resource.Attachment) {
+                    throw awsError('InvalidNetworkInterface.InUse', `Interface ${input.NetworkInterfaceId} is currently in use`);
+                }
+                state.networkInterfaces.splice(state.networkInterfaces.indexOf(record), 1);
+                return {};
+            }
+        },
+
+        rds: {
+            DescribeDBInstances(input, callRegion) {
+                const records = input.DBInstanceIdentifier
+                    ? [findDb(input.DBInstanceIdentifier, callRegion)]
+                    : state.dbInstances.filter(inRegion(callRegion));
+                const snapshot = { DBInstances: structuredClone(records.map(r => r.resource)) };
+                settle(records, (record, status) => { record.resource.DBInstanceStatus = status; });
+                return snapshot;
+            },
+            StopDBInstance(input, callRegion) {
+                const record = findDb(input.DBInstanceIdentifier, callRegion);
+                if (record.resource.DBInstanceStatus !== 'available') {
+                    throw awsError('InvalidDBInstanceStateFault', `Instance ${input.DBInstanceIdentifier} is not in available state.`);
+                }
+                record.resource.DBInstanceStatus = 'stopping';
+                record.next = 'stopped';
+                return { DBInstance: structuredClone(record.resource) };
+            },
+            StartDBInstance(input, callRegion) {
+                const record = findDb(input.DBInstanceIdentifier, callRegion);
+                if (record.resource.DBInstanceStatus !== 'stopped') {
+                    throw awsError('InvalidDBInstanceStateFault', `Instance ${input.DBInstanceIdentifier} is not stopped.`);
+                }
+                record.resource.DBInstanceStatus = 'starting';
+                record.next = 'available';
+                return { DBInstance: structuredClone(record.resource) };
+            }
+        },
+
+        autoScaling: {
+            DescribeAutoScalingGroups(input, callRegion) {
+                const names = input.AutoScalingGroupNames;
+                const records = state.autoScalingGroups.filter(r => r.region === callRegion
+                    && (!names || names.length === 0 || names.includes(r.resource.AutoScalingGroupName)));
+                return { AutoScalingGroups: structuredClone(records.map(r => r.resource)) };
+            },
+            UpdateAutoScalingGroup(input, callRegion) {
+                const record = state.autoScalingGroups.find(r => r.region === callRegion && r.resource.AutoScalingGroupName === input.AutoScalingGroupName);
+                if (!record) {
+                    throw awsError('ValidationError', `AutoScalingGroup name not found - ${input.AutoScalingGroupName}`);
+                }
+                const next = {
+                    MinSize: input.MinSize !== undefined ? input.MinSize : record.resource.MinSize,
+                    MaxSize: input.MaxSize !== undefined ? input.MaxSize : record.resource.MaxSize,
+                    DesiredCapacity: input.DesiredCapacity !== undefined ? input.DesiredCapacity : record.resource.DesiredCapacity
+                };
+                if (next.MinSize > next.MaxSize || next.DesiredCapacity < next.MinSize || next.DesiredCapacity > next.MaxSize) {
+                    throw awsError('ValidationError', `Desired capacity:${next.DesiredCapacity} must be between the specified min size:${next.MinSize} and max size:${next.MaxSize}`);
+                }
+                Object.assign(record.resource, next);
+                return {};
+            }
+        },
+
+        ecs: {
+            DescribeServices(input, callRegion) {
+                const services = [];
+                const missing = [];
+                input.services.forEach(name => {
+                    const record = findEcsService(input.cluster, name, callRegion);
+                    if (record) services.push(record);
+                    else missing.push({ arn: `arn:aws:ecs:${callRegion}:123456789012:service/${input.cluster || 'default'}/${name}`, reason: 'MISSING' });
+                });
+                const snapshot = { services: structuredClone(services.map(r => r.resource)), failures: missing };
+                settle(services, (record, count) => { record.resource.runningCount = count; });
+                return snapshot;
+            },
+            UpdateService(input, callRegion) {
+                const record = findEcsService(input.cluster, input.service, callRegion);
+                if (!record) throw awsError('ServiceNotFoundException', 'Service not found.');
+                if (input.desiredCount !== undefined) {
+                    record.resource.desiredCount = input.desiredCount;
+                    record.next = input.desiredCount;
+                }
+                return { service: structuredClone(record.resource) };
+            }
+        },
+
+        cloudWatch: {
+            GetMetricStatistics(input) {
+                const dimension = (input.Dimensions || []).find(d => d.Name === 'InstanceId');
+                const datapoints = (dimension && state.metrics[dimension.Value]) || [];
+                const start = new Date(input.StartTime).getTime();
+                const end = new Date(input.EndTime).getTime();
+                return {
+                    Label: input.MetricName,
+                    Datapoints: structuredClone(datapoints.filter(point => {
+                        const time = new Date(point.Timestamp).getTime();
+                        return time >= start && time <= end;
+                    }))
+                };
+            }
+        },
+
+        tagging: {
+            GetResources(input, callRegion) {
+                // Like AWS, only resources that carry tags are listed
+                const entries = taggable(callRegion).filter(entry => (entry.record.resource.Tags || []).length > 0
+                    && (input.ResourceARNList
+                        ? input.ResourceARNList.includes(entry.arn)
+                        : !input.ResourceTypeFilters || input.ResourceTypeFilters.some(type => entry.type === type || entry.type.startsWith(`${type}:`))));
+                return {
+                    ResourceTagMappingList: entries.map(entry => ({ ResourceARN: entry.arn, Tags: structuredClone(entry.record.resource.Tags) }))
+                };
+            },
+            TagResources(input, callRegion) {
+                return retag(input, callRegion, tags => Object.entries({ ...tags, ...input.Tags })
+                    .map(([Key, Value]) => ({ Key, Value })));
+            },
+            UntagResources(input, callRegion) {
+                return retag(input, callRegion, tags => Object.entries(tags)
+                    .filter(([Key]) => !input.TagKeys.includes(Key))
+                    .map(([Key, Value]) => ({ Key, Value })));
+            }
+        },
+
+        costExplorer: Object.fromEntries(Object.keys(COST_EXPLORER_DEFAULTS).map(operation => [
+            operation,
+            () => structuredClone(state.costExplorer[operation])
+        ]))
+    };
+
+    return {
+        region,
+        state,
+        calls,
+
+        /**
+         * Fail the next `times` calls of an operation, e.g. failNext('StopInstances', 'ThrottlingException', 2)
+         * @param {boolean} applied - the call takes effect before failing, as when AWS accepted it
+         *   but the response was lost (e.g. failNext('RunInstances', 'InternalError', 1, 500, true))
+         */
+        failNext(operation, errorName = 'ThrottlingException', times = 1, status = 400, applied = false) {
+            failures.push({ operation, errorName, times, status, applied });
+        },
+
+        async send(service, operation, input = {}, callRegion = region) {
+            calls.push({ service, operation, input, region: callRegion });
+            const failure = failures.find(f => f.operation === operation && f.times > 0);
+            if (failure) failure.times--;
+            if (failure && !failure.applied) {
+                throw awsError(failure.errorName, `Injected ${failure.errorName} for ${operation}`, failure.status);
+            }
+            const handler = handlers[service] && handlers[service][operation];
+            if (!handler) {
+                throw awsError('UnsupportedOperation', `The in-memory AWS does not implement ${service}.${operation}`);
+            }
+            const output = structuredClone(handler(structuredClone(input), callRegion));
+            if (failure) {
+                throw awsError(failure.errorName, `Injected ${failure.errorName} for ${operation}`, failure.status);
+            }
+            return output;
+        }
+    };
+}
+
+module.exports = { createFakeAws, demoSeed };
@@ -0,0 +1,199 @@
+// AWS gateway for resource lifecycle actions
+// Lifecycle code reaches AWS only through a gateway: gateway.send('ec2', 'StopInstances', input)
+// runs the SDK v3 command of that name with the user's credentials (see credentials.js). Every
+// call goes through the same policy: at most `maxConcurrent` calls in flight per service and
+// region, and throttling or transient server errors retried with capped exponential backoff
+// and full jitter. The SDK's own retries are off so the two do not multiply. Calls that create
+// resources carry a client token, so retrying one never creates a second resource.
+// The backend that executes commands is pluggable: backends.create returns the SDK backend,
+// or the in-memory fake (fakeAws.js) when AWS_GATEWAY=memory is set or a test installs one.
+const crypto = require('crypto');
+const { clientFor, resolveCredentials, DEFAULT_REGION } = require('./credentials');
+const { createFakeAws } = require('./fakeAws');
+
+// SDK v3 package and client of each service name; Cost Explorer only has a us-east-1 endpoint
+const SERVICES = {
+    ec2: { module: '@aws-sdk/client-ec2', client: 'EC2Client' },
+    rds: { module: '@aws-sdk/client-rds', client: 'RDSClient' },
+    autoScaling: { module: '@aws-sdk/client-auto-scaling', client: 'AutoScalingClient' },
+    ecs: { module: '@aws-sdk/client-ecs', client: 'ECSClient' },
+    cloudWatch: { module: '@aws-sdk/client-cloudwatch', client: 'CloudWatchClient' },
+    tagging: { module: '@aws-sdk/client-resource-groups-tagging-api', client: 'ResourceGroupsTaggingAPIClient' },
+    costExplorer: { module: '@aws-sdk/client-cost-explorer', client: 'CostExplorerClient', region: 'us-east-1' }
+};
+
+// Shared call policy; tests shorten the delays
+const policy = {
+    maxAttempts: 5,
+    baseDelayMs: 250,
+    maxDelayMs: 20000,
+    maxConcurrent: 10,
+    waitIntervalMs: 5000,
+    waitTimeoutMs: 10 * 60 * 1000
+};
+
+const THROTTLING_ERRORS = new Set([
+    'Throttling',
+    'ThrottlingException',
+    'ThrottledException',
+    'RequestThrottled',
+    'RequestThrottledException',
+    'RequestLimitExceeded',
+    'TooManyRequestsException',
+    'SlowDown'
+]);
+const TRANSIENT_ERRORS = new Set([
+    'InternalError',
+    'InternalFailure',
+    'ServiceUnavailable',
+    'RequestTimeout',
+    'RequestTimeoutException',
+    'ECONNRESET',
+    'ETIMEDOUT',
+    'EPIPE'
+]);
+
+// Operations that create something and accept an idempotency token. The gateway fills one in
+// before the first attempt, so a retry after AWS accepted the call cannot create a duplicate.
+const CLIENT_TOKEN_OPERATIONS = new Set([
+    'ec2.RunInstances'
+]);
+
+const isRetryable = (error) => THROTTLING_ERRORS.has(error.name)
+    || TRANSIENT_ERRORS.has(error.name)
+    || TRANSIENT_ERRORS.has(error.code)
+    || (error.$metadata && error.$metadata.httpStatusCode >= 500);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// `${service}|${region}` -> { active, queue }
+const lanes = new Map();
+
+async function throttled(laneKey, call) {
+    if (!lanes.has(laneKey)) lanes.set(laneKey, { active: 0, queue: [] });
+    const lane = lanes.get(laneKey);
+    if (lane.active >= policy.maxConcurrent) {
+        // A finishing call hands its slot straight to the longest waiter
+        await new Promise(resolve => lane.queue.push(resolve));
+    } else {
+        lane.active++;
+    }
+    try {
+        return await call();
+    } finally {
+        const next = lane.queue.shift();
+        if (next) next();
+        else lane.active--;
+    }
+}
+
+function sdkBackend(userId, region, requestCredentials) {
+    return {
+        region,
+        async send(service, operation, input, callRegion) {
+            const sdk = require(SERVICES[service].module);
+            const Command = sdk[`${operation}Command`];
+            if (!Command) {
+                throw new Error(`Unknown ${service} operation: ${operation}`);
+            }
+            const client = await clientFor(userId, sdk[SERVICES[service].client], {
+                region: callRegion,
+                requestCredentials,
+                config: { maxAttempts: 1 }
+            });
+            return client.send(new Command(input));
+        }
+    };
+}
+
+// Shared by every gateway while AWS_GATEWAY=memory is set
+let memoryAws = null;
+
+// Backend factories; tests replace them with fakes
+const backends = {
+    async create(userId, options = {}) {
+        if (process.env.AWS_GATEWAY === 'memory') {
+            if (!memoryAws) memoryAws = createFakeAws();
+            return memoryAws;
+        }
+
+        const resolved = await resolveCredentials(userId, { requestCredentials: options.requestCredentials });
+        if (!resolved.success) {
+            throw new Error(resolved.error || `No AWS credentials found for user ${userId}`);
+        }
+        const region = options.region || resolved.credentials.region || DEFAULT_REGION;
+        return sdkBackend(userId, region, options.requestCredentials);
+    }
+};
+
+class AwsGateway {
+    /**
+     * @param {Object} backend - { region, send(service, operation, input, region) }
+     * @param {string} region - default region of the calls, if not the backend's
+     */
+    constructor(backend, region = null) {
+        this.backend = backend;
+        this.region = region || backend.region || DEFAULT_REGION;
+    }
+
+    /**
+     * Run one AWS operation
+     * @param {string} service - key of SERVICES, e.g. 'ec2'
+     * @param {string} operation - SDK v3 command name without "Command", e.g. 'StopInstances'
+     * @param {Object} input - command input
+     * @param {Object} options - { region } when not the gateway's own
+     * @returns {Promise<Object>} command output
+     */
+    async send(service, operation, input = {}, options = {}) {
+        if (!SERVICES[service]) {
+            throw new Error(`Unknown AWS service: ${service}`);
+        }
+        const region = SERVICES[service].region || options.region || this.region;
+        if (CLIENT_TOKEN_OPERATIONS.has(`${service}.${operation}`) && !input.ClientToken) {
+            input = { ...input, ClientToken: crypto.randomUUID() };
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await throttled(`${service}|${region}`, () => this.backend.send(service, operation, input, region));
+            } catch (error) {
+                if (attempt >= policy.maxAttempts || !isRetryable(error)) throw error;
+                const delay = Math.random() * Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+                console.warn(`⏳ ${service}.${operation} failed with ${error.name}, retry ${attempt}/${policy.maxAttempts - 1} in ${Math.round(delay)}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Poll an operation until its output satisfies a condition, e.g. an instance has stopped
+     * @param {Function} isDone - output => boolean
+     * @param {Object} options - { region, intervalMs, timeoutMs }
+     * @returns {Promise<Object>} the output that satisfied the condition
+     */
+    async waitFor(service, operation, input, isDone, options = {}) {
+        const { intervalMs = policy.waitIntervalMs, timeoutMs = policy.waitTimeoutMs } = options;
+        const deadline = Date.now() + timeoutMs;
+        for (;;) {
+            const output = await this.send(service, operation, input, options);
+            if (isDone(output)) return output;
+            if (Date.now() + intervalMs > deadline) {
+                throw new Error(`Timed out after ${Math.round(timeoutMs / 1000)}s waiting on ${service}.${operation}`);
+            }
+            await sleep(intervalMs);
+        }
+    }
+}
+
+/**
+ * Gateway acting with one user's credentials
+ * @param {string|number} userId - User ID
+ * @param {Object} options - { region: default region, requestCredentials: req.awsCredentials }
+ * @returns {Promise<AwsGateway>}
+ * @throws {Error} when the user has no usable credentials
+ */
+async function forUser(userId, options = {}) {
+    return new AwsGateway(await backends.create(userId, options), options.region);
+}
+
+module.exports = { AwsGateway, forUser, backends, policy, isRetryable, SERVICES };
@@ -0,0 +1,107 @@
+// Test for the AWS gateway retry and throttling policy, against the in-memory AWS
+const assert = require('assert');
+const { AwsGateway, policy, isRetryable } = require('./gateway');
+const { createFakeAws } = require('./fakeAws');
+
+// Retries back off for milliseconds instead of seconds
+Object.assign(policy, { baseDelayMs: 1, maxDelayMs: 5, waitIntervalMs: 1 });
+
+const seed = () => ({
+    region: 'us-east-1',
+    instances: [
+        { InstanceId: 'i-0aaa', InstanceType: 't3.micro' },
+        { InstanceId: 'i-0bbb', InstanceType: 't3.micro', region: 'eu-west-1' }
+    ]
+});
+const callsOf = (aws, operation) => aws.calls.filter(call => call.operation === operation);
+
+const run = async () => {
+    console.log('Testing AWS gateway retries and throttling...');
+    const warn = console.warn;
+    console.warn = () => {};
+
+    // Throttling is retried until the call gets through
+    let aws = createFakeAws(seed());
+    let gateway = new AwsGateway(aws);
+    aws.failNext('StopInstances', 'ThrottlingException', 2);
+    const stopped = await gateway.send('ec2', 'StopInstances', { InstanceIds: ['i-0aaa'] });
+    assert.strictEqual(stopped.StoppingInstances[0].CurrentState.Name, 'stopping');
+    assert.strictEqual(callsOf(aws, 'StopInstances').length, 3);
+
+    // Transient 5xx errors are retried too
+    aws.failNext('DescribeInstances', 'InternalError', 1, 500);
+    const described = await gateway.send('ec2', 'DescribeInstances', { InstanceIds: ['i-0aaa'] });
+    assert.strictEqual(described.Reservations[0].Instances[0].InstanceId, 'i-0aaa');
+    assert.strictEqual(callsOf(aws, 'DescribeInstances').length, 2);
+
+    // ...but only up to maxAttempts
+    aws.failNext('StartInstances', 'RequestLimitExceeded', 10);
+    await assert.rejects(gateway.send('ec2', 'StartInstances', { InstanceIds: ['i-0aaa'] }), { name: 'RequestLimitExceeded' });
+    assert.strictEqual(callsOf(aws, 'StartInstances').length, policy.maxAttempts);
+
+    // Client errors fail at once
+    await assert.rejects(gateway.send('ec2', 'StopInstances', { InstanceIds: ['i-0missing'] }), { name: 'InvalidInstanceID.NotFound' });
+    assert.strictEqual(callsOf(aws, 'StopInstances').length, 4);
+
+    // A launch AWS accepted but whose response was lost is retried with the same token
+    aws = createFakeAws(seed());
+    gateway = new AwsGateway(aws);
+    aws.failNext('RunInstances', 'InternalError', 1, 500, true);
+    const launched = await gateway.send('ec2', 'RunInstances', { ImageId: 'ami-0fake', MinCount: 1, MaxCount: 1 });
+    const launches = callsOf(aws, 'RunInstances');
+    assert.strictEqual(launches.length, 2);
+    assert(launches[0].input.ClientToken, 'RunInstances should carry a client token');
+    assert.strictEqual(launches[1].input.ClientToken, launches[0].input.ClientToken);
+    assert.strictEqual(aws.state.instances.filter(record => record.resource.ImageId === 'ami-0fake').length, 1);
+    assert.strictEqual(launched.Instances.length, 1);
+
+    // Waiters poll until the state settles
+    const waited = await gateway.waitFor('ec2', 'DescribeInstances', { InstanceIds: ['i-0aaa'] },
+        output => output.Reservations[0].Instances[0].State.Name === 'stopped',
+        { intervalMs: 1, timeoutMs: 1000 }).catch(error => error);
+    assert(waited instanceof Error, 'a running instance never reports stopped');
+    await gateway.send('ec2', 'StopInstances', { InstanceIds: ['i-0aaa'] });
+    const settled = await gateway.waitFor('ec2', 'DescribeInstances', { InstanceIds: ['i-0aaa'] },
+        output => output.Reservations[0].Instances[0].State.Name === 'stopped', { intervalMs: 1, timeoutMs: 1000 });
+    assert.strictEqual(settled.Reservations[0].Instances[0].State.Name, 'stopped');
+
+    // At most maxConcurrent calls in flight per service and region
+    const maxConcurrent = policy.maxConcurrent;
+    policy.maxConcurrent = 2;
+    aws = createFakeAws(seed());
+    const inFlight = new Map();
+    const peak = new Map();
+    const slow = {
+        region: aws.region,
+        async send(service, operation, input, region) {
+            inFlight.set(region, (inFlight.get(region) || 0) + 1);
+            peak.set(region, Math.max(peak.get(region) || 0, inFlight.get(region)));
+            await new Promise(resolve => setTimeout(resolve, 5));
+            inFlight.set(region, inFlight.get(region) - 1);
+            return aws.send(service, operation, input, region);
+        }
+    };
+    gateway = new AwsGateway(slow);
+    const results = await Promise.all([
+        ...Array.from({ length: 6 }, () => gateway.send('ec2', 'DescribeInstances', {})),
+        ...Array.from({ length: 6 }, () => gateway.send('ec2', 'DescribeInstances', {}, { region: 'eu-west-1' }))
+    ]);
+    policy.maxConcurrent = maxConcurrent;
+    assert.strictEqual(results.length, 12);
+    assert.strictEqual(peak.get('us-east-1'), 2);
+    assert.strictEqual(peak.get('eu-west-1'), 2, 'each region has its own lane');
+    assert.strictEqual(results[6].Reservations[0].Instances[0].InstanceId, 'i-0bbb');
+    console.warn = warn;
+
+    assert(isRetryable({ name: 'SlowDown' }));
+    assert(isRetryable({ name: 'Whatever', $metadata: { httpStatusCode: 503 } }));
+    assert(isRetryable({ name: 'Error', code: 'ECONNRESET' }));
+    assert(!isRetryable({ name: 'UnauthorizedOperation', $metadata: { httpStatusCode: 403 } }));
+
+    console.log('Test completed successfully!');
+};
+
+run().then(() => process.exit(0)).catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,19 @@
+// Per-user AWS credentials, customer role access, SDK clients and the lifecycle gateway
+const { resolveCredentials, sdkCredentials, clientFor, forgetUser, DEFAULT_REGION } = require('./credentials');
+const { assumeRole, roleAccountId, platformAccountId } = require('./assumeRole');
+const { AwsGateway, forUser: gatewayFor } = require('./gateway');
+const { createFakeAws } = require('./fakeAws');
+
+module.exports = {
+    resolveCredentials,
+    sdkCredentials,
+    clientFor,
+    forgetUser,
+    assumeRole,
+    roleAccountId,
+    platformAccountId,
+    AwsGateway,
+    gatewayFor,
+    createFakeAws,
+    DEFAULT_REGION
+};
@@ -2,6 +2,7 @@ const { CostExplorerClient, GetCostAndUsageCommand } = require('@aws-sdk/client-
 const { ResourceGroupsTaggingAPIClient, GetResourcesCommand } = require('@aws-sdk/client-resource-groups-tagging-api');
 // Add error handler import while keeping existing imports
 const { ErrorHandler } = require('../utils/errorHandler');
+const { sdkCredentials } = require('./aws');
 
 class AwsCostService {
     // Check if AWS Cost Explorer API is enabled
@@ -41,11 +42,8 @@ class AwsCostService {
 
         let clientConfig = { region: 'us-east-1' };
 
-        if (userCredentials && userCredentials.type === 'access_key') {
-            clientConfig.credentials = {
-                accessKeyId: userCredentials.accessKeyId,
-                secretAccessKey: userCredentials.secretAccessKey
-            };
+        if (sdkCredentials(userCredentials)) {
+            clientConfig.credentials = sdkCredentials(userCredentials);
         }
 
         const client = new CostExplorerClient(clientConfig);
@@ -108,11 +106,8 @@ class AwsCostService {
 
         let clientConfig = { region: 'us-east-1' };
 
-        if (userCredentials && userCredentials.type === 'access_key') {
-            clientConfig.credentials = {
-                accessKeyId: userCredentials.accessKeyId,
-                secretAccessKey: userCredentials.secretAccessKey
-            };
+        if (sdkCredentials(userCredentials)) {
+            clientConfig.credentials = sdkCredentials(userCredentials);
         }
 
         const { GetCostForecastCommand } = require('@aws-sdk/client-cost-explorer');
@@ -161,11 +156,8 @@ class AwsCostService {
         // 🔒 SECURITY: Create client with user-specific credentials or default
         let clientConfig = { region: 'us-east-1' };
 
-        if (userCredentials && userCredentials.type === 'access_key') {
-            clientConfig.credentials = {
-                accessKeyId: userCredentials.accessKeyId,
-                secretAccessKey: userCredentials.secretAccessKey
-            };
+        if (sdkCredentials(userCredentials)) {
+            clientConfig.credentials = sdkCredentials(userCredentials);
             console.log('🔐 Using user-provided AWS credentials');
         } else {
             console.log('🔄 Using default AWS credentials (environment/IAM role)');
@@ -239,11 +231,8 @@ class AwsCostService {
         // 🔒 SECURITY: Create client with user-specific credentials or default
         let clientConfig = { region: 'us-east-1' };
 
-        if (userCredentials && userCredentials.type === 'access_key') {
-            clientConfig.credentials = {
-                accessKeyId: userCredentials.accessKeyId,
-                secretAccessKey: userCredentials.secretAccessKey
-            };
+        if (sdkCredentials(userCredentials)) {
+            clientConfig.credentials = sdkCredentials(userCredentials);
             console.log('🔐 Using user-provided AWS credentials');
         } else {
             console.log('🔄 Using default AWS credentials (environment/IAM role)');
@@ -321,11 +310,8 @@ class AwsCostService {
 
         let clientConfig = { region: 'us-east-1' };
 
-        if (userCredentials && userCredentials.type === 'access_key') {
-            clientConfig.credentials = {
-                accessKeyId: userCredentials.accessKeyId,
-                secretAccessKey: userCredentials.secretAccessKey
-            };
+        if (sdkCredentials(userCredentials)) {
+            clientConfig.credentials = sdkCredentials(userCredentials);
         }
 
         try {
@@ -455,11 +441,8 @@ class AwsCostService {
         try {
             let clientConfig = { region: 'us-east-1' };
 
-            if (userCredentials && userCredentials.type === 'access_key') {
-                clientConfig.credentials = {
-                    accessKeyId: userCredentials.accessKeyId,
-                    secretAccessKey: userCredentials.secretAccessKey
-                };
+            if (sdkCredentials(userCredentials)) {
+                clientConfig.credentials = sdkCredentials(userCredentials);
             }
 
             const resourceData = await this.getResourceTaggingData(clientConfig);
@@ -1,9 +1,14 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const DatabaseService = require('./databaseService');
+const { assumeRole, forgetRole, roleAccountId, platformAccountId } = require('./aws/assumeRole');
 
 // Persistent file-based credential store
 const CREDENTIALS_FILE = path.join(__dirname, '../data/aws-credentials.json');
+// External IDs issued before they were kept in aws_external_ids; read once so existing
+// trust policies keep working, never written
+const LEGACY_EXTERNAL_IDS_FILE = path.join(__dirname, '../data/aws-external-ids.json');
 
 // Ensure data directory exists
 const dataDir = path.dirname(CREDENTIALS_FILE);
@@ -23,6 +28,15 @@ try {
     console.warn('⚠️ Could not load AWS credentials file:', error.message);
 }
 
+let legacyExternalIds = {};
+try {
+    if (fs.existsSync(LEGACY_EXTERNAL_IDS_FILE)) {
+        legacyExternalIds = JSON.parse(fs.readFileSync(LEGACY_EXTERNAL_IDS_FILE, 'utf8'));
+    }
+} catch (error) {
+    console.warn('⚠️ Could not load AWS external IDs file:', error.message);
+}
+
 // Save credentials to file
 function saveCredentialsToFile() {
     try {
@@ -63,17 +77,64 @@ class AwsCredentialsService {
         return JSON.parse(decrypted);
     }
 
+    /**
+     * External ID a user's cross-account role must require (sts:ExternalId), created on first use.
+     * It is issued by us, never chosen by the user, so nobody can point us at a role that
+     * trusts the platform for somebody else. The primary key makes the first insert win when
+     * two requests (or instances) issue one at the same time.
+     */
+    static async getExternalId(userId) {
+        const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+        const candidate = legacyExternalIds[String(userId)] || `deepcost-${crypto.randomBytes(16).toString('hex')}`;
+        await DatabaseService.query(`
+            INSERT INTO aws_external_ids (user_id, external_id) VALUES ($1, $2)
+            ON CONFLICT (user_id) DO NOTHING
+        `, [dbUserId, candidate]);
+        const result = await DatabaseService.query(
+            'SELECT external_id FROM aws_external_ids WHERE user_id = $1', [dbUserId]
+        );
+        return result.rows[0].external_id;
+    }
+
+    /**
+     * Trust policy a customer attaches to the role they connect
+     */
+    static async getRoleTrustPolicy(userId) {
+        const externalId = await this.getExternalId(userId);
+        let accountId = null;
+        try {
+            accountId = await platformAccountId();
+        } catch (error) {
+            console.warn('⚠️ Could not determine the platform AWS account:', error.message);
+        }
+
+        return {
+            externalId,
+            platformAccountId: accountId,
+            trustPolicy: {
+                Version: '2012-10-17',
+                Statement: [{
+                    Effect: 'Allow',
+                    Principal: { AWS: `arn:aws:iam::${accountId || '<platform-account-id>'}:root` },
+                    Action: 'sts:AssumeRole',
+                    Condition: { StringEquals: { 'sts:ExternalId': externalId } }
+                }]
+            }
+        };
+    }
+
     static async storeCredentials(userId, credentialData) {
         try {
             const encrypted = this.encryptCredentials(credentialData);
 
             // Always use string keys for consistency
             const userIdStr = String(userId);
+            this.forgetSession(userCredentials.get(userIdStr));
             
             userCredentials.set(userIdStr, {
                 ...encrypted,
                 type: credentialData.type,
-                accountId: credentialData.accountId,
+                accountId: credentialData.accountId || roleAccountId(credentialData.roleArn),
                 alias: credentialData.alias || 'Default AWS Account',
                 createdAt: new Date().toISOString(),
                 isActive: true
@@ -125,7 +186,18 @@ class AwsCredentialsService {
                 return { success: false, error: 'No AWS credentials found' };
             }
 
-            const decrypted = this.decryptCredentials(stored.encryptedData, stored.iv);
+            let decrypted = this.decryptCredentials(stored.encryptedData, stored.iv);
+
+            // A connected role resolves to its current temporary credentials
+            if (decrypted.type === 'role_arn') {
+                try {
+                    const session = await assumeRole({ roleArn: decrypted.roleArn, externalId: decrypted.externalId, userId });
+                    decrypted = { ...decrypted, ...session };
+                } catch (error) {
+                    console.error(`❌ Could not assume role ${decrypted.roleArn} for user ${userId}:`, error.message);
+                    return { success: false, error: `Could not assume IAM role ${decrypted.roleArn}: ${error.message}` };
+                }
+            }
 
             return {
                 success: true,
@@ -166,9 +238,30 @@ class AwsCredentialsService {
                 return { success: false, error: 'IAM Role ARN required' };
             }
 
-            if (!credentialData.roleArn.startsWith('arn:aws:iam::')) {
+            if (!roleAccountId(credentialData.roleArn)) {
                 return { success: false, error: 'Invalid IAM Role ARN format' };
             }
+
+            // Prove we can actually get in before the role is saved
+            try {
+                await assumeRole({
+                    roleArn: credentialData.roleArn,
+                    externalId: credentialData.externalId,
+                    userId: credentialData.userId
+                });
+            } catch (error) {
+                return {
+                    success: false,
+                    error: `Could not assume IAM role: ${error.message}. Check that its trust policy allows the platform account with external ID ${credentialData.externalId}`
+                };
+            }
+
+            return {
+                success: true,
+                accountId: roleAccountId(credentialData.roleArn),
+                accountAlias: credentialData.alias || 'AWS Account',
+                message: 'IAM role assumed successfully'
+            };
         }
 
         // Return successful validation
@@ -181,11 +274,23 @@ class AwsCredentialsService {
     }
 
     static async removeCredentials(userId) {
+        this.forgetSession(userCredentials.get(userId));
         userCredentials.delete(userId);
         saveCredentialsToFile();
         return { success: true, message: 'AWS credentials removed' };
     }
 
+    // Drop the cached temporary credentials of a stored role
+    static forgetSession(stored) {
+        if (!stored || stored.type !== 'role_arn') return;
+        try {
+            const { roleArn, externalId } = this.decryptCredentials(stored.encryptedData, stored.iv);
+            forgetRole(roleArn, externalId);
+        } catch (error) {
+            console.warn('⚠️ Could not clear cached role session:', error.message);
+        }
+    }
+
     static async listAllCredentials() {
         // For debugging - list all stored user IDs
         const userIds = Array.from(userCredentials.keys());
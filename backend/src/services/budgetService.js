@@ -1,5 +1,6 @@
 // /Users/rahulindi/aws-cost-tracker/backend/src/services/budgetService.js
 const DatabaseService = require('./databaseService');
+const TagDictionaryService = require('./tagDictionaryService');
 
 class BudgetService {
     /**
@@ -194,7 +195,22 @@ class BudgetService {
                 filters.project = budget.project;
             }
 
-            const costRecords = await DatabaseService.getCostRecords(filters);
+            let costRecords = await DatabaseService.getCostRecords(filters);
+
+            // Tag-scoped budgets compare canonical tags, so env=prod counts toward Environment=production
+            const budgetTags = typeof budget.tags === 'string' ? JSON.parse(budget.tags) : budget.tags;
+            if (budgetTags && typeof budgetTags === 'object' && Object.keys(budgetTags).length > 0) {
+                const dictionary = await TagDictionaryService.loadDictionary(budget.user_id);
+                const required = Object.entries(budgetTags).map(([key, values]) => {
+                    const canonicalKey = TagDictionaryService.canonicalKey(dictionary, key);
+                    return [canonicalKey, [].concat(values).map(value => TagDictionaryService.canonicalValue(dictionary, canonicalKey, value))];
+                });
+                costRecords = costRecords.filter(record => {
+                    const tags = TagDictionaryService.normalizeTags(record.tags, dictionary) || {};
+                    return required.every(([key, values]) => values.includes(tags[key]));
+                });
+            }
+
             const totalSpent = costRecords.reduce((sum, record) => sum + (record.cost_amount || 0), 0);
 
             return {
@@ -0,0 +1,701 @@
+// Chargeback Invoice Service
+// Formal per-cost-center chargeback/showback statements built from allocated costs.
+// An invoice moves draft → review → approved → published. Drafts are recomputed on request;
+// from review on the numbers are frozen in the snapshot, the cost center owner signs off, and
+// publishing locks the row (snapshot_hash lets anyone check a published statement later).
+const crypto = require('crypto');
+const DatabaseService = require('./databaseService');
+const CostAllocationService = require('./costAllocationService');
+const TagDictionaryService = require('./tagDictionaryService');
+const OrganizationService = require('./organizationService');
+
+const DOCUMENT_TYPES = ['chargeback', 'showback'];
+const PERIODS = ['monthly', 'quarterly', 'yearly', 'custom'];
+
+// action: statuses it applies to, resulting status, and whether only the owner may take it
+const TRANSITIONS = {
+    submit: { from: ['draft'], to: 'review', ownerOnly: false },
+    approve: { from: ['review'], to: 'approved', ownerOnly: true },
+    reject: { from: ['review'], to: 'draft', ownerOnly: true },
+    publish: { from: ['approved'], to: 'published', ownerOnly: false }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const isoDate = (date) => date.toISOString().split('T')[0];
+
+// JSONB does not keep key order, so the hash is taken over sorted keys
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+// Round-tripped through JSON first so it hashes the same as the stored copy (dates as strings)
+const hashSnapshot = (snapshot) => crypto.createHash('sha256')
+    .update(canonicalJson(JSON.parse(JSON.stringify(snapshot))))
+    .digest('hex');
+
+// Dates are handled in UTC so a period never shifts with the server's timezone
+const periodRange = (period, reportDate, startDate, endDate) => {
+    if (period === 'custom') {
+        const start = new Date(`${startDate}T00:00:00Z`);
+        const end = new Date(`${endDate}T00:00:00Z`);
+        if (isNaN(start) || isNaN(end) || start > end) {
+            throw new Error('custom periods need startDate <= endDate (YYYY-MM-DD)');
+        }
+        const days = Math.round((end - start) / 86400000) + 1;
+        const previousEnd = new Date(start.getTime() - 86400000);
+        const previousStart = new Date(previousEnd.getTime() - (days - 1) * 86400000);
+        return {
+            start: isoDate(start), end: isoDate(end),
+            previousStart: isoDate(previousStart), previousEnd: isoDate(previousEnd)
+        };
+    }
+
+    const date = reportDate ? new Date(`${reportDate}T00:00:00Z`) : new Date();
+    if (isNaN(date)) {
+        throw new Error('reportDate must be a date (YYYY-MM-DD)');
+    }
+    const months = { monthly: 1, quarterly: 3, yearly: 12 }[period];
+    const year = date.getUTCFullYear();
+    const firstMonth = period === 'yearly' ? 0 : Math.floor(date.getUTCMonth() / months) * months;
+    const start = new Date(Date.UTC(year, firstMonth, 1));
+    const end = new Date(Date.UTC(year, firstMonth + months, 0));
+    const previousStart = new Date(Date.UTC(year, firstMonth - months, 1));
+    const previousEnd = new Date(Date.UTC(year, firstMonth, 0));
+    return {
+        start: isoDate(start), end: isoDate(end),
+        previousStart: isoDate(previousStart), previousEnd: isoDate(previousEnd)
+    };
+};
+
+// A member scope can only be applied to invoices through cost centers
+const scopeAllows = (scope, costCenter) => {
+    if (!scope) return true;
+    if (Object.keys(scope).some(key => key !== 'costCenters')) return false;
+    return !scope.costCenters || scope.costCenters.includes(costCenter);
+};
+
+class ChargebackInvoiceService {
+    /**
+     * Allocate a period's costs with the saved rules and total them per cost center,
+     * service and rule
+     * @param {Object} dictionary - the user's tag dictionary (see TagDictionaryService)
+     * @returns {Map} costCenter -> Map(lineKey -> { service, ruleId, method, amount })
+     */
+    static async allocatePeriod(userId, start, end, rules, dictionary) {
+        const result = await DatabaseService.query(`
+            SELECT * FROM cost_records
+            WHERE user_id = $1 AND date >= $2 AND date <= $3
+        `, [userId, start, end]);
+
+        const { lines } = CostAllocationService.allocate(result.rows, rules, dictionary);
+        const costCenters = new Map();
+
+        for (const line of lines) {
+            const costCenter = line.cost_center || 'unassigned';
+            // Records no rule matched still carry the cost center from their own tags
+            const method = line.allocation_method === 'unallocated'
+                ? (line.cost_center ? 'tagged' : 'unassigned')
+                : line.allocation_method;
+            const service = line.service_name || 'Unknown';
+            const key = `${service}|${line.allocation_rule_id ?? ''}|${method}`;
+
+            if (!costCenters.has(costCenter)) costCenters.set(costCenter, new Map());
+            const items = costCenters.get(costCenter);
+            const item = items.get(key) || { service, ruleId: line.allocation_rule_id, method, amount: 0 };
+            item.amount += line.allocated_cost;
+            items.set(key, item);
+        }
+
+        return costCenters;
+    }
+
+    /**
+     * Statement content for one cost center: line items with the previous period beside them,
+     * the allocation rules they came from and the totals
+     */
+    static buildSnapshot({ documentType, period, range, costCenter, current, previous, rules }) {
+        const keys = new Set([...(current ? current.keys() : []), ...(previous ? previous.keys() : [])]);
+        const ruleNames = new Map(rules.map(rule => [rule.id, rule]));
+
+        const lineItems = [...keys].map(key => {
+            const item = (current && current.get(key)) || (previous && previous.get(key));
+            const amount = round(current && current.get(key) ? current.get(key).amount : 0);
+            const previousAmount = round(previous && previous.get(key) ? previous.get(key).amount : 0);
+            return {
+                service: item.service,
+                ruleId: item.ruleId,
+                ruleName: item.ruleId !== null ? (ruleNames.get(item.ruleId) || {}).rule_name || null : null,
+                method: item.method,
+                amount,
+                previousAmount,
+                change: round(amount - previousAmount)
+            };
+        }).sort((a, b) => b.amount - a.amount || b.previousAmount - a.previousAmount);
+
+        // Totals are the sum of the rounded lines so the statement adds up on paper
+        const amount = round(lineItems.reduce((sum, item) => sum + item.amount, 0));
+        const previousAmount = round(lineItems.reduce((sum, item) => sum + item.previousAmount, 0));
+        const usedRuleIds = new Set(lineItems.map(item => item.ruleId).filter(id => id !== null));
+
+        return {
+            documentType,
+            costCenter,
+            currency: 'USD',
+            period: { type: period, start: range.start, end: range.end },
+            previousPeriod: { start: range.previousStart, end: range.previousEnd },
+            lineItems,
+            rules: rules
+                .filter(rule => usedRuleIds.has(rule.id))
+                .map(rule => ({ id: rule.id, name: rule.rule_name, type: rule.rule_type, priority: rule.priority })),
+            totals: {
+                amount,
+                previousAmount,
+                change: round(amount - previousAmount),
+                changePercent: previousAmount !== 0 ? round((amount - previousAmount) / previousAmount * 100) : null
+            },
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Check that an owner exists and can see the data: a member of the organization the
+     * invoices belong to, or the account holder themself
+     */
+    static async resolveOwner(email, context) {
+        const result = await DatabaseService.query(
+            'SELECT id, email FROM users WHERE LOWER(email) = LOWER($1)',
+            [String(email).trim()]
+        );
+        const owner = result.rows[0];
+        if (!owner) {
+            throw new Error(`No user with email ${email}`);
+        }
+        if (context.organizationId) {
+            if (!await OrganizationService.getMembership(context.organizationId, owner.id)) {
+                throw new Error(`${email} is not a member of this organization`);
+            }
+        } else if (owner.id !== context.userId) {
+            throw new Error(`${email} cannot see this account's costs; invoice owners outside an organization must be the account holder`);
+        }
+        return owner;
+    }
+
+    /**
+     * Create draft invoices for every cost center with cost in the period (or the listed
+     * ones). Existing drafts for the same cost center and period are recomputed; invoices
+     * already in review or later are left alone.
+     * @param {Object} context - { userId, actorId, organizationId }
+     * @param {Object} options - { period, reportDate, startDate, endDate, documentType, costCenters, owners }
+     */
+    static async generateInvoices(context, options = {}, request = {}) {
+        try {
+            const period = options.period || 'monthly';
+            const documentType = options.documentType || 'chargeback';
+            if (!PERIODS.includes(period)) {
+                return { success: false, status: 400, error: `period must be one of ${PERIODS.join(', ')}` };
+            }
+            if (!DOCUMENT_TYPES.includes(documentType)) {
+                return { success: false, status: 400, error: `documentType must be one of ${DOCUMENT_TYPES.join(', ')}` };
+            }
+            const range = periodRange(period, options.reportDate, options.startDate, options.endDate);
+
+            const rules = await DatabaseService.getCostAllocationRules(context.userId);
+            const dictionary = await TagDictionaryService.loadDictionary(context.userId);
+            const current = await this.allocatePeriod(context.userId, range.start, range.end, rules, dictionary);
+            const previous = await this.allocatePeriod(context.userId, range.previousStart, range.previousEnd, rules, dictionary);
+
+            const costCenters = Array.isArray(options.costCenters) && options.costCenters.length > 0
+                ? options.costCenters
+                : [...current.keys()].sort();
+            if (costCenters.length === 0) {
+                return { success: false, status: 404, error: `No costs between ${range.start} and ${range.end}` };
+            }
+
+            const owners = {};
+            for (const [costCenter, email] of Object.entries(options.owners || {})) {
+                owners[costCenter] = await this.resolveOwner(email, context);
+            }
+
+            const existing = await DatabaseService.query(`
+                SELECT DISTINCT ON (cost_center) id, cost_center, status
+                FROM chargeback_reports
+                WHERE user_id = $1 AND document_type = $2 AND period_start = $3 AND period_end = $4
+                ORDER BY cost_center, created_at DESC
+            `, [context.userId, documentType, range.start, range.end]);
+            const existingByCostCenter = new Map(existing.rows.map(row => [row.cost_center, row]));
+
+            const created = [];
+            const refreshed = [];
+            const skipped = [];
+
+            for (const costCenter of costCenters) {
+                const snapshot = this.buildSnapshot({
+                    documentType,
+                    period,
+                    range,
+                    costCenter,
+                    current: current.get(costCenter),
+                    previous: previous.get(costCenter),
+                    rules
+                });
+                const serviceBreakdown = {};
+                snapshot.lineItems.forEach(item => {
+                    serviceBreakdown[item.service] = round((serviceBreakdown[item.service] || 0) + item.amount);
+                });
+
+                const prior = existingByCostCenter.get(costCenter);
+                if (prior && prior.status !== 'draft') {
+                    skipped.push({ id: prior.id, costCenter, status: prior.status });
+                    continue;
+                }
+
+                // Owners carry over from the cost center's last invoice unless given here
+                const owner = owners[costCenter] || (await DatabaseService.query(`
+                    SELECT owner_user_id AS id, owner_email AS email FROM chargeback_reports
+                    WHERE user_id = $1 AND cost_center = $2 AND owner_user_id IS NOT NULL
+                    ORDER BY created_at DESC LIMIT 1
+                `, [context.userId, costCenter])).rows[0] || null;
+
+                if (prior) {
+                    await DatabaseService.query(`
+                        UPDATE chargeback_reports
+                        SET total_cost = $2, service_breakdown = $3, snapshot = $4,
+                            owner_user_id = $5, owner_email = $6, updated_at = NOW()
+                        WHERE id = $1 AND status = 'draft'
+                    `, [prior.id, snapshot.totals.amount, JSON.stringify(serviceBreakdown), JSON.stringify(snapshot),
+                        owner ? owner.id : null, owner ? owner.email : null]);
+                    refreshed.push(prior.id);
+                    continue;
+                }
+
+                const result = await DatabaseService.query(`
+                    INSERT INTO chargeback_reports
+                    (report_period, report_date, cost_center, total_cost, service_breakdown, user_id, document_type,
+                     status, period_start, period_end, owner_user_id, owner_email, snapshot, updated_at)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, 'draft', $8, $9, $10, $11, $12, NOW())
+                    RETURNING id
+                `, [
+                    period,
+                    range.end,
+                    costCenter,
+                    snapshot.totals.amount,
+                    JSON.stringify(serviceBreakdown),
+                    context.userId,
+                    documentType,
+                    range.start,
+                    range.end,
+                    owner ? owner.id : null,
+                    owner ? owner.email : null,
+                    JSON.stringify(snapshot)
+                ]);
+                created.push(result.rows[0].id);
+                await this.audit(context, 'chargeback_invoice.created', result.rows[0].id, { costCenter, period: range }, request);
+            }
+
+            console.log(`🧾 Chargeback invoices for ${range.start}..${range.end}: ${created.length} created, ${refreshed.length} refreshed, ${skipped.length} skipped`);
+            return { success: true, period: range, created, refreshed, skipped };
+        } catch (error) {
+            console.error('❌ Error generating chargeback invoices:', error.message);
+            return { success: false, status: 400, error: error.message };
+        }
+    }
+
+    static invoiceNumber(row) {
+        const prefix = row.document_type === 'showback' ? 'SB' : 'CB';
+        const month = isoDate(new Date(row.period_start)).slice(0, 7).replace('-', '');
+        return `${prefix}-${month}-${String(row.id).padStart(6, '0')}`;
+    }
+
+    static formatInvoice(row, { includeSnapshot = false } = {}) {
+        const invoice = {
+            id: row.id,
+            invoiceNumber: this.invoiceNumber(row),
+            documentType: row.document_type,
+            status: row.status,
+            costCenter: row.cost_center,
+            period: row.report_period,
+            periodStart: row.period_start,
+            periodEnd: row.period_end,
+            totalCost: parseFloat(row.total_cost),
+            currency: row.currency || 'USD',
+            owner: row.owner_user_id ? { userId: row.owner_user_id, email: row.owner_email } : null,
+            submittedAt: row.submitted_at,
+            approvedBy: row.approved_by,
+            approvedAt: row.approved_at,
+            approvalComment: row.approval_comment,
+            publishedAt: row.published_at,
+            snapshotHash: row.snapshot_hash,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+        if (includeSnapshot) {
+            invoice.snapshot = row.snapshot;
+        }
+        return invoice;
+    }
+
+    static async listInvoices(userId, { status, costCenter, scope } = {}) {
+        try {
+            const params = [userId];
+            let filters = '';
+            if (status) {
+                params.push(status);
+                filters += ` AND status = $${params.length}`;
+            }
+            if (costCenter) {
+                params.push(costCenter);
+                filters += ` AND cost_center = $${params.length}`;
+            }
+
+            const result = await DatabaseService.query(`
+                SELECT * FROM chargeback_reports
+                WHERE user_id = $1 AND document_type IS NOT NULL ${filters}
+                ORDER BY period_start DESC, cost_center
+                LIMIT 500
+            `, params);
+
+            return {
+                success: true,
+                invoices: result.rows
+                    .filter(row => scopeAllows(scope, row.cost_center))
+                    .map(row => this.formatInvoice(row))
+            };
+        } catch (error) {
+            console.error('❌ Error listing chargeback invoices:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findInvoice(userId, invoiceId, scope) {
+        const result = await DatabaseService.query(`
+            SELECT * FROM chargeback_reports
+            WHERE id = $1 AND user_id = $2 AND document_type IS NOT NULL
+        `, [parseInt(invoiceId, 10), userId]);
+        const row = result.rows[0];
+        return row && scopeAllows(scope, row.cost_center) ? row : null;
+    }
+
+    /**
+     * Invoice with its statement and approval history
+     */
+    static async getInvoice(userId, invoiceId, scope = null) {
+        try {
+            const row = await this.findInvoice(userId, invoiceId, scope);
+            if (!row) {
+                return { success: false, status: 404, error: 'Invoice not found' };
+            }
+
+            const history = await DatabaseService.query(`
+                SELECT action, user_id, details, created_at FROM audit_logs
+                WHERE resource_type = 'chargeback_invoice' AND resource_id = $1
+                ORDER BY created_at, id
+            `, [String(row.id)]);
+
+            return {
+                success: true,
+                invoice: {
+                    ...this.formatInvoice(row, { includeSnapshot: true }),
+                    snapshotVerified: row.snapshot_hash ? hashSnapshot(row.snapshot) === row.snapshot_hash : null,
+                    history: history.rows.map(entry => ({
+                        action: entry.action.replace('chargeback_invoice.', ''),
+                        userId: entry.user_id,
+                        comment: entry.details ? entry.details.comment || null : null,
+                        at: entry.created_at
+                    }))
+                }
+            };
+        } catch (error) {
+            console.error('❌ Error getting chargeback invoice:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Change the owner or notes of a draft
+     * @param {Object} changes - { ownerEmail?, notes? }
+     */
+    static async updateInvoice(context, invoiceId, changes = {}, request = {}) {
+        try {
+            const row = await this.findInvoice(context.userId, invoiceId);
+            if (!row) {
+                return { success: false, status: 404, error: 'Invoice not found' };
+            }
+            if (row.status !== 'draft') {
+                return { success: false, status: 409, error: `Only drafts can be edited (invoice is ${row.status})` };
+            }
+
+            const owner = changes.ownerEmail !== undefined
+                ? await this.resolveOwner(changes.ownerEmail, context)
+                : { id: row.owner_user_id, email: row.owner_email };
+            const snapshot = changes.notes !== undefined
+                ? { ...row.snapshot, notes: changes.notes ? String(changes.notes).slice(0, 2000) : null }
+                : row.snapshot;
+
+            await DatabaseService.query(`
+                UPDATE chargeback_reports
+                SET owner_user_id = $2, owner_email = $3, snapshot = $4, updated_at = NOW()
+                WHERE id = $1 AND status = 'draft'
+            `, [row.id, owner.id, owner.email, JSON.stringify(snapshot)]);
+
+            await this.audit(context, 'chargeback_invoice.updated', row.id, { ownerEmail: owner.email }, request);
+            return this.getInvoice(context.userId, row.id);
+        } catch (error) {
+            console.error('❌ Error updating chargeback invoice:', error.message);
+            return { success: false, status: 400, error: error.message };
+        }
+    }
+
+    /**
+     * Move an invoice through the workflow. Approval and rejection are the cost center
+     * owner's sign-off; publishing stamps the sign-off into the snapshot and locks it.
+     * @param {string} action - submit | approve | reject | publish
+     */
+    static async transition(context, invoiceId, action, { comment = null, scope = null } = {}, request = {}) {
+        try {
+            const step = TRANSITIONS[action];
+            if (!step) {
+                return { success: false, status: 400, error: `action must be one of ${Object.keys(TRANSITIONS).join(', ')}` };
+            }
+
+            const row = await this.findInvoice(context.userId, invoiceId, scope);
+            if (!row) {
+                return { success: false, status: 404, error: 'Invoice not found' };
+            }
+            if (!step.from.includes(row.status)) {
+                return { success: false, status: 409, error: `Cannot ${action} an invoice that is ${row.status}` };
+            }
+            if (action === 'submit' && !row.owner_user_id) {
+                return { success: false, status: 409, error: 'Assign a cost center owner before sending the invoice for review' };
+            }
+            if (step.ownerOnly && row.owner_user_id !== context.actorId) {
+                return { success: false, status: 403, error: `Only the cost center owner (${row.owner_email}) can ${action} this invoice` };
+            }
+            if (action === 'reject' && !comment) {
+                return { success: false, status: 400, error: 'A comment is required when rejecting an invoice' };
+            }
+
+            let result;
+            if (action === 'publish') {
+                const snapshot = {
+                    ...row.snapshot,
+                    invoiceNumber: this.invoiceNumber(row),
+                    signOff: {
+                        ownerUserId: row.owner_user_id,
+                        ownerEmail: row.owner_email,
+                        approvedBy: row.approved_by,
+                        approvedAt: row.approved_at,
+                        comment: row.approval_comment
+                    },
+                    publishedAt: new Date().toISOString()
+                };
+                result = await DatabaseService.query(`
+                    UPDATE chargeback_reports
+                    SET status = 'published', snapshot = $3, snapshot_hash = $4,
+                        published_by = $5, published_at = NOW(), updated_at = NOW()
+                    WHERE id = $1 AND status = $2
+                    RETURNING *
+                `, [row.id, row.status, JSON.stringify(snapshot), hashSnapshot(snapshot), context.actorId]);
+            } else {
+                const stamps = {
+                    submit: ['submitted_by = $3, submitted_at = NOW()', [context.actorId]],
+                    approve: ['approved_by = $3, approved_at = NOW(), approval_comment = $4', [context.actorId, comment]],
+                    reject: ['approved_by = NULL, approved_at = NULL, approval_comment = $3', [comment]]
+                }[action];
+                result = await DatabaseService.query(`
+                    UPDATE chargeback_reports
+                    SET status = '${step.to}', ${stamps[0]}, updated_at = NOW()
+                    WHERE id = $1 AND status = $2
+                    RETURNING *
+                `, [row.id, row.status, ...stamps[1]]);
+            }
+
+            // Someone else moved the invoice between the read and the update
+            if (result.rows.length === 0) {
+                return { success: false, status: 409, error: 'Invoice changed while processing; reload and try again' };
+            }
+
+            await this.audit(context, `chargeback_invoice.${action}`, row.id, { from: row.status, to: step.to, comment }, request);
+            console.log(`🧾 Invoice ${this.invoiceNumber(row)}: ${row.status} → ${step.to}`);
+            return { success: true, invoice: this.formatInvoice(result.rows[0]) };
+        } catch (error) {
+            console.error(`❌ Error on chargeback invoice ${action}:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Render the invoice snapshot as a PDF
+     * @returns {Object} { success, data: Buffer, filename }
+     */
+    static async renderPdf(userId, invoiceId, scope = null) {
+        try {
+            const row = await this.findInvoice(userId, invoiceId, scope);
+            if (!row) {
+                return { success: false, status: 404, error: 'Invoice not found' };
+            }
+
+            const { jsPDF } = require('jspdf');
+            const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+            const snapshot = row.snapshot;
+            const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+            // The built-in fonts only cover Latin-1
+            const text = (value) => String(value ?? '').replace(/[^\x20-\xff]/g, '?');
+            const clip = (value, length) => {
+                const clean = text(value);
+                return clean.length > length ? `${clean.slice(0, length - 1)}~` : clean;
+            };
+            let y = 20;
+            const ensureSpace = (height) => {
+                if (y + height > 280) {
+                    doc.addPage();
+                    y = 20;
+                }
+            };
+
+            doc.setFontSize(18);
+            doc.text(`${row.document_type === 'showback' ? 'Showback' : 'Chargeback'} Statement`, 14, y);
+            doc.setFontSize(10);
+            doc.text(this.invoiceNumber(row), 196, y, { align: 'right' });
+            if (row.status !== 'published') {
+                doc.setTextColor(200, 0, 0);
+                doc.text(row.status.toUpperCase(), 196, y + 5, { align: 'right' });
+                doc.setTextColor(0, 0, 0);
+            }
+
+            y += 12;
+            const header = [
+                ['Cost center', snapshot.costCenter],
+                ['Period', `${snapshot.period.start} to ${snapshot.period.end} (${snapshot.period.type})`],
+                ['Compared with', `${snapshot.previousPeriod.start} to ${snapshot.previousPeriod.end}`],
+                ['Owner', row.owner_email || 'not assigned'],
+                ['Generated', snapshot.generatedAt]
+            ];
+            header.forEach(([label, value]) => {
+                doc.setFont('helvetica', 'bold');
+                doc.text(`${label}:`, 14, y);
+                doc.setFont('helvetica', 'normal');
+                doc.text(text(value), 50, y);
+                y += 6;
+            });
+
+            y += 4;
+            const columns = [
+                { title: 'Service', x: 14 },
+                { title: 'Allocation rule', x: 74 },
+                { title: 'Method', x: 118 },
+                { title: 'Amount', x: 160, align: 'right' },
+                { title: 'Previous', x: 180, align: 'right' },
+                { title: 'Change', x: 196, align: 'right' }
+            ];
+            const drawRow = (values, bold = false) => {
+                ensureSpace(6);
+                doc.setFont('helvetica', bold ? 'bold' : 'normal');
+                columns.forEach((column, index) => doc.text(values[index], column.x, y, column.align ? { align: column.align } : undefined));
+                y += 6;
+            };
+
+            doc.setFontSize(9);
+            drawRow(columns.map(column => column.title), true);
+            doc.line(14, y - 4, 196, y - 4);
+            snapshot.lineItems.forEach(item => drawRow([
+                clip(item.service, 34),
+                clip(item.ruleName ? `#${item.ruleId} ${item.ruleName}` : '-', 24),
+                clip(item.method, 20),
+                money(item.amount),
+                money(item.previousAmount),
+                money(item.change)
+            ]));
+            doc.line(14, y - 4, 196, y - 4);
+            drawRow(['Total', '', '', money(snapshot.totals.amount), money(snapshot.totals.previousAmount), money(snapshot.totals.change)], true);
+            if (snapshot.totals.changePercent !== null) {
+                drawRow(['', '', '', '', 'vs previous', `${snapshot.totals.changePercent}%`]);
+            }
+
+            if (snapshot.rules.length > 0) {
+                y += 4;
+                ensureSpace(12);
+                doc.setFont('helvetica', 'bold');
+                doc.text('Allocation rules applied', 14, y);
+                doc.setFont('helvetica', 'normal');
+                y += 6;
+                snapshot.rules.forEach(rule => {
+                    ensureSpace(6);
+                    doc.text(clip(`#${rule.id}  ${rule.name}  (${rule.type}, priority ${rule.priority})`, 110), 14, y);
+                    y += 5;
+                });
+            }
+
+            if (snapshot.notes) {
+                y += 4;
+                ensureSpace(12);
+                doc.setFont('helvetica', 'bold');
+                doc.text('Notes', 14, y);
+                doc.setFont('helvetica', 'normal');
+                y += 6;
+                doc.splitTextToSize(text(snapshot.notes), 180).forEach(line => {
+                    ensureSpace(5);
+                    doc.text(line, 14, y);
+                    y += 5;
+                });
+            }
+
+            y += 6;
+            ensureSpace(24);
+            doc.setFont('helvetica', 'bold');
+            doc.text('Sign-off', 14, y);
+            doc.setFont('helvetica', 'normal');
+            y += 6;
+            if (row.approved_at) {
+                doc.text(text(`Approved by ${row.owner_email} on ${new Date(row.approved_at).toISOString()}`), 14, y);
+                y += 5;
+                if (row.approval_comment) {
+                    doc.text(clip(`"${row.approval_comment}"`, 110), 14, y);
+                    y += 5;
+                }
+            } else {
+                doc.text('Awaiting cost center owner approval', 14, y);
+                y += 5;
+            }
+            if (row.published_at) {
+                doc.text(`Published ${new Date(row.published_at).toISOString()}`, 14, y);
+                y += 5;
+                doc.setFontSize(7);
+                doc.text(`Snapshot SHA-256: ${row.snapshot_hash}`, 14, y);
+            }
+
+            return {
+                success: true,
+                data: Buffer.from(doc.output('arraybuffer')),
+                filename: `${this.invoiceNumber(row)}.pdf`
+            };
+        } catch (error) {
+            console.error('❌ Error rendering chargeback invoice PDF:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async audit(context, action, invoiceId, details, request = {}) {
+        try {
+            await DatabaseService.query(`
+                INSERT INTO audit_logs (user_id, action, resource_type, resource_id, details, ip_address, user_agent)
+                VALUES ($1, $2, 'chargeback_invoice', $3, $4, $5, $6)
+            `, [
+                context.actorId || null,
+                action,
+                String(invoiceId),
+                JSON.stringify({ ...details, organizationId: context.organizationId || null }),
+                request.ip || null,
+                request.headers ? request.headers['user-agent'] || null : null
+            ]);
+        } catch (error) {
+            console.error('❌ Error writing chargeback invoice audit log:', error.message);
+        }
+    }
+}
+
+ChargebackInvoiceService.TRANSITIONS = TRANSITIONS;
+
+module.exports = ChargebackInvoiceService;
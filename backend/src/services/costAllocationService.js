@@ -1,54 +1,52 @@
 // Cost Allocation Service - handles automated cost allocation based on tags and rules
 const DatabaseService = require('./databaseService');
+const TagDictionaryService = require('./tagDictionaryService');
+
+const RULE_TYPES = ['service_based', 'region_based', 'tag_based', 'composite', 'shared_cost'];
+const ALLOCATION_DIMENSIONS = ['cost_center', 'department', 'project', 'environment', 'team', 'business_unit'];
+const SHARED_DISTRIBUTIONS = ['even', 'proportional'];
+const CONDITION_OPERATORS = ['equals', 'not_equals', 'in', 'not_in', 'contains', 'starts_with', 'exists', 'not_exists'];
+const PREVIEW_SAMPLE_SIZE = 50;
+
+// Condition fields and the cost_records columns they read
+const CONDITION_FIELDS = {
+    service: 'service_name',
+    region: 'region',
+    account: 'linked_account_id',
+    usage_type: 'usage_type',
+    operation: 'operation',
+    line_item_type: 'line_item_type',
+    resource_id: 'resource_id',
+    cost_center: 'cost_center',
+    department: 'department',
+    project: 'project',
+    environment: 'environment',
+    team: 'team'
+};
 
 class CostAllocationService {
-    // Apply allocation rules to cost data
+    // Apply allocation rules to cost data. Split and shared-cost rules return one record per
+    // share, with cost_amount scaled to the share.
     static async applyCostAllocationRules(costData, userId) {
         try {
             console.log('🎯 Applying cost allocation rules...');
 
             // Get active allocation rules for the user
             const rules = await this.getAllocationRules(userId);
-
-            const allocatedCosts = [];
-
-            for (const costRecord of costData) {
-                let allocated = false;
-
-                // Sort rules by priority (lower number = higher priority)
-                const sortedRules = rules.sort((a, b) => a.priority - b.priority);
-
-                for (const rule of sortedRules) {
-                    if (this.matchesRule(costRecord, rule)) {
-                        const allocatedRecord = {
-                            ...costRecord,
-                            cost_center: rule.allocation_target.cost_center || null,
-                            department: rule.allocation_target.department || null,
-                            project: rule.allocation_target.project || null,
-                            environment: rule.allocation_target.environment || null,
-                            team: rule.allocation_target.team || null,
-                            business_unit: rule.allocation_target.business_unit || null
-                        };
-
-                        allocatedCosts.push(allocatedRecord);
-                        allocated = true;
-                        break; // First matching rule wins (priority-based)
-                    }
+            const dictionary = await TagDictionaryService.loadDictionary(userId);
+            const { lines } = this.allocate(costData, rules, dictionary);
+
+            const allocatedCosts = lines.map(line => line.allocation_method === 'unallocated'
+                ? {
+                    ...line,
+                    cost_center: 'unassigned',
+                    department: 'unassigned',
+                    project: 'unassigned',
+                    environment: 'production', // Default assumption
+                    team: 'unassigned',
+                    business_unit: 'unassigned'
                 }
-
-                // If no rule matched, add with default allocations
-                if (!allocated) {
-                    allocatedCosts.push({
-                        ...costRecord,
-                        cost_center: 'unassigned',
-                        department: 'unassigned',
-                        project: 'unassigned',
-                        environment: 'production', // Default assumption
-                        team: 'unassigned',
-                        business_unit: 'unassigned'
-                    });
-                }
-            }
+                : { ...line, cost_amount: line.allocated_cost });
 
             console.log(`✅ Allocated ${allocatedCosts.length} cost records`);
             return allocatedCosts;
@@ -60,6 +58,185 @@ class CostAllocationService {
         }
     }
 
+    /**
+     * Run rules over cost records. Rules are tried in priority order (lower number first) and
+     * the first match takes the record: direct and split rules assign it to their targets,
+     * shared-cost rules pool it and spread it over what the direct rules allocated.
+     * With a tag dictionary, record tags and the tags rules test are both read in their
+     * canonical form, so a rule on Environment=production also takes env=prod.
+     * @returns {Object} { lines, summary } - lines carry allocated_cost, allocation_share,
+     *                   allocation_rule_id and allocation_method
+     */
+    static allocate(costData, rules, dictionary = null) {
+        if (dictionary && dictionary.size > 0) {
+            costData = costData.map(costRecord => ({
+                ...costRecord,
+                tags: TagDictionaryService.normalizeTags(costRecord.tags, dictionary)
+            }));
+            rules = rules.map(rule => ({
+                ...rule,
+                condition_json: rule.condition_json && this.normalizeConditionTags(rule.condition_json, dictionary)
+            }));
+        }
+
+        const sortedRules = [...rules]
+            .filter(rule => rule.is_active !== false)
+            .sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100));
+
+        const lines = [];
+        const sharedPools = [];
+        const ruleStats = new Map(sortedRules.map(rule => [rule.id, {
+            ruleId: rule.id,
+            ruleName: rule.rule_name,
+            ruleType: rule.rule_type,
+            priority: rule.priority ?? 100,
+            matchedRecords: 0,
+            matchedCost: 0
+        }]));
+
+        for (const costRecord of costData) {
+            const cost = parseFloat(costRecord.cost_amount || 0);
+            const rule = sortedRules.find(candidate => this.matchesRule(costRecord, candidate));
+
+            if (!rule) {
+                lines.push({ ...costRecord, allocated_cost: cost, allocation_share: 1, allocation_rule_id: null, allocation_method: 'unallocated' });
+                continue;
+            }
+
+            const stats = ruleStats.get(rule.id);
+            stats.matchedRecords++;
+            stats.matchedCost += cost;
+
+            if (rule.rule_type === 'shared_cost') {
+                sharedPools.push({ costRecord, cost, rule });
+                continue;
+            }
+
+            const splits = rule.allocation_target.splits
+                || [{ ...rule.allocation_target, percentage: 100 }];
+            let remaining = cost;
+            splits.forEach((split, index) => {
+                // The last share takes the rounding remainder so shares add up to the record
+                const amount = index === splits.length - 1 ? remaining : cost * split.percentage / 100;
+                remaining -= amount;
+                lines.push({
+                    ...costRecord,
+                    ...this.targetFields(split),
+                    allocated_cost: amount,
+                    allocation_share: split.percentage / 100,
+                    allocation_rule_id: rule.id,
+                    allocation_method: splits.length > 1 ? 'split' : 'direct'
+                });
+            });
+        }
+
+        // Shared costs follow the direct allocation, so they are spread once every record is placed
+        for (const { costRecord, cost, rule } of sharedPools) {
+            const shares = this.sharedCostShares(lines, rule.allocation_target);
+            if (shares.length === 0) {
+                lines.push({ ...costRecord, allocated_cost: cost, allocation_share: 1, allocation_rule_id: rule.id, allocation_method: 'unallocated' });
+                continue;
+            }
+
+            const dimension = rule.allocation_target.dimension || 'cost_center';
+            let remaining = cost;
+            shares.forEach(({ value, share }, index) => {
+                const amount = index === shares.length - 1 ? remaining : cost * share;
+                remaining -= amount;
+                lines.push({
+                    ...costRecord,
+                    ...this.targetFields({}),
+                    [dimension]: value,
+                    allocated_cost: amount,
+                    allocation_share: share,
+                    allocation_rule_id: rule.id,
+                    allocation_method: `shared_${rule.allocation_target.distribution}`
+                });
+            });
+        }
+
+        return { lines, summary: this.summarizeAllocation(lines, [...ruleStats.values()]) };
+    }
+
+    static targetFields(target) {
+        return ALLOCATION_DIMENSIONS.reduce((fields, dimension) => {
+            fields[dimension] = target[dimension] || null;
+            return fields;
+        }, {});
+    }
+
+    /**
+     * Fractions of a shared cost per target. `even` splits across the targets, `proportional`
+     * weights them by the cost the direct rules allocated to each (falling back to even when
+     * none of them has any). Without explicit targets, every value of the dimension that
+     * received direct cost takes part.
+     * @returns {Array} [{ value, share }]
+     */
+    static sharedCostShares(lines, target) {
+        const dimension = target.dimension || 'cost_center';
+        const usage = new Map();
+        for (const line of lines) {
+            if (line.allocation_method !== 'direct' && line.allocation_method !== 'split') continue;
+            const value = line[dimension];
+            if (!value) continue;
+            usage.set(value, (usage.get(value) || 0) + line.allocated_cost);
+        }
+
+        const values = target.targets && target.targets.length > 0 ? target.targets : [...usage.keys()];
+        if (values.length === 0) return [];
+
+        const total = values.reduce((sum, value) => sum + Math.max(usage.get(value) || 0, 0), 0);
+        if (target.distribution === 'proportional' && total > 0) {
+            return values
+                .map(value => ({ value, share: Math.max(usage.get(value) || 0, 0) / total }))
+                .filter(({ share }) => share > 0);
+        }
+        return values.map(value => ({ value, share: 1 / values.length }));
+    }
+
+    static summarizeAllocation(lines, ruleStats) {
+        const round = (value) => Math.round(value * 100) / 100;
+        const byTarget = {};
+        const byMethod = {};
+        let totalCost = 0;
+
+        for (const line of lines) {
+            totalCost += line.allocated_cost;
+            byMethod[line.allocation_method] = (byMethod[line.allocation_method] || 0) + line.allocated_cost;
+            for (const dimension of ALLOCATION_DIMENSIONS) {
+                const value = line.allocation_method === 'unallocated' ? 'unassigned' : line[dimension];
+                if (!value) continue;
+                byTarget[dimension] = byTarget[dimension] || {};
+                byTarget[dimension][value] = (byTarget[dimension][value] || 0) + line.allocated_cost;
+            }
+        }
+
+        const allocatedByRule = new Map();
+        for (const line of lines) {
+            if (line.allocation_rule_id === null || line.allocation_method === 'unallocated') continue;
+            allocatedByRule.set(line.allocation_rule_id, (allocatedByRule.get(line.allocation_rule_id) || 0) + line.allocated_cost);
+        }
+
+        return {
+            totalCost: round(totalCost),
+            allocatedCost: round(totalCost - (byMethod.unallocated || 0)),
+            unallocatedCost: round(byMethod.unallocated || 0),
+            sharedCost: round((byMethod.shared_even || 0) + (byMethod.shared_proportional || 0)),
+            byMethod: Object.fromEntries(Object.entries(byMethod).map(([method, cost]) => [method, round(cost)])),
+            byTarget: Object.fromEntries(Object.entries(byTarget).map(([dimension, values]) => [
+                dimension,
+                Object.fromEntries(Object.entries(values)
+                    .sort((a, b) => b[1] - a[1])
+                    .map(([value, cost]) => [value, round(cost)]))
+            ])),
+            byRule: ruleStats.map(stats => ({
+                ...stats,
+                matchedCost: round(stats.matchedCost),
+                allocatedCost: round(allocatedByRule.get(stats.ruleId) || 0)
+            }))
+        };
+    }
+
     // Check if cost record matches allocation rule
     static matchesRule(costRecord, rule) {
         const condition = rule.condition_json;
@@ -71,11 +248,242 @@ class CostAllocationService {
                 return this.matchRegionRule(costRecord, condition);
             case 'tag_based':
                 return this.matchTagRule(costRecord, condition);
+            case 'composite':
+            case 'shared_cost':
+                return this.matchCondition(costRecord, condition);
             default:
                 return false;
         }
     }
 
+    /**
+     * Evaluate a condition tree: { all: [...] }, { any: [...] }, { not: {...} },
+     * { field, operator, value } or the legacy { services }, { regions }, { tags } shapes
+     */
+    static matchCondition(costRecord, condition) {
+        if (Array.isArray(condition.all)) {
+            return condition.all.every(child => this.matchCondition(costRecord, child));
+        }
+        if (Array.isArray(condition.any)) {
+            return condition.any.some(child => this.matchCondition(costRecord, child));
+        }
+        if (condition.not) {
+            return !this.matchCondition(costRecord, condition.not);
+        }
+        if (condition.services) return this.matchServiceRule(costRecord, condition);
+        if (condition.regions) return this.matchRegionRule(costRecord, condition);
+        if (condition.tags) return this.matchTagRule(costRecord, condition);
+
+        const actual = this.fieldValue(costRecord, condition.field);
+        const text = actual === null || actual === undefined ? null : String(actual).toLowerCase();
+        const expected = [].concat(condition.value ?? []).map(value => String(value).toLowerCase());
+
+        switch (condition.operator || 'equals') {
+            case 'equals':
+                return text !== null && text === expected[0];
+            case 'not_equals':
+                return text !== expected[0];
+            case 'in':
+                return text !== null && expected.includes(text);
+            case 'not_in':
+                return !expected.includes(text);
+            case 'contains':
+                return text !== null && expected.some(value => text.includes(value));
+            case 'starts_with':
+                return text !== null && expected.some(value => text.startsWith(value));
+            case 'exists':
+                return text !== null && text !== '';
+            case 'not_exists':
+                return text === null || text === '';
+            default:
+                return false;
+        }
+    }
+
+    // Condition tree with its tag keys and values replaced by their canonical forms
+    static normalizeConditionTags(condition, dictionary) {
+        if (Array.isArray(condition.all)) {
+            return { ...condition, all: condition.all.map(child => this.normalizeConditionTags(child, dictionary)) };
+        }
+        if (Array.isArray(condition.any)) {
+            return { ...condition, any: condition.any.map(child => this.normalizeConditionTags(child, dictionary)) };
+        }
+        if (condition.not) {
+            return { ...condition, not: this.normalizeConditionTags(condition.not, dictionary) };
+        }
+        if (condition.tags) {
+            return { ...condition, tags: TagDictionaryService.normalizeTags(condition.tags, dictionary) };
+        }
+        if (typeof condition.field === 'string' && condition.field.startsWith('tag:')) {
+            const key = TagDictionaryService.canonicalKey(dictionary, condition.field.slice(4));
+            const canonical = value => TagDictionaryService.canonicalValue(dictionary, key, value);
+            return {
+                ...condition,
+                field: `tag:${key}`,
+                value: Array.isArray(condition.value) ? condition.value.map(canonical) : canonical(condition.value)
+            };
+        }
+        return condition;
+    }
+
+    // Record value a condition field refers to; `tag:<key>` reads a resource tag
+    static fieldValue(costRecord, field) {
+        if (field.startsWith('tag:')) {
+            const tags = typeof costRecord.tags === 'string' ? JSON.parse(costRecord.tags) : costRecord.tags;
+            return tags ? tags[field.slice(4)] : null;
+        }
+        return costRecord[CONDITION_FIELDS[field]];
+    }
+
+    /**
+     * Validate a rule before it is previewed or saved
+     * @throws {Error} describing the first problem found
+     */
+    static validateRule(rule) {
+        if (!rule || typeof rule !== 'object') {
+            throw new Error('Rule must be an object');
+        }
+        if (!rule.rule_name || typeof rule.rule_name !== 'string') {
+            throw new Error('rule_name is required');
+        }
+        if (!RULE_TYPES.includes(rule.rule_type)) {
+            throw new Error(`rule_type must be one of ${RULE_TYPES.join(', ')}`);
+        }
+        if (rule.priority !== undefined && rule.priority !== null && !Number.isInteger(Number(rule.priority))) {
+            throw new Error('priority must be an integer');
+        }
+        if (!rule.condition_json || typeof rule.condition_json !== 'object') {
+            throw new Error('condition_json is required');
+        }
+        if (['composite', 'shared_cost'].includes(rule.rule_type)) {
+            this.validateCondition(rule.condition_json, rule.rule_name);
+        }
+
+        const target = rule.allocation_target;
+        if (!target || typeof target !== 'object') {
+            throw new Error(`${rule.rule_name}: allocation_target is required`);
+        }
+
+        if (rule.rule_type === 'shared_cost') {
+            if (!SHARED_DISTRIBUTIONS.includes(target.distribution)) {
+                throw new Error(`${rule.rule_name}: distribution must be one of ${SHARED_DISTRIBUTIONS.join(', ')}`);
+            }
+            if (target.dimension && !ALLOCATION_DIMENSIONS.includes(target.dimension)) {
+                throw new Error(`${rule.rule_name}: dimension must be one of ${ALLOCATION_DIMENSIONS.join(', ')}`);
+            }
+            if (target.targets !== undefined && (!Array.isArray(target.targets) || target.targets.some(value => typeof value !== 'string' || !value))) {
+                throw new Error(`${rule.rule_name}: targets must be a list of ${target.dimension || 'cost_center'} values`);
+            }
+            return;
+        }
+
+        const splits = target.splits || [{ ...target, percentage: 100 }];
+        if (!Array.isArray(splits) || splits.length === 0) {
+            throw new Error(`${rule.rule_name}: splits must be a non-empty list`);
+        }
+        for (const split of splits) {
+            const percentage = Number(split.percentage);
+            if (!(percentage > 0 && percentage <= 100)) {
+                throw new Error(`${rule.rule_name}: each split needs a percentage between 0 and 100`);
+            }
+            if (!ALLOCATION_DIMENSIONS.some(dimension => split[dimension])) {
+                throw new Error(`${rule.rule_name}: each target needs at least one of ${ALLOCATION_DIMENSIONS.join(', ')}`);
+            }
+        }
+        const total = splits.reduce((sum, split) => sum + Number(split.percentage), 0);
+        if (Math.abs(total - 100) > 0.01) {
+            throw new Error(`${rule.rule_name}: split percentages add up to ${total}, not 100`);
+        }
+    }
+
+    static validateCondition(condition, ruleName, depth = 0) {
+        if (!condition || typeof condition !== 'object' || depth > 10) {
+            throw new Error(`${ruleName}: invalid condition`);
+        }
+        for (const operator of ['all', 'any']) {
+            if (condition[operator] !== undefined) {
+                if (!Array.isArray(condition[operator]) || condition[operator].length === 0) {
+                    throw new Error(`${ruleName}: "${operator}" must be a non-empty list of conditions`);
+                }
+                condition[operator].forEach(child => this.validateCondition(child, ruleName, depth + 1));
+                return;
+            }
+        }
+        if (condition.not !== undefined) {
+            return this.validateCondition(condition.not, ruleName, depth + 1);
+        }
+        if (condition.services || condition.regions || condition.tags) {
+            return;
+        }
+        if (typeof condition.field !== 'string' || (!condition.field.startsWith('tag:') && !CONDITION_FIELDS[condition.field])) {
+            throw new Error(`${ruleName}: field must be tag:<key> or one of ${Object.keys(CONDITION_FIELDS).join(', ')}`);
+        }
+        if (!CONDITION_OPERATORS.includes(condition.operator || 'equals')) {
+            throw new Error(`${ruleName}: operator must be one of ${CONDITION_OPERATORS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Dry run: allocate a period's costs with proposed rules (ahead of, or merged with, the
+     * saved ones) without saving anything
+     * @param {Object} options - { rules, startDate, endDate, includeSavedRules }
+     */
+    static async previewAllocation(userId, options = {}) {
+        try {
+            const proposed = options.rules || [];
+            if (!Array.isArray(proposed)) {
+                return { success: false, status: 400, error: 'rules must be a list' };
+            }
+            proposed.forEach(rule => this.validateRule(rule));
+
+            const endDate = options.endDate || new Date().toISOString().split('T')[0];
+            const startDate = options.startDate
+                || new Date(new Date(endDate).getTime() - 29 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+            const saved = options.includeSavedRules === false
+                ? []
+                : await DatabaseService.getCostAllocationRules(userId);
+            const dictionary = await TagDictionaryService.loadDictionary(userId);
+            const rules = [
+                ...saved,
+                ...proposed.map((rule, index) => ({
+                    ...rule,
+                    id: `proposed-${index + 1}`,
+                    priority: rule.priority ?? 100,
+                    is_active: true
+                }))
+            ];
+
+            const costData = await DatabaseService.query(`
+                SELECT * FROM cost_records
+                WHERE user_id = $1 AND date >= $2 AND date <= $3
+            `, [DatabaseService.getUserIdForDatabase(userId), startDate, endDate]);
+
+            const { lines, summary } = this.allocate(costData.rows, rules, dictionary);
+            console.log(`🔎 Allocation preview: ${costData.rows.length} records, ${rules.length} rules (${proposed.length} proposed)`);
+
+            return {
+                success: true,
+                period: { startDate, endDate },
+                recordCount: costData.rows.length,
+                summary,
+                sample: lines.slice(0, PREVIEW_SAMPLE_SIZE).map(line => ({
+                    date: line.date,
+                    service_name: line.service_name,
+                    resource_id: line.resource_id,
+                    cost_amount: parseFloat(line.cost_amount || 0),
+                    allocated_cost: Math.round(line.allocated_cost * 1e6) / 1e6,
+                    allocation_method: line.allocation_method,
+                    allocation_rule_id: line.allocation_rule_id,
+                    ...this.targetFields(line)
+                }))
+            };
+        } catch (error) {
+            console.error('❌ Allocation preview error:', error.message);
+            return { success: false, status: 400, error: error.message };
+        }
+    }
+
     // Match service-based rules
     static matchServiceRule(costRecord, condition) {
         if (condition.services && Array.isArray(condition.services)) {
@@ -175,8 +583,12 @@ class CostAllocationService {
                 };
             }
 
-            // Group by cost center, department, etc.
-            const breakdown = this.groupCostsByAllocation(costData);
+            // Group by cost center, department, etc. (tag breakdown in canonical tags)
+            const dictionary = await TagDictionaryService.loadDictionary(userId);
+            const breakdown = this.groupCostsByAllocation(costData.map(record => ({
+                ...record,
+                tags: TagDictionaryService.normalizeTags(record.tags, dictionary)
+            })));
 
             // Calculate totals
             const totalCost = costData.reduce((sum, record) => sum + parseFloat(record.cost_amount || 0), 0);
@@ -371,4 +783,6 @@ class CostAllocationService {
     }
 }
 
+CostAllocationService.RULE_TYPES = RULE_TYPES;
+
 module.exports = CostAllocationService;
\ No newline at end of file
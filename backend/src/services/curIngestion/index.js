@@ -0,0 +1,14 @@
+// Cost and Usage Report ingestion building blocks used by CurIngestionService
+const { createSource, LOCAL_ROOT } = require('./sources');
+const { discoverDeliveries } = require('./manifests');
+const { readRows } = require('./readers');
+const { createNormalizer, LineItemAggregator } = require('./lineItems');
+
+module.exports = {
+    createSource,
+    LOCAL_ROOT,
+    discoverDeliveries,
+    readRows,
+    createNormalizer,
+    LineItemAggregator
+};
@@ -0,0 +1,218 @@
+// CUR line item normalisation
+// Legacy CUR (lineItem/UnblendedCost), Athena Parquet (line_item_unblended_cost) and CUR 2.0
+// name the same columns differently, so columns are matched on their lower-cased letters and
+// digits only. Hourly line items are rolled up to one row per day and cost dimension, which
+// keeps resource, usage type, operation and tag detail without an hourly row explosion.
+
+// Canonical column names, i.e. the CUR column with everything but letters and digits removed
+const COLUMNS = {
+    usageStart: 'lineitemusagestartdate',
+    accountId: 'lineitemusageaccountid',
+    lineItemType: 'lineitemlineitemtype',
+    productCode: 'lineitemproductcode',
+    productName: 'productproductname',
+    serviceCode: 'productservicecode',
+    regionCode: 'productregioncode',
+    region: 'productregion',
+    resourceId: 'lineitemresourceid',
+    usageType: 'lineitemusagetype',
+    operation: 'lineitemoperation',
+    usageAmount: 'lineitemusageamount',
+    currency: 'lineitemcurrencycode',
+    unblendedCost: 'lineitemunblendedcost',
+    savingsPlanEffectiveCost: 'savingsplansavingsplaneffectivecost',
+    savingsPlanTotalCommitment: 'savingsplantotalcommitmenttodate',
+    savingsPlanUsedCommitment: 'savingsplanusedcommitment',
+    reservationEffectiveCost: 'reservationeffectivecost',
+    reservationUnusedUpfront: 'reservationunusedamortizedupfrontfeeforbillingperiod',
+    reservationUnusedRecurring: 'reservationunusedrecurringfee',
+    reservationArn: 'reservationreservationarn',
+    product: 'product',
+    resourceTags: 'resourcetags'
+};
+
+// Tags that also populate the dedicated cost_records allocation columns
+const TAG_COLUMNS = {
+    costcenter: 'cost_center',
+    department: 'department',
+    project: 'project',
+    environment: 'environment',
+    env: 'environment',
+    team: 'team',
+    businessunit: 'business_unit'
+};
+
+const canonical = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toAmount = (value) => {
+    if (value === null || value === undefined || value === '') return 0;
+    const amount = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(amount) ? amount : 0;
+};
+
+const toText = (value) => (value === null || value === undefined || value === '' ? null : String(value));
+
+function toDay(value, fallback) {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? fallback : value.toISOString().slice(0, 10);
+    }
+    if (typeof value === 'number' || typeof value === 'bigint') {
+        return new Date(Number(value)).toISOString().slice(0, 10);
+    }
+    const match = typeof value === 'string' && value.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : fallback;
+}
+
+/**
+ * Map columns (CUR 2.0 product and resource_tags) arrive as objects, JSON text or Parquet
+ * key_value lists depending on the file format
+ */
+function mapEntries(value) {
+    if (!value) return [];
+    if (typeof value === 'string') {
+        try {
+            return mapEntries(JSON.parse(value));
+        } catch (error) {
+            return [];
+        }
+    }
+    if (Array.isArray(value.key_value)) {
+        return value.key_value.map(entry => [entry.key, entry.value]);
+    }
+    return typeof value === 'object' ? Object.entries(value) : [];
+}
+
+// 'user:Team' (legacy), 'user_team' (Parquet) and 'team' all describe the same user tag
+const tagName = (key) => String(key).replace(/^user[:_]/, '');
+
+/**
+ * Amortized cost of one line item: commitments are spread over the usage they cover and
+ * unused commitment is charged where it was bought (the standard CUR amortization)
+ */
+function amortizedCost(lineItemType, get) {
+    switch (lineItemType) {
+        case 'SavingsPlanCoveredUsage':
+            return toAmount(get('savingsPlanEffectiveCost'));
+        case 'SavingsPlanRecurringFee':
+            return toAmount(get('savingsPlanTotalCommitment')) - toAmount(get('savingsPlanUsedCommitment'));
+        case 'SavingsPlanNegation':
+        case 'SavingsPlanUpfrontFee':
+            return 0;
+        case 'DiscountedUsage':
+            return toAmount(get('reservationEffectiveCost'));
+        case 'RIFee':
+            return toAmount(get('reservationUnusedUpfront')) + toAmount(get('reservationUnusedRecurring'));
+        case 'Fee':
+            // Reservation upfront payments are amortized through the RI effective cost
+            return toText(get('reservationArn')) ? 0 : toAmount(get('unblendedCost'));
+        default:
+            return toAmount(get('unblendedCost'));
+    }
+}
+
+/**
+ * Build a normaliser for one data file; the column lookup is worked out on the first row
+ * @param {string} billingPeriod - YYYY-MM-01, used for line items without a usage date
+ * @returns {Function} row => normalised line item
+ */
+function createNormalizer(billingPeriod) {
+    let lookup = null;
+    let tagColumns = null;
+
+    const prepare = (row) => {
+        lookup = {};
+        tagColumns = [];
+        for (const column of Object.keys(row)) {
+            const name = canonical(column);
+            lookup[name] = column;
+            if (/^resourceTags\//.test(column)) {
+                tagColumns.push([column, tagName(column.slice('resourceTags/'.length))]);
+            } else if (/^resource_tags_./.test(column)) {
+                tagColumns.push([column, tagName(column.slice('resource_tags_'.length))]);
+            }
+        }
+    };
+
+    return (row) => {
+        if (!lookup) prepare(row);
+        const get = (field) => {
+            const column = lookup[COLUMNS[field]];
+            return column === undefined ? undefined : row[column];
+        };
+
+        const tags = {};
+        for (const [column, key] of tagColumns) {
+            const value = toText(row[column]);
+            if (value) tags[key] = value;
+        }
+        for (const [key, value] of mapEntries(get('resourceTags'))) {
+            if (toText(value)) tags[tagName(key)] = String(value);
+        }
+
+        const allocation = {};
+        for (const [key, value] of Object.entries(tags)) {
+            const column = TAG_COLUMNS[canonical(key)];
+            if (column && !allocation[column]) allocation[column] = value;
+        }
+
+        const productMap = Object.fromEntries(mapEntries(get('product')));
+        const lineItemType = toText(get('lineItemType')) || 'Usage';
+        const unblendedCost = toAmount(get('unblendedCost'));
+
+        return {
+            date: toDay(get('usageStart'), billingPeriod),
+            linkedAccountId: toText(get('accountId')),
+            serviceName: toText(get('productName')) || toText(productMap.product_name)
+                || toText(get('serviceCode')) || toText(get('productCode')) || 'Unknown',
+            region: toText(get('regionCode')) || toText(get('region')) || toText(productMap.region),
+            resourceId: toText(get('resourceId')),
+            usageType: toText(get('usageType')),
+            operation: toText(get('operation')),
+            lineItemType,
+            usageAmount: toAmount(get('usageAmount')),
+            currency: toText(get('currency')) || 'USD',
+            unblendedCost,
+            amortizedCost: amortizedCost(lineItemType, get),
+            tags,
+            ...allocation
+        };
+    };
+}
+
+const DIMENSIONS = ['date', 'linkedAccountId', 'serviceName', 'region', 'resourceId', 'usageType',
+    'operation', 'lineItemType', 'currency'];
+
+/**
+ * Daily roll-up of normalised line items
+ */
+class LineItemAggregator {
+    constructor() {
+        this.groups = new Map();
+        this.lineItems = 0;
+    }
+
+    add(item) {
+        this.lineItems++;
+        const sortedTags = Object.keys(item.tags).sort().reduce((tags, key) => {
+            tags[key] = item.tags[key];
+            return tags;
+        }, {});
+        const tagsJson = JSON.stringify(sortedTags);
+        const key = DIMENSIONS.map(dimension => item[dimension] ?? '').join('\u0001') + '\u0001' + tagsJson;
+
+        const group = this.groups.get(key);
+        if (group) {
+            group.usageAmount += item.usageAmount;
+            group.unblendedCost += item.unblendedCost;
+            group.amortizedCost += item.amortizedCost;
+        } else {
+            this.groups.set(key, { ...item, tags: sortedTags });
+        }
+    }
+
+    records() {
+        return [...this.groups.values()];
+    }
+}
+
+module.exports = { createNormalizer, LineItemAggregator, amortizedCost };
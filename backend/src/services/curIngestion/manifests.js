@@ -0,0 +1,199 @@
+// CUR delivery discovery: which billing periods exist and which files make up each one
+// Legacy CUR writes <report>/<yyyymmdd-yyyymmdd>/<report>-Manifest.json with an assemblyId
+// and reportKeys; every re-delivery (including restatements of closed months) gets a new
+// assemblyId and overwrites that period-level manifest. CUR 2.0 (Data Exports) writes
+// metadata/BILLING_PERIOD=yyyy-mm/<export>-Manifest.json with an executionId and dataFiles.
+// Parquet written for Athena (year=/month= partitions) has no manifest, so those periods are
+// fingerprinted from the file listing instead.
+const crypto = require('crypto');
+
+const MANIFEST_PATTERN = /-Manifest\.json$/i;
+const LEGACY_PERIOD_DIR = /^\d{8}-\d{8}$/;
+
+/**
+ * Data file format from its name, or null for files that are not CUR data
+ */
+function fileFormat(key) {
+    const name = key.toLowerCase();
+    if (name.endsWith('.parquet')) return 'parquet';
+    if (name.endsWith('.csv.gz')) return 'csv.gz';
+    if (name.endsWith('.csv')) return 'csv';
+    if (name.endsWith('.csv.zip') || name.endsWith('.zip')) return 'zip';
+    return null;
+}
+
+/**
+ * Normalise the billing period spellings used by the two manifest versions to YYYY-MM-01
+ * ('20240101T000000.000Z', '2024-01-01T00:00:00Z', '2024-01', Date)
+ */
+function parseBillingPeriod(value) {
+    if (!value) return null;
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : `${value.toISOString().slice(0, 7)}-01`;
+    }
+    const text = String(value);
+    const compact = text.match(/^(\d{4})(\d{2})\d{2}(T|$)/);
+    if (compact) return `${compact[1]}-${compact[2]}-01`;
+    const iso = text.match(/^(\d{4})-(\d{2})/);
+    if (iso) return `${iso[1]}-${iso[2]}-01`;
+    return null;
+}
+
+function periodFromKey(key) {
+    const cur2 = key.match(/BILLING_PERIOD=(\d{4})-(\d{1,2})(\/|$)/i);
+    if (cur2) return `${cur2[1]}-${cur2[2].padStart(2, '0')}-01`;
+    const athena = key.match(/year=(\d{4})\/month=(\d{1,2})(\/|$)/i);
+    if (athena) return `${athena[1]}-${athena[2].padStart(2, '0')}-01`;
+    const legacy = key.match(/(^|\/)(\d{8})-\d{8}(\/|$)/);
+    if (legacy) return parseBillingPeriod(legacy[2]);
+    return null;
+}
+
+/**
+ * Match a manifest reference (full bucket key or s3:// URI) to a listed file
+ * Local copies of a report usually drop the bucket prefix, so suffix matches count.
+ */
+function resolveReference(reference, filesByKey, files) {
+    const key = String(reference).replace(/^s3:\/\/[^/]+\//, '');
+    if (filesByKey.has(key)) return filesByKey.get(key);
+    return files.find(file => key.endsWith(`/${file.key}`) || file.key.endsWith(`/${key}`)) || null;
+}
+
+function fingerprint(files) {
+    const hash = crypto.createHash('sha1');
+    files
+        .map(file => `${file.key}:${file.size}:${new Date(file.lastModified).getTime()}`)
+        .sort()
+        .forEach(line => hash.update(`${line}\n`));
+    return hash.digest('hex');
+}
+
+function parseManifest(manifestFile, manifest, filesByKey, files) {
+    const isCur2 = Array.isArray(manifest.dataFiles);
+    const references = isCur2 ? manifest.dataFiles : (manifest.reportKeys || []);
+    const billingPeriod = parseBillingPeriod(isCur2 ? manifest.billingPeriod?.start || manifest.billingPeriod : manifest.billingPeriod?.start)
+        || periodFromKey(manifestFile.key);
+
+    if (!billingPeriod) {
+        return { error: `No billing period in manifest ${manifestFile.key}` };
+    }
+
+    const dataFiles = [];
+    const missing = [];
+    for (const reference of references) {
+        const file = resolveReference(reference, filesByKey, files);
+        if (file) {
+            dataFiles.push(file);
+        } else {
+            missing.push(reference);
+        }
+    }
+
+    const keyParts = manifestFile.key.split('/');
+    return {
+        format: isCur2 ? 'cur2' : 'legacy',
+        reportName: (isCur2 ? manifest.exportName : manifest.reportName)
+            || keyParts[keyParts.length - 1].replace(MANIFEST_PATTERN, ''),
+        billingPeriod,
+        assemblyId: (isCur2 ? manifest.executionId : manifest.assemblyId) || fingerprint(dataFiles),
+        manifestKey: manifestFile.key,
+        manifestModified: manifestFile.lastModified,
+        // The period-level legacy manifest always describes the current assembly
+        periodLevel: !isCur2 && LEGACY_PERIOD_DIR.test(keyParts[keyParts.length - 2] || ''),
+        dataFiles,
+        missingFiles: missing
+    };
+}
+
+/**
+ * Group manifest-less partitioned files (Athena Parquet, CUR 2.0 without metadata) by period
+ */
+function discoverPartitions(files) {
+    const groups = new Map();
+    for (const file of files) {
+        const format = fileFormat(file.key);
+        const billingPeriod = periodFromKey(file.key);
+        if (!format || !billingPeriod) continue;
+
+        // Report name is the directory above the partition folders (CUR 2.0 adds a 'data' level)
+        const parts = file.key.split('/');
+        const partitionIndex = parts.findIndex(part => /^(year|BILLING_PERIOD)=/i.test(part));
+        // Legacy CSV without its manifest cannot tell the current assembly from older ones
+        if (partitionIndex < 0) continue;
+        let nameIndex = partitionIndex - 1;
+        if (nameIndex >= 0 && parts[nameIndex] === 'data') nameIndex--;
+        const reportName = nameIndex >= 0 ? parts[nameIndex] : 'cur';
+
+        const groupKey = `${reportName}|${billingPeriod}`;
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, { format: 'partitioned', reportName, billingPeriod, dataFiles: [], missingFiles: [] });
+        }
+        groups.get(groupKey).dataFiles.push(file);
+    }
+
+    return [...groups.values()].map(group => ({
+        ...group,
+        assemblyId: fingerprint(group.dataFiles),
+        manifestKey: null
+    }));
+}
+
+/**
+ * Find the current delivery of every billing period in a source listing
+ * @param {Array} files - source.list() output
+ * @param {Function} readFile - async key => Buffer
+ * @param {Object} options - { reportName } to pick one report when the source holds several
+ * @returns {Object} { reports: [names], deliveries: [{ billingPeriod, assemblyId, dataFiles, ... }], errors }
+ */
+async function discoverDeliveries(files, readFile, options = {}) {
+    const filesByKey = new Map(files.map(file => [file.key, file]));
+    const errors = [];
+    let candidates = [];
+
+    for (const file of files.filter(f => MANIFEST_PATTERN.test(f.key))) {
+        try {
+            const manifest = JSON.parse((await readFile(file.key)).toString('utf8'));
+            const parsed = parseManifest(file, manifest, filesByKey, files);
+            if (parsed.error) {
+                errors.push(parsed.error);
+            } else {
+                candidates.push(parsed);
+            }
+        } catch (error) {
+            errors.push(`Unreadable manifest ${file.key}: ${error.message}`);
+        }
+    }
+
+    if (candidates.length === 0) {
+        candidates = discoverPartitions(files);
+    }
+
+    const reports = [...new Set(candidates.map(candidate => candidate.reportName))].sort();
+    if (options.reportName) {
+        candidates = candidates.filter(candidate => candidate.reportName === options.reportName);
+    } else if (reports.length > 1) {
+        // Loading two reports into the same periods would count every line item twice
+        return { reports, deliveries: [], errors: [...errors, `Source contains several reports (${reports.join(', ')}); pass reportName`] };
+    }
+
+    // One delivery per period: the period-level legacy manifest, otherwise the newest manifest
+    const byPeriod = new Map();
+    for (const candidate of candidates) {
+        const current = byPeriod.get(candidate.billingPeriod);
+        const newer = !current
+            || (candidate.periodLevel && !current.periodLevel)
+            || (candidate.periodLevel === current.periodLevel
+                && new Date(candidate.manifestModified || 0) > new Date(current.manifestModified || 0));
+        if (newer) {
+            byPeriod.set(candidate.billingPeriod, candidate);
+        }
+    }
+
+    const deliveries = [...byPeriod.values()]
+        .map(({ periodLevel, manifestModified, ...delivery }) => delivery)
+        .sort((a, b) => a.billingPeriod.localeCompare(b.billingPeriod));
+
+    return { reports, deliveries, errors };
+}
+
+module.exports = { discoverDeliveries, parseBillingPeriod, fileFormat };
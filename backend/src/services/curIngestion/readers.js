@@ -0,0 +1,165 @@
+// Row readers for CUR data files
+// CSV (plain or gzip) is parsed as a stream; Parquet is read through @dsnp/parquetjs.
+// Either way every row reaches onRow as a plain { column: value } object.
+const zlib = require('zlib');
+const { StringDecoder } = require('string_decoder');
+const parquet = require('@dsnp/parquetjs');
+const { fileFormat } = require('./manifests');
+
+/**
+ * Incremental RFC 4180 parser; quoted fields may contain commas, quotes and newlines
+ */
+class CsvParser {
+    constructor(onRecord) {
+        this.onRecord = onRecord;
+        this.field = '';
+        this.record = [];
+        this.inQuotes = false;
+        this.quotePending = false;
+        this.skipLineFeed = false;
+        this.started = false;
+    }
+
+    write(text) {
+        // Strip a UTF-8 byte order mark from the very first chunk
+        if (!this.started) {
+            this.started = true;
+            if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+        }
+
+        let fieldStart = 0;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            // \r\n ends one record, not two
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (char === '\n') {
+                    fieldStart = i + 1;
+                    continue;
+                }
+            }
+
+            if (this.quotePending) {
+                this.quotePending = false;
+                if (char === '"') {
+                    // Doubled quote inside a quoted field
+                    this.field += '"';
+                    fieldStart = i + 1;
+                    continue;
+                }
+                this.inQuotes = false;
+            }
+
+            if (this.inQuotes) {
+                if (char === '"') {
+                    this.field += text.slice(fieldStart, i);
+                    this.quotePending = true;
+                    fieldStart = i + 1;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                this.field += text.slice(fieldStart, i);
+                this.inQuotes = true;
+                fieldStart = i + 1;
+            } else if (char === ',') {
+                this.record.push(this.field + text.slice(fieldStart, i));
+                this.field = '';
+                fieldStart = i + 1;
+            } else if (char === '\n' || char === '\r') {
+                this.field += text.slice(fieldStart, i);
+                this.endRecord();
+                this.skipLineFeed = char === '\r';
+                fieldStart = i + 1;
+            }
+        }
+
+        this.field += text.slice(fieldStart);
+    }
+
+    endRecord() {
+        this.record.push(this.field);
+        this.field = '';
+        // Blank lines carry no data
+        if (this.record.length > 1 || this.record[0] !== '') {
+            this.onRecord(this.record);
+        }
+        this.record = [];
+    }
+
+    end() {
+        if (this.quotePending) this.inQuotes = false;
+        if (this.inQuotes) {
+            throw new Error('CSV ended inside a quoted field');
+        }
+        if (this.field !== '' || this.record.length > 0) {
+            this.endRecord();
+        }
+    }
+}
+
+async function readCsv(stream, gzipped, onRow) {
+    let header = null;
+    const parser = new CsvParser((record) => {
+        if (!header) {
+            header = record;
+            return;
+        }
+        const row = {};
+        for (let i = 0; i < header.length; i++) {
+            row[header[i]] = record[i] === undefined ? '' : record[i];
+        }
+        onRow(row);
+    });
+
+    const input = gzipped ? stream.pipe(zlib.createGunzip()) : stream;
+    if (gzipped) {
+        // Surface read errors from the source through the gunzip stream
+        stream.on('error', (error) => input.destroy(error));
+    }
+
+    const decoder = new StringDecoder('utf8');
+    for await (const chunk of input) {
+        parser.write(decoder.write(chunk));
+    }
+    parser.write(decoder.end());
+    parser.end();
+}
+
+async function readParquet(buffer, onRow) {
+    const reader = await parquet.ParquetReader.openBuffer(buffer);
+    try {
+        const cursor = reader.getCursor();
+        let record;
+        while ((record = await cursor.next())) {
+            onRow(record);
+        }
+    } finally {
+        await reader.close();
+    }
+}
+
+/**
+ * Feed every row of a CUR data file to onRow
+ * @param {Object} source - adapter from sources.js
+ * @param {Object} file - { key } from source.list()
+ * @param {Function} onRow - called synchronously with each row object
+ */
+async function readRows(source, file, onRow) {
+    const format = fileFormat(file.key);
+    switch (format) {
+        case 'csv.gz':
+        case 'csv':
+            return readCsv(await source.createReadStream(file.key), format === 'csv.gz', onRow);
+        case 'parquet':
+            return readParquet(await source.read(file.key), onRow);
+        case 'zip':
+            throw new Error(`ZIP compressed reports are not supported (${file.key}); configure GZIP or Parquet delivery`);
+        default:
+            throw new Error(`Unrecognised CUR data file: ${file.key}`);
+    }
+}
+
+module.exports = { readRows, CsvParser };
@@ -0,0 +1,136 @@
+// Where CUR files are read from: a local directory or an S3-compatible bucket
+// Both adapters expose the same three calls, with keys as '/'-separated paths:
+//   list()               -> [{ key, size, lastModified }]
+//   read(key)            -> Buffer (used for manifests and Parquet, which needs random access)
+//   createReadStream(key) -> Readable (used for CSV so large files are never held in memory)
+const fs = require('fs');
+const path = require('path');
+const { S3Client, ListObjectsV2Command, GetObjectCommand } = require('@aws-sdk/client-s3');
+
+// Local ingestion is confined to one directory so the API cannot be used to read arbitrary files
+const LOCAL_ROOT = path.resolve(process.env.CUR_LOCAL_ROOT || path.join(__dirname, '../../data/cur'));
+
+class LocalSource {
+    constructor(config) {
+        const root = path.resolve(LOCAL_ROOT, config.path || '.');
+        if (root !== LOCAL_ROOT && !root.startsWith(LOCAL_ROOT + path.sep)) {
+            throw new Error(`Local CUR path must be inside ${LOCAL_ROOT}`);
+        }
+        if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+            throw new Error(`Local CUR directory not found: ${config.path || '.'}`);
+        }
+        this.root = root;
+        this.description = `local:${path.relative(LOCAL_ROOT, root) || '.'}`;
+    }
+
+    async list() {
+        const files = [];
+        const walk = (dir) => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    walk(fullPath);
+                } else if (entry.isFile()) {
+                    const stat = fs.statSync(fullPath);
+                    files.push({
+                        key: path.relative(this.root, fullPath).split(path.sep).join('/'),
+                        size: stat.size,
+                        lastModified: stat.mtime
+                    });
+                }
+            }
+        };
+        walk(this.root);
+        return files;
+    }
+
+    resolve(key) {
+        const fullPath = path.resolve(this.root, key);
+        if (!fullPath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid CUR file key: ${key}`);
+        }
+        return fullPath;
+    }
+
+    async read(key) {
+        return fs.promises.readFile(this.resolve(key));
+    }
+
+    async createReadStream(key) {
+        return fs.createReadStream(this.resolve(key));
+    }
+}
+
+class S3Source {
+    constructor(config, credentials) {
+        if (!config.bucket) {
+            throw new Error('bucket is required for an S3 CUR source');
+        }
+
+        const clientConfig = { region: config.region || 'us-east-1' };
+        if (config.endpoint) {
+            // MinIO, Ceph and friends usually need path-style addressing
+            clientConfig.endpoint = config.endpoint;
+            clientConfig.forcePathStyle = config.forcePathStyle !== false;
+        }
+        if (credentials && credentials.accessKeyId && credentials.secretAccessKey) {
+            clientConfig.credentials = {
+                accessKeyId: credentials.accessKeyId,
+                secretAccessKey: credentials.secretAccessKey,
+                ...(credentials.sessionToken ? { sessionToken: credentials.sessionToken } : {})
+            };
+        }
+
+        this.client = new S3Client(clientConfig);
+        this.bucket = config.bucket;
+        this.prefix = (config.prefix || '').replace(/^\/+/, '');
+        this.description = `s3://${this.bucket}/${this.prefix}`;
+    }
+
+    async list() {
+        const files = [];
+        let token;
+        do {
+            const response = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: this.prefix || undefined,
+                ContinuationToken: token
+            }));
+            for (const object of response.Contents || []) {
+                if (!object.Key.endsWith('/')) {
+                    files.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+                }
+            }
+            token = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (token);
+        return files;
+    }
+
+    async read(key) {
+        const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+        return Buffer.from(await response.Body.transformToByteArray());
+    }
+
+    async createReadStream(key) {
+        const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+        return response.Body;
+    }
+}
+
+/**
+ * Build a source adapter from a request body
+ * @param {Object} config - { type: 'local', path } or { type: 's3', bucket, prefix, region, endpoint, forcePathStyle }
+ * @param {Object} credentials - AWS credentials for S3 (ignored for local sources)
+ */
+function createSource(config = {}, credentials = null) {
+    switch (config.type) {
+        case 'local':
+            return new LocalSource(config);
+        case 's3':
+            return new S3Source(config, credentials);
+        default:
+            throw new Error(`Unsupported CUR source type: ${config.type}. Use 'local' or 's3'`);
+    }
+}
+
+module.exports = { createSource, LocalSource, S3Source, LOCAL_ROOT };
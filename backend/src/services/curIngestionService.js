@@ -0,0 +1,377 @@
+// Cost and Usage Report ingestion
+// Loads legacy CUR and CUR 2.0 deliveries (CSV, CSV.gz or Parquet) from a local directory or
+// an S3-compatible bucket into cost_records with line-item detail: usage type, operation,
+// unblended and amortized cost, linked account, resource ID and tags.
+// Loads are idempotent per billing period. Rows are staged first and then swapped in with a
+// single statement that replaces the period's earlier CUR rows, so a restated month (a new
+// assembly / execution for a closed period) replaces the old figures instead of adding to them.
+// Cost Explorer rows for the same dates are dropped in that swap as the CUR supersedes them.
+const DatabaseService = require('./databaseService');
+const {
+    createSource,
+    discoverDeliveries,
+    readRows,
+    createNormalizer,
+    LineItemAggregator
+} = require('./curIngestion');
+
+const STAGING_BATCH_SIZE = 2000;
+
+// A load still 'running' after this long is assumed to have died with its process
+const STALE_RUN_HOURS = 6;
+
+const clip = (value, length) => (value && value.length > length ? value.slice(0, length) : value);
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+class CurIngestionService {
+    /**
+     * Billing periods available in a source and whether each still needs loading
+     * @param {string|number} userId - User ID
+     * @param {Object} sourceConfig - { type: 'local' | 's3', ... } see curIngestion/sources.js
+     * @param {Object} credentials - AWS credentials for S3 sources
+     * @param {Object} options - { reportName }
+     */
+    static async discover(userId, sourceConfig, credentials = null, options = {}) {
+        try {
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+            const source = createSource(sourceConfig, credentials);
+            const { reports, deliveries, errors } = await this.findDeliveries(source, options);
+            const loaded = await this.getLoadedAssemblies(dbUserId);
+
+            return {
+                success: true,
+                source: source.description,
+                reports,
+                periods: deliveries.map(delivery => ({
+                    billingPeriod: delivery.billingPeriod,
+                    reportName: delivery.reportName,
+                    format: delivery.format,
+                    assemblyId: delivery.assemblyId,
+                    files: delivery.dataFiles.length,
+                    missingFiles: delivery.missingFiles,
+                    status: this.deliveryStatus(delivery, loaded)
+                })),
+                errors
+            };
+        } catch (error) {
+            console.error('❌ CUR discovery failed:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Load every new or restated billing period from a source
+     * @param {string|number} userId - User ID
+     * @param {Object} sourceConfig - { type: 'local' | 's3', ... }
+     * @param {Object} credentials - AWS credentials for S3 sources
+     * @param {Object} options - { billingPeriods: ['YYYY-MM'], reportName, force }
+     * @returns {Object} { success, periods: [{ billingPeriod, status, ... }], errors }
+     */
+    static async ingest(userId, sourceConfig, credentials = null, options = {}) {
+        const { billingPeriods = null, force = false } = options;
+
+        try {
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+            const source = createSource(sourceConfig, credentials);
+            const { deliveries, errors } = await this.findDeliveries(source, options);
+            if (deliveries.length === 0 && errors.length > 0) {
+                return { success: false, source: source.description, error: errors[errors.length - 1], errors };
+            }
+            const loaded = await this.getLoadedAssemblies(dbUserId);
+
+            const wanted = billingPeriods
+                ? deliveries.filter(delivery => billingPeriods.includes(delivery.billingPeriod.slice(0, 7)))
+                : deliveries;
+
+            console.log(`📥 CUR ingestion from ${source.description}: ${wanted.length} billing periods`);
+
+            const periods = [];
+            for (const delivery of wanted) {
+                const status = this.deliveryStatus(delivery, loaded);
+                if (status === 'loaded' && !force) {
+                    periods.push({ billingPeriod: delivery.billingPeriod, status: 'unchanged', assemblyId: delivery.assemblyId });
+                    continue;
+                }
+                periods.push(await this.ingestDelivery(dbUserId, source, sourceConfig.type, delivery, status === 'restated'));
+            }
+
+            const failed = periods.filter(period => period.status === 'failed').length;
+            return {
+                success: failed === 0,
+                source: source.description,
+                periods,
+                ...(failed > 0 ? { error: `${failed} billing period(s) failed to load` } : {}),
+                errors
+            };
+        } catch (error) {
+            console.error('❌ CUR ingestion failed:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async findDeliveries(source, options) {
+        const files = await source.list();
+        return discoverDeliveries(files, key => source.read(key), { reportName: options.reportName });
+    }
+
+    /**
+     * Latest completed assembly per billing period for the user
+     */
+    static async getLoadedAssemblies(dbUserId) {
+        const result = await DatabaseService.query(`
+            SELECT DISTINCT ON (billing_period) TO_CHAR(billing_period, 'YYYY-MM-DD') AS billing_period, assembly_id
+            FROM cur_ingestions
+            WHERE user_id = $1 AND status = 'completed'
+            ORDER BY billing_period, completed_at DESC
+        `, [dbUserId]);
+        return new Map(result.rows.map(row => [row.billing_period, row.assembly_id]));
+    }
+
+    static deliveryStatus(delivery, loaded) {
+        if (!loaded.has(delivery.billingPeriod)) return 'new';
+        return loaded.get(delivery.billingPeriod) === delivery.assemblyId ? 'loaded' : 'restated';
+    }
+
+    /**
+     * Read, normalise and swap in one billing period
+     */
+    static async ingestDelivery(dbUserId, source, sourceType, delivery, restatement) {
+        const { billingPeriod, assemblyId } = delivery;
+        const summary = { billingPeriod, assemblyId, restatement };
+
+        if (delivery.missingFiles.length > 0 || delivery.dataFiles.length === 0) {
+            const error = delivery.missingFiles.length > 0
+                ? `Manifest lists ${delivery.missingFiles.length} file(s) not present in the source`
+                : 'Delivery has no data files';
+            console.error(`❌ CUR ${billingPeriod}: ${error}`);
+            return { ...summary, status: 'failed', error };
+        }
+
+        const ingestionId = await this.startIngestion(dbUserId, source, sourceType, delivery);
+        if (!ingestionId) {
+            return { ...summary, status: 'failed', error: 'Another load of this billing period is already running' };
+        }
+
+        try {
+            const aggregator = new LineItemAggregator();
+            for (const file of delivery.dataFiles) {
+                const normalize = createNormalizer(billingPeriod);
+                await readRows(source, file, row => aggregator.add(normalize(row)));
+            }
+
+            const records = aggregator.records();
+            for (let i = 0; i < records.length; i += STAGING_BATCH_SIZE) {
+                await this.stageRecords(ingestionId, records.slice(i, i + STAGING_BATCH_SIZE));
+            }
+
+            const totals = records.reduce((sum, record) => ({
+                unblended: sum.unblended + record.unblendedCost,
+                amortized: sum.amortized + record.amortizedCost
+            }), { unblended: 0, amortized: 0 });
+
+            await this.swapInPeriod(ingestionId, dbUserId, billingPeriod, {
+                files: delivery.dataFiles.length,
+                lineItems: aggregator.lineItems,
+                records: records.length,
+                ...totals
+            });
+
+            console.log(`✅ CUR ${billingPeriod}${restatement ? ' (restated)' : ''}: ${aggregator.lineItems} line items -> ${records.length} cost records`);
+
+            return {
+                ...summary,
+                status: 'completed',
+                ingestionId,
+                files: delivery.dataFiles.length,
+                lineItems: aggregator.lineItems,
+                records: records.length,
+                unblendedCost: round(totals.unblended),
+                amortizedCost: round(totals.amortized)
+            };
+        } catch (error) {
+            console.error(`❌ CUR ${billingPeriod} load failed:`, error.message);
+            await this.failIngestion(ingestionId, error.message);
+            return { ...summary, status: 'failed', ingestionId, error: error.message };
+        }
+    }
+
+    /**
+     * Record a running load; returns null while another load of the period is in flight
+     */
+    static async startIngestion(dbUserId, source, sourceType, delivery) {
+        await DatabaseService.query(`
+            UPDATE cur_ingestions
+            SET status = 'failed', error_message = 'Abandoned while running', completed_at = NOW()
+            WHERE user_id = $1 AND billing_period = $2 AND status = 'running'
+              AND started_at < NOW() - ($3 || ' hours')::interval
+        `, [dbUserId, delivery.billingPeriod, STALE_RUN_HOURS]);
+
+        const result = await DatabaseService.query(`
+            INSERT INTO cur_ingestions (user_id, source_type, source_location, report_name, report_format,
+                                        billing_period, assembly_id, status)
+            SELECT $1, $2, $3, $4, $5, $6, $7, 'running'
+            WHERE NOT EXISTS (
+                SELECT 1 FROM cur_ingestions
+                WHERE user_id = $1 AND billing_period = $6 AND status = 'running'
+            )
+            RETURNING id
+        `, [
+            dbUserId,
+            sourceType,
+            source.description,
+            delivery.reportName,
+            delivery.format,
+            delivery.billingPeriod,
+            clip(delivery.assemblyId, 100)
+        ]);
+        return result.rows[0]?.id || null;
+    }
+
+    static async stageRecords(ingestionId, records) {
+        const column = (field, length) => records.map(record => (length ? clip(record[field], length) : record[field]) ?? null);
+
+        await DatabaseService.query(`
+            INSERT INTO cur_staged_records (
+                ingestion_id, date, linked_account_id, service_name, region, resource_id, usage_type,
+                operation, line_item_type, usage_amount, currency, unblended_cost, amortized_cost,
+                cost_center, department, project, environment, team, business_unit, tags
+            )
+            SELECT $1, * FROM UNNEST(
+                $2::date[], $3::varchar[], $4::varchar[], $5::varchar[], $6::varchar[], $7::varchar[],
+                $8::varchar[], $9::varchar[], $10::numeric[], $11::varchar[], $12::numeric[], $13::numeric[],
+                $14::varchar[], $15::varchar[], $16::varchar[], $17::varchar[], $18::varchar[], $19::varchar[],
+                $20::jsonb[]
+            )
+        `, [
+            ingestionId,
+            column('date'),
+            column('linkedAccountId', 20),
+            column('serviceName', 255),
+            column('region', 100),
+            column('resourceId', 500),
+            column('usageType', 255),
+            column('operation', 255),
+            column('lineItemType', 50),
+            column('usageAmount'),
+            column('currency', 10),
+            column('unblendedCost'),
+            column('amortizedCost'),
+            column('cost_center', 100),
+            column('department', 100),
+            column('project', 100),
+            column('environment', 50),
+            column('team', 100),
+            column('business_unit', 100),
+            records.map(record => (Object.keys(record.tags).length > 0 ? JSON.stringify(record.tags) : null))
+        ]);
+    }
+
+    /**
+     * Replace the period's cost rows with the staged ones and close the ingestion, atomically
+     */
+    static async swapInPeriod(ingestionId, dbUserId, billingPeriod, stats) {
+        await DatabaseService.query(`
+            WITH removed AS (
+                DELETE FROM cost_records
+                WHERE user_id = $2
+                  AND ((source = 'cur' AND billing_period = $3)
+                    OR (source IS DISTINCT FROM 'cur'
+                        AND date >= $3::date AND date < ($3::date + INTERVAL '1 month')))
+            ),
+            superseded AS (
+                UPDATE cur_ingestions SET status = 'superseded'
+                WHERE user_id = $2 AND billing_period = $3 AND status = 'completed' AND id <> $1
+            ),
+            completed AS (
+                UPDATE cur_ingestions
+                SET status = 'completed', completed_at = NOW(), files_processed = $4, line_items = $5,
+                    records_loaded = $6, unblended_cost = $7, amortized_cost = $8
+                WHERE id = $1
+            ),
+            staged AS (
+                DELETE FROM cur_staged_records WHERE ingestion_id = $1
+                RETURNING *
+            )
+            INSERT INTO cost_records (
+                user_id, date, linked_account_id, service_name, region, resource_id, usage_type, operation,
+                line_item_type, usage_amount, currency, cost_amount, unblended_cost, amortized_cost,
+                cost_center, department, project, environment, team, business_unit, tags,
+                billing_period, source, cur_ingestion_id
+            )
+            SELECT $2, date, linked_account_id, service_name, region, resource_id, usage_type, operation,
+                   line_item_type, usage_amount, currency, unblended_cost, unblended_cost, amortized_cost,
+                   cost_center, department, project, environment, team, business_unit, tags,
+                   $3, 'cur', $1
+            FROM staged
+        `, [
+            ingestionId,
+            dbUserId,
+            billingPeriod,
+            stats.files,
+            stats.lineItems,
+            stats.records,
+            round(stats.unblended),
+            round(stats.amortized)
+        ]);
+    }
+
+    static async failIngestion(ingestionId, message) {
+        try {
+            await DatabaseService.query('DELETE FROM cur_staged_records WHERE ingestion_id = $1', [ingestionId]);
+            await DatabaseService.query(`
+                UPDATE cur_ingestions SET status = 'failed', error_message = $2, completed_at = NOW()
+                WHERE id = $1
+            `, [ingestionId, message]);
+        } catch (error) {
+            console.error('❌ Error recording failed CUR ingestion:', error.message);
+        }
+    }
+
+    /**
+     * Ingestion history, newest first
+     * @param {string|number} userId - User ID
+     * @param {Object} options - { billingPeriod: 'YYYY-MM', limit }
+     */
+    static async getIngestions(userId, options = {}) {
+        const { billingPeriod = null, limit = 50 } = options;
+        try {
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+            const result = await DatabaseService.query(`
+                SELECT id, source_type, source_location, report_name, report_format,
+                       TO_CHAR(billing_period, 'YYYY-MM') AS billing_period, assembly_id, status,
+                       files_processed, line_items, records_loaded, unblended_cost, amortized_cost,
+                       error_message, started_at, completed_at
+                FROM cur_ingestions
+                WHERE user_id = $1 AND ($2::date IS NULL OR billing_period = $2::date)
+                ORDER BY started_at DESC, id DESC
+                LIMIT $3
+            `, [dbUserId, billingPeriod ? `${billingPeriod}-01` : null, limit]);
+
+            return {
+                success: true,
+                ingestions: result.rows.map(row => ({
+                    id: row.id,
+                    billingPeriod: row.billing_period,
+                    status: row.status,
+                    source: { type: row.source_type, location: row.source_location },
+                    reportName: row.report_name,
+                    format: row.report_format,
+                    assemblyId: row.assembly_id,
+                    files: row.files_processed,
+                    lineItems: row.line_items,
+                    records: row.records_loaded,
+                    unblendedCost: row.unblended_cost === null ? null : parseFloat(row.unblended_cost),
+                    amortizedCost: row.amortized_cost === null ? null : parseFloat(row.amortized_cost),
+                    error: row.error_message,
+                    startedAt: row.started_at,
+                    completedAt: row.completed_at
+                }))
+            };
+        } catch (error) {
+            console.error('❌ Error loading CUR ingestions:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = CurIngestionService;
@@ -0,0 +1,164 @@
+// BigQuery adapter
+// Rows are written to a newline-delimited JSON file, loaded into a staging table by a load job
+// (free, unlike streaming inserts, and visible to DML straight away), then MERGEd into the
+// target. New columns are appended to the target schema before the merge. Loads that replace
+// partitions delete the rows they superseded in the same script, so readers never see both.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { clients } = require('./clients');
+const { prepareLoad, identifier, bookkeepingColumns, mergeStatement, staleRowsStatement } = require('./tableSchema');
+
+const TYPES = {
+    string: 'STRING',
+    integer: 'INT64',
+    number: 'NUMERIC',
+    date: 'DATE',
+    timestamp: 'TIMESTAMP',
+    boolean: 'BOOL',
+    json: 'STRING'
+};
+const DEFAULT_TABLE = 'aws_cost_data';
+// NUMERIC keeps at most 9 digits after the decimal point
+const NUMERIC_SCALE = 9;
+
+const schemaFields = (columns) => columns.map(column => ({ name: column.name, type: TYPES[column.type], mode: 'NULLABLE' }));
+
+const dialect = {
+    quote: (name) => `\`${name}\``,
+    nullSafeEquals: (a, b) => `${a} IS NOT DISTINCT FROM ${b}`,
+    now: 'CURRENT_TIMESTAMP()'
+};
+
+// Create the target table, or append the fields it is missing
+async function ensureTable(dataset, tableName, load) {
+    const fields = schemaFields([...load.columns, ...bookkeepingColumns(load)]);
+    const table = dataset.table(tableName);
+    const [exists] = await table.exists();
+    if (!exists) {
+        await dataset.createTable(tableName, { schema: { fields } });
+        return { created: true, columnsAdded: [] };
+    }
+
+    const [metadata] = await table.getMetadata();
+    const existing = (metadata.schema && metadata.schema.fields) || [];
+    const known = new Set(existing.map(field => field.name.toLowerCase()));
+    const missing = fields.filter(field => !known.has(field.name.toLowerCase()));
+    if (missing.length > 0) {
+        await table.setMetadata({ schema: { fields: [...existing, ...missing] } });
+    }
+    return { created: false, columnsAdded: missing.map(field => field.name) };
+}
+
+class BigQueryAdapter {
+    async testConnection(config) {
+        console.log('🔬 Testing BigQuery connection...');
+        try {
+            const bigquery = clients.bigquery(config);
+            const [metadata] = await bigquery.dataset(config.dataset_id).getMetadata();
+            return {
+                success: true,
+                message: 'BigQuery connection successful',
+                details: {
+                    project: config.project_id,
+                    dataset: config.dataset_id,
+                    location: metadata.location || config.location || 'US'
+                }
+            };
+        } catch (error) {
+            console.error('❌ BigQuery connection failed:', error.message);
+            return { success: false, error: `BigQuery connection failed: ${error.message}` };
+        }
+    }
+
+    async exportData(config, data, options = {}) {
+        console.log('📤 Exporting to BigQuery...');
+        const file = path.join(os.tmpdir(), `deepcost-bigquery-${uuidv4()}.ndjson`);
+        let staging;
+        try {
+            const load = prepareLoad(data, options);
+            const tableName = identifier(options.tableName || DEFAULT_TABLE);
+            const bigquery = clients.bigquery(config);
+            const dataset = bigquery.dataset(config.dataset_id, { location: config.location || undefined });
+
+            const result = await ensureTable(dataset, tableName, load);
+
+            const lines = load.rows.map(row => JSON.stringify(Object.fromEntries(row.map((value, index) => {
+                const column = load.columns[index];
+                return [column.name, column.type === 'number' && value !== null ? Number(value.toFixed(NUMERIC_SCALE)) : value];
+            }))));
+            await fs.promises.writeFile(file, `${lines.join('\n')}\n`);
+
+            const stagingName = `deepcost_stage_${uuidv4().replace(/-/g, '')}`;
+            staging = dataset.table(stagingName);
+            await staging.load(file, {
+                sourceFormat: 'NEWLINE_DELIMITED_JSON',
+                writeDisposition: 'WRITE_TRUNCATE',
+                schema: { fields: schemaFields(load.columns) }
+            });
+
+            const qualified = (name) => `\`${config.project_id}.${config.dataset_id}.${name}\``;
+            const statement = { target: qualified(tableName), staging: qualified(stagingName), load, dialect };
+            const [job] = await bigquery.createQueryJob({
+                query: load.partitionColumn
+                    ? `BEGIN TRANSACTION;\n${mergeStatement(statement)};\n${staleRowsStatement(statement)};\nCOMMIT TRANSACTION;`
+                    : mergeStatement(statement),
+                location: config.location || undefined
+            });
+            await job.getQueryResults();
+            const [jobMetadata] = await job.getMetadata();
+            const statistics = (jobMetadata.statistics && jobMetadata.statistics.query) || {};
+
+            return {
+                success: true,
+                message: `Data exported to BigQuery table: ${tableName}`,
+                details: {
+                    table: `${config.project_id}.${config.dataset_id}.${tableName}`,
+                    rows_merged: load.rows.length,
+                    rows_affected: parseInt(statistics.numDmlAffectedRows || 0, 10),
+                    duplicate_rows: load.duplicates,
+                    key_columns: load.keyColumns,
+                    table_created: result.created,
+                    columns_added: result.columnsAdded,
+                    bytes_processed: parseInt(statistics.totalBytesProcessed || 0, 10),
+                    export_time: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            console.error('❌ BigQuery export failed:', error.message);
+            return { success: false, error: `BigQuery export failed: ${error.message}` };
+        } finally {
+            if (staging) {
+                await staging.delete({ ignoreNotFound: true }).catch(error => {
+                    console.warn('⚠️ Could not delete BigQuery staging table:', error.message);
+                });
+            }
+            await fs.promises.unlink(file).catch(() => {});
+        }
+    }
+
+    async getSchemas(config) {
+        console.log('📋 Getting BigQuery schemas...');
+        try {
+            const bigquery = clients.bigquery(config);
+            const [datasets] = await bigquery.getDatasets();
+            const schemas = [];
+            for (const dataset of datasets) {
+                const [tables] = await dataset.getTables();
+                schemas.push({
+                    name: dataset.id,
+                    tables: tables.map(table => table.id),
+                    default: dataset.id === config.dataset_id,
+                    location: (dataset.metadata && dataset.metadata.location) || config.location || 'US'
+                });
+            }
+            return { success: true, schemas };
+        } catch (error) {
+            console.error('❌ Error getting BigQuery schemas:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = BigQueryAdapter;
@@ -0,0 +1,174 @@
+// Warehouse driver sessions used by the data lake adapters
+// Each factory connects and returns a small session object, so the adapters never touch driver
+// APIs directly. A Snowflake connection with driver "postgres" opens a PostgreSQL session
+// instead, which lets the Snowflake adapter run against a Postgres-compatible stand-in; a
+// Databricks connection can point at a local Spark Thrift endpoint through port/http_path,
+// a BigQuery connection at an emulator through api_endpoint, and an S3 connection at MinIO
+// through endpoint.
+const snowflake = require('snowflake-sdk');
+const { Client: PgClient } = require('pg');
+const { DBSQLClient } = require('@databricks/sql');
+const { BigQuery } = require('@google-cloud/bigquery');
+const { S3Client } = require('@aws-sdk/client-s3');
+
+// Rows per INSERT statement where the driver cannot bind arrays itself
+const INSERT_BATCH_SIZE = 500;
+
+snowflake.configure({ logLevel: 'ERROR' });
+
+const lowerKeys = (row) => Object.fromEntries(Object.entries(row).map(([key, value]) => [key.toLowerCase(), value]));
+
+async function openSnowflake(config) {
+    const connection = snowflake.createConnection({
+        account: config.account,
+        username: config.username,
+        password: config.password,
+        warehouse: config.warehouse,
+        database: config.database,
+        schema: config.schema || undefined,
+        role: config.role || undefined,
+        ...(config.access_url ? { accessUrl: config.access_url } : {}),
+        application: 'DeepCost'
+    });
+    await new Promise((resolve, reject) => {
+        connection.connect(error => (error ? reject(error) : resolve()));
+    });
+
+    const execute = (sqlText, binds) => new Promise((resolve, reject) => {
+        connection.execute({
+            sqlText,
+            binds,
+            complete: (error, statement, rows) => (error ? reject(error) : resolve(rows || []))
+        });
+    });
+
+    return {
+        // Unquoted Snowflake identifiers resolve to upper case
+        fold: name => name.toUpperCase(),
+        query: async (sql, binds = []) => (await execute(sql, binds)).map(lowerKeys),
+        // Array binds: above arrayBindingThreshold the driver uploads the rows to a temporary
+        // stage and loads them with COPY INTO
+        insertRows: async (insertSql, rows) => {
+            if (rows.length > 0) await execute(insertSql, rows);
+        },
+        version: async () => `Snowflake ${(await execute('SELECT CURRENT_VERSION() AS VERSION'))[0].VERSION}`,
+        close: () => new Promise(resolve => connection.destroy(() => resolve()))
+    };
+}
+
+async function openPostgres(config) {
+    const client = new PgClient(config.connection_string
+        ? { connectionString: config.connection_string }
+        : {
+            host: config.host || 'localhost',
+            port: config.port ? parseInt(config.port, 10) : undefined,
+            user: config.username,
+            password: config.password,
+            database: config.database
+        });
+    await client.connect();
+
+    // The adapters write ? placeholders, as Snowflake expects
+    const numbered = (sql) => {
+        let n = 0;
+        return sql.replace(/\?/g, () => `$${++n}`);
+    };
+
+    return {
+        fold: name => name.toLowerCase(),
+        query: async (sql, binds = []) => (await client.query(numbered(sql), binds)).rows,
+        insertRows: async (insertSql, rows) => {
+            const [head, tuple] = insertSql.split(/\bVALUES\b/i);
+            for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+                const batch = rows.slice(i, i + INSERT_BATCH_SIZE);
+                await client.query(numbered(`${head} VALUES ${batch.map(() => tuple.trim()).join(', ')}`), batch.flat());
+            }
+        },
+        version: async () => (await client.query('SELECT version() AS version')).rows[0].version,
+        close: () => client.end()
+    };
+}
+
+async function openDatabricks(config) {
+    const client = new DBSQLClient();
+    await client.connect({
+        host: config.server_hostname,
+        path: config.http_path,
+        token: config.access_token,
+        ...(config.port ? { port: parseInt(config.port, 10) } : {})
+    });
+    const session = await client.openSession();
+
+    const fetch = async (operation) => {
+        try {
+            return await operation.fetchAll();
+        } finally {
+            await operation.close();
+        }
+    };
+
+    return {
+        query: async (sql) => fetch(await session.executeStatement(sql, { runAsync: true })),
+        schemas: async (catalog) => fetch(await session.getSchemas({ catalogName: catalog || undefined })),
+        tables: async (catalog, schema) => fetch(await session.getTables({ catalogName: catalog || undefined, schemaName: schema })),
+        columns: async (catalog, schema, table) => fetch(await session.getColumns({
+            catalogName: catalog || undefined,
+            schemaName: schema,
+            tableName: table
+        })),
+        close: async () => {
+            await session.close();
+            await client.close();
+        }
+    };
+}
+
+function createBigQuery(config) {
+    const options = {
+        projectId: config.project_id,
+        location: config.location || undefined
+    };
+    if (config.credentials_type === 'service_account') {
+        if (!config.service_account_key) {
+            throw new Error('service_account_key is required for service account authentication');
+        }
+        options.credentials = typeof config.service_account_key === 'string'
+            ? JSON.parse(config.service_account_key)
+            : config.service_account_key;
+    }
+    if (config.api_endpoint) {
+        options.apiEndpoint = config.api_endpoint;
+    }
+    return new BigQuery(options);
+}
+
+function createS3(config) {
+    const options = { region: config.region || 'us-east-1' };
+    if (config.endpoint) {
+        // MinIO, Ceph and friends usually need path-style addressing
+        options.endpoint = config.endpoint;
+        options.forcePathStyle = true;
+    }
+    if (config.access_key_id && config.secret_access_key) {
+        options.credentials = {
+            accessKeyId: config.access_key_id,
+            secretAccessKey: config.secret_access_key,
+            ...(config.session_token ? { sessionToken: config.session_token } : {})
+        };
+    }
+    return new S3Client(options);
+}
+
+// Client factories; tests replace them with fakes
+const clients = {
+    snowflake: openSnowflake,
+    postgres: openPostgres,
+    databricks: openDatabricks,
+    bigquery: createBigQuery,
+    s3: createS3
+};
+
+module.exports = {
+    clients,
+    INSERT_BATCH_SIZE
+};
@@ -0,0 +1,163 @@
+// Databricks adapter
+// Rows go into a Delta staging table through batched multi-row INSERTs, then get MERGEd into
+// the target Delta table. Table and column lookups use the Thrift metadata calls, which a
+// local Spark Thrift server answers as well as a Databricks SQL warehouse.
+const { clients, INSERT_BATCH_SIZE } = require('./clients');
+const { prepareLoad, identifier } = require('./tableSchema');
+const { upsertRows } = require('./warehouseLoad');
+
+const TYPES = {
+    string: 'STRING',
+    integer: 'BIGINT',
+    number: 'DECIMAL(38,10)',
+    date: 'DATE',
+    timestamp: 'TIMESTAMP',
+    boolean: 'BOOLEAN',
+    json: 'STRING'
+};
+const DEFAULT_SCHEMA = 'default';
+const DEFAULT_TABLE = 'aws_cost_data';
+
+// Spark string literals treat backslash as an escape character
+const stringLiteral = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+const literal = (value, type) => {
+    if (value === null) return 'NULL';
+    switch (type) {
+        case 'integer':
+        case 'number':
+            return String(value);
+        case 'boolean':
+            return value ? 'TRUE' : 'FALSE';
+        case 'date':
+            return `DATE ${stringLiteral(value)}`;
+        case 'timestamp':
+            return `TIMESTAMP ${stringLiteral(value)}`;
+        default:
+            return stringLiteral(value);
+    }
+};
+
+function dialectFor(session, catalog) {
+    const quote = (name) => `\`${String(name).replace(/`/g, '``')}\``;
+    const schemaName = (schema) => (catalog ? `${quote(catalog)}.${quote(schema)}` : quote(schema));
+    const qualify = (schema, table) => `${schemaName(schema)}.${quote(table)}`;
+    const columnList = (columns) => columns.map(column => `${quote(column.name)} ${TYPES[column.type]}`).join(', ');
+
+    return {
+        quote,
+        qualify,
+        staging: qualify,
+        describe: async (schema, table) => {
+            // Metadata lookups take LIKE patterns, where _ matches any character
+            const rows = (await session.columns(catalog, schema, table)).filter(row =>
+                String(row.TABLE_SCHEM).toLowerCase() === schema.toLowerCase() &&
+                String(row.TABLE_NAME).toLowerCase() === table.toLowerCase()
+            );
+            return rows.length > 0 ? new Set(rows.map(row => String(row.COLUMN_NAME).toLowerCase())) : null;
+        },
+        createSchema: (schema) => `CREATE SCHEMA IF NOT EXISTS ${schemaName(schema)}`,
+        createTable: (target, columns) => `CREATE TABLE IF NOT EXISTS ${target} (${columnList(columns)}) USING DELTA`,
+        addColumns: (target, columns) => (columns.length > 0 ? [`ALTER TABLE ${target} ADD COLUMNS (${columnList(columns)})`] : []),
+        createStaging: (staging, columns) => `CREATE TABLE ${staging} (${columnList(columns)}) USING DELTA`,
+        insertRows: async (staging, columns, rows) => {
+            const names = columns.map(column => quote(column.name)).join(', ');
+            for (let i = 0; i < rows.length; i += INSERT_BATCH_SIZE) {
+                const values = rows.slice(i, i + INSERT_BATCH_SIZE)
+                    .map(row => `(${row.map((value, index) => literal(value, columns[index].type)).join(', ')})`);
+                await session.query(`INSERT INTO ${staging} (${names}) VALUES ${values.join(', ')}`);
+            }
+        },
+        dropStaging: (staging) => `DROP TABLE IF EXISTS ${staging}`,
+        nullSafeEquals: (a, b) => `${a} <=> ${b}`,
+        now: 'current_timestamp()'
+    };
+}
+
+class DatabricksAdapter {
+    async testConnection(config) {
+        console.log('🔬 Testing Databricks connection...');
+        let session;
+        try {
+            session = await clients.databricks(config);
+            const [row] = await session.query('SELECT version() AS version');
+            return {
+                success: true,
+                message: 'Databricks connection successful',
+                details: {
+                    server: config.server_hostname,
+                    cluster: config.http_path,
+                    version: `Apache Spark ${row.version}`
+                }
+            };
+        } catch (error) {
+            console.error('❌ Databricks connection failed:', error.message);
+            return { success: false, error: `Databricks connection failed: ${error.message}` };
+        } finally {
+            if (session) await session.close().catch(() => {});
+        }
+    }
+
+    async exportData(config, data, options = {}) {
+        console.log('📤 Exporting to Databricks...');
+        let session;
+        try {
+            const load = prepareLoad(data, options);
+            const schema = config.schema || DEFAULT_SCHEMA;
+            const tableName = identifier(options.tableName || DEFAULT_TABLE);
+
+            session = await clients.databricks(config);
+            const result = await upsertRows(session, dialectFor(session, config.catalog), { schema, table: tableName }, load);
+
+            return {
+                success: true,
+                message: `Data exported to Databricks table: ${tableName}`,
+                details: {
+                    table: [config.catalog, schema, tableName].filter(Boolean).join('.'),
+                    rows_merged: load.rows.length,
+                    duplicate_rows: load.duplicates,
+                    key_columns: load.keyColumns,
+                    table_created: result.created,
+                    columns_added: result.columnsAdded,
+                    format: 'Delta Lake',
+                    export_time: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            console.error('❌ Databricks export failed:', error.message);
+            return { success: false, error: `Databricks export failed: ${error.message}` };
+        } finally {
+            if (session) await session.close().catch(() => {});
+        }
+    }
+
+    async getSchemas(config) {
+        console.log('📋 Getting Databricks schemas...');
+        let session;
+        try {
+            session = await clients.databricks(config);
+            const defaultSchema = (config.schema || DEFAULT_SCHEMA).toLowerCase();
+            const schemata = await session.schemas(config.catalog);
+            const tables = await session.tables(config.catalog);
+
+            return {
+                success: true,
+                schemas: schemata
+                    .map(row => row.TABLE_SCHEM)
+                    .filter(name => name.toLowerCase() !== 'information_schema')
+                    .map(name => ({
+                        name,
+                        tables: tables.filter(row => row.TABLE_SCHEM === name).map(row => row.TABLE_NAME),
+                        default: name.toLowerCase() === defaultSchema
+                    }))
+            };
+        } catch (error) {
+            console.error('❌ Error getting Databricks schemas:', error.message);
+            return { success: false, error: error.message };
+        } finally {
+            if (session) await session.close().catch(() => {});
+        }
+    }
+}
+
+module.exports = DatabricksAdapter;
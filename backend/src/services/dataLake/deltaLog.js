@@ -0,0 +1,164 @@
+// Delta Lake transaction log
+// A Delta table is a folder of Parquet files plus _delta_log/NNNNNNNNNNNNNNNNNNNN.json commits,
+// each a list of actions: protocol, metaData (schema and partition columns), add and remove.
+// The live files are what replaying every commit leaves added. A commit is created only if
+// its version does not exist yet, so concurrent writers cannot both claim it. Replaced files
+// stay on storage for time travel until a VACUUM removes them. Partition values live in the
+// file paths and the add actions rather than in the files.
+const { v4: uuidv4 } = require('uuid');
+
+const LOG_DIR = '_delta_log';
+const DELTA_TYPES = {
+    string: 'string',
+    integer: 'long',
+    number: 'double',
+    date: 'date',
+    timestamp: 'timestamp',
+    boolean: 'boolean'
+};
+// Writer version 2 covers column invariants and appendOnly; later versions add table features
+// (constraints, generated columns, deletion vectors...) this writer would not honour
+const MAX_WRITER_VERSION = 2;
+
+const commitKey = (table, version) => `${table}/${LOG_DIR}/${String(version).padStart(20, '0')}.json`;
+
+const typeOf = (field) => {
+    const type = Object.keys(DELTA_TYPES).find(key => DELTA_TYPES[key] === field.type);
+    if (!type) {
+        throw new Error(`Delta column ${field.name} has unsupported type ${JSON.stringify(field.type)}`);
+    }
+    return type;
+};
+
+const schemaString = (columns) => JSON.stringify({
+    type: 'struct',
+    fields: columns.map(column => ({ name: column.name, type: DELTA_TYPES[column.type], nullable: true, metadata: {} }))
+});
+
+const deltaTable = {
+    name: 'delta',
+    dataPrefix: '',
+    partitionInFiles: false,
+
+    /**
+     * Replay the log
+     * @returns {Promise<Object>} { exists, version, columns, partitionColumn, files: [{ key, partition, records, size }] }
+     */
+    async read(store, table) {
+        const versions = (await store.list(`${table}/${LOG_DIR}`))
+            .map(object => object.key.match(/\/(\d{20})\.json$/))
+            .filter(Boolean)
+            .map(match => parseInt(match[1], 10))
+            .sort((a, b) => a - b);
+        if (versions.length === 0) {
+            return { exists: false, version: -1, columns: null, partitionColumn: undefined, files: [] };
+        }
+        if (versions[0] !== 0) {
+            throw new Error(`Delta table ${table} has cleaned-up log files; only tables with their full JSON log can be written`);
+        }
+
+        let protocol = null;
+        let metadata = null;
+        const files = new Map();
+        for (const version of versions) {
+            const body = await store.get(commitKey(table, version));
+            for (const line of body.toString('utf8').split('\n').filter(text => text.trim())) {
+                const action = JSON.parse(line);
+                if (action.protocol) protocol = action.protocol;
+                if (action.metaData) metadata = action.metaData;
+                if (action.add) files.set(action.add.path, action.add);
+                if (action.remove) files.delete(action.remove.path);
+            }
+        }
+
+        if (protocol && protocol.minWriterVersion > MAX_WRITER_VERSION) {
+            throw new Error(`Delta table ${table} needs writer version ${protocol.minWriterVersion}; this writer supports ${MAX_WRITER_VERSION}`);
+        }
+        if (!metadata) {
+            throw new Error(`Delta table ${table} has no metaData action`);
+        }
+        if (metadata.partitionColumns.length > 1) {
+            throw new Error(`Delta table ${table} is partitioned by ${metadata.partitionColumns.join(', ')}; only one partition column is supported`);
+        }
+
+        const partitionColumn = metadata.partitionColumns[0] || null;
+        return {
+            exists: true,
+            version: versions[versions.length - 1],
+            metadata,
+            columns: JSON.parse(metadata.schemaString).fields.map(field => ({ name: field.name, type: typeOf(field) })),
+            partitionColumn,
+            files: [...files.values()].map(add => ({
+                key: decodeURIComponent(add.path),
+                partition: partitionColumn ? add.partitionValues[partitionColumn] : null,
+                records: add.stats ? JSON.parse(add.stats).numRecords : null,
+                size: add.size
+            }))
+        };
+    },
+
+    /**
+     * Write the next commit
+     * @param {Object} change - { columns, partitionColumn, added, removed, operation }
+     * @returns {Promise<number>} committed version
+     * @throws {Error} when another writer committed the version first
+     */
+    async commit(store, table, state, change) {
+        const now = Date.now();
+        const version = state.version + 1;
+        const partitionValues = (file) => (change.partitionColumn ? { [change.partitionColumn]: file.partition } : {});
+        const schemaChanged = !state.exists || schemaString(state.columns) !== schemaString(change.columns);
+
+        const actions = [{
+            commitInfo: {
+                timestamp: now,
+                operation: change.operation,
+                operationParameters: change.partitionColumn ? { partitionBy: JSON.stringify([change.partitionColumn]) } : {},
+                engineInfo: 'DeepCost'
+            }
+        }];
+        if (!state.exists) {
+            actions.push({ protocol: { minReaderVersion: 1, minWriterVersion: 2 } });
+        }
+        if (schemaChanged) {
+            actions.push({
+                metaData: {
+                    id: state.exists ? state.metadata.id : uuidv4(),
+                    format: { provider: 'parquet', options: {} },
+                    schemaString: schemaString(change.columns),
+                    partitionColumns: change.partitionColumn ? [change.partitionColumn] : [],
+                    configuration: state.exists ? state.metadata.configuration : {},
+                    createdTime: state.exists ? state.metadata.createdTime : now
+                }
+            });
+        }
+        change.removed.forEach(file => actions.push({
+            remove: {
+                path: file.key,
+                deletionTimestamp: now,
+                dataChange: true,
+                extendedFileMetadata: true,
+                partitionValues: partitionValues(file),
+                size: file.size
+            }
+        }));
+        change.added.forEach(file => actions.push({
+            add: {
+                path: file.key,
+                partitionValues: partitionValues(file),
+                size: file.size,
+                modificationTime: now,
+                dataChange: true,
+                stats: JSON.stringify({ numRecords: file.records })
+            }
+        }));
+
+        const created = await store.create(commitKey(table, version), actions.map(action => JSON.stringify(action)).join('\n'));
+        if (!created) {
+            throw new Error(`Delta commit ${version} of ${table} was written by another writer; retry the export`);
+        }
+        return version;
+    }
+};
+
+module.exports = { deltaTable };
@@ -0,0 +1,386 @@
+// Apache Iceberg tables without a catalog service
+// The table lives under one folder: data files under data/, and under metadata/ a
+// vN.metadata.json per commit (schemas, partition spec, snapshots), the Avro manifest list
+// of each snapshot and the Avro manifests listing its data files. Version N+1 is created only
+// if it does not exist yet, which is what makes a commit atomic; version-hint.text points
+// readers at the latest one. This is the layout Spark, Trino and PyIceberg read as a Hadoop
+// (path-based) table. Each commit writes one manifest carrying every live file forward.
+// Data files are plain Parquet without field IDs, so the table carries a name mapping.
+// Snapshot IDs stay below 2^53 so they survive JSON and Avro in JavaScript.
+const crypto = require('crypto');
+const { Writable } = require('stream');
+const avro = require('avsc');
+const { v4: uuidv4 } = require('uuid');
+
+const FORMAT_VERSION = 2;
+const ICEBERG_TYPES = {
+    string: 'string',
+    integer: 'long',
+    number: 'double',
+    date: 'date',
+    timestamp: 'timestamptz',
+    boolean: 'boolean'
+};
+// Manifest entry status
+const EXISTING = 0;
+const ADDED = 1;
+const DELETED = 2;
+const FIRST_PARTITION_FIELD_ID = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const metadataKey = (table, version) => `${table}/metadata/v${version}.metadata.json`;
+const hintKey = (table) => `${table}/metadata/version-hint.text`;
+
+const toDays = (date) => Math.round(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+const fromDays = (days) => new Date(days * DAY_MS).toISOString().split('T')[0];
+
+const typeOf = (field) => {
+    const type = Object.keys(ICEBERG_TYPES).find(key => ICEBERG_TYPES[key] === field.type);
+    if (!type) {
+        throw new Error(`Iceberg column ${field.name} has unsupported type ${JSON.stringify(field.type)}`);
+    }
+    return type;
+};
+
+const optional = (type, fieldId, name) => ({ name, type: ['null', type], default: null, 'field-id': fieldId });
+
+// Avro schema of a manifest; the partition record depends on the partition spec
+const manifestSchema = (spec) => ({
+    type: 'record',
+    name: 'manifest_entry',
+    fields: [
+        { name: 'status', type: 'int', 'field-id': 0 },
+        optional('long', 1, 'snapshot_id'),
+        optional('long', 3, 'sequence_number'),
+        optional('long', 4, 'file_sequence_number'),
+        {
+            name: 'data_file',
+            'field-id': 2,
+            type: {
+                type: 'record',
+                name: 'r2',
+                fields: [
+                    { name: 'content', type: 'int', 'field-id': 134 },
+                    { name: 'file_path', type: 'string', 'field-id': 100 },
+                    { name: 'file_format', type: 'string', 'field-id': 101 },
+                    {
+                        name: 'partition',
+                        'field-id': 102,
+                        type: {
+                            type: 'record',
+                            name: 'r102',
+                            fields: spec.fields.map(field => optional({ type: 'int', logicalType: 'date' }, field['field-id'], field.name))
+                        }
+                    },
+                    { name: 'record_count', type: 'long', 'field-id': 103 },
+                    { name: 'file_size_in_bytes', type: 'long', 'field-id': 104 }
+                ]
+            }
+        }
+    ]
+});
+
+const MANIFEST_LIST_SCHEMA = {
+    type: 'record',
+    name: 'manifest_file',
+    fields: [
+        { name: 'manifest_path', type: 'string', 'field-id': 500 },
+        { name: 'manifest_length', type: 'long', 'field-id': 501 },
+        { name: 'partition_spec_id', type: 'int', 'field-id': 502 },
+        { name: 'content', type: 'int', 'field-id': 517 },
+        { name: 'sequence_number', type: 'long', 'field-id': 515 },
+        { name: 'min_sequence_number', type: 'long', 'field-id': 516 },
+        { name: 'added_snapshot_id', type: 'long', 'field-id': 503 },
+        { name: 'added_files_count', type: 'int', 'field-id': 504 },
+        { name: 'existing_files_count', type: 'int', 'field-id': 505 },
+        { name: 'deleted_files_count', type: 'int', 'field-id': 506 },
+        { name: 'added_rows_count', type: 'long', 'field-id': 512 },
+        { name: 'existing_rows_count', type: 'long', 'field-id': 513 },
+        { name: 'deleted_rows_count', type: 'long', 'field-id': 514 }
+    ]
+};
+
+async function encodeAvro(schema, records, metadata) {
+    const encoder = new avro.streams.BlockEncoder(schema, {
+        writeHeader: true,
+        codec: 'deflate',
+        metadata: Object.fromEntries(Object.entries(metadata).map(([key, value]) => [key, Buffer.from(String(value))]))
+    });
+    const chunks = [];
+    const done = new Promise((resolve, reject) => {
+        encoder.pipe(new Writable({
+            write(chunk, encoding, callback) {
+                chunks.push(chunk);
+                callback();
+            }
+        })).on('finish', resolve).on('error', reject);
+        encoder.on('error', reject);
+    });
+    records.forEach(record => encoder.write(record));
+    encoder.end();
+    await done;
+    return Buffer.concat(chunks);
+}
+
+function decodeAvro(buffer) {
+    return new Promise((resolve, reject) => {
+        const records = [];
+        const decoder = new avro.streams.BlockDecoder();
+        decoder.on('data', record => records.push(record));
+        decoder.on('end', () => resolve(records));
+        decoder.on('error', reject);
+        decoder.end(buffer);
+    });
+}
+
+const icebergTable = {
+    name: 'iceberg',
+    dataPrefix: 'data/',
+    partitionInFiles: true,
+
+    /**
+     * Load the current metadata and the live data files of its current snapshot
+     * @returns {Promise<Object>} { exists, version, columns, partitionColumn, files: [{ key, partition, records, size }] }
+     */
+    async read(store, table) {
+        const versions = (await store.list(`${table}/metadata`))
+            .map(object => object.key.match(/\/v(\d+)\.metadata\.json$/))
+            .filter(Boolean)
+            .map(match => parseInt(match[1], 10));
+        if (versions.length === 0) {
+            return { exists: false, version: 0, columns: null, partitionColumn: undefined, files: [] };
+        }
+
+        const version = Math.max(...versions);
+        const metadata = JSON.parse((await store.get(metadataKey(table, version))).toString('utf8'));
+        if (metadata['format-version'] !== FORMAT_VERSION) {
+            throw new Error(`Iceberg table ${table} uses format version ${metadata['format-version']}; only version ${FORMAT_VERSION} is supported`);
+        }
+        if ((metadata.snapshots || []).some(s => !Number.isSafeInteger(s['snapshot-id']))) {
+            throw new Error(`Iceberg table ${table} has snapshot IDs above 2^53, which JavaScript cannot carry forward exactly`);
+        }
+
+        const schema = metadata.schemas.find(s => s['schema-id'] === metadata['current-schema-id']);
+        const spec = metadata['partition-specs'].find(s => s['spec-id'] === metadata['default-spec-id']);
+        const sourceName = (sourceId) => (schema.fields.find(field => field.id === sourceId) || {}).name;
+        if (spec.fields.length > 1 || spec.fields.some(field => field.transform !== 'identity' || !sourceName(field['source-id']))) {
+            throw new Error(`Iceberg table ${table} has a partition spec this writer does not support; only identity partitioning on one column is`);
+        }
+        const partitionField = spec.fields[0] || null;
+
+        const base = `${store.uri(table)}/`;
+        const keyOf = (uri) => {
+            const normalized = uri.replace(/^s3[an]:\/\//, 's3://');
+            if (!normalized.startsWith(base)) {
+                throw new Error(`Iceberg file ${uri} is outside the table location ${base}`);
+            }
+            return normalized.slice(base.length);
+        };
+
+        const files = [];
+        const snapshot = (metadata.snapshots || []).find(s => s['snapshot-id'] === metadata['current-snapshot-id']);
+        if (snapshot) {
+            const manifests = await decodeAvro(await store.get(`${table}/${keyOf(snapshot['manifest-list'])}`));
+            for (const manifest of manifests) {
+                if (manifest.content !== 0) {
+                    throw new Error(`Iceberg table ${table} has delete files, which this writer cannot apply`);
+                }
+                const entries = await decodeAvro(await store.get(`${table}/${keyOf(manifest.manifest_path)}`));
+                for (const entry of entries.filter(e => e.status !== DELETED)) {
+                    const days = partitionField ? entry.data_file.partition[partitionField.name] : null;
+                    files.push({
+                        key: keyOf(entry.data_file.file_path),
+                        partition: days === null || days === undefined ? null : fromDays(days),
+                        records: entry.data_file.record_count,
+                        size: entry.data_file.file_size_in_bytes,
+                        // Sequence numbers left null are inherited from the manifest
+                        snapshotId: entry.snapshot_id === null ? manifest.added_snapshot_id : entry.snapshot_id,
+                        sequenceNumber: entry.sequence_number === null ? manifest.sequence_number : entry.sequence_number,
+                        fileSequenceNumber: entry.file_sequence_number === null ? manifest.sequence_number : entry.file_sequence_number
+                    });
+                }
+            }
+        }
+
+        return {
+            exists: true,
+            version,
+            metadata,
+            schema,
+            spec,
+            columns: schema.fields.map(field => ({ name: field.name, type: typeOf(field) })),
+            partitionColumn: partitionField ? sourceName(partitionField['source-id']) : null,
+            files
+        };
+    },
+
+    /**
+     * Write the manifest, manifest list and next metadata version
+     * @param {Object} change - { columns, partitionColumn, added, removed, operation }
+     * @returns {Promise<number>} committed metadata version
+     * @throws {Error} when another writer committed the version first
+     */
+    async commit(store, table, state, change) {
+        const now = Date.now();
+        const location = store.uri(table);
+        const previous = state.metadata || {
+            'format-version': FORMAT_VERSION,
+            'table-uuid': uuidv4(),
+            location,
+            'last-sequence-number': 0,
+            'last-column-id': 0,
+            'current-schema-id': -1,
+            schemas: [],
+            'default-spec-id': 0,
+            'partition-specs': [],
+            'last-partition-id': FIRST_PARTITION_FIELD_ID - 1,
+            'default-sort-order-id': 0,
+            'sort-orders': [{ 'order-id': 0, fields: [] }],
+            properties: { 'write.format.default': 'parquet' },
+            snapshots: [],
+            'snapshot-log': [],
+            'metadata-log': []
+        };
+        const metadata = JSON.parse(JSON.stringify(previous));
+
+        // New columns get the next field IDs and a new schema version
+        let schema = state.schema;
+        const known = new Set(schema ? schema.fields.map(field => field.name) : []);
+        const newColumns = change.columns.filter(column => !known.has(column.name));
+        if (!schema || newColumns.length > 0) {
+            const fields = [...(schema ? schema.fields : [])];
+            newColumns.forEach(column => {
+                metadata['last-column-id'] += 1;
+                fields.push({ id: metadata['last-column-id'], name: column.name, required: false, type: ICEBERG_TYPES[column.type] });
+            });
+            schema = {
+                type: 'struct',
+                'schema-id': metadata.schemas.reduce((max, s) => Math.max(max, s['schema-id']), -1) + 1,
+                fields
+            };
+            metadata.schemas.push(schema);
+            metadata['current-schema-id'] = schema['schema-id'];
+            metadata.properties['schema.name-mapping.default'] = JSON.stringify(
+                fields.map(field => ({ 'field-id': field.id, names: [field.name] }))
+            );
+        }
+
+        let spec = state.spec;
+        if (!spec) {
+            const source = change.partitionColumn && schema.fields.find(field => field.name === change.partitionColumn);
+            spec = {
+                'spec-id': 0,
+                fields: source ? [{ name: source.name, transform: 'identity', 'source-id': source.id, 'field-id': FIRST_PARTITION_FIELD_ID }] : []
+            };
+            metadata['partition-specs'] = [spec];
+            metadata['last-partition-id'] = source ? FIRST_PARTITION_FIELD_ID : FIRST_PARTITION_FIELD_ID - 1;
+        }
+
+        const parentId = metadata.snapshots.some(s => s['snapshot-id'] === metadata['current-snapshot-id'])
+            ? metadata['current-snapshot-id']
+            : null;
+        const sequenceNumber = metadata['last-sequence-number'] + 1;
+        const snapshotId = crypto.randomInt(1, 2 ** 48);
+        const removedKeys = new Set(change.removed.map(file => file.key));
+        const partition = (file) => Object.fromEntries(spec.fields.map(field => [field.name, file.partition ? toDays(file.partition) : null]));
+        const dataFile = (file) => ({
+            content: 0,
+            file_path: `${location}/${file.key}`,
+            file_format: 'PARQUET',
+            partition: partition(file),
+            record_count: file.records,
+            file_size_in_bytes: file.size
+        });
+
+        const entries = [
+            ...change.added.map(file => ({
+                status: ADDED,
+                snapshot_id: snapshotId,
+                sequence_number: sequenceNumber,
+                file_sequence_number: sequenceNumber,
+                data_file: dataFile(file)
+            })),
+            ...state.files.map(file => ({
+                status: removedKeys.has(file.key) ? DELETED : EXISTING,
+                snapshot_id: removedKeys.has(file.key) ? snapshotId : file.snapshotId,
+                sequence_number: file.sequenceNumber,
+                file_sequence_number: file.fileSequenceNumber,
+                data_file: dataFile(file)
+            }))
+        ];
+        const live = entries.filter(entry => entry.status !== DELETED);
+        const count = (status) => entries.filter(entry => entry.status === status);
+        const rows = (list) => list.reduce((sum, entry) => sum + entry.data_file.record_count, 0);
+
+        const manifestKey = `metadata/${uuidv4()}-m0.avro`;
+        const manifest = await encodeAvro(manifestSchema(spec), entries, {
+            schema: JSON.stringify(schema),
+            'schema-id': schema['schema-id'],
+            'partition-spec': JSON.stringify(spec.fields),
+            'partition-spec-id': spec['spec-id'],
+            'format-version': FORMAT_VERSION,
+            content: 'data'
+        });
+        await store.put(`${table}/${manifestKey}`, manifest);
+
+        const manifestListKey = `metadata/snap-${snapshotId}-1-${uuidv4()}.avro`;
+        const manifestList = await encodeAvro(MANIFEST_LIST_SCHEMA, [{
+            manifest_path: `${location}/${manifestKey}`,
+            manifest_length: manifest.length,
+            partition_spec_id: spec['spec-id'],
+            content: 0,
+            sequence_number: sequenceNumber,
+            min_sequence_number: live.reduce((min, entry) => Math.min(min, entry.sequence_number), sequenceNumber),
+            added_snapshot_id: snapshotId,
+            added_files_count: count(ADDED).length,
+            existing_files_count: count(EXISTING).length,
+            deleted_files_count: count(DELETED).length,
+            added_rows_count: rows(count(ADDED)),
+            existing_rows_count: rows(count(EXISTING)),
+            deleted_rows_count: rows(count(DELETED))
+        }], {
+            'snapshot-id': snapshotId,
+            'parent-snapshot-id': String(parentId),
+            'sequence-number': sequenceNumber,
+            'format-version': FORMAT_VERSION
+        });
+        await store.put(`${table}/${manifestListKey}`, manifestList);
+
+        metadata.snapshots.push({
+            'snapshot-id': snapshotId,
+            ...(parentId ? { 'parent-snapshot-id': parentId } : {}),
+            'sequence-number': sequenceNumber,
+            'timestamp-ms': now,
+            'manifest-list': `${location}/${manifestListKey}`,
+            summary: {
+                operation: change.removed.length > 0 ? 'overwrite' : 'append',
+                'added-data-files': String(count(ADDED).length),
+                'deleted-data-files': String(count(DELETED).length),
+                'added-records': String(rows(count(ADDED))),
+                'deleted-records': String(rows(count(DELETED))),
+                'total-data-files': String(live.length),
+                'total-records': String(rows(live))
+            },
+            'schema-id': schema['schema-id']
+        });
+        metadata['current-snapshot-id'] = snapshotId;
+        metadata.refs = { ...(metadata.refs || {}), main: { 'snapshot-id': snapshotId, type: 'branch' } };
+        metadata['snapshot-log'].push({ 'timestamp-ms': now, 'snapshot-id': snapshotId });
+        if (state.exists) {
+            metadata['metadata-log'].push({ 'timestamp-ms': previous['last-updated-ms'], 'metadata-file': `${location}/metadata/v${state.version}.metadata.json` });
+        }
+        metadata['last-sequence-number'] = sequenceNumber;
+        metadata['last-updated-ms'] = now;
+
+        const version = state.version + 1;
+        const created = await store.create(metadataKey(table, version), JSON.stringify(metadata, null, 2));
+        if (!created) {
+            await store.remove([`${table}/${manifestKey}`, `${table}/${manifestListKey}`]).catch(() => {});
+            throw new Error(`Iceberg metadata version ${version} of ${table} was written by another writer; retry the export`);
+        }
+        await store.put(hintKey(table), String(version));
+        return version;
+    }
+};
+
+module.exports = { icebergTable };
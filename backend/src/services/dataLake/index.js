@@ -0,0 +1,18 @@
+// Data lake connectors used by DataLakeService
+const { clients } = require('./clients');
+const { prepareLoad, inferColumns, identifier } = require('./tableSchema');
+const SnowflakeAdapter = require('./snowflakeAdapter');
+const DatabricksAdapter = require('./databricksAdapter');
+const BigQueryAdapter = require('./bigQueryAdapter');
+const ObjectStoreAdapter = require('./objectStoreAdapter');
+
+module.exports = {
+    clients,
+    prepareLoad,
+    inferColumns,
+    identifier,
+    SnowflakeAdapter,
+    DatabricksAdapter,
+    BigQueryAdapter,
+    ObjectStoreAdapter
+};
@@ -0,0 +1,228 @@
+// Date-partitioned tables on object storage
+// A load is written partition by partition: each partition it touches gets one new Parquet
+// file and the files it had are retired. Loads that replace partitions (partitionColumn)
+// write just their own rows; other loads merge theirs into the partition's existing rows on
+// the key columns, updating the columns the load carries and keeping the rest, as a warehouse
+// MERGE would. The table format decides how the switch from old files to new is published:
+//   parquet  plain Hive-style folders; old files are deleted once the new ones are written
+//   delta    a Delta Lake commit (see deltaLog.js)
+//   iceberg  an Iceberg snapshot (see icebergTable.js)
+// A table is partitioned by the first date column of the first load unless the connection
+// or the load names one, and keeps that partitioning afterwards.
+const { v4: uuidv4 } = require('uuid');
+const { widen, coerce, bookkeepingColumns, identifier } = require('./tableSchema');
+const { encodeParquet, decodeParquet } = require('./parquetFiles');
+const { deltaTable } = require('./deltaLog');
+const { icebergTable } = require('./icebergTable');
+
+// Folder name Hive and Spark use for a null partition value
+const NULL_PARTITION = '__HIVE_DEFAULT_PARTITION__';
+
+const parquetTable = {
+    name: 'parquet',
+    dataPrefix: '',
+    partitionInFiles: false,
+    deleteReplaced: true,
+
+    async read(store, table) {
+        const files = (await store.list(table))
+            .map(object => ({ ...object, key: object.key.slice(table.length + 1) }))
+            // Skip _SUCCESS markers, .crc files and the like
+            .filter(object => object.key.endsWith('.parquet') && !object.key.split('/').some(part => /^[_.]/.test(part)))
+            .map(object => {
+                const match = object.key.match(/^([^/=]+)=([^/]+)\//);
+                return {
+                    key: object.key,
+                    partitionColumn: match ? match[1] : null,
+                    partition: match && match[2] !== NULL_PARTITION ? decodeURIComponent(match[2]) : null,
+                    records: null,
+                    size: object.size
+                };
+            });
+        return {
+            exists: files.length > 0,
+            columns: null,
+            partitionColumn: files.length > 0 ? files[0].partitionColumn : undefined,
+            files
+        };
+    },
+
+    // Files are visible as soon as they are written
+    async commit() {
+        return null;
+    }
+};
+
+const FORMATS = { parquet: parquetTable, delta: deltaTable, iceberg: icebergTable };
+
+function tableFormat(name = 'parquet') {
+    const format = FORMATS[name];
+    if (!format) {
+        throw new Error(`Unsupported table format: ${name}. Use one of ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return format;
+}
+
+// Add incoming columns to the table's; an existing column keeps its type if it can hold the
+// incoming values. Without a table schema (plain Parquet) a column may also widen from
+// integer to number or date to timestamp.
+function evolveColumns(table, existing, incoming, { widenExisting = false } = {}) {
+    const columns = existing.map(column => ({ ...column }));
+    const added = [];
+    for (const column of incoming) {
+        const current = columns.find(c => c.name === column.name);
+        const widened = current && widen(current.type, column.type);
+        if (!current) {
+            columns.push({ ...column });
+            added.push(column.name);
+        } else if (widened !== current.type) {
+            if (!widenExisting || widened === 'string') {
+                throw new Error(`Column ${column.name} of ${table} is ${current.type}, which cannot hold ${column.type} values`);
+            }
+            current.type = widened;
+        }
+    }
+    return { columns, added };
+}
+
+function partitionColumnFor(table, state, load, columns, configured) {
+    if (state.partitionColumn !== undefined) {
+        if (load.partitionColumn && load.partitionColumn !== state.partitionColumn) {
+            throw new Error(`Table ${table} is partitioned by ${state.partitionColumn || 'nothing'}, so ${load.partitionColumn} partitions cannot be replaced`);
+        }
+        if (state.partitionColumn && !columns.some(column => column.name === state.partitionColumn)) {
+            throw new Error(`The rows have no ${state.partitionColumn} column, which partitions ${table}`);
+        }
+        return state.partitionColumn;
+    }
+
+    let name = load.partitionColumn;
+    if (!name && configured) {
+        const column = load.columns.find(c => c.source === configured || c.name === identifier(configured));
+        if (!column) throw new Error(`Partition column ${configured} is not in the exported rows`);
+        name = column.name;
+    }
+    if (!name) {
+        const firstDate = load.columns.find(column => column.type === 'date');
+        name = firstDate ? firstDate.name : null;
+    }
+    if (name && columns.find(column => column.name === name).type !== 'date') {
+        throw new Error(`Partition column ${name} must hold dates`);
+    }
+    return name;
+}
+
+/**
+ * Write a prepared load to a table
+ * @param {Object} store - objectStore.js store
+ * @param {string} formatName - parquet, delta or iceberg
+ * @param {string} table - table folder, relative to the store location
+ * @param {Object} load - prepareLoad() result
+ * @param {Object} options - { partitionColumn: column to partition a new table by }
+ */
+async function writeTable(store, formatName, table, load, options = {}) {
+    const format = tableFormat(formatName);
+    const state = await format.read(store, table);
+
+    // Table formats have no JSON type; JSON values are already serialized strings
+    const loadColumns = [
+        ...load.columns.map(column => ({ name: column.name, type: column.type === 'json' ? 'string' : column.type })),
+        ...bookkeepingColumns(load)
+    ];
+    const stamps = [new Date().toISOString(), ...(load.loadId ? [load.loadId] : [])];
+    const partitionColumn = partitionColumnFor(table, state, load, loadColumns, options.partitionColumn);
+    const evolved = evolveColumns(table, state.columns || [], loadColumns);
+    let columns = evolved.columns;
+    const typeOf = (name) => columns.find(column => column.name === name).type;
+
+    const partitions = new Map();
+    for (const row of load.rows) {
+        const record = {};
+        [...row, ...stamps].forEach((value, index) => {
+            const column = loadColumns[index];
+            record[column.name] = column.type === typeOf(column.name) ? value : coerce(value, typeOf(column.name));
+        });
+        const value = partitionColumn ? record[partitionColumn] : null;
+        if (!partitions.has(value)) partitions.set(value, []);
+        partitions.get(value).push(record);
+    }
+
+    const keyOf = (record) => JSON.stringify(load.keyColumns.map(name => (record[name] === undefined ? null : record[name])));
+    const added = [];
+    const removed = [];
+    let version;
+    try {
+        for (const [value, records] of partitions) {
+            const existingFiles = state.files.filter(file => file.partition === value);
+            let rows = records;
+            if (!load.loadId && existingFiles.length > 0) {
+                const merged = new Map();
+                for (const file of existingFiles) {
+                    const decoded = await decodeParquet(await store.get(`${table}/${file.key}`));
+                    if (!state.columns) {
+                        // Plain Parquet tables have no schema besides their files
+                        columns = evolveColumns(table, decoded.columns, columns, { widenExisting: true }).columns;
+                    }
+                    for (const row of decoded.rows) {
+                        if (partitionColumn && !format.partitionInFiles) row[partitionColumn] = value;
+                        for (const column of decoded.columns) {
+                            if (column.type !== typeOf(column.name)) row[column.name] = coerce(row[column.name], typeOf(column.name));
+                        }
+                        merged.set(keyOf(row), row);
+                    }
+                }
+                records.forEach(record => merged.set(keyOf(record), { ...merged.get(keyOf(record)), ...record }));
+                rows = [...merged.values()];
+            }
+
+            const fileColumns = columns.filter(column => format.partitionInFiles || column.name !== partitionColumn);
+            const body = await encodeParquet(fileColumns, rows.map(row => fileColumns.map(column => (row[column.name] === undefined ? null : row[column.name]))));
+            const folder = partitionColumn ? `${partitionColumn}=${value === null ? NULL_PARTITION : value}/` : '';
+            const key = `${format.dataPrefix}${folder}part-00000-${uuidv4()}.parquet`;
+            await store.put(`${table}/${key}`, body);
+            added.push({ key, partition: value, records: rows.length, size: body.length });
+            removed.push(...existingFiles);
+        }
+
+        version = await format.commit(store, table, state, {
+            columns,
+            partitionColumn,
+            added,
+            removed,
+            operation: load.loadId ? 'WRITE' : 'MERGE'
+        });
+    } catch (error) {
+        // Files no commit refers to would be invisible but never cleaned up
+        if (added.length > 0) {
+            await store.remove(added.map(file => `${table}/${file.key}`)).catch(() => {});
+        }
+        throw error;
+    }
+
+    if (format.deleteReplaced && removed.length > 0) {
+        await store.remove(removed.map(file => `${table}/${file.key}`));
+    }
+
+    return {
+        created: !state.exists,
+        version,
+        partitionColumn,
+        partitions: [...partitions.keys()],
+        columnsAdded: state.exists && state.columns ? evolved.added : [],
+        filesAdded: added.length,
+        filesRemoved: removed.length,
+        rowsWritten: added.reduce((sum, file) => sum + file.records, 0)
+    };
+}
+
+/**
+ * Format of an existing table folder, or null when it holds no table
+ */
+async function detectFormat(store, table) {
+    const folders = await store.folders(table);
+    if (folders.includes('_delta_log')) return 'delta';
+    if (folders.includes('metadata') && (await store.get(`${table}/metadata/version-hint.text`))) return 'iceberg';
+    return (await parquetTable.read(store, table)).exists ? 'parquet' : null;
+}
+
+module.exports = { writeTable, detectFormat, tableFormat, FORMATS: Object.keys(FORMATS) };
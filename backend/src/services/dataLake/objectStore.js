@@ -0,0 +1,258 @@
+// Object storage behind the lake table formats: a directory under DATA_LAKE_LOCAL_ROOT or an
+// S3-compatible bucket. Both stores expose the same calls, with keys as '/'-separated paths
+// relative to the connection's location:
+//   list(prefix)        -> [{ key, size }] of every object below prefix
+//   folders(prefix)     -> names of the immediate sub-folders of prefix
+//   get(key)            -> Buffer, or null when the object does not exist
+//   put(key, body)      -> replaces the object
+//   create(key, body)   -> false instead of writing when the key already exists; Delta and
+//                          Iceberg commits rely on it so two writers cannot claim one version
+//   remove(keys)
+//   uri(key)            -> absolute location recorded in table metadata
+//   check()             -> throws when the location cannot be written
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { v4: uuidv4 } = require('uuid');
+const {
+    ListObjectsV2Command,
+    GetObjectCommand,
+    PutObjectCommand,
+    DeleteObjectsCommand,
+    HeadBucketCommand
+} = require('@aws-sdk/client-s3');
+const { clients } = require('./clients');
+
+// Filesystem lakes are confined to one directory so a connection cannot write arbitrary files
+const LOCAL_ROOT = path.resolve(process.env.DATA_LAKE_LOCAL_ROOT || path.join(__dirname, '../../data/lake'));
+// DeleteObjects takes at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+
+const joinKey = (...parts) => parts.filter(Boolean).join('/');
+
+class FileSystemStore {
+    constructor(config) {
+        const root = path.resolve(LOCAL_ROOT, config.path || '.');
+        if (root !== LOCAL_ROOT && !root.startsWith(LOCAL_ROOT + path.sep)) {
+            throw new Error(`Data lake path must be inside ${LOCAL_ROOT}`);
+        }
+        this.root = root;
+        this.description = `file:${path.relative(LOCAL_ROOT, root) || '.'}`;
+    }
+
+    resolve(key) {
+        const fullPath = path.resolve(this.root, key);
+        if (fullPath !== this.root && !fullPath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid data lake key: ${key}`);
+        }
+        return fullPath;
+    }
+
+    async check() {
+        await fs.promises.mkdir(this.root, { recursive: true });
+        await fs.promises.access(this.root, fs.constants.W_OK);
+    }
+
+    async list(prefix = '') {
+        const files = [];
+        const walk = async (dir) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.isFile() && !entry.name.startsWith('.tmp-')) {
+                    files.push({
+                        key: path.relative(this.root, fullPath).split(path.sep).join('/'),
+                        size: (await fs.promises.stat(fullPath)).size
+                    });
+                }
+            }
+        };
+        await walk(this.resolve(prefix || '.'));
+        return files;
+    }
+
+    async folders(prefix = '') {
+        try {
+            const entries = await fs.promises.readdir(this.resolve(prefix || '.'), { withFileTypes: true });
+            return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async get(key) {
+        try {
+            return await fs.promises.readFile(this.resolve(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    // Written next to the target and renamed, so readers never see a partial file
+    async writeTemp(key, body) {
+        const target = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        const temp = path.join(path.dirname(target), `.tmp-${uuidv4()}`);
+        await fs.promises.writeFile(temp, body);
+        return { target, temp };
+    }
+
+    async put(key, body) {
+        const { target, temp } = await this.writeTemp(key, body);
+        await fs.promises.rename(temp, target);
+    }
+
+    async create(key, body) {
+        const { target, temp } = await this.writeTemp(key, body);
+        try {
+            // link() fails if the target exists, unlike rename()
+            await fs.promises.link(temp, target);
+            return true;
+        } catch (error) {
+            if (error.code === 'EEXIST') return false;
+            throw error;
+        } finally {
+            await fs.promises.unlink(temp).catch(() => {});
+        }
+    }
+
+    async remove(keys) {
+        for (const key of keys) {
+            await fs.promises.unlink(this.resolve(key)).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        }
+    }
+
+    uri(key = '') {
+        return pathToFileURL(this.resolve(key || '.')).href;
+    }
+}
+
+class S3Store {
+    constructor(config) {
+        if (!config.bucket) {
+            throw new Error('bucket is required for an S3 data lake');
+        }
+        this.client = clients.s3(config);
+        this.bucket = config.bucket;
+        this.prefix = (config.prefix || '').replace(/^\/+|\/+$/g, '');
+        this.description = `s3://${joinKey(this.bucket, this.prefix)}`;
+    }
+
+    objectKey(key) {
+        return joinKey(this.prefix, key);
+    }
+
+    async check() {
+        await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+        await this.client.send(new ListObjectsV2Command({ Bucket: this.bucket, Prefix: this.objectKey(''), MaxKeys: 1 }));
+    }
+
+    async listObjects(prefix, delimiter) {
+        const fullPrefix = prefix ? `${this.objectKey(prefix).replace(/\/+$/, '')}/` : (this.prefix ? `${this.prefix}/` : '');
+        const objects = [];
+        const folders = [];
+        let token;
+        do {
+            const response = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: fullPrefix || undefined,
+                Delimiter: delimiter,
+                ContinuationToken: token
+            }));
+            for (const object of response.Contents || []) {
+                if (!object.Key.endsWith('/')) {
+                    objects.push({ key: object.Key.slice(this.prefix ? this.prefix.length + 1 : 0), size: object.Size });
+                }
+            }
+            for (const common of response.CommonPrefixes || []) {
+                folders.push(common.Prefix.slice(fullPrefix.length).replace(/\/$/, ''));
+            }
+            token = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (token);
+        return { objects, folders };
+    }
+
+    async list(prefix = '') {
+        return (await this.listObjects(prefix)).objects;
+    }
+
+    async folders(prefix = '') {
+        return (await this.listObjects(prefix, '/')).folders;
+    }
+
+    async get(key) {
+        try {
+            const response = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }));
+            return Buffer.from(await response.Body.transformToByteArray());
+        } catch (error) {
+            if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) return null;
+            throw error;
+        }
+    }
+
+    async put(key, body) {
+        await this.client.send(new PutObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key), Body: body }));
+    }
+
+    async create(key, body) {
+        try {
+            await this.client.send(new PutObjectCommand({
+                Bucket: this.bucket,
+                Key: this.objectKey(key),
+                Body: body,
+                IfNoneMatch: '*'
+            }));
+            return true;
+        } catch (error) {
+            // 412 when the key exists, 409 when another conditional write to it is in flight
+            const status = error.$metadata && error.$metadata.httpStatusCode;
+            if (status === 412 || status === 409) return false;
+            throw error;
+        }
+    }
+
+    async remove(keys) {
+        for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+            const response = await this.client.send(new DeleteObjectsCommand({
+                Bucket: this.bucket,
+                Delete: { Objects: keys.slice(i, i + DELETE_BATCH_SIZE).map(key => ({ Key: this.objectKey(key) })), Quiet: true }
+            }));
+            if (response.Errors && response.Errors.length > 0) {
+                throw new Error(`Could not delete ${response.Errors[0].Key}: ${response.Errors[0].Message}`);
+            }
+        }
+    }
+
+    uri(key = '') {
+        return `s3://${joinKey(this.bucket, this.objectKey(key))}`;
+    }
+}
+
+/**
+ * Open the store a connection points at
+ * @param {string} storage - 'filesystem' or 's3'
+ */
+function openStore(storage, config = {}) {
+    switch (storage) {
+        case 'filesystem':
+            return new FileSystemStore(config);
+        case 's3':
+            return new S3Store(config);
+        default:
+            throw new Error(`Unsupported data lake storage: ${storage}`);
+    }
+}
+
+module.exports = { openStore, FileSystemStore, S3Store, LOCAL_ROOT };
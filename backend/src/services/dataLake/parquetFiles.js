@@ -0,0 +1,117 @@
+// Parquet data files for the object-store lake formats
+// Columns keep the load's logical types: numbers are stored as DOUBLE and timestamps as UTC
+// microseconds, which both Delta Lake and Iceberg readers map onto their own types. Rows are
+// read back in the value representation prepareLoad() produces, so existing files can be
+// merged with new rows.
+const { Writable } = require('stream');
+const parquet = require('@dsnp/parquetjs');
+
+const PARQUET_TYPES = {
+    string: 'UTF8',
+    integer: 'INT64',
+    number: 'DOUBLE',
+    date: 'DATE',
+    timestamp: 'TIMESTAMP_MICROS',
+    boolean: 'BOOLEAN',
+    json: 'UTF8'
+};
+
+// Logical type of a column in a file this module (or another writer) produced
+const columnType = (field) => {
+    switch (field.originalType || field.primitiveType) {
+        case 'UTF8':
+        case 'JSON':
+        case 'BYTE_ARRAY':
+            return 'string';
+        case 'INT64':
+        case 'INT32':
+        case 'INT_64':
+        case 'INT_32':
+            return 'integer';
+        case 'DOUBLE':
+        case 'FLOAT':
+            return 'number';
+        case 'DATE':
+            return 'date';
+        case 'TIMESTAMP_MICROS':
+        case 'TIMESTAMP_MILLIS':
+            return 'timestamp';
+        case 'BOOLEAN':
+            return 'boolean';
+        default:
+            throw new Error(`Parquet column ${field.name} has unsupported type ${field.originalType || field.primitiveType}`);
+    }
+};
+
+const toParquetValue = (value, column) => {
+    if (value === null || value === undefined) return undefined;
+    if (column.type === 'date' || column.type === 'timestamp') {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Column ${column.name} has an invalid ${column.type}: ${value}`);
+        }
+        return date;
+    }
+    return value;
+};
+
+const fromParquetValue = (value, type) => {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'bigint') return Number(value);
+    if (value instanceof Date) return type === 'date' ? value.toISOString().split('T')[0] : value.toISOString();
+    return value;
+};
+
+/**
+ * Encode rows into a Parquet file
+ * @param {Array} columns - [{ name, type }]
+ * @param {Array} rows - value arrays in column order
+ * @returns {Promise<Buffer>}
+ */
+async function encodeParquet(columns, rows) {
+    const schema = new parquet.ParquetSchema(Object.fromEntries(columns.map(column => [
+        column.name,
+        { type: PARQUET_TYPES[column.type], optional: true, compression: 'SNAPPY' }
+    ])));
+    const chunks = [];
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+
+    const writer = await parquet.ParquetWriter.openStream(schema, output);
+    for (const row of rows) {
+        const record = {};
+        columns.forEach((column, index) => {
+            const value = toParquetValue(row[index], column);
+            if (value !== undefined) record[column.name] = value;
+        });
+        await writer.appendRow(record);
+    }
+    await writer.close();
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Decode a Parquet file
+ * @returns {Promise<Object>} { columns: [{ name, type }], rows: [{ column: value }] }
+ */
+async function decodeParquet(buffer) {
+    const reader = await parquet.ParquetReader.openBuffer(buffer);
+    try {
+        const columns = Object.values(reader.getSchema().fields).map(field => ({ name: field.name, type: columnType(field) }));
+        const rows = [];
+        const cursor = reader.getCursor();
+        let record;
+        while ((record = await cursor.next())) {
+            rows.push(Object.fromEntries(columns.map(column => [column.name, fromParquetValue(record[column.name], column.type)])));
+        }
+        return { columns, rows };
+    } finally {
+        await reader.close();
+    }
+}
+
+module.exports = { encodeParquet, decodeParquet };
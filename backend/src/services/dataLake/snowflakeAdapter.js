@@ -0,0 +1,140 @@
+// Snowflake adapter
+// Rows reach the staging table through one array-bound INSERT, which the driver uploads as a
+// staged file once the batch passes its bind threshold, then get MERGEd into the target.
+// With driver "postgres" the same SQL runs against a PostgreSQL stand-in (see clients.js).
+const { clients } = require('./clients');
+const { prepareLoad, identifier } = require('./tableSchema');
+const { upsertRows } = require('./warehouseLoad');
+
+const TYPES = {
+    string: 'VARCHAR',
+    integer: 'BIGINT',
+    number: 'NUMERIC(38,10)',
+    date: 'DATE',
+    timestamp: 'TIMESTAMP',
+    boolean: 'BOOLEAN',
+    json: 'VARCHAR'
+};
+const DEFAULT_SCHEMA = 'PUBLIC';
+const DEFAULT_TABLE = 'aws_cost_data';
+const isSystemSchema = (name) => name.toLowerCase() === 'information_schema' || name.toLowerCase().startsWith('pg_');
+
+const open = (config) => (config.driver === 'postgres' ? clients.postgres(config) : clients.snowflake(config));
+
+// Names are quoted in the session's folded case, so tables stay queryable without quotes
+function dialectFor(session) {
+    const quote = (name) => `"${session.fold(name).replace(/"/g, '""')}"`;
+    const columnList = (columns) => columns.map(column => `${quote(column.name)} ${TYPES[column.type]}`).join(', ');
+
+    return {
+        quote,
+        qualify: (schema, table) => `${quote(schema)}.${quote(table)}`,
+        // Temporary tables belong to the session and disappear with it even if the drop fails
+        staging: (schema, name) => quote(name),
+        describe: async (schema, table) => {
+            const rows = await session.query(
+                'SELECT column_name FROM information_schema.columns WHERE table_schema = ? AND table_name = ?',
+                [session.fold(schema), session.fold(table)]
+            );
+            return rows.length > 0 ? new Set(rows.map(row => row.column_name.toLowerCase())) : null;
+        },
+        createSchema: (schema) => `CREATE SCHEMA IF NOT EXISTS ${quote(schema)}`,
+        createTable: (target, columns) => `CREATE TABLE IF NOT EXISTS ${target} (${columnList(columns)})`,
+        addColumns: (target, columns) => columns.map(column => `ALTER TABLE ${target} ADD COLUMN ${quote(column.name)} ${TYPES[column.type]}`),
+        createStaging: (staging, columns) => `CREATE TEMPORARY TABLE ${staging} (${columnList(columns)})`,
+        insertRows: (staging, columns, rows) => session.insertRows(
+            `INSERT INTO ${staging} (${columns.map(column => quote(column.name)).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+            rows
+        ),
+        dropStaging: (staging) => `DROP TABLE IF EXISTS ${staging}`,
+        nullSafeEquals: (a, b) => `${a} IS NOT DISTINCT FROM ${b}`,
+        now: 'CURRENT_TIMESTAMP'
+    };
+}
+
+class SnowflakeAdapter {
+    async testConnection(config) {
+        console.log('🔬 Testing Snowflake connection...');
+        let session;
+        try {
+            session = await open(config);
+            return {
+                success: true,
+                message: 'Snowflake connection successful',
+                details: {
+                    account: config.account,
+                    warehouse: config.warehouse,
+                    database: config.database,
+                    version: await session.version()
+                }
+            };
+        } catch (error) {
+            console.error('❌ Snowflake connection failed:', error.message);
+            return { success: false, error: `Snowflake connection failed: ${error.message}` };
+        } finally {
+            if (session) await session.close().catch(() => {});
+        }
+    }
+
+    async exportData(config, data, options = {}) {
+        console.log('📤 Exporting to Snowflake...');
+        let session;
+        try {
+            const load = prepareLoad(data, options);
+            const schema = config.schema || DEFAULT_SCHEMA;
+            const tableName = identifier(options.tableName || DEFAULT_TABLE);
+
+            session = await open(config);
+            const result = await upsertRows(session, dialectFor(session), { schema, table: tableName }, load);
+
+            return {
+                success: true,
+                message: `Data exported to Snowflake table: ${tableName}`,
+                details: {
+                    table: `${config.database}.${session.fold(schema)}.${session.fold(tableName)}`,
+                    rows_merged: load.rows.length,
+                    duplicate_rows: load.duplicates,
+                    key_columns: load.keyColumns,
+                    table_created: result.created,
+                    columns_added: result.columnsAdded,
+                    export_time: new Date().toISOString()
+                }
+            };
+        } catch (error) {
+            console.error('❌ Snowflake export failed:', error.message);
+            return { success: false, error: `Snowflake export failed: ${error.message}` };
+        } finally {
+            if (session) await session.close().catch(() => {});
+        }
+    }
+
+    async getSchemas(config) {
+        console.log('📋 Getting Snowflake schemas...');
+        let session;
+        try {
+            session = await open(config);
+            const defaultSchema = session.fold(config.schema || DEFAULT_SCHEMA);
+            const schemata = await session.query('SELECT schema_name FROM information_schema.schemata ORDER BY schema_name');
+            const tables = await session.query('SELECT table_schema, table_name FROM information_schema.tables ORDER BY table_name');
+
+            return {
+                success: true,
+                schemas: schemata
+                    .map(row => row.schema_name)
+                    .filter(name => !isSystemSchema(name))
+                    .map(name => ({
+                        name,
+                        tables: tables.filter(row => row.table_schema === name).map(row => row.table_name),
+                        default: name === defaultSchema
+                    }))
+            };
+        } catch (error) {
+            console.error('❌ Error getting Snowflake schemas:', error.message);
+            return { success: false, error: error.message };
+        } finally {
+            if (session) await session.close().catch(() => {});
+        }
+    }
+}
+
+module.exports = SnowflakeAdapter;
@@ -0,0 +1,200 @@
+// Target table layout for data lake loads
+// Export rows are flat objects whose shape depends on the export type, so the table schema is
+// inferred from the rows: every key becomes a column, typed from its values and widened when
+// rows disagree (integer + number -> number, date + timestamp -> timestamp, otherwise string).
+// Rows are upserted on key columns; by default every text, date and boolean column is a key
+// and the numeric columns are the measures that get updated.
+// A load can also replace whole partitions: rows of the target whose partition column value
+// appears in the load but that the load did not write are deleted after the merge. Every
+// merged row is stamped with the load's ID so those rows can be told apart.
+const { v4: uuidv4 } = require('uuid');
+
+const LOADED_AT_COLUMN = '_loaded_at';
+const LOAD_ID_COLUMN = '_load_id';
+const TYPES = ['string', 'integer', 'number', 'date', 'timestamp', 'boolean', 'json'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+// Decimal strings only: digit-only strings such as account IDs keep their leading zeros
+const DECIMAL_PATTERN = /^-?\d+\.\d+$/;
+const KEY_TYPES = ['string', 'date', 'timestamp', 'boolean'];
+const MAX_IDENTIFIER_LENGTH = 128;
+
+const valueType = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'boolean') return 'boolean';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    if (typeof value === 'bigint') return 'integer';
+    if (value instanceof Date) return 'timestamp';
+    if (typeof value === 'object') return 'json';
+    const text = String(value);
+    if (DATE_PATTERN.test(text)) return 'date';
+    if (TIMESTAMP_PATTERN.test(text)) return 'timestamp';
+    if (DECIMAL_PATTERN.test(text)) return 'number';
+    return 'string';
+};
+
+const widen = (current, next) => {
+    if (!current) return next;
+    if (!next || current === next) return current;
+    const pair = [current, next].sort().join('+');
+    if (pair === 'integer+number') return 'number';
+    if (pair === 'date+timestamp') return 'timestamp';
+    return 'string';
+};
+
+// Column or table name: lower-case letters, digits and underscores, not starting with a digit
+const identifier = (key) => {
+    const name = String(key).toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '').slice(0, MAX_IDENTIFIER_LENGTH);
+    if (!name) return 'column';
+    return /^\d/.test(name) ? `c_${name}` : name;
+};
+
+/**
+ * Columns for a batch of rows
+ * @param {Object} declaredTypes - { rowKey: type } fixing the type of columns whose values may
+ *                                 not show it, e.g. a measure that is null throughout a batch
+ * @returns {Array} [{ name, source, type }] in first-seen key order
+ */
+function inferColumns(rows, declaredTypes = {}) {
+    const columns = new Map();
+    const used = new Set([LOADED_AT_COLUMN, LOAD_ID_COLUMN]);
+    for (const row of rows) {
+        for (const [key, value] of Object.entries(row)) {
+            let column = columns.get(key);
+            if (!column) {
+                let name = identifier(key);
+                for (let n = 2; used.has(name); n++) name = `${identifier(key)}_${n}`;
+                used.add(name);
+                column = { name, source: key, type: null };
+                columns.set(key, column);
+            }
+            column.type = widen(column.type, valueType(value));
+        }
+    }
+    return [...columns.values()].map(column => ({ ...column, type: declaredTypes[column.source] || column.type || 'string' }));
+}
+
+// A row value in the representation every warehouse accepts for the column type
+const coerce = (value, type) => {
+    if (value === null || value === undefined || value === '') return null;
+    switch (type) {
+        case 'integer':
+        case 'number': {
+            const number = Number(value);
+            return Number.isFinite(number) ? number : null;
+        }
+        case 'boolean':
+            return typeof value === 'boolean' ? value : String(value).toLowerCase() === 'true';
+        case 'date':
+            return value instanceof Date ? value.toISOString().split('T')[0] : String(value);
+        case 'timestamp': {
+            const date = value instanceof Date ? value : new Date(String(value).replace(' ', 'T'));
+            return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+        }
+        case 'json':
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        default:
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+};
+
+/**
+ * Everything a load needs: columns, key columns and the rows as value arrays. Rows with the
+ * same key are collapsed to the last one, since MERGE cannot apply two source rows to the
+ * same target row.
+ * @param {Array} data - export rows
+ * @param {Object} options - { keyColumns: [row keys or column names], columnTypes: { rowKey: type },
+ *                            partitionColumn: row key or column name of the partitions to replace }
+ * @throws {Error} when there is nothing to load or a key column does not exist
+ */
+function prepareLoad(data, options = {}) {
+    if (!Array.isArray(data) || data.length === 0) {
+        throw new Error('No rows to export');
+    }
+    const rows = data.filter(row => row && typeof row === 'object' && !Array.isArray(row));
+    if (rows.length !== data.length) {
+        throw new Error('Every exported row must be an object');
+    }
+
+    const columnTypes = options.columnTypes || {};
+    const unknownType = Object.values(columnTypes).find(type => !TYPES.includes(type));
+    if (unknownType) {
+        throw new Error(`Unknown column type ${unknownType}; use one of ${TYPES.join(', ')}`);
+    }
+    const columns = inferColumns(rows, columnTypes);
+    const findColumn = (key) => {
+        const column = columns.find(c => c.source === key || c.name === key);
+        if (!column) throw new Error(`Column ${key} is not in the exported rows`);
+        return column.name;
+    };
+
+    let keyColumns;
+    if (options.keyColumns && options.keyColumns.length > 0) {
+        keyColumns = options.keyColumns.map(findColumn);
+    } else {
+        keyColumns = columns.filter(column => KEY_TYPES.includes(column.type)).map(column => column.name);
+        if (keyColumns.length === 0) {
+            throw new Error('The rows have no text or date columns to upsert on; pass keyColumns');
+        }
+    }
+
+    const keyIndexes = keyColumns.map(name => columns.findIndex(column => column.name === name));
+    const byKey = new Map();
+    for (const row of rows) {
+        const values = columns.map(column => coerce(row[column.source], column.type));
+        byKey.set(JSON.stringify(keyIndexes.map(index => values[index])), values);
+    }
+
+    const load = { columns, keyColumns, rows: [...byKey.values()], duplicates: rows.length - byKey.size };
+    if (options.partitionColumn) {
+        load.partitionColumn = findColumn(options.partitionColumn);
+        load.loadId = uuidv4();
+    }
+    return load;
+}
+
+// Columns the target table needs beyond the exported ones
+const bookkeepingColumns = (load) => [
+    { name: LOADED_AT_COLUMN, type: 'timestamp' },
+    ...(load.loadId ? [{ name: LOAD_ID_COLUMN, type: 'string' }] : [])
+];
+
+/**
+ * MERGE statement upserting a staging table into the target. The dialect supplies identifier
+ * quoting, null-safe equality and the current-timestamp expression.
+ */
+function mergeStatement({ target, staging, load, dialect }) {
+    const q = dialect.quote;
+    const names = load.columns.map(column => column.name);
+    const measures = names.filter(name => !load.keyColumns.includes(name));
+    const stamps = [[LOADED_AT_COLUMN, dialect.now], ...(load.loadId ? [[LOAD_ID_COLUMN, `'${load.loadId}'`]] : [])];
+    const on = load.keyColumns.map(name => dialect.nullSafeEquals(`t.${q(name)}`, `s.${q(name)}`)).join(' AND ');
+    const updates = [...measures.map(name => `${q(name)} = s.${q(name)}`), ...stamps.map(([name, value]) => `${q(name)} = ${value}`)];
+    return `MERGE INTO ${target} AS t USING ${staging} AS s
+        ON ${on}
+        WHEN MATCHED THEN UPDATE SET ${updates.join(', ')}
+        WHEN NOT MATCHED THEN INSERT (${[...names, ...stamps.map(([name]) => name)].map(q).join(', ')})
+            VALUES (${[...names.map(name => `s.${q(name)}`), ...stamps.map(([, value]) => value)].join(', ')})`;
+}
+
+// DELETE of the target rows in the load's partitions that the load did not write
+function staleRowsStatement({ target, staging, load, dialect }) {
+    const q = dialect.quote;
+    const partition = q(load.partitionColumn);
+    return `DELETE FROM ${target}
+        WHERE ${partition} IN (SELECT ${partition} FROM ${staging})
+          AND (${q(LOAD_ID_COLUMN)} IS NULL OR ${q(LOAD_ID_COLUMN)} <> '${load.loadId}')`;
+}
+
+module.exports = {
+    LOADED_AT_COLUMN,
+    LOAD_ID_COLUMN,
+    widen,
+    coerce,
+    inferColumns,
+    prepareLoad,
+    bookkeepingColumns,
+    mergeStatement,
+    staleRowsStatement,
+    identifier
+};
@@ -0,0 +1,59 @@
+// Upsert flow shared by the SQL warehouse adapters (Snowflake and Databricks)
+// 1. create the target table, or add the columns it is missing
+// 2. bulk-load the rows into a staging table
+// 3. MERGE the staging table into the target on the key columns, then delete the rows the
+//    load replaced when it covers whole partitions
+// 4. drop the staging table, whatever happened
+// The dialect supplies the SQL that differs between warehouses.
+const { v4: uuidv4 } = require('uuid');
+const { bookkeepingColumns, mergeStatement, staleRowsStatement } = require('./tableSchema');
+
+const stagingName = () => `deepcost_stage_${uuidv4().replace(/-/g, '')}`;
+
+/**
+ * Upsert prepared rows into schema.table
+ * @param {Object} session - warehouse session from clients
+ * @param {Object} dialect - { quote, qualify, staging, describe, createSchema, createTable, addColumns,
+ *                             createStaging, insertRows, dropStaging, nullSafeEquals, now }
+ * @param {Object} load - output of prepareLoad
+ * @returns {Object} { table, created, columnsAdded, replacedPartitions }
+ */
+async function upsertRows(session, dialect, { schema, table }, load) {
+    const target = dialect.qualify(schema, table);
+    const tableColumns = [...load.columns, ...bookkeepingColumns(load)];
+
+    const existing = await dialect.describe(schema, table);
+    let columnsAdded = [];
+    if (!existing) {
+        await session.query(dialect.createSchema(schema));
+        await session.query(dialect.createTable(target, tableColumns));
+    } else {
+        const missing = tableColumns.filter(column => !existing.has(column.name.toLowerCase()));
+        for (const statement of dialect.addColumns(target, missing)) {
+            await session.query(statement);
+        }
+        columnsAdded = missing.map(column => column.name);
+    }
+
+    const staging = dialect.staging(schema, stagingName());
+    await session.query(dialect.createStaging(staging, load.columns));
+    try {
+        await dialect.insertRows(staging, load.columns, load.rows);
+        await session.query(mergeStatement({ target, staging, load, dialect }));
+        if (load.partitionColumn) {
+            await session.query(staleRowsStatement({ target, staging, load, dialect }));
+        }
+    } finally {
+        try {
+            await session.query(dialect.dropStaging(staging));
+        } catch (error) {
+            console.warn(`⚠️ Could not drop staging table ${staging}:`, error.message);
+        }
+    }
+
+    return { table: target, created: !existing, columnsAdded, replacedPartitions: Boolean(load.partitionColumn) };
+}
+
+module.exports = {
+    upsertRows
+};
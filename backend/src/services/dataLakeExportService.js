@@ -0,0 +1,500 @@
+// Incremental data lake bulk export
+// Each connection and target table keeps a high-water mark over cost_records.id. A run ships
+// every day that gained rows since the mark: restatements (CUR swaps, account re-syncs) delete
+// and re-insert a period's rows, so they show up as new IDs too. A touched day is re-aggregated
+// from all of its current rows and replaces that day's partition in the target, so restated
+// figures overwrite the old ones instead of adding to them. Days whose rows were deleted
+// without replacements are not detected.
+//
+// The touched days are planned into chunks of roughly chunkRows source rows when the run is
+// created. The run checkpoints after every chunk; a run whose process died is picked up by the
+// worker from the next chunk, and a failed run is resumed by the next bulk export request for
+// the same connection and table. The high-water mark moves when a run completes.
+const cron = require('node-cron');
+const DatabaseService = require('./databaseService');
+const DataLakeService = require('./dataLakeService');
+const { identifier } = require('./dataLake');
+
+const DEFAULT_TABLE = 'aws_cost_records';
+const DEFAULT_CHUNK_ROWS = 50000;
+const MIN_CHUNK_ROWS = 1000;
+const MAX_CHUNK_ROWS = 500000;
+// A run whose checkpoint is older than this is assumed to have died with its process
+const STALE_JOB_MINUTES = 15;
+const METRICS_DAYS = 30;
+const JOB_STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+// One exported row per day, account, service, region, resource and usage type
+const KEY_COLUMNS = ['usage_date', 'account_id', 'service', 'region', 'resource_id', 'usage_type'];
+const COLUMN_TYPES = {
+    usage_date: 'date',
+    account_id: 'string',
+    service: 'string',
+    region: 'string',
+    resource_id: 'string',
+    usage_type: 'string',
+    currency: 'string',
+    cost: 'number',
+    unblended_cost: 'number',
+    amortized_cost: 'number',
+    usage_amount: 'number',
+    cost_center: 'string',
+    department: 'string',
+    project: 'string',
+    environment: 'string',
+    team: 'string',
+    business_unit: 'string',
+    record_count: 'integer'
+};
+
+class DataLakeExportService {
+    /**
+     * Start (or resume) a bulk export of cost_records to a data lake connection
+     * @param {number} userId - DB user ID owning the connection
+     * @param {number} actorId - DB user ID of the caller
+     * @param {string} connectionId - Data lake connection ID
+     * @param {Object} options - { tableName, full, chunkRows }
+     */
+    static async startBulkExport(userId, actorId, connectionId, options = {}) {
+        try {
+            const connection = await DataLakeService.getConnection(userId, connectionId);
+            if (!connection.success) {
+                return { success: false, error: connection.error, status: 404 };
+            }
+
+            const tableName = identifier(options.tableName || DEFAULT_TABLE);
+            const chunkRows = options.chunkRows === undefined ? DEFAULT_CHUNK_ROWS : parseInt(options.chunkRows, 10);
+            if (Number.isNaN(chunkRows) || chunkRows < MIN_CHUNK_ROWS || chunkRows > MAX_CHUNK_ROWS) {
+                return { success: false, error: `chunkRows must be between ${MIN_CHUNK_ROWS} and ${MAX_CHUNK_ROWS}`, status: 400 };
+            }
+
+            const active = await DatabaseService.query(`
+                SELECT * FROM data_lake_export_jobs
+                WHERE connection_id = $1 AND table_name = $2 AND status IN ('pending', 'running')
+            `, [connectionId, tableName]);
+            if (active.rows.length > 0) {
+                return {
+                    success: false,
+                    error: `Bulk export ${active.rows[0].id} to ${tableName} is still in progress`,
+                    job: this.formatJob(active.rows[0]),
+                    status: 409
+                };
+            }
+
+            // A failed run is picked up where it stopped rather than planned again
+            if (!options.full) {
+                const last = await DatabaseService.query(`
+                    SELECT * FROM data_lake_export_jobs
+                    WHERE connection_id = $1 AND table_name = $2 AND user_id = $3
+                    ORDER BY created_at DESC, id DESC LIMIT 1
+                `, [connectionId, tableName, userId]);
+                if (last.rows.length > 0 && last.rows[0].status === 'failed') {
+                    const resumed = await DatabaseService.query(`
+                        UPDATE data_lake_export_jobs SET status = 'pending', error = NULL, completed_at = NULL
+                        WHERE id = $1 AND status = 'failed' RETURNING *
+                    `, [last.rows[0].id]);
+                    if (resumed.rows.length > 0) {
+                        console.log(`📦 Resuming data lake bulk export ${resumed.rows[0].id} at chunk ${resumed.rows[0].chunks_completed + 1}`);
+                        this.launch(resumed.rows[0].id);
+                        return { success: true, resumed: true, job: this.formatJob(resumed.rows[0]) };
+                    }
+                }
+            }
+
+            await DatabaseService.query(`
+                INSERT INTO data_lake_watermarks (user_id, connection_id, table_name)
+                VALUES ($1, $2, $3) ON CONFLICT (connection_id, table_name) DO NOTHING
+            `, [userId, connectionId, tableName]);
+            const watermark = await DatabaseService.query(
+                `SELECT high_water_mark FROM data_lake_watermarks WHERE connection_id = $1 AND table_name = $2`,
+                [connectionId, tableName]
+            );
+            const fromId = options.full ? 0 : parseInt(watermark.rows[0].high_water_mark, 10);
+            const latest = await DatabaseService.query(
+                `SELECT COALESCE(MAX(id), 0) AS max_id FROM cost_records WHERE user_id = $1`,
+                [userId]
+            );
+            const toId = Math.max(parseInt(latest.rows[0].max_id, 10), fromId);
+
+            const chunks = await this.planChunks(userId, fromId, toId, chunkRows);
+            const sourceRows = chunks.reduce((sum, chunk) => sum + chunk.rows, 0);
+
+            let created;
+            try {
+                created = await DatabaseService.query(`
+                    INSERT INTO data_lake_export_jobs
+                        (user_id, connection_id, table_name, full_export, from_id, to_id, chunks, source_rows, created_by)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                    RETURNING *
+                `, [userId, connectionId, tableName, Boolean(options.full), fromId, toId, JSON.stringify(chunks), sourceRows, actorId]);
+            } catch (error) {
+                // Another request created a run for this connection and table in the meantime
+                if (error.code === '23505') {
+                    return { success: false, error: `A bulk export to ${tableName} is already in progress`, status: 409 };
+                }
+                throw error;
+            }
+
+            const job = created.rows[0];
+            console.log(`📦 Data lake bulk export ${job.id} planned: ${chunks.length} chunks, ${sourceRows} cost records (IDs ${fromId + 1}-${toId})`);
+            this.launch(job.id);
+
+            return { success: true, resumed: false, job: this.formatJob(job) };
+        } catch (error) {
+            console.error('❌ Error starting data lake bulk export:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Days with cost records above the mark, grouped into chunks of about chunkRows rows.
+     * A day is never split, since it is replaced as a whole in the target.
+     * @returns {Array} [{ dates: ['YYYY-MM-DD'], rows }]
+     */
+    static async planChunks(userId, fromId, toId, chunkRows) {
+        const days = await DatabaseService.query(`
+            SELECT TO_CHAR(date, 'YYYY-MM-DD') AS day, COUNT(*)::int AS rows
+            FROM cost_records
+            WHERE user_id = $1 AND date IN (
+                SELECT DISTINCT date FROM cost_records WHERE user_id = $1 AND id > $2 AND id <= $3
+            )
+            GROUP BY date
+            ORDER BY date
+        `, [userId, fromId, toId]);
+
+        const chunks = [];
+        let current = null;
+        for (const { day, rows } of days.rows) {
+            if (!current || current.rows + rows > chunkRows) {
+                current = { dates: [], rows: 0 };
+                chunks.push(current);
+            }
+            current.dates.push(day);
+            current.rows += rows;
+        }
+        return chunks;
+    }
+
+    // Run a job in the background; its outcome is recorded on the job row
+    static launch(jobId) {
+        this.runJob(jobId).catch(error => console.error(`❌ Data lake bulk export ${jobId} error:`, error.message));
+    }
+
+    /**
+     * Run a job from its last checkpoint. The job is claimed first, so a run that is alive in
+     * another process (fresh heartbeat) is left alone.
+     */
+    static async runJob(jobId) {
+        this.activeJobs = this.activeJobs || new Set();
+        if (this.activeJobs.has(jobId)) return null;
+        this.activeJobs.add(jobId);
+
+        try {
+            const claimed = await DatabaseService.query(`
+                UPDATE data_lake_export_jobs
+                SET status = 'running', attempts = attempts + 1, heartbeat_at = NOW(),
+                    started_at = COALESCE(started_at, NOW())
+                WHERE id = $1 AND (status = 'pending'
+                    OR (status = 'running' AND heartbeat_at < NOW() - INTERVAL '${STALE_JOB_MINUTES} minutes'))
+                RETURNING *
+            `, [jobId]);
+            if (claimed.rows.length === 0) return null;
+
+            const job = claimed.rows[0];
+            const chunks = job.chunks || [];
+            let completed = job.chunks_completed;
+
+            try {
+                while (completed < chunks.length) {
+                    const rows = await this.chunkRows(job.user_id, chunks[completed].dates);
+                    let exported = 0;
+                    if (rows.length > 0) {
+                        const result = await DataLakeService.exportToDataLake(job.user_id, job.connection_id, rows, {
+                            tableName: job.table_name,
+                            keyColumns: KEY_COLUMNS,
+                            columnTypes: COLUMN_TYPES,
+                            partitionColumn: 'usage_date',
+                            jobId: `bulk-${job.id}`
+                        });
+                        if (!result.success) {
+                            throw new Error(result.error);
+                        }
+                        exported = rows.length;
+                    }
+
+                    completed++;
+                    const checkpoint = await DatabaseService.query(`
+                        UPDATE data_lake_export_jobs
+                        SET chunks_completed = $2, rows_exported = rows_exported + $3, heartbeat_at = NOW()
+                        WHERE id = $1 AND status = 'running'
+                        RETURNING status
+                    `, [job.id, completed, exported]);
+                    if (checkpoint.rows.length === 0) {
+                        console.log(`⏹️ Data lake bulk export ${job.id} stopped after chunk ${completed}`);
+                        return null;
+                    }
+                }
+
+                const finished = await DatabaseService.query(`
+                    UPDATE data_lake_export_jobs SET status = 'completed', completed_at = NOW(), heartbeat_at = NOW()
+                    WHERE id = $1 AND status = 'running'
+                    RETURNING *
+                `, [job.id]);
+                if (finished.rows.length === 0) return null;
+
+                await DatabaseService.query(`
+                    UPDATE data_lake_watermarks
+                    SET high_water_mark = GREATEST(high_water_mark, $3), rows_exported = rows_exported + $4,
+                        last_job_id = $5, last_exported_at = NOW()
+                    WHERE connection_id = $1 AND table_name = $2
+                `, [job.connection_id, job.table_name, job.to_id, finished.rows[0].rows_exported, job.id]);
+
+                console.log(`✅ Data lake bulk export ${job.id} completed: ${finished.rows[0].rows_exported} rows in ${chunks.length} chunks`);
+                return this.formatJob(finished.rows[0]);
+            } catch (error) {
+                console.error(`❌ Data lake bulk export ${job.id} failed at chunk ${completed + 1}/${chunks.length}:`, error.message);
+                await DatabaseService.query(`
+                    UPDATE data_lake_export_jobs SET status = 'failed', error = $2, completed_at = NOW()
+                    WHERE id = $1 AND status = 'running'
+                `, [job.id, error.message]);
+                return null;
+            }
+        } finally {
+            this.activeJobs.delete(jobId);
+        }
+    }
+
+    /**
+     * The export rows for a set of days, from every current cost record on those days
+     */
+    static async chunkRows(userId, dates) {
+        const result = await DatabaseService.query(`
+            SELECT
+                TO_CHAR(date, 'YYYY-MM-DD') AS usage_date,
+                linked_account_id AS account_id,
+                service_name AS service,
+                region,
+                resource_id,
+                usage_type,
+                MAX(currency) AS currency,
+                SUM(cost_amount) AS cost,
+                SUM(unblended_cost) AS unblended_cost,
+                SUM(amortized_cost) AS amortized_cost,
+                SUM(usage_amount) AS usage_amount,
+                MAX(cost_center) AS cost_center,
+                MAX(department) AS department,
+                MAX(project) AS project,
+                MAX(environment) AS environment,
+                MAX(team) AS team,
+                MAX(business_unit) AS business_unit,
+                COUNT(*)::int AS record_count
+            FROM cost_records
+            WHERE user_id = $1 AND date = ANY($2::date[])
+            GROUP BY date, linked_account_id, service_name, region, resource_id, usage_type
+            ORDER BY date
+        `, [userId, dates]);
+        return result.rows;
+    }
+
+    /**
+     * Pick up runs left pending or abandoned by a process that died
+     */
+    static async resumeStalledJobs() {
+        if (this.resuming) return [];
+        this.resuming = true;
+        try {
+            const stalled = await DatabaseService.query(`
+                SELECT id FROM data_lake_export_jobs
+                WHERE status = 'pending'
+                   OR (status = 'running' AND heartbeat_at < NOW() - INTERVAL '${STALE_JOB_MINUTES} minutes')
+                ORDER BY created_at
+            `);
+            const resumed = [];
+            for (const { id } of stalled.rows) {
+                console.log(`🔁 Resuming data lake bulk export ${id}`);
+                const job = await this.runJob(id);
+                if (job) resumed.push(job);
+            }
+            return resumed;
+        } finally {
+            this.resuming = false;
+        }
+    }
+
+    static startWorker() {
+        if (this.workerTask) return;
+        this.workerTask = cron.schedule('* * * * *', () => {
+            this.resumeStalledJobs().catch(error => console.error('❌ Data lake export worker error:', error.message));
+        });
+        console.log('📦 Data lake export worker started');
+    }
+
+    static async getJob(userId, jobId) {
+        try {
+            const result = await DatabaseService.query(
+                `SELECT * FROM data_lake_export_jobs WHERE id = $1 AND user_id = $2`,
+                [parseInt(jobId, 10), userId]
+            );
+            if (result.rows.length === 0) {
+                return { success: false, error: 'Export job not found', status: 404 };
+            }
+            return { success: true, job: this.formatJob(result.rows[0]) };
+        } catch (error) {
+            console.error('❌ Error getting data lake export job:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async listJobs(userId, options = {}) {
+        try {
+            if (options.status && !JOB_STATUSES.includes(options.status)) {
+                return { success: false, error: `status must be one of ${JOB_STATUSES.join(', ')}`, status: 400 };
+            }
+            const params = [userId];
+            let where = 'user_id = $1';
+            if (options.connectionId) {
+                params.push(options.connectionId);
+                where += ` AND connection_id = $${params.length}`;
+            }
+            if (options.status) {
+                params.push(options.status);
+                where += ` AND status = $${params.length}`;
+            }
+            const limit = Math.min(parseInt(options.limit, 10) || 20, 100);
+            const result = await DatabaseService.query(
+                `SELECT * FROM data_lake_export_jobs WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT ${limit}`,
+                params
+            );
+            return { success: true, jobs: result.rows.map(row => this.formatJob(row)) };
+        } catch (error) {
+            console.error('❌ Error listing data lake export jobs:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Stop a run after its current chunk. The chunks already shipped stay in the target; the
+     * high-water mark does not move, so the next run ships them again.
+     */
+    static async cancelJob(userId, jobId) {
+        try {
+            const result = await DatabaseService.query(`
+                UPDATE data_lake_export_jobs SET status = 'cancelled', completed_at = NOW()
+                WHERE id = $1 AND user_id = $2 AND status IN ('pending', 'running', 'failed')
+                RETURNING *
+            `, [parseInt(jobId, 10), userId]);
+            if (result.rows.length === 0) {
+                const existing = await this.getJob(userId, jobId);
+                if (!existing.success) return existing;
+                return { success: false, error: `Export job is already ${existing.job.status}`, status: 409 };
+            }
+            return { success: true, job: this.formatJob(result.rows[0]) };
+        } catch (error) {
+            console.error('❌ Error cancelling data lake export job:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Connection, run and watermark figures for the data lake dashboard
+     */
+    static async getMetrics(userId) {
+        try {
+            const connections = DataLakeService.loadConnections().filter(conn => conn.userId === userId);
+            const byProvider = {};
+            connections.forEach(conn => {
+                byProvider[conn.provider] = (byProvider[conn.provider] || 0) + 1;
+            });
+
+            const runs = await DatabaseService.query(`
+                SELECT
+                    COUNT(*)::int AS total,
+                    COUNT(*) FILTER (WHERE status = 'completed')::int AS completed,
+                    COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+                    COALESCE(SUM(rows_exported), 0)::bigint AS rows_exported,
+                    COALESCE(SUM(source_rows) FILTER (WHERE status = 'completed'), 0)::bigint AS source_rows,
+                    AVG(EXTRACT(EPOCH FROM (completed_at - started_at))) FILTER (WHERE status = 'completed') AS avg_duration_seconds
+                FROM data_lake_export_jobs
+                WHERE user_id = $1 AND created_at >= NOW() - INTERVAL '${METRICS_DAYS} days'
+            `, [userId]);
+            const active = await DatabaseService.query(`
+                SELECT * FROM data_lake_export_jobs
+                WHERE user_id = $1 AND status IN ('pending', 'running')
+                ORDER BY created_at
+            `, [userId]);
+            const watermarks = await DatabaseService.query(`
+                SELECT w.*,
+                    (SELECT COUNT(*) FROM cost_records c WHERE c.user_id = w.user_id AND c.id > w.high_water_mark)::int AS pending_records
+                FROM data_lake_watermarks w
+                WHERE w.user_id = $1
+                ORDER BY w.connection_id, w.table_name
+            `, [userId]);
+
+            const stats = runs.rows[0];
+            const finished = stats.completed + stats.failed;
+            return {
+                success: true,
+                metrics: {
+                    connections: {
+                        total: connections.length,
+                        active: connections.filter(conn => conn.isActive).length,
+                        by_provider: byProvider
+                    },
+                    exports: {
+                        period_days: METRICS_DAYS,
+                        runs: stats.total,
+                        completed: stats.completed,
+                        failed: stats.failed,
+                        success_rate: finished > 0 ? Math.round((stats.completed / finished) * 1000) / 10 : null,
+                        rows_exported: parseInt(stats.rows_exported, 10),
+                        source_records: parseInt(stats.source_rows, 10),
+                        avg_duration_seconds: stats.avg_duration_seconds === null ? null : Math.round(parseFloat(stats.avg_duration_seconds) * 10) / 10
+                    },
+                    active_jobs: active.rows.map(row => this.formatJob(row)),
+                    watermarks: watermarks.rows.map(row => ({
+                        connection_id: row.connection_id,
+                        table_name: row.table_name,
+                        high_water_mark: parseInt(row.high_water_mark, 10),
+                        rows_exported: parseInt(row.rows_exported, 10),
+                        pending_records: row.pending_records,
+                        last_job_id: row.last_job_id,
+                        last_exported_at: row.last_exported_at
+                    }))
+                }
+            };
+        } catch (error) {
+            console.error('❌ Error getting data lake metrics:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    static formatJob(row) {
+        const chunks = row.chunks || [];
+        return {
+            id: row.id,
+            connection_id: row.connection_id,
+            table_name: row.table_name,
+            status: row.status,
+            full_export: row.full_export,
+            record_range: { from_id: parseInt(row.from_id, 10), to_id: parseInt(row.to_id, 10) },
+            date_range: chunks.length > 0
+                ? { start: chunks[0].dates[0], end: chunks[chunks.length - 1].dates.slice(-1)[0] }
+                : null,
+            progress: {
+                chunks_total: chunks.length,
+                chunks_completed: row.chunks_completed,
+                percent: chunks.length > 0 ? Math.round((row.chunks_completed / chunks.length) * 100) : 100
+            },
+            source_records: parseInt(row.source_rows, 10),
+            rows_exported: parseInt(row.rows_exported, 10),
+            attempts: row.attempts,
+            error: row.error,
+            created_at: row.created_at,
+            started_at: row.started_at,
+            heartbeat_at: row.heartbeat_at,
+            completed_at: row.completed_at
+        };
+    }
+}
+
+module.exports = DataLakeExportService;
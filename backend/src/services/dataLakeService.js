@@ -2,11 +2,13 @@ const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
+const { SnowflakeAdapter, DatabricksAdapter, BigQueryAdapter, ObjectStoreAdapter } = require('./dataLake');
 
 /**
  * Data Lake Integration Service
  * Provides pluggable adapters for enterprise data lakes
- * Supports Snowflake, Databricks, BigQuery with secure connection management
+ * Supports Snowflake, Databricks, BigQuery and Parquet/Delta Lake/Iceberg tables on S3 or a
+ * local filesystem, with secure connection management
  */
 class DataLakeService {
     constructor() {
@@ -37,7 +39,9 @@ class DataLakeService {
         this.adapters = {
             snowflake: new SnowflakeAdapter(),
             databricks: new DatabricksAdapter(),
-            bigquery: new BigQueryAdapter()
+            bigquery: new BigQueryAdapter(),
+            s3: new ObjectStoreAdapter('s3'),
+            filesystem: new ObjectStoreAdapter('filesystem')
         };
 
         this.providers = {
@@ -52,7 +56,10 @@ class DataLakeService {
                     { name: 'warehouse', type: 'string', required: true, description: 'Warehouse name' },
                     { name: 'database', type: 'string', required: true, description: 'Database name' },
                     { name: 'schema', type: 'string', required: false, description: 'Schema name (default: PUBLIC)' },
-                    { name: 'role', type: 'string', required: false, description: 'Role name' }
+                    { name: 'role', type: 'string', required: false, description: 'Role name' },
+                    { name: 'access_url', type: 'string', required: false, description: 'Full account URL, when it is not derived from the account identifier' },
+                    { name: 'driver', type: 'select', required: false, options: ['snowflake', 'postgres'], description: 'Wire protocol (postgres for a Postgres-compatible stand-in; default: snowflake)' },
+                    { name: 'connection_string', type: 'password', required: false, description: 'PostgreSQL connection string (postgres driver only)' }
                 ],
                 status: 'available'
             },
@@ -65,7 +72,8 @@ class DataLakeService {
                     { name: 'http_path', type: 'string', required: true, description: 'HTTP path for cluster/SQL warehouse' },
                     { name: 'access_token', type: 'password', required: true, description: 'Personal access token' },
                     { name: 'catalog', type: 'string', required: false, description: 'Unity Catalog name' },
-                    { name: 'schema', type: 'string', required: false, description: 'Schema name (default: default)' }
+                    { name: 'schema', type: 'string', required: false, description: 'Schema name (default: default)' },
+                    { name: 'port', type: 'string', required: false, description: 'Port (default: 443; set for a local Spark Thrift endpoint)' }
                 ],
                 status: 'available'
             },
@@ -78,7 +86,35 @@ class DataLakeService {
                     { name: 'dataset_id', type: 'string', required: true, description: 'BigQuery dataset ID' },
                     { name: 'credentials_type', type: 'select', required: true, options: ['service_account', 'oauth'], description: 'Authentication method' },
                     { name: 'service_account_key', type: 'textarea', required: false, description: 'Service account JSON key (if using service account)' },
-                    { name: 'location', type: 'string', required: false, description: 'Data location (default: US)' }
+                    { name: 'location', type: 'string', required: false, description: 'Data location (default: US)' },
+                    { name: 'api_endpoint', type: 'string', required: false, description: 'API endpoint override, e.g. a local BigQuery emulator' }
+                ],
+                status: 'available'
+            },
+            s3: {
+                name: 'S3 Data Lake',
+                description: 'Date-partitioned Parquet, Delta Lake or Iceberg tables in S3-compatible object storage',
+                features: ['Parquet', 'Delta Lake', 'Apache Iceberg', 'S3-compatible (MinIO, Ceph)'],
+                connectionFields: [
+                    { name: 'bucket', type: 'string', required: true, description: 'Bucket name' },
+                    { name: 'prefix', type: 'string', required: false, description: 'Key prefix the tables are written under' },
+                    { name: 'region', type: 'string', required: false, description: 'Bucket region (default: us-east-1)' },
+                    { name: 'endpoint', type: 'string', required: false, description: 'Endpoint of an S3-compatible store, e.g. http://localhost:9000 for MinIO' },
+                    { name: 'access_key_id', type: 'string', required: false, description: 'Access key ID (default: the server\'s AWS credentials)' },
+                    { name: 'secret_access_key', type: 'password', required: false, description: 'Secret access key' },
+                    { name: 'table_format', type: 'select', required: false, options: ['parquet', 'delta', 'iceberg'], description: 'Table format (default: parquet)' },
+                    { name: 'partition_column', type: 'string', required: false, description: 'Date column new tables are partitioned by (default: the first date column)' }
+                ],
+                status: 'available'
+            },
+            filesystem: {
+                name: 'Filesystem Data Lake',
+                description: 'Date-partitioned Parquet, Delta Lake or Iceberg tables in a local or mounted directory',
+                features: ['Parquet', 'Delta Lake', 'Apache Iceberg', 'Network filesystems'],
+                connectionFields: [
+                    { name: 'path', type: 'string', required: true, description: 'Directory inside the server\'s data lake root (DATA_LAKE_LOCAL_ROOT)' },
+                    { name: 'table_format', type: 'select', required: false, options: ['parquet', 'delta', 'iceberg'], description: 'Table format (default: parquet)' },
+                    { name: 'partition_column', type: 'string', required: false, description: 'Date column new tables are partitioned by (default: the first date column)' }
                 ],
                 status: 'available'
             }
@@ -273,6 +309,16 @@ class DataLakeService {
         }
     }
 
+    /**
+     * Stored connection record, configuration still encrypted. getConnection() returns the
+     * sanitized form, which has no credentials to decrypt.
+     */
+    findConnection(userId, connectionId) {
+        return this.loadConnections().find(conn =>
+            conn.id === connectionId && conn.userId === userId
+        ) || null;
+    }
+
     /**
      * Update data lake connection
      */
@@ -371,7 +417,7 @@ class DataLakeService {
             }
 
             // Decrypt configuration for testing
-            const decryptedConfig = this.decryptConfig(connection.config);
+            const decryptedConfig = this.decryptConfig(this.findConnection(userId, connectionId).config);
             
             console.log(`🔬 Testing ${connection.provider} connection:`, connection.name);
 
@@ -420,7 +466,7 @@ class DataLakeService {
             }
 
             // Decrypt configuration
-            const decryptedConfig = this.decryptConfig(connection.config);
+            const decryptedConfig = this.decryptConfig(this.findConnection(userId, connectionId).config);
             
             console.log(`📤 Exporting to ${connection.provider}:`, connection.name);
 
@@ -472,7 +518,7 @@ class DataLakeService {
             }
 
             // Decrypt configuration
-            const decryptedConfig = this.decryptConfig(connection.config);
+            const decryptedConfig = this.decryptConfig(this.findConnection(userId, connectionId).config);
             
             console.log(`📋 Getting schemas from ${connection.provider}:`, connection.name);
 
@@ -573,189 +619,4 @@ class DataLakeService {
     }
 }
 
-/**
- * Snowflake Adapter
- */
-class SnowflakeAdapter {
-    async testConnection(config) {
-        // Simulated connection test
-        console.log('🔬 Testing Snowflake connection...');
-        
-        // In production, use actual Snowflake connector
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        return {
-            success: true,
-            message: 'Snowflake connection successful',
-            details: {
-                account: config.account,
-                warehouse: config.warehouse,
-                database: config.database,
-                version: 'Snowflake 8.0.0 (simulated)'
-            }
-        };
-    }
-
-    async exportData(config, data, options) {
-        console.log('📤 Exporting to Snowflake...');
-        
-        // Simulated export
-        const tableName = options.tableName || 'aws_cost_data';
-        
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        return {
-            success: true,
-            message: `Data exported to Snowflake table: ${tableName}`,
-            details: {
-                table: `${config.database}.${config.schema || 'PUBLIC'}.${tableName}`,
-                rows_inserted: data.length,
-                export_time: new Date().toISOString()
-            }
-        };
-    }
-
-    async getSchemas(config) {
-        console.log('📋 Getting Snowflake schemas...');
-        
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        return {
-            success: true,
-            schemas: [
-                {
-                    name: 'PUBLIC',
-                    tables: ['AWS_COST_DATA', 'BUDGET_ALERTS', 'COST_FORECASTS'],
-                    default: true
-                },
-                {
-                    name: 'ANALYTICS',
-                    tables: ['MONTHLY_REPORTS', 'COST_TRENDS'],
-                    default: false
-                }
-            ]
-        };
-    }
-}
-
-/**
- * Databricks Adapter  
- */
-class DatabricksAdapter {
-    async testConnection(config) {
-        console.log('🔬 Testing Databricks connection...');
-        
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        return {
-            success: true,
-            message: 'Databricks connection successful',
-            details: {
-                server: config.server_hostname,
-                cluster: config.http_path,
-                version: 'Databricks Runtime 13.0 (simulated)'
-            }
-        };
-    }
-
-    async exportData(config, data, options) {
-        console.log('📤 Exporting to Databricks...');
-        
-        const tableName = options.tableName || 'aws_cost_data';
-        
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        return {
-            success: true,
-            message: `Data exported to Databricks table: ${tableName}`,
-            details: {
-                table: `${config.catalog || 'main'}.${config.schema || 'default'}.${tableName}`,
-                rows_inserted: data.length,
-                format: 'Delta Lake',
-                export_time: new Date().toISOString()
-            }
-        };
-    }
-
-    async getSchemas(config) {
-        console.log('📋 Getting Databricks schemas...');
-        
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        return {
-            success: true,
-            schemas: [
-                {
-                    name: 'default',
-                    tables: ['aws_cost_data', 'budget_alerts'],
-                    default: true
-                },
-                {
-                    name: 'analytics',
-                    tables: ['cost_analytics', 'ml_predictions'],
-                    default: false
-                }
-            ]
-        };
-    }
-}
-
-/**
- * BigQuery Adapter
- */
-class BigQueryAdapter {
-    async testConnection(config) {
-        console.log('🔬 Testing BigQuery connection...');
-        
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        return {
-            success: true,
-            message: 'BigQuery connection successful',
-            details: {
-                project: config.project_id,
-                dataset: config.dataset_id,
-                location: config.location || 'US',
-                version: 'BigQuery 2.0 (simulated)'
-            }
-        };
-    }
-
-    async exportData(config, data, options) {
-        console.log('📤 Exporting to BigQuery...');
-        
-        const tableName = options.tableName || 'aws_cost_data';
-        
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        return {
-            success: true,
-            message: `Data exported to BigQuery table: ${tableName}`,
-            details: {
-                table: `${config.project_id}.${config.dataset_id}.${tableName}`,
-                rows_inserted: data.length,
-                bytes_processed: data.length * 100, // Simulated
-                export_time: new Date().toISOString()
-            }
-        };
-    }
-
-    async getSchemas(config) {
-        console.log('📋 Getting BigQuery schemas...');
-        
-        await new Promise(resolve => setTimeout(resolve, 500));
-
-        return {
-            success: true,
-            datasets: [
-                {
-                    name: config.dataset_id,
-                    tables: ['aws_cost_data', 'cost_forecasts', 'budget_alerts'],
-                    location: config.location || 'US'
-                }
-            ]
-        };
-    }
-}
-
 module.exports = new DataLakeService();
@@ -130,13 +130,20 @@ class DatabaseService {
         }
 
         try {
+            // Days already loaded per linked account or from the Cost and Usage Report hold the
+            // same spend in more detail, so an account-less total for them would double count
             const query = `
                 INSERT INTO cost_records (
                     date, service_name, cost_amount, region, resource_id, 
                     currency, cost_center, department, project, environment, 
                     team, business_unit, tags, user_id
                 ) 
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) 
+                SELECT $1::date, $2, $3::numeric, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13::jsonb, $14
+                WHERE NOT EXISTS (
+                    SELECT 1 FROM cost_records
+                    WHERE user_id = $14 AND date = $1::date
+                      AND (linked_account_id IS NOT NULL OR source = 'cur')
+                )
                 RETURNING id
             `;
 
@@ -158,7 +165,7 @@ class DatabaseService {
             ];
 
             const result = await pool.query(query, values);
-            return result.rows[0].id;
+            return result.rows.length > 0 ? result.rows[0].id : null;
         } catch (error) {
             console.error('❌ Database saveCostRecord error:', error);
             return null;
@@ -687,6 +694,31 @@ class DatabaseService {
         }
     }
 
+    /**
+     * Monthly cost grouped by the values of one tag. `keys` lists every spelling of the tag
+     * (see TagDictionaryService.keyVariants); each row carries the record's tags under those
+     * keys so the caller can resolve them to one canonical value.
+     */
+    static async getMonthlyCostsByTag(months, userId, keys) {
+        const result = await this.query(`
+            SELECT
+                TO_CHAR(date, 'YYYY-MM') as month_year,
+                (
+                    SELECT jsonb_object_agg(tag.key, tag.value)
+                    FROM jsonb_each_text(CASE WHEN jsonb_typeof(tags) = 'object' THEN tags ELSE '{}'::jsonb END) tag
+                    WHERE tag.key = ANY($3::text[])
+                ) as tag_values,
+                SUM(cost_amount) as total_cost,
+                COUNT(*) as record_count
+            FROM cost_records
+            WHERE user_id = $1
+                AND date >= DATE_TRUNC('month', CURRENT_DATE) - INTERVAL '1 month' * ($2 - 1)
+            GROUP BY 1, 2
+            ORDER BY 1
+        `, [this.getUserIdForDatabase(userId), months, keys]);
+        return result.rows;
+    }
+
     // 🆕 Get service breakdown for a specific month
     static async getServiceBreakdownForMonth(monthYear, userId = null) {
         try {
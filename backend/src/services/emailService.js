@@ -1,6 +1,7 @@
 const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const nodemailer = require('nodemailer');
 
 // File-based persistent storage for tokens
 const VERIFICATION_TOKENS_FILE = path.join(__dirname, '../data/email_verification_tokens.json');
@@ -68,6 +69,24 @@ function savePasswordResetTokens(tokens) {
 const verificationTokens = loadVerificationTokens();
 const passwordResetTokens = loadPasswordResetTokens();
 
+// Build an SMTP transport from the environment (SMTP_HOST, or a nodemailer service such as gmail)
+function createTransport() {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+        throw new Error('Email delivery is not configured (EMAIL_USER and EMAIL_PASS are required)');
+    }
+
+    const auth = { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS };
+    if (process.env.SMTP_HOST) {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth
+        });
+    }
+    return nodemailer.createTransport({ service: process.env.EMAIL_SERVICE || 'gmail', auth });
+}
+
 class EmailService {
     static generateVerificationToken() {
         return crypto.randomBytes(32).toString('hex');
@@ -113,6 +132,29 @@ class EmailService {
         return { success: true, message: 'Password reset email sent' };
     }
 
+    static async sendOrganizationInvitation(email, { organizationName, token, expiresAt }) {
+        console.log(`📧 ORGANIZATION INVITATION for ${email} to join "${organizationName}"`);
+        console.log(`🔗 Accept link: http://localhost:3000/accept-invitation?token=${token}`);
+        console.log(`⏰ Expires: ${expiresAt.toISOString()}`);
+
+        return { success: true, message: 'Invitation email sent' };
+    }
+
+    static async sendExportEmail(recipients, { subject, text, attachments = [] }) {
+        const transporter = createTransport();
+
+        const info = await transporter.sendMail({
+            from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+            to: Array.isArray(recipients) ? recipients.join(', ') : recipients,
+            subject,
+            text,
+            attachments
+        });
+
+        console.log(`📧 Export email sent to ${recipients} (${info.messageId})`);
+        return { success: true, messageId: info.messageId, accepted: info.accepted };
+    }
+
     static verifyEmailToken(token) {
         const tokenData = verificationTokens.get(token);
 
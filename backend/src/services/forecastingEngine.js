@@ -6,6 +6,70 @@ const polynomial = require('polynomial-regression');
 const moment = require('moment');
 const DatabaseService = require('./databaseService');
 const WebhookService = require('./webhookService');
+const { fitHoltWinters, fitArima } = require('./forecastingModels');
+
+// Forecast models by algorithm name - generation and backtesting both dispatch through this
+const MODELS = {
+    linear: 'linearForecast',
+    polynomial: 'polynomialForecast',
+    exponential: 'exponentialSmoothingForecast',
+    seasonal: 'seasonalForecast',
+    holt_winters_additive: 'holtWintersAdditiveForecast',
+    holt_winters_multiplicative: 'holtWintersMultiplicativeForecast',
+    arima: 'arimaForecast'
+};
+
+// Rolling-origin backtest: train on everything before an origin, forecast the next
+// `horizon` days, score against what actually happened, then move the origin back
+const BACKTEST_FOLDS = 4;
+const BACKTEST_MIN_TRAIN_DAYS = 21;
+const BACKTEST_MIN_HORIZON = 7;
+const BACKTEST_MAX_HORIZON = 30;
+// The accuracy endpoint backtests this much history, at most once per user, service,
+// horizon, confidence and day (cached in forecast_backtests)
+const ACCURACY_HISTORY_DAYS = 180;
+// Accuracy backtests running on this instance, so concurrent requests share one
+const pendingBacktests = new Map();
+
+// Prediction intervals come from the model's own out-of-sample errors: forecast from
+// earlier origins in the history, record actual - predicted at each step ahead, and
+// read the interval off the quantiles of those errors
+const INTERVAL_MIN_TRAIN_DAYS = 14;
+const INTERVAL_MAX_ORIGINS = 40;
+const INTERVAL_MAX_STEPS = 30;      // Steps beyond this are extrapolated with sqrt(h) growth
+const INTERVAL_MIN_ERRORS = 30;     // Errors pooled from neighbouring steps until there are this many
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation, |error| < 1.2e-9)
+ */
+function normalQuantile(p) {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        return -normalQuantile(1 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Buckets for realised accuracy by how far ahead the forecast was made
+const HORIZON_BUCKETS = [
+    { label: '1-7_days', max: 7 },
+    { label: '8-30_days', max: 30 },
+    { label: '31-90_days', max: 90 },
+    { label: '91+_days', max: Infinity }
+];
 
 class ForecastingEngine {
     constructor() {
@@ -19,7 +83,8 @@ class ForecastingEngine {
 
     /**
      * GAME-CHANGING: Multi-Model Ensemble Forecasting
-     * Combines Linear Regression, Polynomial, Exponential Smoothing, and Seasonal ARIMA
+     * Combines Linear Regression, Polynomial, Exponential Smoothing, Seasonal patterns,
+     * fitted Holt-Winters (additive/multiplicative) and Seasonal ARIMA
      * @param {Array} historicalData - Historical cost data
      * @param {Object} options - Forecasting options
      * @returns {Object} Comprehensive forecast with confidence intervals
@@ -29,12 +94,20 @@ class ForecastingEngine {
             horizon = 90, // Days to forecast
             confidence = 0.95, // Confidence level
             serviceName = 'Total',
-            algorithms = ['linear', 'polynomial', 'exponential', 'seasonal'],
-            realTime = false
+            algorithms = Object.keys(MODELS),
+            realTime = false,
+            userId = null // When set, the forecast is saved for later comparison with actuals
         } = options;
 
         console.log(`🚀 Generating ${horizon}-day forecast for ${serviceName} using ${algorithms.length} algorithms`);
 
+        if (!(confidence > 0 && confidence < 1)) {
+            return {
+                success: false,
+                error: 'Confidence level must be between 0 and 1 (exclusive)'
+            };
+        }
+
         if (!historicalData || historicalData.length < 14) {
             console.log(`⚠️ Insufficient data for forecasting: ${historicalData?.length || 0} < 14 required`);
             return {
@@ -52,45 +125,56 @@ class ForecastingEngine {
 
             // Generate forecasts from multiple models
             const forecasts = {};
-            const modelAccuracy = {};
-
-            // Model 1: Linear Regression with trend
-            if (algorithms.includes('linear')) {
-                console.log('📈 Running Linear Regression forecasting...');
-                forecasts.linear = await this.linearForecast(timeSeries, horizon);
-                modelAccuracy.linear = await this.calculateModelAccuracy(timeSeries, 'linear');
-            }
-
-            // Model 2: Polynomial Regression for non-linear trends
-            if (algorithms.includes('polynomial')) {
-                console.log('📊 Running Polynomial Regression forecasting...');
-                forecasts.polynomial = await this.polynomialForecast(timeSeries, horizon);
-                modelAccuracy.polynomial = await this.calculateModelAccuracy(timeSeries, 'polynomial');
+            for (const algorithm of algorithms) {
+                const method = MODELS[algorithm];
+                if (!method) {
+                    console.log(`⚠️ Unknown forecasting algorithm: ${algorithm}`);
+                    continue;
+                }
+                console.log(`📈 Running ${algorithm} forecasting...`);
+                forecasts[algorithm] = await this[method](timeSeries, horizon);
             }
 
-            // Model 3: Exponential Smoothing for seasonal patterns
-            if (algorithms.includes('exponential')) {
-                console.log('📉 Running Exponential Smoothing forecasting...');
-                forecasts.exponential = await this.exponentialSmoothingForecast(timeSeries, horizon);
-                modelAccuracy.exponential = await this.calculateModelAccuracy(timeSeries, 'exponential');
-            }
+            // Measure every model on this history before deciding how much to trust it
+            console.log('🧪 Backtesting models with rolling-origin evaluation...');
+            const backtest = await this.backtestModels(timeSeries, {
+                algorithms: Object.keys(forecasts),
+                horizon,
+                confidence
+            });
 
-            // Model 4: Seasonal decomposition for weekly/monthly patterns
-            if (algorithms.includes('seasonal')) {
-                console.log('📅 Running Seasonal Pattern forecasting...');
-                forecasts.seasonal = await this.seasonalForecast(timeSeries, horizon);
-                modelAccuracy.seasonal = await this.calculateModelAccuracy(timeSeries, 'seasonal');
-            }
+            const modelAccuracy = {};
+            Object.keys(forecasts).forEach(model => {
+                modelAccuracy[model] = backtest.models[model]?.accuracy ?? null;
+            });
 
             // REVOLUTIONARY: Ensemble method combining all models
             console.log('🎯 Combining forecasts using intelligent ensemble method...');
-            const ensembleForecast = this.combineForecasts(forecasts, modelAccuracy, horizon);
+            const modelWeights = this.calculateModelWeights(Object.keys(forecasts), backtest);
+            const ensembleForecast = this.combineForecasts(forecasts, modelWeights, horizon);
+            const ensembleAccuracy = backtest.ensemble ? backtest.ensemble.accuracy * 100 : null;
 
-            // Calculate confidence intervals
+            // Prediction intervals from each model's out-of-sample errors on this history;
+            // the ensemble's own errors (not a blend of model bounds) give its interval
+            const errorRuns = await this.collectForecastErrors(
+                timeSeries,
+                ensembleForecast.usedModels,
+                horizon,
+                this.getRefitOptions(forecasts)
+            );
+            ensembleForecast.usedModels.forEach(model => {
+                forecasts[model].confidenceIntervals = this.calculateConfidenceIntervals(
+                    timeSeries,
+                    forecasts[model],
+                    confidence,
+                    this.forecastErrorsByStep(errorRuns, { [model]: 1 })
+                );
+            });
             const confidenceIntervals = this.calculateConfidenceIntervals(
                 timeSeries, 
                 ensembleForecast, 
-                confidence
+                confidence,
+                this.forecastErrorsByStep(errorRuns, ensembleForecast.modelWeights)
             );
 
             // Generate insights and recommendations
@@ -110,17 +194,14 @@ class ForecastingEngine {
                     // Confidence intervals
                     confidenceIntervals: confidenceIntervals,
                     
-                    // Model performance
+                    // Model performance, measured by backtesting (null when history is too short)
                     modelAccuracy: modelAccuracy,
-                    ensembleAccuracy: ensembleForecast.accuracy,
+                    ensembleAccuracy: ensembleAccuracy,
+                    modelWeights: ensembleForecast.modelWeights,
+                    backtest: backtest,
                     
                     // Individual model results
-                    individualModels: {
-                        linear: forecasts.linear,
-                        polynomial: forecasts.polynomial,
-                        exponential: forecasts.exponential,
-                        seasonal: forecasts.seasonal
-                    },
+                    individualModels: forecasts,
                     
                     // Business insights
                     insights: insights,
@@ -136,11 +217,12 @@ class ForecastingEngine {
                 }
             };
 
-            // Cache the forecast
-            const cacheKey = `${serviceName}_${horizon}_${Date.now()}`;
-            this.forecastCache.set(cacheKey, result);
+            // Persist the forecast so it can be scored against actuals later
+            if (userId) {
+                result.forecast.forecastId = await this.saveForecast(userId, result.forecast);
+            }
 
-            console.log(`✅ Forecast generated successfully: ${ensembleForecast.accuracy.toFixed(1)}% accuracy`);
+            console.log(`✅ Forecast generated successfully: ${ensembleAccuracy !== null ? `${ensembleAccuracy.toFixed(1)}% backtested accuracy` : 'accuracy not measurable yet'}`);
             
             // Send webhook notification for significant predictions
             if (realTime && insights.significantChanges.length > 0) {
@@ -163,9 +245,22 @@ class ForecastingEngine {
      * Prepare time series data for forecasting
      */
     static prepareTimeSeriesData(historicalData) {
-        // Sort by date and create time series
-        const sorted = historicalData
+        // Sum rows that share a date (several services or resources per day) into one point
+        const byDate = new Map();
+        historicalData
             .filter(d => d.cost_amount !== undefined && d.cost_amount !== null)
+            .forEach(item => {
+                const timestamp = new Date(item.date || item.created_at).getTime();
+                const value = parseFloat(item.cost_amount || item.total_cost || 0);
+                if (byDate.has(timestamp)) {
+                    byDate.get(timestamp).cost_amount += value;
+                } else {
+                    byDate.set(timestamp, { date: item.date, created_at: item.created_at, cost_amount: value });
+                }
+            });
+
+        // Sort by date and create time series
+        const sorted = Array.from(byDate.values())
             .sort((a, b) => new Date(a.date || a.created_at) - new Date(b.date || b.created_at));
 
         return sorted.map((item, index) => ({
@@ -181,7 +276,7 @@ class ForecastingEngine {
     /**
      * LINEAR REGRESSION FORECASTING with trend analysis
      */
-    static async linearForecast(timeSeries, horizon) {
+    static async linearForecast(timeSeries, horizon, options = {}) {
         try {
             // Prepare data for regression
             const data = timeSeries.map(point => [point.index, point.value]);
@@ -208,7 +303,7 @@ class ForecastingEngine {
                 });
             }
 
-            console.log(`📈 Linear forecast: R² = ${r2.toFixed(3)}, trend = ${equation[0] > 0 ? 'increasing' : 'decreasing'}`);
+            if (!options.quiet) console.log(`📈 Linear forecast: R² = ${r2.toFixed(3)}, trend = ${equation[0] > 0 ? 'increasing' : 'decreasing'}`);
 
             return {
                 predictions: predictions,
@@ -226,7 +321,7 @@ class ForecastingEngine {
     /**
      * POLYNOMIAL REGRESSION FORECASTING for non-linear trends
      */
-    static async polynomialForecast(timeSeries, horizon) {
+    static async polynomialForecast(timeSeries, horizon, options = {}) {
         try {
             // Use degree 2 polynomial for balance between accuracy and overfitting
             const degree = Math.min(3, Math.floor(timeSeries.length / 10));
@@ -272,7 +367,7 @@ class ForecastingEngine {
                 });
             }
 
-            console.log(`📊 Polynomial forecast (degree ${degree}): R² = ${r2.toFixed(3)}`);
+            if (!options.quiet) console.log(`📊 Polynomial forecast (degree ${degree}): R² = ${r2.toFixed(3)}`);
 
             return {
                 predictions: predictions,
@@ -290,7 +385,7 @@ class ForecastingEngine {
     /**
      * EXPONENTIAL SMOOTHING FORECASTING for trend and seasonality
      */
-    static async exponentialSmoothingForecast(timeSeries, horizon) {
+    static async exponentialSmoothingForecast(timeSeries, horizon, options = {}) {
         try {
             const values = timeSeries.map(point => point.value);
             
@@ -352,7 +447,7 @@ class ForecastingEngine {
                 });
             }
 
-            console.log(`📉 Exponential smoothing forecast: α=${alpha}, β=${beta}, γ=${gamma}`);
+            if (!options.quiet) console.log(`📉 Exponential smoothing forecast: α=${alpha}, β=${beta}, γ=${gamma}`);
 
             return {
                 predictions: predictions,
@@ -371,7 +466,7 @@ class ForecastingEngine {
     /**
      * SEASONAL PATTERN FORECASTING based on historical patterns
      */
-    static async seasonalForecast(timeSeries, horizon) {
+    static async seasonalForecast(timeSeries, horizon, options = {}) {
         try {
             // Extract weekly and monthly patterns
             const weeklyPattern = this.extractWeeklyPattern(timeSeries);
@@ -408,7 +503,7 @@ class ForecastingEngine {
                 });
             }
 
-            console.log(`📅 Seasonal forecast: trend = ${trend > 0 ? 'positive' : 'negative'}`);
+            if (!options.quiet) console.log(`📅 Seasonal forecast: trend = ${trend > 0 ? 'positive' : 'negative'}`);
 
             return {
                 predictions: predictions,
@@ -423,10 +518,104 @@ class ForecastingEngine {
         }
     }
 
+    /**
+     * HOLT-WINTERS FORECASTING - triple exponential smoothing with a damped trend,
+     * smoothing parameters fitted to this history
+     * options.seasonality: 'additive' (default) or 'multiplicative'
+     */
+    static async holtWintersForecast(timeSeries, horizon, options = {}) {
+        const { seasonality = 'additive' } = options;
+
+        try {
+            const values = timeSeries.map(point => point.value);
+            const model = fitHoltWinters(values, { seasonality });
+            const skip = model.seasonalPeriod;
+            const r2 = this.calculateR2(values.slice(skip), model.fitted.slice(skip));
+
+            const predictions = model.forecast(horizon).map((value, i) => {
+                const futureDate = new Date(timeSeries[timeSeries.length - 1].timestamp);
+                futureDate.setDate(futureDate.getDate() + i + 1);
+
+                return {
+                    date: futureDate.toISOString().split('T')[0],
+                    value: Math.max(0, value),
+                    confidence: r2
+                };
+            });
+
+            const { alpha, beta, gamma, phi } = model.params;
+            if (!options.quiet) console.log(`🌊 Holt-Winters (${model.seasonality}) forecast: α=${alpha.toFixed(3)}, β=${beta.toFixed(3)}, γ=${gamma.toFixed(3)}, φ=${phi.toFixed(3)}, AIC = ${model.aic.toFixed(1)}`);
+
+            return {
+                predictions: predictions,
+                seasonality: model.seasonality,
+                seasonalPeriod: model.seasonalPeriod,
+                params: model.params,
+                aic: model.aic,
+                r2: r2,
+                reliability: r2 > 0.7 ? 'high' : r2 > 0.4 ? 'medium' : 'low'
+            };
+        } catch (error) {
+            // Refits on short backtest windows are expected to fail now and then
+            if (!options.quiet) console.error(`❌ Holt-Winters (${seasonality}) forecasting failed:`, error.message);
+            return { predictions: [], error: error.message };
+        }
+    }
+
+    static async holtWintersAdditiveForecast(timeSeries, horizon, options = {}) {
+        return this.holtWintersForecast(timeSeries, horizon, { ...options, seasonality: 'additive' });
+    }
+
+    static async holtWintersMultiplicativeForecast(timeSeries, horizon, options = {}) {
+        return this.holtWintersForecast(timeSeries, horizon, { ...options, seasonality: 'multiplicative' });
+    }
+
+    /**
+     * SEASONAL ARIMA FORECASTING - weekly SARIMA errors plus monthly Fourier terms,
+     * orders selected by AIC on this history
+     * options.order refits a previously selected order without searching again
+     */
+    static async arimaForecast(timeSeries, horizon, options = {}) {
+        try {
+            const values = timeSeries.map(point => point.value);
+            const model = fitArima(values, timeSeries.map(point => point.timestamp), { order: options.order });
+            const r2 = values.length > 1 ? Math.max(0, 1 - model.sigma2 / ss.variance(values)) : 0;
+
+            const predictions = model.forecast(horizon).map((value, i) => {
+                const futureDate = new Date(timeSeries[timeSeries.length - 1].timestamp);
+                futureDate.setDate(futureDate.getDate() + i + 1);
+
+                return {
+                    date: futureDate.toISOString().split('T')[0],
+                    value: Math.max(0, value),
+                    confidence: r2
+                };
+            });
+
+            const { p, d, q, P, D, Q, s, fourierTerms } = model.order;
+            const label = `SARIMA(${p},${d},${q})(${P},${D},${Q})[${s}]${fourierTerms > 0 ? ` + ${fourierTerms} monthly harmonic(s)` : ''}`;
+            if (!options.quiet) console.log(`🧮 ${label}: AIC = ${model.aic.toFixed(1)} (${model.candidatesEvaluated} candidates)`);
+
+            return {
+                predictions: predictions,
+                model: label,
+                order: model.order,
+                coefficients: model.coefficients,
+                aic: model.aic,
+                candidatesEvaluated: model.candidatesEvaluated,
+                refitOptions: { order: model.order },
+                reliability: r2 > 0.7 ? 'high' : r2 > 0.4 ? 'medium' : 'low'
+            };
+        } catch (error) {
+            if (!options.quiet) console.error('❌ ARIMA forecasting failed:', error.message);
+            return { predictions: [], error: error.message };
+        }
+    }
+
     /**
      * ENSEMBLE METHOD: Intelligently combine multiple forecasts
      */
-    static combineForecasts(forecasts, accuracyMetrics, horizon) {
+    static combineForecasts(forecasts, modelWeights, horizon) {
         console.log('🎯 Combining forecasts using weighted ensemble method...');
         
         const models = Object.keys(forecasts).filter(key => 
@@ -437,16 +626,12 @@ class ForecastingEngine {
             throw new Error('No valid forecasts to combine');
         }
         
-        // Calculate model weights based on accuracy and reliability
+        // Use the backtested weights, renormalised over the models that produced a forecast
         const weights = {};
         let totalWeight = 0;
         
         models.forEach(model => {
-            const accuracy = accuracyMetrics[model] || 0.5;
-            const reliability = forecasts[model].reliability === 'high' ? 1.2 : 
-                               forecasts[model].reliability === 'medium' ? 1.0 : 0.8;
-            
-            weights[model] = accuracy * reliability;
+            weights[model] = modelWeights[model] ?? 1 / models.length;
             totalWeight += weights[model];
         });
         
@@ -494,12 +679,7 @@ class ForecastingEngine {
         const volatility = ss.standardDeviation(values) / ss.mean(values);
         const seasonality = this.calculateSeasonalityStrength(values);
         
-        // Calculate overall ensemble accuracy
-        const accuracy = Object.keys(weights).reduce((acc, model) => {
-            return acc + (accuracyMetrics[model] || 0.5) * weights[model];
-        }, 0);
-        
-        console.log(`✅ Ensemble forecast complete: ${models.length} models combined, ${accuracy.toFixed(1)}% accuracy`);
+        console.log(`✅ Ensemble forecast complete: ${models.length} models combined`);
         
         return {
             predictions: predictions,
@@ -508,7 +688,6 @@ class ForecastingEngine {
             trend: trend,
             volatility: volatility,
             seasonality: seasonality,
-            accuracy: accuracy * 100,
             modelWeights: weights,
             usedModels: models
         };
@@ -628,61 +807,368 @@ class ForecastingEngine {
     }
 
     /**
-     * Calculate model accuracy using cross-validation
+     * Rolling-origin backtest of each model on the series itself
+     * @param {Array} timeSeries - Prepared time series
+     * @param {Object} options - { algorithms, horizon, confidence, folds }
+     * @returns {Object} Per-model and ensemble MAPE, sMAPE, interval coverage and accuracy
      */
-    static async calculateModelAccuracy(timeSeries, modelType) {
-        // Simple accuracy estimation based on model type and data characteristics
-        const dataLength = timeSeries.length;
-        const values = timeSeries.map(p => p.value);
-        const volatility = ss.standardDeviation(values) / ss.mean(values);
-        
-        let baseAccuracy = 0.7; // Default accuracy
-        
-        switch (modelType) {
-            case 'linear':
-                baseAccuracy = 0.75 - volatility * 0.2;
-                break;
-            case 'polynomial':
-                baseAccuracy = 0.80 - volatility * 0.3;
-                break;
-            case 'exponential':
-                baseAccuracy = 0.78 - volatility * 0.25;
-                break;
-            case 'seasonal':
-                baseAccuracy = 0.73 - volatility * 0.2;
-                break;
+    static async backtestModels(timeSeries, options = {}) {
+        const {
+            algorithms = Object.keys(MODELS),
+            horizon = BACKTEST_MAX_HORIZON,
+            confidence = 0.95,
+            folds = BACKTEST_FOLDS
+        } = options;
+
+        const n = timeSeries.length;
+        const testHorizon = Math.min(horizon, BACKTEST_MAX_HORIZON, n - BACKTEST_MIN_TRAIN_DAYS);
+
+        if (testHorizon < BACKTEST_MIN_HORIZON) {
+            const required = BACKTEST_MIN_TRAIN_DAYS + BACKTEST_MIN_HORIZON;
+            console.log(`⚠️ Backtest skipped: ${n} data points, ${required} required`);
+            return {
+                measured: false,
+                reason: `At least ${required} days of history are needed to backtest`,
+                models: {},
+                ensemble: null
+            };
         }
-        
-        // Adjust for data length
-        const lengthFactor = Math.min(1, dataLength / 30);
-        
-        return Math.max(0.4, Math.min(0.95, baseAccuracy * lengthFactor));
+
+        // Spread the origins over the history we have, newest first
+        const spare = n - testHorizon - BACKTEST_MIN_TRAIN_DAYS;
+        const foldCount = Math.min(folds, spare + 1);
+        const step = foldCount > 1 ? Math.max(1, Math.floor(spare / (foldCount - 1))) : 0;
+
+        const foldResults = [];
+        for (let fold = 0; fold < foldCount; fold++) {
+            const origin = n - testHorizon - fold * step;
+            const train = timeSeries.slice(0, origin);
+            const actuals = timeSeries.slice(origin, origin + testHorizon).map(point => point.value);
+            const predictions = {};
+
+            for (const algorithm of algorithms) {
+                const method = MODELS[algorithm];
+                if (!method) continue;
+
+                const forecast = await this[method](train, testHorizon, { quiet: true });
+                if (!forecast.predictions || forecast.predictions.length === 0) continue;
+
+                predictions[algorithm] = {
+                    forecast: forecast,
+                    values: forecast.predictions.map(p => p.value)
+                };
+            }
+
+            // Intervals only see the training window, so coverage is measured out of sample
+            const foldForecasts = {};
+            Object.keys(predictions).forEach(algorithm => {
+                foldForecasts[algorithm] = predictions[algorithm].forecast;
+            });
+            const errorRuns = await this.collectForecastErrors(
+                train,
+                Object.keys(predictions),
+                testHorizon,
+                this.getRefitOptions(foldForecasts)
+            );
+            Object.keys(predictions).forEach(algorithm => {
+                predictions[algorithm].intervals = this.calculateConfidenceIntervals(
+                    train,
+                    predictions[algorithm].forecast,
+                    confidence,
+                    this.forecastErrorsByStep(errorRuns, { [algorithm]: 1 })
+                );
+            });
+
+            foldResults.push({ origin, train, trainSize: train.length, actuals, predictions, errorRuns });
+        }
+
+        // Score each model across all folds
+        const models = {};
+        algorithms.forEach(algorithm => {
+            const scored = foldResults.filter(fold => fold.predictions[algorithm]);
+            if (scored.length === 0) return;
+
+            models[algorithm] = this.calculateErrorMetrics(
+                scored.flatMap(fold => fold.actuals),
+                scored.flatMap(fold => fold.predictions[algorithm].values),
+                scored.flatMap(fold => fold.predictions[algorithm].intervals)
+            );
+        });
+
+        // Score the ensemble the way generateForecast builds it, from these weights
+        const weights = this.calculateModelWeights(Object.keys(models), { measured: true, models });
+        const ensembleActuals = [];
+        const ensembleValues = [];
+        const ensembleIntervals = [];
+        foldResults.forEach(fold => {
+            const foldModels = Object.keys(models).filter(model => fold.predictions[model]);
+            const foldWeight = foldModels.reduce((sum, model) => sum + weights[model], 0);
+            if (foldWeight === 0) return;
+
+            const values = fold.actuals.map((_, i) => foldModels.reduce((sum, model) =>
+                sum + fold.predictions[model].values[i] * weights[model], 0) / foldWeight);
+            const intervals = this.calculateConfidenceIntervals(
+                fold.train,
+                { predictions: values.map(value => ({ value })) },
+                confidence,
+                this.forecastErrorsByStep(fold.errorRuns, weights)
+            );
+
+            ensembleActuals.push(...fold.actuals);
+            ensembleValues.push(...values);
+            ensembleIntervals.push(...intervals);
+        });
+
+        const ensemble = ensembleActuals.length > 0
+            ? this.calculateErrorMetrics(ensembleActuals, ensembleValues, ensembleIntervals)
+            : null;
+
+        console.log(`🧪 Backtest complete: ${foldCount} folds × ${testHorizon} days, ensemble sMAPE ${ensemble ? ensemble.smape.toFixed(1) : 'n/a'}%`);
+
+        return {
+            measured: true,
+            method: 'rolling_origin',
+            folds: foldCount,
+            horizon: testHorizon,
+            confidenceLevel: confidence,
+            origins: foldResults.map(fold => ({
+                date: timeSeries[fold.origin].date,
+                trainSize: fold.trainSize
+            })),
+            models,
+            ensemble,
+            weights
+        };
+    }
+
+    /**
+     * MAPE, sMAPE (percent) and prediction interval coverage for paired actuals/predictions
+     * accuracy = 1 - sMAPE/100, floored at 0
+     */
+    static calculateErrorMetrics(actuals, predicted, intervals = []) {
+        let apeSum = 0;
+        let apeCount = 0;
+        let sapeSum = 0;
+        let covered = 0;
+        let intervalCount = 0;
+
+        actuals.forEach((actual, i) => {
+            const forecast = predicted[i];
+            const error = Math.abs(forecast - actual);
+
+            // MAPE is undefined for zero-cost days; sMAPE still counts them
+            if (actual !== 0) {
+                apeSum += error / Math.abs(actual);
+                apeCount++;
+            }
+
+            const denominator = Math.abs(actual) + Math.abs(forecast);
+            sapeSum += denominator > 0 ? (2 * error) / denominator : 0;
+
+            const interval = intervals[i];
+            if (interval) {
+                intervalCount++;
+                if (actual >= interval.lowerBound && actual <= interval.upperBound) covered++;
+            }
+        });
+
+        const smape = actuals.length > 0 ? (sapeSum / actuals.length) * 100 : null;
+
+        return {
+            mape: apeCount > 0 ? (apeSum / apeCount) * 100 : null,
+            smape: smape,
+            coverage: intervalCount > 0 ? covered / intervalCount : null,
+            accuracy: smape !== null ? Math.max(0, 1 - smape / 100) : null,
+            points: actuals.length
+        };
+    }
+
+    /**
+     * Ensemble weights inversely proportional to each model's backtested sMAPE.
+     * Without a backtest every model gets the same weight.
+     */
+    static calculateModelWeights(models, backtest) {
+        const weights = {};
+        if (models.length === 0) return weights;
+
+        const measured = backtest?.measured
+            ? models.filter(model => backtest.models[model]?.smape !== null && backtest.models[model]?.smape !== undefined)
+            : [];
+
+        if (measured.length === 0) {
+            models.forEach(model => {
+                weights[model] = 1 / models.length;
+            });
+            return weights;
+        }
+
+        // 0.1% floor so a perfect fit on a flat series doesn't divide by zero
+        let total = 0;
+        models.forEach(model => {
+            const smape = backtest.models[model]?.smape;
+            weights[model] = measured.includes(model) ? 1 / Math.max(smape, 0.1) : 0;
+            total += weights[model];
+        });
+        models.forEach(model => {
+            weights[model] = weights[model] / total;
+        });
+
+        return weights;
     }
 
     /**
-     * Calculate confidence intervals for predictions
+     * Forecast from earlier origins in the series and keep what each model predicted
+     * next to what actually happened - the raw material for prediction intervals.
+     * refitOptions[model] is passed to each refit (e.g. the ARIMA order already selected)
+     * @returns {Array} [{ actuals: [...], predictions: { model: [...] } }], one entry per origin
      */
-    static calculateConfidenceIntervals(timeSeries, ensembleForecast, confidenceLevel) {
+    static async collectForecastErrors(timeSeries, algorithms, horizon, refitOptions = {}) {
+        const n = timeSeries.length;
+        const maxSteps = Math.min(horizon, INTERVAL_MAX_STEPS);
+        const firstOrigin = INTERVAL_MIN_TRAIN_DAYS;
+        if (n <= firstOrigin || algorithms.length === 0) return [];
+
+        // Evenly spaced origins, always including the latest possible one
+        const stride = Math.max(1, Math.ceil((n - firstOrigin) / INTERVAL_MAX_ORIGINS));
+        const runs = [];
+        for (let origin = n - 1; origin >= firstOrigin; origin -= stride) {
+            const train = timeSeries.slice(0, origin);
+            const steps = Math.min(maxSteps, n - origin);
+            const run = {
+                actuals: timeSeries.slice(origin, origin + steps).map(point => point.value),
+                predictions: {}
+            };
+
+            for (const algorithm of algorithms) {
+                const method = MODELS[algorithm];
+                if (!method) continue;
+                const forecast = await this[method](train, steps, { quiet: true, ...refitOptions[algorithm] });
+                if (forecast.predictions && forecast.predictions.length === steps) {
+                    run.predictions[algorithm] = forecast.predictions.map(p => p.value);
+                }
+            }
+            runs.push(run);
+        }
+
+        return runs;
+    }
+
+    /**
+     * Options that let a model be refitted on sub-windows without repeating its
+     * specification search (only ARIMA has one today)
+     */
+    static getRefitOptions(forecasts) {
+        const refitOptions = {};
+        Object.keys(forecasts).forEach(model => {
+            if (forecasts[model].refitOptions) {
+                refitOptions[model] = forecasts[model].refitOptions;
+            }
+        });
+        return refitOptions;
+    }
+
+    /**
+     * Errors (actual - predicted) grouped by step ahead for a weighted combination of models.
+     * A single model is just { [model]: 1 }. Combining per run keeps the correlation between
+     * model errors, which averaging the models' own interval bounds would ignore.
+     * @returns {Array} errors[h - 1] = errors observed h steps after the origin
+     */
+    static forecastErrorsByStep(runs, weights) {
+        const byStep = [];
+
+        runs.forEach(run => {
+            const models = Object.keys(weights).filter(model => weights[model] > 0 && run.predictions[model]);
+            const totalWeight = models.reduce((sum, model) => sum + weights[model], 0);
+            if (totalWeight === 0) return;
+
+            run.actuals.forEach((actual, i) => {
+                const predicted = models.reduce((sum, model) =>
+                    sum + run.predictions[model][i] * weights[model], 0) / totalWeight;
+                if (!byStep[i]) byStep[i] = [];
+                byStep[i].push(actual - predicted);
+            });
+        });
+
+        return byStep;
+    }
+
+    /**
+     * Prediction intervals at any confidence level
+     * Each step's interval is the forecast plus the empirical quantiles of the errors seen
+     * that many steps ahead (neighbouring steps pooled until there are enough), with a
+     * finite-sample correction so the interval is not narrower than the data supports.
+     * Steps beyond the measured range widen with sqrt(h). A level too extreme for the
+     * sample extrapolates past its extreme errors; with too little history a normal interval
+     * from the day-over-day changes is used instead. `method` on each interval says which.
+     */
+    static calculateConfidenceIntervals(timeSeries, forecast, confidenceLevel, errorsByStep = []) {
+        const alpha = 1 - confidenceLevel;
+        const z = normalQuantile(1 - alpha / 2);
+        const measuredSteps = errorsByStep.length;
+        const totalErrors = errorsByStep.reduce((sum, errors) => sum + (errors ? errors.length : 0), 0);
+
+        // Random-walk fallback: spread of day-over-day changes, growing with sqrt(h)
         const values = timeSeries.map(p => p.value);
-        const stdDev = ss.standardDeviation(values);
-        const mean = ss.mean(values);
-        
-        // Z-score for confidence level
-        const zScore = confidenceLevel === 0.95 ? 1.96 : confidenceLevel === 0.90 ? 1.645 : 1.96;
-        
-        return ensembleForecast.predictions.map((prediction, index) => {
-            // Increase uncertainty over time
-            const timeDecay = 1 + (index / ensembleForecast.predictions.length) * 0.5;
-            const adjustedStdDev = stdDev * timeDecay;
-            
-            const margin = zScore * adjustedStdDev;
-            
+        const changes = values.slice(1).map((value, i) => value - values[i]);
+        const walkStdDev = changes.length > 1 ? ss.standardDeviation(changes) : (values.length > 1 ? ss.standardDeviation(values) : 0);
+
+        const pooledErrors = (step) => {
+            let errors = (errorsByStep[step - 1] || []).slice();
+            for (let k = 1; errors.length < INTERVAL_MIN_ERRORS && (step - k >= 1 || step + k <= measuredSteps); k++) {
+                if (step - k >= 1) errors = errors.concat(errorsByStep[step - k - 1] || []);
+                if (step + k <= measuredSteps) errors = errors.concat(errorsByStep[step + k - 1] || []);
+            }
+            return errors.sort((a, b) => a - b);
+        };
+
+        return forecast.predictions.map((prediction, index) => {
+            const step = index + 1;
+            let lowerMargin;
+            let upperMargin;
+            let method;
+            let sampleSize = 0;
+
+            if (totalErrors >= INTERVAL_MIN_ERRORS) {
+                const measuredStep = Math.min(step, measuredSteps);
+                const errors = pooledErrors(measuredStep);
+                const growth = Math.sqrt(step / measuredStep);
+                sampleSize = errors.length;
+
+                // Conformal-style rank: the ceil((m + 1)(1 - alpha/2))-th of m sorted errors
+                const m = errors.length;
+                const upperRank = Math.ceil((m + 1) * (1 - alpha / 2));
+
+                if (upperRank <= m) {
+                    lowerMargin = errors[m - upperRank] * growth;
+                    upperMargin = errors[upperRank - 1] * growth;
+                    method = step > measuredSteps ? 'empirical_extrapolated' : 'empirical';
+                } else {
+                    // Too few errors to resolve this tail: extrapolate past the sample extremes,
+                    // which sit at one-sided level m/(m+1), scaling their distance from the centre
+                    // by the ratio of normal quantiles. Never narrower than the normal interval or
+                    // the extremes themselves, so intervals stay nested across levels.
+                    const center = ss.mean(errors);
+                    const spread = ss.standardDeviation(errors);
+                    const tailRatio = z / normalQuantile(m / (m + 1));
+                    lowerMargin = Math.min(center - z * spread, center + (errors[0] - center) * tailRatio) * growth;
+                    upperMargin = Math.max(center + z * spread, center + (errors[m - 1] - center) * tailRatio) * growth;
+                    method = 'tail_extrapolated';
+                }
+            } else {
+                const margin = z * walkStdDev * Math.sqrt(step);
+                lowerMargin = -margin;
+                upperMargin = margin;
+                method = 'normal_random_walk';
+            }
+
             return {
                 date: prediction.date,
                 predicted: prediction.value,
-                lowerBound: Math.max(0, prediction.value - margin),
-                upperBound: prediction.value + margin,
-                confidence: prediction.confidence
+                lowerBound: Math.max(0, prediction.value + lowerMargin),
+                upperBound: Math.max(0, prediction.value + upperMargin),
+                confidenceLevel: confidenceLevel,
+                method: method,
+                sampleSize: sampleSize
             };
         });
     }
@@ -764,6 +1250,233 @@ class ForecastingEngine {
             console.error('❌ Error sending forecast notifications:', error);
         }
     }
+
+    /**
+     * Daily cost totals from the user's cost_records
+     * @param {string|number} userId - User ID
+     * @param {Object} options - { startDate, endDate, serviceName, accountId, groupByService }
+     *                           'Total' or no service means all services; accountId limits the
+     *                           history to one linked account
+     * @returns {Array} [{ date, cost_amount, service_name }] - one row per day, or per day and
+     *                  service with groupByService
+     */
+    static async getDailyCostHistory(userId, options = {}) {
+        const { startDate, endDate, serviceName, accountId, groupByService = false } = options;
+        const values = [DatabaseService.getUserIdForDatabase(userId), startDate, endDate];
+        let serviceFilter = '';
+
+        if (serviceName && serviceName !== 'Total') {
+            values.push(serviceName);
+            serviceFilter = `AND service_name = $${values.length}`;
+        }
+        if (accountId) {
+            values.push(String(accountId));
+            serviceFilter += ` AND linked_account_id = $${values.length}`;
+        }
+
+        const serviceColumn = groupByService ? ', service_name' : '';
+        const result = await DatabaseService.query(`
+            SELECT TO_CHAR(date, 'YYYY-MM-DD') AS date, SUM(cost_amount) AS cost_amount${serviceColumn}
+            FROM cost_records
+            WHERE user_id = $1 AND date >= $2 AND date <= $3 ${serviceFilter}
+            GROUP BY date${serviceColumn}
+            ORDER BY date
+        `, values);
+
+        return result.rows.map(row => ({
+            date: row.date,
+            cost_amount: parseFloat(row.cost_amount),
+            service_name: row.service_name || serviceName || 'Total'
+        }));
+    }
+
+    /**
+     * Save a generated forecast and its daily predictions
+     * @returns {number|null} Forecast ID, or null if it could not be saved
+     */
+    static async saveForecast(userId, forecast) {
+        try {
+            const saved = await DatabaseService.query(`
+                INSERT INTO forecasts
+                (user_id, service_name, horizon, confidence_level, algorithms, model_weights, backtest, ensemble_accuracy)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING id;
+            `, [
+                DatabaseService.getUserIdForDatabase(userId),
+                forecast.serviceName,
+                forecast.horizon,
+                forecast.confidenceLevel,
+                JSON.stringify(Object.keys(forecast.individualModels)),
+                JSON.stringify(forecast.modelWeights),
+                JSON.stringify(forecast.backtest),
+                forecast.ensembleAccuracy
+            ]);
+            const forecastId = saved.rows[0].id;
+
+            const intervals = forecast.confidenceIntervals;
+            await DatabaseService.query(`
+                INSERT INTO forecast_points (forecast_id, forecast_date, predicted, lower_bound, upper_bound)
+                SELECT $1, * FROM UNNEST($2::date[], $3::numeric[], $4::numeric[], $5::numeric[]);
+            `, [
+                forecastId,
+                intervals.map(point => point.date),
+                intervals.map(point => point.predicted),
+                intervals.map(point => point.lowerBound),
+                intervals.map(point => point.upperBound)
+            ]);
+
+            console.log(`💾 Saved forecast ${forecastId} (${intervals.length} days) for ${forecast.serviceName}`);
+            return forecastId;
+        } catch (error) {
+            // Losing the history entry shouldn't lose the user their forecast
+            console.error('❌ Error saving forecast:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Score saved forecasts against the actual costs recorded since
+     * @param {string|number} userId - User ID
+     * @param {string} serviceName - Service name or 'Total'
+     * @param {number} period - Look at forecasted days within the last `period` days
+     * @returns {Object} Overall and per-horizon MAPE, sMAPE and coverage
+     */
+    static async getRealizedAccuracy(userId, serviceName, period = 30) {
+        const values = [DatabaseService.getUserIdForDatabase(userId), serviceName, String(period)];
+        const actualsFilter = serviceName !== 'Total' ? 'AND service_name = $2' : '';
+
+        const result = await DatabaseService.query(`
+            SELECT f.id AS forecast_id,
+                   p.forecast_date - f.generated_at::date AS days_ahead,
+                   p.predicted, p.lower_bound, p.upper_bound, a.actual
+            FROM forecasts f
+            JOIN forecast_points p ON p.forecast_id = f.id
+            JOIN (
+                SELECT date, SUM(cost_amount) AS actual
+                FROM cost_records
+                WHERE user_id = $1 ${actualsFilter}
+                GROUP BY date
+            ) a ON a.date = p.forecast_date
+            WHERE f.user_id = $1
+              AND f.service_name = $2
+              AND p.forecast_date >= CURRENT_DATE - ($3 || ' days')::INTERVAL
+              AND p.forecast_date < CURRENT_DATE
+        `, values);
+
+        const rows = result.rows.map(row => ({
+            forecastId: row.forecast_id,
+            daysAhead: parseInt(row.days_ahead),
+            predicted: parseFloat(row.predicted),
+            actual: parseFloat(row.actual),
+            interval: row.lower_bound !== null && row.upper_bound !== null
+                ? { lowerBound: parseFloat(row.lower_bound), upperBound: parseFloat(row.upper_bound) }
+                : null
+        }));
+
+        const score = (subset) => this.calculateErrorMetrics(
+            subset.map(row => row.actual),
+            subset.map(row => row.predicted),
+            subset.map(row => row.interval)
+        );
+
+        const byHorizon = {};
+        let lower = 0;
+        HORIZON_BUCKETS.forEach(bucket => {
+            const subset = rows.filter(row => row.daysAhead > lower && row.daysAhead <= bucket.max);
+            if (subset.length > 0) byHorizon[bucket.label] = score(subset);
+            lower = bucket.max;
+        });
+
+        return {
+            forecastsScored: new Set(rows.map(row => row.forecastId)).size,
+            overall: rows.length > 0 ? score(rows) : null,
+            byHorizon
+        };
+    }
+
+    /**
+     * Today's backtest of every model on a service's history: from forecast_backtests when
+     * it has already run today, otherwise run and stored there
+     * @returns {Object} { dataPoints, backtest, computedAt }
+     */
+    static async getDailyBacktest(userId, serviceName, horizon, confidence) {
+        const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+        const testHorizon = Math.min(horizon, BACKTEST_MAX_HORIZON);
+        // Rounded like confidence_level, so the lookup matches what was stored
+        const testConfidence = Math.round(confidence * 1000) / 1000;
+        const key = [dbUserId, serviceName, testHorizon, testConfidence];
+
+        const cached = await DatabaseService.query(`
+            SELECT data_points, backtest, computed_at
+            FROM forecast_backtests
+            WHERE user_id = $1 AND service_name = $2 AND horizon = $3 AND confidence_level = $4
+              AND backtest_date = CURRENT_DATE
+        `, key);
+        if (cached.rows.length > 0) {
+            const row = cached.rows[0];
+            return { dataPoints: row.data_points, backtest: row.backtest, computedAt: row.computed_at };
+        }
+
+        const pendingKey = key.join('|');
+        if (!pendingBacktests.has(pendingKey)) {
+            const run = (async () => {
+                const endDate = new Date();
+                const startDate = new Date();
+                startDate.setDate(startDate.getDate() - ACCURACY_HISTORY_DAYS);
+                const history = await this.getDailyCostHistory(userId, {
+                    startDate: startDate.toISOString().split('T')[0],
+                    endDate: endDate.toISOString().split('T')[0],
+                    serviceName
+                });
+
+                const timeSeries = this.prepareTimeSeriesData(history);
+                const backtest = await this.backtestModels(timeSeries, { horizon: testHorizon, confidence: testConfidence });
+
+                // Earlier days' backtests of this user are stale; keep only today's
+                await DatabaseService.query(
+                    'DELETE FROM forecast_backtests WHERE user_id = $1 AND backtest_date < CURRENT_DATE',
+                    [dbUserId]
+                );
+                const saved = await DatabaseService.query(`
+                    INSERT INTO forecast_backtests (user_id, service_name, horizon, confidence_level, data_points, backtest)
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                    ON CONFLICT (user_id, service_name, horizon, confidence_level, backtest_date)
+                    DO UPDATE SET data_points = EXCLUDED.data_points, backtest = EXCLUDED.backtest, computed_at = NOW()
+                    RETURNING computed_at;
+                `, [...key, timeSeries.length, JSON.stringify(backtest)]);
+                return { dataPoints: timeSeries.length, backtest, computedAt: saved.rows[0].computed_at };
+            })().finally(() => pendingBacktests.delete(pendingKey));
+            pendingBacktests.set(pendingKey, run);
+        }
+        return pendingBacktests.get(pendingKey);
+    }
+
+    /**
+     * Backtested model accuracy on current history plus realised accuracy of saved forecasts
+     * @param {string|number} userId - User ID
+     * @param {string} serviceName - Service name or 'Total'
+     * @param {Object} options - { period, horizon, confidence }
+     */
+    static async getForecastAccuracy(userId, serviceName, options = {}) {
+        const {
+            period = 30,
+            horizon = BACKTEST_MAX_HORIZON,
+            confidence = 0.95
+        } = options;
+
+        const { dataPoints, backtest, computedAt } = await this.getDailyBacktest(userId, serviceName, horizon, confidence);
+        const realized = await this.getRealizedAccuracy(userId, serviceName, period);
+
+        return {
+            serviceName,
+            period,
+            dataPoints,
+            backtest,
+            backtestedAt: computedAt,
+            realized,
+            generatedAt: new Date().toISOString()
+        };
+    }
 }
 
 module.exports = ForecastingEngine;
@@ -0,0 +1,68 @@
+// Test for ForecastingEngine prediction intervals
+const assert = require('assert');
+const ForecastingEngine = require('./forecastingEngine');
+
+// Deterministic noise so the run is reproducible
+let seed = 42;
+const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+};
+
+// 180 days of weekly-seasonal cost with a slow trend and noise
+const start = new Date('2025-01-01T00:00:00Z').getTime();
+const history = Array.from({ length: 180 }, (_, day) => ({
+    date: new Date(start + day * 86400000).toISOString().split('T')[0],
+    cost_amount: 100 + day * 0.2 + (day % 7 >= 5 ? -15 : 5) + (random() - 0.5) * 30
+}));
+
+const LEVELS = [0.5, 0.8, 0.95, 0.99];
+
+const assertNested = (intervalsByLevel, label) => {
+    for (let level = 1; level < LEVELS.length; level++) {
+        intervalsByLevel[level].forEach((wide, i) => {
+            const narrow = intervalsByLevel[level - 1][i];
+            assert(wide.upperBound >= narrow.upperBound - 1e-9,
+                `${label}: ${LEVELS[level]} upper bound ${wide.upperBound} (${wide.method}) below ${LEVELS[level - 1]} upper bound ${narrow.upperBound} (${narrow.method}) on day ${i + 1}`);
+            assert(wide.lowerBound <= narrow.lowerBound + 1e-9,
+                `${label}: ${LEVELS[level]} lower bound ${wide.lowerBound} above ${LEVELS[level - 1]} lower bound ${narrow.lowerBound} on day ${i + 1}`);
+        });
+    }
+};
+
+const run = async () => {
+    console.log('Testing ForecastingEngine prediction intervals...');
+    const quiet = console.log;
+    console.log = () => {};
+
+    // Intervals from the backtest errors of the full pipeline, at every level
+    const timeSeries = ForecastingEngine.prepareTimeSeriesData(history);
+    const forecast = await ForecastingEngine.linearForecast(timeSeries, 60);
+    const errorRuns = await ForecastingEngine.collectForecastErrors(timeSeries, ['linear'], 60, {});
+    const errorsByStep = ForecastingEngine.forecastErrorsByStep(errorRuns, { linear: 1 });
+    const pipeline = LEVELS.map(level =>
+        ForecastingEngine.calculateConfidenceIntervals(timeSeries, forecast, level, errorsByStep));
+    console.log = quiet;
+    assertNested(pipeline, 'backtest errors');
+    console.log('Day 60 bounds:', pipeline.map((intervals, i) =>
+        `${LEVELS[i]}: ${intervals[59].lowerBound.toFixed(1)}-${intervals[59].upperBound.toFixed(1)} (${intervals[59].method})`).join(', '));
+    assert(pipeline[3].some(interval => interval.method === 'tail_extrapolated'),
+        '99% intervals should need tail extrapolation on this history');
+
+    // A small sample whose extremes are far out: the 99% tail must still cover them
+    const skewed = [[-3, -2, -1, -1, 0, 0, 0, 1, 1, 1, 2, 2, 3, 3, 4, 4, 5, 6, 8, 40,
+        -2, -1, 0, 0, 1, 1, 2, 2, 3, 35]];
+    const flat = { predictions: [{ date: '2025-07-01', value: 100 }] };
+    const small = LEVELS.map(level =>
+        ForecastingEngine.calculateConfidenceIntervals(timeSeries, flat, level, skewed));
+    assertNested(small, 'skewed errors');
+    assert(small[3][0].upperBound >= 140, `99% upper bound ${small[3][0].upperBound} does not reach the largest error`);
+    small.forEach(intervals => assert.strictEqual(intervals[0].confidence, undefined));
+
+    console.log('Test completed successfully!');
+};
+
+run().then(() => process.exit(0)).catch(error => {
+    console.error(error);
+    process.exit(1);
+});
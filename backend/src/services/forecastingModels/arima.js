@@ -0,0 +1,430 @@
+// Seasonal ARIMA with automatic order selection
+// Regression with SARIMA(p,d,q)(P,D,Q)s errors, where the regressors are Fourier terms
+// for the monthly cycle (weekly seasonality is handled by the seasonal ARMA part).
+//
+// Differencing is decided by tests (KPSS for d, seasonal strength for D) because AIC is
+// not comparable across differencing orders. p, q, P, Q and the number of monthly
+// harmonics are then chosen by AIC with a stepwise search (Hyndman & Khandakar, 2008).
+// Coefficients are estimated by conditional sum of squares.
+const { nelderMead } = require('./optimizer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_DAYS = 365.25 / 12;
+
+const DEFAULTS = {
+    seasonalPeriod: 7,
+    maxP: 2,
+    maxQ: 2,
+    maxSeasonalP: 1,
+    maxSeasonalQ: 1,
+    maxFourierTerms: 2,
+    maxFits: 60
+};
+
+const KPSS_CRITICAL_5PCT = 0.463;
+const SEASONAL_STRENGTH_THRESHOLD = 0.64;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const variance = (values) => {
+    const m = mean(values);
+    return values.reduce((sum, value) => sum + (value - m) * (value - m), 0) / values.length;
+};
+
+function difference(values, lag) {
+    return values.slice(lag).map((value, i) => value - values[i]);
+}
+
+/**
+ * (1 - B)^d (1 - B^s)^D applied to a series
+ */
+function applyDifferencing(values, d, D, s) {
+    let result = values;
+    for (let i = 0; i < D; i++) result = difference(result, s);
+    for (let i = 0; i < d; i++) result = difference(result, 1);
+    return result;
+}
+
+/**
+ * Undo applyDifferencing for forecasts that continue `history`
+ */
+function integrate(history, futureDifferenced, d, D, s) {
+    // Rebuild the intermediate (seasonally differenced) histories first
+    const levels = [history];
+    for (let i = 0; i < D; i++) levels.push(difference(levels[levels.length - 1], s));
+    for (let i = 0; i < d; i++) levels.push(difference(levels[levels.length - 1], 1));
+
+    let future = futureDifferenced;
+    for (let step = levels.length - 2; step >= 0; step--) {
+        const lag = step >= D ? 1 : s;
+        const past = levels[step].slice();
+        future = future.map(value => {
+            const next = value + past[past.length - lag];
+            past.push(next);
+            return next;
+        });
+    }
+    return future;
+}
+
+/**
+ * KPSS level-stationarity statistic (Newey-West long-run variance)
+ */
+function kpssStatistic(values) {
+    const n = values.length;
+    const m = mean(values);
+    const residuals = values.map(value => value - m);
+
+    let partial = 0;
+    let sumSquares = 0;
+    residuals.forEach(residual => {
+        partial += residual;
+        sumSquares += partial * partial;
+    });
+
+    const lags = Math.floor(3 * Math.sqrt(n) / 13);
+    let longRun = residuals.reduce((sum, r) => sum + r * r, 0) / n;
+    for (let lag = 1; lag <= lags; lag++) {
+        let covariance = 0;
+        for (let t = lag; t < n; t++) covariance += residuals[t] * residuals[t - lag];
+        longRun += 2 * (1 - lag / (lags + 1)) * covariance / n;
+    }
+
+    return longRun > 0 ? sumSquares / (n * n * longRun) : 0;
+}
+
+/**
+ * Share of detrended variance explained by a fixed seasonal profile (0-1)
+ */
+function seasonalStrength(values, period) {
+    const half = Math.floor(period / 2);
+    const detrended = [];
+    const phases = [];
+    for (let t = half; t < values.length - half; t++) {
+        // Centred moving average (2 x m for even periods)
+        let trend;
+        if (period % 2 === 1) {
+            trend = mean(values.slice(t - half, t + half + 1));
+        } else {
+            const window = values.slice(t - half, t + half + 1);
+            trend = (window.slice(1, -1).reduce((sum, v) => sum + v, 0) + (window[0] + window[window.length - 1]) / 2) / period;
+        }
+        detrended.push(values[t] - trend);
+        phases.push(t % period);
+    }
+
+    const profile = new Array(period).fill(0);
+    const counts = new Array(period).fill(0);
+    detrended.forEach((value, i) => {
+        profile[phases[i]] += value;
+        counts[phases[i]]++;
+    });
+    profile.forEach((_, phase) => {
+        profile[phase] = counts[phase] > 0 ? profile[phase] / counts[phase] : 0;
+    });
+
+    const remainder = detrended.map((value, i) => value - profile[phases[i]]);
+    const total = variance(detrended);
+    return total > 0 ? Math.max(0, 1 - variance(remainder) / total) : 0;
+}
+
+/**
+ * Least squares via the normal equations (Gaussian elimination with partial pivoting)
+ */
+function leastSquares(columns, target) {
+    const k = columns.length;
+    const matrix = columns.map(a => columns.map(b => a.reduce((sum, value, i) => sum + value * b[i], 0)));
+    const vector = columns.map(a => a.reduce((sum, value, i) => sum + value * target[i], 0));
+
+    for (let col = 0; col < k; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < k; row++) {
+            if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+        }
+        [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+        [vector[col], vector[pivot]] = [vector[pivot], vector[col]];
+        if (Math.abs(matrix[col][col]) < 1e-12) return new Array(k).fill(0);
+
+        for (let row = col + 1; row < k; row++) {
+            const factor = matrix[row][col] / matrix[col][col];
+            for (let c = col; c < k; c++) matrix[row][c] -= factor * matrix[col][c];
+            vector[row] -= factor * vector[col];
+        }
+    }
+
+    const solution = new Array(k).fill(0);
+    for (let row = k - 1; row >= 0; row--) {
+        let sum = vector[row];
+        for (let c = row + 1; c < k; c++) sum -= matrix[row][c] * solution[c];
+        solution[row] = sum / matrix[row][row];
+    }
+    return solution;
+}
+
+/**
+ * Monthly Fourier regressors for each timestamp: [sin, cos] per harmonic
+ */
+function fourierColumns(timestamps, harmonics) {
+    const columns = [];
+    for (let k = 1; k <= harmonics; k++) {
+        const angle = (timestamp) => (2 * Math.PI * k * (timestamp / DAY_MS)) / MONTH_DAYS;
+        columns.push(timestamps.map(timestamp => Math.sin(angle(timestamp))));
+        columns.push(timestamps.map(timestamp => Math.cos(angle(timestamp))));
+    }
+    return columns;
+}
+
+/**
+ * Stationarity / invertibility of 1 - c1 B - c2 B^2 (orders up to 2)
+ */
+function insideTriangle(coefficients) {
+    const [c1 = 0, c2 = 0] = coefficients;
+    return c1 + c2 < 0.999 && c2 - c1 < 0.999 && Math.abs(c2) < 0.999;
+}
+
+/**
+ * Expand (1 - sum a_i B^i)(1 - sum A_j B^(s j)) into lag => coefficient, for either sign convention
+ */
+function expandPolynomial(regular, seasonal, s, sign) {
+    const lags = new Map();
+    const add = (lag, value) => lags.set(lag, (lags.get(lag) || 0) + value);
+    regular.forEach((value, i) => add(i + 1, value));
+    seasonal.forEach((value, j) => add((j + 1) * s, value));
+    regular.forEach((a, i) => seasonal.forEach((b, j) => add(i + 1 + (j + 1) * s, sign * a * b)));
+    return Array.from(lags.entries()).filter(([, value]) => value !== 0);
+}
+
+function splitParameters(x, order) {
+    const { p, q, P, Q } = order;
+    return {
+        ar: x.slice(0, p),
+        ma: x.slice(p, p + q),
+        sar: x.slice(p + q, p + q + P),
+        sma: x.slice(p + q + P, p + q + P + Q)
+    };
+}
+
+/**
+ * Conditional residuals of an ARMA model on w, zero before `start`
+ */
+function armaResiduals(w, arLags, maLags, start) {
+    const residuals = new Array(w.length).fill(0);
+    let sse = 0;
+    for (let t = start; t < w.length; t++) {
+        let predicted = 0;
+        for (const [lag, coefficient] of arLags) predicted += coefficient * w[t - lag];
+        for (const [lag, coefficient] of maLags) predicted += coefficient * residuals[t - lag];
+        residuals[t] = w[t] - predicted;
+        sse += residuals[t] * residuals[t];
+    }
+    return { residuals, sse };
+}
+
+/**
+ * Fit the ARMA part of one candidate order on the differenced, regression-adjusted series
+ */
+function fitArma(w, order, s, start, regressorCount) {
+    const parameterCount = order.p + order.q + order.P + order.Q;
+
+    const objective = (x) => {
+        const { ar, ma, sar, sma } = splitParameters(x, order);
+        if (!insideTriangle(ar) || !insideTriangle(ma.map(v => -v)) ||
+            !insideTriangle(sar) || !insideTriangle(sma.map(v => -v))) {
+            return 1e300;
+        }
+        const arLags = expandPolynomial(ar, sar, s, -1);
+        const maLags = expandPolynomial(ma, sma, s, 1);
+        return armaResiduals(w, arLags, maLags, start).sse;
+    };
+
+    const { x, value } = nelderMead(objective, new Array(parameterCount).fill(0), { step: 0.1 });
+    if (!(value < 1e300)) return null;
+
+    const n = w.length - start;
+    const sigma2 = Math.max(value / n, 1e-12);
+    const logLikelihood = -0.5 * n * (Math.log(2 * Math.PI * sigma2) + 1);
+    const k = parameterCount + regressorCount + 1; // + sigma^2
+
+    return {
+        order,
+        coefficients: splitParameters(x, order),
+        sigma2,
+        logLikelihood,
+        aic: -2 * logLikelihood + 2 * k
+    };
+}
+
+/**
+ * Regress the differenced series on the differenced regressors; returns what's left for the ARMA
+ */
+function prepareRegression(values, timestamps, d, D, s, harmonics) {
+    const y = applyDifferencing(values, d, D, s);
+    const columns = fourierColumns(timestamps, harmonics).map(column => applyDifferencing(column, d, D, s));
+
+    // Constant (mean or drift) unless the series is differenced twice
+    const constant = d + D <= 1;
+    if (constant) columns.push(new Array(y.length).fill(1));
+
+    const beta = columns.length > 0 ? leastSquares(columns, y) : [];
+    const w = y.map((value, t) => value - columns.reduce((sum, column, i) => sum + column[t] * beta[i], 0));
+    return { w, beta, constant, regressorCount: columns.length };
+}
+
+/**
+ * Fit (or refit, when options.order is given) a seasonal ARIMA model
+ * @param {Array} values - Observations, oldest first
+ * @param {Array} timestamps - Millisecond timestamps of the observations (daily)
+ * @param {Object} options - { order, seasonalPeriod, maxP, maxQ, maxSeasonalP, maxSeasonalQ, maxFourierTerms }
+ * @returns {Object} { order, coefficients, aic, sigma2, candidatesEvaluated, forecast(horizon) }
+ */
+function fitArima(values, timestamps, options = {}) {
+    const config = { ...DEFAULTS, ...options };
+    const n = values.length;
+    const s = config.seasonalPeriod;
+
+    if (n < 14) {
+        throw new Error(`ARIMA needs at least 14 data points, got ${n}`);
+    }
+
+    let order = config.order || null;
+    let d;
+    let D;
+    if (order) {
+        ({ d, D } = order);
+    } else {
+        // Seasonal terms need a few full cycles; monthly harmonics need two months
+        const seasonal = n >= 4 * s;
+        D = seasonal && seasonalStrength(values, s) >= SEASONAL_STRENGTH_THRESHOLD ? 1 : 0;
+        const afterSeasonal = applyDifferencing(values, 0, D, s);
+        d = kpssStatistic(afterSeasonal) > KPSS_CRITICAL_5PCT ? 1 : 0;
+        config.maxSeasonalP = seasonal ? config.maxSeasonalP : 0;
+        config.maxSeasonalQ = seasonal ? config.maxSeasonalQ : 0;
+        config.maxFourierTerms = n >= 2 * MONTH_DAYS + s ? config.maxFourierTerms : 0;
+    }
+
+    // Same conditioning start for every candidate so their likelihoods are comparable
+    const start = config.maxP + s * config.maxSeasonalP;
+
+    let best = null;
+    let candidatesEvaluated = 0;
+
+    const harmonicsToTry = order
+        ? [order.fourierTerms || 0]
+        : Array.from({ length: config.maxFourierTerms + 1 }, (_, k) => k);
+
+    for (const harmonics of harmonicsToTry) {
+        const regression = prepareRegression(values, timestamps, d, D, s, harmonics);
+        if (regression.w.length - start < 10) continue;
+
+        const fitted = new Map();
+        const evaluate = (candidate) => {
+            const key = `${candidate.p},${candidate.q},${candidate.P},${candidate.Q}`;
+            if (fitted.has(key)) return fitted.get(key);
+            if (candidatesEvaluated >= config.maxFits) return null;
+            candidatesEvaluated++;
+            const model = fitArma(regression.w, { ...candidate, d, D, s }, s, start, regression.regressorCount);
+            if (model) Object.assign(model, { fourierTerms: harmonics, regression });
+            fitted.set(key, model);
+            return model;
+        };
+        const better = (a, b) => a && (!b || a.aic < b.aic);
+
+        let current = null;
+        if (order) {
+            current = evaluate(order);
+        } else {
+            const within = (c) => c.p >= 0 && c.q >= 0 && c.P >= 0 && c.Q >= 0 &&
+                c.p <= config.maxP && c.q <= config.maxQ && c.P <= config.maxSeasonalP && c.Q <= config.maxSeasonalQ;
+            const clamp = (c) => ({
+                p: Math.min(c.p, config.maxP),
+                q: Math.min(c.q, config.maxQ),
+                P: Math.min(c.P, config.maxSeasonalP),
+                Q: Math.min(c.Q, config.maxSeasonalQ)
+            });
+
+            [{ p: 2, q: 2, P: 1, Q: 1 }, { p: 0, q: 0, P: 0, Q: 0 }, { p: 1, q: 0, P: 1, Q: 0 }, { p: 0, q: 1, P: 0, Q: 1 }]
+                .map(clamp)
+                .forEach(candidate => {
+                    const model = evaluate(candidate);
+                    if (better(model, current)) current = model;
+                });
+
+            // Stepwise: move to the best neighbour until nothing nearby improves the AIC
+            let improved = current !== null;
+            while (improved) {
+                improved = false;
+                const { p, q, P, Q } = current.order;
+                const neighbours = [
+                    { p: p - 1, q, P, Q }, { p: p + 1, q, P, Q },
+                    { p, q: q - 1, P, Q }, { p, q: q + 1, P, Q },
+                    { p: p - 1, q: q - 1, P, Q }, { p: p + 1, q: q + 1, P, Q },
+                    { p, q, P: P - 1, Q }, { p, q, P: P + 1, Q },
+                    { p, q, P, Q: Q - 1 }, { p, q, P, Q: Q + 1 },
+                    { p, q, P: P - 1, Q: Q - 1 }, { p, q, P: P + 1, Q: Q + 1 }
+                ].filter(within);
+
+                for (const candidate of neighbours) {
+                    const model = evaluate(candidate);
+                    if (better(model, current)) {
+                        current = model;
+                        improved = true;
+                    }
+                }
+            }
+        }
+
+        if (better(current, best)) best = current;
+    }
+
+    if (!best) {
+        throw new Error('No ARIMA candidate could be fitted');
+    }
+
+    const { p, q, P, Q } = best.order;
+    const { ar, ma, sar, sma } = best.coefficients;
+    const arLags = expandPolynomial(ar, sar, s, -1);
+    const maLags = expandPolynomial(ma, sma, s, 1);
+    const { residuals } = armaResiduals(best.regression.w, arLags, maLags, start);
+    const { beta, constant } = best.regression;
+    const harmonics = best.fourierTerms;
+
+    return {
+        order: { p, d, q, P, D, Q, s, fourierTerms: harmonics },
+        coefficients: best.coefficients,
+        regression: { fourierTerms: harmonics, constant, beta },
+        sigma2: best.sigma2,
+        aic: best.aic,
+        candidatesEvaluated,
+
+        forecast(horizon) {
+            // ARMA part forward with future shocks at zero
+            const w = best.regression.w.slice();
+            const e = residuals.slice();
+            for (let h = 0; h < horizon; h++) {
+                const t = w.length;
+                let next = 0;
+                for (const [lag, coefficient] of arLags) next += coefficient * (w[t - lag] || 0);
+                for (const [lag, coefficient] of maLags) next += coefficient * (e[t - lag] || 0);
+                w.push(next);
+                e.push(0);
+            }
+            const futureW = w.slice(-horizon);
+
+            // Add the regression back on the differenced scale, then integrate
+            const lastTimestamp = timestamps[timestamps.length - 1];
+            const allTimestamps = timestamps.concat(Array.from({ length: horizon }, (_, i) => lastTimestamp + (i + 1) * DAY_MS));
+            const columns = fourierColumns(allTimestamps, harmonics).map(column => applyDifferencing(column, d, D, s).slice(-horizon));
+            if (constant) columns.push(new Array(horizon).fill(1));
+
+            const futureDifferenced = futureW.map((value, h) =>
+                value + columns.reduce((sum, column, i) => sum + column[h] * beta[i], 0));
+
+            return integrate(values, futureDifferenced, d, D, s);
+        }
+    };
+}
+
+module.exports = {
+    fitArima,
+    kpssStatistic,
+    seasonalStrength
+};
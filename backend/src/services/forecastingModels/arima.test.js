@@ -0,0 +1,79 @@
+// Test for seasonal ARIMA order selection
+const assert = require('assert');
+const { fitArima } = require('./arima');
+
+// Deterministic Gaussian noise (Box-Muller over a seeded LCG) so the run is reproducible
+let seed = 11;
+const uniform = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return (seed + 1) / 2147483649;
+};
+const gaussian = () => Math.sqrt(-2 * Math.log(uniform())) * Math.cos(2 * Math.PI * uniform());
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const start = new Date('2025-01-01T00:00:00Z').getTime();
+const timestampsFor = (n) => Array.from({ length: n }, (_, day) => start + day * DAY_MS);
+
+const series = (n, next) => {
+    const values = [];
+    for (let t = 0; t < n; t++) values.push(next(values, t));
+    return values;
+};
+
+// The same model structure with the ARMA orders fixed, for AIC comparison
+const refit = (values, model, orders) => fitArima(values, timestampsFor(values.length), {
+    order: { ...orders, d: model.order.d, D: model.order.D, fourierTerms: model.order.fourierTerms }
+});
+
+const run = () => {
+    console.log('Testing seasonal ARIMA order selection...');
+
+    // AR(1) around a level: no differencing, an autoregressive term, lower AIC than white noise
+    const ar = series(200, (values, t) => 0.7 * (t > 0 ? values[t - 1] - 100 : 0) + 100 + gaussian() * 5);
+    const arModel = fitArima(ar, timestampsFor(ar.length));
+    console.log('AR(1) series:', JSON.stringify(arModel.order), `AIC ${arModel.aic.toFixed(1)}, ${arModel.candidatesEvaluated} fits`);
+    assert.strictEqual(arModel.order.d, 0, 'a stationary series should not be differenced');
+    assert.strictEqual(arModel.order.D, 0, 'a series without a weekly cycle should not be seasonally differenced');
+    assert.deepStrictEqual([arModel.order.p, arModel.order.q], [1, 0], 'AIC should pick the AR(1) that generated the data');
+    const whiteNoise = refit(ar, arModel, { p: 0, q: 0, P: 0, Q: 0 });
+    assert(arModel.aic < whiteNoise.aic, `selected AIC ${arModel.aic} should beat white noise ${whiteNoise.aic}`);
+    assert(arModel.candidatesEvaluated <= 60, 'stepwise search should stay within maxFits');
+
+    // Random walk: KPSS rejects stationarity, so one regular difference
+    const walk = series(150, (values, t) => (t > 0 ? values[t - 1] : 500) + gaussian() * 4);
+    const walkModel = fitArima(walk, timestampsFor(walk.length));
+    console.log('Random walk:', JSON.stringify(walkModel.order));
+    assert.strictEqual(walkModel.order.d, 1, 'a random walk needs one difference');
+
+    // Strong weekday/weekend cycle: seasonal differencing at lag 7, forecasts keep the cycle
+    const weekly = series(120, (_, t) => 300 + (t % 7 >= 5 ? -120 : 20) + gaussian() * 3);
+    const weeklyModel = fitArima(weekly, timestampsFor(weekly.length));
+    console.log('Weekly series:', JSON.stringify(weeklyModel.order));
+    assert.strictEqual(weeklyModel.order.s, 7);
+    assert.strictEqual(weeklyModel.order.D, 1, 'a strong weekly cycle should be seasonally differenced');
+    const forecast = weeklyModel.forecast(28);
+    assert.strictEqual(forecast.length, 28);
+    forecast.forEach(value => assert(Number.isFinite(value), 'forecast values must be finite'));
+    const weekendDays = forecast.filter((_, h) => (weekly.length + h) % 7 >= 5);
+    const weekdays = forecast.filter((_, h) => (weekly.length + h) % 7 < 5);
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    assert(average(weekdays) - average(weekendDays) > 100, 'forecast should keep the weekend dip');
+
+    // Too short for seasonal terms: the seasonal AR/MA orders stay at zero
+    const short = fitArima(weekly.slice(0, 20), timestampsFor(20));
+    assert.strictEqual(short.order.P, 0);
+    assert.strictEqual(short.order.Q, 0);
+    assert.strictEqual(short.order.fourierTerms, 0, 'monthly harmonics need two months of history');
+
+    assert.throws(() => fitArima(weekly.slice(0, 10), timestampsFor(10)), /at least 14 data points/);
+
+    console.log('Test completed successfully!');
+};
+
+try {
+    run();
+    process.exit(0);
+} catch (error) {
+    console.error(error);
+    process.exit(1);
+}
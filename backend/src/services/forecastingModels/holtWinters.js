@@ -0,0 +1,137 @@
+// Holt-Winters triple exponential smoothing with a damped trend
+// Level, trend and seasonal smoothing (and the damping) are fitted by minimising the
+// one-step-ahead squared error instead of being hard-coded.
+const { nelderMead } = require('./optimizer');
+
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+const logit = (p) => Math.log(p / (1 - p));
+
+// Damping range: 1 would let the trend run forever over a 365-day horizon
+const PHI_MIN = 0.8;
+const PHI_MAX = 0.98;
+
+/**
+ * Map unconstrained optimiser coordinates to smoothing parameters.
+ * beta <= alpha and gamma <= 1 - alpha keep the recursions stable.
+ */
+function toParameters(x) {
+    const alpha = 0.0001 + 0.9998 * logistic(x[0]);
+    return {
+        alpha,
+        beta: alpha * logistic(x[1]),
+        gamma: (1 - alpha) * logistic(x[2]),
+        phi: PHI_MIN + (PHI_MAX - PHI_MIN) * logistic(x[3])
+    };
+}
+
+/**
+ * Run the smoothing recursions over the series
+ */
+function smooth(values, seasonalPeriod, multiplicative, params, initial) {
+    const { alpha, beta, gamma, phi } = params;
+    let level = initial.level;
+    let trend = initial.trend;
+    const seasonals = initial.seasonals.slice();
+    const fitted = [];
+    let sse = 0;
+
+    for (let t = 0; t < values.length; t++) {
+        const phase = t % seasonalPeriod;
+        const season = seasonals[phase];
+        const base = level + phi * trend;
+        const forecast = multiplicative ? base * season : base + season;
+        fitted.push(forecast);
+
+        // The first season only seeds the states, so it is left out of the fit
+        if (t >= seasonalPeriod) {
+            sse += (values[t] - forecast) * (values[t] - forecast);
+        }
+
+        const newLevel = multiplicative
+            ? alpha * (values[t] / season) + (1 - alpha) * base
+            : alpha * (values[t] - season) + (1 - alpha) * base;
+        trend = beta * (newLevel - level) + (1 - beta) * phi * trend;
+        seasonals[phase] = multiplicative
+            ? gamma * (values[t] / base) + (1 - gamma) * season
+            : gamma * (values[t] - base) + (1 - gamma) * season;
+        level = newLevel;
+
+        if (!Number.isFinite(level) || (multiplicative && base <= 0)) {
+            return { sse: Infinity };
+        }
+    }
+
+    return { sse, level, trend, seasonals, fitted };
+}
+
+/**
+ * Fit Holt-Winters to a daily series
+ * @param {Array} values - Observations, oldest first
+ * @param {Object} options - { seasonality: 'additive' | 'multiplicative', seasonalPeriod }
+ * @returns {Object} { params, aic, fitted, residualStdDev, forecast(horizon) }
+ */
+function fitHoltWinters(values, options = {}) {
+    const { seasonality = 'additive', seasonalPeriod = 7 } = options;
+    const multiplicative = seasonality === 'multiplicative';
+    const m = seasonalPeriod;
+    const n = values.length;
+
+    if (n < 2 * m + 2) {
+        throw new Error(`Holt-Winters needs at least ${2 * m + 2} data points, got ${n}`);
+    }
+    if (multiplicative && values.some(value => value <= 0)) {
+        throw new Error('Multiplicative Holt-Winters needs strictly positive costs');
+    }
+
+    // Classical start: first-season mean, season-on-season slope, first-season indexes
+    const mean = (slice) => slice.reduce((sum, value) => sum + value, 0) / slice.length;
+    const firstSeason = values.slice(0, m);
+    const level = mean(firstSeason);
+    const initial = {
+        level,
+        trend: (mean(values.slice(m, 2 * m)) - level) / m,
+        seasonals: firstSeason.map(value => multiplicative ? value / level : value - level)
+    };
+
+    const objective = (x) => smooth(values, m, multiplicative, toParameters(x), initial).sse;
+    const start = [logit(0.3), logit(0.1 / 0.3), logit(0.1 / 0.7), 0];
+    const { x } = nelderMead(objective, start, { step: 0.5 });
+
+    const params = toParameters(x);
+    const state = smooth(values, m, multiplicative, params, initial);
+    if (!Number.isFinite(state.sse)) {
+        throw new Error('Holt-Winters fit did not converge');
+    }
+
+    // Gaussian AIC on the fitted stretch; parameters = 4 smoothing + level, trend, m - 1 seasonals
+    const fittedPoints = n - m;
+    const variance = Math.max(state.sse / fittedPoints, 1e-12);
+    const parameterCount = 4 + 2 + (m - 1);
+    const aic = fittedPoints * Math.log(variance) + 2 * parameterCount;
+
+    return {
+        seasonality: multiplicative ? 'multiplicative' : 'additive',
+        seasonalPeriod: m,
+        params,
+        aic,
+        fitted: state.fitted,
+        residualStdDev: Math.sqrt(variance),
+        level: state.level,
+        trend: state.trend,
+        seasonals: state.seasonals,
+
+        forecast(horizon) {
+            const result = [];
+            let dampedSum = 0;
+            for (let h = 1; h <= horizon; h++) {
+                dampedSum += Math.pow(params.phi, h);
+                const base = state.level + dampedSum * state.trend;
+                const season = state.seasonals[(n + h - 1) % m];
+                result.push(multiplicative ? base * season : base + season);
+            }
+            return result;
+        }
+    };
+}
+
+module.exports = { fitHoltWinters };
@@ -0,0 +1,8 @@
+// Fitted forecasting models used by ForecastingEngine
+const { fitHoltWinters } = require('./holtWinters');
+const { fitArima } = require('./arima');
+
+module.exports = {
+    fitHoltWinters,
+    fitArima
+};
@@ -0,0 +1,90 @@
+// Nelder-Mead simplex minimiser shared by the fitted forecasting models
+// Derivative-free, which suits SSE/likelihood surfaces with penalty walls.
+
+/**
+ * Minimise f starting from x0
+ * @param {Function} f - objective, f(number[]) => number
+ * @param {Array} x0 - starting point
+ * @param {Object} options - { step, maxIterations, tolerance }
+ * @returns {Object} { x, value, iterations }
+ */
+function nelderMead(f, x0, options = {}) {
+    const {
+        step = 0.1,
+        maxIterations = 200 * Math.max(1, x0.length),
+        tolerance = 1e-8
+    } = options;
+
+    const dimensions = x0.length;
+    if (dimensions === 0) {
+        return { x: [], value: f([]), iterations: 0 };
+    }
+
+    // Initial simplex: x0 plus one step along each axis
+    let simplex = [{ x: x0.slice(), value: f(x0) }];
+    for (let i = 0; i < dimensions; i++) {
+        const point = x0.slice();
+        point[i] += point[i] !== 0 ? step * Math.max(1, Math.abs(point[i])) : step;
+        simplex.push({ x: point, value: f(point) });
+    }
+
+    const combine = (a, b, t) => a.map((value, i) => value + t * (b[i] - value));
+
+    let iterations = 0;
+    for (; iterations < maxIterations; iterations++) {
+        simplex.sort((a, b) => a.value - b.value);
+        const best = simplex[0];
+        const worst = simplex[dimensions];
+
+        if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) {
+            break;
+        }
+
+        // Centroid of every point but the worst
+        const centroid = new Array(dimensions).fill(0);
+        for (let i = 0; i < dimensions; i++) {
+            for (let j = 0; j < dimensions; j++) {
+                centroid[j] += simplex[i].x[j] / dimensions;
+            }
+        }
+
+        const reflected = combine(centroid, worst.x, -1);
+        const reflectedValue = f(reflected);
+
+        if (reflectedValue < best.value) {
+            const expanded = combine(centroid, worst.x, -2);
+            const expandedValue = f(expanded);
+            simplex[dimensions] = expandedValue < reflectedValue
+                ? { x: expanded, value: expandedValue }
+                : { x: reflected, value: reflectedValue };
+            continue;
+        }
+
+        if (reflectedValue < simplex[dimensions - 1].value) {
+            simplex[dimensions] = { x: reflected, value: reflectedValue };
+            continue;
+        }
+
+        // Contract towards the better of the worst point and its reflection
+        const outside = reflectedValue < worst.value;
+        const contracted = combine(centroid, outside ? reflected : worst.x, 0.5);
+        const contractedValue = f(contracted);
+
+        if (contractedValue < Math.min(reflectedValue, worst.value)) {
+            simplex[dimensions] = { x: contracted, value: contractedValue };
+            continue;
+        }
+
+        // Shrink everything towards the best point
+        simplex = simplex.map((point, i) => {
+            if (i === 0) return point;
+            const shrunk = combine(best.x, point.x, 0.5);
+            return { x: shrunk, value: f(shrunk) };
+        });
+    }
+
+    simplex.sort((a, b) => a.value - b.value);
+    return { x: simplex[0].x, value: simplex[0].value, iterations };
+}
+
+module.exports = { nelderMead };
@@ -0,0 +1,116 @@
+// Governance policy actions
+// Each executor returns a short result object and throws when the action failed. Notify sends
+// one message per evaluation; the others act on one violating resource through the user's
+// gateway (context.gateway).
+
+// Seconds to wait for the safety snapshot before a volume is deleted
+const SNAPSHOT_WAIT_SECONDS = 900;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+async function postJson(url, payload) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        throw new Error(`Webhook answered ${response.status}`);
+    }
+    return { status: response.status };
+}
+
+// What an action would do, for dry runs and approval requests
+function describeAction(action, resource) {
+    switch (action.type) {
+        case 'notify':
+            return `Send the violations to ${new URL(action.webhook).host}`;
+        case 'tag':
+            return `Tag ${resource.id} with ${Object.entries(action.tags).map(([key, value]) => `${key}=${value}`).join(', ')}`;
+        case 'stop':
+            return `Stop instance ${resource.id} in ${resource.region}`;
+        case 'snapshot_and_delete':
+            return `Snapshot volume ${resource.id} in ${resource.region}, then delete it`;
+        case 'open_ticket':
+            return `Open a ticket for ${resource.id} via ${new URL(action.webhook).host}`;
+        default:
+            return action.type;
+    }
+}
+
+const EXECUTORS = {
+    async notify(action, violations, context) {
+        return postJson(action.webhook, {
+            event: 'governance.policy_violation',
+            policy: { id: context.policy.id, name: context.policy.name },
+            mode: context.mode,
+            violationCount: violations.length,
+            violations: violations.map(({ resource, reasons }) => ({
+                resourceId: resource.id,
+                region: resource.region,
+                reasons
+            })),
+            timestamp: new Date().toISOString()
+        });
+    },
+
+    async tag(action, resource, context) {
+        await context.gateway.send('ec2', 'CreateTags', {
+            Resources: [resource.id],
+            Tags: Object.entries(action.tags).map(([Key, Value]) => ({ Key, Value }))
+        }, { region: resource.region });
+        return { tagged: Object.keys(action.tags) };
+    },
+
+    async stop(action, resource, context) {
+        const response = await context.gateway.send('ec2', 'StopInstances', { InstanceIds: [resource.id] }, { region: resource.region });
+        const change = (response.StoppingInstances || [])[0];
+        return { previousState: change?.PreviousState?.Name, currentState: change?.CurrentState?.Name };
+    },
+
+    async snapshot_and_delete(action, resource, context) {
+        const { gateway } = context;
+        const region = resource.region;
+
+        // The volume may have been attached since the policy flagged it
+        const described = await gateway.send('ec2', 'DescribeVolumes', { VolumeIds: [resource.id] }, { region });
+        const volume = (described.Volumes || [])[0];
+        if (!volume) throw new Error(`Volume ${resource.id} no longer exists`);
+        if (volume.State !== 'available') throw new Error(`Volume ${resource.id} is ${volume.State}, not unattached`);
+
+        const snapshot = await gateway.send('ec2', 'CreateSnapshot', {
+            VolumeId: resource.id,
+            Description: `Governance policy ${context.policy.name}: ${resource.id} before deletion`,
+            TagSpecifications: [{
+                ResourceType: 'snapshot',
+                Tags: [...(volume.Tags || []).filter(tag => !tag.Key.startsWith('aws:')), { Key: 'deepcost:source-volume', Value: resource.id }]
+            }]
+        }, { region });
+        await gateway.waitFor('ec2', 'DescribeSnapshots', { SnapshotIds: [snapshot.SnapshotId] }, output => {
+            const state = (output.Snapshots || [])[0]?.State;
+            if (state === 'error') throw new Error(`Snapshot ${snapshot.SnapshotId} failed`);
+            return state === 'completed';
+        }, { region, timeoutMs: SNAPSHOT_WAIT_SECONDS * 1000 });
+        await gateway.send('ec2', 'DeleteVolume', { VolumeId: resource.id }, { region });
+        return { snapshotId: snapshot.SnapshotId, deletedVolume: resource.id };
+    },
+
+    async open_ticket(action, resource, context) {
+        return postJson(action.webhook, {
+            event: 'governance.ticket',
+            title: `[${context.policy.name}] ${resource.id} violates policy`,
+            description: resource.reasons.join('\n'),
+            priority: action.priority || 'medium',
+            labels: ['governance', ...(action.labels || [])],
+            resource: { id: resource.id, region: resource.region, service: resource.service },
+            policy: { id: context.policy.id, name: context.policy.name },
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
+async function executeAction(action, target, context) {
+    return EXECUTORS[action.type](action, target, context);
+}
+
+module.exports = { describeAction, executeAction };
@@ -0,0 +1,171 @@
+// Governance policy exemptions
+// An exemption excuses whatever matches its scope from one policy (or from all of them when
+// policy_id is null) until it expires:
+//
+//   { "type": "resource", "value": "i-0abc123" }
+//   { "type": "tag", "key": "Environment", "value": "sandbox" }
+//   { "type": "account", "value": "123456789012" }
+//   { "type": "service", "value": "Amazon Simple Storage Service" }
+//
+// AWS resources are matched in memory; cost records (spend and tag compliance policies) are
+// matched in SQL so exempted spend never reaches the grouping or the LIMIT of a scan.
+const TagDictionaryService = require('../tagDictionaryService');
+
+const SCOPE_TYPES = ['resource', 'tag', 'account', 'service'];
+const MAX_EXEMPTION_DAYS = 365;
+const DEFAULT_REMINDER_DAYS = 7;
+const MIN_JUSTIFICATION_LENGTH = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate an exemption request
+ * @returns {Object} { policyId, scopeType, scopeKey, scopeValue, justification, expiresAt, reminderDays, notifyWebhook }
+ * @throws {Error} describing the first problem found
+ */
+function normalizeExemption(input, now = new Date()) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('Exemption details are required');
+    }
+    const scope = input.scope;
+    if (!scope || !SCOPE_TYPES.includes(scope.type)) {
+        throw new Error(`scope.type must be one of ${SCOPE_TYPES.join(', ')}`);
+    }
+    if (typeof scope.value !== 'string' || !scope.value.trim()) {
+        throw new Error('scope.value is required');
+    }
+    if (scope.type === 'tag' && (typeof scope.key !== 'string' || !scope.key.trim())) {
+        throw new Error('Tag exemptions need scope.key, the tag key to match');
+    }
+    if (scope.type === 'account' && !/^\d{12}$/.test(scope.value.trim())) {
+        throw new Error('Account exemptions need a 12-digit AWS account ID');
+    }
+
+    const justification = typeof input.justification === 'string' ? input.justification.trim() : '';
+    if (justification.length < MIN_JUSTIFICATION_LENGTH) {
+        throw new Error(`A justification of at least ${MIN_JUSTIFICATION_LENGTH} characters is required`);
+    }
+
+    const expiresAt = new Date(input.expiresAt);
+    if (!input.expiresAt || Number.isNaN(expiresAt.getTime())) {
+        throw new Error('expiresAt must be a date');
+    }
+    if (expiresAt <= now) {
+        throw new Error('expiresAt must be in the future');
+    }
+    if (expiresAt - now > MAX_EXEMPTION_DAYS * DAY_MS) {
+        throw new Error(`Exemptions can last at most ${MAX_EXEMPTION_DAYS} days`);
+    }
+
+    const reminderDays = input.reminderDays === undefined ? DEFAULT_REMINDER_DAYS : Number(input.reminderDays);
+    if (!Number.isInteger(reminderDays) || reminderDays < 0 || reminderDays > 90) {
+        throw new Error('reminderDays must be a whole number of days between 0 and 90');
+    }
+
+    if (input.notifyWebhook !== undefined && input.notifyWebhook !== null) {
+        let protocol;
+        try {
+            protocol = new URL(input.notifyWebhook).protocol;
+        } catch {
+            protocol = null;
+        }
+        if (!['http:', 'https:'].includes(protocol)) {
+            throw new Error('notifyWebhook must be an http(s) URL');
+        }
+    }
+
+    let policyId = null;
+    if (input.policyId !== undefined && input.policyId !== null) {
+        policyId = parseInt(input.policyId, 10);
+        if (Number.isNaN(policyId)) {
+            throw new Error('policyId must be a policy ID, or null for every policy');
+        }
+    }
+
+    return {
+        policyId,
+        scopeType: scope.type,
+        scopeKey: scope.type === 'tag' ? scope.key.trim() : null,
+        scopeValue: scope.value.trim(),
+        justification,
+        expiresAt,
+        reminderDays,
+        notifyWebhook: input.notifyWebhook || null
+    };
+}
+
+/**
+ * The active exemption covering a collected AWS resource, or null
+ * @param {Object} resource - { id, tags (dictionary-normalized), account_id, service }
+ */
+function findExemption(resource, exemptions, dictionary) {
+    const same = (a, b) => a !== null && a !== undefined && String(a).toLowerCase() === String(b).toLowerCase();
+    return exemptions.find(exemption => {
+        switch (exemption.scope_type) {
+            case 'resource':
+                return resource.id === exemption.scope_value;
+            case 'tag': {
+                const key = TagDictionaryService.canonicalKey(dictionary, exemption.scope_key);
+                return same((resource.tags || {})[key], TagDictionaryService.canonicalValue(dictionary, key, exemption.scope_value));
+            }
+            case 'account':
+                return resource.account_id === exemption.scope_value;
+            case 'service':
+                return same(resource.service, exemption.scope_value);
+            default:
+                return false;
+        }
+    }) || null;
+}
+
+// The canonical value and every alias the dictionary maps to it
+function valueVariants(dictionary, canonicalKey, value) {
+    const canonical = TagDictionaryService.canonicalValue(dictionary, canonicalKey, value);
+    const variants = [canonical];
+    (dictionary.values.get(canonicalKey) || new Map()).forEach((target, alias) => {
+        if (target === canonical) variants.push(alias);
+    });
+    return variants;
+}
+
+/**
+ * SQL expression giving the ID of the exemption that covers a cost_records row, NULL when
+ * none does. Appends its values to `params`. Tag exemptions match any alias of the key or value.
+ */
+function exemptionSql(exemptions, params, dictionary) {
+    if (!exemptions || exemptions.length === 0) return 'NULL::int';
+    const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+    const cases = exemptions.map(exemption => {
+        let condition;
+        switch (exemption.scope_type) {
+            case 'resource':
+                condition = `resource_id = ${param(exemption.scope_value)}`;
+                break;
+            case 'tag': {
+                const key = TagDictionaryService.canonicalKey(dictionary, exemption.scope_key);
+                const keys = param(TagDictionaryService.keyVariants(dictionary, key));
+                const values = param(valueVariants(dictionary, key, exemption.scope_value).map(value => value.toLowerCase()));
+                condition = `EXISTS (SELECT 1 FROM jsonb_each_text(CASE WHEN jsonb_typeof(tags) = 'object' THEN tags ELSE '{}'::jsonb END) t
+                    WHERE t.key = ANY(${keys}::text[]) AND lower(t.value) = ANY(${values}::text[]))`;
+                break;
+            }
+            case 'account':
+                condition = `linked_account_id = ${param(exemption.scope_value)}`;
+                break;
+            default:
+                condition = `lower(service_name) = lower(${param(exemption.scope_value)})`;
+        }
+        return `WHEN ${condition} THEN ${param(exemption.id)}::int`;
+    });
+    return `(CASE ${cases.join(' ')} END)`;
+}
+
+module.exports = {
+    SCOPE_TYPES,
+    MAX_EXEMPTION_DAYS,
+    normalizeExemption,
+    findExemption,
+    exemptionSql
+};
@@ -0,0 +1,25 @@
+// Declarative governance policy building blocks used by GovernanceService
+const { RESOURCE_TYPES, CONDITION_TYPES, ACTION_TYPES, DESTRUCTIVE_ACTIONS, normalizePolicyDefinition, matchFilter } = require('./policyLanguage');
+const { collectResources, collectExemptedSpend, evaluateConditions, estimateCostAtRisk, NON_TAGGABLE_SERVICES } = require('./resources');
+const { describeAction, executeAction } = require('./actions');
+const { SCOPE_TYPES, normalizeExemption, findExemption, exemptionSql } = require('./exemptions');
+
+module.exports = {
+    RESOURCE_TYPES,
+    CONDITION_TYPES,
+    ACTION_TYPES,
+    DESTRUCTIVE_ACTIONS,
+    NON_TAGGABLE_SERVICES,
+    normalizePolicyDefinition,
+    matchFilter,
+    collectResources,
+    collectExemptedSpend,
+    evaluateConditions,
+    estimateCostAtRisk,
+    describeAction,
+    executeAction,
+    SCOPE_TYPES,
+    normalizeExemption,
+    findExemption,
+    exemptionSql
+};
@@ -0,0 +1,258 @@
+// Declarative governance policies
+// A `declarative` policy keeps its definition in governance_policies.rules:
+//
+//   {
+//     "resource": "ec2_instance",              // ec2_instance | ebs_volume | spend
+//     "regions": ["us-east-1", "eu-west-1"],   // where to look for AWS resources
+//     "filter": { "field": "tag:Environment", "operator": "equals", "value": "dev" },
+//     "conditions": [{ "type": "idle_instance", "cpuBelow": 5, "days": 7 }],
+//     "match": "all",                          // all | any of the conditions
+//     "actions": [{ "type": "notify", "webhook": "https://..." }, { "type": "stop" }],
+//     "mode": "dry_run"                        // dry_run | enforce
+//   }
+//
+// Filters narrow the resources a policy looks at and use the same tree and operators as
+// allocation rule conditions; conditions decide which of them violate the policy; actions
+// run once per violation (notify once per evaluation). Destructive actions never run
+// straight from an evaluation - they wait for an approval.
+
+const RESOURCE_TYPES = ['ec2_instance', 'ebs_volume', 'spend'];
+const MODES = ['dry_run', 'enforce'];
+const FILTER_OPERATORS = ['equals', 'not_equals', 'in', 'not_in', 'contains', 'starts_with', 'exists', 'not_exists', 'greater_than', 'less_than'];
+
+// Fields a filter can read from each resource type (plus tag:<key> on AWS resources)
+const RESOURCE_FIELDS = {
+    ec2_instance: ['id', 'region', 'state', 'instance_type', 'instance_family', 'launch_time'],
+    ebs_volume: ['id', 'region', 'state', 'volume_type', 'size_gb', 'create_time'],
+    spend: ['id', 'service', 'region', 'cost']
+};
+
+// Condition type -> resource types it applies to
+const CONDITION_TYPES = {
+    idle_instance: ['ec2_instance'],
+    untagged_spend: ['spend'],
+    unattached_volume: ['ebs_volume'],
+    disallowed_region: ['ec2_instance', 'ebs_volume', 'spend'],
+    disallowed_instance_family: ['ec2_instance']
+};
+
+// Action type -> resource types it applies to
+const ACTION_TYPES = {
+    notify: ['ec2_instance', 'ebs_volume', 'spend'],
+    tag: ['ec2_instance', 'ebs_volume'],
+    stop: ['ec2_instance'],
+    snapshot_and_delete: ['ebs_volume'],
+    open_ticket: ['ec2_instance', 'ebs_volume', 'spend']
+};
+
+// Actions that need an approval before they run
+const DESTRUCTIVE_ACTIONS = ['stop', 'snapshot_and_delete'];
+
+const MAX_FILTER_DEPTH = 5;
+
+const isUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+const isStringList = (value) => Array.isArray(value) && value.length > 0
+    && value.every(item => typeof item === 'string' && item.trim());
+
+const checkNumber = (condition, name, min, max) => {
+    if (condition[name] === undefined) return;
+    const value = Number(condition[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`${condition.type}.${name} must be a number between ${min} and ${max}`);
+    }
+};
+
+const validateFilter = (filter, resource, depth = 0) => {
+    if (depth > MAX_FILTER_DEPTH) {
+        throw new Error(`Filters can be nested at most ${MAX_FILTER_DEPTH} levels deep`);
+    }
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+        throw new Error('Each filter must be an object');
+    }
+    for (const group of ['all', 'any']) {
+        if (filter[group] !== undefined) {
+            if (!Array.isArray(filter[group]) || filter[group].length === 0) {
+                throw new Error(`filter.${group} must be a non-empty list`);
+            }
+            filter[group].forEach(child => validateFilter(child, resource, depth + 1));
+            return;
+        }
+    }
+    if (filter.not !== undefined) {
+        validateFilter(filter.not, resource, depth + 1);
+        return;
+    }
+
+    const field = filter.field;
+    const isTag = typeof field === 'string' && field.startsWith('tag:') && field.length > 4 && resource !== 'spend';
+    if (!isTag && !RESOURCE_FIELDS[resource].includes(field)) {
+        throw new Error(`Unknown filter field for ${resource}: ${field}. Use ${RESOURCE_FIELDS[resource].join(', ')}${resource === 'spend' ? '' : ' or tag:<key>'}`);
+    }
+    const operator = filter.operator || 'equals';
+    if (!FILTER_OPERATORS.includes(operator)) {
+        throw new Error(`Unknown filter operator: ${operator}. Use ${FILTER_OPERATORS.join(', ')}`);
+    }
+    if (!['exists', 'not_exists'].includes(operator) && (filter.value === undefined || filter.value === null)) {
+        throw new Error(`Filter on ${field} needs a value`);
+    }
+};
+
+const validateCondition = (condition, resource) => {
+    if (!condition || !CONDITION_TYPES[condition.type]) {
+        throw new Error(`Unknown condition type: ${condition && condition.type}. Use ${Object.keys(CONDITION_TYPES).join(', ')}`);
+    }
+    if (!CONDITION_TYPES[condition.type].includes(resource)) {
+        throw new Error(`${condition.type} applies to ${CONDITION_TYPES[condition.type].join(', ')}, not ${resource}`);
+    }
+
+    switch (condition.type) {
+        case 'idle_instance':
+            checkNumber(condition, 'cpuBelow', 0, 100);
+            checkNumber(condition, 'days', 1, 63);
+            break;
+        case 'untagged_spend':
+            if (!(Number(condition.threshold) > 0)) {
+                throw new Error('untagged_spend.threshold must be a positive amount');
+            }
+            checkNumber(condition, 'days', 1, 365);
+            if (condition.requiredTags !== undefined && !isStringList(condition.requiredTags)) {
+                throw new Error('untagged_spend.requiredTags must be a list of tag keys');
+            }
+            break;
+        case 'unattached_volume':
+            checkNumber(condition, 'minAgeDays', 0, 3650);
+            break;
+        case 'disallowed_region':
+            if (isStringList(condition.regions) === isStringList(condition.allowedRegions)) {
+                throw new Error('disallowed_region needs either regions (denied) or allowedRegions');
+            }
+            break;
+        case 'disallowed_instance_family':
+            if (!isStringList(condition.families)) {
+                throw new Error('disallowed_instance_family.families must be a list such as ["p4d", "x1e"]');
+            }
+            break;
+    }
+};
+
+const validateAction = (action, resource) => {
+    if (!action || !ACTION_TYPES[action.type]) {
+        throw new Error(`Unknown action type: ${action && action.type}. Use ${Object.keys(ACTION_TYPES).join(', ')}`);
+    }
+    if (!ACTION_TYPES[action.type].includes(resource)) {
+        throw new Error(`${action.type} applies to ${ACTION_TYPES[action.type].join(', ')}, not ${resource}`);
+    }
+
+    switch (action.type) {
+        case 'notify':
+        case 'open_ticket':
+            if (!isUrl(action.webhook)) {
+                throw new Error(`${action.type}.webhook must be an http(s) URL`);
+            }
+            break;
+        case 'tag': {
+            const entries = action.tags && typeof action.tags === 'object' ? Object.entries(action.tags) : [];
+            if (entries.length === 0 || !entries.every(([key, value]) => key.trim() && !key.startsWith('aws:') && typeof value === 'string')) {
+                throw new Error('tag.tags must map tag keys (not aws:*) to string values');
+            }
+            break;
+        }
+    }
+};
+
+/**
+ * Validate and fill in the defaults of a declarative policy definition
+ * @throws {Error} describing the first problem found
+ */
+const normalizePolicyDefinition = (definition) => {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error('rules must be a policy definition object');
+    }
+    const { resource } = definition;
+    if (!RESOURCE_TYPES.includes(resource)) {
+        throw new Error(`rules.resource must be one of ${RESOURCE_TYPES.join(', ')}`);
+    }
+    if (definition.regions !== undefined && !isStringList(definition.regions)) {
+        throw new Error('rules.regions must be a list of region names');
+    }
+    if (definition.filter !== undefined && definition.filter !== null) {
+        validateFilter(definition.filter, resource);
+    }
+    if (!Array.isArray(definition.conditions) || definition.conditions.length === 0) {
+        throw new Error('rules.conditions must list at least one condition');
+    }
+    definition.conditions.forEach(condition => validateCondition(condition, resource));
+    if (!Array.isArray(definition.actions) || definition.actions.length === 0) {
+        throw new Error('rules.actions must list at least one action');
+    }
+    definition.actions.forEach(action => validateAction(action, resource));
+
+    const match = definition.match || 'all';
+    if (!['all', 'any'].includes(match)) {
+        throw new Error('rules.match must be all or any');
+    }
+    const mode = definition.mode || 'dry_run';
+    if (!MODES.includes(mode)) {
+        throw new Error(`rules.mode must be one of ${MODES.join(', ')}`);
+    }
+
+    return { ...definition, filter: definition.filter || null, match, mode };
+};
+
+// Value a filter field refers to; `tag:<key>` reads a resource tag
+const fieldValue = (resource, field) => (field.startsWith('tag:')
+    ? (resource.tags || {})[field.slice(4)]
+    : resource[field]);
+
+// Evaluate a filter tree against a collected resource
+const matchFilter = (resource, filter) => {
+    if (!filter) return true;
+    if (Array.isArray(filter.all)) return filter.all.every(child => matchFilter(resource, child));
+    if (Array.isArray(filter.any)) return filter.any.some(child => matchFilter(resource, child));
+    if (filter.not) return !matchFilter(resource, filter.not);
+
+    const actual = fieldValue(resource, filter.field);
+    const text = actual === null || actual === undefined ? null : String(actual).toLowerCase();
+    const expected = [].concat(filter.value ?? []).map(value => String(value).toLowerCase());
+
+    switch (filter.operator || 'equals') {
+        case 'equals':
+            return text !== null && text === expected[0];
+        case 'not_equals':
+            return text !== expected[0];
+        case 'in':
+            return text !== null && expected.includes(text);
+        case 'not_in':
+            return !expected.includes(text);
+        case 'contains':
+            return text !== null && expected.some(value => text.includes(value));
+        case 'starts_with':
+            return text !== null && expected.some(value => text.startsWith(value));
+        case 'exists':
+            return text !== null && text !== '';
+        case 'not_exists':
+            return text === null || text === '';
+        case 'greater_than':
+            return text !== null && Number(actual) > Number(filter.value);
+        case 'less_than':
+            return text !== null && Number(actual) < Number(filter.value);
+        default:
+            return false;
+    }
+};
+
+module.exports = {
+    RESOURCE_TYPES,
+    CONDITION_TYPES,
+    ACTION_TYPES,
+    DESTRUCTIVE_ACTIONS,
+    normalizePolicyDefinition,
+    matchFilter
+};
@@ -0,0 +1,275 @@
+// Governance resource collection and policy conditions
+// Resources are gathered per policy: EC2 instances and EBS volumes from the EC2 API in each
+// region the policy names, spend as one entry per service and region from cost_records.
+// AWS calls go through the user's gateway (context.gateway, see services/aws/gateway.js).
+const DatabaseService = require('../databaseService');
+const TagDictionaryService = require('../tagDictionaryService');
+const { exemptionSql } = require('./exemptions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PAGES = 20;
+const DEFAULT_REQUIRED_TAGS = ['Owner', 'CostCenter', 'Environment'];
+// Cost at risk is what a violating resource cost over this many days
+const COST_AT_RISK_DAYS = 30;
+
+// EBS list prices per GB-month (as in OrphanDetectionService), for volumes with no billed cost yet
+const VOLUME_PRICE_PER_GB_MONTH = {
+    gp3: 0.088,
+    gp2: 0.11,
+    io1: 0.138,
+    io2: 0.138,
+    st1: 0.054,
+    sc1: 0.028,
+    standard: 0.055
+};
+
+// Billing items, not actual resources; they can never carry tags
+const NON_TAGGABLE_SERVICES = [
+    'Tax',
+    'AWS Data Transfer',
+    'AWS Cost Explorer',
+    'AWS Support (Business)',
+    'AWS Support (Developer)',
+    'AWS Support (Enterprise)',
+    'Amazon Registrar'
+];
+
+const tagMap = (tags = []) => Object.fromEntries(tags.map(tag => [tag.Key, tag.Value]));
+
+const policyRegions = (definition, gateway) => definition.regions || [gateway.region];
+
+const spendDays = (definition) => Math.max(30, ...definition.conditions
+    .filter(condition => condition.type === 'untagged_spend')
+    .map(condition => Number(condition.days) || 30));
+
+async function describeAll(gateway, operation, input, listKey, region) {
+    const items = [];
+    let NextToken;
+    for (let page = 0; page < MAX_PAGES; page++) {
+        const response = await gateway.send('ec2', operation, { ...input, NextToken }, { region });
+        items.push(...(response[listKey] || []));
+        NextToken = response.NextToken;
+        if (!NextToken) break;
+    }
+    return items;
+}
+
+/**
+ * Everything a policy looks at, before filters and conditions. Exempted cost records are left
+ * out of spend; AWS resources are returned with their account for exemption matching.
+ * @param {Object} context - { userId, credentials, gateway, dictionary, exemptions }
+ */
+async function collectResources(definition, context) {
+    const { credentials, gateway, dictionary } = context;
+    const normalizeTags = tags => TagDictionaryService.normalizeTags(tags, dictionary) || {};
+
+    if (definition.resource === 'spend') {
+        const params = [DatabaseService.getUserIdForDatabase(context.userId), spendDays(definition), NON_TAGGABLE_SERVICES];
+        const exempted = exemptionSql(context.exemptions, params, dictionary);
+        const result = await DatabaseService.query(`
+            SELECT service_name, COALESCE(region, 'global') as region, SUM(cost_amount) as cost
+            FROM cost_records
+            WHERE user_id = $1 AND date >= CURRENT_DATE - $2::int
+                AND service_name != ALL($3::text[])
+                AND ${exempted} IS NULL
+            GROUP BY service_name, COALESCE(region, 'global')
+        `, params);
+        return result.rows.map(row => ({
+            id: `${row.service_name}|${row.region}`,
+            service: row.service_name,
+            region: row.region,
+            cost: parseFloat(row.cost) || 0
+        }));
+    }
+
+    const resources = [];
+    for (const region of policyRegions(definition, gateway)) {
+        if (definition.resource === 'ec2_instance') {
+            const reservations = await describeAll(gateway, 'DescribeInstances', {
+                Filters: [{ Name: 'instance-state-name', Values: ['pending', 'running', 'stopping', 'stopped'] }]
+            }, 'Reservations', region);
+            reservations.forEach(reservation => (reservation.Instances || []).forEach(instance => {
+                resources.push({
+                    id: instance.InstanceId,
+                    region,
+                    account_id: reservation.OwnerId || (credentials && credentials.accountId) || null,
+                    state: instance.State && instance.State.Name,
+                    instance_type: instance.InstanceType,
+                    instance_family: (instance.InstanceType || '').split('.')[0],
+                    launch_time: instance.LaunchTime,
+                    tags: normalizeTags(tagMap(instance.Tags))
+                });
+            }));
+        } else {
+            const volumes = await describeAll(gateway, 'DescribeVolumes', {}, 'Volumes', region);
+            volumes.forEach(volume => {
+                resources.push({
+                    id: volume.VolumeId,
+                    region,
+                    account_id: (credentials && credentials.accountId) || null,
+                    state: volume.State,
+                    volume_type: volume.VolumeType,
+                    size_gb: volume.Size,
+                    create_time: volume.CreateTime,
+                    attachments: (volume.Attachments || []).length,
+                    tags: normalizeTags(tagMap(volume.Tags))
+                });
+            });
+        }
+    }
+    return resources;
+}
+
+/**
+ * Spend groups (service|region) with exempted cost records, and the exemption covering them
+ * @returns {Array} [{ resourceId, exemptionId }]
+ */
+async function collectExemptedSpend(definition, context) {
+    if (!context.exemptions || context.exemptions.length === 0) return [];
+    const params = [DatabaseService.getUserIdForDatabase(context.userId), spendDays(definition), NON_TAGGABLE_SERVICES];
+    const exempted = exemptionSql(context.exemptions, params, context.dictionary);
+    const result = await DatabaseService.query(`
+        SELECT service_name, COALESCE(region, 'global') as region, MIN(${exempted}) as exemption_id
+        FROM cost_records
+        WHERE user_id = $1 AND date >= CURRENT_DATE - $2::int
+            AND service_name != ALL($3::text[])
+            AND ${exempted} IS NOT NULL
+        GROUP BY service_name, COALESCE(region, 'global')
+    `, params);
+    return result.rows.map(row => ({ resourceId: `${row.service_name}|${row.region}`, exemptionId: row.exemption_id }));
+}
+
+/**
+ * Condition checks. Each returns a reason string when the resource violates the condition,
+ * null when it does not. `cache` is shared by one evaluation.
+ */
+const CONDITIONS = {
+    async idle_instance(resource, condition, context) {
+        if (resource.state !== 'running') return null;
+        const cpuBelow = Number(condition.cpuBelow ?? 5);
+        const days = Number(condition.days ?? 7);
+        const response = await context.gateway.send('cloudWatch', 'GetMetricStatistics', {
+            Namespace: 'AWS/EC2',
+            MetricName: 'CPUUtilization',
+            Dimensions: [{ Name: 'InstanceId', Value: resource.id }],
+            StartTime: new Date(Date.now() - days * DAY_MS),
+            EndTime: new Date(),
+            Period: 86400,
+            Statistics: ['Average']
+        }, { region: resource.region });
+        const averages = (response.Datapoints || []).map(point => point.Average);
+        // No datapoints means no metrics yet (e.g. just launched), not an idle instance
+        if (averages.length === 0) return null;
+        const peak = Math.max(...averages);
+        return peak < cpuBelow
+            ? `Daily average CPU stayed under ${cpuBelow}% for ${days} days (peak ${peak.toFixed(1)}%)`
+            : null;
+    },
+
+    async untagged_spend(resource, condition, context) {
+        const days = Number(condition.days ?? 30);
+        const requiredTags = condition.requiredTags || DEFAULT_REQUIRED_TAGS;
+        const cacheKey = `untagged:${days}:${requiredTags.join(',')}`;
+
+        if (!context.cache.has(cacheKey)) {
+            // A required tag counts as present when any of its dictionary aliases is
+            const params = [DatabaseService.getUserIdForDatabase(context.userId), days];
+            const missing = requiredTags.map(tag => {
+                params.push(TagDictionaryService.keyVariants(context.dictionary, tag));
+                return `NOT COALESCE(tags ?| $${params.length}::text[], false)`;
+            });
+            const exempted = exemptionSql(context.exemptions, params, context.dictionary);
+            const result = await DatabaseService.query(`
+                SELECT service_name, COALESCE(region, 'global') as region, SUM(cost_amount) as cost
+                FROM cost_records
+                WHERE user_id = $1 AND date >= CURRENT_DATE - $2::int
+                    AND (tags IS NULL OR jsonb_typeof(tags) != 'object' OR ${missing.join(' OR ')})
+                    AND ${exempted} IS NULL
+                GROUP BY service_name, COALESCE(region, 'global')
+            `, params);
+            context.cache.set(cacheKey, new Map(result.rows.map(row => [`${row.service_name}|${row.region}`, parseFloat(row.cost) || 0])));
+        }
+
+        const untagged = context.cache.get(cacheKey).get(resource.id) || 0;
+        const threshold = Number(condition.threshold);
+        return untagged > threshold
+            ? `$${untagged.toFixed(2)} spent without ${requiredTags.join('/')} tags in ${days} days (limit $${threshold.toFixed(2)})`
+            : null;
+    },
+
+    async unattached_volume(resource, condition) {
+        if (resource.state !== 'available') return null;
+        const minAgeDays = Number(condition.minAgeDays ?? 0);
+        const ageDays = resource.create_time ? (Date.now() - new Date(resource.create_time).getTime()) / DAY_MS : Infinity;
+        return ageDays >= minAgeDays
+            ? `Volume is not attached to any instance${minAgeDays ? ` and is older than ${minAgeDays} days` : ''}`
+            : null;
+    },
+
+    async disallowed_region(resource, condition) {
+        const denied = condition.regions
+            ? condition.regions.includes(resource.region)
+            : !condition.allowedRegions.includes(resource.region);
+        return denied ? `Region ${resource.region} is not allowed` : null;
+    },
+
+    async disallowed_instance_family(resource, condition) {
+        const families = condition.families.map(family => family.toLowerCase());
+        return families.includes((resource.instance_family || '').toLowerCase())
+            ? `Instance family ${resource.instance_family} is not allowed`
+            : null;
+    }
+};
+
+/**
+ * Reasons a resource violates the policy, or [] when it does not
+ */
+async function evaluateConditions(resource, definition, context) {
+    const reasons = [];
+    for (const condition of definition.conditions) {
+        const reason = await CONDITIONS[condition.type](resource, condition, context);
+        if (reason) {
+            reasons.push(reason);
+        } else if (definition.match === 'all') {
+            return [];
+        }
+    }
+    return reasons;
+}
+
+/**
+ * Cost at risk for each violation: untagged spend for spend policies, otherwise what the
+ * resource was billed over the last 30 days (list price for volumes not billed yet)
+ * @returns {Map} resource id -> amount
+ */
+async function estimateCostAtRisk(violations, definition, context) {
+    const costs = new Map();
+    if (violations.length === 0) return costs;
+
+    if (definition.resource === 'spend') {
+        const untagged = [...context.cache.entries()].filter(([key]) => key.startsWith('untagged:')).map(([, map]) => map);
+        violations.forEach(({ resource }) => {
+            const amounts = untagged.map(map => map.get(resource.id) || 0);
+            costs.set(resource.id, amounts.length > 0 ? Math.max(...amounts) : resource.cost);
+        });
+        return costs;
+    }
+
+    const result = await DatabaseService.query(`
+        SELECT resource_id, SUM(cost_amount) as cost
+        FROM cost_records
+        WHERE user_id = $1 AND date >= CURRENT_DATE - $2::int AND resource_id = ANY($3::text[])
+        GROUP BY resource_id
+    `, [DatabaseService.getUserIdForDatabase(context.userId), COST_AT_RISK_DAYS, violations.map(({ resource }) => resource.id)]);
+    const billed = new Map(result.rows.map(row => [row.resource_id, parseFloat(row.cost) || 0]));
+
+    violations.forEach(({ resource }) => {
+        const estimate = definition.resource === 'ebs_volume'
+            ? (resource.size_gb || 0) * (VOLUME_PRICE_PER_GB_MONTH[resource.volume_type] || VOLUME_PRICE_PER_GB_MONTH.gp2)
+            : 0;
+        costs.set(resource.id, billed.has(resource.id) ? billed.get(resource.id) : estimate);
+    });
+    return costs;
+}
+
+module.exports = { collectResources, collectExemptedSpend, evaluateConditions, estimateCostAtRisk, NON_TAGGABLE_SERVICES };
@@ -1,40 +1,923 @@
 // Cost Governance & Automation Service
 // Token-efficient, production-ready policy engine
-const { EC2Client, StopInstancesCommand } = require('@aws-sdk/client-ec2');
+// Policy types: budget_threshold and tag_compliance (settings in params) and declarative
+// (resource filters, conditions and actions in rules, see governance/policyLanguage.js).
+// Every evaluation, manual or scheduled, is stored and keeps one violation record per policy
+// and resource up to date (open -> remediated when the resource stops violating).
+const cron = require('node-cron');
+const { CronExpressionParser } = require('cron-parser');
 const DatabaseService = require('./databaseService');
+const TagDictionaryService = require('./tagDictionaryService');
+const Governance = require('./governance');
+const { resolveCredentials, gatewayFor } = require('./aws');
+
+const POLICY_TYPES = ['budget_threshold', 'tag_compliance', 'declarative'];
+const ACTION_REQUEST_STATUSES = ['pending_approval', 'approved', 'rejected', 'executed', 'failed'];
+const VIOLATION_STATUSES = ['open', 'acknowledged', 'remediated', 'waived'];
+const EXEMPTION_STATUSES = ['pending_approval', 'active', 'rejected', 'revoked', 'expired'];
+// Policies claimed per scheduler tick
+const SCHEDULER_BATCH_SIZE = 20;
+const MAX_COMPLIANCE_DAYS = 365;
 
 class GovernanceService {
   // Evaluate and enforce all active policies for a user/account
-  static async evaluateAndEnforce(userId, awsCredentials, options = {}) {
+  // options.dryRun forces every declarative policy into dry-run mode for this evaluation
+  // aws is the user's { credentials, gateway } from awsAccess(), or null
+  static async evaluateAndEnforce(userId, aws, options = {}, actorId = userId) {
     const policies = await this.listPolicies(userId);
     const results = [];
     for (const p of policies) {
-      const r = await this.enforcePolicy(p, awsCredentials, options, userId);
-      results.push({ policyId: p.id, type: p.type, enforced: r.enforced, details: r.details || null });
+      let r;
+      try {
+        r = await this.enforcePolicy(p, aws, options, userId, actorId);
+      } catch (error) {
+        console.error(`   ❌ Policy ${p.id} failed:`, error.message);
+        r = { enforced: false, details: { error: error.message } };
+      }
+      const history = await this.recordEvaluation(p, r, 'manual');
+      results.push({ policyId: p.id, type: p.type, enforced: r.enforced, details: r.details || null, history });
     }
     return { success: true, results, enforcedCount: results.filter(r=>r.enforced).length };
   }
 
   // Core enforcement dispatcher
-  static async enforcePolicy(policy, awsCredentials, options, userId) {
+  static async enforcePolicy(policy, aws, options, userId, actorId = userId) {
     if (!policy?.active) return { enforced: false, details: 'inactive' };
     switch (policy.type) {
       case 'budget_threshold':
         return await this.enforceBudgetThreshold(policy, userId);
       case 'tag_compliance':
         return await this.enforceTagCompliance(policy, userId);
+      case 'declarative':
+        return await this.enforceDeclarativePolicy(policy, aws, options, userId, actorId);
       default:
         return { enforced: false, details: 'unknown_type' };
     }
   }
 
+  /**
+   * Check a policy before it is saved; declarative definitions come back with defaults filled in
+   * @throws {Error} describing the first problem found
+   */
+  static validatePolicy(type, rules) {
+    if (!POLICY_TYPES.includes(type)) {
+      throw new Error(`type must be one of ${POLICY_TYPES.join(', ')}`);
+    }
+    return type === 'declarative' ? Governance.normalizePolicyDefinition(rules) : (rules || {});
+  }
+
+  // Policy: declarative -> collect resources, filter, check conditions, run or plan actions.
+  // Dry runs only describe the actions; destructive actions become approval requests.
+  static async enforceDeclarativePolicy(policy, aws, options, userId, actorId) {
+    const definition = Governance.normalizePolicyDefinition(policy.rules);
+    const dryRun = definition.mode === 'dry_run' || options.dryRun === true;
+    if (definition.resource !== 'spend' && !aws) {
+      return { enforced: false, details: 'missing_aws_credentials' };
+    }
+
+    const context = {
+      userId,
+      credentials: aws && aws.credentials,
+      gateway: aws && aws.gateway,
+      dictionary: await TagDictionaryService.loadDictionary(userId),
+      exemptions: await this.activeExemptions(userId, policy.id),
+      cache: new Map(),
+      policy: { id: policy.id, name: policy.name },
+      mode: dryRun ? 'dry_run' : 'enforce'
+    };
+
+    // Exempted resources are neither checked nor counted; exempted spend never gets collected
+    const exempted = definition.resource === 'spend'
+      ? await Governance.collectExemptedSpend(definition, context)
+      : [];
+    const resources = (await Governance.collectResources(definition, context))
+      .filter(resource => Governance.matchFilter(resource, definition.filter))
+      .filter(resource => {
+        const exemption = Governance.findExemption(resource, context.exemptions, context.dictionary);
+        if (exemption) exempted.push({ resourceId: resource.id, exemptionId: exemption.id });
+        return !exemption;
+      });
+    const violations = [];
+    for (const resource of resources) {
+      const reasons = await Governance.evaluateConditions(resource, definition, context);
+      if (reasons.length > 0) violations.push({ resource: { ...resource, reasons }, reasons });
+    }
+    const costAtRisk = await Governance.estimateCostAtRisk(violations, definition, context);
+
+    // Violations already acted on (and not remediated since) or waived are left alone, so
+    // scheduled runs do not re-notify or re-open tickets every time
+    const tracked = await this.trackedViolations(policy.id);
+    const actionable = dryRun ? violations : violations.filter(({ resource }) => {
+      const record = tracked.get(resource.id);
+      return !record || ((record.status !== 'waived' || record.exemption_id) && !record.actioned_at);
+    });
+
+    const actions = [];
+    for (const action of definition.actions) {
+      if (actionable.length === 0) break;
+      if (action.type === 'notify') {
+        actions.push(await this.runAction(action, actionable, null, context, userId, actorId, dryRun));
+        continue;
+      }
+      for (const { resource } of actionable) {
+        actions.push(await this.runAction(action, resource, resource, context, userId, actorId, dryRun));
+      }
+    }
+
+    await this.recordGovernanceEvent('declarative_policy_evaluated', {
+      mode: context.mode,
+      resourcesEvaluated: resources.length,
+      violations: violations.length
+    }, { userId, policyId: policy.id });
+
+    return {
+      enforced: violations.length > 0,
+      actionedResourceIds: dryRun ? [] : this.actionedResources(actionable, actions),
+      details: {
+        mode: context.mode,
+        resource: definition.resource,
+        resourcesEvaluated: resources.length,
+        violations: violations.map(({ resource, reasons }) => ({
+          resourceId: resource.id,
+          region: resource.region,
+          owner: (resource.tags && resource.tags.Owner) || null,
+          costAtRisk: Math.round((costAtRisk.get(resource.id) || 0) * 100) / 100,
+          reasons
+        })),
+        exempted,
+        actions
+      }
+    };
+  }
+
+  // Violations every action ran for (or was queued for); failed ones are retried next run
+  static actionedResources(actionable, actions) {
+    const failed = new Set(actions.filter(action => action.status === 'failed').map(action => action.resourceId));
+    if (failed.has(null)) return [];
+    return actionable.map(({ resource }) => resource.id).filter(id => !failed.has(id));
+  }
+
+  // resource_id -> { status, actioned_at } for the policy's current violation records
+  static async trackedViolations(policyId) {
+    const r = await DatabaseService.query(
+      `SELECT resource_id, status, exemption_id, actioned_at FROM governance_violations WHERE policy_id=$1 AND status != 'remediated'`,
+      [policyId]
+    );
+    return new Map(r.rows.map(row => [row.resource_id, row]));
+  }
+
+  // The violations an evaluation result describes, in one shape for every policy type
+  static violationsOf(policy, result) {
+    const details = result.details;
+    switch (policy.type) {
+      case 'declarative':
+        return details.violations.map(v => ({ ...v, resourceType: details.resource }));
+      case 'budget_threshold': {
+        if (!result.enforced) return [];
+        const period = (policy.params && policy.params.period) || 'monthly';
+        return [{
+          resourceId: `budget:${period}`,
+          resourceType: 'budget',
+          region: null,
+          owner: null,
+          costAtRisk: details.total - details.budget_amount,
+          reasons: [`Spend of $${details.total.toFixed(2)} reached the ${period} budget of $${details.budget_amount}`]
+        }];
+      }
+      case 'tag_compliance':
+        return details.groupedResources.map(group => ({
+          resourceId: `${group.service}|${group.region}`,
+          resourceType: 'spend',
+          region: group.region,
+          owner: null,
+          costAtRisk: group.totalCost,
+          reasons: [`Missing required tags: ${details.requiredTags.join(', ')}`]
+        }));
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Store an evaluation and sync the policy's violation records with it. New violations are
+   * opened, remediated ones that came back are reopened, open or acknowledged ones now covered
+   * by an exemption are waived, and the rest no longer found are marked remediated. Waived
+   * records only get their last-seen time updated, unless their exemption has lapsed.
+   * @returns {Object|null} summary, or null when the policy could not be evaluated
+   */
+  static async recordEvaluation(policy, result, trigger) {
+    try {
+      const evaluated = result.details && typeof result.details === 'object' && !result.details.error;
+      if (!evaluated) {
+        const reason = result.details && result.details.error ? result.details.error : String(result.details);
+        await DatabaseService.query(`
+          INSERT INTO governance_policy_evaluations (policy_id, user_id, trigger, status, skipped_reason)
+          VALUES ($1,$2,$3,'skipped',$4)
+        `, [policy.id, policy.user_id, trigger, reason]);
+        return null;
+      }
+
+      const violations = this.violationsOf(policy, result);
+      const actioned = new Set(result.actionedResourceIds || []);
+      let newViolations = 0;
+      for (const v of violations) {
+        const r = await DatabaseService.query(`
+          INSERT INTO governance_violations
+            (user_id, policy_id, resource_id, resource_type, region, owner, reasons, cost_at_risk, actioned_at)
+          VALUES ($1,$2,$3,$4,$5,$6,$7,$8, CASE WHEN $9::boolean THEN NOW() END)
+          ON CONFLICT (policy_id, resource_id) DO UPDATE SET
+            region = EXCLUDED.region,
+            owner = COALESCE(governance_violations.owner, EXCLUDED.owner),
+            reasons = EXCLUDED.reasons,
+            cost_at_risk = EXCLUDED.cost_at_risk,
+            last_seen_at = NOW(),
+            occurrences = governance_violations.occurrences + 1,
+            status = CASE
+              WHEN governance_violations.status = 'remediated' THEN 'open'
+              WHEN governance_violations.status = 'waived' AND governance_violations.exemption_id IS NOT NULL THEN 'open'
+              ELSE governance_violations.status
+            END,
+            exemption_id = NULL,
+            resolved_at = CASE WHEN governance_violations.status = 'remediated' THEN NULL ELSE governance_violations.resolved_at END,
+            actioned_at = CASE
+              WHEN $9::boolean THEN NOW()
+              WHEN governance_violations.status = 'remediated' THEN NULL
+              ELSE governance_violations.actioned_at
+            END
+          RETURNING (xmax = 0) AS inserted
+        `, [policy.user_id, policy.id, v.resourceId, v.resourceType, v.region, v.owner,
+            JSON.stringify(v.reasons), v.costAtRisk || 0, actioned.has(v.resourceId)]);
+        if (r.rows[0].inserted) newViolations++;
+      }
+
+      const seen = violations.map(v => v.resourceId);
+      const exempted = (result.details.exempted || []).filter(e => !seen.includes(e.resourceId));
+      for (const e of exempted) {
+        await DatabaseService.query(`
+          UPDATE governance_violations
+          SET status='waived', exemption_id=$3, status_changed_at=NOW(), status_changed_by=NULL, status_comment=$4
+          WHERE policy_id=$1 AND resource_id=$2 AND status IN ('open','acknowledged')
+        `, [policy.id, e.resourceId, e.exemptionId, `Covered by exemption #${e.exemptionId}`]);
+      }
+
+      const remediated = await DatabaseService.query(`
+        UPDATE governance_violations SET status='remediated', resolved_at=NOW()
+        WHERE policy_id=$1 AND status IN ('open','acknowledged') AND resource_id != ALL($2::text[])
+        RETURNING id
+      `, [policy.id, [...seen, ...exempted.map(e => e.resourceId)]]);
+
+      const open = await DatabaseService.query(`
+        SELECT COUNT(*) AS count, COALESCE(SUM(cost_at_risk),0) AS cost
+        FROM governance_violations WHERE policy_id=$1 AND status IN ('open','acknowledged')
+      `, [policy.id]);
+
+      const resourcesEvaluated = result.details.resourcesEvaluated ?? null;
+      const complianceRate = resourcesEvaluated
+        ? Math.round((resourcesEvaluated - violations.length) / resourcesEvaluated * 10000) / 100
+        : (violations.length === 0 ? 100 : (policy.type === 'budget_threshold' ? 0 : null));
+
+      const summary = {
+        violations: violations.length,
+        exempted: exempted.length,
+        newViolations,
+        remediated: remediated.rows.length,
+        openViolations: parseInt(open.rows[0].count),
+        costAtRisk: parseFloat(open.rows[0].cost),
+        complianceRate
+      };
+      const inserted = await DatabaseService.query(`
+        INSERT INTO governance_policy_evaluations
+          (policy_id, user_id, trigger, status, resources_evaluated, violation_count, exempted_count, new_violations,
+           remediated_count, open_violations, cost_at_risk, compliance_rate)
+        VALUES ($1,$2,$3,'completed',$4,$5,$6,$7,$8,$9,$10,$11)
+        RETURNING id
+      `, [policy.id, policy.user_id, trigger, resourcesEvaluated, summary.violations, summary.exempted, summary.newViolations,
+          summary.remediated, summary.openViolations, summary.costAtRisk, complianceRate]);
+      await DatabaseService.query(`UPDATE governance_policies SET last_evaluated_at=NOW() WHERE id=$1`, [policy.id]);
+
+      return { evaluationId: inserted.rows[0].id, ...summary };
+    } catch (error) {
+      console.error(`   ❌ Recording evaluation of policy ${policy.id} failed:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check a policy schedule ({ cron, timezone }); null clears it
+   * @throws {Error} on an invalid expression or time zone
+   */
+  static validateSchedule(schedule) {
+    if (schedule === null || schedule === undefined) return null;
+    if (typeof schedule !== 'object' || typeof schedule.cron !== 'string' || !schedule.cron.trim()) {
+      throw new Error('schedule must be { cron, timezone } or null');
+    }
+    const timezone = schedule.timezone || 'UTC';
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch {
+      throw new Error(`Invalid time zone: ${timezone}`);
+    }
+    try {
+      CronExpressionParser.parse(schedule.cron, { tz: timezone });
+    } catch (error) {
+      throw new Error(`Invalid cron expression "${schedule.cron}": ${error.message}`);
+    }
+    return { cron: schedule.cron.trim(), timezone, nextRunAt: this.nextRunAt(schedule.cron, timezone) };
+  }
+
+  static nextRunAt(cronExpression, timezone = 'UTC', fromDate = new Date()) {
+    return CronExpressionParser.parse(cronExpression, { currentDate: fromDate, tz: timezone }).next().toDate();
+  }
+
+  // Check every minute for policies whose schedule is due and exemptions about to lapse
+  static startScheduler() {
+    if (this.schedulerTask) return;
+    this.schedulerTask = cron.schedule('* * * * *', () => {
+      this.processExemptions().catch(error => console.error('❌ Governance exemption check error:', error.message));
+      this.runDuePolicies().catch(error => console.error('❌ Governance scheduler error:', error.message));
+    });
+    console.log('📅 Governance policy scheduler started');
+  }
+
+  /**
+   * Evaluate the policies that are due. Each one is claimed by moving next_run_at on from the
+   * value read, so with several instances only one evaluates it. Runs missed while the server
+   * was down are caught up once.
+   */
+  static async runDuePolicies(now = new Date()) {
+    if (this.schedulerRunning) return [];
+    this.schedulerRunning = true;
+    const evaluated = [];
+    try {
+      const due = await DatabaseService.query(`
+        SELECT * FROM governance_policies
+        WHERE active = true AND schedule_cron IS NOT NULL AND next_run_at <= $1
+        ORDER BY next_run_at LIMIT ${SCHEDULER_BATCH_SIZE}
+      `, [now]);
+
+      for (const policy of due.rows) {
+        let nextRun;
+        try {
+          nextRun = this.nextRunAt(policy.schedule_cron, policy.schedule_timezone || 'UTC', now);
+        } catch (error) {
+          console.error(`   ❌ Policy ${policy.id} has an invalid schedule:`, error.message);
+          nextRun = null;
+        }
+        const claimed = await DatabaseService.query(
+          `UPDATE governance_policies SET next_run_at=$2 WHERE id=$1 AND next_run_at=$3 RETURNING id`,
+          [policy.id, nextRun, policy.next_run_at]
+        );
+        if (claimed.rows.length === 0 || !nextRun) continue;
+
+        console.log(`⏰ Scheduled evaluation of governance policy ${policy.id} (${policy.name})`);
+        const aws = await this.awsAccess(policy.user_id);
+        let result;
+        try {
+          result = await this.enforcePolicy(policy, aws, {}, policy.user_id, null);
+        } catch (error) {
+          console.error(`   ❌ Policy ${policy.id} failed:`, error.message);
+          result = { enforced: false, details: { error: error.message } };
+        }
+        evaluated.push({ policyId: policy.id, history: await this.recordEvaluation(policy, result, 'scheduled') });
+      }
+    } finally {
+      this.schedulerRunning = false;
+    }
+    return evaluated;
+  }
+
+  // A user's AWS gateway and credentials: the request's header credentials first, then the
+  // stored ones. null when AWS cannot be reached for them (spend policies run without it)
+  static async awsAccess(userId, requestCredentials = null) {
+    let gateway;
+    try {
+      gateway = await gatewayFor(userId, { requestCredentials });
+    } catch (error) {
+      return null;
+    }
+    // Only the account id is read from them; the in-memory gateway needs none
+    const resolved = await resolveCredentials(userId, { requestCredentials });
+    return { credentials: resolved.success ? resolved.credentials : null, gateway };
+  }
+
+  static async listViolations(userId, filters = {}) {
+    try {
+      if (filters.status && !VIOLATION_STATUSES.includes(filters.status)) {
+        return { success: false, status: 400, error: `status must be one of ${VIOLATION_STATUSES.join(', ')}` };
+      }
+      const r = await DatabaseService.query(`
+        SELECT v.*, p.name AS policy_name, p.type AS policy_type
+        FROM governance_violations v
+        JOIN governance_policies p ON p.id = v.policy_id
+        WHERE v.user_id=$1
+          AND ($2::text IS NULL OR v.status=$2)
+          AND ($3::int IS NULL OR v.policy_id=$3)
+          AND ($4::text IS NULL OR v.owner=$4)
+        ORDER BY v.last_seen_at DESC LIMIT 500
+      `, [userId, filters.status || null, filters.policyId ? parseInt(filters.policyId, 10) : null, filters.owner || null]);
+      return { success: true, violations: r.rows };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Acknowledge, waive, reopen or resolve a violation and/or assign its owner
+  static async updateViolation(userId, actorId, violationId, { status, owner, comment } = {}) {
+    try {
+      if (status !== undefined && !VIOLATION_STATUSES.includes(status)) {
+        return { success: false, status: 400, error: `status must be one of ${VIOLATION_STATUSES.join(', ')}` };
+      }
+      if (owner !== undefined && owner !== null && (typeof owner !== 'string' || !owner.trim())) {
+        return { success: false, status: 400, error: 'owner must be a non-empty string or null' };
+      }
+      if (status === undefined && owner === undefined) {
+        return { success: false, status: 400, error: 'Provide a status or an owner' };
+      }
+
+      const r = await DatabaseService.query(`
+        UPDATE governance_violations SET
+          status = COALESCE($3, status),
+          owner = CASE WHEN $4::boolean THEN $5 ELSE owner END,
+          resolved_at = CASE
+            WHEN $3 = 'remediated' AND status != 'remediated' THEN NOW()
+            WHEN $3 IS NOT NULL AND $3 != 'remediated' THEN NULL
+            ELSE resolved_at
+          END,
+          status_changed_at = CASE WHEN $3 IS NOT NULL THEN NOW() ELSE status_changed_at END,
+          status_changed_by = CASE WHEN $3 IS NOT NULL THEN $6 ELSE status_changed_by END,
+          status_comment = CASE WHEN $3 IS NOT NULL THEN $7 ELSE status_comment END
+        WHERE id=$1 AND user_id=$2
+        RETURNING *
+      `, [parseInt(violationId, 10), userId, status ?? null, owner !== undefined, owner ? owner.trim() : null, actorId, comment || null]);
+      if (r.rows.length === 0) {
+        return { success: false, status: 404, error: 'Violation not found' };
+      }
+      await this.recordGovernanceEvent('violation_updated', { status, owner, comment, by: actorId },
+        { userId, policyId: r.rows[0].policy_id, resourceId: r.rows[0].resource_id });
+      return { success: true, violation: r.rows[0] };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Compliance over time for one policy: the last completed evaluation of each day, plus the
+   * current violation counts and the mean time to remediate in the window
+   */
+  static async getPolicyCompliance(userId, policyId, days = 90) {
+    try {
+      const window = Math.min(Math.max(parseInt(days, 10) || 90, 1), MAX_COMPLIANCE_DAYS);
+      const policy = await DatabaseService.query(
+        `SELECT id, name, type, schedule_cron, schedule_timezone, next_run_at, last_evaluated_at FROM governance_policies WHERE id=$1 AND user_id=$2`,
+        [parseInt(policyId, 10), userId]
+      );
+      if (policy.rows.length === 0) {
+        return { success: false, status: 404, error: 'Policy not found' };
+      }
+
+      const [series, counts, mttr] = await Promise.all([
+        DatabaseService.query(`
+          SELECT DISTINCT ON (date_trunc('day', evaluated_at))
+            date_trunc('day', evaluated_at) AS day, compliance_rate, violation_count, open_violations, cost_at_risk
+          FROM governance_policy_evaluations
+          WHERE policy_id=$1 AND status='completed' AND evaluated_at >= NOW() - $2 * INTERVAL '1 day'
+          ORDER BY date_trunc('day', evaluated_at), evaluated_at DESC
+        `, [policy.rows[0].id, window]),
+        DatabaseService.query(`
+          SELECT status, COUNT(*) AS count, COALESCE(SUM(cost_at_risk),0) AS cost
+          FROM governance_violations WHERE policy_id=$1 GROUP BY status
+        `, [policy.rows[0].id]),
+        DatabaseService.query(`
+          SELECT AVG(EXTRACT(EPOCH FROM (resolved_at - first_seen_at)) / 3600) AS hours
+          FROM governance_violations
+          WHERE policy_id=$1 AND status='remediated' AND resolved_at >= NOW() - $2 * INTERVAL '1 day'
+        `, [policy.rows[0].id, window])
+      ]);
+
+      const byStatus = Object.fromEntries(VIOLATION_STATUSES.map(status => [status, { count: 0, costAtRisk: 0 }]));
+      counts.rows.forEach(row => {
+        byStatus[row.status] = { count: parseInt(row.count), costAtRisk: parseFloat(row.cost) };
+      });
+
+      return {
+        success: true,
+        policy: policy.rows[0],
+        days: window,
+        series: series.rows.map(row => ({
+          date: new Date(row.day).toISOString().split('T')[0],
+          complianceRate: row.compliance_rate === null ? null : parseFloat(row.compliance_rate),
+          violations: row.violation_count,
+          openViolations: row.open_violations,
+          costAtRisk: parseFloat(row.cost_at_risk)
+        })),
+        violations: byStatus,
+        meanTimeToRemediateHours: mttr.rows[0].hours === null ? null : Math.round(parseFloat(mttr.rows[0].hours) * 10) / 10
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Governance posture across all policies: latest evaluation and open violations of each
+  static async getCompliancePosture(userId) {
+    try {
+      const r = await DatabaseService.query(`
+        SELECT p.id, p.name, p.type, p.active, p.schedule_cron, p.last_evaluated_at,
+          e.compliance_rate, e.evaluated_at,
+          COALESCE(v.open_count, 0) AS open_violations,
+          COALESCE(v.cost, 0) AS cost_at_risk
+        FROM governance_policies p
+        LEFT JOIN LATERAL (
+          SELECT compliance_rate, evaluated_at FROM governance_policy_evaluations
+          WHERE policy_id = p.id AND status = 'completed'
+          ORDER BY evaluated_at DESC LIMIT 1
+        ) e ON true
+        LEFT JOIN LATERAL (
+          SELECT COUNT(*) AS open_count, SUM(cost_at_risk) AS cost FROM governance_violations
+          WHERE policy_id = p.id AND status IN ('open','acknowledged')
+        ) v ON true
+        WHERE p.user_id = $1
+        ORDER BY p.priority NULLS LAST, p.id
+      `, [userId]);
+
+      const policies = r.rows.map(row => ({
+        policyId: row.id,
+        name: row.name,
+        type: row.type,
+        active: row.active,
+        scheduled: Boolean(row.schedule_cron),
+        lastEvaluatedAt: row.last_evaluated_at,
+        complianceRate: row.compliance_rate === null ? null : parseFloat(row.compliance_rate),
+        compliant: row.evaluated_at ? parseInt(row.open_violations) === 0 : null,
+        openViolations: parseInt(row.open_violations),
+        costAtRisk: parseFloat(row.cost_at_risk)
+      }));
+      const evaluatedPolicies = policies.filter(policy => policy.compliant !== null);
+
+      return {
+        success: true,
+        summary: {
+          policies: policies.length,
+          evaluatedPolicies: evaluatedPolicies.length,
+          compliantPolicies: evaluatedPolicies.filter(policy => policy.compliant).length,
+          openViolations: policies.reduce((sum, policy) => sum + policy.openViolations, 0),
+          costAtRisk: Math.round(policies.reduce((sum, policy) => sum + policy.costAtRisk, 0) * 100) / 100
+        },
+        policies,
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // One action for one violation (or for all of them, for notify)
+  static async runAction(action, target, resource, context, userId, actorId, dryRun) {
+    const planned = {
+      action: action.type,
+      resourceId: resource ? resource.id : null,
+      description: Governance.describeAction(action, resource || {})
+    };
+    if (dryRun) return { ...planned, status: 'dry_run' };
+
+    if (Governance.DESTRUCTIVE_ACTIONS.includes(action.type)) {
+      const request = await this.createActionRequest(userId, actorId, context.policy, action, resource);
+      return { ...planned, status: 'pending_approval', approvalId: request.id };
+    }
+
+    try {
+      const result = await Governance.executeAction(action, target, context);
+      return { ...planned, status: 'executed', result };
+    } catch (error) {
+      console.error(`   ❌ ${action.type} failed for ${planned.resourceId || 'policy'}:`, error.message);
+      return { ...planned, status: 'failed', error: error.message };
+    }
+  }
+
+  // Queue a destructive action for approval; a pending request for the same thing is reused
+  static async createActionRequest(userId, actorId, policy, action, resource) {
+    const params = [
+      userId, policy.id, policy.name, action.type, JSON.stringify(action),
+      resource.id, resource.region, JSON.stringify(resource),
+      Governance.describeAction(action, resource), actorId
+    ];
+    const inserted = await DatabaseService.query(`
+      INSERT INTO governance_action_requests
+        (user_id, policy_id, policy_name, action_type, action, resource_id, region, resource, description, requested_by)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+      ON CONFLICT (user_id, policy_id, resource_id, action_type) WHERE status = 'pending_approval' DO NOTHING
+      RETURNING id
+    `, params);
+    if (inserted.rows.length > 0) {
+      await this.recordGovernanceEvent('action_approval_requested', { action: action.type }, { userId, policyId: policy.id, resourceId: resource.id });
+      return inserted.rows[0];
+    }
+    const existing = await DatabaseService.query(`
+      SELECT id FROM governance_action_requests
+      WHERE user_id=$1 AND policy_id=$2 AND resource_id=$3 AND action_type=$4 AND status='pending_approval'
+    `, [userId, policy.id, resource.id, action.type]);
+    return existing.rows[0];
+  }
+
+  static async listActionRequests(userId, status = null) {
+    try {
+      if (status && !ACTION_REQUEST_STATUSES.includes(status)) {
+        return { success: false, status: 400, error: `status must be one of ${ACTION_REQUEST_STATUSES.join(', ')}` };
+      }
+      const r = await DatabaseService.query(`
+        SELECT * FROM governance_action_requests
+        WHERE user_id=$1 AND ($2::text IS NULL OR status=$2)
+        ORDER BY created_at DESC LIMIT 200
+      `, [userId, status]);
+      return { success: true, requests: r.rows };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Approve a queued destructive action and run it. The request is claimed first, so two
+   * approvals of the same request cannot both run it. The resource is checked against the
+   * policy again before anything runs: if it was fixed, exempted or removed while the request
+   * waited, the request fails instead.
+   */
+  static async approveActionRequest(userId, actorId, requestId, aws, comment = null) {
+    try {
+      if (!aws) {
+        return { success: false, status: 400, error: 'AWS credentials are required to run the action' };
+      }
+      const claimed = await DatabaseService.query(`
+        UPDATE governance_action_requests
+        SET status='approved', decided_by=$3, decision_comment=$4, decided_at=NOW()
+        WHERE id=$1 AND user_id=$2 AND status='pending_approval'
+        RETURNING *
+      `, [parseInt(requestId, 10), userId, actorId, comment]);
+      if (claimed.rows.length === 0) return await this.missingRequest(userId, requestId);
+
+      const request = claimed.rows[0];
+      const context = {
+        credentials: aws.credentials,
+        gateway: aws.gateway,
+        policy: { id: request.policy_id, name: request.policy_name }
+      };
+      let status = 'executed';
+      let result = null;
+      let error = null;
+      try {
+        error = await this.staleActionReason(userId, request, aws);
+        if (error) {
+          status = 'failed';
+        } else {
+          result = await Governance.executeAction(request.action, request.resource, context);
+        }
+      } catch (actionError) {
+        status = 'failed';
+        error = actionError.message;
+      }
+
+      const updated = await DatabaseService.query(`
+        UPDATE governance_action_requests SET status=$2, result=$3, error=$4, executed_at=NOW()
+        WHERE id=$1 RETURNING *
+      `, [request.id, status, result ? JSON.stringify(result) : null, error]);
+      await this.recordGovernanceEvent(`action_${status}`, { action: request.action_type, approvedBy: actorId, error },
+        { userId, policyId: request.policy_id, resourceId: request.resource_id });
+
+      console.log(`${status === 'executed' ? '✅' : '❌'} Governance action ${request.action_type} on ${request.resource_id}: ${status}`);
+      return { success: true, request: updated.rows[0] };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Why a queued action should no longer run, or null when its resource still violates the policy
+  static async staleActionReason(userId, request, aws) {
+    const p = await DatabaseService.query(
+      `SELECT * FROM governance_policies WHERE id=$1 AND user_id=$2`,
+      [request.policy_id, userId]
+    );
+    const policy = p.rows[0];
+    if (!policy || !policy.active) return 'Policy was deleted or deactivated since the request was made';
+
+    const definition = { ...Governance.normalizePolicyDefinition(policy.rules), regions: [request.region] };
+    const context = {
+      userId,
+      credentials: aws.credentials,
+      gateway: aws.gateway,
+      dictionary: await TagDictionaryService.loadDictionary(userId),
+      exemptions: await this.activeExemptions(userId, policy.id),
+      cache: new Map()
+    };
+    const resource = (await Governance.collectResources(definition, context))
+      .find(candidate => candidate.id === request.resource_id);
+    if (!resource) return `Resource ${request.resource_id} no longer exists`;
+    if (!Governance.matchFilter(resource, definition.filter)) {
+      return `Resource ${request.resource_id} no longer matches the policy filter`;
+    }
+    const exemption = Governance.findExemption(resource, context.exemptions, context.dictionary);
+    if (exemption) return `Resource ${request.resource_id} is covered by exemption ${exemption.id}`;
+    const reasons = await Governance.evaluateConditions(resource, definition, context);
+    return reasons.length === 0 ? `Resource ${request.resource_id} no longer violates the policy` : null;
+  }
+
+  static async rejectActionRequest(userId, actorId, requestId, comment = null) {
+    try {
+      const r = await DatabaseService.query(`
+        UPDATE governance_action_requests
+        SET status='rejected', decided_by=$3, decision_comment=$4, decided_at=NOW()
+        WHERE id=$1 AND user_id=$2 AND status='pending_approval'
+        RETURNING *
+      `, [parseInt(requestId, 10), userId, actorId, comment]);
+      if (r.rows.length === 0) return await this.missingRequest(userId, requestId);
+      await this.recordGovernanceEvent('action_rejected', { action: r.rows[0].action_type, rejectedBy: actorId },
+        { userId, policyId: r.rows[0].policy_id, resourceId: r.rows[0].resource_id });
+      return { success: true, request: r.rows[0] };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 404 for someone else's or unknown requests, 409 once a request has been decided
+  static async missingRequest(userId, requestId) {
+    const r = await DatabaseService.query(
+      `SELECT status FROM governance_action_requests WHERE id=$1 AND user_id=$2`,
+      [parseInt(requestId, 10), userId]
+    );
+    return r.rows.length === 0
+      ? { success: false, status: 404, error: 'Action request not found' }
+      : { success: false, status: 409, error: `Action request is already ${r.rows[0].status}` };
+  }
+
+  // Approved, unexpired exemptions that apply to a policy
+  static async activeExemptions(userId, policyId) {
+    const r = await DatabaseService.query(`
+      SELECT * FROM governance_exemptions
+      WHERE user_id=$1 AND status='active' AND expires_at > NOW() AND (policy_id IS NULL OR policy_id=$2)
+      ORDER BY id
+    `, [userId, policyId]);
+    return r.rows;
+  }
+
+  /**
+   * Request an exemption; it takes effect once approved. Budget policies measure total spend,
+   * so they cannot be exempted from.
+   */
+  static async createExemption(userId, actorId, input) {
+    try {
+      let exemption;
+      try {
+        exemption = Governance.normalizeExemption(input);
+      } catch (validationError) {
+        return { success: false, status: 400, error: validationError.message };
+      }
+      if (exemption.policyId !== null) {
+        const policy = await DatabaseService.query(
+          `SELECT type FROM governance_policies WHERE id=$1 AND user_id=$2`, [exemption.policyId, userId]);
+        if (policy.rows.length === 0) {
+          return { success: false, status: 404, error: 'Policy not found' };
+        }
+        if (policy.rows[0].type === 'budget_threshold') {
+          return { success: false, status: 400, error: 'Budget threshold policies cannot have exemptions' };
+        }
+      }
+
+      const r = await DatabaseService.query(`
+        INSERT INTO governance_exemptions
+          (user_id, policy_id, scope_type, scope_key, scope_value, justification, expires_at, reminder_days, notify_webhook, requested_by)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+        RETURNING *
+      `, [userId, exemption.policyId, exemption.scopeType, exemption.scopeKey, exemption.scopeValue,
+          exemption.justification, exemption.expiresAt, exemption.reminderDays, exemption.notifyWebhook, actorId]);
+      await this.recordGovernanceEvent('exemption_requested', { exemptionId: r.rows[0].id, scope: exemption.scopeType, by: actorId },
+        { userId, policyId: exemption.policyId, resourceId: exemption.scopeValue });
+      return { success: true, exemption: r.rows[0] };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async listExemptions(userId, status = null) {
+    try {
+      if (status && !EXEMPTION_STATUSES.includes(status)) {
+        return { success: false, status: 400, error: `status must be one of ${EXEMPTION_STATUSES.join(', ')}` };
+      }
+      const r = await DatabaseService.query(`
+        SELECT e.*, p.name AS policy_name
+        FROM governance_exemptions e
+        LEFT JOIN governance_policies p ON p.id = e.policy_id
+        WHERE e.user_id=$1 AND ($2::text IS NULL OR e.status=$2)
+        ORDER BY e.created_at DESC LIMIT 200
+      `, [userId, status]);
+      return { success: true, exemptions: r.rows };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Approve a pending exemption; it applies from the next evaluation until it expires
+  static async approveExemption(userId, actorId, exemptionId, comment = null) {
+    return this.decideExemption(userId, actorId, exemptionId, 'active', comment);
+  }
+
+  static async rejectExemption(userId, actorId, exemptionId, comment = null) {
+    return this.decideExemption(userId, actorId, exemptionId, 'rejected', comment);
+  }
+
+  static async decideExemption(userId, actorId, exemptionId, status, comment) {
+    try {
+      const r = await DatabaseService.query(`
+        UPDATE governance_exemptions
+        SET status=$3, decided_by=$4, decision_comment=$5, decided_at=NOW()
+        WHERE id=$1 AND user_id=$2 AND status='pending_approval' AND expires_at > NOW()
+        RETURNING *
+      `, [parseInt(exemptionId, 10), userId, status, actorId, comment]);
+      if (r.rows.length === 0) return await this.missingExemption(userId, exemptionId);
+      await this.recordGovernanceEvent(status === 'active' ? 'exemption_approved' : 'exemption_rejected',
+        { exemptionId: r.rows[0].id, by: actorId, comment },
+        { userId, policyId: r.rows[0].policy_id, resourceId: r.rows[0].scope_value });
+      return { success: true, exemption: r.rows[0] };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // End an exemption early (or withdraw a request); covered violations reopen on the next evaluation
+  static async revokeExemption(userId, actorId, exemptionId) {
+    try {
+      const r = await DatabaseService.query(`
+        UPDATE governance_exemptions SET status='revoked', revoked_by=$3, revoked_at=NOW()
+        WHERE id=$1 AND user_id=$2 AND status IN ('pending_approval','active')
+        RETURNING *
+      `, [parseInt(exemptionId, 10), userId, actorId]);
+      if (r.rows.length === 0) return await this.missingExemption(userId, exemptionId);
+      await this.recordGovernanceEvent('exemption_revoked', { exemptionId: r.rows[0].id, by: actorId },
+        { userId, policyId: r.rows[0].policy_id, resourceId: r.rows[0].scope_value });
+      return { success: true, exemption: r.rows[0] };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // 404 for someone else's or unknown exemptions, 409 once an exemption is decided or over
+  static async missingExemption(userId, exemptionId) {
+    const r = await DatabaseService.query(
+      `SELECT status, expires_at FROM governance_exemptions WHERE id=$1 AND user_id=$2`,
+      [parseInt(exemptionId, 10), userId]
+    );
+    if (r.rows.length === 0) {
+      return { success: false, status: 404, error: 'Exemption not found' };
+    }
+    const { status, expires_at } = r.rows[0];
+    return new Date(expires_at) <= new Date() && ['pending_approval', 'active'].includes(status)
+      ? { success: false, status: 409, error: 'Exemption has already expired' }
+      : { success: false, status: 409, error: `Exemption is already ${status}` };
+  }
+
+  /**
+   * Send the reminder for active exemptions inside their reminder window and expire the ones
+   * that lapsed. Both claim their rows in the UPDATE, so each notice goes out once.
+   */
+  static async processExemptions() {
+    const reminders = await DatabaseService.query(`
+      UPDATE governance_exemptions SET reminder_sent_at=NOW()
+      WHERE status='active' AND reminder_sent_at IS NULL AND reminder_days > 0
+        AND expires_at > NOW() AND expires_at <= NOW() + reminder_days * INTERVAL '1 day'
+      RETURNING *
+    `);
+    const expired = await DatabaseService.query(`
+      UPDATE governance_exemptions SET status='expired'
+      WHERE status IN ('active','pending_approval') AND expires_at <= NOW()
+      RETURNING *
+    `);
+
+    const notices = [
+      ...reminders.rows.map(exemption => ({ exemption, event: 'exemption_expiring' })),
+      ...expired.rows.map(exemption => ({ exemption, event: 'exemption_expired' }))
+    ];
+    for (const { exemption, event } of notices) {
+      const payload = {
+        exemptionId: exemption.id,
+        policyId: exemption.policy_id,
+        scope: { type: exemption.scope_type, key: exemption.scope_key, value: exemption.scope_value },
+        justification: exemption.justification,
+        expiresAt: new Date(exemption.expires_at).toISOString()
+      };
+      await this.recordGovernanceEvent(event, payload,
+        { userId: exemption.user_id, policyId: exemption.policy_id, resourceId: exemption.scope_value });
+      if (exemption.notify_webhook) {
+        await this.triggerWebhook(exemption.notify_webhook, { event: `governance.${event}`, ...payload, timestamp: new Date().toISOString() });
+      }
+      console.log(`${event === 'exemption_expired' ? '⌛' : '⏰'} Governance exemption ${exemption.id}: ${event}`);
+    }
+    return { reminded: reminders.rows.length, expired: expired.rows.length };
+  }
+
   // Policy: Budget threshold -> create alert + optional webhook
   static async enforceBudgetThreshold(policy, userId) {
     const { budget_amount, period = 'monthly', notify_webhook } = policy.params || {};
     if (!budget_amount) return { enforced: false, details: 'missing_budget_amount' };
     const total = await this.getPeriodSpend(period, userId);
     if (total >= budget_amount) {
-      await this.recordGovernanceEvent('budget_threshold_breached', { total, budget_amount, period });
+      await this.recordGovernanceEvent('budget_threshold_breached', { total, budget_amount, period }, { userId, policyId: policy.id });
       if (notify_webhook) await this.triggerWebhook(notify_webhook, { event: 'budget_breach', total, budget_amount, period });
       return { enforced: true, details: { total, budget_amount } };
     }
@@ -51,15 +934,19 @@ class GovernanceService {
     const requiredTagKeys = Object.keys(requiredTags);
     
     // Exclude non-taggable services (billing items, not actual resources)
-    const nonTaggableServices = [
-      'Tax',
-      'AWS Data Transfer',
-      'AWS Cost Explorer',
-      'AWS Support (Business)',
-      'AWS Support (Developer)',
-      'AWS Support (Enterprise)',
-      'Amazon Registrar'
-    ];
+    const nonTaggableServices = Governance.NON_TAGGABLE_SERVICES;
+
+    // Exempted records (sandbox accounts, waived services...) are left out of the scan
+    const exemptions = await this.activeExemptions(userId, policy.id).catch(() => []);
+    const dictionary = exemptions.length > 0 ? await TagDictionaryService.loadDictionary(userId) : null;
+    const params = [DatabaseService.getUserIdForDatabase(userId), nonTaggableServices];
+    const exemptionSql = Governance.exemptionSql(exemptions, params, dictionary);
+    const missingTags = `(
+        tags IS NULL 
+        OR NOT tags ? 'Owner'
+        OR NOT tags ? 'CostCenter'
+        OR NOT tags ? 'Environment'
+      )`;
     
     const query = `
       SELECT 
@@ -72,18 +959,25 @@ class GovernanceService {
       FROM cost_records 
       WHERE user_id = $1 
       AND service_name != ALL($2::text[])
-      AND (
-        tags IS NULL 
-        OR NOT tags ? 'Owner'
-        OR NOT tags ? 'CostCenter'
-        OR NOT tags ? 'Environment'
-      )
+      AND ${missingTags}
+      AND ${exemptionSql} IS NULL
       ORDER BY cost_amount DESC
       LIMIT 100
     `;
     
-    const res = await DatabaseService.query(query, [DatabaseService.getUserIdForDatabase(userId), nonTaggableServices]).catch(()=>({ rows: [] }));
+    const res = await DatabaseService.query(query, params).catch(()=>({ rows: [] }));
     const offenders = res.rows || [];
+
+    let exempted = [];
+    if (exemptions.length > 0) {
+      const exemptedRes = await DatabaseService.query(`
+        SELECT service_name, COALESCE(region, 'global') AS region, MIN(${exemptionSql}) AS exemption_id
+        FROM cost_records
+        WHERE user_id = $1 AND service_name != ALL($2::text[]) AND ${missingTags} AND ${exemptionSql} IS NOT NULL
+        GROUP BY service_name, COALESCE(region, 'global')
+      `, params).catch(()=>({ rows: [] }));
+      exempted = exemptedRes.rows.map(row => ({ resourceId: `${row.service_name}|${row.region}`, exemptionId: row.exemption_id }));
+    }
     
     // Group by service and region, treating each service/region as ONE resource
     // (since cost records are daily charges, not individual resources)
@@ -119,8 +1013,9 @@ class GovernanceService {
     
     await this.recordGovernanceEvent('tag_compliance_scan', { 
       totalOffenders: offenders.length,
-      groupedCount: groupedArray.length 
-    });
+      groupedCount: groupedArray.length,
+      exemptedCount: exempted.length
+    }, { userId, policyId: policy.id });
     
     return { 
       enforced: groupedArray.length > 0, 
@@ -128,7 +1023,8 @@ class GovernanceService {
         totalOffenders: groupedArray.length, // Actual number of unique services
         totalCostRecords: offenders.length, // Total billing line items
         groupedResources: groupedArray,
-        requiredTags: Object.keys(requiredTags)
+        requiredTags: Object.keys(requiredTags),
+        exempted
       } 
     };
   }
@@ -157,9 +1053,12 @@ class GovernanceService {
     return parseFloat(r.rows[0].s)||0;
   }
 
-  static async recordGovernanceEvent(event, details) {
+  static async recordGovernanceEvent(event, details, { userId = null, policyId = null, resourceId = null } = {}) {
     try {
-      await DatabaseService.query(`INSERT INTO governance_events(event_type, details, created_at) VALUES ($1,$2,NOW())`, [event, JSON.stringify(details||{})]);
+      await DatabaseService.query(
+        `INSERT INTO governance_events(event_type, details, user_id, policy_id, resource_id, created_at) VALUES ($1,$2,$3,$4,$5,NOW())`,
+        [event, JSON.stringify(details||{}), userId, policyId, resourceId]
+      );
     } catch {}
   }
 
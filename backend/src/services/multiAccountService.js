@@ -1,68 +1,652 @@
 // /Users/rahulindi/aws-cost-tracker/backend/src/services/multiAccountService.js
+// Multi-account cost aggregation for AWS Organizations
+// Costs are ingested per linked account into cost_records; RI / Savings Plans coverage and
+// utilization per account go to account_commitment_metrics. A user only ever sees the
+// accounts recorded for them in aws_accounts, i.e. the ones their own credentials can see.
+const {
+    CostExplorerClient,
+    GetCostAndUsageCommand,
+    GetDimensionValuesCommand,
+    GetReservationCoverageCommand,
+    GetReservationUtilizationCommand,
+    GetSavingsPlansCoverageCommand,
+    GetSavingsPlansUtilizationDetailsCommand
+} = require('@aws-sdk/client-cost-explorer');
+const DatabaseService = require('./databaseService');
+const { sdkCredentials } = require('./aws');
+
+const ACCOUNT_ID_PATTERN = /^\d{12}$/;
+
+// Efficiency score weights (components missing for an account are left out)
+const EFFICIENCY_WEIGHTS = {
+    coverage: 0.5,
+    utilization: 0.5
+};
+
+const TARGET_UTILIZATION = 0.8;
+const TARGET_COVERAGE = 0.6;
+
+const toDate = (date) => date.toISOString().split('T')[0];
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : parseFloat(value));
+
 class MultiAccountService {
-    static async getAccountCosts(accountIds, userId = null) {
-        const results = [];
+    /**
+     * Pull linked accounts, daily per-account costs and commitment metrics from Cost Explorer
+     * @param {string|number} userId - User ID
+     * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken } or null for default
+     * @param {Object} options - { months } - calendar months to (re)load, including the current one
+     */
+    static async syncAccounts(userId, credentials, options = {}) {
+        const { months = 2 } = options;
+        const dbUserId = DatabaseService.getUserIdForDatabase(userId);
 
-        for (const accountId of accountIds) {
-            try {
-                // 🔒 SECURITY: Fetch account-specific costs with user context
-                const accountCosts = await this.fetchAccountSpecificCosts(accountId, userId);
-                results.push({
+        const today = new Date();
+        const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth() - (months - 1), 1));
+        // Cost Explorer end dates are exclusive
+        const end = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + 1));
+        const period = { Start: toDate(start), End: toDate(end) };
+
+        try {
+            console.log(`🏢 Syncing linked accounts for user ${userId}: ${period.Start} to ${period.End}`);
+            const client = this.createClient(credentials);
+
+            const accounts = await this.fetchLinkedAccounts(client, period);
+            if (accounts.length === 0) {
+                return { success: true, accounts: 0, costRecords: 0, message: 'No linked accounts visible to these credentials' };
+            }
+
+            const costRows = await this.fetchAccountCosts(client, period);
+            const commitments = await this.fetchCommitmentMetrics(client, period, accounts.map(a => a.accountId));
+
+            await this.saveAccounts(dbUserId, accounts);
+            const costRecords = await this.saveAccountCosts(dbUserId, accounts.map(a => a.accountId), period, costRows);
+            await this.saveCommitmentMetrics(dbUserId, commitments);
+
+            console.log(`✅ Synced ${accounts.length} accounts, ${costRecords} cost records, ${commitments.length} commitment periods`);
+
+            return {
+                success: true,
+                accounts: accounts.length,
+                costRecords,
+                commitmentPeriods: commitments.length,
+                period: { start: period.Start, end: toDate(today) }
+            };
+        } catch (error) {
+            console.error('❌ Multi-account sync failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    static createClient(credentials) {
+        const clientConfig = { region: 'us-east-1' }; // Cost Explorer is only in us-east-1
+        if (sdkCredentials(credentials)) {
+            clientConfig.credentials = sdkCredentials(credentials);
+        }
+        return new CostExplorerClient(clientConfig);
+    }
+
+    /**
+     * Run a Cost Explorer command through every page of results
+     */
+    static async paginate(client, Command, params, tokenField, itemsField) {
+        const items = [];
+        let token;
+        do {
+            const response = await client.send(new Command({ ...params, ...(token ? { [tokenField]: token } : {}) }));
+            items.push(...(response[itemsField] || []));
+            token = response[tokenField];
+        } while (token);
+        return items;
+    }
+
+    static async fetchLinkedAccounts(client, period) {
+        const values = await this.paginate(client, GetDimensionValuesCommand, {
+            TimePeriod: period,
+            Dimension: 'LINKED_ACCOUNT',
+            Context: 'COST_AND_USAGE'
+        }, 'NextPageToken', 'DimensionValues');
+
+        return values
+            .filter(value => ACCOUNT_ID_PATTERN.test(value.Value))
+            .map(value => ({
+                accountId: value.Value,
+                accountName: value.Attributes?.description || null
+            }));
+    }
+
+    /**
+     * Daily unblended cost per linked account and service
+     */
+    static async fetchAccountCosts(client, period) {
+        const results = await this.paginate(client, GetCostAndUsageCommand, {
+            TimePeriod: period,
+            Granularity: 'DAILY',
+            Metrics: ['UnblendedCost'],
+            GroupBy: [
+                { Type: 'DIMENSION', Key: 'LINKED_ACCOUNT' },
+                { Type: 'DIMENSION', Key: 'SERVICE' }
+            ]
+        }, 'NextPageToken', 'ResultsByTime');
+
+        // Pages can split one day's groups, so merge on (day, account, service)
+        const rows = new Map();
+        results.forEach(timePoint => {
+            (timePoint.Groups || []).forEach(group => {
+                const [accountId, serviceName] = group.Keys;
+                const cost = parseFloat(group.Metrics?.UnblendedCost?.Amount || 0);
+                if (Math.abs(cost) <= 0.000001) return;
+
+                const name = this.consolidateServiceName(serviceName);
+                const key = `${timePoint.TimePeriod.Start}|${accountId}|${name}`;
+                const row = rows.get(key) || {
+                    date: timePoint.TimePeriod.Start,
                     accountId,
-                    accountName: `Account-${accountId}`,
-                    totalCost: accountCosts.total,
-                    services: accountCosts.services,
-                    status: 'success'
-                });
-            } catch (error) {
-                results.push({
+                    serviceName: name,
+                    cost: 0,
+                    currency: group.Metrics.UnblendedCost.Unit || 'USD'
+                };
+                row.cost += cost;
+                rows.set(key, row);
+            });
+        });
+
+        return Array.from(rows.values());
+    }
+
+    // Same naming as the dashboard ingestion so per-account and total views line up
+    static consolidateServiceName(serviceName) {
+        if (serviceName.includes('Simple Storage Service')) return 'Amazon S3';
+        if (serviceName.includes('Elastic Compute Cloud')) return 'Amazon EC2';
+        return serviceName;
+    }
+
+    /**
+     * Monthly RI and Savings Plans coverage / utilization per linked account
+     */
+    static async fetchCommitmentMetrics(client, period, accountIds) {
+        const metrics = new Map();
+        const entry = (accountId, timePeriod) => {
+            const key = `${accountId}|${timePeriod.Start}`;
+            if (!metrics.has(key)) {
+                metrics.set(key, {
                     accountId,
-                    error: error.message,
-                    status: 'failed'
+                    periodStart: timePeriod.Start,
+                    periodEnd: timePeriod.End,
+                    riReservedHours: 0,
+                    riRunningHours: 0,
+                    riPurchasedHours: 0,
+                    riActualHours: 0,
+                    riCommitmentCost: 0,
+                    riUnusedCost: 0,
+                    spCovered: 0,
+                    spEligible: 0,
+                    spCommitment: 0,
+                    spUsed: 0,
+                    onDemandCost: 0
                 });
             }
+            return metrics.get(key);
+        };
+
+        // RI coverage can be grouped by account directly
+        const riCoverage = await this.paginate(client, GetReservationCoverageCommand, {
+            TimePeriod: period,
+            Granularity: 'MONTHLY',
+            GroupBy: [{ Type: 'DIMENSION', Key: 'LINKED_ACCOUNT' }]
+        }, 'NextPageToken', 'CoveragesByTime');
+
+        riCoverage.forEach(timePoint => {
+            (timePoint.Groups || []).forEach(group => {
+                const accountId = Object.values(group.Attributes || {}).find(value => ACCOUNT_ID_PATTERN.test(value));
+                if (!accountId) return;
+                const hours = group.Coverage?.CoverageHours || {};
+                const row = entry(accountId, timePoint.TimePeriod);
+                row.riReservedHours += parseFloat(hours.ReservedHours || 0);
+                row.riRunningHours += parseFloat(hours.TotalRunningHours || 0);
+                row.onDemandCost += parseFloat(group.Coverage?.CoverageCost?.OnDemandCost || 0);
+            });
+        });
+
+        // RI utilization is only available per subscription; each carries its owning account
+        const riUtilization = await this.paginate(client, GetReservationUtilizationCommand, {
+            TimePeriod: period,
+            Granularity: 'MONTHLY',
+            GroupBy: [{ Type: 'DIMENSION', Key: 'SUBSCRIPTION_ID' }]
+        }, 'NextPageToken', 'UtilizationsByTime');
+
+        riUtilization.forEach(timePoint => {
+            (timePoint.Groups || []).forEach(group => {
+                const accountId = group.Attributes?.accountId || group.Attributes?.AccountId;
+                if (!accountId) return;
+                const utilization = group.Utilization || {};
+                const purchased = parseFloat(utilization.PurchasedHours || 0);
+                const unused = parseFloat(utilization.UnusedHours || 0);
+                const fee = parseFloat(utilization.TotalAmortizedFee || 0);
+                const row = entry(accountId, timePoint.TimePeriod);
+                row.riPurchasedHours += purchased;
+                row.riActualHours += parseFloat(utilization.TotalActualHours || 0);
+                row.riCommitmentCost += fee;
+                row.riUnusedCost += purchased > 0 ? fee * (unused / purchased) : 0;
+            });
+        });
+
+        // Savings Plans coverage has no account grouping, so ask per account
+        for (const accountId of accountIds) {
+            const spCoverage = await this.paginate(client, GetSavingsPlansCoverageCommand, {
+                TimePeriod: period,
+                Granularity: 'MONTHLY',
+                Filter: { Dimensions: { Key: 'LINKED_ACCOUNT', Values: [accountId] } }
+            }, 'NextToken', 'SavingsPlansCoverages');
+
+            spCoverage.forEach(item => {
+                const coverage = item.Coverage || {};
+                const row = entry(accountId, item.TimePeriod);
+                row.spCovered += parseFloat(coverage.SpendCoveredBySavingsPlans || 0);
+                row.spEligible += parseFloat(coverage.TotalCost || 0);
+            });
+        }
+
+        // Savings Plans utilization per plan, one call per month; the owning account is in the ARN
+        for (const month of this.monthsInPeriod(period)) {
+            const details = await this.paginate(client, GetSavingsPlansUtilizationDetailsCommand, {
+                TimePeriod: month
+            }, 'NextToken', 'SavingsPlansUtilizationDetails');
+
+            details.forEach(detail => {
+                const accountId = (detail.SavingsPlanArn || '').split(':')[4] || detail.Attributes?.AccountId;
+                if (!accountId) return;
+                const row = entry(accountId, month);
+                row.spCommitment += parseFloat(detail.Utilization?.TotalCommitment || 0);
+                row.spUsed += parseFloat(detail.Utilization?.UsedCommitment || 0);
+            });
+        }
+
+        return Array.from(metrics.values()).map(row => ({
+            accountId: row.accountId,
+            periodStart: row.periodStart,
+            periodEnd: row.periodEnd,
+            riCoverage: row.riRunningHours > 0 ? row.riReservedHours / row.riRunningHours : null,
+            riUtilization: row.riPurchasedHours > 0 ? row.riActualHours / row.riPurchasedHours : null,
+            riCommitmentCost: row.riCommitmentCost,
+            riUnusedCost: row.riUnusedCost,
+            spCoverage: row.spEligible > 0 ? row.spCovered / row.spEligible : null,
+            spUtilization: row.spCommitment > 0 ? row.spUsed / row.spCommitment : null,
+            spCommitment: row.spCommitment,
+            spUnusedCommitment: Math.max(0, row.spCommitment - row.spUsed),
+            onDemandCost: row.onDemandCost
+        }));
+    }
+
+    /**
+     * Calendar-month slices of a Cost Explorer period (end exclusive)
+     */
+    static monthsInPeriod(period) {
+        const months = [];
+        const end = new Date(`${period.End}T00:00:00Z`);
+        let cursor = new Date(`${period.Start}T00:00:00Z`);
+        while (cursor < end) {
+            const next = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1));
+            months.push({ Start: toDate(cursor), End: toDate(next < end ? next : end) });
+            cursor = next;
+        }
+        return months;
+    }
+
+    static async saveAccounts(dbUserId, accounts) {
+        await DatabaseService.query(`
+            INSERT INTO aws_accounts (user_id, account_id, account_name, last_synced_at)
+            SELECT $1, account_id, account_name, NOW()
+            FROM UNNEST($2::varchar[], $3::varchar[]) AS t(account_id, account_name)
+            ON CONFLICT (user_id, account_id) DO UPDATE SET
+                account_name = COALESCE(EXCLUDED.account_name, aws_accounts.account_name),
+                status = 'active',
+                last_synced_at = NOW()
+        `, [
+            dbUserId,
+            accounts.map(a => a.accountId),
+            accounts.map(a => a.accountName)
+        ]);
+    }
+
+    /**
+     * Replace the synced window's per-account rows in one statement, so a re-sync never
+     * double counts and readers never see the window half-loaded. Account-less rows from the
+     * plain cost refresh cover the same spend, so they are replaced too. Months already loaded
+     * from the Cost and Usage Report keep their line-item rows and are not overwritten.
+     */
+    static async saveAccountCosts(dbUserId, accountIds, period, rows) {
+        const lastDay = new Date(`${period.End}T00:00:00Z`);
+        lastDay.setUTCDate(lastDay.getUTCDate() - 1);
+
+        const result = await DatabaseService.query(`
+            WITH removed AS (
+                DELETE FROM cost_records
+                WHERE user_id = $1
+                  AND (linked_account_id IS NULL OR linked_account_id = ANY($2::varchar[]))
+                  AND date >= $3 AND date <= $4
+                  AND source IS DISTINCT FROM 'cur'
+            ),
+            cur_periods AS (
+                SELECT DISTINCT billing_period FROM cost_records
+                WHERE user_id = $1 AND source = 'cur'
+            )
+            INSERT INTO cost_records (user_id, linked_account_id, date, service_name, cost_amount, currency)
+            SELECT $1, account_id, date, service_name, cost_amount, currency
+            FROM UNNEST($5::varchar[], $6::date[], $7::varchar[], $8::numeric[], $9::varchar[])
+                AS t(account_id, date, service_name, cost_amount, currency)
+            WHERE DATE_TRUNC('month', date)::date NOT IN (SELECT billing_period FROM cur_periods)
+        `, [
+            dbUserId,
+            accountIds,
+            period.Start,
+            toDate(lastDay),
+            rows.map(r => r.accountId),
+            rows.map(r => r.date),
+            rows.map(r => r.serviceName),
+            rows.map(r => r.cost),
+            rows.map(r => r.currency)
+        ]);
+
+        return result.rowCount || 0;
+    }
+
+    static async saveCommitmentMetrics(dbUserId, metrics) {
+        for (const metric of metrics) {
+            await DatabaseService.query(`
+                INSERT INTO account_commitment_metrics (
+                    user_id, account_id, period_start, period_end,
+                    ri_coverage, ri_utilization, ri_commitment_cost, ri_unused_cost,
+                    sp_coverage, sp_utilization, sp_commitment, sp_unused_commitment,
+                    on_demand_cost, updated_at
+                )
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+                ON CONFLICT (user_id, account_id, period_start) DO UPDATE SET
+                    period_end = EXCLUDED.period_end,
+                    ri_coverage = EXCLUDED.ri_coverage,
+                    ri_utilization = EXCLUDED.ri_utilization,
+                    ri_commitment_cost = EXCLUDED.ri_commitment_cost,
+                    ri_unused_cost = EXCLUDED.ri_unused_cost,
+                    sp_coverage = EXCLUDED.sp_coverage,
+                    sp_utilization = EXCLUDED.sp_utilization,
+                    sp_commitment = EXCLUDED.sp_commitment,
+                    sp_unused_commitment = EXCLUDED.sp_unused_commitment,
+                    on_demand_cost = EXCLUDED.on_demand_cost,
+                    updated_at = NOW()
+            `, [
+                dbUserId, metric.accountId, metric.periodStart, metric.periodEnd,
+                metric.riCoverage, metric.riUtilization, metric.riCommitmentCost, metric.riUnusedCost,
+                metric.spCoverage, metric.spUtilization, metric.spCommitment, metric.spUnusedCommitment,
+                metric.onDemandCost
+            ]);
         }
+    }
 
-        return results;
+    /**
+     * Accounts this user is authorized to see
+     */
+    static async getAuthorizedAccounts(userId) {
+        const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+        const result = await DatabaseService.query(`
+            SELECT account_id, account_name, status, last_synced_at
+            FROM aws_accounts
+            WHERE user_id = $1 AND status = 'active'
+            ORDER BY account_id
+        `, [dbUserId]);
+        return result.rows;
     }
 
-    static async fetchAccountSpecificCosts(accountId, userId = null) {
-        // 🔒 SECURITY: In production, verify user has access to this account
-        // For now, mock multi-account data
-        // TODO: Query cost_records filtered by user_id and account_id
-        console.log(`🔒 Fetching costs for account ${accountId}${userId ? ' for user ' + userId : ''}`);
-        
+    /**
+     * Month boundaries for a rollup. For the current month the previous month is also
+     * cut at the same day, so month-over-month compares like with like.
+     * @param {string} month - 'YYYY-MM', defaults to the current month
+     */
+    static getMonthWindow(month = null) {
+        const today = new Date();
+        let year = today.getUTCFullYear();
+        let monthIndex = today.getUTCMonth();
+        if (month) {
+            const [yearPart, monthPart] = month.split('-');
+            year = parseInt(yearPart, 10);
+            monthIndex = parseInt(monthPart, 10) - 1;
+        }
+
+        const start = new Date(Date.UTC(year, monthIndex, 1));
+        const next = new Date(Date.UTC(year, monthIndex + 1, 1));
+        const previous = new Date(Date.UTC(year, monthIndex - 1, 1));
+        const tomorrow = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + 1));
+        const cutoff = tomorrow < next ? tomorrow : next;
+
+        const elapsedDays = Math.max(0, Math.round((cutoff - start) / 86400000));
+        const previousToDate = new Date(previous);
+        previousToDate.setUTCDate(previousToDate.getUTCDate() + elapsedDays);
+
         return {
-            total: Math.random() * 1000,
-            services: [
-                { name: 'EC2', cost: Math.random() * 500 },
-                { name: 'S3', cost: Math.random() * 200 },
-                { name: 'RDS', cost: Math.random() * 300 }
-            ]
+            month: toDate(start).slice(0, 7),
+            start: toDate(start),
+            end: toDate(next),
+            previousStart: toDate(previous),
+            previousToDate: toDate(previousToDate < start ? previousToDate : start),
+            partial: cutoff < next,
+            elapsedDays
+        };
+    }
+
+    /**
+     * Per-account cost rollups with month-over-month deltas and efficiency
+     * @param {string|number} userId - User ID
+     * @param {Object} options - { accountIds, month, topServices }
+     */
+    static async getAccountRollups(userId, options = {}) {
+        const { accountIds = [], month = null, topServices = 5 } = options;
+
+        try {
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+            const authorized = await this.getAuthorizedAccounts(userId);
+            const authorizedIds = new Set(authorized.map(account => account.account_id));
+
+            // 🔒 SECURITY: requested IDs outside the user's accounts are dropped, never queried
+            const requested = accountIds.length > 0 ? accountIds : Array.from(authorizedIds);
+            const visible = requested.filter(accountId => authorizedIds.has(accountId));
+            const ignoredAccountIds = requested.filter(accountId => !authorizedIds.has(accountId));
+
+            const window = this.getMonthWindow(month);
+            if (visible.length === 0) {
+                return { success: true, month: window.month, accounts: [], totals: null, ignoredAccountIds };
+            }
+
+            const costs = await DatabaseService.query(`
+                SELECT linked_account_id AS account_id,
+                       COALESCE(SUM(cost_amount) FILTER (WHERE date >= $3 AND date < $4), 0) AS current_cost,
+                       COALESCE(SUM(cost_amount) FILTER (WHERE date >= $5 AND date < $3), 0) AS previous_cost,
+                       COALESCE(SUM(cost_amount) FILTER (WHERE date >= $5 AND date < $6), 0) AS previous_to_date_cost
+                FROM cost_records
+                WHERE user_id = $1 AND linked_account_id = ANY($2::varchar[])
+                  AND date >= $5 AND date < $4
+                GROUP BY linked_account_id
+            `, [dbUserId, visible, window.start, window.end, window.previousStart, window.previousToDate]);
+
+            const services = await DatabaseService.query(`
+                SELECT linked_account_id AS account_id, service_name, SUM(cost_amount) AS cost
+                FROM cost_records
+                WHERE user_id = $1 AND linked_account_id = ANY($2::varchar[])
+                  AND date >= $3 AND date < $4
+                GROUP BY linked_account_id, service_name
+                ORDER BY linked_account_id, cost DESC
+            `, [dbUserId, visible, window.start, window.end]);
+
+            const commitments = await DatabaseService.query(`
+                SELECT * FROM account_commitment_metrics
+                WHERE user_id = $1 AND account_id = ANY($2::varchar[]) AND period_start = $3
+            `, [dbUserId, visible, window.start]);
+
+            const costsByAccount = new Map(costs.rows.map(row => [row.account_id, row]));
+            const commitmentsByAccount = new Map(commitments.rows.map(row => [row.account_id, row]));
+            const servicesByAccount = new Map();
+            services.rows.forEach(row => {
+                if (!servicesByAccount.has(row.account_id)) servicesByAccount.set(row.account_id, []);
+                servicesByAccount.get(row.account_id).push({ name: row.service_name, cost: parseFloat(row.cost) });
+            });
+
+            const accountsById = new Map(authorized.map(account => [account.account_id, account]));
+            const accounts = visible.map(accountId => {
+                const account = accountsById.get(accountId);
+                const cost = costsByAccount.get(accountId) || {};
+                const totalCost = parseFloat(cost.current_cost || 0);
+                // Partial months compare against the same days of the previous month
+                const comparable = parseFloat((window.partial ? cost.previous_to_date_cost : cost.previous_cost) || 0);
+                const commitment = this.formatCommitmentMetrics(commitmentsByAccount.get(accountId));
+                const accountServices = servicesByAccount.get(accountId) || [];
+
+                return {
+                    accountId,
+                    accountName: account.account_name || `Account-${accountId}`,
+                    totalCost,
+                    previousMonthCost: parseFloat(cost.previous_cost || 0),
+                    monthOverMonth: {
+                        comparedTo: window.partial ? 'previous_month_to_date' : 'previous_month',
+                        previousCost: comparable,
+                        delta: totalCost - comparable,
+                        percent: comparable > 0 ? ((totalCost - comparable) / comparable) * 100 : null
+                    },
+                    services: accountServices.slice(0, topServices),
+                    serviceCount: accountServices.length,
+                    commitments: commitment,
+                    efficiency: this.calculateEfficiency(commitment),
+                    lastSyncedAt: account.last_synced_at
+                };
+            }).sort((a, b) => b.totalCost - a.totalCost);
+
+            const totalCost = accounts.reduce((sum, account) => sum + account.totalCost, 0);
+            const previousCost = accounts.reduce((sum, account) => sum + account.monthOverMonth.previousCost, 0);
+
+            return {
+                success: true,
+                month: window.month,
+                partialMonth: window.partial,
+                accounts,
+                totals: {
+                    accountCount: accounts.length,
+                    totalCost,
+                    previousCost,
+                    delta: totalCost - previousCost,
+                    percent: previousCost > 0 ? ((totalCost - previousCost) / previousCost) * 100 : null
+                },
+                ignoredAccountIds
+            };
+        } catch (error) {
+            console.error('❌ Multi-account rollup failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    static formatCommitmentMetrics(row) {
+        if (!row) return null;
+        return {
+            periodStart: row.period_start,
+            riCoverage: toNumber(row.ri_coverage),
+            riUtilization: toNumber(row.ri_utilization),
+            riCommitmentCost: toNumber(row.ri_commitment_cost),
+            riUnusedCost: toNumber(row.ri_unused_cost),
+            spCoverage: toNumber(row.sp_coverage),
+            spUtilization: toNumber(row.sp_utilization),
+            spCommitment: toNumber(row.sp_commitment),
+            spUnusedCommitment: toNumber(row.sp_unused_commitment),
+            onDemandCost: toNumber(row.on_demand_cost),
+            updatedAt: row.updated_at
         };
     }
 
-    static async getAccountComparison(accounts) {
-        const comparison = accounts.map(account => ({
+    /**
+     * Compare accounts on efficiency and spend trend, with recommendations from their metrics
+     */
+    static async getAccountComparison(userId, options = {}) {
+        const rollups = await this.getAccountRollups(userId, options);
+        if (!rollups.success) return rollups;
+
+        const comparison = rollups.accounts.map(account => ({
             accountId: account.accountId,
-            costEfficiency: this.calculateEfficiency(account),
+            accountName: account.accountName,
+            totalCost: account.totalCost,
+            monthOverMonth: account.monthOverMonth,
+            costEfficiency: account.efficiency.score,
+            efficiency: account.efficiency,
             recommendations: this.generateAccountRecommendations(account)
         }));
 
-        return comparison;
+        return {
+            success: true,
+            month: rollups.month,
+            comparison,
+            ignoredAccountIds: rollups.ignoredAccountIds
+        };
     }
 
-    static calculateEfficiency(account) {
-        return Math.random() * 100; // Mock efficiency score
+    /**
+     * Efficiency score (0-100) from commitment coverage and utilization.
+     * RIs are applied before Savings Plans, so the share left on demand is
+     * (1 - RI coverage) x (1 - SP coverage). Utilization is the commitment-weighted
+     * mean of RI and SP utilization. Accounts without eligible usage get no score.
+     */
+    static calculateEfficiency(commitment) {
+        if (!commitment) {
+            return { score: null, coverage: null, utilization: null, reason: 'No commitment metrics synced for this month' };
+        }
+
+        const { riCoverage, spCoverage, riUtilization, spUtilization, riCommitmentCost, spCommitment } = commitment;
+
+        const coverage = riCoverage === null && spCoverage === null
+            ? null
+            : 1 - (1 - (riCoverage || 0)) * (1 - (spCoverage || 0));
+
+        const weighted = [
+            [riUtilization, riCommitmentCost || 0],
+            [spUtilization, spCommitment || 0]
+        ].filter(([value, weight]) => value !== null && weight > 0);
+        const totalWeight = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+        const utilization = totalWeight > 0
+            ? weighted.reduce((sum, [value, weight]) => sum + value * weight, 0) / totalWeight
+            : null;
+
+        const components = { coverage, utilization };
+        const available = Object.keys(EFFICIENCY_WEIGHTS).filter(key => components[key] !== null);
+        if (available.length === 0) {
+            return { score: null, coverage, utilization, reason: 'No RI/Savings Plans eligible usage' };
+        }
+
+        const weightSum = available.reduce((sum, key) => sum + EFFICIENCY_WEIGHTS[key], 0);
+        const score = available.reduce((sum, key) =>
+            sum + Math.min(1, components[key]) * EFFICIENCY_WEIGHTS[key], 0) / weightSum * 100;
+
+        return {
+            score: Math.round(score * 10) / 10,
+            coverage,
+            utilization,
+            components: available
+        };
     }
 
     static generateAccountRecommendations(account) {
-        return [
-            'Consider Reserved Instances',
-            'Optimize S3 storage classes',
-            'Review unused resources'
-        ];
+        const recommendations = [];
+        const commitment = account.commitments;
+        const { coverage, utilization } = account.efficiency;
+        const percent = (value) => `${(value * 100).toFixed(0)}%`;
+
+        if (utilization !== null && utilization < TARGET_UTILIZATION) {
+            const unused = (commitment.riUnusedCost || 0) + (commitment.spUnusedCommitment || 0);
+            recommendations.push(`Commitment utilization is ${percent(utilization)}: $${unused.toFixed(2)} of RI/Savings Plans commitment went unused. Exchange or resell idle RIs and size future plans to the steady baseline.`);
+        }
+
+        if (coverage !== null && coverage < TARGET_COVERAGE && (commitment.onDemandCost || 0) > 0) {
+            recommendations.push(`Only ${percent(coverage)} of eligible compute is covered by commitments, leaving $${commitment.onDemandCost.toFixed(2)} at on-demand rates. Consider a Compute Savings Plan for the steady part of this usage.`);
+        }
+
+        const { percent: growth } = account.monthOverMonth;
+        if (growth !== null && growth > 20 && account.services.length > 0) {
+            recommendations.push(`Spend is up ${growth.toFixed(1)}% month over month; ${account.services[0].name} is the largest service at $${account.services[0].cost.toFixed(2)}.`);
+        }
+
+        return recommendations;
     }
 }
 
-module.exports = MultiAccountService;
\ No newline at end of file
+module.exports = MultiAccountService;
@@ -0,0 +1,677 @@
+// Organization Service
+// Organizations let several users work on one owner's cost data. Each member has a role per
+// organization - a built-in one (admin / manager / viewer, as defined in RoleService) or a
+// custom role assembled from the RoleService permission catalog - and optionally a scope
+// that limits them to some cost centers, departments, projects, teams, environments or
+// linked accounts. Outside an organization a user keeps working on their own data as before.
+const crypto = require('crypto');
+const DatabaseService = require('./databaseService');
+const RoleService = require('./roleService');
+
+const BUILT_IN_ROLES = [RoleService.roles.ADMIN, RoleService.roles.MANAGER, RoleService.roles.VIEWER];
+
+// Scope keys accepted from the API and the cost_records column each one filters
+const SCOPE_DIMENSIONS = {
+    costCenters: 'cost_center',
+    departments: 'department',
+    projects: 'project',
+    teams: 'team',
+    environments: 'environment',
+    accountIds: 'linked_account_id'
+};
+
+const INVITATION_TTL_DAYS = 7;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class OrganizationService {
+    /**
+     * Clean up a scope from a request body; returns null for "no restriction"
+     * @throws {Error} on unknown keys or non-string values
+     */
+    static normalizeScope(scope) {
+        if (scope === null || scope === undefined) return null;
+        if (typeof scope !== 'object' || Array.isArray(scope)) {
+            throw new Error('scope must be an object');
+        }
+
+        const normalized = {};
+        for (const [key, values] of Object.entries(scope)) {
+            if (!SCOPE_DIMENSIONS[key]) {
+                throw new Error(`Unknown scope key: ${key}. Use ${Object.keys(SCOPE_DIMENSIONS).join(', ')}`);
+            }
+            if (!Array.isArray(values) || !values.every(value => typeof value === 'string' && value.trim())) {
+                throw new Error(`scope.${key} must be an array of non-empty strings`);
+            }
+            if (values.length > 0) {
+                normalized[key] = [...new Set(values.map(value => value.trim()))];
+            }
+        }
+        return Object.keys(normalized).length > 0 ? normalized : null;
+    }
+
+    /**
+     * SQL condition restricting cost_records to a scope; values are appended to params
+     * @param {Object} scope - normalised scope, or null
+     * @param {Array} params - query parameters so far (mutated)
+     * @param {string} alias - table alias for cost_records, if any
+     * @returns {string} '' or ' AND ...'
+     */
+    static buildScopeFilter(scope, params, alias = '') {
+        if (!scope) return '';
+        const prefix = alias ? `${alias}.` : '';
+        // An empty list (from intersecting two scopes) matches nothing rather than everything
+        return Object.entries(SCOPE_DIMENSIONS)
+            .filter(([key]) => Array.isArray(scope[key]))
+            .map(([key, column]) => {
+                params.push(scope[key]);
+                return ` AND ${prefix}${column} = ANY($${params.length}::varchar[])`;
+            })
+            .join('');
+    }
+
+    /**
+     * Scope allowed by both a and b (null means unrestricted)
+     */
+    static intersectScopes(a, b) {
+        if (!a) return b || null;
+        if (!b) return a;
+        const scope = { ...a };
+        for (const [key, values] of Object.entries(b)) {
+            scope[key] = scope[key] ? scope[key].filter(value => values.includes(value)) : values;
+        }
+        return scope;
+    }
+
+    static validatePermissions(permissions) {
+        const catalog = Object.values(RoleService.permissions);
+        if (!Array.isArray(permissions) || permissions.length === 0) {
+            throw new Error('permissions must be a non-empty array');
+        }
+        const unknown = permissions.filter(permission => !catalog.includes(permission));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+        }
+        return [...new Set(permissions)];
+    }
+
+    /**
+     * A user's membership in an organization with the permissions it grants
+     * @returns {Object|null} { organizationId, organizationName, ownerUserId, userId, role, customRoleId, permissions, scope }
+     */
+    static async getMembership(organizationId, userId) {
+        const orgId = parseInt(organizationId, 10);
+        if (!Number.isInteger(orgId)) return null;
+        const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+
+        const result = await DatabaseService.query(`
+            SELECT o.id AS organization_id, o.name AS organization_name, o.owner_user_id,
+                   m.user_id, m.role, m.custom_role_id, m.scope,
+                   r.name AS custom_role_name, r.permissions AS custom_permissions
+            FROM organization_members m
+            JOIN organizations o ON o.id = m.organization_id
+            LEFT JOIN organization_roles r ON r.id = m.custom_role_id
+            WHERE m.organization_id = $1 AND m.user_id = $2
+        `, [orgId, dbUserId]);
+
+        if (result.rows.length === 0) return null;
+        const row = result.rows[0];
+        return {
+            organizationId: row.organization_id,
+            organizationName: row.organization_name,
+            ownerUserId: row.owner_user_id,
+            userId: row.user_id,
+            role: row.role || row.custom_role_name,
+            customRoleId: row.custom_role_id,
+            permissions: row.role
+                ? RoleService.getRoleInfo(row.role).permissions
+                : (row.custom_permissions || []),
+            scope: row.scope || null
+        };
+    }
+
+    static async getOrganization(organizationId) {
+        const result = await DatabaseService.query(
+            'SELECT id, name, owner_user_id FROM organizations WHERE id = $1',
+            [parseInt(organizationId, 10)]
+        );
+        const row = result.rows[0];
+        return row ? { id: row.id, name: row.name, ownerUserId: row.owner_user_id } : null;
+    }
+
+    /**
+     * Membership that holds a permission, or an error result to send back
+     */
+    static async requirePermission(organizationId, userId, permission) {
+        const membership = await this.getMembership(organizationId, userId);
+        if (!membership) {
+            return { success: false, status: 404, error: 'Organization not found' };
+        }
+        if (!membership.permissions.includes(permission)) {
+            return { success: false, status: 403, error: 'Insufficient permissions', required: permission };
+        }
+        return { success: true, membership };
+    }
+
+    /**
+     * Resolve { role } or { customRoleId } to what gets stored, checking the grantor could hold it
+     * Members can only hand out permissions they have themselves.
+     */
+    static async resolveRoleAssignment(organizationId, grantor, { role, customRoleId }) {
+        let permissions;
+        let assignment;
+
+        if (customRoleId !== undefined && customRoleId !== null) {
+            const result = await DatabaseService.query(
+                'SELECT id, permissions FROM organization_roles WHERE id = $1 AND organization_id = $2',
+                [parseInt(customRoleId, 10), organizationId]
+            );
+            if (result.rows.length === 0) {
+                throw new Error('Custom role not found in this organization');
+            }
+            permissions = result.rows[0].permissions;
+            assignment = { role: null, customRoleId: result.rows[0].id };
+        } else if (BUILT_IN_ROLES.includes(role)) {
+            permissions = RoleService.getRoleInfo(role).permissions;
+            assignment = { role, customRoleId: null };
+        } else {
+            throw new Error(`role must be one of ${BUILT_IN_ROLES.join(', ')}, or pass customRoleId`);
+        }
+
+        const beyondGrantor = permissions.filter(permission => !grantor.permissions.includes(permission));
+        if (beyondGrantor.length > 0) {
+            throw new Error(`Cannot grant permissions you do not hold: ${beyondGrantor.join(', ')}`);
+        }
+        return assignment;
+    }
+
+    static async audit(organizationId, actorUserId, action, resourceType, resourceId, details = {}) {
+        try {
+            await DatabaseService.query(`
+                INSERT INTO audit_logs (user_id, action, resource_type, resource_id, details)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [
+                DatabaseService.getUserIdForDatabase(actorUserId),
+                action,
+                resourceType,
+                resourceId === null || resourceId === undefined ? null : String(resourceId),
+                JSON.stringify({ organizationId, ...details })
+            ]);
+        } catch (error) {
+            // Auditing must never block the change itself
+            console.error('❌ Error writing organization audit log:', error.message);
+        }
+    }
+
+    // ---------------------------------------------------------------- organizations
+
+    /**
+     * Create an organization over the creator's cost data; the creator becomes its admin
+     */
+    static async createOrganization(userId, { name }) {
+        try {
+            if (!name || typeof name !== 'string' || !name.trim()) {
+                return { success: false, error: 'name is required' };
+            }
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+
+            const result = await DatabaseService.query(`
+                WITH organization AS (
+                    INSERT INTO organizations (name, owner_user_id) VALUES ($1, $2)
+                    RETURNING id, name, owner_user_id, created_at
+                ),
+                member AS (
+                    INSERT INTO organization_members (organization_id, user_id, role)
+                    SELECT id, $2, $3 FROM organization
+                )
+                SELECT * FROM organization
+            `, [name.trim().slice(0, 255), dbUserId, RoleService.roles.ADMIN]);
+
+            const organization = result.rows[0];
+            await this.audit(organization.id, userId, 'organization.created', 'organization', organization.id, { name: organization.name });
+            console.log(`🏢 Organization ${organization.id} created by user ${dbUserId}`);
+
+            return {
+                success: true,
+                organization: {
+                    id: organization.id,
+                    name: organization.name,
+                    ownerUserId: organization.owner_user_id,
+                    role: RoleService.roles.ADMIN,
+                    createdAt: organization.created_at
+                }
+            };
+        } catch (error) {
+            console.error('❌ Error creating organization:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async listOrganizations(userId) {
+        try {
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+            const result = await DatabaseService.query(`
+                SELECT o.id, o.name, o.owner_user_id, o.created_at, m.role, m.scope, r.name AS custom_role_name,
+                       (SELECT COUNT(*) FROM organization_members c WHERE c.organization_id = o.id) AS member_count
+                FROM organization_members m
+                JOIN organizations o ON o.id = m.organization_id
+                LEFT JOIN organization_roles r ON r.id = m.custom_role_id
+                WHERE m.user_id = $1
+                ORDER BY o.name
+            `, [dbUserId]);
+
+            return {
+                success: true,
+                organizations: result.rows.map(row => ({
+                    id: row.id,
+                    name: row.name,
+                    ownerUserId: row.owner_user_id,
+                    isOwner: row.owner_user_id === dbUserId,
+                    role: row.role || row.custom_role_name,
+                    customRole: !row.role,
+                    scope: row.scope || null,
+                    memberCount: parseInt(row.member_count, 10),
+                    createdAt: row.created_at
+                }))
+            };
+        } catch (error) {
+            console.error('❌ Error listing organizations:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ---------------------------------------------------------------- members
+
+    static async listMembers(organizationId, userId) {
+        try {
+            const membership = await this.getMembership(organizationId, userId);
+            if (!membership) {
+                return { success: false, status: 404, error: 'Organization not found' };
+            }
+
+            const result = await DatabaseService.query(`
+                SELECT m.user_id, u.username, u.email, m.role, m.custom_role_id, r.name AS custom_role_name,
+                       m.scope, m.joined_at
+                FROM organization_members m
+                JOIN users u ON u.id = m.user_id
+                LEFT JOIN organization_roles r ON r.id = m.custom_role_id
+                WHERE m.organization_id = $1
+                ORDER BY m.joined_at
+            `, [membership.organizationId]);
+
+            return {
+                success: true,
+                members: result.rows.map(row => ({
+                    userId: row.user_id,
+                    username: row.username,
+                    email: row.email,
+                    role: row.role || row.custom_role_name,
+                    customRoleId: row.custom_role_id,
+                    scope: row.scope || null,
+                    isOwner: row.user_id === membership.ownerUserId,
+                    joinedAt: row.joined_at
+                }))
+            };
+        } catch (error) {
+            console.error('❌ Error listing organization members:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Change a member's role and/or scope
+     * @param {Object} changes - { role } or { customRoleId }, and/or { scope }
+     */
+    static async updateMember(organizationId, actorUserId, memberUserId, changes) {
+        try {
+            const access = await this.requirePermission(organizationId, actorUserId, RoleService.permissions.MANAGE_USERS);
+            if (!access.success) return access;
+            const { membership } = access;
+            const memberId = DatabaseService.getUserIdForDatabase(memberUserId);
+
+            if (memberId === membership.ownerUserId) {
+                return { success: false, status: 400, error: "The organization owner's role cannot be changed" };
+            }
+
+            const current = await this.getMembership(membership.organizationId, memberId);
+            if (!current) {
+                return { success: false, status: 404, error: 'Member not found' };
+            }
+
+            const roleChange = changes.role !== undefined || changes.customRoleId !== undefined;
+            const assignment = roleChange
+                ? await this.resolveRoleAssignment(membership.organizationId, membership, changes)
+                : { role: current.customRoleId ? null : current.role, customRoleId: current.customRoleId };
+            const scope = changes.scope !== undefined ? this.normalizeScope(changes.scope) : current.scope;
+
+            await DatabaseService.query(`
+                UPDATE organization_members
+                SET role = $3, custom_role_id = $4, scope = $5, updated_at = NOW()
+                WHERE organization_id = $1 AND user_id = $2
+            `, [membership.organizationId, memberId, assignment.role, assignment.customRoleId, scope ? JSON.stringify(scope) : null]);
+
+            await this.audit(membership.organizationId, actorUserId, 'organization.member_updated', 'user', memberId, { ...assignment, scope });
+            return { success: true, member: { userId: memberId, ...assignment, scope } };
+        } catch (error) {
+            console.error('❌ Error updating organization member:', error.message);
+            return { success: false, status: 400, error: error.message };
+        }
+    }
+
+    /**
+     * Remove a member; members may always remove themselves (except the owner)
+     */
+    static async removeMember(organizationId, actorUserId, memberUserId) {
+        try {
+            const actorId = DatabaseService.getUserIdForDatabase(actorUserId);
+            const memberId = DatabaseService.getUserIdForDatabase(memberUserId);
+
+            const access = actorId === memberId
+                ? { success: true, membership: await this.getMembership(organizationId, actorId) }
+                : await this.requirePermission(organizationId, actorId, RoleService.permissions.MANAGE_USERS);
+            if (!access.success) return access;
+            if (!access.membership) {
+                return { success: false, status: 404, error: 'Organization not found' };
+            }
+            if (memberId === access.membership.ownerUserId) {
+                return { success: false, status: 400, error: 'The organization owner cannot be removed' };
+            }
+
+            const result = await DatabaseService.query(
+                'DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2 RETURNING id',
+                [access.membership.organizationId, memberId]
+            );
+            if (result.rows.length === 0) {
+                return { success: false, status: 404, error: 'Member not found' };
+            }
+
+            await this.audit(access.membership.organizationId, actorUserId, 'organization.member_removed', 'user', memberId);
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Error removing organization member:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ---------------------------------------------------------------- invitations
+
+    /**
+     * Invite someone by email; the raw token is only ever returned here
+     * @param {Object} invitation - { email, role | customRoleId, scope }
+     */
+    static async createInvitation(organizationId, actorUserId, invitation) {
+        try {
+            const access = await this.requirePermission(organizationId, actorUserId, RoleService.permissions.MANAGE_USERS);
+            if (!access.success) return access;
+            const { membership } = access;
+
+            const email = typeof invitation.email === 'string' ? invitation.email.trim().toLowerCase() : '';
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+                return { success: false, status: 400, error: 'A valid email is required' };
+            }
+
+            const assignment = await this.resolveRoleAssignment(membership.organizationId, membership, invitation);
+            const scope = this.normalizeScope(invitation.scope);
+            const token = crypto.randomBytes(32).toString('hex');
+            const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+            const result = await DatabaseService.query(`
+                INSERT INTO organization_invitations
+                    (organization_id, email, role, custom_role_id, scope, token_hash, invited_by, expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING id
+            `, [
+                membership.organizationId,
+                email,
+                assignment.role,
+                assignment.customRoleId,
+                scope ? JSON.stringify(scope) : null,
+                hashToken(token),
+                DatabaseService.getUserIdForDatabase(actorUserId),
+                expiresAt
+            ]);
+
+            const EmailService = require('./emailService');
+            await EmailService.sendOrganizationInvitation(email, {
+                organizationName: membership.organizationName,
+                token,
+                expiresAt
+            });
+
+            await this.audit(membership.organizationId, actorUserId, 'organization.invitation_created', 'invitation', result.rows[0].id, { email, ...assignment, scope });
+            return {
+                success: true,
+                invitation: { id: result.rows[0].id, email, ...assignment, scope, expiresAt, token }
+            };
+        } catch (error) {
+            console.error('❌ Error creating organization invitation:', error.message);
+            return { success: false, status: 400, error: error.message };
+        }
+    }
+
+    static async listInvitations(organizationId, actorUserId) {
+        try {
+            const access = await this.requirePermission(organizationId, actorUserId, RoleService.permissions.MANAGE_USERS);
+            if (!access.success) return access;
+
+            const result = await DatabaseService.query(`
+                SELECT i.id, i.email, i.role, i.custom_role_id, r.name AS custom_role_name, i.scope,
+                       i.expires_at, i.accepted_at, i.revoked_at, i.created_at
+                FROM organization_invitations i
+                LEFT JOIN organization_roles r ON r.id = i.custom_role_id
+                WHERE i.organization_id = $1
+                ORDER BY i.created_at DESC
+            `, [access.membership.organizationId]);
+
+            const now = new Date();
+            return {
+                success: true,
+                invitations: result.rows.map(row => ({
+                    id: row.id,
+                    email: row.email,
+                    role: row.role || row.custom_role_name,
+                    customRoleId: row.custom_role_id,
+                    scope: row.scope || null,
+                    status: row.accepted_at ? 'accepted'
+                        : row.revoked_at ? 'revoked'
+                            : new Date(row.expires_at) < now ? 'expired' : 'pending',
+                    expiresAt: row.expires_at,
+                    createdAt: row.created_at
+                }))
+            };
+        } catch (error) {
+            console.error('❌ Error listing organization invitations:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async revokeInvitation(organizationId, actorUserId, invitationId) {
+        try {
+            const access = await this.requirePermission(organizationId, actorUserId, RoleService.permissions.MANAGE_USERS);
+            if (!access.success) return access;
+
+            const result = await DatabaseService.query(`
+                UPDATE organization_invitations SET revoked_at = NOW()
+                WHERE id = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+                RETURNING id
+            `, [parseInt(invitationId, 10), access.membership.organizationId]);
+            if (result.rows.length === 0) {
+                return { success: false, status: 404, error: 'Pending invitation not found' };
+            }
+
+            await this.audit(access.membership.organizationId, actorUserId, 'organization.invitation_revoked', 'invitation', invitationId);
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Error revoking organization invitation:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Accept an invitation addressed to the user's email
+     */
+    static async acceptInvitation(userId, token) {
+        try {
+            if (!token || typeof token !== 'string') {
+                return { success: false, status: 400, error: 'token is required' };
+            }
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+
+            // Claim the invitation and add the membership in one statement so a token works once
+            const result = await DatabaseService.query(`
+                WITH invitation AS (
+                    UPDATE organization_invitations i
+                    SET accepted_at = NOW(), accepted_by = $2
+                    FROM users u
+                    WHERE i.token_hash = $1 AND u.id = $2 AND LOWER(u.email) = i.email
+                      AND i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()
+                    RETURNING i.id, i.organization_id, i.role, i.custom_role_id, i.scope, i.invited_by
+                ),
+                member AS (
+                    INSERT INTO organization_members (organization_id, user_id, role, custom_role_id, scope, invited_by)
+                    SELECT organization_id, $2, role, custom_role_id, scope, invited_by FROM invitation
+                    ON CONFLICT (organization_id, user_id) DO UPDATE SET
+                        role = EXCLUDED.role,
+                        custom_role_id = EXCLUDED.custom_role_id,
+                        scope = EXCLUDED.scope,
+                        updated_at = NOW()
+                )
+                SELECT * FROM invitation
+            `, [hashToken(token), dbUserId]);
+
+            if (result.rows.length === 0) {
+                return { success: false, status: 404, error: 'Invitation is invalid, expired or addressed to another email' };
+            }
+
+            const invitation = result.rows[0];
+            await this.audit(invitation.organization_id, userId, 'organization.invitation_accepted', 'invitation', invitation.id);
+            return { success: true, organizationId: invitation.organization_id };
+        } catch (error) {
+            console.error('❌ Error accepting organization invitation:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // ---------------------------------------------------------------- roles
+
+    static async listRoles(organizationId, userId) {
+        try {
+            const membership = await this.getMembership(organizationId, userId);
+            if (!membership) {
+                return { success: false, status: 404, error: 'Organization not found' };
+            }
+
+            const result = await DatabaseService.query(`
+                SELECT r.id, r.name, r.description, r.permissions, r.created_at, r.updated_at,
+                       (SELECT COUNT(*) FROM organization_members m WHERE m.custom_role_id = r.id) AS member_count
+                FROM organization_roles r
+                WHERE r.organization_id = $1
+                ORDER BY r.name
+            `, [membership.organizationId]);
+
+            return {
+                success: true,
+                builtInRoles: BUILT_IN_ROLES.map(role => ({ name: role, ...RoleService.getRoleInfo(role) })),
+                customRoles: result.rows.map(row => ({
+                    id: row.id,
+                    name: row.name,
+                    description: row.description,
+                    permissions: row.permissions,
+                    memberCount: parseInt(row.member_count, 10),
+                    createdAt: row.created_at,
+                    updatedAt: row.updated_at
+                }))
+            };
+        } catch (error) {
+            console.error('❌ Error listing organization roles:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Create or update a custom role
+     * @param {Object} role - { name, description, permissions }
+     * @param {number} roleId - existing role to update, or null to create
+     */
+    static async saveRole(organizationId, actorUserId, role, roleId = null) {
+        try {
+            const access = await this.requirePermission(organizationId, actorUserId, RoleService.permissions.MANAGE_USERS);
+            if (!access.success) return access;
+            const { membership } = access;
+
+            const name = typeof role.name === 'string' ? role.name.trim() : '';
+            if (!name || name.length > 100) {
+                return { success: false, status: 400, error: 'name is required (max 100 characters)' };
+            }
+            if (BUILT_IN_ROLES.includes(name.toLowerCase())) {
+                return { success: false, status: 400, error: `${name} is a built-in role name` };
+            }
+
+            const permissions = this.validatePermissions(role.permissions);
+            const beyondActor = permissions.filter(permission => !membership.permissions.includes(permission));
+            if (beyondActor.length > 0) {
+                return { success: false, status: 403, error: `Cannot grant permissions you do not hold: ${beyondActor.join(', ')}` };
+            }
+
+            const result = roleId
+                ? await DatabaseService.query(`
+                    UPDATE organization_roles
+                    SET name = $3, description = $4, permissions = $5, updated_at = NOW()
+                    WHERE id = $1 AND organization_id = $2
+                    RETURNING id, name, description, permissions
+                `, [parseInt(roleId, 10), membership.organizationId, name, role.description || null, JSON.stringify(permissions)])
+                : await DatabaseService.query(`
+                    INSERT INTO organization_roles (organization_id, name, description, permissions, created_by)
+                    VALUES ($1, $2, $3, $4, $5)
+                    RETURNING id, name, description, permissions
+                `, [membership.organizationId, name, role.description || null, JSON.stringify(permissions), DatabaseService.getUserIdForDatabase(actorUserId)]);
+
+            if (result.rows.length === 0) {
+                return { success: false, status: 404, error: 'Role not found' };
+            }
+
+            await this.audit(membership.organizationId, actorUserId, roleId ? 'organization.role_updated' : 'organization.role_created', 'role', result.rows[0].id, { name, permissions });
+            return { success: true, role: result.rows[0] };
+        } catch (error) {
+            if (error.code === '23505') {
+                return { success: false, status: 409, error: 'A role with this name already exists' };
+            }
+            console.error('❌ Error saving organization role:', error.message);
+            return { success: false, status: 400, error: error.message };
+        }
+    }
+
+    static async deleteRole(organizationId, actorUserId, roleId) {
+        try {
+            const access = await this.requirePermission(organizationId, actorUserId, RoleService.permissions.MANAGE_USERS);
+            if (!access.success) return access;
+
+            const inUse = await DatabaseService.query(
+                'SELECT COUNT(*) AS count FROM organization_members WHERE custom_role_id = $1',
+                [parseInt(roleId, 10)]
+            );
+            if (parseInt(inUse.rows[0].count, 10) > 0) {
+                return { success: false, status: 409, error: 'Role is still assigned to members' };
+            }
+
+            const result = await DatabaseService.query(
+                'DELETE FROM organization_roles WHERE id = $1 AND organization_id = $2 RETURNING id',
+                [parseInt(roleId, 10), access.membership.organizationId]
+            );
+            if (result.rows.length === 0) {
+                return { success: false, status: 404, error: 'Role not found' };
+            }
+
+            await this.audit(access.membership.organizationId, actorUserId, 'organization.role_deleted', 'role', roleId);
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Error deleting organization role:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+OrganizationService.BUILT_IN_ROLES = BUILT_IN_ROLES;
+OrganizationService.SCOPE_DIMENSIONS = SCOPE_DIMENSIONS;
+
+module.exports = OrganizationService;
@@ -1,62 +1,27 @@
-const AWS = require('aws-sdk');
-const AwsCredentialsService = require('./awsCredentialsService');
-const SimpleAwsCredentials = require('./simpleAwsCredentials');
+const { gatewayFor } = require('./aws');
 
 class OrphanDetectionService {
-    constructor() {
-        // Will be initialized with user credentials
-        this.ec2 = null;
-        this.rds = null;
-        this.elbv2 = null;
+    /**
+     * @param {AwsGateway} gateway - gateway of the user the scans and cleanups are for
+     */
+    constructor(gateway = null) {
+        this.gateway = gateway;
     }
 
     /**
-     * Initialize AWS clients with user credentials
-     * Tries both SimpleAwsCredentials (unencrypted) and AwsCredentialsService (encrypted)
+     * A service instance acting through one user's AWS gateway; the shared instance never
+     * holds a gateway itself
+     * @returns {Promise<OrphanDetectionService|null>} null when the user has no usable credentials
      */
-    async initializeAWS(userId) {
+    async forUser(userId) {
         try {
             console.log(`🔑 OrphanDetectionService: Initializing AWS for user ${userId}...`);
-            
-            const dbUserId = typeof userId === 'string' && userId.startsWith('user-') 
-                ? parseInt(userId.substring(5), 10)
-                : userId;
-            
-            console.log(`   Converted user ID: ${dbUserId} (type: ${typeof dbUserId})`);
-            
-            // Try SimpleAwsCredentials first (faster, no decryption)
-            let creds = SimpleAwsCredentials.get(dbUserId);
-            let credSource = 'SimpleAwsCredentials';
-            
-            // If not found, try encrypted credentials
-            if (!creds.success) {
-                console.log(`   SimpleAwsCredentials not found, trying encrypted storage...`);
-                creds = await AwsCredentialsService.getCredentials(dbUserId);
-                credSource = 'AwsCredentialsService';
-            }
-            
-            console.log(`   Credentials result from ${credSource}:`, creds.success ? 'SUCCESS' : `FAILED - ${creds.error}`);
-            
-            if (!creds.success) {
-                console.error(`❌ AWS credentials not found for user ${dbUserId} in either storage`);
-                return false;
-            }
-
-            AWS.config.update({
-                accessKeyId: creds.credentials.accessKeyId,
-                secretAccessKey: creds.credentials.secretAccessKey,
-                region: creds.credentials.region
-            });
-
-            this.ec2 = new AWS.EC2();
-            this.rds = new AWS.RDS();
-            this.elbv2 = new AWS.ELBv2();
-            
-            console.log(`✅ OrphanDetectionService initialized for user ${userId} in region ${creds.credentials.region} (source: ${credSource})`);
-            return true;
+            const gateway = await gatewayFor(userId);
+            console.log(`✅ OrphanDetectionService initialized for user ${userId} in region ${gateway.region}`);
+            return new OrphanDetectionService(gateway);
         } catch (error) {
-            console.error('❌ Failed to initialize AWS:', error);
-            return false;
+            console.error(`❌ Failed to initialize AWS for user ${userId}:`, error.message);
+            return null;
         }
     }
 
@@ -67,15 +32,16 @@ class OrphanDetectionService {
         try {
             console.log(`🔍 Detecting REAL orphaned resources for account: ${accountId}`);
             
-            // Initialize AWS with user credentials
+            // Scan with the user's own credentials
             if (userId) {
-                const initialized = await this.initializeAWS(userId);
-                if (!initialized) {
+                const session = await this.forUser(userId);
+                if (!session) {
                     throw new Error('Failed to initialize AWS - check credentials');
                 }
+                return await session.detectOrphans(accountId, service);
             }
 
-            if (!this.ec2) {
+            if (!this.gateway) {
                 throw new Error('AWS not initialized - no credentials available');
             }
             
@@ -83,7 +49,7 @@ class OrphanDetectionService {
             
             // 1. REAL: Find Unattached EBS Volumes
             console.log('   Scanning EBS volumes...');
-            const volumes = await this.ec2.describeVolumes().promise();
+            const volumes = await this.gateway.send('ec2', 'DescribeVolumes');
             
             volumes.Volumes.forEach(vol => {
                 if (vol.State === 'available') {
@@ -110,7 +76,7 @@ class OrphanDetectionService {
             
             // 2. REAL: Find Unused Elastic IPs
             console.log('   Scanning Elastic IPs...');
-            const addresses = await this.ec2.describeAddresses().promise();
+            const addresses = await this.gateway.send('ec2', 'DescribeAddresses');
             
             addresses.Addresses.forEach(addr => {
                 if (!addr.InstanceId && !addr.NetworkInterfaceId) {
@@ -133,7 +99,7 @@ class OrphanDetectionService {
             
             // 3. REAL: Find Long-Stopped Instances
             console.log('   Scanning stopped instances...');
-            const instances = await this.ec2.describeInstances().promise();
+            const instances = await this.gateway.send('ec2', 'DescribeInstances');
             
             instances.Reservations.forEach(reservation => {
                 reservation.Instances.forEach(instance => {
@@ -167,7 +133,7 @@ class OrphanDetectionService {
 
             // 4. REAL: Find Unattached Network Interfaces (ENIs)
             console.log('   Scanning network interfaces...');
-            const networkInterfaces = await this.ec2.describeNetworkInterfaces().promise();
+            const networkInterfaces = await this.gateway.send('ec2', 'DescribeNetworkInterfaces');
             
             networkInterfaces.NetworkInterfaces.forEach(eni => {
                 // Check if ENI is not attached to any instance
@@ -228,15 +194,16 @@ class OrphanDetectionService {
             console.log(`🧹 Cleaning up orphaned resource: ${orphanResource.resource_id}`);
             console.log(`   Type: ${orphanResource.resource_type}`);
             
-            // Initialize AWS if userId provided
-            if (userId && !this.ec2) {
-                const initialized = await this.initializeAWS(userId);
-                if (!initialized) {
+            // Delete with the user's own credentials
+            if (userId) {
+                const session = await this.forUser(userId);
+                if (!session) {
                     throw new Error('Failed to initialize AWS credentials');
                 }
+                return await session.cleanupResource(orphanResource);
             }
 
-            if (!this.ec2) {
+            if (!this.gateway) {
                 throw new Error('AWS not initialized - cannot cleanup resource');
             }
 
@@ -246,33 +213,33 @@ class OrphanDetectionService {
             switch (orphanResource.resource_type) {
                 case 'EBS Volume':
                     console.log(`   Deleting EBS volume: ${orphanResource.resource_id}`);
-                    result = await this.ec2.deleteVolume({
+                    result = await this.gateway.send('ec2', 'DeleteVolume', {
                         VolumeId: orphanResource.resource_id
-                    }).promise();
+                    });
                     console.log(`✅ EBS volume deleted successfully`);
                     break;
 
                 case 'Elastic IP':
                     console.log(`   Releasing Elastic IP: ${orphanResource.resource_id}`);
-                    result = await this.ec2.releaseAddress({
+                    result = await this.gateway.send('ec2', 'ReleaseAddress', {
                         AllocationId: orphanResource.resource_id
-                    }).promise();
+                    });
                     console.log(`✅ Elastic IP released successfully`);
                     break;
 
                 case 'Network Interface (ENI)':
                     console.log(`   Deleting Network Interface: ${orphanResource.resource_id}`);
-                    result = await this.ec2.deleteNetworkInterface({
+                    result = await this.gateway.send('ec2', 'DeleteNetworkInterface', {
                         NetworkInterfaceId: orphanResource.resource_id
-                    }).promise();
+                    });
                     console.log(`✅ Network Interface deleted successfully`);
                     break;
 
                 case 'EC2 Instance (Stopped)':
                     console.log(`   Terminating stopped EC2 instance: ${orphanResource.resource_id}`);
-                    result = await this.ec2.terminateInstances({
+                    result = await this.gateway.send('ec2', 'TerminateInstances', {
                         InstanceIds: [orphanResource.resource_id]
-                    }).promise();
+                    });
                     console.log(`✅ EC2 instance terminated successfully`);
                     break;
 
@@ -291,22 +258,22 @@ class OrphanDetectionService {
             
             // Provide more helpful error messages
             let errorMessage = error.message;
-            if (error.code === 'InvalidVolume.NotFound') {
+            if (error.name === 'InvalidVolume.NotFound') {
                 errorMessage = 'Volume not found - it may have already been deleted';
-            } else if (error.code === 'InvalidAllocationID.NotFound') {
+            } else if (error.name === 'InvalidAllocationID.NotFound') {
                 errorMessage = 'Elastic IP not found - it may have already been released';
-            } else if (error.code === 'InvalidNetworkInterfaceID.NotFound') {
+            } else if (error.name === 'InvalidNetworkInterfaceID.NotFound') {
                 errorMessage = 'Network Interface not found - it may have already been deleted';
-            } else if (error.code === 'InvalidInstanceID.NotFound') {
+            } else if (error.name === 'InvalidInstanceID.NotFound') {
                 errorMessage = 'Instance not found - it may have already been terminated';
-            } else if (error.code === 'UnauthorizedOperation') {
+            } else if (error.name === 'UnauthorizedOperation') {
                 errorMessage = 'Insufficient permissions to delete this resource';
             }
             
             return {
                 success: false,
                 error: errorMessage,
-                awsError: error.code
+                awsError: error.name
             };
         }
     }
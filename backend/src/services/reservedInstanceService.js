@@ -1,6 +1,5 @@
 // Reserved Instance Optimization Service
 // Provides RI utilization analysis and cost savings recommendations
-const AWS = require('aws-sdk');
 const DatabaseService = require('./databaseService');
 
 class ReservedInstanceService {
@@ -8,27 +7,18 @@ class ReservedInstanceService {
      * CORE FEATURE: RI Utilization Analysis
      * Analyzes current RI usage and provides optimization recommendations
      */
-    static async analyzeReservedInstances(credentials, options = {}) {
+    static async analyzeReservedInstances(gateway, options = {}) {
         try {
-            // Configure AWS SDK v2
-            AWS.config.update({
-                accessKeyId: credentials.accessKeyId,
-                secretAccessKey: credentials.secretAccessKey,
-                region: 'us-east-1' // Cost Explorer is only in us-east-1
-            });
-            
-            const costExplorer = new AWS.CostExplorer();
-
             console.log('🚀 Starting REAL RI analysis with AWS APIs...');
             
             // Get RI utilization for last 30 days (REAL DATA)
-            const utilizationResult = await this.getRIUtilization(costExplorer);
+            const utilizationResult = await this.getRIUtilization(gateway);
             
             // Get RI coverage analysis (REAL DATA)
-            const coverageResult = await this.getRICoverage(costExplorer);
+            const coverageResult = await this.getRICoverage(gateway);
             
             // Generate recommendations (includes AWS's own recommendations)
-            const recommendations = await this.generateRIRecommendations(utilizationResult, coverageResult, costExplorer);
+            const recommendations = await this.generateRIRecommendations(utilizationResult, coverageResult, gateway);
             
             // Calculate potential savings
             const savingsAnalysis = this.calculatePotentialSavings(recommendations);
@@ -64,7 +54,7 @@ class ReservedInstanceService {
     /**
      * Get RI Coverage Analysis - REAL AWS DATA
      */
-    static async getRICoverage(costExplorer) {
+    static async getRICoverage(gateway) {
         const endDate = new Date();
         const startDate = new Date();
         startDate.setDate(endDate.getDate() - 30);
@@ -81,7 +71,7 @@ class ReservedInstanceService {
                 // Note: GroupBy causes issues, so we'll use Total data instead
             };
 
-            const result = await costExplorer.getReservationCoverage(params).promise();
+            const result = await gateway.send('costExplorer', 'GetReservationCoverage', params);
             
             console.log('✅ Real RI coverage data received');
             
@@ -162,7 +152,7 @@ class ReservedInstanceService {
     /**
      * Get RI Utilization Data - REAL AWS DATA
      */
-    static async getRIUtilization(costExplorer) {
+    static async getRIUtilization(gateway) {
         const endDate = new Date();
         const startDate = new Date();
         startDate.setDate(endDate.getDate() - 30);
@@ -181,7 +171,7 @@ class ReservedInstanceService {
             };
 
             // Get REAL RI utilization from AWS (without GroupBy)
-            const utilizationResult = await costExplorer.getReservationUtilization(params).promise();
+            const utilizationResult = await gateway.send('costExplorer', 'GetReservationUtilization', params);
             
             console.log('✅ Real RI utilization data received');
             
@@ -201,7 +191,7 @@ class ReservedInstanceService {
                 ]
             };
             
-            const costResult = await costExplorer.getCostAndUsage(costParams).promise();
+            const costResult = await gateway.send('costExplorer', 'GetCostAndUsage', costParams);
             
             // Process REAL utilization data
             const utilization = this.processRealUtilizationData(utilizationResult, costResult);
@@ -228,7 +218,7 @@ class ReservedInstanceService {
                     ]
                 };
                 
-                const result = await costExplorer.getCostAndUsage(costParams).promise();
+                const result = await gateway.send('costExplorer', 'GetCostAndUsage', costParams);
                 const utilization = this.processUtilizationData(result.ResultsByTime);
                 utilization.isRealData = false;
                 utilization.isEstimated = true;
@@ -248,7 +238,7 @@ class ReservedInstanceService {
     /**
      * Generate RI Recommendations - Enhanced with real data analysis
      */
-    static async generateRIRecommendations(utilization, coverage, costExplorer) {
+    static async generateRIRecommendations(utilization, coverage, gateway) {
         const recommendations = [];
 
         try {
@@ -263,7 +253,7 @@ class ReservedInstanceService {
             };
             
             try {
-                const awsRecommendations = await costExplorer.getReservationPurchaseRecommendation(ec2RecommendationParams).promise();
+                const awsRecommendations = await gateway.send('costExplorer', 'GetReservationPurchaseRecommendation', ec2RecommendationParams);
                 
                 if (awsRecommendations.Recommendations && awsRecommendations.Recommendations.length > 0) {
                     console.log(`✅ Got ${awsRecommendations.Recommendations.length} AWS recommendations`);
@@ -1,53 +1,29 @@
 // Resource Cost Allocation Service - Real AWS Cost Explorer Integration
-const AWS = require('aws-sdk');
+const { CostExplorerClient, GetCostAndUsageCommand } = require('@aws-sdk/client-cost-explorer');
 const DatabaseService = require('./databaseService');
-const SimpleAwsCredentials = require('./simpleAwsCredentials');
+const { clientFor } = require('./aws');
+const OrganizationService = require('./organizationService');
+const CostAllocationService = require('./costAllocationService');
 
 class ResourceCostAllocationService {
-    constructor() {
-        this.costExplorer = null;
-        this.resourceGroupsTaggingAPI = null;
-    }
-
     /**
-     * Initialize AWS clients with user credentials
+     * Cost Explorer client with the user's own credentials, or null when they have none
      */
-    async initializeAWS(userId) {
+    async costExplorerFor(userId) {
         try {
-            console.log(`🔑 ResourceCostAllocationService: Initializing AWS for user ${userId}...`);
-
-            const dbUserId = typeof userId === 'string' && userId.startsWith('user-')
-                ? parseInt(userId.substring(5), 10)
-                : userId;
-
-            const creds = SimpleAwsCredentials.get(dbUserId);
-            if (creds.success) {
-                AWS.config.update({
-                    accessKeyId: creds.credentials.accessKeyId,
-                    secretAccessKey: creds.credentials.secretAccessKey,
-                    region: creds.credentials.region
-                });
-                console.log(`✅ AWS credentials loaded for user ${dbUserId}`);
-            } else {
-                console.warn(`⚠️ AWS credentials not found for user ${dbUserId}. Proceeding without explicit credentials, AWS SDK will use default chain.`);
-                // AWS SDK will rely on default credential provider chain (environment variables, shared credentials file, IAM role)
-            }
-
-            this.costExplorer = new AWS.CostExplorer({ region: 'us-east-1' }); // Cost Explorer is only in us-east-1
-            this.resourceGroupsTaggingAPI = new AWS.ResourceGroupsTaggingAPI();
-
-            console.log(`✅ ResourceCostAllocationService initialized for user ${userId}`);
-            return true;
+            // Cost Explorer is only in us-east-1
+            return await clientFor(userId, CostExplorerClient, { region: 'us-east-1' });
         } catch (error) {
-            console.error('❌ Failed to initialize AWS:', error);
-            return false;
+            console.warn(`⚠️ AWS credentials not found for user ${userId}:`, error.message);
+            return null;
         }
     }
 
     /**
      * Get allocation summary - DATABASE DATA (user-isolated)
+     * @param {Object} scope - organization member scope limiting the rows counted, if any
      */
-    async getAllocationSummary(userId) {
+    async getAllocationSummary(userId, scope = null) {
         try {
             console.log(`📊 [NEW CODE v2] Getting allocation summary for user ${userId}`);
 
@@ -58,6 +34,9 @@ class ResourceCostAllocationService {
             const startDate = new Date();
             startDate.setDate(startDate.getDate() - 30);
 
+            const params = [dbUserId, startDate.toISOString().split('T')[0], endDate.toISOString().split('T')[0]];
+            const scopeFilter = OrganizationService.buildScopeFilter(scope, params);
+
             const query = `
                 SELECT 
                     SUM(cost_amount) as total_cost,
@@ -68,14 +47,10 @@ class ResourceCostAllocationService {
                 FROM cost_records
                 WHERE user_id = $1
                     AND date >= $2
-                    AND date <= $3
+                    AND date <= $3${scopeFilter}
             `;
 
-            const result = await DatabaseService.query(query, [
-                dbUserId,
-                startDate.toISOString().split('T')[0],
-                endDate.toISOString().split('T')[0]
-            ]);
+            const result = await DatabaseService.query(query, params);
 
             const row = result.rows[0] || {};
             const totalCost = parseFloat(row.total_cost) || 0;
@@ -115,13 +90,17 @@ class ResourceCostAllocationService {
 
     /**
      * Get tag compliance - DATABASE DATA (user-isolated)
+     * @param {Object} scope - organization member scope limiting the rows counted, if any
      */
-    async getTagCompliance(userId) {
+    async getTagCompliance(userId, scope = null) {
         try {
             console.log(`🏷️  Getting tag compliance for user ${userId}`);
 
             const dbUserId = DatabaseService.getUserIdForDatabase(userId);
 
+            const params = [dbUserId];
+            const scopeFilter = OrganizationService.buildScopeFilter(scope, params);
+
             // 🔒 SECURITY: Get tag compliance from DATABASE filtered by user_id
             const query = `
                 SELECT 
@@ -139,10 +118,10 @@ class ResourceCostAllocationService {
                     END) as fully_compliant
                 FROM cost_records
                 WHERE user_id = $1
-                    AND date >= CURRENT_DATE - INTERVAL '30 days'
+                    AND date >= CURRENT_DATE - INTERVAL '30 days'${scopeFilter}
             `;
 
-            const result = await DatabaseService.query(query, [dbUserId]);
+            const result = await DatabaseService.query(query, params);
             const row = result.rows[0] || {};
 
             const totalResources = parseInt(row.total_resources) || 0;
@@ -189,8 +168,9 @@ class ResourceCostAllocationService {
 
     /**
      * Get cost breakdown by allocation - DATABASE DATA (user-isolated)
+     * @param {Object} scope - organization member scope limiting the rows counted, if any
      */
-    async getCostBreakdown(userId) {
+    async getCostBreakdown(userId, scope = null) {
         try {
             console.log(`💰 Getting cost breakdown for user ${userId}`);
 
@@ -200,6 +180,9 @@ class ResourceCostAllocationService {
             const startDate = new Date();
             startDate.setDate(startDate.getDate() - 30);
 
+            const params = [dbUserId, startDate.toISOString().split('T')[0], endDate.toISOString().split('T')[0]];
+            const scopeFilter = OrganizationService.buildScopeFilter(scope, params);
+
             // 🔒 SECURITY: Get breakdown from DATABASE filtered by user_id
             const query = `
                 SELECT 
@@ -212,17 +195,13 @@ class ResourceCostAllocationService {
                 FROM cost_records
                 WHERE user_id = $1
                     AND date >= $2
-                    AND date <= $3
+                    AND date <= $3${scopeFilter}
                 GROUP BY cost_center, department, project, environment
                 ORDER BY total_cost DESC
                 LIMIT 100
             `;
 
-            const result = await DatabaseService.query(query, [
-                dbUserId,
-                startDate.toISOString().split('T')[0],
-                endDate.toISOString().split('T')[0]
-            ]);
+            const result = await DatabaseService.query(query, params);
 
             const breakdown = result.rows.map(row => ({
                 cost_center: row.cost_center,
@@ -250,8 +229,9 @@ class ResourceCostAllocationService {
 
     /**
      * Get top cost centers - DATABASE DATA (user-isolated)
+     * @param {Object} scope - organization member scope limiting the rows counted, if any
      */
-    async getTopCostCenters(userId, limit = 10) {
+    async getTopCostCenters(userId, limit = 10, scope = null) {
         try {
             console.log(`🏢 Getting top cost centers for user ${userId}`);
 
@@ -261,6 +241,9 @@ class ResourceCostAllocationService {
             const startDate = new Date();
             startDate.setDate(startDate.getDate() - 30);
 
+            const params = [dbUserId, startDate.toISOString().split('T')[0], endDate.toISOString().split('T')[0], limit];
+            const scopeFilter = OrganizationService.buildScopeFilter(scope, params);
+
             // 🔒 SECURITY: Get top cost centers from DATABASE filtered by user_id
             const query = `
                 SELECT 
@@ -271,19 +254,14 @@ class ResourceCostAllocationService {
                 FROM cost_records
                 WHERE user_id = $1
                     AND date >= $2
-                    AND date <= $3
+                    AND date <= $3${scopeFilter}
                 GROUP BY cost_center
                 HAVING SUM(cost_amount) > 0
                 ORDER BY total_cost DESC
                 LIMIT $4
             `;
 
-            const result = await DatabaseService.query(query, [
-                dbUserId,
-                startDate.toISOString().split('T')[0],
-                endDate.toISOString().split('T')[0],
-                limit
-            ]);
+            const result = await DatabaseService.query(query, params);
 
             const costCenters = result.rows.map(row => ({
                 cost_center: row.cost_center,
@@ -314,6 +292,12 @@ class ResourceCostAllocationService {
         try {
             console.log(`📝 Creating allocation rule for user ${userId}`);
 
+            try {
+                CostAllocationService.validateRule(ruleData);
+            } catch (validationError) {
+                return { success: false, status: 400, error: validationError.message };
+            }
+
             const dbUserId = DatabaseService.getUserIdForDatabase(userId);
 
             const result = await DatabaseService.query(
@@ -357,7 +341,7 @@ class ResourceCostAllocationService {
             const result = await DatabaseService.query(
                 `SELECT * FROM cost_allocation_rules 
                  WHERE user_id = $1 
-                 ORDER BY priority DESC, created_at DESC`,
+                 ORDER BY priority ASC, created_at DESC`,
                 [dbUserId]
             );
 
@@ -381,11 +365,9 @@ class ResourceCostAllocationService {
         try {
             console.log(`📊 Generating chargeback report for user ${userId}`);
 
-            if (!this.costExplorer) {
-                const initSuccess = await this.initializeAWS(userId);
-                if (!initSuccess) {
-                    return { success: false, error: 'AWS credentials not configured. Please connect your AWS account.' };
-                }
+            const costExplorer = await this.costExplorerFor(userId);
+            if (!costExplorer) {
+                return { success: false, error: 'AWS credentials not configured. Please connect your AWS account.' };
             }
 
             const dbUserId = DatabaseService.getUserIdForDatabase(userId);
@@ -443,7 +425,7 @@ class ResourceCostAllocationService {
                 ]
             };
 
-            const costData = await this.costExplorer.getCostAndUsage(params).promise();
+            const costData = await costExplorer.send(new GetCostAndUsageCommand(params));
             let totalCost = 0;
 
             if (costData.ResultsByTime && costData.ResultsByTime.length > 0) {
@@ -520,7 +502,7 @@ class ResourceCostAllocationService {
             console.log(`🗑️ Deleting chargeback report ${reportId} for user ${userId}`);
             const dbUserId = DatabaseService.getUserIdForDatabase(userId);
             const result = await DatabaseService.query(
-                `DELETE FROM chargeback_reports WHERE id = $1 AND user_id = $2 RETURNING id`,
+                `DELETE FROM chargeback_reports WHERE id = $1 AND user_id = $2 AND status IS DISTINCT FROM 'published' RETURNING id`,
                 [reportId, dbUserId]
             );
             if (result.rowCount > 0) {
@@ -707,6 +689,7 @@ class ResourceCostAllocationService {
             const query = `DELETE FROM chargeback_reports 
                           WHERE id IN (${placeholders}) 
                           AND user_id = $1 
+                          AND status IS DISTINCT FROM 'published'
                           RETURNING id`;
 
             const result = await DatabaseService.query(query, [dbUserId, ...reportIds]);
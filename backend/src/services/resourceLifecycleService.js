@@ -1,4 +1,3 @@
-const AWS = require('aws-sdk');
 const DatabaseService = require('./databaseService');
 const SchedulingService = require('./schedulingService');
 const RightsizingService = require('./rightsizingService');
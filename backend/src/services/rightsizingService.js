@@ -1,40 +1,26 @@
-const AWS = require('aws-sdk');
-const SimpleAwsCredentials = require('./simpleAwsCredentials');
+const { gatewayFor } = require('./aws');
 
 class RightsizingService {
-    constructor() {
-        this.cloudWatch = null;
-        this.ec2 = null;
+    /**
+     * @param {AwsGateway} gateway - gateway of the user the analyses are for
+     */
+    constructor(gateway = null) {
+        this.gateway = gateway;
     }
 
     /**
-     * Initialize AWS clients with user credentials
+     * A service instance acting through one user's AWS gateway; the shared instance never
+     * holds a gateway itself
+     * @returns {Promise<RightsizingService|null>} null when the user has no usable credentials
      */
-    async initializeAWS(userId) {
+    async forUser(userId) {
         try {
-            const dbUserId = typeof userId === 'string' && userId.startsWith('user-') 
-                ? parseInt(userId.substring(5), 10)
-                : userId;
-            
-            const creds = SimpleAwsCredentials.get(dbUserId);
-            if (!creds.success) {
-                throw new Error('AWS credentials not found');
-            }
-
-            AWS.config.update({
-                accessKeyId: creds.credentials.accessKeyId,
-                secretAccessKey: creds.credentials.secretAccessKey,
-                region: creds.credentials.region
-            });
-
-            this.cloudWatch = new AWS.CloudWatch();
-            this.ec2 = new AWS.EC2();
-            
+            const gateway = await gatewayFor(userId);
             console.log(`✅ RightsizingService initialized for user ${userId}`);
-            return true;
+            return new RightsizingService(gateway);
         } catch (error) {
-            console.error('❌ Failed to initialize AWS:', error);
-            return false;
+            console.error('❌ Failed to initialize AWS:', error.message);
+            return null;
         }
     }
 
@@ -45,19 +31,23 @@ class RightsizingService {
         try {
             console.log(`🔍 Analyzing REAL rightsizing for resource: ${resourceId}`);
             
-            // Initialize AWS with user credentials
+            // Analyze with the user's own credentials
             if (userId) {
-                await this.initializeAWS(userId);
+                const session = await this.forUser(userId);
+                if (!session) {
+                    throw new Error('AWS not initialized');
+                }
+                return await session.analyzeResource(resourceId, performanceData);
             }
 
-            if (!this.ec2 || !this.cloudWatch) {
+            if (!this.gateway) {
                 throw new Error('AWS not initialized');
             }
 
             // Get instance details
-            const instanceData = await this.ec2.describeInstances({
+            const instanceData = await this.gateway.send('ec2', 'DescribeInstances', {
                 InstanceIds: [resourceId]
-            }).promise();
+            });
 
             if (instanceData.Reservations.length === 0) {
                 throw new Error('Instance not found');
@@ -70,7 +60,7 @@ class RightsizingService {
             const endTime = new Date();
             const startTime = new Date(endTime - 14 * 24 * 60 * 60 * 1000);
 
-            const cpuMetrics = await this.cloudWatch.getMetricStatistics({
+            const cpuMetrics = await this.gateway.send('cloudWatch', 'GetMetricStatistics', {
                 Namespace: 'AWS/EC2',
                 MetricName: 'CPUUtilization',
                 Dimensions: [{ Name: 'InstanceId', Value: resourceId }],
@@ -78,7 +68,7 @@ class RightsizingService {
                 EndTime: endTime,
                 Period: 3600,
                 Statistics: ['Average', 'Maximum']
-            }).promise();
+            });
 
             if (cpuMetrics.Datapoints.length === 0) {
                 return null; // No metrics available yet
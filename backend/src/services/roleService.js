@@ -74,6 +74,18 @@ class RoleService {
         return hasAccess;
     }
 
+    /**
+     * Role a user acts with on their own account (users.personal_role). It is assigned, not
+     * derived from the subscription tier; accounts without one are free users.
+     */
+    static getPersonalRole(user) {
+        const role = user && user.personal_role;
+        return this.rolePermissions[role] ? role : this.roles.FREE_USER;
+    }
+
+    /**
+     * Personal role an existing account on this tier was given when personal roles were introduced
+     */
     static getUserRole(subscriptionTier) {
         const tierRoleMap = {
             'enterprise': this.roles.ADMIN,
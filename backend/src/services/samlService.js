@@ -86,6 +86,7 @@ class SamlService {
                         auth_provider: 'saml',
                         is_active: true,
                         subscription_tier: 'enterprise',
+                        personal_role: 'admin',
                         created_at: new Date(),
                         updated_at: new Date()
                     };
@@ -1,65 +1,28 @@
-const AWS = require('aws-sdk');
-const AwsCredentialsService = require('./awsCredentialsService');
+const { gatewayFor } = require('./aws');
 
 class SchedulingService {
-    constructor() {
-        this.ec2 = null;
-        this.rds = null;
-        this.autoscaling = null;
-        this.ecs = null;
-        // Don't initialize AWS in constructor - will be initialized per-user when needed
+    /**
+     * @param {AwsGateway} gateway - gateway of the user the actions are for; without it the
+     *   instance cannot reach AWS and only forUser() sessions can act on resources
+     */
+    constructor(gateway = null) {
+        this.gateway = gateway;
     }
 
-    async initializeAWS(userId = null) {
+    /**
+     * A service instance acting through one user's AWS gateway. The shared instance never
+     * holds a gateway itself, so concurrent actions for different users cannot mix them up.
+     * @returns {Promise<SchedulingService|null>} null when the user has no usable credentials
+     */
+    async forUser(userId) {
         try {
-            console.log(`🔑 Initializing AWS clients for user ${userId}...`);
-            
-            // Try simple credentials first (no encryption issues)
-            const SimpleAwsCredentials = require('./simpleAwsCredentials');
-            const dbUserId = typeof userId === 'string' && userId.startsWith('user-') 
-                ? parseInt(userId.substring(5), 10)
-                : userId;
-            
-            console.log(`📡 Fetching credentials for DB user ID: ${dbUserId}`);
-            let credentials = SimpleAwsCredentials.get(dbUserId);
-            
-            // Fallback to encrypted credentials if simple ones don't exist
-            if (!credentials || !credentials.success) {
-                console.log('⚠️ Simple credentials not found, trying encrypted...');
-                credentials = await AwsCredentialsService.getCredentials(dbUserId);
-            }
-            
-            if (!credentials || !credentials.success) {
-                console.error(`❌ Failed to get AWS credentials for user ${userId}`);
-                console.error('Credentials response:', credentials);
-                return false;
-            }
-
-            if (!credentials.credentials || !credentials.credentials.accessKeyId || !credentials.credentials.secretAccessKey) {
-                console.error(`❌ Invalid credentials structure for user ${userId}`);
-                console.error('Credentials:', credentials);
-                return false;
-            }
-            
-            // Update AWS config
-            AWS.config.update({
-                accessKeyId: credentials.credentials.accessKeyId,
-                secretAccessKey: credentials.credentials.secretAccessKey,
-                region: credentials.credentials.region || 'ap-south-1'
-            });
-
-            // Initialize AWS service clients
-            this.ec2 = new AWS.EC2();
-            this.rds = new AWS.RDS();
-            this.autoscaling = new AWS.AutoScaling();
-            this.ecs = new AWS.ECS();
-            
-            console.log(`✅ AWS clients initialized successfully for user ${userId} in region ${credentials.credentials.region || 'ap-south-1'}`);
-            return true;
+            console.log(`🔑 Initializing AWS gateway for user ${userId}...`);
+            const gateway = await gatewayFor(userId);
+            console.log(`✅ AWS gateway initialized successfully for user ${userId} in region ${gateway.region}`);
+            return new SchedulingService(gateway);
         } catch (error) {
-            console.error(`❌ Error initializing AWS for user ${userId}:`, error);
-            console.error('Error stack:', error.stack);
-            return false;
+            console.error(`❌ Failed to initialize AWS for user ${userId}:`, error.message);
+            return null;
         }
     }
 
@@ -70,34 +33,28 @@ class SchedulingService {
         try {
             console.log(`⚡ Executing ${actionType} on resource ${resourceId} for user ${metadata.userId}`);
 
-            // CRITICAL: Re-initialize AWS with user credentials BEFORE any action
-            if (metadata.userId) {
-                const initialized = await this.initializeAWS(metadata.userId);
-                if (!initialized) {
-                    throw new Error(`Failed to initialize AWS clients for user ${metadata.userId}. Please check AWS credentials.`);
-                }
-            } else {
+            // CRITICAL: Act with the user's own credentials
+            if (!metadata.userId) {
                 throw new Error('User ID is required for scheduled actions');
             }
-
-            // Verify EC2 client is initialized
-            if (!this.ec2) {
-                throw new Error('EC2 client not initialized after credential setup');
+            const session = await this.forUser(metadata.userId);
+            if (!session) {
+                throw new Error(`Failed to initialize AWS clients for user ${metadata.userId}. Please check AWS credentials.`);
             }
 
             switch (actionType) {
                 case 'shutdown':
-                    return await this.shutdownResource(resourceId, metadata);
+                    return await session.shutdownResource(resourceId, metadata);
                 case 'startup':
-                    return await this.startupResource(resourceId, metadata);
+                    return await session.startupResource(resourceId, metadata);
                 case 'resize':
-                    return await this.resizeResource(resourceId, metadata);
+                    return await session.resizeResource(resourceId, metadata);
                 case 'terminate':
-                    return await this.terminateResource(resourceId, metadata);
+                    return await session.terminateResource(resourceId, metadata);
                 case 'scale_down':
-                    return await this.scaleDownResource(resourceId, metadata);
+                    return await session.scaleDownResource(resourceId, metadata);
                 case 'scale_up':
-                    return await this.scaleUpResource(resourceId, metadata);
+                    return await session.scaleUpResource(resourceId, metadata);
                 default:
                     throw new Error(`Unknown action type: ${actionType}`);
             }
@@ -145,50 +102,16 @@ class SchedulingService {
 
     async shutdownEC2Instance(instanceId, metadata) {
         try {
-            if (!this.ec2) throw new Error('EC2 client not initialized');
-
-            // If region is specified in metadata, create region-specific client
-            if (metadata.region && metadata.region !== this.ec2.config.region) {
-                console.log(`🌍 Creating EC2 client for region: ${metadata.region}`);
-                const AWS = require('aws-sdk');
-                const regionalEc2 = new AWS.EC2({ region: metadata.region });
-                
-                // Check instance state first
-                const instanceData = await regionalEc2.describeInstances({
-                    InstanceIds: [instanceId]
-                }).promise();
-                
-                if (instanceData.Reservations.length === 0) {
-                    throw new Error(`Instance ${instanceId} not found in region ${metadata.region}`);
-                }
-
-                const instance = instanceData.Reservations[0].Instances[0];
-                
-                if (instance.State.Name === 'stopped') {
-                    return { success: true, message: 'Instance already stopped', skipped: true };
-                }
-
-                if (instance.State.Name !== 'running') {
-                    return { success: false, error: `Instance is in ${instance.State.Name} state, cannot stop` };
-                }
-
-                // Stop the instance using regional client
-                await regionalEc2.stopInstances({
-                    InstanceIds: [instanceId],
-                    Force: metadata.force || false
-                }).promise();
-
-                console.log(`✅ EC2 instance ${instanceId} shutdown initiated in region ${metadata.region}`);
-                return { success: true, message: `EC2 instance shutdown initiated in ${metadata.region}` };
-            }
+            if (!this.gateway) throw new Error('AWS gateway not initialized');
+            const region = metadata.region;
 
             // Check instance state first
-            const instanceData = await this.ec2.describeInstances({
+            const instanceData = await this.gateway.send('ec2', 'DescribeInstances', {
                 InstanceIds: [instanceId]
-            }).promise();
+            }, { region });
 
             if (instanceData.Reservations.length === 0) {
-                throw new Error(`Instance ${instanceId} not found`);
+                throw new Error(`Instance ${instanceId} not found${region ? ` in region ${region}` : ''}`);
             }
 
             const instance = instanceData.Reservations[0].Instances[0];
@@ -203,24 +126,24 @@ class SchedulingService {
 
             // Add shutdown protection tags if specified
             if (metadata.addTags) {
-                await this.ec2.createTags({
+                await this.gateway.send('ec2', 'CreateTags', {
                     Resources: [instanceId],
                     Tags: [
                         { Key: 'AutoShutdown', Value: 'true' },
                         { Key: 'ShutdownTime', Value: new Date().toISOString() },
                         { Key: 'ScheduledAction', Value: 'shutdown' }
                     ]
-                }).promise();
+                }, { region });
             }
 
             // Stop the instance
-            await this.ec2.stopInstances({
+            await this.gateway.send('ec2', 'StopInstances', {
                 InstanceIds: [instanceId],
                 Force: metadata.force || false
-            }).promise();
+            }, { region });
 
-            console.log(`✅ EC2 instance ${instanceId} shutdown initiated`);
-            return { success: true, message: 'EC2 instance shutdown initiated' };
+            console.log(`✅ EC2 instance ${instanceId} shutdown initiated${region ? ` in region ${region}` : ''}`);
+            return { success: true, message: `EC2 instance shutdown initiated${region ? ` in ${region}` : ''}` };
         } catch (error) {
             console.error('❌ Error shutting down EC2 instance:', error);
             return { success: false, error: error.message };
@@ -229,12 +152,12 @@ class SchedulingService {
 
     async shutdownRDSInstance(dbInstanceId, metadata) {
         try {
-            if (!this.rds) throw new Error('RDS client not initialized');
+            if (!this.gateway) throw new Error('AWS gateway not initialized');
 
             // Check current state
-            const dbInstance = await this.rds.describeDBInstances({
+            const dbInstance = await this.gateway.send('rds', 'DescribeDBInstances', {
                 DBInstanceIdentifier: dbInstanceId
-            }).promise();
+            });
 
             const instance = dbInstance.DBInstances[0];
             
@@ -247,11 +170,11 @@ class SchedulingService {
             }
 
             // Stop RDS instance
-            await this.rds.stopDBInstance({
+            await this.gateway.send('rds', 'StopDBInstance', {
                 DBInstanceIdentifier: dbInstanceId,
                 DBSnapshotIdentifier: metadata.createSnapshot ? 
                     `${dbInstanceId}-scheduled-shutdown-${Date.now()}` : undefined
-            }).promise();
+            });
 
             console.log(`✅ RDS instance ${dbInstanceId} shutdown initiated`);
             return { success: true, message: 'RDS instance shutdown initiated' };
@@ -263,12 +186,12 @@ class SchedulingService {
 
     async scaleDownASG(asgName, metadata) {
         try {
-            if (!this.autoscaling) throw new Error('AutoScaling client not initialized');
+            if (!this.gateway) throw new Error('AWS gateway not initialized');
 
             // Get current ASG configuration
-            const asgData = await this.autoscaling.describeAutoScalingGroups({
+            const asgData = await this.gateway.send('autoScaling', 'DescribeAutoScalingGroups', {
                 AutoScalingGroupNames: [asgName]
-            }).promise();
+            });
 
             if (asgData.AutoScalingGroups.length === 0) {
                 throw new Error(`Auto Scaling Group ${asgName} not found`);
@@ -288,12 +211,12 @@ class SchedulingService {
             // Scale down to minimum or specified capacity
             const targetCapacity = metadata.targetCapacity || 0;
             
-            await this.autoscaling.updateAutoScalingGroup({
+            await this.gateway.send('autoScaling', 'UpdateAutoScalingGroup', {
                 AutoScalingGroupName: asgName,
                 MinSize: targetCapacity,
                 MaxSize: Math.max(targetCapacity, asg.MaxSize),
                 DesiredCapacity: targetCapacity
-            }).promise();
+            });
 
             console.log(`✅ Auto Scaling Group ${asgName} scaled down to ${targetCapacity}`);
             return { 
@@ -309,15 +232,15 @@ class SchedulingService {
 
     async shutdownECSService(serviceName, metadata) {
         try {
-            if (!this.ecs) throw new Error('ECS client not initialized');
+            if (!this.gateway) throw new Error('AWS gateway not initialized');
 
             const clusterName = metadata.cluster || 'default';
 
             // Get current service
-            const serviceData = await this.ecs.describeServices({
+            const serviceData = await this.gateway.send('ecs', 'DescribeServices', {
                 cluster: clusterName,
                 services: [serviceName]
-            }).promise();
+            });
 
             if (serviceData.services.length === 0) {
                 throw new Error(`ECS service ${serviceName} not found`);
@@ -331,11 +254,11 @@ class SchedulingService {
             }
 
             // Scale service to 0 tasks
-            await this.ecs.updateService({
+            await this.gateway.send('ecs', 'UpdateService', {
                 cluster: clusterName,
                 service: serviceName,
                 desiredCount: 0
-            }).promise();
+            });
 
             console.log(`✅ ECS service ${serviceName} scaled down to 0 tasks`);
             return { 
@@ -377,11 +300,12 @@ class SchedulingService {
 
     async startupEC2Instance(instanceId, metadata) {
         try {
-            if (!this.ec2) throw new Error('EC2 client not initialized');
+            if (!this.gateway) throw new Error('AWS gateway not initialized');
+            const region = metadata.region;
 
-            const instanceData = await this.ec2.describeInstances({
+            const instanceData = await this.gateway.send('ec2', 'DescribeInstances', {
                 InstanceIds: [instanceId]
-            }).promise();
+            }, { region });
 
             if (instanceData.Reservations.length === 0) {
                 throw new Error(`Instance ${instanceId} not found`);
@@ -398,9 +322,9 @@ class SchedulingService {
             }
 
             // Start the instance
-            await this.ec2.startInstances({
+            await this.gateway.send('ec2', 'StartInstances', {
                 InstanceIds: [instanceId]
-            }).promise();
+            }, { region });
 
             console.log(`✅ EC2 instance ${instanceId} startup initiated`);
             return { success: true, message: 'EC2 instance startup initiated' };
@@ -412,11 +336,11 @@ class SchedulingService {
 
     async startupRDSInstance(dbInstanceId, metadata) {
         try {
-            if (!this.rds) throw new Error('RDS client not initialized');
+            if (!this.gateway) throw new Error('AWS gateway not initialized');
 
-            const dbInstance = await this.rds.describeDBInstances({
+            const dbInstance = await this.gateway.send('rds', 'DescribeDBInstances', {
                 DBInstanceIdentifier: dbInstanceId
-            }).promise();
+            });
 
             const instance = dbInstance.DBInstances[0];
 
@@ -429,9 +353,9 @@ class SchedulingService {
             }
 
             // Start RDS instance
-            await this.rds.startDBInstance({
+            await this.gateway.send('rds', 'StartDBInstance', {
                 DBInstanceIdentifier: dbInstanceId
-            }).promise();
+            });
 
             console.log(`✅ RDS instance ${dbInstanceId} startup initiated`);
             return { success: true, message: 'RDS instance startup initiated' };
@@ -443,19 +367,19 @@ class SchedulingService {
 
     async scaleUpASG(asgName, metadata) {
         try {
-            if (!this.autoscaling) throw new Error('AutoScaling client not initialized');
+            if (!this.gateway) throw new Error('AWS gateway not initialized');
 
             if (!metadata.originalCapacity) {
                 throw new Error('Original capacity metadata required for scale up');
             }
 
             // Restore original capacity
-            await this.autoscaling.updateAutoScalingGroup({
+            await this.gateway.send('autoScaling', 'UpdateAutoScalingGroup', {
                 AutoScalingGroupName: asgName,
                 MinSize: metadata.originalCapacity.min,
                 MaxSize: metadata.originalCapacity.max,
                 DesiredCapacity: metadata.originalCapacity.desired
-            }).promise();
+            });
 
             console.log(`✅ Auto Scaling Group ${asgName} restored to original capacity`);
             return { success: true, message: 'Auto Scaling Group restored to original capacity' };
@@ -467,7 +391,7 @@ class SchedulingService {
 
     async startupECSService(serviceName, metadata) {
         try {
-            if (!this.ecs) throw new Error('ECS client not initialized');
+            if (!this.gateway) throw new Error('AWS gateway not initialized');
 
             const clusterName = metadata.cluster || 'default';
 
@@ -476,11 +400,11 @@ class SchedulingService {
             }
 
             // Restore original task count
-            await this.ecs.updateService({
+            await this.gateway.send('ecs', 'UpdateService', {
                 cluster: clusterName,
                 service: serviceName,
                 desiredCount: metadata.originalTaskCount
-            }).promise();
+            });
 
             console.log(`✅ ECS service ${serviceName} restored to ${metadata.originalTaskCount} tasks`);
             return { success: true, message: `ECS service restored to ${metadata.originalTaskCount} tasks` };
@@ -490,6 +414,46 @@ class SchedulingService {
         }
     }
 
+    /**
+     * RESOURCE SCALING METHODS
+     */
+
+    async scaleDownResource(resourceId, metadata) {
+        try {
+            const resourceType = await this.getResourceType(resourceId);
+
+            switch (resourceType) {
+                case 'autoscaling':
+                    return await this.scaleDownASG(resourceId, metadata);
+                case 'ecs':
+                    return await this.shutdownECSService(resourceId, metadata);
+                default:
+                    throw new Error(`Scaling not supported for ${resourceType}`);
+            }
+        } catch (error) {
+            console.error('❌ Error scaling down resource:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async scaleUpResource(resourceId, metadata) {
+        try {
+            const resourceType = await this.getResourceType(resourceId);
+
+            switch (resourceType) {
+                case 'autoscaling':
+                    return await this.scaleUpASG(resourceId, metadata);
+                case 'ecs':
+                    return await this.startupECSService(resourceId, metadata);
+                default:
+                    throw new Error(`Scaling not supported for ${resourceType}`);
+            }
+        } catch (error) {
+            console.error('❌ Error scaling up resource:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * RESOURCE RESIZE/TERMINATE METHODS
      */
@@ -511,39 +475,40 @@ class SchedulingService {
 
     async resizeEC2Instance(instanceId, metadata) {
         try {
-            if (!this.ec2) throw new Error('EC2 client not initialized');
+            if (!this.gateway) throw new Error('AWS gateway not initialized');
+            const region = metadata.region;
             if (!metadata.newInstanceType) throw new Error('New instance type required');
 
             // Stop instance first if running
-            const instanceData = await this.ec2.describeInstances({
+            const instanceData = await this.gateway.send('ec2', 'DescribeInstances', {
                 InstanceIds: [instanceId]
-            }).promise();
+            }, { region });
 
             const instance = instanceData.Reservations[0].Instances[0];
             const wasRunning = instance.State.Name === 'running';
 
             if (wasRunning) {
-                await this.ec2.stopInstances({
+                await this.gateway.send('ec2', 'StopInstances', {
                     InstanceIds: [instanceId]
-                }).promise();
+                }, { region });
 
                 // Wait for instance to stop
-                await this.ec2.waitFor('instanceStopped', {
+                await this.gateway.waitFor('ec2', 'DescribeInstances', {
                     InstanceIds: [instanceId]
-                }).promise();
+                }, (output) => output.Reservations[0].Instances[0].State.Name === 'stopped', { region });
             }
 
             // Modify instance type
-            await this.ec2.modifyInstanceAttribute({
+            await this.gateway.send('ec2', 'ModifyInstanceAttribute', {
                 InstanceId: instanceId,
                 InstanceType: { Value: metadata.newInstanceType }
-            }).promise();
+            }, { region });
 
             // Restart instance if it was running
             if (wasRunning) {
-                await this.ec2.startInstances({
+                await this.gateway.send('ec2', 'StartInstances', {
                     InstanceIds: [instanceId]
-                }).promise();
+                }, { region });
             }
 
             console.log(`✅ EC2 instance ${instanceId} resized to ${metadata.newInstanceType}`);
@@ -566,9 +531,9 @@ class SchedulingService {
                 throw new Error('Force flag required for resource termination');
             }
 
-            await this.ec2.terminateInstances({
+            await this.gateway.send('ec2', 'TerminateInstances', {
                 InstanceIds: [resourceId]
-            }).promise();
+            }, { region: metadata.region });
 
             console.log(`✅ EC2 instance ${resourceId} termination initiated`);
             return { success: true, message: 'Instance termination initiated' };
@@ -595,17 +560,15 @@ class SchedulingService {
 
     async findInstanceRegion(instanceId) {
         // Try to find the instance across all regions
-        const AWS = require('aws-sdk');
         const regions = ['ap-south-1', 'us-east-1', 'us-west-2', 'eu-west-1', 'ap-southeast-1'];
         
         console.log(`🔍 Searching for instance ${instanceId} across regions...`);
         
         for (const region of regions) {
             try {
-                const ec2 = new AWS.EC2({ region });
-                const result = await ec2.describeInstances({
+                const result = await this.gateway.send('ec2', 'DescribeInstances', {
                     InstanceIds: [instanceId]
-                }).promise();
+                }, { region });
                 
                 if (result.Reservations.length > 0) {
                     console.log(`✅ Found instance ${instanceId} in region ${region}`);
@@ -613,7 +576,7 @@ class SchedulingService {
                 }
             } catch (error) {
                 // Instance not in this region, continue
-                if (error.code !== 'InvalidInstanceID.NotFound') {
+                if (error.name !== 'InvalidInstanceID.NotFound') {
                     console.warn(`⚠️ Error checking region ${region}:`, error.message);
                 }
             }
@@ -629,15 +592,15 @@ class SchedulingService {
 
     async scheduleDevTestShutdown(environmentTag = 'development', schedule = '0 18 * * 1-5') {
         try {
-            if (!this.ec2) throw new Error('EC2 client not initialized');
+            if (!this.gateway) throw new Error('AWS gateway not initialized');
 
             // Find all dev/test instances
-            const instances = await this.ec2.describeInstances({
+            const instances = await this.gateway.send('ec2', 'DescribeInstances', {
                 Filters: [
                     { Name: 'tag:Environment', Values: [environmentTag, 'dev', 'test', 'staging'] },
                     { Name: 'instance-state-name', Values: ['running'] }
                 ]
-            }).promise();
+            });
 
             const schedulePromises = [];
 
@@ -682,14 +645,14 @@ class SchedulingService {
 
     async scheduleDevTestStartup(environmentTag = 'development', schedule = '0 8 * * 1-5') {
         try {
-            if (!this.ec2) throw new Error('EC2 client not initialized');
+            if (!this.gateway) throw new Error('AWS gateway not initialized');
 
-            const instances = await this.ec2.describeInstances({
+            const instances = await this.gateway.send('ec2', 'DescribeInstances', {
                 Filters: [
                     { Name: 'tag:Environment', Values: [environmentTag, 'dev', 'test', 'staging'] },
                     { Name: 'instance-state-name', Values: ['stopped'] }
                 ]
-            }).promise();
+            });
 
             const schedulePromises = [];
 
@@ -0,0 +1,352 @@
+// Tag Dictionary Service
+// Maps inconsistent tag keys (env / Environment / ENV) and value variants (prod / production /
+// prd) to canonical ones. Stored tags are never rewritten: allocation, budgets, trends and
+// compliance scoring normalise the tags they read with the caller's dictionary at query time.
+const DatabaseService = require('./databaseService');
+
+const SOURCES = ['manual', 'suggested'];
+const MAX_KEY_LENGTH = 128;
+const MAX_VALUE_LENGTH = 256;
+
+// Spellings of the standard keys, compared lower-cased with separators removed
+const KEY_SYNONYMS = {
+    Environment: ['environment', 'env'],
+    CostCenter: ['costcenter', 'costcentre', 'cc'],
+    Owner: ['owner', 'ownedby'],
+    Project: ['project', 'proj'],
+    Department: ['department', 'dept'],
+    BusinessUnit: ['businessunit', 'bu']
+};
+
+// Environment values that mean the same thing
+const ENVIRONMENT_VALUE_SYNONYMS = {
+    production: ['production', 'prod', 'prd', 'live'],
+    staging: ['staging', 'stage', 'stg'],
+    development: ['development', 'dev', 'develop'],
+    test: ['test', 'testing', 'tst']
+};
+
+const comparable = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const findSynonym = (synonyms, text) => {
+    const plain = comparable(text);
+    return Object.keys(synonyms).find(canonical => synonyms[canonical].includes(plain)) || null;
+};
+
+class TagDictionaryService {
+    /**
+     * Build a lookup from dictionary rows
+     * @returns {Object} { keys: Map(alias -> canonical key), values: Map(canonical key -> Map(alias -> value)) }
+     */
+    static compile(keyRows = [], valueRows = []) {
+        const keys = new Map(keyRows.map(row => [row.alias, row.canonical_key]));
+        const values = new Map();
+        for (const row of valueRows) {
+            if (!values.has(row.canonical_key)) values.set(row.canonical_key, new Map());
+            values.get(row.canonical_key).set(row.alias, row.canonical_value);
+        }
+        return { keys, values, size: keyRows.length + valueRows.length };
+    }
+
+    static async loadDictionary(userId) {
+        const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+        const [keyRows, valueRows] = await Promise.all([
+            DatabaseService.query('SELECT alias, canonical_key FROM tag_key_aliases WHERE user_id = $1', [dbUserId]),
+            DatabaseService.query('SELECT canonical_key, alias, canonical_value FROM tag_value_aliases WHERE user_id = $1', [dbUserId])
+        ]);
+        return this.compile(keyRows.rows, valueRows.rows);
+    }
+
+    static canonicalKey(dictionary, key) {
+        return dictionary.keys.get(key) || key;
+    }
+
+    static canonicalValue(dictionary, canonicalKey, value) {
+        const variants = dictionary.values.get(canonicalKey);
+        return (variants && variants.get(value)) ?? value;
+    }
+
+    // The canonical key and every alias of it, for SQL that tests stored tags directly
+    static keyVariants(dictionary, canonicalKey) {
+        const variants = [canonicalKey];
+        dictionary.keys.forEach((canonical, alias) => {
+            if (canonical === canonicalKey) variants.push(alias);
+        });
+        return variants;
+    }
+
+    /**
+     * Rewrite a tag set with canonical keys and values. When a resource carries both an alias
+     * and the canonical key, the canonical key's value is kept.
+     */
+    static normalizeTags(tags, dictionary) {
+        const parsed = typeof tags === 'string' ? JSON.parse(tags) : tags;
+        if (!parsed || typeof parsed !== 'object' || !dictionary || dictionary.size === 0) return parsed;
+
+        const normalized = {};
+        for (const [key, value] of Object.entries(parsed)) {
+            const canonical = this.canonicalKey(dictionary, key);
+            if (canonical in normalized && canonical !== key) continue;
+            normalized[canonical] = this.canonicalValue(dictionary, canonical, value);
+        }
+        return normalized;
+    }
+
+    // Key aliases and value aliases saved by the user
+    static async getDictionary(userId) {
+        try {
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+            const [keyAliases, valueAliases] = await Promise.all([
+                DatabaseService.query(`
+                    SELECT id, alias, canonical_key, source, created_at
+                    FROM tag_key_aliases WHERE user_id = $1
+                    ORDER BY canonical_key, alias
+                `, [dbUserId]),
+                DatabaseService.query(`
+                    SELECT id, canonical_key, alias, canonical_value, source, created_at
+                    FROM tag_value_aliases WHERE user_id = $1
+                    ORDER BY canonical_key, canonical_value, alias
+                `, [dbUserId])
+            ]);
+            return { success: true, keyAliases: keyAliases.rows, valueAliases: valueAliases.rows };
+        } catch (error) {
+            console.error('❌ Tag dictionary error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Add or update mappings. Saving an alias that exists replaces its target.
+     * @param {Object} mappings - { keyAliases: [{ alias, canonicalKey, source? }],
+     *                            valueAliases: [{ canonicalKey, alias, canonicalValue, source? }] }
+     */
+    static async saveMappings(userId, mappings = {}) {
+        try {
+            const keyAliases = mappings.keyAliases || [];
+            const valueAliases = mappings.valueAliases || [];
+            if (!Array.isArray(keyAliases) || !Array.isArray(valueAliases)) {
+                return { success: false, status: 400, error: 'keyAliases and valueAliases must be lists' };
+            }
+            if (keyAliases.length + valueAliases.length === 0) {
+                return { success: false, status: 400, error: 'Provide at least one key or value alias' };
+            }
+
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+            const dictionary = await this.loadDictionary(userId);
+            const problem = this.validateMappings(keyAliases, valueAliases, dictionary);
+            if (problem) {
+                return { success: false, status: 400, error: problem };
+            }
+
+            for (const mapping of keyAliases) {
+                await DatabaseService.query(`
+                    INSERT INTO tag_key_aliases (user_id, alias, canonical_key, source)
+                    VALUES ($1, $2, $3, $4)
+                    ON CONFLICT (user_id, alias) DO UPDATE SET
+                        canonical_key = EXCLUDED.canonical_key,
+                        source = EXCLUDED.source
+                `, [dbUserId, mapping.alias.trim(), mapping.canonicalKey.trim(), mapping.source || 'manual']);
+            }
+
+            for (const mapping of valueAliases) {
+                await DatabaseService.query(`
+                    INSERT INTO tag_value_aliases (user_id, canonical_key, alias, canonical_value, source)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (user_id, canonical_key, alias) DO UPDATE SET
+                        canonical_value = EXCLUDED.canonical_value,
+                        source = EXCLUDED.source
+                `, [dbUserId, mapping.canonicalKey.trim(), mapping.alias.trim(), mapping.canonicalValue.trim(), mapping.source || 'manual']);
+            }
+
+            console.log(`📖 Tag dictionary for user ${userId}: ${keyAliases.length} key and ${valueAliases.length} value aliases saved`);
+            return { success: true, ...(await this.getDictionary(userId)) };
+        } catch (error) {
+            console.error('❌ Tag dictionary save error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Check new mappings against each other and the saved dictionary. Aliases must point at
+     * canonical keys, never at other aliases, so a lookup is always one step.
+     * @returns {string|null} the first problem found
+     */
+    static validateMappings(keyAliases, valueAliases, dictionary) {
+        const isText = (value, max) => typeof value === 'string' && value.trim() !== '' && value.trim().length <= max;
+        const keyTargets = new Map(dictionary.keys);
+        keyAliases.forEach(mapping => {
+            if (mapping && typeof mapping.alias === 'string') keyTargets.set(mapping.alias.trim(), mapping.canonicalKey);
+        });
+        const canonicalKeys = new Set(keyTargets.values());
+
+        for (const mapping of keyAliases) {
+            if (!mapping || !isText(mapping.alias, MAX_KEY_LENGTH) || !isText(mapping.canonicalKey, MAX_KEY_LENGTH)) {
+                return `Key aliases need an alias and a canonicalKey of at most ${MAX_KEY_LENGTH} characters`;
+            }
+            const alias = mapping.alias.trim();
+            const canonicalKey = mapping.canonicalKey.trim();
+            if (alias === canonicalKey) {
+                return `${alias} cannot be an alias of itself`;
+            }
+            if (keyTargets.has(canonicalKey)) {
+                return `${canonicalKey} is itself an alias of ${keyTargets.get(canonicalKey)}; map ${alias} to that key`;
+            }
+            if (canonicalKeys.has(alias)) {
+                return `${alias} is the canonical key of other aliases and cannot become an alias`;
+            }
+            if (mapping.source && !SOURCES.includes(mapping.source)) {
+                return `source must be one of ${SOURCES.join(', ')}`;
+            }
+        }
+
+        for (const mapping of valueAliases) {
+            if (!mapping || !isText(mapping.canonicalKey, MAX_KEY_LENGTH)
+                || !isText(mapping.alias, MAX_VALUE_LENGTH) || !isText(mapping.canonicalValue, MAX_VALUE_LENGTH)) {
+                return `Value aliases need a canonicalKey, an alias and a canonicalValue of at most ${MAX_VALUE_LENGTH} characters`;
+            }
+            const canonicalKey = mapping.canonicalKey.trim();
+            if (keyTargets.has(canonicalKey)) {
+                return `${canonicalKey} is an alias of ${keyTargets.get(canonicalKey)}; map its values under that key`;
+            }
+            if (mapping.alias.trim() === mapping.canonicalValue.trim()) {
+                return `${mapping.alias} cannot be an alias of itself`;
+            }
+            if (mapping.source && !SOURCES.includes(mapping.source)) {
+                return `source must be one of ${SOURCES.join(', ')}`;
+            }
+        }
+        return null;
+    }
+
+    static async deleteKeyAlias(userId, aliasId) {
+        return this.deleteMapping('tag_key_aliases', userId, aliasId);
+    }
+
+    static async deleteValueAlias(userId, aliasId) {
+        return this.deleteMapping('tag_value_aliases', userId, aliasId);
+    }
+
+    static async deleteMapping(table, userId, aliasId) {
+        try {
+            const id = parseInt(aliasId, 10);
+            const result = Number.isNaN(id) ? { rows: [] } : await DatabaseService.query(
+                `DELETE FROM ${table} WHERE id = $1 AND user_id = $2 RETURNING id`,
+                [id, DatabaseService.getUserIdForDatabase(userId)]
+            );
+            if (result.rows.length === 0) {
+                return { success: false, status: 404, error: 'Alias not found' };
+            }
+            return { success: true };
+        } catch (error) {
+            console.error('❌ Tag dictionary delete error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Propose mappings from the tag patterns in the user's cost records. Tags are normalised
+     * with the saved dictionary first, so only variants it does not cover yet are suggested.
+     * The result can be posted back to saveMappings as it is.
+     */
+    static async suggestMappings(userId) {
+        try {
+            // Required here: TaggingIntelligenceService loads this service for its scoring
+            const TaggingIntelligenceService = require('./taggingIntelligenceService');
+            const dictionary = await this.loadDictionary(userId);
+            const resources = (await TaggingIntelligenceService.getTaggedResources(userId))
+                .map(resource => ({ ...resource, tags: this.normalizeTags(resource.tags, dictionary) }));
+            const patterns = TaggingIntelligenceService.extractTagPatterns(resources);
+
+            const keyAliases = this.suggestKeyAliases(patterns);
+            const valueAliases = this.suggestValueAliases(patterns, keyAliases);
+
+            return {
+                success: true,
+                analyzedResources: resources.length,
+                suggestions: { keyAliases, valueAliases }
+            };
+        } catch (error) {
+            console.error('❌ Tag dictionary suggestion error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Group keys that differ only in case and separators, or are known spellings of a standard key
+    static suggestKeyAliases(patterns) {
+        const frequency = new Map(patterns.commonTags.map(tag => [tag.key, tag.frequency]));
+        const groups = new Map();
+        Object.keys(patterns.patterns.valuePatterns).forEach(key => {
+            const group = findSynonym(KEY_SYNONYMS, key) || comparable(key);
+            if (!groups.has(group)) groups.set(group, []);
+            groups.get(group).push(key);
+        });
+
+        const suggestions = [];
+        groups.forEach((keys, group) => {
+            // Standard keys keep their standard spelling; otherwise the most used variant wins
+            const canonicalKey = KEY_SYNONYMS[group]
+                ? group
+                : [...keys].sort((a, b) => (frequency.get(b) || 0) - (frequency.get(a) || 0) || a.localeCompare(b))[0];
+
+            keys.filter(key => key !== canonicalKey).forEach(alias => {
+                suggestions.push({
+                    alias,
+                    canonicalKey,
+                    source: 'suggested',
+                    reason: KEY_SYNONYMS[group]
+                        ? `${alias} is a common spelling of the standard ${canonicalKey} tag`
+                        : `${alias} differs from ${canonicalKey} only in casing or separators`
+                });
+            });
+        });
+        return suggestions;
+    }
+
+    // Group the values of each (suggested) canonical key the same way
+    static suggestValueAliases(patterns, keyAliases) {
+        const aliasTargets = new Map(keyAliases.map(mapping => [mapping.alias, mapping.canonicalKey]));
+        const valuesByKey = new Map();
+        Object.entries(patterns.patterns.valuePatterns).forEach(([key, values]) => {
+            const canonicalKey = aliasTargets.get(key) || key;
+            if (!valuesByKey.has(canonicalKey)) valuesByKey.set(canonicalKey, new Set());
+            values.forEach(value => valuesByKey.get(canonicalKey).add(String(value)));
+        });
+
+        const suggestions = [];
+        valuesByKey.forEach((values, canonicalKey) => {
+            const isEnvironment = canonicalKey === 'Environment';
+            const groups = new Map();
+            values.forEach(value => {
+                const group = (isEnvironment && findSynonym(ENVIRONMENT_VALUE_SYNONYMS, value)) || comparable(value);
+                if (!group) return;
+                if (!groups.has(group)) groups.set(group, []);
+                groups.get(group).push(value);
+            });
+
+            groups.forEach((variants, group) => {
+                const standard = isEnvironment && ENVIRONMENT_VALUE_SYNONYMS[group] ? group : null;
+                if (variants.length < 2 && (!standard || variants[0] === standard)) return;
+
+                // Keep a spelling already in use for the standard value, else the first variant
+                const canonicalValue = standard
+                    ? (variants.find(value => value.toLowerCase() === standard) || standard)
+                    : [...variants].sort((a, b) => a.localeCompare(b))[0];
+
+                variants.filter(value => value !== canonicalValue).forEach(alias => {
+                    suggestions.push({
+                        canonicalKey,
+                        alias,
+                        canonicalValue,
+                        source: 'suggested',
+                        reason: variants.length > 1
+                            ? `${canonicalKey} values ${variants.join(', ')} mean the same thing`
+                            : `${alias} is a common spelling of ${canonicalValue}`
+                    });
+                });
+            });
+        });
+        return suggestions;
+    }
+}
+
+module.exports = TagDictionaryService;
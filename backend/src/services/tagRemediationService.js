@@ -0,0 +1,551 @@
+// Tag Remediation Service
+// Writes tags to the real AWS resources through the Resource Groups Tagging API, so fixes
+// survive the next cost ingestion (autoTagResources only edits stored cost_records).
+// A run is planned first (dry-run diff against the resources' live tags), applied in batches
+// with a result per resource, and can be rolled back to the tags each resource had before.
+// Tagging API calls go through the user's AWS gateway (see services/aws/gateway.js).
+const DatabaseService = require('./databaseService');
+
+const DEFAULT_MAX_RESOURCES = 100;
+const MAX_RESOURCES = 1000;
+// TagResources and UntagResources accept at most 20 ARNs per call
+const TAGGING_BATCH_SIZE = 20;
+// GetResources accepts at most 100 ARNs per call
+const LOOKUP_BATCH_SIZE = 100;
+const MAX_SCAN_PAGES = 20;
+
+// Cost Explorer service names -> Tagging API resource type filters
+const SERVICE_RESOURCE_TYPES = [
+    { match: ['elastic compute cloud', 'ec2'], types: ['ec2:instance', 'ec2:volume', 'ec2:snapshot', 'ec2:natgateway', 'ec2:elastic-ip'] },
+    { match: ['simple storage service', 's3'], types: ['s3'] },
+    { match: ['relational database service', 'rds'], types: ['rds:db', 'rds:cluster'] },
+    { match: ['lambda'], types: ['lambda:function'] },
+    { match: ['dynamodb'], types: ['dynamodb:table'] },
+    { match: ['elastic load balancing', 'elb'], types: ['elasticloadbalancing:loadbalancer'] },
+    { match: ['elasticache'], types: ['elasticache:cluster'] },
+    { match: ['elastic container service', 'ecs'], types: ['ecs:cluster', 'ecs:service'] },
+    { match: ['elastic kubernetes service', 'eks'], types: ['eks:cluster'] },
+    { match: ['cloudfront'], types: ['cloudfront:distribution'] },
+    { match: ['simple queue service', 'sqs'], types: ['sqs:queue'] },
+    { match: ['simple notification service', 'sns'], types: ['sns:topic'] },
+    { match: ['kinesis'], types: ['kinesis:stream'] },
+    { match: ['redshift'], types: ['redshift:cluster'] },
+    { match: ['elastic file system', 'efs'], types: ['elasticfilesystem:file-system'] },
+    { match: ['opensearch', 'elasticsearch'], types: ['es:domain'] }
+];
+
+const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+};
+
+// The region is the fourth ARN field; global services (S3, CloudFront) leave it empty
+const arnRegion = (arn, fallback) => (String(arn).split(':')[3] || fallback);
+
+const tagsToObject = (tags = []) => tags.reduce((object, tag) => {
+    object[tag.Key] = tag.Value;
+    return object;
+}, {});
+
+class TagRemediationService {
+    static resourceTypesFor(rule) {
+        if (Array.isArray(rule.resourceTypes) && rule.resourceTypes.length > 0) {
+            return rule.resourceTypes;
+        }
+        if (!rule.service) return [];
+        const service = rule.service.toLowerCase();
+        const entry = SERVICE_RESOURCE_TYPES.find(candidate => candidate.match.some(name => service.includes(name)));
+        if (!entry) {
+            throw new Error(`No resource type known for service "${rule.service}"; pass resourceTypes (e.g. ["ec2:instance"])`);
+        }
+        return entry.types;
+    }
+
+    static validateRule(rule) {
+        if (!rule || typeof rule.tagKey !== 'string' || !rule.tagKey.trim() || rule.tagKey.length > 128) {
+            throw new Error('Each rule needs a tagKey of 1-128 characters');
+        }
+        if (rule.tagKey.toLowerCase().startsWith('aws:')) {
+            throw new Error(`Tag keys starting with "aws:" are reserved (${rule.tagKey})`);
+        }
+        if (typeof rule.tagValue !== 'string' || rule.tagValue.length > 256) {
+            throw new Error(`Rule for ${rule.tagKey} needs a tagValue of at most 256 characters`);
+        }
+        if (rule.resourceArns !== undefined && !Array.isArray(rule.resourceArns)) {
+            throw new Error('resourceArns must be a list');
+        }
+    }
+
+    /**
+     * ARN of a billed resource. CUR and Cost Explorer give full ARNs for most services but
+     * bare ids for EC2 and bucket names for S3.
+     */
+    static resourceArnFromRecord(record) {
+        const id = record.resource_id;
+        if (id.startsWith('arn:')) return id;
+        const ec2Types = { 'i-': 'instance', 'vol-': 'volume', 'snap-': 'snapshot', 'nat-': 'natgateway', 'eipalloc-': 'elastic-ip' };
+        const prefix = Object.keys(ec2Types).find(candidate => id.startsWith(candidate));
+        if (prefix && record.region && record.linked_account_id) {
+            return `arn:aws:ec2:${record.region}:${record.linked_account_id}:${ec2Types[prefix]}/${id}`;
+        }
+        if (/simple storage service|\bs3\b/i.test(record.service_name || '') && /^[a-z0-9.-]{3,63}$/.test(id)) {
+            return `arn:aws:s3:::${id}`;
+        }
+        return null;
+    }
+
+    /**
+     * Live tags of the resources a rule targets: the listed ARNs, or everything of the rule's
+     * resource types in its region. GetResources only returns resources that are or were
+     * tagged, so never-tagged resources are found through their billing records.
+     * @returns {Array} [{ arn, region, tags }]
+     */
+    static async findResources(userId, rule, gateway, defaultRegion, limit) {
+        const region = rule.region || defaultRegion;
+        const candidates = new Map();
+
+        if (Array.isArray(rule.resourceArns) && rule.resourceArns.length > 0) {
+            rule.resourceArns.forEach(arn => candidates.set(arn, { arn, region: arnRegion(arn, region), tags: null }));
+        } else {
+            const resourceTypes = this.resourceTypesFor(rule);
+            let paginationToken;
+            let pages = 0;
+            do {
+                const response = await gateway.send('tagging', 'GetResources', {
+                    ResourcesPerPage: 100,
+                    ...(resourceTypes.length > 0 ? { ResourceTypeFilters: resourceTypes } : {}),
+                    ...(paginationToken ? { PaginationToken: paginationToken } : {})
+                }, { region });
+                (response.ResourceTagMappingList || []).forEach(resource => candidates.set(resource.ResourceARN, {
+                    arn: resource.ResourceARN,
+                    region,
+                    tags: tagsToObject(resource.Tags)
+                }));
+                paginationToken = response.PaginationToken;
+                pages++;
+            } while (paginationToken && pages < MAX_SCAN_PAGES && candidates.size < limit * 10);
+
+            const params = [DatabaseService.getUserIdForDatabase(userId), limit * 10];
+            let serviceFilter = '';
+            if (rule.service) {
+                params.push(`%${rule.service}%`);
+                serviceFilter = ` AND service_name ILIKE $${params.length}`;
+            }
+            const billed = await DatabaseService.query(`
+                SELECT DISTINCT resource_id, region, linked_account_id, service_name
+                FROM cost_records
+                WHERE user_id = $1 AND resource_id IS NOT NULL AND resource_id <> ''
+                  AND date >= CURRENT_DATE - INTERVAL '30 days'${serviceFilter}
+                LIMIT $2
+            `, params);
+
+            const services = resourceTypes.map(type => type.split(':')[0]);
+            billed.rows.forEach(record => {
+                const arn = this.resourceArnFromRecord(record);
+                if (!arn || candidates.has(arn)) return;
+                const [, , service, arnRegionName] = arn.split(':');
+                if (services.length > 0 && !services.includes(service)) return;
+                if (arnRegionName && arnRegionName !== region) return;
+                candidates.set(arn, { arn, region, tags: null });
+            });
+        }
+
+        // Look up the current tags of resources not seen in a scan; a resource the API does
+        // not return has never been tagged
+        const unknown = [...candidates.values()].filter(candidate => candidate.tags === null);
+        const byRegion = new Map();
+        unknown.forEach(candidate => {
+            if (!byRegion.has(candidate.region)) byRegion.set(candidate.region, []);
+            byRegion.get(candidate.region).push(candidate.arn);
+        });
+        for (const [regionName, arns] of byRegion) {
+            for (const batch of chunk(arns, LOOKUP_BATCH_SIZE)) {
+                const response = await gateway.send('tagging', 'GetResources', { ResourceARNList: batch }, { region: regionName });
+                (response.ResourceTagMappingList || []).forEach(resource => {
+                    const candidate = candidates.get(resource.ResourceARN);
+                    if (candidate) candidate.tags = tagsToObject(resource.Tags);
+                });
+            }
+        }
+
+        return [...candidates.values()].map(candidate => ({ ...candidate, tags: candidate.tags || {} }));
+    }
+
+    /**
+     * Plan a remediation run: compare the rules with each resource's live tags and store the
+     * diff. Nothing is written to AWS until the run is applied.
+     * @param {Array} tagRules - [{ tagKey, tagValue, service?, resourceTypes?, region?, resourceArns?, overwrite? }]
+     * @param {AwsGateway} gateway - gateway of the user (gatewayFor)
+     * @param {Object} options - { maxResources, region }
+     */
+    static async planRemediation(userId, tagRules, gateway, options = {}) {
+        try {
+            if (!Array.isArray(tagRules) || tagRules.length === 0) {
+                return { success: false, status: 400, error: 'tagRules must be a non-empty list' };
+            }
+            tagRules.forEach(rule => this.validateRule(rule));
+
+            const maxResources = Math.min(Math.max(parseInt(options.maxResources, 10) || DEFAULT_MAX_RESOURCES, 1), MAX_RESOURCES);
+            const defaultRegion = options.region || gateway.region;
+
+            // One entry per resource; when rules overlap the first rule for a key wins
+            const plan = new Map();
+            let truncated = false;
+
+            for (const rule of tagRules) {
+                const resources = await this.findResources(userId, rule, gateway, defaultRegion, maxResources);
+                for (const resource of resources) {
+                    const current = resource.tags[rule.tagKey];
+                    if (current === rule.tagValue || (current !== undefined && !rule.overwrite)) continue;
+
+                    if (!plan.has(resource.arn)) {
+                        if (plan.size >= maxResources) {
+                            truncated = true;
+                            continue;
+                        }
+                        plan.set(resource.arn, { arn: resource.arn, region: resource.region, changes: [] });
+                    }
+                    const item = plan.get(resource.arn);
+                    if (item.changes.some(change => change.key === rule.tagKey)) continue;
+                    item.changes.push({ key: rule.tagKey, previousValue: current ?? null, value: rule.tagValue });
+                }
+            }
+
+            const items = [...plan.values()];
+            const dbUserId = DatabaseService.getUserIdForDatabase(userId);
+            const result = await DatabaseService.query(`
+                WITH run AS (
+                    INSERT INTO tag_remediation_runs (user_id, status, tag_rules, max_resources, resource_count, truncated)
+                    VALUES ($1, 'planned', $2, $3, $4, $5)
+                    RETURNING id, created_at
+                ), items AS (
+                    INSERT INTO tag_remediation_items (run_id, resource_arn, region, changes, status)
+                    SELECT run.id, item.arn, item.region, item.changes, 'planned'
+                    FROM run, jsonb_to_recordset($6::jsonb) AS item(arn TEXT, region TEXT, changes JSONB)
+                )
+                SELECT id, created_at FROM run
+            `, [dbUserId, JSON.stringify(tagRules), maxResources, items.length, truncated, JSON.stringify(items)]);
+
+            console.log(`🏷️  Tag remediation run ${result.rows[0].id} planned: ${items.length} resources${truncated ? ' (truncated)' : ''}`);
+
+            return {
+                success: true,
+                dryRun: true,
+                run: {
+                    id: result.rows[0].id,
+                    status: 'planned',
+                    resourceCount: items.length,
+                    maxResources,
+                    truncated,
+                    createdAt: result.rows[0].created_at
+                },
+                diff: items
+            };
+        } catch (error) {
+            console.error('❌ Tag remediation plan error:', error.message);
+            return { success: false, status: error.$metadata ? 502 : 400, error: error.message };
+        }
+    }
+
+    static async getRunRow(userId, runId) {
+        const result = await DatabaseService.query(
+            'SELECT * FROM tag_remediation_runs WHERE id = $1 AND user_id = $2',
+            [parseInt(runId, 10), DatabaseService.getUserIdForDatabase(userId)]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Claim a run for an AWS operation; only one apply or rollback can hold it
+     */
+    static async claimRun(runId, fromStatuses, toStatus) {
+        const result = await DatabaseService.query(`
+            UPDATE tag_remediation_runs SET status = $3
+            WHERE id = $1 AND status = ANY($2::text[])
+            RETURNING id
+        `, [runId, fromStatuses, toStatus]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Send a set of tag writes in batches of resources that get identical tags in the same
+     * region, and record the outcome of each resource
+     * @param {Array} items - [{ id, arn, region, tags }] or [{ id, arn, region, keys }] for removals
+     * @returns {Map} item id -> error message (missing = succeeded)
+     */
+    static async sendTagging(items, gateway, remove = false) {
+        const failures = new Map();
+        const groups = new Map();
+        items.forEach(item => {
+            const payload = remove ? [...item.keys].sort() : item.tags;
+            const key = `${item.region}|${JSON.stringify(payload)}`;
+            if (!groups.has(key)) groups.set(key, { region: item.region, payload, items: [] });
+            groups.get(key).items.push(item);
+        });
+
+        for (const group of groups.values()) {
+            for (const batch of chunk(group.items, TAGGING_BATCH_SIZE)) {
+                const ResourceARNList = batch.map(item => item.arn);
+                try {
+                    const response = await (remove
+                        ? gateway.send('tagging', 'UntagResources', { ResourceARNList, TagKeys: group.payload }, { region: group.region })
+                        : gateway.send('tagging', 'TagResources', { ResourceARNList, Tags: group.payload }, { region: group.region }));
+                    const failed = response.FailedResourcesMap || {};
+                    batch.forEach(item => {
+                        if (failed[item.arn]) {
+                            failures.set(item.id, `${failed[item.arn].ErrorCode || 'Error'}: ${failed[item.arn].ErrorMessage || 'tagging failed'}`);
+                        }
+                    });
+                } catch (error) {
+                    // The whole call failed (permissions, throttling after retries): every resource in it failed
+                    batch.forEach(item => failures.set(item.id, `${error.name || 'Error'}: ${error.message}`));
+                }
+            }
+        }
+        return failures;
+    }
+
+    /**
+     * Apply a planned run to AWS
+     */
+    static async applyRemediation(userId, runId, gateway) {
+        try {
+            const run = await this.getRunRow(userId, runId);
+            if (!run) {
+                return { success: false, status: 404, error: 'Remediation run not found' };
+            }
+            if (!await this.claimRun(run.id, ['planned'], 'applying')) {
+                return { success: false, status: 409, error: `Run is ${run.status}; only planned runs can be applied` };
+            }
+
+            const itemsResult = await DatabaseService.query(
+                `SELECT * FROM tag_remediation_items WHERE run_id = $1 AND status = 'planned' ORDER BY id`,
+                [run.id]
+            );
+            const items = itemsResult.rows.map(row => ({
+                id: row.id,
+                arn: row.resource_arn,
+                region: row.region,
+                tags: Object.fromEntries(row.changes.map(change => [change.key, change.value]))
+            }));
+
+            const failures = await this.sendTagging(items, gateway);
+            const failed = items.filter(item => failures.has(item.id));
+            const applied = items.filter(item => !failures.has(item.id));
+
+            const status = applied.length === 0 && items.length > 0
+                ? 'failed'
+                : failed.length > 0 ? 'partially_applied' : 'applied';
+
+            await DatabaseService.query(`
+                WITH outcome AS (
+                    SELECT * FROM jsonb_to_recordset($2::jsonb) AS o(id INTEGER, error TEXT)
+                ), items AS (
+                    UPDATE tag_remediation_items i
+                    SET status = CASE WHEN outcome.error IS NULL THEN 'applied' ELSE 'failed' END,
+                        error = outcome.error,
+                        applied_at = CASE WHEN outcome.error IS NULL THEN NOW() END
+                    FROM outcome
+                    WHERE i.id = outcome.id AND i.run_id = $1
+                )
+                UPDATE tag_remediation_runs
+                SET status = $3, applied_count = $4, failed_count = $5, applied_at = NOW()
+                WHERE id = $1
+            `, [
+                run.id,
+                JSON.stringify(items.map(item => ({ id: item.id, error: failures.get(item.id) || null }))),
+                status,
+                applied.length,
+                failed.length
+            ]);
+
+            console.log(`🏷️  Tag remediation run ${run.id} ${status}: ${applied.length} tagged, ${failed.length} failed`);
+            return this.getRemediation(userId, run.id);
+        } catch (error) {
+            console.error('❌ Tag remediation apply error:', error.message);
+            // Release the claim so the run can be retried
+            await DatabaseService.query(
+                `UPDATE tag_remediation_runs SET status = 'planned' WHERE id = $1 AND status = 'applying'`,
+                [parseInt(runId, 10)]
+            ).catch(() => {});
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Put back the tags resources had before the run. Keys the run added are removed and
+     * overwritten keys get their old value; a key someone changed since the run is left
+     * alone and reported.
+     */
+    static async rollbackRemediation(userId, runId, gateway) {
+        let run = null;
+        try {
+            run = await this.getRunRow(userId, runId);
+            if (!run) {
+                return { success: false, status: 404, error: 'Remediation run not found' };
+            }
+            if (!await this.claimRun(run.id, ['applied', 'partially_applied', 'partially_rolled_back'], 'rolling_back')) {
+                return { success: false, status: 409, error: `Run is ${run.status}; only applied runs can be rolled back` };
+            }
+
+            const itemsResult = await DatabaseService.query(
+                `SELECT * FROM tag_remediation_items WHERE run_id = $1 AND status IN ('applied', 'rollback_failed') ORDER BY id`,
+                [run.id]
+            );
+            const rows = itemsResult.rows;
+
+            // Current tags, to avoid undoing changes made after the run
+            const live = new Map();
+            const byRegion = new Map();
+            rows.forEach(row => {
+                if (!byRegion.has(row.region)) byRegion.set(row.region, []);
+                byRegion.get(row.region).push(row.resource_arn);
+            });
+            for (const [region, arns] of byRegion) {
+                for (const batch of chunk(arns, LOOKUP_BATCH_SIZE)) {
+                    const response = await gateway.send('tagging', 'GetResources', { ResourceARNList: batch }, { region });
+                    (response.ResourceTagMappingList || []).forEach(resource => live.set(resource.ResourceARN, tagsToObject(resource.Tags)));
+                }
+            }
+
+            const restores = [];
+            const removals = [];
+            const skipped = new Map();
+            rows.forEach(row => {
+                const current = live.get(row.resource_arn) || {};
+                const restoreTags = {};
+                const removeKeys = [];
+                row.changes.forEach(change => {
+                    if (current[change.key] !== change.value) {
+                        skipped.set(row.id, [...(skipped.get(row.id) || []), change.key]);
+                    } else if (change.previousValue === null) {
+                        removeKeys.push(change.key);
+                    } else {
+                        restoreTags[change.key] = change.previousValue;
+                    }
+                });
+                if (Object.keys(restoreTags).length > 0) {
+                    restores.push({ id: row.id, arn: row.resource_arn, region: row.region, tags: restoreTags });
+                }
+                if (removeKeys.length > 0) {
+                    removals.push({ id: row.id, arn: row.resource_arn, region: row.region, keys: removeKeys });
+                }
+            });
+
+            const failures = new Map([
+                ...await this.sendTagging(restores, gateway),
+                ...await this.sendTagging(removals, gateway, true)
+            ]);
+
+            const outcome = rows.map(row => {
+                if (failures.has(row.id)) {
+                    return { id: row.id, status: 'rollback_failed', error: failures.get(row.id) };
+                }
+                const changedKeys = skipped.get(row.id) || [];
+                return {
+                    id: row.id,
+                    // Nothing left to restore when every key was changed by someone else
+                    status: changedKeys.length === row.changes.length ? 'skipped' : 'rolled_back',
+                    error: changedKeys.length > 0 ? `Changed since remediation, left as is: ${changedKeys.join(', ')}` : null
+                };
+            });
+            const failedCount = outcome.filter(item => item.status === 'rollback_failed').length;
+            const status = failedCount === 0 ? 'rolled_back' : 'partially_rolled_back';
+
+            await DatabaseService.query(`
+                WITH outcome AS (
+                    SELECT * FROM jsonb_to_recordset($2::jsonb) AS o(id INTEGER, status TEXT, error TEXT)
+                ), items AS (
+                    UPDATE tag_remediation_items i
+                    SET status = outcome.status,
+                        error = outcome.error,
+                        rolled_back_at = CASE WHEN outcome.status = 'rolled_back' THEN NOW() END
+                    FROM outcome
+                    WHERE i.id = outcome.id AND i.run_id = $1
+                )
+                UPDATE tag_remediation_runs
+                SET status = $3, rolled_back_at = NOW()
+                WHERE id = $1
+            `, [run.id, JSON.stringify(outcome), status]);
+
+            console.log(`↩️  Tag remediation run ${run.id} ${status}: ${rows.length - failedCount} restored, ${failedCount} failed`);
+            return this.getRemediation(userId, run.id);
+        } catch (error) {
+            console.error('❌ Tag remediation rollback error:', error.message);
+            // Release the claim so the rollback can be retried
+            if (run) {
+                await DatabaseService.query(
+                    `UPDATE tag_remediation_runs SET status = $2 WHERE id = $1 AND status = 'rolling_back'`,
+                    [run.id, run.status]
+                ).catch(() => {});
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+    static formatRun(row) {
+        return {
+            id: row.id,
+            status: row.status,
+            tagRules: row.tag_rules,
+            maxResources: row.max_resources,
+            resourceCount: row.resource_count,
+            truncated: row.truncated,
+            appliedCount: row.applied_count,
+            failedCount: row.failed_count,
+            createdAt: row.created_at,
+            appliedAt: row.applied_at,
+            rolledBackAt: row.rolled_back_at
+        };
+    }
+
+    /**
+     * A run with the result for each resource
+     */
+    static async getRemediation(userId, runId) {
+        try {
+            const run = await this.getRunRow(userId, runId);
+            if (!run) {
+                return { success: false, status: 404, error: 'Remediation run not found' };
+            }
+            const items = await DatabaseService.query(
+                'SELECT * FROM tag_remediation_items WHERE run_id = $1 ORDER BY id',
+                [run.id]
+            );
+            return {
+                success: true,
+                run: this.formatRun(run),
+                resources: items.rows.map(item => ({
+                    arn: item.resource_arn,
+                    region: item.region,
+                    changes: item.changes,
+                    status: item.status,
+                    error: item.error,
+                    appliedAt: item.applied_at,
+                    rolledBackAt: item.rolled_back_at
+                }))
+            };
+        } catch (error) {
+            console.error('❌ Tag remediation lookup error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    static async listRemediations(userId) {
+        try {
+            const result = await DatabaseService.query(
+                'SELECT * FROM tag_remediation_runs WHERE user_id = $1 ORDER BY created_at DESC LIMIT 50',
+                [DatabaseService.getUserIdForDatabase(userId)]
+            );
+            return { success: true, runs: result.rows.map(row => this.formatRun(row)) };
+        } catch (error) {
+            console.error('❌ Tag remediation list error:', error.message);
+            return { success: false, error: error.message };
+        }
+    }
+}
+
+module.exports = TagRemediationService;
@@ -1,22 +1,31 @@
 // Granular Resource Tagging Intelligence Service
 // Enterprise-grade automated tagging with ML-powered suggestions
 const DatabaseService = require('./databaseService');
+const TagDictionaryService = require('./tagDictionaryService');
 
 class TaggingIntelligenceService {
+  // Most recent tagged cost records, the sample the pattern analysis works on
+  static async getTaggedResources(userId) {
+    // 🔒 SECURITY: Filter by user_id to prevent data leaks
+    const query = `
+      SELECT service_name, region, tags, cost_amount, date 
+      FROM cost_records 
+      WHERE user_id = $1 
+        AND tags IS NOT NULL 
+        AND jsonb_typeof(tags) = 'object'
+      ORDER BY date DESC LIMIT 1000
+    `;
+    const result = await DatabaseService.query(query, [DatabaseService.getUserIdForDatabase(userId)]);
+    return result.rows || [];
+  }
+
   // Analyze existing tags and generate intelligent suggestions
   static async analyzeTaggingPatterns(userId) {
     try {
-      // 🔒 SECURITY: Filter by user_id to prevent data leaks
-      const query = `
-        SELECT service_name, region, tags, cost_amount, date 
-        FROM cost_records 
-        WHERE user_id = $1 
-          AND tags IS NOT NULL 
-          AND jsonb_typeof(tags) = 'object'
-        ORDER BY date DESC LIMIT 1000
-      `;
-      const result = await DatabaseService.query(query, [DatabaseService.getUserIdForDatabase(userId)]);
-      const resources = result.rows || [];
+      // Tags are read through the user's tag dictionary, so mapped aliases count as their canonical key
+      const dictionary = await TagDictionaryService.loadDictionary(userId);
+      const resources = (await this.getTaggedResources(userId))
+        .map(resource => ({ ...resource, tags: TagDictionaryService.normalizeTags(resource.tags, dictionary) }));
       
       // If no tagged resources, return helpful empty state
       if (resources.length === 0) {
@@ -236,7 +245,8 @@ class TaggingIntelligenceService {
     return suggestions;
   }
 
-  // Auto-apply intelligent tags to untagged resources
+  // Auto-apply intelligent tags to untagged resources (stored cost_records only; see
+  // TagRemediationService for writing tags to the AWS resources themselves)
   static async autoTagResources(userId, tagRules) {
     try {
       const appliedTags = [];
@@ -297,6 +307,9 @@ class TaggingIntelligenceService {
   // Get tag compliance report
   static async getComplianceReport(userId) {
     try {
+      // A required tag also counts when a resource carries one of its dictionary aliases
+      const dictionary = await TagDictionaryService.loadDictionary(userId);
+
       // 🔒 SECURITY: Filter by user_id to prevent data leaks
       const query = `
         SELECT 
@@ -304,9 +317,9 @@ class TaggingIntelligenceService {
           region,
           COUNT(*) as total_resources,
           COUNT(CASE WHEN tags IS NOT NULL AND jsonb_typeof(tags) = 'object' THEN 1 END) as tagged_resources,
-          COUNT(CASE WHEN tags ? 'Owner' THEN 1 END) as owner_tagged,
-          COUNT(CASE WHEN tags ? 'CostCenter' THEN 1 END) as costcenter_tagged,
-          COUNT(CASE WHEN tags ? 'Environment' THEN 1 END) as environment_tagged
+          COUNT(CASE WHEN tags ?| $2::text[] THEN 1 END) as owner_tagged,
+          COUNT(CASE WHEN tags ?| $3::text[] THEN 1 END) as costcenter_tagged,
+          COUNT(CASE WHEN tags ?| $4::text[] THEN 1 END) as environment_tagged
         FROM cost_records 
         WHERE user_id = $1 
           AND date >= CURRENT_DATE - INTERVAL '30 days'
@@ -314,7 +327,12 @@ class TaggingIntelligenceService {
         ORDER BY total_resources DESC
       `;
       
-      const result = await DatabaseService.query(query, [DatabaseService.getUserIdForDatabase(userId)]);
+      const result = await DatabaseService.query(query, [
+        DatabaseService.getUserIdForDatabase(userId),
+        TagDictionaryService.keyVariants(dictionary, 'Owner'),
+        TagDictionaryService.keyVariants(dictionary, 'CostCenter'),
+        TagDictionaryService.keyVariants(dictionary, 'Environment')
+      ]);
       const compliance = result.rows.map(row => ({
         service: row.service_name,
         region: row.region,
@@ -1,6 +1,8 @@
 // Enterprise Webhook Service
 // Handles webhook configurations and deliveries for integrations
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
 const DatabaseService = require('./databaseService');
 const { v4: uuidv4 } = require('uuid');
@@ -312,6 +314,89 @@ class WebhookService {
         }
     }
 
+    /**
+     * Get a user's webhook configuration including its signing secret
+     */
+    async getDeliveryTarget(configId, userId) {
+        const result = await DatabaseService.query(`
+            SELECT id, webhook_url, secret_key, organization, is_active
+            FROM webhook_configs
+            WHERE id = $1 AND user_id = $2;
+        `, [configId, userId]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Webhook configuration not found or access denied');
+        }
+        if (!result.rows[0].is_active) {
+            throw new Error('Webhook configuration is inactive');
+        }
+
+        return result.rows[0];
+    }
+
+    /**
+     * Deliver a file as a signed multipart/form-data POST (single attempt).
+     * The "metadata" part is signed like a regular webhook payload and carries
+     * the file's SHA-256 so receivers can verify the "file" part as well.
+     */
+    async deliverFile(target, eventType, data, filePath) {
+        const deliveryId = uuidv4();
+        const timestamp = new Date();
+        const fileBuffer = fs.readFileSync(filePath);
+        const filename = path.basename(filePath);
+
+        const metadata = {
+            id: deliveryId,
+            event: eventType,
+            timestamp: timestamp.toISOString(),
+            data: {
+                ...data,
+                file: {
+                    name: filename,
+                    size: fileBuffer.length,
+                    sha256: crypto.createHash('sha256').update(fileBuffer).digest('hex')
+                }
+            },
+            organization: target.organization || null
+        };
+        const signature = this.generateSignature(metadata, target.secret_key);
+
+        const form = new FormData();
+        form.append('metadata', JSON.stringify(metadata));
+        form.append('file', new Blob([fileBuffer]), filename);
+
+        try {
+            console.log('🔄 Delivering file via webhook:', target.webhook_url, filename);
+
+            const response = await axios.post(target.webhook_url, form, {
+                headers: {
+                    'X-Webhook-Signature': `sha256=${signature}`,
+                    'X-Webhook-Event': eventType,
+                    'X-Webhook-Delivery': deliveryId,
+                    'User-Agent': 'AWS-Cost-Tracker-Pro-Webhook/1.0'
+                },
+                timeout: this.timeout,
+                maxBodyLength: Infinity,
+                validateStatus: (status) => status >= 200 && status < 300
+            });
+
+            if (target.id) {
+                await this.logDelivery(target.id, eventType, metadata, response.status, response.data, timestamp);
+            }
+
+            console.log('✅ Webhook file delivered:', target.webhook_url, 'Status:', response.status);
+            return { success: true, status: response.status, delivery_id: deliveryId };
+
+        } catch (error) {
+            if (target.id) {
+                await this.logDelivery(
+                    target.id, eventType, metadata, error.response?.status || 0, error.message, timestamp
+                );
+            }
+            throw new Error(`Webhook file delivery failed: ${error.message}`);
+        }
+    }
+
     /**
      * Generate HMAC signature for webhook security
      */
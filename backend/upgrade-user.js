@@ -16,7 +16,7 @@ async function upgradeUser() {
         
         // First, let's see the current user
         const currentUser = await pool.query(
-            'SELECT id, username, email, subscription_tier FROM users WHERE email = $1',
+            'SELECT id, username, email, subscription_tier, personal_role FROM users WHERE email = $1',
             ['newstart@test.com']
         );
         
@@ -27,16 +27,16 @@ async function upgradeUser() {
         
         console.log('📋 Current user details:', currentUser.rows[0]);
         
-        // Update the subscription tier to 'enterprise' (maximum permissions)
+        // Update the subscription tier to 'enterprise' and the personal role to admin (maximum permissions)
         const updateResult = await pool.query(
-            'UPDATE users SET subscription_tier = $1 WHERE email = $2 RETURNING id, username, email, subscription_tier',
-            ['enterprise', 'newstart@test.com']
+            'UPDATE users SET subscription_tier = $1, personal_role = $2 WHERE email = $3 RETURNING id, username, email, subscription_tier, personal_role',
+            ['enterprise', 'admin', 'newstart@test.com']
         );
         
         if (updateResult.rows.length > 0) {
             console.log('✅ User updated successfully!');
             console.log('📋 Updated user details:', updateResult.rows[0]);
-            console.log('🎯 New role mapping: enterprise → admin');
+            console.log('🎯 New personal role: admin');
             console.log('🔑 New permissions: ALL PERMISSIONS');
             console.log('   ✅ view_costs - Can view all cost data');
             console.log('   ✅ export_costs - Can export data');
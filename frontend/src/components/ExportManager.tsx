@@ -470,6 +470,7 @@ const ExportManager: React.FC = () => {
                 <MenuItem value="csv">CSV</MenuItem>
                 <MenuItem value="xlsx">Excel</MenuItem>
                 <MenuItem value="json">JSON</MenuItem>
+                <MenuItem value="parquet">Parquet</MenuItem>
               </Select>
             </FormControl>
           </Box>